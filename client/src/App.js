@@ -4,6 +4,8 @@ import { Toaster } from 'react-hot-toast';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { AuthProvider } from './contexts/AuthContext';
 import { ThemeProvider } from './contexts/ThemeContext';
+import { SocketProvider } from './contexts/SocketContext';
+import { LanguageProvider } from './contexts/LanguageContext';
 
 // Components
 import Navbar from './components/layout/Navbar';
@@ -30,6 +32,7 @@ const HomePage = React.lazy(() => import('./pages/HomePage'));
 const LoginPage = React.lazy(() => import('./pages/LoginPage'));
 const SignupPage = React.lazy(() => import('./pages/SignupPage'));
 const ForgotPasswordPage = React.lazy(() => import('./pages/ForgotPasswordPage'));
+const VerifyEmailPage = React.lazy(() => import('./pages/VerifyEmailPage'));
 
 const DashboardHome = React.lazy(() => import('./pages/DashboardHome'));
 const VolunteerDashboardHome = React.lazy(() => import('./pages/VolunteerDashboardHome'));
@@ -68,6 +71,7 @@ function AppContent() {
           <Route path="/login" element={<LoginPage />} />
           <Route path="/signup" element={<SignupPage />} />
           <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+          <Route path="/verify-email" element={<VerifyEmailPage />} />
 
         {/* Dashboard Routes with Layout - Citizens only */}
         <Route path="/dashboard" element={
@@ -193,9 +197,13 @@ function App() {
     <QueryClientProvider client={queryClient}>
       <ThemeProvider>
         <AuthProvider>
-          <Router>
-            <AppContent />
-          </Router>
+          <LanguageProvider>
+            <SocketProvider>
+              <Router>
+                <AppContent />
+              </Router>
+            </SocketProvider>
+          </LanguageProvider>
         </AuthProvider>
       </ThemeProvider>
     </QueryClientProvider>
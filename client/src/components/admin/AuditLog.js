@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { ChevronDownIcon, ChevronUpIcon } from '@heroicons/react/24/outline';
+import { useTranslation } from '../../contexts/LanguageContext';
+import { showError } from '../../utils/alerts';
+import Pagination from '../ui/Pagination';
+import API_CONFIG from '../../config/api';
+
+const PAGE_SIZE = 50;
+
+// Action prefixes the log can be filtered by, keyed to admin.audit.groups
+const ACTION_GROUPS = [
+  { value: '', key: 'all' },
+  { value: 'request.', key: 'requests' },
+  { value: 'complaint.', key: 'complaints' },
+  { value: 'user.', key: 'users' }
+];
+
+const DATE_TIME_FORMAT = { dateStyle: 'medium', timeStyle: 'short' };
+
+const inputClass = 'px-4 py-2 bg-white/10 border border-white/30 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500';
+
+const formatValue = (value) => {
+  if (value === undefined) return '—';
+  if (value !== null && typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+};
+
+const AuditLog = () => {
+  const { t, formatDate } = useTranslation();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ action: '', target: '', from: '', to: '' });
+  const [appliedFilters, setAppliedFilters] = useState(filters);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pagination, setPagination] = useState({ total: 1, totalEntries: 0 });
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [appliedFilters, currentPage]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const fetchEntries = async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ page: currentPage, limit: PAGE_SIZE });
+      Object.entries(appliedFilters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+      // Include the whole "to" day
+      if (appliedFilters.to) params.set('to', `${appliedFilters.to}T23:59:59`);
+
+      const response = await fetch(`${API_CONFIG.baseURL}/api/admin/audit?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setEntries(data.entries || []);
+        setPagination(data.pagination || { total: 1, totalEntries: 0 });
+      } else {
+        showError(t('common.error'), data.message || t('admin.audit.loadFailed'));
+      }
+    } catch (error) {
+      showError(t('common.error'), t('admin.audit.loadNetworkError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setCurrentPage(1);
+    setAppliedFilters(filters);
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <form onSubmit={handleSearch} className="bg-white/10 backdrop-blur-lg rounded-xl shadow-2xl border border-white/20 p-6">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+          <select
+            value={filters.action}
+            onChange={(e) => setFilters({ ...filters, action: e.target.value })}
+            className={inputClass}
+          >
+            {ACTION_GROUPS.map(group => (
+              <option key={group.value} value={group.value} className="bg-gray-800">{t(`admin.audit.groups.${group.key}`)}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={filters.target}
+            onChange={(e) => setFilters({ ...filters, target: e.target.value.trim() })}
+            placeholder={t('admin.audit.targetPlaceholder')}
+            className={`${inputClass} md:col-span-2`}
+          />
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+            className={inputClass}
+            title={t('admin.audit.from')}
+          />
+          <div className="flex space-x-2">
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+              className={`${inputClass} flex-1 min-w-0`}
+              title={t('admin.audit.to')}
+            />
+            <button
+              type="submit"
+              className="px-4 py-2 bg-gradient-to-r from-blue-500 via-purple-500 to-pink-500 text-white rounded-lg font-medium hover:opacity-90 transition-opacity"
+            >
+              {t('admin.audit.filter')}
+            </button>
+          </div>
+        </div>
+      </form>
+
+      {/* Entries */}
+      <div className="bg-white/10 backdrop-blur-lg rounded-xl shadow-2xl border border-white/20 p-6 overflow-x-auto">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
+          </div>
+        ) : entries.length === 0 ? (
+          <p className="text-center text-gray-400 py-12">{t('admin.audit.empty')}</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-400 border-b border-white/10">
+                <th className="py-2 pr-4">{t('admin.audit.columns.when')}</th>
+                <th className="py-2 pr-4">{t('admin.audit.columns.actor')}</th>
+                <th className="py-2 pr-4">{t('admin.audit.columns.action')}</th>
+                <th className="py-2 pr-4">{t('admin.audit.columns.target')}</th>
+                <th className="py-2 pr-4">{t('admin.audit.columns.changed')}</th>
+                <th className="py-2 pr-4">{t('admin.audit.columns.ip')}</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => {
+                const fields = [...new Set([
+                  ...Object.keys(entry.changes?.before || {}),
+                  ...Object.keys(entry.changes?.after || {})
+                ])];
+
+                return (
+                  <React.Fragment key={entry._id}>
+                    <tr className="border-b border-white/5 text-gray-200">
+                      <td className="py-3 pr-4 whitespace-nowrap text-gray-400">{formatDate(entry.createdAt, DATE_TIME_FORMAT)}</td>
+                      <td className="py-3 pr-4">
+                        <span className="text-white">{entry.actor?.name || t('admin.users.unknownActor')}</span>
+                        <p className="text-xs text-gray-400">{entry.actorRole && t(`roles.${entry.actorRole}`)}</p>
+                      </td>
+                      <td className="py-3 pr-4 font-mono text-xs text-purple-300">{entry.action}</td>
+                      <td className="py-3 pr-4">
+                        <span className="text-gray-300">{t(`admin.audit.targets.${entry.targetType}`)}</span>
+                        <p className="text-xs text-gray-500 font-mono">{entry.target}</p>
+                      </td>
+                      <td className="py-3 pr-4 text-xs text-gray-300">{fields.join(', ') || '—'}</td>
+                      <td className="py-3 pr-4 text-xs text-gray-400 font-mono">{entry.ip || '—'}</td>
+                      <td className="py-3">
+                        {fields.length > 0 && (
+                          <button
+                            onClick={() => setExpanded(expanded === entry._id ? null : entry._id)}
+                            className="p-1 rounded-lg bg-white/10 hover:bg-white/20 text-gray-300 transition-colors"
+                            title={t('admin.audit.showChanges')}
+                          >
+                            {expanded === entry._id ? <ChevronUpIcon className="w-4 h-4" /> : <ChevronDownIcon className="w-4 h-4" />}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {expanded === entry._id && (
+                      <tr className="border-b border-white/5">
+                        <td colSpan={7} className="py-3 px-4 bg-black/20">
+                          {entry.reason && <p className="text-xs text-gray-300 italic mb-2">{t('admin.audit.reason', { reason: entry.reason })}</p>}
+                          <div className="grid grid-cols-[auto_1fr_1fr] gap-x-4 gap-y-2 text-xs">
+                            <span className="text-gray-500">{t('admin.audit.field')}</span>
+                            <span className="text-gray-500">{t('admin.audit.before')}</span>
+                            <span className="text-gray-500">{t('admin.audit.after')}</span>
+                            {fields.map(field => (
+                              <React.Fragment key={field}>
+                                <span className="text-gray-300 font-medium">{field}</span>
+                                <pre className="text-red-300 whitespace-pre-wrap break-all">{formatValue(entry.changes?.before?.[field])}</pre>
+                                <pre className="text-green-300 whitespace-pre-wrap break-all">{formatValue(entry.changes?.after?.[field])}</pre>
+                              </React.Fragment>
+                            ))}
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <Pagination
+        currentPage={currentPage}
+        totalPages={pagination.total}
+        onPageChange={setCurrentPage}
+        totalItems={pagination.totalEntries}
+        itemsPerPage={PAGE_SIZE}
+      />
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,350 @@
+import React, { useState, useEffect } from 'react';
+import {
+  MagnifyingGlassIcon,
+  CheckBadgeIcon,
+  NoSymbolIcon,
+  ArrowPathIcon,
+  ClockIcon
+} from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import { useTranslation } from '../../contexts/LanguageContext';
+import { showError, showReasonPrompt, toastSuccess } from '../../utils/alerts';
+import Pagination from '../ui/Pagination';
+import API_CONFIG from '../../config/api';
+
+const PAGE_SIZE = 20;
+
+const ROLE_COLORS = {
+  citizen: 'bg-blue-500/20 text-blue-300',
+  volunteer: 'bg-green-500/20 text-green-300',
+  admin: 'bg-purple-500/20 text-purple-300'
+};
+
+const ROLES = ['citizen', 'volunteer', 'admin'];
+
+// Audit actions shown in a user's history, keyed to admin.users.actions
+const ACTION_KEYS = {
+  'user.suspend': 'suspend',
+  'user.reactivate': 'reactivate',
+  'user.role_change': 'role_change',
+  'user.verify': 'verify',
+  'user.unverify': 'unverify',
+  'user.profile_update': 'profile_update'
+};
+
+const DATE_TIME_FORMAT = { dateStyle: 'medium', timeStyle: 'short' };
+
+const inputClass = 'px-4 py-2 bg-white/10 border border-white/30 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500';
+
+const UserManagement = () => {
+  const { user: currentUser } = useAuth();
+  const { t, formatDate } = useTranslation();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ search: '', role: 'all', city: '', status: 'all' });
+  const [appliedFilters, setAppliedFilters] = useState(filters);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pagination, setPagination] = useState({ total: 1, totalUsers: 0 });
+  const [historyFor, setHistoryFor] = useState(null);
+  const [history, setHistory] = useState([]);
+
+  const authHeaders = () => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${localStorage.getItem('token')}`
+  });
+
+  useEffect(() => {
+    fetchUsers();
+  }, [appliedFilters, currentPage]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const fetchUsers = async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ page: currentPage, limit: PAGE_SIZE });
+      Object.entries(appliedFilters).forEach(([key, value]) => {
+        if (value && value !== 'all') params.append(key, value);
+      });
+
+      const response = await fetch(`${API_CONFIG.baseURL}/api/admin/users?${params}`, {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setUsers(data.users || []);
+        setPagination(data.pagination || { total: 1, totalUsers: 0 });
+      } else {
+        showError(t('common.error'), t('admin.users.loadFailed'));
+      }
+    } catch (error) {
+      showError(t('common.error'), t('admin.users.loadNetworkError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setCurrentPage(1);
+    setAppliedFilters(filters);
+  };
+
+  // Shared PUT for status, role and verification changes
+  const updateUser = async (userId, action, payload, prompt) => {
+    const result = await showReasonPrompt(prompt.title, prompt.text, prompt.confirmText);
+    if (!result.isConfirmed) return;
+
+    try {
+      const response = await fetch(`${API_CONFIG.baseURL}/api/admin/users/${userId}/${action}`, {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify({ ...payload, reason: result.value || undefined })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setUsers(prev => prev.map(u => (u._id === userId ? { ...u, ...data.user } : u)));
+        if (historyFor === userId) fetchHistory(userId);
+        toastSuccess(data.message);
+      } else {
+        showError(t('common.error'), data.message || t('admin.users.actionFailed'));
+      }
+    } catch (error) {
+      showError(t('common.error'), t('admin.users.networkError'));
+    }
+  };
+
+  const toggleStatus = (target) => updateUser(target._id, 'status', { isActive: !target.isActive }, target.isActive
+    ? { title: t('admin.users.suspendTitle', { name: target.name }), text: t('admin.users.suspendText'), confirmText: t('admin.users.suspend') }
+    : { title: t('admin.users.reactivateTitle', { name: target.name }), text: t('admin.users.reactivateText'), confirmText: t('admin.users.reactivate') });
+
+  const toggleVerified = (target) => updateUser(target._id, 'verify', { isVerified: !target.isVerified }, target.isVerified
+    ? { title: t('admin.users.revokeTitle', { name: target.name }), confirmText: t('admin.users.revoke') }
+    : { title: t('admin.users.verifyTitle', { name: target.name }), text: t('admin.users.verifyText'), confirmText: t('admin.users.verify') });
+
+  const changeRole = (target, role) => updateUser(target._id, 'role', { role }, {
+    title: t('admin.users.roleTitle', { name: target.name }),
+    text: `${t(`roles.${target.role}`)} → ${t(`roles.${role}`)}`,
+    confirmText: t('admin.users.changeRole')
+  });
+
+  const fetchHistory = async (userId) => {
+    try {
+      const response = await fetch(`${API_CONFIG.baseURL}/api/admin/users/${userId}/audit`, {
+        headers: authHeaders()
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setHistory(data.history || []);
+      }
+    } catch (error) {
+      console.error('Error fetching audit trail:', error);
+    }
+  };
+
+  const toggleHistory = (userId) => {
+    if (historyFor === userId) {
+      setHistoryFor(null);
+      return;
+    }
+    setHistory([]);
+    setHistoryFor(userId);
+    fetchHistory(userId);
+  };
+
+  const describeChange = (entry) => {
+    const before = entry.changes?.before || {};
+    const after = entry.changes?.after || {};
+    return Object.keys(after)
+      .map(field => `${field}: ${String(before[field])} → ${String(after[field])}`)
+      .join(', ');
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <form onSubmit={handleSearch} className="bg-white/10 backdrop-blur-lg rounded-xl shadow-2xl border border-white/20 p-6">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+          <div className="relative md:col-span-2">
+            <MagnifyingGlassIcon className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={filters.search}
+              onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+              placeholder={t('admin.users.searchPlaceholder')}
+              className={`${inputClass} w-full pl-10`}
+            />
+          </div>
+          <select
+            value={filters.role}
+            onChange={(e) => setFilters({ ...filters, role: e.target.value })}
+            className={inputClass}
+          >
+            <option value="all" className="bg-gray-800">{t('admin.users.allRoles')}</option>
+            {ROLES.map(role => (
+              <option key={role} value={role} className="bg-gray-800">{t(`admin.users.roleFilter.${role}`)}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={filters.city}
+            onChange={(e) => setFilters({ ...filters, city: e.target.value })}
+            placeholder={t('admin.users.columns.city')}
+            className={inputClass}
+          />
+          <div className="flex space-x-2">
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+              className={`${inputClass} flex-1`}
+            >
+              <option value="all" className="bg-gray-800">{t('admin.users.anyStatus')}</option>
+              <option value="active" className="bg-gray-800">{t('admin.users.active')}</option>
+              <option value="suspended" className="bg-gray-800">{t('admin.users.suspended')}</option>
+            </select>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-gradient-to-r from-blue-500 via-purple-500 to-pink-500 text-white rounded-lg font-medium hover:opacity-90 transition-opacity"
+            >
+              {t('allRequests.search')}
+            </button>
+          </div>
+        </div>
+      </form>
+
+      {/* Users table */}
+      <div className="bg-white/10 backdrop-blur-lg rounded-xl shadow-2xl border border-white/20 p-6 overflow-x-auto">
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
+          </div>
+        ) : users.length === 0 ? (
+          <p className="text-center text-gray-400 py-12">{t('admin.users.empty')}</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-400 border-b border-white/10">
+                <th className="py-2 pr-4">{t('admin.users.columns.user')}</th>
+                <th className="py-2 pr-4">{t('admin.users.columns.role')}</th>
+                <th className="py-2 pr-4">{t('admin.users.columns.city')}</th>
+                <th className="py-2 pr-4">{t('admin.users.columns.status')}</th>
+                <th className="py-2 pr-4">{t('admin.users.columns.joined')}</th>
+                <th className="py-2 text-right">{t('admin.users.columns.actions')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map(target => {
+                const isSelf = target._id === currentUser?.id;
+
+                return (
+                  <React.Fragment key={target._id}>
+                    <tr className="border-b border-white/5 text-gray-200">
+                      <td className="py-3 pr-4">
+                        <div className="flex items-center space-x-1">
+                          <span className="text-white font-medium">{target.name}</span>
+                          {target.isVerified && <CheckBadgeIcon className="w-4 h-4 text-green-400" title={t('admin.users.verifiedVolunteer')} />}
+                        </div>
+                        <p className="text-xs text-gray-400">{target.email}</p>
+                      </td>
+                      <td className="py-3 pr-4">
+                        {isSelf ? (
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${ROLE_COLORS[target.role]}`}>
+                            {t(`roles.${target.role}`)}
+                          </span>
+                        ) : (
+                          <select
+                            value={target.role}
+                            onChange={(e) => changeRole(target, e.target.value)}
+                            className="px-2 py-1 bg-white/10 border border-white/30 rounded text-white text-xs focus:outline-none"
+                          >
+                            {ROLES.map(role => (
+                              <option key={role} value={role} className="bg-gray-800">{t(`roles.${role}`)}</option>
+                            ))}
+                          </select>
+                        )}
+                      </td>
+                      <td className="py-3 pr-4">{target.address?.city || '—'}</td>
+                      <td className="py-3 pr-4">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                          target.isActive ? 'bg-green-500/20 text-green-300' : 'bg-red-500/20 text-red-300'
+                        }`}>
+                          {target.isActive ? t('admin.users.active') : t('admin.users.suspended')}
+                        </span>
+                      </td>
+                      <td className="py-3 pr-4 text-gray-400">{formatDate(target.createdAt)}</td>
+                      <td className="py-3">
+                        <div className="flex justify-end space-x-2">
+                          {target.role === 'volunteer' && !isSelf && (
+                            <button
+                              onClick={() => toggleVerified(target)}
+                              className="px-3 py-1 rounded-lg text-xs bg-white/10 hover:bg-white/20 text-green-300 transition-colors"
+                            >
+                              {target.isVerified ? t('admin.users.unverify') : t('admin.users.verify')}
+                            </button>
+                          )}
+                          {!isSelf && (
+                            <button
+                              onClick={() => toggleStatus(target)}
+                              className={`flex items-center space-x-1 px-3 py-1 rounded-lg text-xs bg-white/10 hover:bg-white/20 transition-colors ${
+                                target.isActive ? 'text-red-300' : 'text-blue-300'
+                              }`}
+                            >
+                              {target.isActive ? <NoSymbolIcon className="w-4 h-4" /> : <ArrowPathIcon className="w-4 h-4" />}
+                              <span>{target.isActive ? t('admin.users.suspend') : t('admin.users.reactivate')}</span>
+                            </button>
+                          )}
+                          <button
+                            onClick={() => toggleHistory(target._id)}
+                            className="p-1 rounded-lg bg-white/10 hover:bg-white/20 text-gray-300 transition-colors"
+                            title={t('admin.users.auditTrail')}
+                          >
+                            <ClockIcon className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                    {historyFor === target._id && (
+                      <tr className="border-b border-white/5">
+                        <td colSpan={6} className="py-3 px-4 bg-black/20">
+                          {history.length === 0 ? (
+                            <p className="text-xs text-gray-400">{t('admin.users.noHistory')}</p>
+                          ) : (
+                            <ul className="space-y-2">
+                              {history.map(entry => (
+                                <li key={entry._id} className="text-xs text-gray-300">
+                                  <span className="text-white font-medium">
+                                    {ACTION_KEYS[entry.action] ? t(`admin.users.actions.${ACTION_KEYS[entry.action]}`) : entry.action}
+                                  </span>
+                                  {' '}{t('admin.users.byActor', {
+                                    name: entry.actor?.name || t('admin.users.unknownActor'),
+                                    date: formatDate(entry.createdAt, DATE_TIME_FORMAT)
+                                  })}
+                                  <span className="text-gray-400"> ({describeChange(entry)})</span>
+                                  {entry.reason && <p className="text-gray-400 italic">"{entry.reason}"</p>}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <Pagination
+        currentPage={currentPage}
+        totalPages={pagination.total}
+        onPageChange={setCurrentPage}
+        totalItems={pagination.totalUsers}
+        itemsPerPage={PAGE_SIZE}
+      />
+    </div>
+  );
+};
+
+export default UserManagement;
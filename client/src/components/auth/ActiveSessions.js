@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { ComputerDesktopIcon, DevicePhoneMobileIcon, ShieldCheckIcon } from '@heroicons/react/24/outline';
+import apiClient from '../../utils/apiClient';
+import { showConfirmation, showError, toastSuccess } from '../../utils/alerts';
+import { useAuth } from '../../contexts/AuthContext';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+// "Chrome on Windows" from a user agent string
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Chrome/', 'Chrome'],
+    ['Firefox/', 'Firefox'],
+    ['Safari/', 'Safari']
+  ].find(([token]) => userAgent.includes(token))?.[1];
+  const os = [
+    ['Android', 'Android'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iOS'],
+    ['Windows', 'Windows'],
+    ['Mac OS', 'macOS'],
+    ['Linux', 'Linux']
+  ].find(([token]) => userAgent.includes(token))?.[1];
+
+  return {
+    browser,
+    os,
+    mobile: /Android|iPhone|iPad|Mobile/.test(userAgent)
+  };
+};
+
+/**
+ * Devices the user is signed in on, with sign-out for each of them
+ */
+const ActiveSessions = () => {
+  const { logout } = useAuth();
+  const { t, formatRelativeTime } = useTranslation();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchSessions = async () => {
+    try {
+      const data = await apiClient.get('/api/auth/sessions');
+      setSessions(data.sessions || []);
+    } catch (error) {
+      showError(t('common.error'), error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const revokeSession = async (session) => {
+    const result = await showConfirmation(
+      session.current ? t('sessions.confirmLogoutCurrent') : t('sessions.confirmRevoke'),
+      '',
+      t('sessions.signOut'),
+      t('common.cancel')
+    );
+    if (!result.isConfirmed) return;
+
+    try {
+      await apiClient.delete(`/api/auth/sessions/${session._id}`);
+      if (session.current) {
+        await logout();
+        return;
+      }
+      setSessions(prev => prev.filter(s => s._id !== session._id));
+      toastSuccess(t('sessions.revoked'));
+    } catch (error) {
+      showError(t('common.error'), error.message);
+    }
+  };
+
+  const revokeOthers = async () => {
+    const result = await showConfirmation(t('sessions.confirmRevokeOthers'), '', t('sessions.signOut'), t('common.cancel'));
+    if (!result.isConfirmed) return;
+
+    try {
+      const data = await apiClient.delete('/api/auth/sessions');
+      setSessions(prev => prev.filter(s => s.current));
+      toastSuccess(t('sessions.revokedOthers', { count: data.count }));
+    } catch (error) {
+      showError(t('common.error'), error.message);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.3 }}
+      className="bg-white/10 backdrop-blur-lg rounded-xl shadow-2xl border border-white/20 p-8"
+    >
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center space-x-3">
+          <ShieldCheckIcon className="w-6 h-6 text-green-400" />
+          <h2 className="text-2xl font-bold text-white">{t('sessions.title')}</h2>
+        </div>
+        {sessions.length > 1 && (
+          <button
+            onClick={revokeOthers}
+            className="text-sm text-red-400 hover:text-red-300 font-medium transition-colors"
+          >
+            {t('sessions.signOutOthers')}
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-400"></div>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {sessions.map(session => {
+            const device = describeDevice(session.userAgent);
+            const Icon = device.mobile ? DevicePhoneMobileIcon : ComputerDesktopIcon;
+
+            return (
+              <div key={session._id} className="flex items-center justify-between p-4 bg-white/10 rounded-lg border border-white/20">
+                <div className="flex items-center space-x-3">
+                  <Icon className="w-6 h-6 text-blue-400" />
+                  <div>
+                    <p className="font-medium text-white">
+                      {device.browser && device.os
+                        ? t('sessions.device', { browser: device.browser, os: device.os })
+                        : device.browser || device.os || t('sessions.unknownDevice')}
+                      {session.current && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-500/20 text-green-400">
+                          {t('sessions.thisDevice')}
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-300">
+                      {t('sessions.lastActive', { time: formatRelativeTime(session.lastUsedAt) })}
+                      {session.ip && ` · ${session.ip}`}
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => revokeSession(session)}
+                  className="text-sm text-gray-300 hover:text-red-400 transition-colors"
+                >
+                  {t('sessions.signOut')}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default ActiveSessions;
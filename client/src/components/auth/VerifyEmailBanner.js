@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import { EnvelopeIcon } from '@heroicons/react/24/outline';
+import apiClient from '../../utils/apiClient';
+import { showError, toastSuccess } from '../../utils/alerts';
+import { useAuth } from '../../contexts/AuthContext';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+/**
+ * Reminder shown in the dashboards until the user confirms their email address
+ */
+const VerifyEmailBanner = () => {
+  const { user } = useAuth();
+  const { t } = useTranslation();
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.emailVerified) return null;
+
+  const resend = async () => {
+    setSending(true);
+    try {
+      await apiClient.post('/api/auth/resend-verification', {});
+      toastSuccess(t('verifyEmail.resent', { email: user.email }));
+    } catch (error) {
+      showError(t('common.error'), error.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 rounded-xl bg-yellow-500/10 border border-yellow-500/30">
+      <div className="flex items-start space-x-3">
+        <EnvelopeIcon className="w-6 h-6 text-yellow-400 flex-shrink-0" />
+        <div>
+          <p className="font-medium text-yellow-300">{t('verifyEmail.bannerTitle')}</p>
+          <p className="text-sm text-gray-300">{t('verifyEmail.bannerText', { email: user.email })}</p>
+        </div>
+      </div>
+      <button
+        onClick={resend}
+        disabled={sending}
+        className="self-start sm:self-center px-4 py-2 rounded-lg text-sm font-medium bg-yellow-500/20 text-yellow-300 hover:bg-yellow-500/30 disabled:opacity-50 transition-colors whitespace-nowrap"
+      >
+        {sending ? t('verifyEmail.sending') : t('verifyEmail.resend')}
+      </button>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
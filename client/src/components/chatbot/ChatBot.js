@@ -10,6 +10,7 @@ import {
 } from '@heroicons/react/24/outline';
 import SimpleVoiceInput from './SimpleVoiceInput';
 import QuickTextInput from './QuickTextInput';
+import RequestDraftCard from './RequestDraftCard';
 import voiceService from '../../utils/voiceService';
 import toast from 'react-hot-toast';
 import { AuthContext } from '../../contexts/AuthContext';
@@ -28,7 +29,7 @@ const ChatBot = () => {
   ]);
 
   const [isProcessing, setIsProcessing] = useState(false);
-  const [conversationContext, setConversationContext] = useState({});
+  const [chatSession, setChatSession] = useState(null);
 
   // Text-to-Speech function
   const speakText = (text, language = 'en') => {
@@ -93,6 +94,57 @@ const ChatBot = () => {
   };
   const [lastTranscription, setLastTranscription] = useState(null);
 
+  const addBotMessage = (text, type, data) => {
+    setMessages(prev => [...prev, {
+      id: Date.now(),
+      text,
+      sender: 'bot',
+      timestamp: new Date(),
+      type,
+      data
+    }]);
+  };
+
+  const handleSaveDraft = async (fields) => {
+    const result = await voiceService.updateChatDraft(fields);
+
+    if (!result.success) {
+      toast.error(result.error);
+      return false;
+    }
+
+    setChatSession(result.data.state === 'confirming' ? result.data : null);
+    if (result.data.state === 'collecting') addBotMessage(result.data.pendingQuestion, 'question');
+    return true;
+  };
+
+  const handleConfirmDraft = async () => {
+    setIsProcessing(true);
+
+    try {
+      const result = await voiceService.confirmChatSession();
+
+      if (result.success) {
+        setChatSession(null);
+        addBotMessage(result.data.geminiResponse, 'success', result.data);
+        toast.success('Request created successfully!');
+      } else {
+        toast.error(result.error);
+      }
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleCancelDraft = async () => {
+    const result = await voiceService.cancelChatSession();
+    setChatSession(null);
+
+    if (result.success) {
+      addBotMessage('Okay, I\'ve cancelled that. Nothing was submitted. How else can I help?', 'response');
+    }
+  };
+
   const messagesEndRef = useRef(null);
 
   // Scroll to bottom when new messages are added
@@ -142,14 +194,11 @@ const ChatBot = () => {
 
       // Send text message to backend
       try {
-        const result = await voiceService.sendTextMessage(userMessage.text, 'en', conversationContext);
+        const result = await voiceService.sendTextMessage(userMessage.text, 'en');
 
         if (result.success) {
-          // Update conversation context with extracted info
-          if (result.data.extractedInfo) {
-            setConversationContext(result.data.extractedInfo);
-          }
-          
+          setChatSession(result.data.session?.state === 'confirming' ? result.data.session : null);
+
           let botResponseText = '';
           
           // If needs more info, show the follow-up question
@@ -158,8 +207,6 @@ const ChatBot = () => {
           } else if (result.data.createdRequestId) {
             // Request was created successfully
             botResponseText = result.data.geminiResponse;
-            // Clear conversation context after successful request creation
-            setConversationContext({});
           } else {
             // General inquiry
             botResponseText = result.data.geminiResponse || `Thank you for your message!`;
@@ -178,6 +225,8 @@ const ChatBot = () => {
           
           if (result.data.createdRequestId) {
             toast.success('Request created successfully!');
+          } else if (result.data.awaitingConfirmation) {
+            toast('Please review your request', { icon: '📋' });
           } else if (result.data.needsMoreInfo) {
             toast.info('Please provide more details');
           } else {
@@ -621,6 +670,15 @@ const ChatBot = () => {
                   </div>
                 </motion.div>
               ))}
+              {chatSession && (
+                <RequestDraftCard
+                  draft={chatSession.draft}
+                  onConfirm={handleConfirmDraft}
+                  onSave={handleSaveDraft}
+                  onCancel={handleCancelDraft}
+                  disabled={isProcessing}
+                />
+              )}
               {isProcessing && (
                 <div className="flex justify-start">
                   <div className="bg-gray-700/80 text-gray-100 px-4 py-2 rounded-2xl border border-gray-600/30">
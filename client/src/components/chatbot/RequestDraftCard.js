@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { CheckIcon, PencilSquareIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+const DRAFT_TYPES = ['blood', 'elder_support', 'complaint'];
+
+// Editable draft fields; options mirror the Request schema and optionKeys name their catalog section
+const FIELDS = {
+  bloodType: { options: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'] },
+  urgencyLevel: { options: ['low', 'medium', 'high', 'urgent'], optionKeys: 'urgency' },
+  unitsNeeded: { type: 'number' },
+  serviceType: {
+    options: ['Medicine Delivery', 'Grocery Shopping', 'Medical Appointment', 'Household Help', 'Companionship', 'Emergency Assistance', 'Other'],
+    optionKeys: 'options.serviceType'
+  },
+  frequency: { options: ['one-time', 'daily', 'weekly', 'monthly'], optionKeys: 'requestDraft.frequency' },
+  complaintCategory: {
+    options: ['Infrastructure', 'Sanitation', 'Water Supply', 'Electricity', 'Road Maintenance', 'Waste Management', 'Public Safety', 'Healthcare', 'Education', 'Transportation', 'Other'],
+    optionKeys: 'options.complaintCategory'
+  },
+  phone: { type: 'tel' }
+};
+
+const inputClass = 'w-full px-2 py-1 bg-gray-800/80 border border-gray-600/50 rounded text-white text-xs focus:outline-none focus:ring-1 focus:ring-purple-500';
+
+const toForm = (draft) => ({
+  ...Object.fromEntries(Object.keys(FIELDS).filter(field => field in draft).map(field => [field, draft[field] ?? ''])),
+  address: draft.location?.address || '',
+  city: draft.location?.city || ''
+});
+
+/**
+ * Structured request draft from the chatbot, shown before anything is submitted
+ */
+const RequestDraftCard = ({ draft, onConfirm, onSave, onCancel, disabled = false }) => {
+  const { t } = useTranslation();
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState(() => toForm(draft));
+
+  useEffect(() => {
+    setForm(toForm(draft));
+  }, [draft]);
+
+  const fields = Object.keys(FIELDS).filter(field => field in draft);
+
+  const optionLabel = (field, value) => (value && FIELDS[field].optionKeys ? t(`${FIELDS[field].optionKeys}.${value}`) : value);
+
+  const handleSave = async () => {
+    const { address, city, ...values } = form;
+    const changes = {};
+
+    fields.forEach(field => {
+      if (values[field] !== '' && String(values[field]) !== String(draft[field] ?? '')) {
+        changes[field] = field === 'unitsNeeded' ? parseInt(values[field], 10) : values[field];
+      }
+    });
+    if (address !== (draft.location?.address || '') || city !== (draft.location?.city || '')) {
+      changes.location = { address, city };
+    }
+
+    if (Object.keys(changes).length === 0 || await onSave(changes)) {
+      setEditing(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-700/90 border border-purple-500/40 rounded-xl p-4 text-gray-100">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-semibold text-white">📋 {t(`requestDraft.titles.${DRAFT_TYPES.includes(draft.type) ? draft.type : 'other'}`)}</h4>
+        {!editing && (
+          <button
+            onClick={() => setEditing(true)}
+            disabled={disabled}
+            className="flex items-center space-x-1 text-xs text-purple-300 hover:text-white transition-colors disabled:cursor-not-allowed"
+          >
+            <PencilSquareIcon className="w-4 h-4" />
+            <span>{t('requestDraft.edit')}</span>
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-2 text-xs items-center">
+        {fields.map(field => (
+          <React.Fragment key={field}>
+            <span className="text-gray-400">{t(`requestDraft.fields.${field}`)}</span>
+            {editing ? (
+              FIELDS[field].options ? (
+                <select
+                  value={form[field]}
+                  onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="" className="bg-gray-800">{t('requestDraft.notSpecified')}</option>
+                  {FIELDS[field].options.map(option => (
+                    <option key={option} value={option} className="bg-gray-800">{optionLabel(field, option)}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type={FIELDS[field].type}
+                  value={form[field]}
+                  min={FIELDS[field].type === 'number' ? 1 : undefined}
+                  onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+                  className={inputClass}
+                />
+              )
+            ) : (
+              <span className="text-white">{draft[field] != null ? optionLabel(field, draft[field]) : '—'}</span>
+            )}
+          </React.Fragment>
+        ))}
+
+        <span className="text-gray-400">{t('requestDraft.fields.location')}</span>
+        {editing ? (
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              value={form.address}
+              onChange={(e) => setForm({ ...form, address: e.target.value })}
+              placeholder={t('requestDraft.address')}
+              className={inputClass}
+            />
+            <input
+              type="text"
+              value={form.city}
+              onChange={(e) => setForm({ ...form, city: e.target.value })}
+              placeholder={t('requestDraft.city')}
+              className={`${inputClass} w-28`}
+            />
+          </div>
+        ) : (
+          <span className="text-white">{[draft.location?.address, draft.location?.city].filter(Boolean).join(', ') || '—'}</span>
+        )}
+      </div>
+
+      <div className="flex justify-end space-x-2 mt-4">
+        {editing ? (
+          <>
+            <button
+              onClick={() => { setForm(toForm(draft)); setEditing(false); }}
+              disabled={disabled}
+              className="px-3 py-1.5 text-xs rounded-lg bg-gray-600/60 hover:bg-gray-600 text-gray-200 transition-colors"
+            >
+              {t('requestDraft.discard')}
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={disabled}
+              className="px-3 py-1.5 text-xs rounded-lg bg-purple-600 hover:bg-purple-700 text-white transition-colors disabled:opacity-50"
+            >
+              {t('requestDraft.save')}
+            </button>
+          </>
+        ) : (
+          <>
+            <button
+              onClick={onCancel}
+              disabled={disabled}
+              className="flex items-center space-x-1 px-3 py-1.5 text-xs rounded-lg bg-gray-600/60 hover:bg-gray-600 text-gray-200 transition-colors disabled:opacity-50"
+            >
+              <XMarkIcon className="w-4 h-4" />
+              <span>{t('common.cancel')}</span>
+            </button>
+            <button
+              onClick={onConfirm}
+              disabled={disabled}
+              className="flex items-center space-x-1 px-3 py-1.5 text-xs rounded-lg bg-gradient-to-r from-green-600 to-emerald-600 hover:from-green-700 hover:to-emerald-700 text-white font-medium transition-colors disabled:opacity-50"
+            >
+              <CheckIcon className="w-4 h-4" />
+              <span>{t('requestDraft.confirm')}</span>
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RequestDraftCard;
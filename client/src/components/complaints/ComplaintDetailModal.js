@@ -1,23 +1,63 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import {
   XMarkIcon,
   MapPinIcon,
   ClockIcon,
   UserIcon,
-  ChatBubbleLeftRightIcon
+  ChatBubbleLeftRightIcon,
+  PhotoIcon
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../../hooks/useAuth';
-import { showError, showSuccess, showLoading, closeLoading } from '../../utils/alerts';
+import { showError, showSuccess, showLoading, closeLoading, showConfirmation, toastSuccess } from '../../utils/alerts';
+import apiClient from '../../utils/apiClient';
+import { uploadAttachments, MAX_ATTACHMENTS_PER_ITEM } from '../../utils/attachments';
+import TranslationToggle, { getDisplayedContent } from '../ui/TranslationToggle';
+import AttachmentGallery from '../ui/AttachmentGallery';
+import AttachmentPicker from '../ui/AttachmentPicker';
+import StarRating from '../ui/StarRating';
+import RatingForm from '../ui/RatingForm';
+import VolunteerRatingSummary from '../ui/VolunteerRatingSummary';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+const DATE_TIME_FORMAT = { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
 
 const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
   const { user } = useAuth();
+  const { t, formatDate } = useTranslation();
   const [newUpdate, setNewUpdate] = useState('');
   const [newStatus, setNewStatus] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [showOriginal, setShowOriginal] = useState(false);
+  const [images, setImages] = useState([]);
+  const [newAttachments, setNewAttachments] = useState([]);
+  const [allowedTransitions, setAllowedTransitions] = useState([]);
+  const [statusNote, setStatusNote] = useState('');
+  const [rating, setRating] = useState(null);
+
+  useEffect(() => {
+    setShowOriginal(false);
+    setImages(complaint?.images || []);
+    setNewAttachments([]);
+    setNewStatus('');
+    setStatusNote('');
+    setAllowedTransitions([]);
+    setRating(complaint?.rating?.score ? complaint.rating : null);
+  }, [complaint?._id]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // The server decides which status changes this user may make from the current status
+  useEffect(() => {
+    if (!isOpen || !complaint?._id) return;
+
+    apiClient.get(`/api/complaints/${complaint._id}`)
+      .then(data => setAllowedTransitions(data.allowedTransitions || []))
+      .catch(error => console.error('Failed to load complaint transitions:', error));
+  }, [isOpen, complaint?._id, complaint?.status]);
 
   if (!isOpen || !complaint) return null;
 
+  const content = getDisplayedContent(complaint, showOriginal);
+
   const getStatusColor = (status) => {
     const colors = {
       open: 'bg-blue-100 text-blue-800',
@@ -40,20 +80,12 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
     return colors[priority] || 'text-gray-600';
   };
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-  };
+  const formatDateTime = (value) => formatDate(value, DATE_TIME_FORMAT);
 
   const handleApplyForComplaint = async () => {
     try {
       setIsSubmitting(true);
-      showLoading('Applying for complaint...');
+      showLoading(t('complaints.applying'));
       
       const response = await fetch(`${process.env.REACT_APP_API_URL || 'https://sevalink-ttbd.onrender.com'}/api/complaints/${complaint._id}/apply`, {
         method: 'POST',
@@ -62,23 +94,23 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
           'Authorization': `Bearer ${localStorage.getItem('token')}`
         },
         body: JSON.stringify({
-          message: 'I would like to help with this complaint.',
-          estimatedTime: 'Within 24 hours'
+          message: t('complaints.applyMessage'),
+          estimatedTime: t('complaints.applyEstimatedTime')
         })
       });
 
       if (response.ok) {
         closeLoading();
-        showSuccess('Success', 'Application submitted successfully!');
+        showSuccess(t('common.success'), t('complaints.applied'));
         onUpdate();
       } else {
         const data = await response.json();
         closeLoading();
-        showError('Error', data.message || 'Failed to apply for complaint');
+        showError(t('common.error'), data.message || t('complaints.applyFailed'));
       }
     } catch (error) {
       closeLoading();
-      showError('Error', 'Network error while applying for complaint');
+      showError(t('common.error'), t('complaints.applyNetworkError'));
     } finally {
       setIsSubmitting(false);
     }
@@ -87,7 +119,7 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
   const handleAssignVolunteer = async (volunteerId) => {
     try {
       setIsSubmitting(true);
-      showLoading('Assigning volunteer...');
+      showLoading(t('complaints.detail.assigning'));
       
       const response = await fetch(`${process.env.REACT_APP_API_URL || 'https://sevalink-ttbd.onrender.com'}/api/complaints/${complaint._id}/assign/${volunteerId}`, {
         method: 'POST',
@@ -98,27 +130,31 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
 
       if (response.ok) {
         closeLoading();
-        showSuccess('Success', 'Volunteer assigned successfully!');
+        showSuccess(t('common.success'), t('complaints.detail.assigned'));
         onUpdate();
       } else {
         const data = await response.json();
         closeLoading();
-        showError('Error', data.message || 'Failed to assign volunteer');
+        showError(t('common.error'), data.message || t('complaints.detail.assignFailed'));
       }
     } catch (error) {
       closeLoading();
-      showError('Error', 'Network error while assigning volunteer');
+      showError(t('common.error'), t('complaints.detail.assignNetworkError'));
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  const selectedTransition = allowedTransitions.find(transition => transition.status === newStatus);
+  // Each transition needs at most one of these
+  const noteField = selectedTransition?.requires.find(field => field === 'resolutionNote' || field === 'reason');
+
   const handleStatusUpdate = async () => {
-    if (!newStatus) return;
+    if (!newStatus || (noteField && !statusNote.trim())) return;
 
     try {
       setIsSubmitting(true);
-      showLoading('Updating status...');
+      showLoading(t('complaints.detail.updatingStatus'));
       
       const response = await fetch(`${process.env.REACT_APP_API_URL || 'https://sevalink-ttbd.onrender.com'}/api/complaints/${complaint._id}/status`, {
         method: 'PUT',
@@ -128,24 +164,28 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
         },
         body: JSON.stringify({
           status: newStatus,
-          message: newUpdate || `Status changed to ${newStatus}`
+          ...(newUpdate.trim() && { message: newUpdate }),
+          ...(noteField && { [noteField]: statusNote })
         })
       });
 
+      const data = await response.json();
+
       if (response.ok) {
         closeLoading();
-        showSuccess('Success', 'Status updated successfully!');
+        showSuccess(t('common.success'), t('complaints.detail.statusUpdated'));
         setNewStatus('');
+        setStatusNote('');
         setNewUpdate('');
+        setAllowedTransitions(data.allowedTransitions || []);
         onUpdate();
       } else {
-        const data = await response.json();
         closeLoading();
-        showError('Error', data.message || 'Failed to update status');
+        showError(t('common.error'), data.message || t('complaints.detail.statusFailed'));
       }
     } catch (error) {
       closeLoading();
-      showError('Error', 'Network error while updating status');
+      showError(t('common.error'), t('complaints.detail.statusNetworkError'));
     } finally {
       setIsSubmitting(false);
     }
@@ -156,7 +196,7 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
 
     try {
       setIsSubmitting(true);
-      showLoading('Adding update...');
+      showLoading(t('complaints.detail.addingUpdate'));
       
       const response = await fetch(`${process.env.REACT_APP_API_URL || 'https://sevalink-ttbd.onrender.com'}/api/complaints/${complaint._id}/updates`, {
         method: 'POST',
@@ -171,22 +211,54 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
 
       if (response.ok) {
         closeLoading();
-        showSuccess('Success', 'Update added successfully!');
+        showSuccess(t('common.success'), t('complaints.detail.updateAdded'));
         setNewUpdate('');
         onUpdate();
       } else {
         const data = await response.json();
         closeLoading();
-        showError('Error', data.message || 'Failed to add update');
+        showError(t('common.error'), data.message || t('complaints.detail.addUpdateFailed'));
       }
     } catch (error) {
       closeLoading();
-      showError('Error', 'Network error while adding update');
+      showError(t('common.error'), t('complaints.detail.addUpdateNetworkError'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleUploadAttachments = async () => {
+    try {
+      setIsSubmitting(true);
+      showLoading(t('complaints.detail.uploading'));
+      const updated = await uploadAttachments(`/api/complaints/${complaint._id}/attachments`, newAttachments);
+      setImages(updated);
+      setNewAttachments([]);
+      closeLoading();
+      toastSuccess(t('complaints.detail.uploaded'));
+      onUpdate();
+    } catch (error) {
+      closeLoading();
+      showError(t('common.error'), error.message || t('complaints.detail.uploadFailed'));
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  const handleRemoveAttachment = async (attachment) => {
+    const result = await showConfirmation(t('complaints.detail.removeTitle'), attachment.filename || '', t('complaints.detail.remove'), t('common.cancel'));
+    if (!result.isConfirmed) return;
+
+    try {
+      const data = await apiClient.delete(`/api/complaints/${complaint._id}/attachments/${attachment._id}`);
+      setImages(data.images);
+      toastSuccess(t('complaints.detail.removed'));
+      onUpdate();
+    } catch (error) {
+      showError(t('common.error'), error.message || t('complaints.detail.removeFailed'));
+    }
+  };
+
   const canApply = user?.role === 'volunteer' && 
                    complaint.status === 'open' && 
                    !complaint.volunteerApplications?.some(app => app.volunteer._id === user.id);
@@ -194,14 +266,29 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
   const canAssign = (user?.role === 'citizen' && complaint.citizen._id === user.id) || 
                     user?.role === 'admin';
 
-  const canUpdateStatus = (user?.role === 'volunteer' && complaint.assignedVolunteer?._id === user.id) ||
-                          (user?.role === 'citizen' && complaint.citizen._id === user.id) ||
-                          user?.role === 'admin';
+  // Assigning is done with the Assign buttons on volunteer applications
+  const statusOptions = allowedTransitions.filter(transition => !transition.requires.includes('volunteer'));
+  const canUpdateStatus = statusOptions.length > 0;
 
   const canAddUpdate = complaint.citizen._id === user?.id ||
                        complaint.assignedVolunteer?._id === user?.id ||
                        user?.role === 'admin';
 
+  const currentUserId = user?._id || user?.id;
+  const citizenId = complaint.citizen?._id || complaint.citizen;
+
+  const canAttach = citizenId === currentUserId ||
+                    (complaint.assignedVolunteer?._id || complaint.assignedVolunteer) === currentUserId ||
+                    user?.role === 'admin';
+
+  const canRemoveAttachment = (attachment) => (attachment.uploadedBy?._id || attachment.uploadedBy) === currentUserId ||
+                                              citizenId === currentUserId ||
+                                              user?.role === 'admin';
+
+  const canRate = citizenId === currentUserId &&
+                  ['resolved', 'closed'].includes(complaint.status) &&
+                  !!complaint.assignedVolunteer;
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
       <motion.div
@@ -213,16 +300,16 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
         {/* Header */}
         <div className="flex justify-between items-start p-6 border-b border-gray-200">
           <div className="flex-1">
-            <h2 className="text-2xl font-bold text-gray-900 mb-2">{complaint.title}</h2>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">{content.title}</h2>
             <div className="flex items-center space-x-4">
-              <span className={`px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(complaint.status)}`}>
-                {complaint.status.replace('_', ' ').toUpperCase()}
+              <span className={`px-3 py-1 rounded-full text-sm font-medium uppercase ${getStatusColor(complaint.status)}`}>
+                {t(`status.${complaint.status}`)}
               </span>
-              <span className={`text-sm font-medium ${getPriorityColor(complaint.priority)}`}>
-                {complaint.priority.toUpperCase()} PRIORITY
+              <span className={`text-sm font-medium uppercase ${getPriorityColor(complaint.priority)}`}>
+                {t('allRequests.modal.priority', { level: t(`urgency.${complaint.priority}`) })}
               </span>
-              <span className="text-sm text-gray-500">
-                {complaint.type.replace('_', ' ').toUpperCase()}
+              <span className="text-sm text-gray-500 uppercase">
+                {t(`complaints.types.${complaint.type}`)}
               </span>
             </div>
           </div>
@@ -238,30 +325,86 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
         <div className="p-6 space-y-6">
           {/* Description */}
           <div>
-            <h3 className="text-lg font-semibold text-gray-900 mb-2">Description</h3>
-            <p className="text-gray-700 leading-relaxed">{complaint.description}</p>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-lg font-semibold text-gray-900">{t('addRequest.fields.description')}</h3>
+              <TranslationToggle
+                item={complaint}
+                showOriginal={showOriginal}
+                onToggle={setShowOriginal}
+                className="text-blue-600"
+              />
+            </div>
+            <p className="text-gray-700 leading-relaxed">{content.description}</p>
           </div>
 
+          {complaint.resolution?.note && (
+            <div className="p-4 rounded-lg bg-green-50 border border-green-200">
+              <h4 className="font-semibold text-green-800 mb-1">{t('complaints.detail.resolution')}</h4>
+              <p className="text-sm text-green-900">{complaint.resolution.note}</p>
+            </div>
+          )}
+
+          {complaint.status === 'cancelled' && complaint.cancellation?.reason && (
+            <div className="p-4 rounded-lg bg-red-50 border border-red-200">
+              <h4 className="font-semibold text-red-800 mb-1">{t('status.cancelled')}</h4>
+              <p className="text-sm text-red-900">{complaint.cancellation.reason}</p>
+            </div>
+          )}
+
+          {/* Attachments */}
+          {(images.length > 0 || canAttach) && (
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+                <PhotoIcon className="w-5 h-5 mr-2" />
+                {t('complaints.photos')}
+              </h3>
+              <AttachmentGallery
+                attachments={images}
+                canRemove={canRemoveAttachment}
+                onRemove={handleRemoveAttachment}
+              />
+              {canAttach && (
+                <div className={images.length > 0 ? 'mt-4' : ''}>
+                  <AttachmentPicker
+                    files={newAttachments}
+                    onChange={setNewAttachments}
+                    maxFiles={Math.max(MAX_ATTACHMENTS_PER_ITEM - images.length, 0)}
+                    disabled={isSubmitting}
+                  />
+                  {newAttachments.length > 0 && (
+                    <button
+                      onClick={handleUploadAttachments}
+                      disabled={isSubmitting}
+                      className="mt-3 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors disabled:opacity-50"
+                    >
+                      {t('complaints.detail.upload', { count: newAttachments.length })}
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Details Grid */}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             {/* Basic Info */}
             <div className="space-y-4">
               <div>
-                <h4 className="font-semibold text-gray-900 mb-2">Details</h4>
+                <h4 className="font-semibold text-gray-900 mb-2">{t('complaints.detail.details')}</h4>
                 <div className="space-y-2 text-sm">
                   <div className="flex items-center space-x-2">
-                    <span className="text-gray-500">Category:</span>
-                    <span className="font-medium">{complaint.category.replace('_', ' ')}</span>
+                    <span className="text-gray-500">{t('myRequests.category')}</span>
+                    <span className="font-medium">{t(`complaints.categories.${complaint.category}`)}</span>
                   </div>
                   <div className="flex items-center space-x-2">
                     <ClockIcon className="w-4 h-4 text-gray-500" />
-                    <span className="text-gray-500">Created:</span>
-                    <span>{formatDate(complaint.createdAt)}</span>
+                    <span className="text-gray-500">{t('myRequests.createdLabel')}</span>
+                    <span>{formatDateTime(complaint.createdAt)}</span>
                   </div>
                   {complaint.expectedResolutionTime && (
                     <div className="flex items-center space-x-2">
-                      <span className="text-gray-500">Expected Resolution:</span>
-                      <span>{complaint.expectedResolutionTime.replace('_', ' ')}</span>
+                      <span className="text-gray-500">{t('complaints.detail.expectedResolution')}</span>
+                      <span>{t(`complaints.resolutionTimes.${complaint.expectedResolutionTime}`)}</span>
                     </div>
                   )}
                 </div>
@@ -272,7 +415,7 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
                 <div>
                   <h4 className="font-semibold text-gray-900 mb-2 flex items-center">
                     <MapPinIcon className="w-4 h-4 mr-1" />
-                    Location
+                    {t('addRequest.fields.location')}
                   </h4>
                   <div className="text-sm text-gray-700">
                     {[
@@ -289,7 +432,7 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
             {/* People Involved */}
             <div className="space-y-4">
               <div>
-                <h4 className="font-semibold text-gray-900 mb-2">Submitted By</h4>
+                <h4 className="font-semibold text-gray-900 mb-2">{t('complaints.detail.submittedBy')}</h4>
                 <div className="flex items-center space-x-3">
                   <div className="w-8 h-8 bg-blue-500 rounded-full flex items-center justify-center">
                     <UserIcon className="w-4 h-4 text-white" />
@@ -303,7 +446,7 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
 
               {complaint.assignedVolunteer && (
                 <div>
-                  <h4 className="font-semibold text-gray-900 mb-2">Assigned Volunteer</h4>
+                  <h4 className="font-semibold text-gray-900 mb-2">{t('complaints.detail.assignedVolunteer')}</h4>
                   <div className="flex items-center space-x-3">
                     <div className="w-8 h-8 bg-green-500 rounded-full flex items-center justify-center">
                       <UserIcon className="w-4 h-4 text-white" />
@@ -311,6 +454,7 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
                     <div>
                       <div className="font-medium">{complaint.assignedVolunteer.name}</div>
                       <div className="text-sm text-gray-500">{complaint.assignedVolunteer.email}</div>
+                      <VolunteerRatingSummary volunteer={complaint.assignedVolunteer} />
                     </div>
                   </div>
                 </div>
@@ -318,10 +462,35 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
             </div>
           </div>
 
+          {/* Rating */}
+          {(rating || canRate) && (
+            <div className="p-4 rounded-lg bg-yellow-50 border border-yellow-200">
+              <h4 className="font-semibold text-yellow-800 mb-2">
+                {rating ? t('complaints.detail.volunteerRating') : t('complaints.detail.rateVolunteer')}
+              </h4>
+              {rating ? (
+                <>
+                  <StarRating value={rating.score} />
+                  {rating.feedback && (
+                    <p className="mt-2 text-sm text-yellow-900 italic">"{rating.feedback}"</p>
+                  )}
+                </>
+              ) : (
+                <RatingForm
+                  endpoint={`/api/complaints/${complaint._id}/rating`}
+                  onRated={(saved) => {
+                    setRating(saved);
+                    onUpdate();
+                  }}
+                />
+              )}
+            </div>
+          )}
+
           {/* Volunteer Applications */}
           {complaint.volunteerApplications && complaint.volunteerApplications.length > 0 && (
             <div>
-              <h3 className="text-lg font-semibold text-gray-900 mb-4">Volunteer Applications</h3>
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">{t('complaints.detail.applications')}</h3>
               <div className="space-y-3">
                 {complaint.volunteerApplications.map((application, index) => (
                   <div key={index} className="border border-gray-200 rounded-lg p-4">
@@ -333,8 +502,9 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
                         <div>
                           <div className="font-medium">{application.volunteer.name}</div>
                           <div className="text-sm text-gray-500">
-                            Applied {formatDate(application.appliedAt)}
+                            {t('myRequests.applications.applied', { date: formatDateTime(application.appliedAt) })}
                           </div>
+                          <VolunteerRatingSummary volunteer={application.volunteer} />
                         </div>
                       </div>
                       {canAssign && complaint.status === 'open' && (
@@ -343,7 +513,7 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
                           disabled={isSubmitting}
                           className="px-3 py-1 bg-blue-500 text-white rounded-lg text-sm hover:bg-blue-600 transition-colors disabled:opacity-50"
                         >
-                          Assign
+                          {t('complaints.detail.assign')}
                         </button>
                       )}
                     </div>
@@ -352,7 +522,7 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
                     )}
                     {application.estimatedTime && (
                       <p className="mt-1 text-xs text-gray-500">
-                        Estimated time: {application.estimatedTime}
+                        {t('complaints.detail.estimatedTime', { time: application.estimatedTime })}
                       </p>
                     )}
                   </div>
@@ -366,7 +536,7 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
             <div>
               <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
                 <ChatBubbleLeftRightIcon className="w-5 h-5 mr-2" />
-                Updates
+                {t('complaints.detail.updates')}
               </h3>
               <div className="space-y-3">
                 {complaint.updates.map((update, index) => (
@@ -375,12 +545,12 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
                       <div>
                         <p className="text-gray-700">{update.message}</p>
                         <div className="text-sm text-gray-500 mt-1">
-                          By {update.updatedBy.name} • {formatDate(update.updatedAt)}
+                          {t('complaints.detail.updatedBy', { name: update.updatedBy.name, date: formatDateTime(update.updatedAt) })}
                         </div>
                       </div>
                       {update.statusChange && (
                         <span className="text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded">
-                          {update.statusChange.from} → {update.statusChange.to}
+                          {t(`status.${update.statusChange.from}`)} → {t(`status.${update.statusChange.to}`)}
                         </span>
                       )}
                     </div>
@@ -399,30 +569,52 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
                   disabled={isSubmitting}
                   className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors disabled:opacity-50"
                 >
-                  Apply as Volunteer
+                  {t('complaints.detail.applyAsVolunteer')}
                 </button>
               )}
 
               {canUpdateStatus && (
-                <div className="flex items-center space-x-2">
-                  <select
-                    value={newStatus}
-                    onChange={(e) => setNewStatus(e.target.value)}
-                    className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
-                  >
-                    <option value="">Update Status</option>
-                    <option value="in_progress">In Progress</option>
-                    <option value="resolved">Resolved</option>
-                    <option value="closed">Closed</option>
-                    {user?.role === 'admin' && <option value="cancelled">Cancelled</option>}
-                  </select>
-                  <button
-                    onClick={handleStatusUpdate}
-                    disabled={!newStatus || isSubmitting}
-                    className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors disabled:opacity-50"
-                  >
-                    Update
-                  </button>
+                <div className="w-full">
+                  <div className="flex items-center space-x-2">
+                    <select
+                      value={newStatus}
+                      onChange={(e) => setNewStatus(e.target.value)}
+                      className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                    >
+                      <option value="">{t('complaints.detail.updateStatus')}</option>
+                      {statusOptions.map(transition => (
+                        <option key={transition.status} value={transition.status}>
+                          {complaint.status === 'resolved' && transition.status === 'in_progress'
+                            ? t('complaints.detail.reopen')
+                            : t(`status.${transition.status}`)}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={handleStatusUpdate}
+                      disabled={!newStatus || (noteField && !statusNote.trim()) || isSubmitting}
+                      className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors disabled:opacity-50"
+                    >
+                      {t('complaints.detail.update')}
+                    </button>
+                  </div>
+                  {noteField && (
+                    <div className="mt-3">
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        {noteField === 'resolutionNote' ? t('complaints.detail.resolutionNote') : t('complaints.detail.reason')} *
+                      </label>
+                      <textarea
+                        value={statusNote}
+                        onChange={(e) => setStatusNote(e.target.value)}
+                        placeholder={noteField === 'resolutionNote'
+                          ? t('complaints.detail.resolutionNotePlaceholder')
+                          : t('complaints.detail.reasonPlaceholder')}
+                        rows={2}
+                        maxLength={noteField === 'resolutionNote' ? 1000 : 500}
+                        className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+                  )}
                 </div>
               )}
             </div>
@@ -433,7 +625,7 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
                 <textarea
                   value={newUpdate}
                   onChange={(e) => setNewUpdate(e.target.value)}
-                  placeholder="Add an update..."
+                  placeholder={t('complaints.detail.addUpdatePlaceholder')}
                   rows={3}
                   className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 />
@@ -442,7 +634,7 @@ const ComplaintDetailModal = ({ complaint, isOpen, onClose, onUpdate }) => {
                   disabled={!newUpdate.trim() || isSubmitting}
                   className="mt-2 px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors disabled:opacity-50"
                 >
-                  Add Update
+                  {t('complaints.detail.addUpdate')}
                 </button>
               </div>
             )}
@@ -1,10 +1,22 @@
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
-import { XMarkIcon, MapPinIcon } from '@heroicons/react/24/outline';
+import { XMarkIcon, MapPinIcon, PhotoIcon } from '@heroicons/react/24/outline';
 import FormInput from '../ui/FormInput';
-import { showError, showSuccess, showLoading, closeLoading } from '../../utils/alerts';
+import AttachmentPicker from '../ui/AttachmentPicker';
+import { showError, showSuccess, showWarning, showLoading, closeLoading } from '../../utils/alerts';
+import { uploadAttachments } from '../../utils/attachments';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+const CATEGORIES = [
+  'infrastructure', 'sanitation', 'water_supply', 'electricity', 'road_maintenance', 'waste_management', 'public_safety',
+  'healthcare', 'education', 'transportation', 'elderly_care', 'emergency_assistance', 'community_service', 'other'
+];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const RESOLUTION_TIMES = ['immediate', 'within_24h', 'within_week', 'within_month', 'flexible'];
+const CONTACT_METHODS = ['app', 'phone', 'email'];
 
 const CreateComplaintForm = ({ isOpen, onClose, onSuccess }) => {
+  const { t } = useTranslation();
   const [formData, setFormData] = useState({
     title: '',
     description: '',
@@ -30,26 +42,10 @@ const CreateComplaintForm = ({ isOpen, onClose, onSuccess }) => {
     isPublic: true
   });
 
+  const [attachments, setAttachments] = useState([]);
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
 
-  const categories = [
-    { value: 'infrastructure', label: 'Infrastructure' },
-    { value: 'sanitation', label: 'Sanitation' },
-    { value: 'water_supply', label: 'Water Supply' },
-    { value: 'electricity', label: 'Electricity' },
-    { value: 'road_maintenance', label: 'Road Maintenance' },
-    { value: 'waste_management', label: 'Waste Management' },
-    { value: 'public_safety', label: 'Public Safety' },
-    { value: 'healthcare', label: 'Healthcare' },
-    { value: 'education', label: 'Education' },
-    { value: 'transportation', label: 'Transportation' },
-    { value: 'elderly_care', label: 'Elderly Care' },
-    { value: 'emergency_assistance', label: 'Emergency Assistance' },
-    { value: 'community_service', label: 'Community Service' },
-    { value: 'other', label: 'Other' }
-  ];
-
   const handleInputChange = (field, value) => {
     if (field.includes('.')) {
       const [parent, child, grandchild] = field.split('.');
@@ -83,19 +79,19 @@ const CreateComplaintForm = ({ isOpen, onClose, onSuccess }) => {
     const newErrors = {};
 
     if (!formData.title.trim()) {
-      newErrors.title = 'Title is required';
+      newErrors.title = t('validation.titleRequired');
     } else if (formData.title.length < 5) {
-      newErrors.title = 'Title must be at least 5 characters';
+      newErrors.title = t('validation.titleMin', { min: 5 });
     }
 
     if (!formData.description.trim()) {
-      newErrors.description = 'Description is required';
+      newErrors.description = t('validation.descriptionRequired');
     } else if (formData.description.length < 10) {
-      newErrors.description = 'Description must be at least 10 characters';
+      newErrors.description = t('validation.descriptionMin', { min: 10 });
     }
 
     if (!formData.category) {
-      newErrors.category = 'Category is required';
+      newErrors.category = t('validation.categoryRequired');
     }
 
     setErrors(newErrors);
@@ -110,7 +106,7 @@ const CreateComplaintForm = ({ isOpen, onClose, onSuccess }) => {
     }
 
     setIsSubmitting(true);
-    showLoading('Creating complaint...');
+    showLoading(t('complaints.create.creating'));
 
     try {
       // Process tags
@@ -131,8 +127,23 @@ const CreateComplaintForm = ({ isOpen, onClose, onSuccess }) => {
       const data = await response.json();
 
       if (response.ok) {
+        // The complaint exists now, so a failed upload only loses the photos
+        let uploadError = null;
+        if (attachments.length > 0) {
+          showLoading(t('complaints.create.uploadingPhotos'));
+          try {
+            await uploadAttachments(`/api/complaints/${data.complaint._id}/attachments`, attachments);
+          } catch (error) {
+            uploadError = error.message;
+          }
+        }
+
         closeLoading();
-        showSuccess('Success!', `${formData.type === 'complaint' ? 'Complaint' : 'Service request'} created successfully`);
+        if (uploadError) {
+          showWarning(t('complaints.create.photosNotUploaded'), t(`complaints.create.createdUploadFailed.${formData.type}`, { error: uploadError }));
+        } else {
+          showSuccess(t('common.success'), t(`complaints.create.created.${formData.type}`));
+        }
         onSuccess();
         onClose();
         
@@ -161,13 +172,14 @@ const CreateComplaintForm = ({ isOpen, onClose, onSuccess }) => {
           tags: '',
           isPublic: true
         });
+        setAttachments([]);
       } else {
         closeLoading();
-        showError('Error', data.message || 'Failed to create complaint');
+        showError(t('common.error'), data.message || t('complaints.create.failed'));
       }
     } catch (error) {
       closeLoading();
-      showError('Error', 'Network error while creating complaint');
+      showError(t('common.error'), t('complaints.create.networkError'));
     } finally {
       setIsSubmitting(false);
     }
@@ -185,7 +197,7 @@ const CreateComplaintForm = ({ isOpen, onClose, onSuccess }) => {
       >
         {/* Header */}
         <div className="flex justify-between items-center p-6 border-b border-gray-200">
-          <h2 className="text-2xl font-bold text-gray-900">Create New Complaint</h2>
+          <h2 className="text-2xl font-bold text-gray-900">{t('complaints.create.title')}</h2>
           <button
             onClick={onClose}
             className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
@@ -200,12 +212,12 @@ const CreateComplaintForm = ({ isOpen, onClose, onSuccess }) => {
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <div className="md:col-span-2">
               <FormInput
-                label="Title"
+                label={t('addRequest.fields.title')}
                 name="title"
                 type="text"
                 value={formData.title}
                 onChange={(e) => handleInputChange('title', e.target.value)}
-                placeholder="Brief description of the issue"
+                placeholder={t('complaints.create.titlePlaceholder')}
                 error={errors.title}
                 required
               />
@@ -213,12 +225,12 @@ const CreateComplaintForm = ({ isOpen, onClose, onSuccess }) => {
 
             <div className="md:col-span-2">
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Description *
+                {t('addRequest.fields.description')} *
               </label>
               <textarea
                 value={formData.description}
                 onChange={(e) => handleInputChange('description', e.target.value)}
-                placeholder="Detailed description of the complaint or service request"
+                placeholder={t('complaints.create.descriptionPlaceholder')}
                 rows={4}
                 className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               />
@@ -229,16 +241,16 @@ const CreateComplaintForm = ({ isOpen, onClose, onSuccess }) => {
 
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Category *
+                {t('addRequest.fields.category')} *
               </label>
               <select
                 value={formData.category}
                 onChange={(e) => handleInputChange('category', e.target.value)}
                 className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               >
-                <option value="">Select Category</option>
-                {categories.map(cat => (
-                  <option key={cat.value} value={cat.value}>{cat.label}</option>
+                <option value="">{t('addRequest.fields.selectCategory')}</option>
+                {CATEGORIES.map(category => (
+                  <option key={category} value={category}>{t(`complaints.categories.${category}`)}</option>
                 ))}
               </select>
               {errors.category && (
@@ -248,49 +260,46 @@ const CreateComplaintForm = ({ isOpen, onClose, onSuccess }) => {
 
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Type
+                {t('complaints.create.type')}
               </label>
               <select
                 value={formData.type}
                 onChange={(e) => handleInputChange('type', e.target.value)}
                 className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               >
-                <option value="complaint">Complaint</option>
-                <option value="service_request">Service Request</option>
+                <option value="complaint">{t('complaints.types.complaint')}</option>
+                <option value="service_request">{t('complaints.types.service_request')}</option>
               </select>
             </div>
 
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Priority
+                {t('complaints.create.priority')}
               </label>
               <select
                 value={formData.priority}
                 onChange={(e) => handleInputChange('priority', e.target.value)}
                 className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               >
-                <option value="low">Low</option>
-                <option value="medium">Medium</option>
-                <option value="high">High</option>
-                <option value="urgent">Urgent</option>
+                {PRIORITIES.map(priority => (
+                  <option key={priority} value={priority}>{t(`urgency.${priority}`)}</option>
+                ))}
               </select>
             </div>
 
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Expected Resolution Time
+                {t('complaints.create.expectedResolution')}
               </label>
               <select
                 value={formData.expectedResolutionTime}
                 onChange={(e) => handleInputChange('expectedResolutionTime', e.target.value)}
                 className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               >
-                <option value="">Select timeframe</option>
-                <option value="immediate">Immediate</option>
-                <option value="within_24h">Within 24 hours</option>
-                <option value="within_week">Within a week</option>
-                <option value="within_month">Within a month</option>
-                <option value="flexible">Flexible</option>
+                <option value="">{t('complaints.create.selectTimeframe')}</option>
+                {RESOLUTION_TIMES.map(time => (
+                  <option key={time} value={time}>{t(`complaints.resolutionTimes.${time}`)}</option>
+                ))}
               </select>
             </div>
           </div>
@@ -299,40 +308,40 @@ const CreateComplaintForm = ({ isOpen, onClose, onSuccess }) => {
           <div className="border-t border-gray-200 pt-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
               <MapPinIcon className="w-5 h-5 mr-2" />
-              Location
+              {t('addRequest.fields.location')}
             </h3>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <FormInput
-                label="Street Address"
+                label={t('location.street')}
                 name="street"
                 type="text"
                 value={formData.location.address.street}
                 onChange={(e) => handleInputChange('location.address.street', e.target.value)}
-                placeholder="Street address"
+                placeholder={t('location.streetPlaceholder')}
               />
               <FormInput
-                label="City"
+                label={t('location.city')}
                 name="city"
                 type="text"
                 value={formData.location.address.city}
                 onChange={(e) => handleInputChange('location.address.city', e.target.value)}
-                placeholder="City"
+                placeholder={t('location.cityPlaceholder')}
               />
               <FormInput
-                label="State"
+                label={t('location.state')}
                 name="state"
                 type="text"
                 value={formData.location.address.state}
                 onChange={(e) => handleInputChange('location.address.state', e.target.value)}
-                placeholder="State"
+                placeholder={t('location.statePlaceholder')}
               />
               <FormInput
-                label="PIN Code"
+                label={t('location.pincode')}
                 name="pincode"
                 type="text"
                 value={formData.location.address.pincode}
                 onChange={(e) => handleInputChange('location.address.pincode', e.target.value)}
-                placeholder="PIN Code"
+                placeholder={t('location.pincodePlaceholder')}
                 maxLength={6}
               />
             </div>
@@ -340,51 +349,67 @@ const CreateComplaintForm = ({ isOpen, onClose, onSuccess }) => {
 
           {/* Contact Information */}
           <div className="border-t border-gray-200 pt-6">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">Contact Information</h3>
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">{t('allRequests.modal.contactInformation')}</h3>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
               <FormInput
-                label="Phone"
+                label={t('signup.phone')}
                 name="phone"
                 type="tel"
                 value={formData.contactInfo.phone}
                 onChange={(e) => handleInputChange('contactInfo.phone', e.target.value)}
-                placeholder="Phone number"
+                placeholder={t('profile.phonePlaceholder')}
               />
               <FormInput
-                label="Email"
+                label={t('auth.email')}
                 name="email"
                 type="email"
                 value={formData.contactInfo.email}
                 onChange={(e) => handleInputChange('contactInfo.email', e.target.value)}
-                placeholder="Email address"
+                placeholder={t('auth.emailPlaceholder')}
               />
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Preferred Contact Method
+                  {t('complaints.create.preferredContact')}
                 </label>
                 <select
                   value={formData.contactInfo.preferredContactMethod}
                   onChange={(e) => handleInputChange('contactInfo.preferredContactMethod', e.target.value)}
                   className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 >
-                  <option value="app">App Notifications</option>
-                  <option value="phone">Phone</option>
-                  <option value="email">Email</option>
+                  {CONTACT_METHODS.map(method => (
+                    <option key={method} value={method}>{t(`complaints.contactMethods.${method}`)}</option>
+                  ))}
                 </select>
               </div>
             </div>
           </div>
 
+          {/* Photos */}
+          <div className="border-t border-gray-200 pt-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-1 flex items-center">
+              <PhotoIcon className="w-5 h-5 mr-2" />
+              {t('complaints.photos')}
+            </h3>
+            <p className="text-sm text-gray-500 mb-4">
+              {t('complaints.create.photosHint')}
+            </p>
+            <AttachmentPicker
+              files={attachments}
+              onChange={setAttachments}
+              disabled={isSubmitting}
+            />
+          </div>
+
           {/* Additional Options */}
           <div className="border-t border-gray-200 pt-6">
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <FormInput
-                label="Tags (comma-separated)"
+                label={t('complaints.create.tags')}
                 name="tags"
                 type="text"
                 value={formData.tags}
                 onChange={(e) => handleInputChange('tags', e.target.value)}
-                placeholder="urgent, water leak, main road"
+                placeholder={t('complaints.create.tagsPlaceholder')}
               />
               
               <div className="flex items-center space-x-3">
@@ -396,7 +421,7 @@ const CreateComplaintForm = ({ isOpen, onClose, onSuccess }) => {
                   className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
                 />
                 <label htmlFor="isPublic" className="text-sm font-medium text-gray-700">
-                  Make this complaint public (visible to other users)
+                  {t('complaints.create.makePublic')}
                 </label>
               </div>
             </div>
@@ -409,14 +434,14 @@ const CreateComplaintForm = ({ isOpen, onClose, onSuccess }) => {
               onClick={onClose}
               className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
             >
-              Cancel
+              {t('common.cancel')}
             </button>
             <button
               type="submit"
               disabled={isSubmitting}
               className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              {isSubmitting ? 'Creating...' : 'Create Complaint'}
+              {isSubmitting ? t('addRequest.submitting') : t('complaints.create.submit')}
             </button>
           </div>
         </form>
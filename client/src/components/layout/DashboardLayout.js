@@ -14,22 +14,27 @@ import {
   XMarkIcon
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../../hooks/useAuth';
+import NotificationBell from '../notifications/NotificationBell';
+import LanguageSwitcher from '../ui/LanguageSwitcher';
+import { useTranslation } from '../../contexts/LanguageContext';
+import VerifyEmailBanner from '../auth/VerifyEmailBanner';
 
 const DashboardLayout = () => {
   const { user, logout } = useAuth();
+  const { t } = useTranslation();
   const navigate = useNavigate();
   const location = useLocation();
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [profileDropdownOpen, setProfileDropdownOpen] = useState(false);
 
   const sidebarItems = [
-    { name: 'Home', icon: HomeIcon, path: '/dashboard', exact: true },
-    { name: 'Add Request', icon: PlusIcon, path: '/dashboard/add-request' },
-    { name: 'My Requests', icon: ClipboardDocumentListIcon, path: '/dashboard/requests' },
-    { name: 'All Requests', icon: HeartIcon, path: '/dashboard/all-requests' },
-    { name: 'Blood Matches', icon: CheckCircleIcon, path: '/dashboard/blood-matches' },
-    { name: 'Chat AI', icon: ChatBubbleLeftRightIcon, path: '/dashboard/chat' },
-    { name: 'Profile', icon: UserIcon, path: '/dashboard/profile' }
+    { name: t('nav.home'), icon: HomeIcon, path: '/dashboard', exact: true },
+    { name: t('nav.addRequest'), icon: PlusIcon, path: '/dashboard/add-request' },
+    { name: t('nav.myRequests'), icon: ClipboardDocumentListIcon, path: '/dashboard/requests' },
+    { name: t('nav.allRequests'), icon: HeartIcon, path: '/dashboard/all-requests' },
+    { name: t('nav.bloodMatches'), icon: CheckCircleIcon, path: '/dashboard/blood-matches' },
+    { name: t('nav.chatAI'), icon: ChatBubbleLeftRightIcon, path: '/dashboard/chat' },
+    { name: t('nav.profile'), icon: UserIcon, path: '/dashboard/profile' }
   ];
 
   const handleLogout = async () => {
@@ -79,8 +84,11 @@ const DashboardLayout = () => {
             </div>
           </div>
 
-          {/* Right side - Profile */}
+          {/* Right side - Notifications and Profile */}
           <div className="flex items-center space-x-4">
+            <LanguageSwitcher className="text-gray-300" />
+            <NotificationBell />
+
             {/* Profile Dropdown */}
             <div className="relative">
               <button
@@ -107,7 +115,7 @@ const DashboardLayout = () => {
                       onClick={handleLogout}
                       className="w-full text-left px-4 py-2 text-white hover:bg-white/10 transition-colors"
                     >
-                      Logout
+                      {t('nav.logout')}
                     </button>
                   </motion.div>
                 )}
@@ -130,7 +138,7 @@ const DashboardLayout = () => {
 
             return (
               <button
-                key={item.name}
+                key={item.path}
                 onClick={() => {
                   navigate(item.path);
                   setSidebarOpen(false); // Close mobile sidebar
@@ -162,6 +170,7 @@ const DashboardLayout = () => {
       {/* Main Content */}
       <main className="lg:ml-64 pt-16 min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900">
         <div className="p-8">
+          <VerifyEmailBanner />
           <Outlet />
         </div>
       </main>
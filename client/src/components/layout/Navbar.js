@@ -8,6 +8,9 @@ import {
   ChevronDownIcon
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../../hooks/useAuth';
+import NotificationBell from '../notifications/NotificationBell';
+import LanguageSwitcher from '../ui/LanguageSwitcher';
+import { useTranslation } from '../../contexts/LanguageContext';
 // import { useTheme } from '../../contexts/ThemeContext'; // Commented out for now
 
 const Navbar = () => {
@@ -15,6 +18,7 @@ const Navbar = () => {
   const [isScrolled, setIsScrolled] = useState(false);
   const [showUserMenu, setShowUserMenu] = useState(false);
   const { user, isAuthenticated, logout } = useAuth();
+  const { t } = useTranslation();
   // const { theme, toggleTheme } = useTheme(); // Commented out for now
   const navigate = useNavigate();
   const location = useLocation();
@@ -41,10 +45,10 @@ const Navbar = () => {
   };
 
   const navLinks = [
-    { name: 'Home', path: '/', icon: null },
-    { name: 'Services', path: '#services', icon: null },
-    { name: 'About', path: '#about', icon: null },
-    { name: 'Contact', path: '#contact', icon: null },
+    { name: t('nav.home'), path: '/', icon: null },
+    { name: t('nav.services'), path: '#services', icon: null },
+    { name: t('nav.about'), path: '#about', icon: null },
+    { name: t('nav.contact'), path: '#contact', icon: null },
   ];
 
 
@@ -75,7 +79,7 @@ const Navbar = () => {
               <h1 className="text-xl lg:text-2xl font-bold font-display bg-gradient-to-r from-blue-400 via-purple-400 to-pink-400 bg-clip-text text-transparent">
                 SevaLink
               </h1>
-              <p className="text-xs text-gray-300 -mt-1">Community Portal</p>
+              <p className="text-xs text-gray-300 -mt-1">{t('nav.communityPortal')}</p>
             </div>
           </Link>
 
@@ -83,7 +87,7 @@ const Navbar = () => {
           <div className="hidden lg:flex items-center space-x-10">
             {navLinks.map((link) => (
               <Link
-                key={link.name}
+                key={link.path}
                 to={link.path}
                 className={`text-lg font-semibold transition-colors duration-200 hover:text-purple-400 ${
                   location.pathname === link.path
@@ -98,19 +102,21 @@ const Navbar = () => {
 
           {/* Auth Buttons / User Menu */}
           <div className="hidden lg:flex items-center space-x-6">
+            <LanguageSwitcher className="text-white" />
+            <NotificationBell />
             {!isAuthenticated ? (
               <>
                 <Link
                   to="/login"
                   className="px-8 py-3 text-lg font-semibold rounded-xl transition-all duration-200 text-white hover:text-purple-300"
                 >
-                  Login
+                  {t('nav.login')}
                 </Link>
                 <Link
                   to="/signup"
                   className="px-8 py-3 bg-gradient-to-r from-blue-500 via-purple-500 to-pink-500 hover:from-blue-600 hover:via-purple-600 hover:to-pink-600 text-white font-bold text-lg rounded-xl transition-all duration-300 transform hover:scale-105 hover:shadow-lg"
                 >
-                  Get Started
+                  {t('nav.getStarted')}
                 </Link>
               </>
             ) : (
@@ -143,20 +149,20 @@ const Navbar = () => {
                           to="/dashboard"
                           className="block px-4 py-3 text-sm text-white hover:bg-purple-500/20 hover:text-purple-300 rounded-lg transition-colors duration-200"
                         >
-                          Dashboard
+                          {t('nav.dashboard')}
                         </Link>
                         <Link
                           to="/profile"
                           className="block px-4 py-3 text-sm text-white hover:bg-purple-500/20 hover:text-purple-300 rounded-lg transition-colors duration-200"
                         >
-                          Profile
+                          {t('nav.profile')}
                         </Link>
                         <hr className="my-2" />
                         <button
                           onClick={handleLogout}
                           className="w-full text-left px-4 py-3 text-sm text-red-400 hover:bg-red-500/20 rounded-lg transition-colors duration-200"
                         >
-                          Logout
+                          {t('nav.logout')}
                         </button>
                       </div>
                     </motion.div>
@@ -191,7 +197,7 @@ const Navbar = () => {
               <div className="p-4 space-y-4">
                 {navLinks.map((link) => (
                   <Link
-                    key={link.name}
+                    key={link.path}
                     to={link.path}
                     className="block text-white hover:text-purple-400 font-medium transition-colors duration-200"
                   >
@@ -200,20 +206,22 @@ const Navbar = () => {
                 ))}
                 
                 <hr className="my-4" />
-                
+
+                <LanguageSwitcher className="text-white" />
+
                 {!isAuthenticated ? (
                   <div className="space-y-3">
                     <Link
                       to="/login"
                       className="block w-full text-center py-3 text-white border border-white/30 rounded-lg hover:bg-white/10 font-semibold transition-colors duration-200"
                     >
-                      Login
+                      {t('nav.login')}
                     </Link>
                     <Link
                       to="/signup"
                       className="block w-full text-center py-3 bg-gradient-to-r from-blue-500 via-purple-500 to-pink-500 text-white rounded-lg hover:from-blue-600 hover:via-purple-600 hover:to-pink-600 font-semibold transition-colors duration-200"
                     >
-                      Get Started
+                      {t('nav.getStarted')}
                     </Link>
                   </div>
                 ) : (
@@ -222,19 +230,19 @@ const Navbar = () => {
                       to="/dashboard"
                       className="block text-white hover:text-purple-400 font-medium transition-colors duration-200"
                     >
-                      Dashboard
+                      {t('nav.dashboard')}
                     </Link>
                     <Link
                       to="/profile"
                       className="block text-white hover:text-purple-400 font-medium transition-colors duration-200"
                     >
-                      Profile
+                      {t('nav.profile')}
                     </Link>
                     <button
                       onClick={handleLogout}
                       className="block w-full text-left text-red-400 hover:text-red-300 font-medium transition-colors duration-200"
                     >
-                      Logout
+                      {t('nav.logout')}
                     </button>
                   </div>
                 )}
@@ -14,22 +14,27 @@ import {
   XMarkIcon
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../../hooks/useAuth';
+import NotificationBell from '../notifications/NotificationBell';
+import LanguageSwitcher from '../ui/LanguageSwitcher';
+import { useTranslation } from '../../contexts/LanguageContext';
+import VerifyEmailBanner from '../auth/VerifyEmailBanner';
 
 const VolunteerDashboardLayout = () => {
   const { user, logout } = useAuth();
+  const { t } = useTranslation();
   const navigate = useNavigate();
   const location = useLocation();
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [profileDropdownOpen, setProfileDropdownOpen] = useState(false);
 
   const sidebarItems = [
-    { name: 'Home', icon: HomeIcon, path: '/volunteer-dashboard', exact: true },
-    { name: 'Add Blood Request', icon: PlusIcon, path: '/volunteer-dashboard/add-blood-request' },
-    { name: 'My Requests', icon: ClipboardDocumentListIcon, path: '/volunteer-dashboard/my-requests' },
-    { name: 'All Requests', icon: HeartIcon, path: '/volunteer-dashboard/all-requests' },
-    { name: 'Accepted Requests', icon: CheckCircleIcon, path: '/volunteer-dashboard/accepted-requests' },
-    { name: 'Chat AI', icon: ChatBubbleLeftRightIcon, path: '/volunteer-dashboard/chat' },
-    { name: 'Profile', icon: UserIcon, path: '/volunteer-dashboard/profile' }
+    { name: t('nav.home'), icon: HomeIcon, path: '/volunteer-dashboard', exact: true },
+    { name: t('nav.addBloodRequest'), icon: PlusIcon, path: '/volunteer-dashboard/add-blood-request' },
+    { name: t('nav.myRequests'), icon: ClipboardDocumentListIcon, path: '/volunteer-dashboard/my-requests' },
+    { name: t('nav.allRequests'), icon: HeartIcon, path: '/volunteer-dashboard/all-requests' },
+    { name: t('nav.acceptedRequests'), icon: CheckCircleIcon, path: '/volunteer-dashboard/accepted-requests' },
+    { name: t('nav.chatAI'), icon: ChatBubbleLeftRightIcon, path: '/volunteer-dashboard/chat' },
+    { name: t('nav.profile'), icon: UserIcon, path: '/volunteer-dashboard/profile' }
   ];
 
   const handleLogout = async () => {
@@ -77,13 +82,16 @@ const VolunteerDashboardLayout = () => {
                 <span className="text-2xl font-bold bg-gradient-to-r from-blue-400 via-purple-400 to-pink-400 bg-clip-text text-transparent">
                   SevaLink
                 </span>
-                <p className="text-xs text-purple-300">Volunteer Dashboard</p>
+                <p className="text-xs text-purple-300">{t('nav.volunteerDashboard')}</p>
               </div>
             </div>
           </div>
 
-          {/* Right side - Profile */}
+          {/* Right side - Notifications and Profile */}
           <div className="flex items-center space-x-4">
+            <LanguageSwitcher className="text-gray-300" />
+            <NotificationBell />
+
             {/* Profile Dropdown */}
             <div className="relative">
               <button
@@ -95,7 +103,7 @@ const VolunteerDashboardLayout = () => {
                 </div>
                 <div className="hidden md:block text-left">
                   <span className="text-white font-medium">{user?.name}</span>
-                  <p className="text-xs text-purple-300">Volunteer</p>
+                  <p className="text-xs text-purple-300">{t('roles.volunteer')}</p>
                 </div>
                 <ChevronDownIcon className="w-4 h-4 text-gray-300" />
               </button>
@@ -116,13 +124,13 @@ const VolunteerDashboardLayout = () => {
                       }}
                       className="w-full text-left px-4 py-2 text-white hover:bg-white/10 transition-colors"
                     >
-                      Profile Settings
+                      {t('nav.profileSettings')}
                     </button>
                     <button
                       onClick={handleLogout}
                       className="w-full text-left px-4 py-2 text-white hover:bg-white/10 transition-colors"
                     >
-                      Logout
+                      {t('nav.logout')}
                     </button>
                   </motion.div>
                 )}
@@ -145,7 +153,7 @@ const VolunteerDashboardLayout = () => {
 
             return (
               <button
-                key={item.name}
+                key={item.path}
                 onClick={() => {
                   navigate(item.path);
                   setSidebarOpen(false); // Close mobile sidebar
@@ -177,6 +185,7 @@ const VolunteerDashboardLayout = () => {
       {/* Main Content */}
       <main className="lg:ml-64 pt-16 min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900">
         <div className="p-8">
+          <VerifyEmailBanner />
           <Outlet />
         </div>
       </main>
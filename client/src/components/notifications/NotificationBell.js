@@ -0,0 +1,202 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { BellIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSocketEvent } from '../../contexts/SocketContext';
+import { useTranslation } from '../../contexts/LanguageContext';
+import { toastInfo } from '../../utils/alerts';
+import API_CONFIG from '../../config/api';
+
+const NotificationBell = () => {
+  const { isAuthenticated } = useAuth();
+  const { t, formatRelativeTime } = useTranslation();
+  const navigate = useNavigate();
+  const dropdownRef = useRef(null);
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('token')}`
+  });
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const fetchUnreadCount = async () => {
+      try {
+        const response = await fetch(`${API_CONFIG.baseURL}/api/notifications/unread-count`, {
+          headers: authHeaders()
+        });
+        if (response.ok) {
+          const data = await response.json();
+          setUnreadCount(data.unreadCount || 0);
+        }
+      } catch (error) {
+        console.error('Error fetching unread notifications:', error);
+      }
+    };
+
+    fetchUnreadCount();
+  }, [isAuthenticated]);
+
+  // Close the dropdown when clicking anywhere else
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  useSocketEvent('notification:new', (notification) => {
+    setNotifications(prev => [notification, ...prev.filter(n => n._id !== notification._id)]);
+    setUnreadCount(prev => prev + 1);
+    toastInfo(notification.title);
+  });
+
+  const fetchNotifications = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`${API_CONFIG.baseURL}/api/notifications?limit=10`, {
+        headers: authHeaders()
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setNotifications(data.notifications || []);
+        setUnreadCount(data.unreadCount || 0);
+      }
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleOpen = () => {
+    if (!open) {
+      fetchNotifications();
+    }
+    setOpen(!open);
+  };
+
+  const markAsRead = async (notification) => {
+    if (notification.isRead) return;
+
+    setNotifications(prev => prev.map(n => (n._id === notification._id ? { ...n, isRead: true } : n)));
+    setUnreadCount(prev => Math.max(prev - 1, 0));
+
+    try {
+      await fetch(`${API_CONFIG.baseURL}/api/notifications/${notification._id}/read`, {
+        method: 'PUT',
+        headers: authHeaders()
+      });
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+    }
+  };
+
+  const markAllAsRead = async () => {
+    setNotifications(prev => prev.map(n => ({ ...n, isRead: true })));
+    setUnreadCount(0);
+
+    try {
+      await fetch(`${API_CONFIG.baseURL}/api/notifications/read-all`, {
+        method: 'PUT',
+        headers: authHeaders()
+      });
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+    }
+  };
+
+  const handleNotificationClick = (notification) => {
+    markAsRead(notification);
+    setOpen(false);
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  if (!isAuthenticated) return null;
+
+  return (
+    <div className="relative" ref={dropdownRef}>
+      <button
+        onClick={toggleOpen}
+        className="relative p-2 rounded-lg hover:bg-white/10 transition-colors"
+        aria-label={t('notifications.title')}
+      >
+        <BellIcon className="w-6 h-6 text-gray-300" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 bg-red-500 text-white text-xs font-bold rounded-full flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            className="absolute right-0 mt-2 w-80 bg-gray-800/95 backdrop-blur-lg rounded-lg shadow-2xl border border-white/20 z-50"
+          >
+            <div className="flex items-center justify-between px-4 py-3 border-b border-white/10">
+              <span className="text-white font-semibold">{t('notifications.title')}</span>
+              {unreadCount > 0 && (
+                <button
+                  onClick={markAllAsRead}
+                  className="text-xs text-blue-400 hover:text-blue-300 transition-colors"
+                >
+                  {t('notifications.markAllRead')}
+                </button>
+              )}
+            </div>
+
+            <div className="max-h-96 overflow-y-auto">
+              {loading && notifications.length === 0 ? (
+                <div className="flex justify-center py-6">
+                  <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-400"></div>
+                </div>
+              ) : notifications.length === 0 ? (
+                <p className="px-4 py-6 text-center text-sm text-gray-400">{t('notifications.empty')}</p>
+              ) : (
+                notifications.map(notification => (
+                  <button
+                    key={notification._id}
+                    onClick={() => handleNotificationClick(notification)}
+                    className={`w-full text-left px-4 py-3 border-b border-white/5 hover:bg-white/10 transition-colors ${
+                      notification.isRead ? '' : 'bg-blue-500/10'
+                    }`}
+                  >
+                    <div className="flex items-start space-x-2">
+                      {!notification.isRead && (
+                        <span className="mt-1.5 w-2 h-2 bg-blue-400 rounded-full flex-shrink-0"></span>
+                      )}
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-white">{notification.title}</p>
+                        <p className="text-xs text-gray-300 line-clamp-2">{notification.message}</p>
+                        <p className="text-xs text-gray-500 mt-1">{formatRelativeTime(notification.createdAt)}</p>
+                      </div>
+                    </div>
+                  </button>
+                ))
+              )}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import {
+  PlayIcon,
+  CheckCircleIcon,
+  ArrowUturnLeftIcon,
+  XCircleIcon,
+  HeartIcon
+} from '@heroicons/react/24/outline';
+import apiClient from '../../utils/apiClient';
+import { useTranslation } from '../../contexts/LanguageContext';
+import {
+  showConfirmation,
+  showReasonPrompt,
+  showError,
+  showLoading,
+  closeLoading,
+  toastSuccess
+} from '../../utils/alerts';
+
+export const getRequestStatusColor = (status) => {
+  switch (status) {
+    case 'pending': return 'text-yellow-400 bg-yellow-500/20';
+    case 'accepted': return 'text-green-400 bg-green-500/20';
+    case 'in_progress': return 'text-blue-400 bg-blue-500/20';
+    case 'fulfilled': return 'text-purple-400 bg-purple-500/20';
+    case 'cancelled': return 'text-red-400 bg-red-500/20';
+    default: return 'text-gray-400 bg-gray-500/20';
+  }
+};
+
+// Button styles per target status; labels come from requestStatus.actions
+const ACTIONS = {
+  in_progress: {
+    icon: PlayIcon,
+    className: 'bg-blue-500 hover:bg-blue-600'
+  },
+  fulfilled: {
+    icon: CheckCircleIcon,
+    className: 'bg-green-500 hover:bg-green-600'
+  },
+  pending: {
+    icon: ArrowUturnLeftIcon,
+    className: 'bg-gray-600 hover:bg-gray-700'
+  },
+  cancelled: {
+    icon: XCircleIcon,
+    className: 'bg-red-500 hover:bg-red-600'
+  }
+};
+
+/**
+ * Buttons for the status changes the signed-in user may make on a request (allowedTransitions from the API)
+ * Blood requests are fulfilled by recording the donation rather than through the status endpoint.
+ * asRequester words moving back to pending as releasing the volunteer rather than withdrawing.
+ */
+const RequestStatusActions = ({ request, allowedTransitions = [], onUpdated, asRequester = false }) => {
+  const { t } = useTranslation();
+  const [saving, setSaving] = useState(false);
+
+  const actions = allowedTransitions.filter(transition => ACTIONS[transition.status] && !transition.requires.includes('volunteer'));
+
+  const confirmAction = async (transition) => {
+    const isDonation = transition.requires.includes('donation');
+
+    switch (transition.status) {
+      case 'in_progress':
+        return { confirmed: true };
+      case 'fulfilled': {
+        const result = await showConfirmation(
+          isDonation ? t('requestStatus.donationTitle') : t('requestStatus.fulfilledTitle'),
+          isDonation ? t('requestStatus.donationText') : t('requestStatus.fulfilledText'),
+          isDonation ? t('requestStatus.recordDonation') : t('requestStatus.fulfilledConfirm'),
+          t('requestStatus.notYet')
+        );
+        return { confirmed: result.isConfirmed };
+      }
+      case 'pending': {
+        const result = await showConfirmation(
+          asRequester ? t('requestStatus.releaseTitle') : t('requestStatus.withdrawTitle'),
+          t('requestStatus.reopenText'),
+          asRequester ? t('requestStatus.release') : t('requestStatus.withdraw'),
+          asRequester ? t('requestStatus.keepVolunteer') : t('requestStatus.keepHelping')
+        );
+        return { confirmed: result.isConfirmed };
+      }
+      case 'cancelled': {
+        const result = await showReasonPrompt(
+          t('requestStatus.cancelTitle'),
+          t('requestStatus.cancelText'),
+          t('requestStatus.actions.cancelled'),
+          t('requestStatus.goBack'),
+          true
+        );
+        return { confirmed: result.isConfirmed, reason: result.value };
+      }
+      default:
+        return { confirmed: false };
+    }
+  };
+
+  const handleAction = async (transition) => {
+    const { confirmed, reason } = await confirmAction(transition);
+    if (!confirmed) return;
+
+    try {
+      setSaving(true);
+      showLoading(t('requestStatus.updating'));
+
+      const data = transition.requires.includes('donation')
+        ? await apiClient.post(`/api/blood-requests/${request._id}/complete`, { units: 1 })
+        : await apiClient.put(`/api/requests/${request._id}/status`, {
+          status: transition.status,
+          ...(reason && { reason })
+        });
+
+      closeLoading();
+      toastSuccess(transition.status === 'pending'
+        ? (asRequester ? t('requestStatus.reopened') : t('requestStatus.withdrawn'))
+        : t(`requestStatus.marked.${transition.status}`));
+      onUpdated?.(data);
+    } catch (error) {
+      closeLoading();
+      showError(t('requestStatus.updateFailed'), error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (actions.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap gap-3">
+      {actions.map(transition => {
+        const action = ACTIONS[transition.status];
+        const Icon = transition.requires.includes('donation') ? HeartIcon : action.icon;
+        return (
+          <button
+            key={transition.status}
+            type="button"
+            onClick={() => handleAction(transition)}
+            disabled={saving}
+            className={`flex items-center space-x-2 px-4 py-2 rounded-lg text-white font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${action.className}`}
+          >
+            <Icon className="w-5 h-5" />
+            <span>
+              {transition.requires.includes('donation') ? t('requestStatus.recordDonation') :
+                transition.status === 'pending' && asRequester ? t('requestStatus.releaseVolunteer') : t(`requestStatus.actions.${transition.status}`)}
+            </span>
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RequestStatusActions;
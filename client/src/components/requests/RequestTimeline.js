@@ -0,0 +1,42 @@
+import React from 'react';
+import { useTranslation } from '../../contexts/LanguageContext';
+import { getRequestStatusColor } from './RequestStatusActions';
+
+const DATE_TIME_FORMAT = { dateStyle: 'medium', timeStyle: 'short' };
+
+/**
+ * Status changes and notes recorded on a request, newest first
+ */
+const RequestTimeline = ({ updates = [] }) => {
+  const { t, formatDate } = useTranslation();
+
+  if (updates.length === 0) return null;
+
+  const entries = [...updates].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+  return (
+    <ol className="space-y-3">
+      {entries.map((update, index) => (
+        <li key={update._id || index} className="flex space-x-3">
+          <div className="w-2 h-2 mt-2 rounded-full bg-blue-400 flex-shrink-0" />
+          <div className="flex-1 min-w-0">
+            <div className="flex flex-wrap items-center gap-2">
+              <p className="text-gray-200 text-sm">{update.message}</p>
+              {update.statusChange?.to && (
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${getRequestStatusColor(update.statusChange.to)}`}>
+                  {t(`status.${update.statusChange.to}`)}
+                </span>
+              )}
+            </div>
+            <p className="text-gray-500 text-xs mt-1">
+              {update.updatedBy?.name ? `${update.updatedBy.name} · ` : ''}
+              {formatDate(update.updatedAt, DATE_TIME_FORMAT)}
+            </p>
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default RequestTimeline;
@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from 'react';
+import {
+  DocumentTextIcon,
+  XMarkIcon,
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import { resolveFileUrl, isImageAttachment } from '../../utils/attachments';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+/**
+ * Thumbnail grid for uploaded photos and documents; photos open in a full-size viewer
+ */
+const AttachmentGallery = ({ attachments = [], canRemove, onRemove }) => {
+  const { t, formatNumber } = useTranslation();
+  const [viewerIndex, setViewerIndex] = useState(null);
+
+  const photos = attachments.filter(isImageAttachment);
+  const documents = attachments.filter(attachment => !isImageAttachment(attachment));
+  const current = viewerIndex !== null ? photos[viewerIndex] : null;
+
+  useEffect(() => {
+    if (viewerIndex === null) return undefined;
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setViewerIndex(null);
+      if (e.key === 'ArrowLeft') setViewerIndex(index => (index + photos.length - 1) % photos.length);
+      if (e.key === 'ArrowRight') setViewerIndex(index => (index + 1) % photos.length);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [viewerIndex, photos.length]);
+
+  // Close the viewer if the photo it shows was removed
+  useEffect(() => {
+    if (viewerIndex !== null && viewerIndex >= photos.length) setViewerIndex(null);
+  }, [viewerIndex, photos.length]);
+
+  const removeButton = (attachment) => canRemove?.(attachment) && (
+    <button
+      type="button"
+      onClick={(e) => {
+        e.stopPropagation();
+        onRemove(attachment);
+      }}
+      className="absolute top-1 right-1 p-1 bg-black/60 text-white rounded-full opacity-0 group-hover:opacity-100 focus:opacity-100 hover:bg-red-600 transition-all"
+      aria-label={t('attachments.remove', { name: attachment.filename || t('attachments.attachment') })}
+    >
+      <TrashIcon className="w-4 h-4" />
+    </button>
+  );
+
+  if (attachments.length === 0) return null;
+
+  return (
+    <>
+      {photos.length > 0 && (
+        <div className="grid grid-cols-3 sm:grid-cols-4 gap-3">
+          {photos.map((photo, index) => (
+            <div key={photo._id || photo.url} className="relative group">
+              <button
+                type="button"
+                onClick={() => setViewerIndex(index)}
+                className="block w-full"
+              >
+                <img
+                  src={resolveFileUrl(photo.thumbnailUrl || photo.url)}
+                  alt={photo.description || photo.filename || t('attachments.attachment')}
+                  loading="lazy"
+                  className="w-full h-28 object-cover rounded-lg border border-gray-200 hover:opacity-90 transition-opacity"
+                />
+              </button>
+              {removeButton(photo)}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {documents.length > 0 && (
+        <div className={`space-y-2 ${photos.length > 0 ? 'mt-3' : ''}`}>
+          {documents.map(document => (
+            <div key={document._id || document.url} className="relative group">
+              <a
+                href={resolveFileUrl(document.url)}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center space-x-3 p-3 border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                <DocumentTextIcon className="w-6 h-6 text-red-500 flex-shrink-0" />
+                <span className="text-sm text-gray-700 truncate">{document.description || document.filename || t('attachments.document')}</span>
+              </a>
+              {removeButton(document)}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {current && (
+        <div
+          className="fixed inset-0 bg-black/90 flex items-center justify-center p-4 z-[60]"
+          onClick={() => setViewerIndex(null)}
+        >
+          <button
+            type="button"
+            onClick={() => setViewerIndex(null)}
+            className="absolute top-4 right-4 p-2 text-white hover:bg-white/10 rounded-lg transition-colors"
+            aria-label={t('attachments.close')}
+          >
+            <XMarkIcon className="w-8 h-8" />
+          </button>
+
+          {photos.length > 1 && (
+            <>
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setViewerIndex((viewerIndex + photos.length - 1) % photos.length);
+                }}
+                className="absolute left-4 p-2 text-white hover:bg-white/10 rounded-lg transition-colors"
+                aria-label={t('attachments.previous')}
+              >
+                <ChevronLeftIcon className="w-8 h-8" />
+              </button>
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setViewerIndex((viewerIndex + 1) % photos.length);
+                }}
+                className="absolute right-4 p-2 text-white hover:bg-white/10 rounded-lg transition-colors"
+                aria-label={t('attachments.next')}
+              >
+                <ChevronRightIcon className="w-8 h-8" />
+              </button>
+            </>
+          )}
+
+          <figure className="max-w-5xl max-h-full flex flex-col items-center" onClick={(e) => e.stopPropagation()}>
+            <img
+              src={resolveFileUrl(current.url)}
+              alt={current.description || current.filename || t('attachments.attachment')}
+              className="max-h-[80vh] max-w-full object-contain rounded-lg"
+            />
+            <figcaption className="mt-3 text-sm text-gray-300 text-center">
+              {current.description || current.filename}
+              {current.uploadedBy?.name && ` · ${current.uploadedBy.name}`}
+              {photos.length > 1 && ` · ${formatNumber(viewerIndex + 1)} / ${formatNumber(photos.length)}`}
+            </figcaption>
+          </figure>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default AttachmentGallery;
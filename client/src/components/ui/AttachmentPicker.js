@@ -0,0 +1,100 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { PhotoIcon, DocumentTextIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { ATTACHMENT_TYPES, MAX_ATTACHMENT_SIZE, MAX_ATTACHMENTS_PER_ITEM, validateAttachments } from '../../utils/attachments';
+import { showError } from '../../utils/alerts';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+/**
+ * File input with previews for photos and documents that haven't been uploaded yet
+ */
+const AttachmentPicker = ({ files, onChange, maxFiles = MAX_ATTACHMENTS_PER_ITEM, disabled = false }) => {
+  const { t } = useTranslation();
+  const inputRef = useRef(null);
+
+  const previews = useMemo(() => files.map(file => ({
+    file,
+    url: file.type.startsWith('image/') ? URL.createObjectURL(file) : null
+  })), [files]);
+
+  useEffect(() => () => {
+    previews.forEach(preview => preview.url && URL.revokeObjectURL(preview.url));
+  }, [previews]);
+
+  const handleSelect = (e) => {
+    const selected = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (selected.length === 0) return;
+
+    const error = validateAttachments(selected);
+    if (error) {
+      showError(t('attachments.cannotAttach'), error);
+      return;
+    }
+    if (files.length + selected.length > maxFiles) {
+      showError(t('attachments.tooMany'), t('attachments.maxFiles', { count: maxFiles }));
+      return;
+    }
+    onChange([...files, ...selected]);
+  };
+
+  const removeFile = (index) => {
+    onChange(files.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div>
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        disabled={disabled || files.length >= maxFiles}
+        className="w-full flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-6 text-gray-500 hover:border-blue-400 hover:text-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <PhotoIcon className="w-8 h-8 mb-2" />
+        <span className="text-sm font-medium">{t('attachments.add')}</span>
+        <span className="text-xs mt-1">
+          {t('attachments.hint', { size: MAX_ATTACHMENT_SIZE / 1024 / 1024 })}
+        </span>
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        multiple
+        accept={ATTACHMENT_TYPES.join(',')}
+        onChange={handleSelect}
+        className="hidden"
+      />
+
+      {previews.length > 0 && (
+        <div className="grid grid-cols-3 sm:grid-cols-5 gap-3 mt-4">
+          {previews.map((preview, index) => (
+            <div key={`${preview.file.name}-${index}`} className="relative group">
+              {preview.url ? (
+                <img
+                  src={preview.url}
+                  alt={preview.file.name}
+                  className="w-full h-24 object-cover rounded-lg border border-gray-200"
+                />
+              ) : (
+                <div className="w-full h-24 flex flex-col items-center justify-center rounded-lg border border-gray-200 bg-gray-50 p-2">
+                  <DocumentTextIcon className="w-8 h-8 text-gray-400" />
+                  <span className="text-xs text-gray-500 truncate w-full text-center">{preview.file.name}</span>
+                </div>
+              )}
+              <button
+                type="button"
+                onClick={() => removeFile(index)}
+                disabled={disabled}
+                className="absolute -top-2 -right-2 p-1 bg-red-500 text-white rounded-full shadow hover:bg-red-600 transition-colors"
+                aria-label={t('attachments.remove', { name: preview.file.name })}
+              >
+                <XMarkIcon className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentPicker;
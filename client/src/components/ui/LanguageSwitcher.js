@@ -0,0 +1,30 @@
+import React from 'react';
+import { LanguageIcon } from '@heroicons/react/24/outline';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+/**
+ * UI language picker; the choice is saved to the profile when signed in
+ */
+const LanguageSwitcher = ({ className = '' }) => {
+  const { language, languages, setLanguage, t } = useTranslation();
+
+  return (
+    <label className={`flex items-center space-x-2 ${className}`}>
+      <LanguageIcon className="w-5 h-5 opacity-80" />
+      <span className="sr-only">{t('language.label')}</span>
+      <select
+        value={language}
+        onChange={(e) => setLanguage(e.target.value)}
+        className="bg-transparent text-sm font-medium focus:outline-none cursor-pointer"
+      >
+        {languages.map(option => (
+          <option key={option.code} value={option.code} className="bg-gray-800 text-white">
+            {option.nativeLabel}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import StarRating from './StarRating';
+import apiClient from '../../utils/apiClient';
+import { showError, toastSuccess } from '../../utils/alerts';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+const THEMES = {
+  light: {
+    label: 'text-gray-700',
+    input: 'border border-gray-300 text-gray-900 focus:ring-blue-500',
+    empty: 'text-gray-300'
+  },
+  dark: {
+    label: 'text-gray-300',
+    input: 'bg-white/10 border border-white/20 text-white placeholder-gray-400 focus:ring-blue-400',
+    empty: 'text-gray-600'
+  }
+};
+
+/**
+ * Star score and optional feedback for the volunteer who helped; posts { score, feedback } to endpoint
+ */
+const RatingForm = ({ endpoint, onRated, onCancel, theme = 'light' }) => {
+  const { t } = useTranslation();
+  const [score, setScore] = useState(0);
+  const [feedback, setFeedback] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const styles = THEMES[theme];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!score) return;
+
+    try {
+      setSubmitting(true);
+      const data = await apiClient.post(endpoint, {
+        score,
+        ...(feedback.trim() && { feedback: feedback.trim() })
+      });
+      toastSuccess(data.message);
+      onRated?.(data.rating);
+    } catch (error) {
+      showError(t('ratings.saveFailed'), error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div>
+        <p className={`text-sm font-medium mb-1 ${styles.label}`}>{t('ratings.prompt')}</p>
+        <StarRating value={score} onChange={setScore} size="lg" emptyClassName={styles.empty} />
+      </div>
+      <textarea
+        value={feedback}
+        onChange={(e) => setFeedback(e.target.value)}
+        rows={3}
+        maxLength={1000}
+        placeholder={t('ratings.feedbackPlaceholder')}
+        className={`w-full px-3 py-2 rounded-lg focus:ring-2 focus:border-transparent ${styles.input}`}
+      />
+      <div className="flex space-x-3">
+        <button
+          type="submit"
+          disabled={!score || submitting}
+          className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {submitting ? t('ratings.saving') : t('ratings.submit')}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition-colors"
+          >
+            {t('common.cancel')}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default RatingForm;
@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import { StarIcon } from '@heroicons/react/24/solid';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+const SIZES = {
+  sm: 'w-4 h-4',
+  md: 'w-5 h-5',
+  lg: 'w-8 h-8'
+};
+
+/**
+ * Five stars showing a rating; pass onChange to let the user pick a score
+ */
+const StarRating = ({ value = 0, onChange, size = 'md', emptyClassName = 'text-gray-300' }) => {
+  const { t } = useTranslation();
+  const [hovered, setHovered] = useState(0);
+  const shown = hovered || value;
+
+  if (!onChange) {
+    return (
+      <span className="inline-flex items-center" aria-label={t('ratings.outOfFive', { value })}>
+        {[1, 2, 3, 4, 5].map(star => (
+          <StarIcon
+            key={star}
+            className={`${SIZES[size]} ${star <= Math.round(value) ? 'text-yellow-400' : emptyClassName}`}
+          />
+        ))}
+      </span>
+    );
+  }
+
+  return (
+    <span className="inline-flex items-center" onMouseLeave={() => setHovered(0)}>
+      {[1, 2, 3, 4, 5].map(star => (
+        <button
+          key={star}
+          type="button"
+          onClick={() => onChange(star)}
+          onMouseEnter={() => setHovered(star)}
+          className="p-0.5 transition-transform hover:scale-110"
+          aria-label={t('ratings.stars', { count: star })}
+        >
+          <StarIcon className={`${SIZES[size]} ${star <= shown ? 'text-yellow-400' : emptyClassName}`} />
+        </button>
+      ))}
+    </span>
+  );
+};
+
+export default StarRating;
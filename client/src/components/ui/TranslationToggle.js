@@ -0,0 +1,45 @@
+import React from 'react';
+import { LanguageIcon } from '@heroicons/react/24/outline';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+/**
+ * Title and description to display, switching back to what the citizen wrote when asked
+ */
+export const getDisplayedContent = (item, showOriginal) => (
+  showOriginal && item?.original ? { ...item, ...item.original } : item
+);
+
+/**
+ * "Translated from Hindi · Show original" link for translated request and complaint content
+ */
+const TranslationToggle = ({ item, showOriginal, onToggle, className = '' }) => {
+  const { t } = useTranslation();
+
+  if (!item?.translatedTo || !item.original) return null;
+
+  const language = item.originalLanguage
+    ? t(`language.names.${item.originalLanguage}`)
+    : t('translation.anotherLanguage');
+
+  return (
+    <div className={`flex items-center space-x-1 text-xs ${className}`}>
+      <LanguageIcon className="w-4 h-4 opacity-70" />
+      <span className="opacity-70">
+        {showOriginal ? t('translation.original', { language }) : t('translation.translatedFrom', { language })}
+      </span>
+      <span className="opacity-50">·</span>
+      <button
+        type="button"
+        onClick={(e) => {
+          e.stopPropagation();
+          onToggle(!showOriginal);
+        }}
+        className="font-medium underline hover:no-underline"
+      >
+        {showOriginal ? t('translation.showTranslation') : t('translation.showOriginal')}
+      </button>
+    </div>
+  );
+};
+
+export default TranslationToggle;
@@ -0,0 +1,27 @@
+import React from 'react';
+import StarRating from './StarRating';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+const RATING_FORMAT = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+
+/**
+ * Average rating and help count from a volunteer's profile (populated volunteerInfo)
+ */
+const VolunteerRatingSummary = ({ volunteer, className = 'text-gray-500', emptyClassName }) => {
+  const { t, formatNumber } = useTranslation();
+  const { rating = 0, ratingCount = 0, totalHelped = 0 } = volunteer?.volunteerInfo || {};
+
+  return (
+    <div className={`flex items-center space-x-1 text-xs ${className}`}>
+      <StarRating value={rating} size="sm" emptyClassName={emptyClassName} />
+      <span>
+        {ratingCount > 0
+          ? t('ratings.average', { rating: formatNumber(rating, RATING_FORMAT), count: ratingCount })
+          : t('ratings.noRatings')}
+      </span>
+      <span>&middot; {t('ratings.helped', { count: totalHelped })}</span>
+    </div>
+  );
+};
+
+export default VolunteerRatingSummary;
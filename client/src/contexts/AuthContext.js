@@ -1,7 +1,22 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import { toastSuccess } from '../utils/alerts';
+import { translate } from '../i18n';
 import API_CONFIG from '../config/api';
+import {
+  getAccessToken,
+  getRefreshToken,
+  storeTokens,
+  clearTokens,
+  getTokenExpiry,
+  refreshTokens
+} from '../utils/authTokens';
+
+// Renew the access token this long before it expires
+const REFRESH_AHEAD_MS = 60 * 1000;
+
+// Endpoints whose 401 means bad credentials rather than an expired access token
+const NO_REFRESH_ENDPOINTS = ['/api/auth/login', '/api/auth/register', '/api/auth/refresh', '/api/auth/logout'];
 
 // Configure axios with base URL
 axios.defaults.baseURL = API_CONFIG.baseURL;
@@ -9,7 +24,7 @@ axios.defaults.baseURL = API_CONFIG.baseURL;
 // Initial state
 const initialState = {
   user: null,
-  token: localStorage.getItem('token'),
+  token: getAccessToken(),
   loading: false,
   isAuthenticated: false,
 };
@@ -17,6 +32,7 @@ const initialState = {
 // Action types
 const AUTH_ACTIONS = {
   LOGIN_SUCCESS: 'LOGIN_SUCCESS',
+  TOKEN_REFRESHED: 'TOKEN_REFRESHED',
   LOGOUT: 'LOGOUT',
   SET_LOADING: 'SET_LOADING',
   UPDATE_USER: 'UPDATE_USER',
@@ -28,7 +44,7 @@ const authReducer = (state, action) => {
   switch (action.type) {
     case AUTH_ACTIONS.LOGIN_SUCCESS:
       // Store in localStorage
-      localStorage.setItem('token', action.payload.token);
+      storeTokens(action.payload);
       localStorage.setItem('user', JSON.stringify(action.payload.user));
 
       // Set axios default header
@@ -41,9 +57,17 @@ const authReducer = (state, action) => {
         isAuthenticated: true,
         loading: false,
       };
+    case AUTH_ACTIONS.TOKEN_REFRESHED:
+      axios.defaults.headers.common['Authorization'] = `Bearer ${action.payload.token}`;
+
+      return {
+        ...state,
+        token: action.payload.token,
+        user: action.payload.user || state.user,
+      };
     case AUTH_ACTIONS.LOGOUT:
       // Clear localStorage
-      localStorage.removeItem('token');
+      clearTokens();
       localStorage.removeItem('user');
 
       // Clear axios default header
@@ -90,10 +114,10 @@ export const AuthProvider = ({ children }) => {
   useEffect(() => {
     if (state.token) {
       axios.defaults.headers.common['Authorization'] = `Bearer ${state.token}`;
-      localStorage.setItem('token', state.token);
+      storeTokens({ token: state.token });
     } else {
       delete axios.defaults.headers.common['Authorization'];
-      localStorage.removeItem('token');
+      clearTokens();
     }
   }, [state.token]);
 
@@ -106,28 +130,67 @@ export const AuthProvider = ({ children }) => {
     }
   }, [state.user]);
 
-  // Add response interceptor to handle JWT errors
+  // Get new tokens, or sign out locally when the session has ended on the server
+  const refreshSession = useCallback(async () => {
+    try {
+      const tokens = await refreshTokens();
+      if (!tokens) {
+        dispatch({ type: AUTH_ACTIONS.LOGOUT });
+        return null;
+      }
+      dispatch({ type: AUTH_ACTIONS.TOKEN_REFRESHED, payload: tokens });
+      return tokens.token;
+    } catch (error) {
+      // Offline or server error: keep the session and try again on the next request
+      console.warn('Session refresh failed:', error.message);
+      return null;
+    }
+  }, []);
+
+  // Renew the access token shortly before it expires, so fetch calls reading localStorage get a valid one
+  useEffect(() => {
+    if (!state.token) return;
+
+    const expiresAt = getTokenExpiry(state.token);
+    if (!expiresAt) return;
+
+    const timeoutId = setTimeout(refreshSession, Math.max(expiresAt - Date.now() - REFRESH_AHEAD_MS, 0));
+    return () => clearTimeout(timeoutId);
+  }, [state.token, refreshSession]);
+
+  // Follow sign-ins, refreshes and sign-outs made in other tabs
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== 'token') return;
+      if (event.newValue) {
+        dispatch({ type: AUTH_ACTIONS.TOKEN_REFRESHED, payload: { token: event.newValue } });
+      } else {
+        dispatch({ type: AUTH_ACTIONS.LOGOUT });
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  // Add response interceptor to refresh expired access tokens and retry the request once
   useEffect(() => {
     const interceptor = axios.interceptors.response.use(
       (response) => response,
-      (error) => {
-        // Only auto-logout for specific authentication endpoints, not voice processing
-        const isAuthEndpoint = error.config?.url?.includes('/auth/') ||
-                              error.config?.url?.includes('/profile');
-
-        if ((error.response?.status === 401 ||
-             error.message?.includes('jwt malformed') ||
-             error.response?.data?.message?.includes('jwt malformed')) &&
-             isAuthEndpoint) {
-          // Token is invalid on auth endpoint, logout user
-          console.warn('Invalid token detected on auth endpoint, logging out user');
-          dispatch({ type: AUTH_ACTIONS.LOGOUT });
-          localStorage.removeItem('token');
-          localStorage.removeItem('user');
-          delete axios.defaults.headers.common['Authorization'];
+      async (error) => {
+        const config = error.config;
+        const canRefresh = config && !config._retried &&
+          !NO_REFRESH_ENDPOINTS.some(endpoint => config.url?.includes(endpoint));
+
+        if (error.response?.status === 401 && canRefresh && getRefreshToken()) {
+          config._retried = true;
+          const token = await refreshSession();
+          if (token) {
+            config.headers = { ...config.headers, Authorization: `Bearer ${token}` };
+            return axios(config);
+          }
         } else if (error.response?.status === 401) {
-          // For non-auth endpoints, just log the error but don't auto-logout
-          console.warn('401 error on non-auth endpoint:', error.config?.url);
+          console.warn('401 error:', config?.url);
         }
         return Promise.reject(error);
       }
@@ -137,18 +200,18 @@ export const AuthProvider = ({ children }) => {
     return () => {
       axios.interceptors.response.eject(interceptor);
     };
-  }, []);
+  }, [refreshSession]);
 
   // Load user on app start
   useEffect(() => {
     const loadUser = async () => {
-      const token = localStorage.getItem('token');
+      const token = getAccessToken();
       if (token) {
         // Basic token validation - check if it looks like a JWT
         const tokenParts = token.split('.');
         if (tokenParts.length !== 3) {
           console.warn('Invalid token format, clearing token');
-          localStorage.removeItem('token');
+          clearTokens();
           localStorage.removeItem('user');
           delete axios.defaults.headers.common['Authorization'];
           dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
@@ -162,13 +225,14 @@ export const AuthProvider = ({ children }) => {
             type: AUTH_ACTIONS.LOGIN_SUCCESS,
             payload: {
               user: response.data.user,
-              token,
+              // The interceptor may have refreshed an expired token while loading
+              token: getAccessToken(),
             },
           });
         } catch (error) {
           console.error('Failed to load user:', error);
           // Clear invalid token
-          localStorage.removeItem('token');
+          clearTokens();
           localStorage.removeItem('user');
           delete axios.defaults.headers.common['Authorization'];
           dispatch({ type: AUTH_ACTIONS.LOGOUT });
@@ -186,17 +250,17 @@ export const AuthProvider = ({ children }) => {
     try {
       const response = await axios.post('/api/auth/login', credentials);
 
-      const { user, token } = response.data;
+      const { user, token, refreshToken } = response.data;
 
       dispatch({
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
-        payload: { user, token },
+        payload: { user, token, refreshToken },
       });
 
       // Don't show toast - let the form handle success message
       return { success: true };
     } catch (error) {
-      const message = error.response?.data?.message || 'Login failed';
+      const message = error.response?.data?.message || translate('auth.loginFailed');
       // Return error for form handling, don't show alert here
       return { success: false, message, errors: error.response?.data?.errors };
     }
@@ -207,50 +271,74 @@ export const AuthProvider = ({ children }) => {
     try {
       const response = await axios.post('/api/auth/register', userData);
 
-      const { user, token } = response.data;
+      const { user, token, refreshToken } = response.data;
 
       dispatch({
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
-        payload: { user, token },
+        payload: { user, token, refreshToken },
       });
 
       // Don't show toast - let the form handle success message
       return { success: true };
     } catch (error) {
-      const message = error.response?.data?.message || 'Registration failed';
+      const message = error.response?.data?.message || translate('auth.registrationFailed');
       // Return error for form handling, don't show alert here
       return { success: false, message, errors: error.response?.data?.errors };
     }
   };
 
-  // Logout function
-  const logout = () => {
+  // Logout function - revokes this device's session on the server
+  const logout = async () => {
+    const refreshToken = getRefreshToken();
     dispatch({ type: AUTH_ACTIONS.LOGOUT });
     // Don't show toast for logout
+
+    if (refreshToken) {
+      try {
+        await axios.post('/api/auth/logout', { refreshToken });
+      } catch (error) {
+        console.warn('Server logout failed:', error.message);
+      }
+    }
   };
 
   // Update user function
-  const updateUser = async (userData) => {
+  const updateUser = async (userData, { silent = false } = {}) => {
     try {
       const response = await axios.put('/api/auth/profile', userData);
       dispatch({
         type: AUTH_ACTIONS.UPDATE_USER,
         payload: response.data.user,
       });
-      toastSuccess('Profile updated successfully');
+      if (!silent) toastSuccess(translate('alerts.profileUpdated'));
       return { success: true };
     } catch (error) {
-        const message = error.response?.data?.message || 'Update failed';
+        const message = error.response?.data?.message || translate('auth.updateFailed');
       return { success: false, message, errors: error.response?.data?.errors };
     }
   };
 
+  // Reload the user from the server, e.g. after the email address is verified elsewhere
+  const refreshUser = async () => {
+    try {
+      const response = await axios.get('/api/auth/profile');
+      dispatch({
+        type: AUTH_ACTIONS.UPDATE_USER,
+        payload: response.data.user,
+      });
+    } catch (error) {
+      console.error('Failed to reload user:', error);
+    }
+  };
+
   const value = {
     ...state,
     login,
     register,
     logout,
     updateUser,
+    refreshUser,
+    refreshSession,
   };
 
   return (
@@ -0,0 +1,70 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from './AuthContext';
+import {
+  LANGUAGES,
+  getLanguage,
+  setCurrentLanguage,
+  isSupportedLanguage,
+  translate,
+  formatDate,
+  formatNumber,
+  formatRelativeTime
+} from '../i18n';
+
+// Create context
+const LanguageContext = createContext();
+
+// Language Provider
+export const LanguageProvider = ({ children }) => {
+  const { user, isAuthenticated, updateUser } = useAuth();
+  const [language, setLanguageState] = useState(getLanguage);
+
+  useEffect(() => {
+    setCurrentLanguage(language);
+  }, [language]);
+
+  // Signing in switches to the language saved on the profile
+  const savedLanguage = user?.preferences?.language;
+  useEffect(() => {
+    if (isSupportedLanguage(savedLanguage)) {
+      setLanguageState(savedLanguage);
+    }
+  }, [user?._id]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Change the UI language and save it to the profile so it follows the user across devices
+  const setLanguage = useCallback(async (nextLanguage) => {
+    if (!isSupportedLanguage(nextLanguage)) return;
+
+    setCurrentLanguage(nextLanguage);
+    setLanguageState(nextLanguage);
+
+    if (isAuthenticated && savedLanguage !== nextLanguage) {
+      await updateUser({ preferences: { language: nextLanguage } }, { silent: true });
+    }
+  }, [isAuthenticated, savedLanguage, updateUser]);
+
+  const value = useMemo(() => ({
+    language,
+    languages: LANGUAGES,
+    setLanguage,
+    t: (key, params) => translate(key, params, language),
+    formatDate: (date, options) => formatDate(date, options, language),
+    formatNumber: (number, options) => formatNumber(number, options, language),
+    formatRelativeTime: (date) => formatRelativeTime(date, language)
+  }), [language, setLanguage]);
+
+  return (
+    <LanguageContext.Provider value={value}>
+      {children}
+    </LanguageContext.Provider>
+  );
+};
+
+// Custom hook to use language context
+export const useTranslation = () => {
+  const context = useContext(LanguageContext);
+  if (!context) {
+    throw new Error('useTranslation must be used within a LanguageProvider');
+  }
+  return context;
+};
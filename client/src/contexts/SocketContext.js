@@ -0,0 +1,77 @@
+import React, { createContext, useContext, useEffect, useRef, useState } from 'react';
+import { io } from 'socket.io-client';
+import { useAuth } from './AuthContext';
+import API_CONFIG from '../config/api';
+import { getAccessToken } from '../utils/authTokens';
+
+// Create context
+const SocketContext = createContext(null);
+
+// Socket Provider - keeps one authenticated connection per logged-in session
+export const SocketProvider = ({ children }) => {
+  const { user, isAuthenticated, refreshSession } = useAuth();
+  const userId = user?._id;
+  const [socket, setSocket] = useState(null);
+
+  useEffect(() => {
+    if (!isAuthenticated || !userId) {
+      setSocket(null);
+      return;
+    }
+
+    const newSocket = io(API_CONFIG.baseURL, {
+      // Read on every (re)connect so the latest refreshed access token is sent
+      auth: (callback) => callback({ token: getAccessToken() }),
+      transports: ['websocket', 'polling'],
+      reconnectionAttempts: 5
+    });
+
+    newSocket.on('connect_error', (error) => {
+      console.warn('Socket connection error:', error.message);
+    });
+
+    // The server closes the connection when this session is signed out; refreshing then
+    // either signs the user out here too or gets a fresh token to reconnect with
+    newSocket.on('disconnect', async (reason) => {
+      if (reason !== 'io server disconnect') return;
+      const token = await refreshSession();
+      if (token) newSocket.connect();
+    });
+
+    setSocket(newSocket);
+
+    return () => {
+      newSocket.disconnect();
+    };
+  }, [userId, isAuthenticated, refreshSession]);
+
+  return (
+    <SocketContext.Provider value={socket}>
+      {children}
+    </SocketContext.Provider>
+  );
+};
+
+// Custom hook to access the raw socket (null when logged out)
+export const useSocket = () => useContext(SocketContext);
+
+// Subscribe to a server event for the lifetime of the calling component
+export const useSocketEvent = (event, handler) => {
+  const socket = useSocket();
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const listener = (payload) => handlerRef.current(payload);
+    socket.on(event, listener);
+
+    return () => {
+      socket.off(event, listener);
+    };
+  }, [socket, event]);
+};
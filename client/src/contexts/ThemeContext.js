@@ -3,13 +3,11 @@ import React, { createContext, useContext, useReducer, useEffect } from 'react';
 // Initial state
 const initialState = {
   theme: localStorage.getItem('theme') || 'light',
-  language: localStorage.getItem('language') || 'en',
 };
 
 // Action types
 const THEME_ACTIONS = {
   SET_THEME: 'SET_THEME',
-  SET_LANGUAGE: 'SET_LANGUAGE',
   TOGGLE_THEME: 'TOGGLE_THEME',
 };
 
@@ -21,11 +19,6 @@ const themeReducer = (state, action) => {
         ...state,
         theme: action.payload,
       };
-    case THEME_ACTIONS.SET_LANGUAGE:
-      return {
-        ...state,
-        language: action.payload,
-      };
     case THEME_ACTIONS.TOGGLE_THEME:
       return {
         ...state,
@@ -54,22 +47,11 @@ export const ThemeProvider = ({ children }) => {
     localStorage.setItem('theme', state.theme);
   }, [state.theme]);
 
-  // Apply language
-  useEffect(() => {
-    document.documentElement.lang = state.language;
-    localStorage.setItem('language', state.language);
-  }, [state.language]);
-
   // Set theme
   const setTheme = (theme) => {
     dispatch({ type: THEME_ACTIONS.SET_THEME, payload: theme });
   };
 
-  // Set language
-  const setLanguage = (language) => {
-    dispatch({ type: THEME_ACTIONS.SET_LANGUAGE, payload: language });
-  };
-
   // Toggle theme
   const toggleTheme = () => {
     dispatch({ type: THEME_ACTIONS.TOGGLE_THEME });
@@ -78,7 +60,6 @@ export const ThemeProvider = ({ children }) => {
   const value = {
     ...state,
     setTheme,
-    setLanguage,
     toggleTheme,
   };
 
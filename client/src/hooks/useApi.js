@@ -1,17 +1,17 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { showError, showSuccess } from '../utils/alerts';
 import API_CONFIG from '../config/api';
+import { authorizedFetch } from '../utils/authTokens';
 
 // Base API function
 const apiCall = async (url, options = {}) => {
   const fullUrl = url.startsWith('http') ? url : `${API_CONFIG.baseURL}${url}`;
-  const token = localStorage.getItem('token');
   const defaultHeaders = {
-    'Content-Type': 'application/json',
-    ...(token && { 'Authorization': `Bearer ${token}` })
+    'Content-Type': 'application/json'
   };
 
-  const response = await fetch(fullUrl, {
+  // Adds the access token and refreshes it once if it has expired
+  const response = await authorizedFetch(fullUrl, {
     ...options,
     headers: {
       ...defaultHeaders,
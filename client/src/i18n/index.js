@@ -0,0 +1,91 @@
+import en from './locales/en';
+import hi from './locales/hi';
+import te from './locales/te';
+
+export const LANGUAGES = [
+  { code: 'en', label: 'English', nativeLabel: 'English' },
+  { code: 'hi', label: 'Hindi', nativeLabel: 'हिन्दी' },
+  { code: 'te', label: 'Telugu', nativeLabel: 'తెలుగు' }
+];
+
+const catalogs = { en, hi, te };
+
+// Locales used by Intl for dates and numbers (Indian digit grouping: 1,00,000)
+const LOCALES = {
+  en: 'en-IN',
+  hi: 'hi-IN',
+  te: 'te-IN'
+};
+
+export const isSupportedLanguage = (language) => Object.prototype.hasOwnProperty.call(catalogs, language);
+
+const storedLanguage = localStorage.getItem('language');
+let currentLanguage = isSupportedLanguage(storedLanguage) ? storedLanguage : 'en';
+
+export const getLanguage = () => currentLanguage;
+
+// Used by the LanguageProvider; non-React code (alerts, services) reads it through translate()
+export const setCurrentLanguage = (language) => {
+  currentLanguage = isSupportedLanguage(language) ? language : 'en';
+  localStorage.setItem('language', currentLanguage);
+  document.documentElement.lang = currentLanguage;
+};
+
+const lookup = (catalog, key) => key.split('.').reduce(
+  (value, part) => (value && typeof value === 'object' ? value[part] : undefined),
+  catalog
+);
+
+/**
+ * Translate a dotted catalog key such as 'nav.home'
+ * Falls back to English, then to the key itself. `{{name}}` placeholders are filled from params,
+ * and entries with { one, other } forms are chosen by params.count.
+ */
+export const translate = (key, params = {}, language = currentLanguage) => {
+  let message = lookup(catalogs[language], key);
+  if (message === undefined) message = lookup(catalogs.en, key);
+  if (message === undefined) return key;
+
+  if (typeof message === 'object') {
+    const form = new Intl.PluralRules(LOCALES[language]).select(params.count ?? 0);
+    message = message[form] ?? message.other;
+  }
+
+  return String(message).replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    if (params[name] === undefined) return match;
+    return typeof params[name] === 'number' ? formatNumber(params[name], {}, language) : params[name];
+  });
+};
+
+export const formatDate = (value, options = { dateStyle: 'medium' }, language = currentLanguage) => {
+  if (!value) return '';
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return new Intl.DateTimeFormat(LOCALES[language], options).format(date);
+};
+
+export const formatNumber = (value, options = {}, language = currentLanguage) => {
+  if (value === null || value === undefined || value === '') return '';
+  return new Intl.NumberFormat(LOCALES[language], options).format(value);
+};
+
+// "3 hours ago", "in 2 days"
+export const formatRelativeTime = (value, language = currentLanguage) => {
+  if (!value) return '';
+  const seconds = Math.round((new Date(value).getTime() - Date.now()) / 1000);
+  const units = [
+    ['year', 365 * 24 * 60 * 60],
+    ['month', 30 * 24 * 60 * 60],
+    ['day', 24 * 60 * 60],
+    ['hour', 60 * 60],
+    ['minute', 60]
+  ];
+  const formatter = new Intl.RelativeTimeFormat(LOCALES[language], { numeric: 'auto' });
+
+  for (const [unit, size] of units) {
+    if (Math.abs(seconds) >= size) {
+      return formatter.format(Math.round(seconds / size), unit);
+    }
+  }
+  return formatter.format(0, 'second');
+};
@@ -0,0 +1,1079 @@
+// English UI strings; the fallback for keys missing from the other catalogs
+const en = {
+  common: {
+    success: 'Success',
+    error: 'Error',
+    cancel: 'Cancel',
+    confirm: 'Confirm',
+    yes: 'Yes',
+    no: 'No',
+    backToHome: 'Back to Home',
+    unexpectedError: 'An unexpected error occurred. Please try again.',
+    delete: 'Delete'
+  },
+
+  language: {
+    label: 'Language',
+    names: {
+      en: 'English',
+      hi: 'Hindi',
+      te: 'Telugu'
+    }
+  },
+
+  roles: {
+    volunteer: 'Volunteer',
+    citizen: 'Citizen',
+    admin: 'Admin'
+  },
+
+  nav: {
+    home: 'Home',
+    addRequest: 'Add Request',
+    addBloodRequest: 'Add Blood Request',
+    myRequests: 'My Requests',
+    allRequests: 'All Requests',
+    acceptedRequests: 'Accepted Requests',
+    bloodMatches: 'Blood Matches',
+    chatAI: 'Chat AI',
+    profile: 'Profile',
+    profileSettings: 'Profile Settings',
+    logout: 'Logout',
+    volunteerDashboard: 'Volunteer Dashboard',
+    services: 'Services',
+    about: 'About',
+    contact: 'Contact',
+    communityPortal: 'Community Portal',
+    login: 'Login',
+    getStarted: 'Get Started',
+    dashboard: 'Dashboard'
+  },
+
+  alerts: {
+    profileUpdated: 'Profile updated successfully',
+    reasonOptional: 'Reason (optional)',
+    reasonRequired: 'Please give a reason',
+    applicationMessage: 'Why you are a good fit (optional)',
+    estimatedTime: 'When can you help? e.g. Tomorrow morning (optional)',
+    pleaseWait: 'Please wait...'
+  },
+
+  auth: {
+    loginFailed: 'Login failed',
+    registrationFailed: 'Registration failed',
+    updateFailed: 'Update failed',
+    email: 'Email Address',
+    emailPlaceholder: 'Enter your email address',
+    password: 'Password'
+  },
+
+  sessions: {
+    title: 'Signed-in Devices',
+    thisDevice: 'This device',
+    device: '{{browser}} on {{os}}',
+    unknownDevice: 'Unknown device',
+    lastActive: 'Last active {{time}}',
+    signOut: 'Sign out',
+    signOutOthers: 'Sign out all other devices',
+    confirmRevoke: 'Sign out this device?',
+    confirmLogoutCurrent: 'Sign out of this device now?',
+    confirmRevokeOthers: 'Sign out of every other device?',
+    revoked: 'Device signed out',
+    revokedOthers: {
+      one: 'Signed out of {{count}} other device',
+      other: 'Signed out of {{count}} other devices'
+    }
+  },
+
+  notifications: {
+    title: 'Notifications',
+    markAllRead: 'Mark all as read',
+    empty: 'You are all caught up'
+  },
+
+  verifyEmail: {
+    bannerTitle: 'Please verify your email address',
+    bannerText: 'We sent a verification link to {{email}}. You need to verify it before posting blood requests.',
+    resend: 'Resend email',
+    sending: 'Sending...',
+    resent: 'Verification email sent to {{email}}',
+    verifying: 'Verifying your email...',
+    verifiedTitle: 'Email verified',
+    verifiedText: 'Thanks for confirming your email address. You can now post blood requests.',
+    failedTitle: 'Verification failed',
+    failed: 'Could not verify your email address',
+    failedHint: 'Sign in and use "Resend email" on your dashboard to get a new link.',
+    missingToken: 'This verification link is incomplete',
+    networkError: 'Network error. Please check your connection and try again.',
+    goToDashboard: 'Go to Dashboard',
+    goToLogin: 'Go to Login'
+  },
+
+  urgency: {
+    low: 'Low',
+    medium: 'Medium',
+    high: 'High',
+    urgent: 'Urgent'
+  },
+
+  status: {
+    pending: 'Pending',
+    accepted: 'Accepted',
+    in_progress: 'In Progress',
+    fulfilled: 'Fulfilled',
+    cancelled: 'Cancelled',
+    expired: 'Expired',
+    open: 'Open',
+    assigned: 'Assigned',
+    resolved: 'Resolved',
+    closed: 'Closed',
+    confirmed: 'Confirmed',
+    completed: 'Completed'
+  },
+
+  translation: {
+    translatedFrom: 'Translated from {{language}}',
+    original: 'Original ({{language}})',
+    showOriginal: 'Show original',
+    showTranslation: 'Show translation',
+    anotherLanguage: 'another language'
+  },
+
+  options: {
+    serviceType: {
+      'Medicine Delivery': 'Medicine Delivery',
+      'Grocery Shopping': 'Grocery Shopping',
+      'Medical Appointment': 'Medical Appointment',
+      'Household Help': 'Household Help',
+      'Companionship': 'Companionship',
+      'Emergency Assistance': 'Emergency Assistance',
+      'Other': 'Other'
+    },
+    complaintCategory: {
+      'Infrastructure': 'Infrastructure',
+      'Sanitation': 'Sanitation',
+      'Water Supply': 'Water Supply',
+      'Electricity': 'Electricity',
+      'Road Maintenance': 'Road Maintenance',
+      'Waste Management': 'Waste Management',
+      'Public Safety': 'Public Safety',
+      'Healthcare': 'Healthcare',
+      'Education': 'Education',
+      'Transportation': 'Transportation',
+      'Other': 'Other'
+    }
+  },
+
+  validation: {
+    nameRequired: 'Name is required',
+    phoneRequired: 'Phone number is required. Please update your profile with a phone number.',
+    streetRequired: 'Street address is required',
+    cityRequired: 'City is required',
+    stateRequired: 'State is required',
+    pincodeRequired: 'Pincode is required',
+    noAccountAddress: 'No address found in account. Please update your profile or use manual entry.',
+    selectOnMap: 'Please select a location on the map',
+    bloodTypeRequired: 'Blood type is required',
+    serviceTypeRequired: 'Service type is required',
+    dueDateRequired: 'Due date is required',
+    titleRequired: 'Title is required',
+    titleMin: 'Title must be at least {{min}} characters',
+    titleMax: 'Title must be less than {{max}} characters',
+    descriptionRequired: 'Description is required',
+    descriptionMin: 'Description must be at least {{min}} characters',
+    descriptionMax: 'Description must be less than {{max}} characters',
+    categoryRequired: 'Category is required',
+    emailRequired: 'Email is required',
+    emailInvalid: 'Please enter a valid email address',
+    passwordRequired: 'Password is required',
+    passwordMin: 'Password must be at least {{min}} characters long',
+    confirmPasswordRequired: 'Please confirm your password',
+    passwordsMismatch: 'Passwords do not match',
+    nameMin: 'Name must be at least {{min}} characters long',
+    nameMax: 'Name cannot exceed {{max}} characters',
+    phoneNumberRequired: 'Phone number is required',
+    phoneInvalid: 'Please enter a valid 10-digit phone number',
+    fieldRequired: '{{field}} is required',
+    pincodeDigits: 'PIN code must be 6 digits',
+    volunteerKeyRequired: 'Volunteer access key is required',
+    volunteerKeyMin: 'Volunteer access key must be at least {{min}} characters',
+    roleRequired: 'Please select a role'
+  },
+
+  location: {
+    manual: 'Manual Entry',
+    manualHint: 'Type address manually',
+    account: 'Account Address',
+    accountHint: 'Use saved address',
+    map: 'Select on Map',
+    mapHint: 'Choose from map',
+    street: 'Street Address',
+    streetPlaceholder: 'Enter street address',
+    city: 'City',
+    cityPlaceholder: 'Enter city',
+    state: 'State',
+    statePlaceholder: 'Enter state',
+    pincode: 'Pincode',
+    pincodePlaceholder: 'Enter pincode',
+    country: 'Country',
+    countryPlaceholder: 'Enter country',
+    noAccountAddress: 'No address found in account',
+    change: 'Change Location',
+    selectOnMap: 'Select Location on Map',
+    selected: 'Selected Location',
+    coordinates: 'Coordinates'
+  },
+
+  addRequest: {
+    title: 'Add New Request',
+    subtitle: 'Choose the type of request and fill in the details',
+    types: {
+      blood: {
+        name: 'Blood Request',
+        description: 'Request blood donation'
+      },
+      elder_support: {
+        name: 'Elder Support',
+        description: 'Request elderly care services'
+      },
+      complaint: {
+        name: 'Complaint',
+        description: 'Report community issues'
+      }
+    },
+    fields: {
+      name: 'Name',
+      namePlaceholder: 'Enter your name',
+      contactPhone: 'Contact Phone',
+      location: 'Location',
+      bloodType: 'Blood Type Required',
+      selectBloodType: 'Select Blood Type',
+      urgencyLevel: 'Urgency Level',
+      serviceType: 'Service Type',
+      selectServiceType: 'Select Service Type',
+      dueDate: 'Due Date',
+      title: 'Title',
+      titlePlaceholder: 'Brief description of the issue (5-200 characters)',
+      description: 'Description',
+      descriptionPlaceholder: 'Detailed description of the complaint (10-2000 characters)',
+      category: 'Category',
+      selectCategory: 'Select Category',
+      images: 'Images (Optional)',
+      imagesHint: 'Upload images to support your complaint',
+      chooseImages: 'Choose Images',
+      selectedImages: {
+        one: '{{count}} image selected',
+        other: '{{count}} images selected'
+      }
+    },
+    noPhone: 'No phone number in account - Please update your profile',
+    phoneFromProfile: 'Phone number from your account profile',
+    goTo: 'Go to',
+    profilePage: 'Profile page',
+    toAddPhone: 'to add your phone number',
+    creating: 'Creating request...',
+    phoneRequiredTitle: 'Phone Number Required',
+    createFailed: 'Failed to create request',
+    createFailedRetry: 'Failed to create request. Please try again.',
+    created: '{{type}} request created successfully',
+    submitting: 'Creating...',
+    submit: 'Create Request'
+  },
+
+  allRequests: {
+    title: 'Available Requests',
+    subtitle: 'Help your community by accepting requests that match your skills',
+    bloodTitle: 'Blood Donation Requests',
+    bloodSubtitle: 'Help save lives by donating blood to those in need',
+    search: 'Search',
+    searchPlaceholder: 'Search requests...',
+    distance: 'Distance',
+    anywhere: 'Anywhere',
+    withinKm: 'Within {{distance}} km',
+    kmAway: '{{distance}} km away',
+    showing: 'Showing {{count}} of {{total}} requests',
+    emptyTitle: 'No requests found',
+    emptyHint: 'Try adjusting your filters or check back later for new requests.',
+    viewDetails: 'View Details & Help',
+    patient: 'Patient',
+    citizen: 'Citizen',
+    seniorCitizen: 'Senior Citizen',
+    generalSupport: 'General Support',
+    elderCare: 'Elder Care',
+    due: 'Due: {{date}}',
+    posted: 'Posted: {{date}}',
+    notSpecified: 'Not specified',
+    locationNotSpecified: 'Location not specified',
+    phoneHidden: 'Hidden until you volunteer',
+    takenByOther: 'This request was just taken by another volunteer',
+    fetchFailed: 'Network error while fetching requests',
+    notFound: 'Request not found',
+    applied: 'Application submitted successfully! You will be notified if selected.',
+    accepted: 'Request accepted successfully!',
+    acceptFailed: 'Failed to accept request',
+    acceptNetworkError: 'Network error while accepting request',
+    locationUnavailable: 'Location Unavailable',
+    addLocationToProfile: 'Add your location to your profile to search nearby requests',
+    allowLocationAccess: 'Allow location access or add your location to your profile to search nearby requests',
+    modal: {
+      bloodTitle: 'Blood Donation Request',
+      elderTitle: 'Elder Support Request',
+      priority: '{{level}} priority',
+      requestInformation: 'Request Information',
+      bloodType: 'Blood Type:',
+      urgency: 'Urgency:',
+      requestedBy: 'Requested by:',
+      date: 'Date:',
+      locationLabel: 'Location:',
+      locationAfterVolunteering: 'Location will be shared after volunteering',
+      contactLabel: 'Contact:',
+      phoneNumberHidden: 'Phone number hidden until you volunteer',
+      howYouCanHelp: 'How You Can Help',
+      importantInformation: 'Important Information',
+      bloodAgreement: 'By volunteering, you agree to contact the requester and coordinate the blood donation process. Please ensure you are eligible to donate blood.',
+      donationRequirements: 'Donation Requirements:',
+      requirementAge: 'Age: 18-65 years',
+      requirementWeight: 'Weight: Minimum 50kg',
+      requirementHealth: 'Good health condition',
+      requirementIllness: 'No recent illness or medication',
+      serviceDetails: 'Service Details',
+      serviceType: 'Service Type:',
+      dueDateLabel: 'Due Date:',
+      contactInformation: 'Contact Information',
+      name: 'Name:',
+      phone: 'Phone:',
+      complaintDetails: 'Complaint Details',
+      issue: 'Issue:',
+      description: 'Description:',
+      location: 'Location',
+      dueDate: 'Due Date',
+      accepting: 'Accepting...',
+      applying: 'Applying...',
+      wantToHelp: 'I Want to Help - Contact Requester',
+      applyToHelp: 'Apply to Help',
+      contactShared: 'Your contact information will be shared with the requester',
+      applicationNotice: 'You will be notified if your application is accepted',
+      applicationPending: 'Application under review'
+    }
+  },
+
+  login: {
+    title: 'Welcome Back',
+    subtitle: 'Sign in to your account to continue',
+    passwordPlaceholder: 'Enter your password',
+    rememberMe: 'Remember me',
+    forgotPassword: 'Forgot password?',
+    signingIn: 'Signing In...',
+    signIn: 'Sign In',
+    noAccount: 'Don\'t have an account?',
+    signUpLink: 'Sign up here',
+    success: 'Login successful! Redirecting...',
+    invalidCredentials: 'Invalid credentials. Please check your email and password.'
+  },
+
+  signup: {
+    title: 'Join Our Community',
+    subtitle: 'Create your account to access all community services',
+    personalInformation: 'Personal Information',
+    fullName: 'Full Name',
+    fullNamePlaceholder: 'Enter your full name',
+    phone: 'Phone Number',
+    phonePlaceholder: 'Enter your 10-digit phone number',
+    joinAs: 'I want to join as',
+    roleCitizen: 'Citizen - Access community services',
+    roleVolunteer: 'Volunteer - Help others in the community',
+    volunteerKey: 'Volunteer Access Key',
+    volunteerKeyPlaceholder: 'Enter your volunteer access key',
+    volunteerKeyHint: 'Contact your organization administrator to get your volunteer access key.',
+    security: 'Security',
+    passwordPlaceholder: 'Create a strong password (min. 6 characters)',
+    confirmPassword: 'Confirm Password',
+    confirmPasswordPlaceholder: 'Confirm your password',
+    addressInformation: 'Address Information',
+    agreeTo: 'I agree to the',
+    terms: 'Terms of Service',
+    and: 'and',
+    privacy: 'Privacy Policy',
+    dataUse: 'I understand that my information will be used to provide community services and may be shared with volunteers for assistance requests.',
+    haveAccount: 'Already have an account?',
+    signInLink: 'Sign in here',
+    creating: 'Creating Account...',
+    create: 'Create Account',
+    success: 'Account created successfully! Redirecting to dashboard...',
+    failed: 'Registration failed. Please check your information and try again.'
+  },
+
+  profile: {
+    title: 'Profile',
+    subtitle: 'Manage your account information',
+    edit: 'Edit Profile',
+    save: 'Save Changes',
+    memberSince: 'Member since {{date}}',
+    phonePlaceholder: 'Enter your phone number',
+    address: 'Address',
+    addressPlaceholder: 'Enter your address',
+    notProvided: 'Not provided',
+    updating: 'Updating profile...',
+    updateFailed: 'Failed to update profile',
+    updateNetworkError: 'Network error while updating profile',
+    donations: {
+      title: 'Donation History',
+      total: 'Total Donations',
+      totalUnits: {
+        one: '{{count}} unit in total',
+        other: '{{count}} units in total'
+      },
+      last: 'Last Donation',
+      none: 'No donations yet',
+      nextEligible: 'Next Eligible Date',
+      eligibleNow: 'Eligible now',
+      deferral: {
+        one: '{{count}} day between donations',
+        other: '{{count}} days between donations'
+      },
+      empty: 'Completed blood donations will appear here.',
+      noHospital: 'Hospital not recorded',
+      units: {
+        one: '{{count}} unit',
+        other: '{{count}} units'
+      },
+      confirming: 'Confirming donation...',
+      confirmed: 'Donation confirmed',
+      confirmFailed: 'Failed to confirm donation'
+    }
+  },
+
+  ratings: {
+    yourRating: 'Your rating:',
+    rateVolunteer: 'Rate Volunteer',
+    noRatings: 'No ratings yet',
+    saveFailed: 'Could not save rating',
+    prompt: 'How did the volunteer do?',
+    feedbackPlaceholder: 'Share a few words about the help you received (optional)',
+    saving: 'Saving...',
+    submit: 'Submit Rating',
+    outOfFive: '{{value}} out of 5 stars',
+    stars: {
+      one: '{{count}} star',
+      other: '{{count}} stars'
+    },
+    average: '{{rating}} ({{count}})',
+    helped: '{{count}} helped'
+  },
+
+  myRequests: {
+    subtitle: 'Track and manage all your requests',
+    newRequest: 'New Request',
+    volunteerAccepted: '{{name}} accepted your request',
+    volunteerApplied: '{{name}} applied to help with your request',
+    aVolunteer: 'A volunteer',
+    thisVolunteer: 'this volunteer',
+    fetchFailed: 'Failed to fetch requests',
+    fetchNetworkError: 'Network error while fetching requests',
+    contactsFailed: 'Network error while fetching contact details',
+    deleting: 'Deleting request...',
+    deleted: 'Request deleted successfully',
+    deleteFailed: 'Failed to delete request',
+    deleteNetworkError: 'Network error while deleting request',
+    bloodType: 'Blood Type:',
+    urgency: 'Urgency:',
+    donors: 'Donors:',
+    volunteerCount: {
+      one: '{{count}} volunteer',
+      other: '{{count}} volunteers'
+    },
+    service: 'Service:',
+    due: 'Due:',
+    category: 'Category:',
+    location: 'Location:',
+    status: 'Status:',
+    createdLabel: 'Created:',
+    created: 'Created: {{date}}',
+    updated: 'Updated: {{date}}',
+    viewDonors: 'View Donors',
+    deleteRequest: 'Delete Request',
+    emptyTitle: 'No requests found',
+    noMatches: 'No requests match your current filters.',
+    noneYet: 'You haven\'t created any requests yet.',
+    createFirst: 'Create Your First Request',
+    filters: {
+      title: 'Filters',
+      allTypes: 'All Types',
+      allStatus: 'All Status',
+      newest: 'Newest First',
+      oldest: 'Oldest First',
+      updated: 'Recently Updated',
+      clear: 'Clear Filters'
+    },
+    applications: {
+      title: 'Volunteer Applications ({{count}})',
+      applied: 'Applied {{date}}',
+      canHelp: 'Can help: {{time}}',
+      accept: 'Accept',
+      confirmTitle: 'Accept {{name}}?',
+      confirmText: 'They will be able to see your contact details. The other applicants will be told another volunteer was chosen.',
+      accepting: 'Accepting application...',
+      acceptFailed: 'Could not accept application'
+    },
+    donorsModal: {
+      title: 'Blood Request Donors',
+      details: 'Request Details',
+      contactDetails: 'Donor Contact Details',
+      volunteerDonors: 'Volunteer Donors ({{count}})',
+      contactUnavailable: 'Contact details not available',
+      noDonors: 'No donors have volunteered yet',
+      contactLoadFailed: 'Unable to load donor contact information',
+      shareHint: 'Share your request to find donors',
+      volunteered: 'Volunteered'
+    },
+    deleteModal: {
+      title: 'Confirm Delete',
+      cannotUndo: 'This action cannot be undone',
+      aboutToDelete: 'You are about to delete:',
+      blood: '{{bloodType}} Blood Request',
+      service: '{{service}} Service',
+      complaint: '{{category}} Complaint'
+    }
+  },
+
+  acceptedRequests: {
+    title: 'My Accepted Requests',
+    subtitle: 'Blood donation requests you\'ve volunteered to help with',
+    volunteerSubtitle: 'Manage and track the requests you\'ve accepted to help with',
+    fetchFailed: 'Failed to fetch accepted requests',
+    fetchNetworkError: 'Network error while fetching accepted requests',
+    ratingSummary: {
+      one: '{{rating}} from {{count}} rating',
+      other: '{{rating}} from {{count}} ratings'
+    },
+    helped: '{{count}} helped',
+    emptyTitle: 'No accepted requests',
+    emptyText: 'You haven\'t volunteered for any blood donation requests yet.',
+    volunteerEmptyText: 'You haven\'t accepted any requests yet. Browse available requests to start helping!',
+    browse: 'Browse Requests',
+    requester: 'Requester: {{name}}',
+    contact: 'Contact: {{phone}}',
+    acceptedOn: 'Accepted: {{date}}',
+    ratedByRequester: 'Rated by requester',
+    viewContact: 'View Contact Details',
+    modal: {
+      title: 'Accepted Blood Request',
+      requestDate: 'Request Date:',
+      acceptedDate: 'Accepted Date:',
+      yourStatus: 'Your Volunteer Status',
+      confirmed: 'Volunteer Confirmed',
+      confirmedText: 'You have volunteered to help with this blood donation request. Please coordinate with the requester to complete the donation.',
+      nextSteps: 'Next Steps:',
+      steps: {
+        contact: 'Contact the requester using the phone number above',
+        coordinate: 'Coordinate donation time and location',
+        requirements: 'Ensure you meet donation requirements',
+        donate: 'Complete the blood donation process'
+      },
+      updateStatus: 'Update Status:',
+      requesterInformation: 'Requester Information:',
+      feedback: 'Requester\'s Feedback:',
+      timeline: 'Timeline:'
+    },
+    match: {
+      yourRequest: 'Your Request',
+      titles: {
+        blood: 'Blood Donation Match',
+        elder_support: 'Elder Support Match',
+        complaint: 'Complaint Assignment',
+        other: 'Support Request'
+      },
+      descriptions: {
+        blood: 'A requester needs blood donation. Contact them to coordinate the donation.',
+        elder_support: 'An elderly person needs assistance. Contact them to coordinate the support.',
+        complaint: 'A community issue needs attention. Work with the citizen to resolve this complaint.',
+        other: 'A support request needs your assistance.'
+      },
+      contactPerson: {
+        blood: 'Donor: {{name}}',
+        elder_support: 'Elder: {{name}}',
+        complaint: 'Citizen: {{name}}',
+        other: 'Citizen: {{name}}'
+      },
+      contactHeading: {
+        blood: 'Donor Contact',
+        elder_support: 'Elder Contact',
+        complaint: 'Citizen Contact',
+        other: 'Citizen Contact'
+      },
+      matchedOn: 'Matched: {{date}}',
+      success: 'Successfully Matched!',
+      priority: 'Priority:',
+      matched: 'Matched',
+      matchedDate: 'Matched Date:',
+      assignedDate: 'Assigned Date:',
+      titleLabel: 'Title:',
+      noTitle: 'No title provided',
+      noDescription: 'No description provided',
+      images: 'Images:',
+      imagesCount: 'Images ({{count}}):',
+      evidence: 'Evidence {{number}}',
+      noImageUrl: 'No image URL',
+      noImages: 'No images attached',
+      email: 'Email:',
+      steps: {
+        blood: {
+          coordinate: 'Contact each other to coordinate',
+          confirmTime: 'Confirm donation time and location',
+          requirements: 'Ensure donor meets requirements',
+          donate: 'Complete the blood donation process'
+        },
+        elder_support: {
+          contact: 'Contact the elder to coordinate',
+          confirmService: 'Confirm service time and requirements',
+          assist: 'Provide the requested assistance',
+          followUp: 'Follow up to ensure satisfaction'
+        },
+        complaint: {
+          contact: 'Contact the citizen to understand the issue',
+          assess: 'Assess the situation and requirements',
+          resolve: 'Work together to resolve the complaint',
+          updateStatus: 'Update the status once resolved'
+        }
+      },
+      updateStatus: 'Update Status',
+      feedback: 'Requester\'s Feedback',
+      timeline: 'Timeline'
+    }
+  },
+
+  complaints: {
+    myTitle: 'My Complaints',
+    communityTitle: 'Community Complaints',
+    mySubtitle: 'Track your submitted complaints and service requests',
+    communitySubtitle: 'Help resolve community issues and service requests',
+    newComplaint: 'New Complaint',
+    fetchFailed: 'Failed to fetch complaints',
+    fetchNetworkError: 'Network error while fetching complaints',
+    emptyTitle: 'No complaints found',
+    emptyCitizen: 'You haven\'t submitted any complaints yet.',
+    emptyFiltered: 'No complaints match your current filters.',
+    apply: 'Apply',
+    assignedTo: 'Assigned to: {{name}}',
+    applying: 'Applying for complaint...',
+    applyMessage: 'I would like to help with this complaint.',
+    applyEstimatedTime: 'Within 24 hours',
+    applied: 'Application submitted successfully!',
+    applyFailed: 'Failed to apply for complaint',
+    applyNetworkError: 'Network error while applying for complaint',
+    photos: 'Photos & Documents',
+    filters: {
+      title: 'Filters',
+      allStatus: 'All Status',
+      allCategories: 'All Categories',
+      allTypes: 'All Types',
+      allPriorities: 'All Priorities'
+    },
+    categories: {
+      infrastructure: 'Infrastructure',
+      sanitation: 'Sanitation',
+      water_supply: 'Water Supply',
+      electricity: 'Electricity',
+      road_maintenance: 'Road Maintenance',
+      waste_management: 'Waste Management',
+      public_safety: 'Public Safety',
+      healthcare: 'Healthcare',
+      education: 'Education',
+      transportation: 'Transportation',
+      elderly_care: 'Elderly Care',
+      emergency_assistance: 'Emergency Assistance',
+      community_service: 'Community Service',
+      other: 'Other'
+    },
+    types: {
+      complaint: 'Complaint',
+      service_request: 'Service Request'
+    },
+    resolutionTimes: {
+      immediate: 'Immediate',
+      within_24h: 'Within 24 hours',
+      within_week: 'Within a week',
+      within_month: 'Within a month',
+      flexible: 'Flexible'
+    },
+    contactMethods: {
+      app: 'App Notifications',
+      phone: 'Phone',
+      email: 'Email'
+    },
+    create: {
+      title: 'Create New Complaint',
+      titlePlaceholder: 'Brief description of the issue',
+      descriptionPlaceholder: 'Detailed description of the complaint or service request',
+      type: 'Type',
+      priority: 'Priority',
+      expectedResolution: 'Expected Resolution Time',
+      selectTimeframe: 'Select timeframe',
+      preferredContact: 'Preferred Contact Method',
+      photosHint: 'Photos help volunteers find and assess the problem, e.g. a pothole or a garbage dump.',
+      tags: 'Tags (comma-separated)',
+      tagsPlaceholder: 'urgent, water leak, main road',
+      makePublic: 'Make this complaint public (visible to other users)',
+      creating: 'Creating complaint...',
+      uploadingPhotos: 'Uploading photos...',
+      photosNotUploaded: 'Photos not uploaded',
+      created: {
+        complaint: 'Complaint created successfully',
+        service_request: 'Service request created successfully'
+      },
+      createdUploadFailed: {
+        complaint: 'Complaint created, but the attachments failed to upload: {{error}}',
+        service_request: 'Service request created, but the attachments failed to upload: {{error}}'
+      },
+      failed: 'Failed to create complaint',
+      networkError: 'Network error while creating complaint',
+      submit: 'Create Complaint'
+    },
+    detail: {
+      resolution: 'Resolution',
+      upload: {
+        one: 'Upload {{count}} file',
+        other: 'Upload {{count}} files'
+      },
+      details: 'Details',
+      expectedResolution: 'Expected Resolution:',
+      submittedBy: 'Submitted By',
+      assignedVolunteer: 'Assigned Volunteer',
+      volunteerRating: 'Rating for the volunteer',
+      rateVolunteer: 'Rate the volunteer',
+      applications: 'Volunteer Applications',
+      assign: 'Assign',
+      estimatedTime: 'Estimated time: {{time}}',
+      updates: 'Updates',
+      updatedBy: 'By {{name}} • {{date}}',
+      applyAsVolunteer: 'Apply as Volunteer',
+      updateStatus: 'Update Status',
+      reopen: 'Reopen (not fixed)',
+      update: 'Update',
+      resolutionNote: 'How was it resolved?',
+      reason: 'Reason',
+      resolutionNotePlaceholder: 'e.g. Pothole filled and road resurfaced',
+      reasonPlaceholder: 'Why is the status being changed?',
+      addUpdatePlaceholder: 'Add an update...',
+      addUpdate: 'Add Update',
+      assigning: 'Assigning volunteer...',
+      assigned: 'Volunteer assigned successfully!',
+      assignFailed: 'Failed to assign volunteer',
+      assignNetworkError: 'Network error while assigning volunteer',
+      updatingStatus: 'Updating status...',
+      statusUpdated: 'Status updated successfully!',
+      statusFailed: 'Failed to update status',
+      statusNetworkError: 'Network error while updating status',
+      addingUpdate: 'Adding update...',
+      updateAdded: 'Update added successfully!',
+      addUpdateFailed: 'Failed to add update',
+      addUpdateNetworkError: 'Network error while adding update',
+      uploading: 'Uploading attachments...',
+      uploaded: 'Attachments uploaded',
+      uploadFailed: 'Failed to upload attachments',
+      removeTitle: 'Remove attachment?',
+      remove: 'Remove',
+      removed: 'Attachment removed',
+      removeFailed: 'Failed to remove attachment'
+    }
+  },
+
+  dashboard: {
+    welcome: 'Welcome back, {{name}}!',
+    citizenTagline: 'Ready to make a difference in your community today?',
+    totalRequests: 'Total Requests',
+    quickActions: 'Quick Actions',
+    submitComplaint: 'Submit Complaint',
+    bloodRequests: 'Blood Requests',
+    complaints: 'Complaints',
+    recentRequests: 'Recent Requests',
+    viewAll: 'View All',
+    noRequests: 'No requests yet',
+    noRequestsHint: 'Start by creating your first request',
+    volunteer: {
+      tagline: 'Thank you for being a community hero. Ready to help someone today?',
+      peopleHelped: 'People Helped',
+      rating: 'Rating',
+      activeRequests: 'Active Requests',
+      bloodDonations: 'Blood Donations',
+      addBloodRequestHint: 'Create a new blood donation request',
+      viewAllRequests: 'View All Requests',
+      viewAllRequestsHint: 'Browse available requests to help',
+      acceptedRequestsHint: 'Manage your accepted requests',
+      recentActivity: 'Recent Activity',
+      noActivity: 'No recent activity',
+      noActivityHint: 'Start helping your community today!',
+      myBloodRequests: 'My Blood Requests',
+      bloodRequestTitle: '{{bloodType}} Blood Request',
+      volunteerCount: {
+        one: '{{count}} volunteer',
+        other: '{{count}} volunteers'
+      },
+      noBloodRequests: 'No blood requests created',
+      noBloodRequestsHint: 'Create your first blood request to help others',
+      createBloodRequest: 'Create Blood Request'
+    },
+    volunteerComplaints: {
+      subtitle: 'Help resolve community issues and make a difference',
+      fetchFailed: 'Failed to fetch dashboard data',
+      fetchNetworkError: 'Network error while fetching dashboard data',
+      available: 'Available',
+      myAssigned: 'My Assigned Complaints',
+      noAssigned: 'No Assigned Complaints',
+      noAssignedHint: 'You don\'t have any assigned complaints yet. Check available complaints below.',
+      availableComplaints: 'Available Complaints',
+      noAvailable: 'No Available Complaints',
+      noAvailableHint: 'There are no open complaints available for application at the moment.',
+      submittedBy: 'Submitted by: {{name}}',
+      accessDenied: 'Access Denied',
+      volunteersOnly: 'This page is only accessible to volunteers.'
+    }
+  },
+
+  admin: {
+    title: 'Admin Dashboard',
+    subtitle: 'Community activity across users, requests, complaints and the chatbot',
+    lastDays: {
+      one: 'Last {{count}} day',
+      other: 'Last {{count}} days'
+    },
+    refresh: 'Refresh',
+    tabs: {
+      overview: 'Overview',
+      users: 'Users',
+      audit: 'Audit Log'
+    },
+    loadFailed: 'Failed to load admin dashboard',
+    loadNetworkError: 'Network error while loading admin dashboard',
+    noData: 'No data yet',
+    requestsPerDay: 'Requests per Day',
+    dayTotal: {
+      one: '{{date}}: {{count}} request',
+      other: '{{date}}: {{count}} requests'
+    },
+    types: {
+      blood: 'Blood',
+      elder_support: 'Elder Support',
+      complaint: 'Complaint'
+    },
+    duration: {
+      minutes: '{{count}} min',
+      hours: '{{hours}}h {{minutes}}m',
+      days: '{{days}} days'
+    },
+    stats: {
+      users: 'Users',
+      usersDetail: '{{volunteers}} volunteers · {{suspended}} suspended',
+      requests: 'Requests',
+      requestsDetail: '{{count}} pending',
+      complaints: 'Complaints',
+      complaintsDetail: '{{count}} open',
+      medianAccept: 'Median Time to Accept',
+      medianAcceptDetail: '{{count}} accepted in the last {{days}} days'
+    },
+    charts: {
+      requestsByType: 'Requests by Type',
+      requestsByStatus: 'Requests by Status',
+      usersByRole: 'Users by Role',
+      complaintsByStatus: 'Complaints by Status',
+      complaintsByCategory: 'Complaints by Category',
+      medianAcceptByType: 'Median Time to Accept by Type',
+      noAccepted: 'No accepted requests in this period'
+    },
+    topVolunteers: {
+      title: 'Top Volunteers',
+      empty: 'No volunteer activity recorded yet',
+      name: 'Name',
+      city: 'City',
+      bloodGroup: 'Blood Group',
+      helped: 'Helped',
+      rating: 'Rating',
+      verified: 'Verified'
+    },
+    chatbot: {
+      title: 'Chatbot',
+      messages: 'Messages',
+      requestsCreated: 'Requests created',
+      voiceMessages: 'Voice messages',
+      fallbackRate: 'AI fallback rate',
+      fallbacks: {
+        one: '{{count}} reply used the rule-based fallback instead of the AI model',
+        other: '{{count}} replies used the rule-based fallback instead of the AI model'
+      }
+    },
+    users: {
+      loadFailed: 'Failed to load users',
+      loadNetworkError: 'Network error while loading users',
+      actionFailed: 'Action failed',
+      networkError: 'Network error. Please try again.',
+      searchPlaceholder: 'Search name or email',
+      allRoles: 'All roles',
+      roleFilter: {
+        citizen: 'Citizens',
+        volunteer: 'Volunteers',
+        admin: 'Admins'
+      },
+      anyStatus: 'Any status',
+      active: 'Active',
+      suspended: 'Suspended',
+      empty: 'No users match these filters',
+      columns: {
+        user: 'User',
+        role: 'Role',
+        city: 'City',
+        status: 'Status',
+        joined: 'Joined',
+        actions: 'Actions'
+      },
+      verifiedVolunteer: 'Verified volunteer',
+      verify: 'Verify',
+      unverify: 'Unverify',
+      suspend: 'Suspend',
+      reactivate: 'Reactivate',
+      revoke: 'Revoke',
+      changeRole: 'Change role',
+      suspendTitle: 'Suspend {{name}}?',
+      suspendText: 'They will be signed out and unable to log in.',
+      reactivateTitle: 'Reactivate {{name}}?',
+      reactivateText: 'They will be able to log in again.',
+      revokeTitle: 'Revoke verification for {{name}}?',
+      verifyTitle: 'Verify {{name}}?',
+      verifyText: 'Verified volunteers are shown with a badge to citizens.',
+      roleTitle: 'Change {{name}}\'s role?',
+      auditTrail: 'Audit trail',
+      noHistory: 'No audit entries recorded for this user',
+      byActor: 'by {{name}} · {{date}}',
+      unknownActor: 'Unknown',
+      actions: {
+        suspend: 'Suspended',
+        reactivate: 'Reactivated',
+        role_change: 'Role changed',
+        verify: 'Verified',
+        unverify: 'Verification revoked',
+        profile_update: 'Profile updated'
+      }
+    },
+    audit: {
+      loadFailed: 'Failed to load audit log',
+      loadNetworkError: 'Network error while loading audit log',
+      groups: {
+        all: 'All actions',
+        requests: 'Requests',
+        complaints: 'Complaints',
+        users: 'Users'
+      },
+      targets: {
+        User: 'User',
+        Request: 'Request',
+        Complaint: 'Complaint'
+      },
+      targetPlaceholder: 'Request, complaint or user ID',
+      from: 'From',
+      to: 'To',
+      filter: 'Filter',
+      empty: 'No audit entries match these filters',
+      columns: {
+        when: 'When',
+        actor: 'Actor',
+        action: 'Action',
+        target: 'Target',
+        changed: 'Changed',
+        ip: 'IP'
+      },
+      showChanges: 'Show changes',
+      reason: 'Reason: "{{reason}}"',
+      field: 'Field',
+      before: 'Before',
+      after: 'After'
+    }
+  },
+
+  requestDraft: {
+    titles: {
+      blood: 'Blood Request draft',
+      elder_support: 'Elder Support Request draft',
+      complaint: 'Complaint draft',
+      other: 'Request draft'
+    },
+    fields: {
+      bloodType: 'Blood Type',
+      urgencyLevel: 'Urgency',
+      unitsNeeded: 'Units',
+      serviceType: 'Service',
+      frequency: 'Frequency',
+      complaintCategory: 'Category',
+      phone: 'Phone',
+      location: 'Location'
+    },
+    frequency: {
+      'one-time': 'One-time',
+      daily: 'Daily',
+      weekly: 'Weekly',
+      monthly: 'Monthly'
+    },
+    notSpecified: 'Not specified',
+    address: 'Address',
+    city: 'City',
+    edit: 'Edit',
+    discard: 'Discard',
+    save: 'Save changes',
+    confirm: 'Confirm & submit'
+  },
+
+  attachments: {
+    invalidType: '{{name}}: only JPEG, PNG and WebP photos or PDF documents can be attached',
+    tooLarge: '{{name}} is larger than {{size}}MB',
+    cannotAttach: 'Cannot attach file',
+    tooMany: 'Too many files',
+    maxFiles: {
+      one: 'You can attach up to {{count}} file',
+      other: 'You can attach up to {{count}} files'
+    },
+    add: 'Add photos or documents',
+    hint: 'JPEG, PNG, WebP or PDF, up to {{size}}MB each',
+    remove: 'Remove {{name}}',
+    attachment: 'Attachment',
+    document: 'Document',
+    close: 'Close',
+    previous: 'Previous photo',
+    next: 'Next photo'
+  },
+
+  requestStatus: {
+    actions: {
+      in_progress: 'Start Helping',
+      fulfilled: 'Mark as Fulfilled',
+      pending: 'Withdraw',
+      cancelled: 'Cancel Request'
+    },
+    recordDonation: 'Record Donation',
+    releaseVolunteer: 'Release Volunteer',
+    donationTitle: 'Record the donation?',
+    donationText: 'This records one unit donated today and marks the blood request fulfilled.',
+    fulfilledTitle: 'Mark as fulfilled?',
+    fulfilledText: 'Confirm the help has been delivered. The request will be closed.',
+    fulfilledConfirm: 'Mark Fulfilled',
+    notYet: 'Not Yet',
+    releaseTitle: 'Release the volunteer?',
+    withdrawTitle: 'Withdraw from this request?',
+    reopenText: 'The request will open up again for other volunteers.',
+    release: 'Release',
+    withdraw: 'Withdraw',
+    keepVolunteer: 'Keep Volunteer',
+    keepHelping: 'Keep Helping',
+    cancelTitle: 'Cancel this request?',
+    cancelText: 'Volunteers who accepted it will be told why.',
+    goBack: 'Go Back',
+    updating: 'Updating request...',
+    reopened: 'Request reopened for other volunteers',
+    withdrawn: 'You have withdrawn from the request',
+    marked: {
+      in_progress: 'Request marked in progress',
+      fulfilled: 'Request marked fulfilled',
+      cancelled: 'Request marked cancelled'
+    },
+    updateFailed: 'Could not update request'
+  }
+};
+
+export default en;
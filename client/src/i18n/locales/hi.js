@@ -0,0 +1,1079 @@
+// Hindi UI strings
+const hi = {
+  common: {
+    success: 'सफल',
+    error: 'त्रुटि',
+    cancel: 'रद्द करें',
+    confirm: 'पुष्टि करें',
+    yes: 'हाँ',
+    no: 'नहीं',
+    backToHome: 'होम पर वापस जाएं',
+    unexpectedError: 'एक अप्रत्याशित त्रुटि हुई। कृपया फिर से प्रयास करें।',
+    delete: 'हटाएं'
+  },
+
+  language: {
+    label: 'भाषा',
+    names: {
+      en: 'अंग्रेज़ी',
+      hi: 'हिन्दी',
+      te: 'तेलुगु'
+    }
+  },
+
+  roles: {
+    volunteer: 'स्वयंसेवक',
+    citizen: 'नागरिक',
+    admin: 'व्यवस्थापक'
+  },
+
+  nav: {
+    home: 'होम',
+    addRequest: 'अनुरोध जोड़ें',
+    addBloodRequest: 'रक्त अनुरोध जोड़ें',
+    myRequests: 'मेरे अनुरोध',
+    allRequests: 'सभी अनुरोध',
+    acceptedRequests: 'स्वीकृत अनुरोध',
+    bloodMatches: 'रक्त मिलान',
+    chatAI: 'AI चैट',
+    profile: 'प्रोफ़ाइल',
+    profileSettings: 'प्रोफ़ाइल सेटिंग्स',
+    logout: 'लॉग आउट',
+    volunteerDashboard: 'स्वयंसेवक डैशबोर्ड',
+    services: 'सेवाएँ',
+    about: 'हमारे बारे में',
+    contact: 'संपर्क',
+    communityPortal: 'सामुदायिक पोर्टल',
+    login: 'लॉग इन',
+    getStarted: 'शुरू करें',
+    dashboard: 'डैशबोर्ड'
+  },
+
+  alerts: {
+    profileUpdated: 'प्रोफ़ाइल सफलतापूर्वक अपडेट हुई',
+    reasonOptional: 'कारण (वैकल्पिक)',
+    reasonRequired: 'कृपया कारण बताएं',
+    applicationMessage: 'आप इस काम के लिए उपयुक्त क्यों हैं (वैकल्पिक)',
+    estimatedTime: 'आप कब मदद कर सकते हैं? जैसे कल सुबह (वैकल्पिक)',
+    pleaseWait: 'कृपया प्रतीक्षा करें...'
+  },
+
+  auth: {
+    loginFailed: 'लॉग इन विफल रहा',
+    registrationFailed: 'पंजीकरण विफल रहा',
+    updateFailed: 'अपडेट विफल रहा',
+    email: 'ईमेल पता',
+    emailPlaceholder: 'अपना ईमेल पता दर्ज करें',
+    password: 'पासवर्ड'
+  },
+
+  sessions: {
+    title: 'साइन-इन किए गए डिवाइस',
+    thisDevice: 'यह डिवाइस',
+    device: '{{os}} पर {{browser}}',
+    unknownDevice: 'अज्ञात डिवाइस',
+    lastActive: 'अंतिम बार सक्रिय {{time}}',
+    signOut: 'साइन आउट करें',
+    signOutOthers: 'अन्य सभी डिवाइस से साइन आउट करें',
+    confirmRevoke: 'इस डिवाइस से साइन आउट करें?',
+    confirmLogoutCurrent: 'अभी इस डिवाइस से साइन आउट करें?',
+    confirmRevokeOthers: 'अन्य सभी डिवाइस से साइन आउट करें?',
+    revoked: 'डिवाइस से साइन आउट किया गया',
+    revokedOthers: {
+      one: '{{count}} अन्य डिवाइस से साइन आउट किया गया',
+      other: '{{count}} अन्य डिवाइस से साइन आउट किया गया'
+    }
+  },
+
+  notifications: {
+    title: 'सूचनाएं',
+    markAllRead: 'सभी को पढ़ा हुआ चिह्नित करें',
+    empty: 'कोई नई सूचना नहीं है'
+  },
+
+  verifyEmail: {
+    bannerTitle: 'कृपया अपना ईमेल पता सत्यापित करें',
+    bannerText: 'हमने {{email}} पर एक सत्यापन लिंक भेजा है। रक्त अनुरोध पोस्ट करने से पहले आपको इसे सत्यापित करना होगा।',
+    resend: 'ईमेल फिर से भेजें',
+    sending: 'भेजा जा रहा है...',
+    resent: 'सत्यापन ईमेल {{email}} पर भेजा गया',
+    verifying: 'आपका ईमेल सत्यापित किया जा रहा है...',
+    verifiedTitle: 'ईमेल सत्यापित हो गया',
+    verifiedText: 'अपना ईमेल पता पुष्टि करने के लिए धन्यवाद। अब आप रक्त अनुरोध पोस्ट कर सकते हैं।',
+    failedTitle: 'सत्यापन विफल',
+    failed: 'आपका ईमेल पता सत्यापित नहीं हो सका',
+    failedHint: 'नया लिंक पाने के लिए साइन इन करें और अपने डैशबोर्ड पर "ईमेल फिर से भेजें" का उपयोग करें।',
+    missingToken: 'यह सत्यापन लिंक अधूरा है',
+    networkError: 'नेटवर्क त्रुटि। कृपया अपना कनेक्शन जांचें और फिर से प्रयास करें।',
+    goToDashboard: 'डैशबोर्ड पर जाएं',
+    goToLogin: 'लॉगिन पर जाएं'
+  },
+
+  urgency: {
+    low: 'कम',
+    medium: 'मध्यम',
+    high: 'उच्च',
+    urgent: 'अत्यावश्यक'
+  },
+
+  status: {
+    pending: 'लंबित',
+    accepted: 'स्वीकृत',
+    in_progress: 'प्रगति में',
+    fulfilled: 'पूर्ण',
+    cancelled: 'रद्द',
+    expired: 'समाप्त',
+    open: 'खुला',
+    assigned: 'सौंपा गया',
+    resolved: 'हल हुआ',
+    closed: 'बंद',
+    confirmed: 'पुष्ट',
+    completed: 'पूरा हुआ'
+  },
+
+  translation: {
+    translatedFrom: '{{language}} से अनुवादित',
+    original: 'मूल ({{language}})',
+    showOriginal: 'मूल देखें',
+    showTranslation: 'अनुवाद देखें',
+    anotherLanguage: 'किसी अन्य भाषा'
+  },
+
+  options: {
+    serviceType: {
+      'Medicine Delivery': 'दवा पहुँचाना',
+      'Grocery Shopping': 'किराने की ख़रीदारी',
+      'Medical Appointment': 'डॉक्टर से मुलाक़ात',
+      'Household Help': 'घरेलू मदद',
+      'Companionship': 'साथ देना',
+      'Emergency Assistance': 'आपातकालीन सहायता',
+      'Other': 'अन्य'
+    },
+    complaintCategory: {
+      'Infrastructure': 'बुनियादी ढाँचा',
+      'Sanitation': 'स्वच्छता',
+      'Water Supply': 'जल आपूर्ति',
+      'Electricity': 'बिजली',
+      'Road Maintenance': 'सड़क रखरखाव',
+      'Waste Management': 'कचरा प्रबंधन',
+      'Public Safety': 'सार्वजनिक सुरक्षा',
+      'Healthcare': 'स्वास्थ्य सेवा',
+      'Education': 'शिक्षा',
+      'Transportation': 'परिवहन',
+      'Other': 'अन्य'
+    }
+  },
+
+  validation: {
+    nameRequired: 'नाम आवश्यक है',
+    phoneRequired: 'फ़ोन नंबर आवश्यक है। कृपया अपनी प्रोफ़ाइल में फ़ोन नंबर जोड़ें।',
+    streetRequired: 'सड़क का पता आवश्यक है',
+    cityRequired: 'शहर आवश्यक है',
+    stateRequired: 'राज्य आवश्यक है',
+    pincodeRequired: 'पिनकोड आवश्यक है',
+    noAccountAddress: 'खाते में कोई पता नहीं मिला। कृपया अपनी प्रोफ़ाइल अपडेट करें या पता स्वयं दर्ज करें।',
+    selectOnMap: 'कृपया मानचित्र पर स्थान चुनें',
+    bloodTypeRequired: 'रक्त समूह आवश्यक है',
+    serviceTypeRequired: 'सेवा का प्रकार आवश्यक है',
+    dueDateRequired: 'नियत तिथि आवश्यक है',
+    titleRequired: 'शीर्षक आवश्यक है',
+    titleMin: 'शीर्षक कम से कम {{min}} अक्षरों का होना चाहिए',
+    titleMax: 'शीर्षक {{max}} अक्षरों से कम होना चाहिए',
+    descriptionRequired: 'विवरण आवश्यक है',
+    descriptionMin: 'विवरण कम से कम {{min}} अक्षरों का होना चाहिए',
+    descriptionMax: 'विवरण {{max}} अक्षरों से कम होना चाहिए',
+    categoryRequired: 'श्रेणी आवश्यक है',
+    emailRequired: 'ईमेल आवश्यक है',
+    emailInvalid: 'कृपया एक मान्य ईमेल पता दर्ज करें',
+    passwordRequired: 'पासवर्ड आवश्यक है',
+    passwordMin: 'पासवर्ड कम से कम {{min}} अक्षरों का होना चाहिए',
+    confirmPasswordRequired: 'कृपया अपने पासवर्ड की पुष्टि करें',
+    passwordsMismatch: 'पासवर्ड मेल नहीं खाते',
+    nameMin: 'नाम कम से कम {{min}} अक्षरों का होना चाहिए',
+    nameMax: 'नाम {{max}} अक्षरों से अधिक नहीं हो सकता',
+    phoneNumberRequired: 'फ़ोन नंबर आवश्यक है',
+    phoneInvalid: 'कृपया एक मान्य 10 अंकों का फ़ोन नंबर दर्ज करें',
+    fieldRequired: '{{field}} आवश्यक है',
+    pincodeDigits: 'पिन कोड 6 अंकों का होना चाहिए',
+    volunteerKeyRequired: 'स्वयंसेवक एक्सेस कुंजी आवश्यक है',
+    volunteerKeyMin: 'स्वयंसेवक एक्सेस कुंजी कम से कम {{min}} अक्षरों की होनी चाहिए',
+    roleRequired: 'कृपया एक भूमिका चुनें'
+  },
+
+  location: {
+    manual: 'स्वयं दर्ज करें',
+    manualHint: 'पता टाइप करें',
+    account: 'खाते का पता',
+    accountHint: 'सहेजा गया पता उपयोग करें',
+    map: 'मानचित्र पर चुनें',
+    mapHint: 'मानचित्र से चुनें',
+    street: 'सड़क का पता',
+    streetPlaceholder: 'सड़क का पता दर्ज करें',
+    city: 'शहर',
+    cityPlaceholder: 'शहर दर्ज करें',
+    state: 'राज्य',
+    statePlaceholder: 'राज्य दर्ज करें',
+    pincode: 'पिनकोड',
+    pincodePlaceholder: 'पिनकोड दर्ज करें',
+    country: 'देश',
+    countryPlaceholder: 'देश दर्ज करें',
+    noAccountAddress: 'खाते में कोई पता नहीं मिला',
+    change: 'स्थान बदलें',
+    selectOnMap: 'मानचित्र पर स्थान चुनें',
+    selected: 'चुना गया स्थान',
+    coordinates: 'निर्देशांक'
+  },
+
+  addRequest: {
+    title: 'नया अनुरोध जोड़ें',
+    subtitle: 'अनुरोध का प्रकार चुनें और विवरण भरें',
+    types: {
+      blood: {
+        name: 'रक्त अनुरोध',
+        description: 'रक्तदान का अनुरोध करें'
+      },
+      elder_support: {
+        name: 'बुज़ुर्ग सहायता',
+        description: 'बुज़ुर्गों की देखभाल सेवाओं का अनुरोध करें'
+      },
+      complaint: {
+        name: 'शिकायत',
+        description: 'सामुदायिक समस्याओं की सूचना दें'
+      }
+    },
+    fields: {
+      name: 'नाम',
+      namePlaceholder: 'अपना नाम दर्ज करें',
+      contactPhone: 'संपर्क फ़ोन',
+      location: 'स्थान',
+      bloodType: 'आवश्यक रक्त समूह',
+      selectBloodType: 'रक्त समूह चुनें',
+      urgencyLevel: 'तात्कालिकता स्तर',
+      serviceType: 'सेवा का प्रकार',
+      selectServiceType: 'सेवा का प्रकार चुनें',
+      dueDate: 'नियत तिथि',
+      title: 'शीर्षक',
+      titlePlaceholder: 'समस्या का संक्षिप्त विवरण (5-200 अक्षर)',
+      description: 'विवरण',
+      descriptionPlaceholder: 'शिकायत का विस्तृत विवरण (10-2000 अक्षर)',
+      category: 'श्रेणी',
+      selectCategory: 'श्रेणी चुनें',
+      images: 'चित्र (वैकल्पिक)',
+      imagesHint: 'अपनी शिकायत के समर्थन में चित्र अपलोड करें',
+      chooseImages: 'चित्र चुनें',
+      selectedImages: {
+        one: '{{count}} चित्र चुना गया',
+        other: '{{count}} चित्र चुने गए'
+      }
+    },
+    noPhone: 'खाते में फ़ोन नंबर नहीं है - कृपया अपनी प्रोफ़ाइल अपडेट करें',
+    phoneFromProfile: 'आपकी खाता प्रोफ़ाइल से लिया गया फ़ोन नंबर',
+    goTo: 'अपना फ़ोन नंबर जोड़ने के लिए',
+    profilePage: 'प्रोफ़ाइल पेज',
+    toAddPhone: 'पर जाएँ',
+    creating: 'अनुरोध बनाया जा रहा है...',
+    phoneRequiredTitle: 'फ़ोन नंबर आवश्यक है',
+    createFailed: 'अनुरोध बनाने में विफल',
+    createFailedRetry: 'अनुरोध बनाने में विफल। कृपया पुनः प्रयास करें।',
+    created: '{{type}} अनुरोध सफलतापूर्वक बनाया गया',
+    submitting: 'बनाया जा रहा है...',
+    submit: 'अनुरोध बनाएँ'
+  },
+
+  allRequests: {
+    title: 'उपलब्ध अनुरोध',
+    subtitle: 'अपने कौशल के अनुसार अनुरोध स्वीकार करके अपने समुदाय की मदद करें',
+    bloodTitle: 'रक्तदान अनुरोध',
+    bloodSubtitle: 'ज़रूरतमंदों को रक्तदान करके जीवन बचाने में मदद करें',
+    search: 'खोजें',
+    searchPlaceholder: 'अनुरोध खोजें...',
+    distance: 'दूरी',
+    anywhere: 'कहीं भी',
+    withinKm: '{{distance}} किमी के भीतर',
+    kmAway: '{{distance}} किमी दूर',
+    showing: '{{total}} में से {{count}} अनुरोध दिखाए जा रहे हैं',
+    emptyTitle: 'कोई अनुरोध नहीं मिला',
+    emptyHint: 'अपने फ़िल्टर बदलकर देखें या नए अनुरोधों के लिए बाद में देखें।',
+    viewDetails: 'विवरण देखें और मदद करें',
+    patient: 'मरीज़',
+    citizen: 'नागरिक',
+    seniorCitizen: 'वरिष्ठ नागरिक',
+    generalSupport: 'सामान्य सहायता',
+    elderCare: 'बुज़ुर्ग देखभाल',
+    due: 'नियत तिथि: {{date}}',
+    posted: 'पोस्ट किया गया: {{date}}',
+    notSpecified: 'निर्दिष्ट नहीं',
+    locationNotSpecified: 'स्थान निर्दिष्ट नहीं',
+    phoneHidden: 'स्वयंसेवा करने तक छिपा हुआ',
+    takenByOther: 'यह अनुरोध अभी किसी अन्य स्वयंसेवक ने ले लिया',
+    fetchFailed: 'अनुरोध लाते समय नेटवर्क त्रुटि',
+    notFound: 'अनुरोध नहीं मिला',
+    applied: 'आवेदन सफलतापूर्वक जमा हुआ! चुने जाने पर आपको सूचित किया जाएगा।',
+    accepted: 'अनुरोध सफलतापूर्वक स्वीकार किया गया!',
+    acceptFailed: 'अनुरोध स्वीकार करने में विफल',
+    acceptNetworkError: 'अनुरोध स्वीकार करते समय नेटवर्क त्रुटि',
+    locationUnavailable: 'स्थान उपलब्ध नहीं',
+    addLocationToProfile: 'आस-पास के अनुरोध खोजने के लिए अपनी प्रोफ़ाइल में स्थान जोड़ें',
+    allowLocationAccess: 'आस-पास के अनुरोध खोजने के लिए स्थान की अनुमति दें या अपनी प्रोफ़ाइल में स्थान जोड़ें',
+    modal: {
+      bloodTitle: 'रक्तदान अनुरोध',
+      elderTitle: 'बुज़ुर्ग सहायता अनुरोध',
+      priority: '{{level}} प्राथमिकता',
+      requestInformation: 'अनुरोध की जानकारी',
+      bloodType: 'रक्त समूह:',
+      urgency: 'तात्कालिकता:',
+      requestedBy: 'अनुरोधकर्ता:',
+      date: 'तिथि:',
+      locationLabel: 'स्थान:',
+      locationAfterVolunteering: 'स्वयंसेवा करने के बाद स्थान साझा किया जाएगा',
+      contactLabel: 'संपर्क:',
+      phoneNumberHidden: 'स्वयंसेवा करने तक फ़ोन नंबर छिपा रहेगा',
+      howYouCanHelp: 'आप कैसे मदद कर सकते हैं',
+      importantInformation: 'महत्वपूर्ण जानकारी',
+      bloodAgreement: 'स्वयंसेवा करके आप अनुरोधकर्ता से संपर्क करने और रक्तदान की प्रक्रिया में समन्वय करने के लिए सहमत होते हैं। कृपया सुनिश्चित करें कि आप रक्तदान के योग्य हैं।',
+      donationRequirements: 'रक्तदान की शर्तें:',
+      requirementAge: 'आयु: 18-65 वर्ष',
+      requirementWeight: 'वज़न: कम से कम 50 किग्रा',
+      requirementHealth: 'अच्छा स्वास्थ्य',
+      requirementIllness: 'हाल में कोई बीमारी या दवा नहीं',
+      serviceDetails: 'सेवा का विवरण',
+      serviceType: 'सेवा का प्रकार:',
+      dueDateLabel: 'नियत तिथि:',
+      contactInformation: 'संपर्क जानकारी',
+      name: 'नाम:',
+      phone: 'फ़ोन:',
+      complaintDetails: 'शिकायत का विवरण',
+      issue: 'समस्या:',
+      description: 'विवरण:',
+      location: 'स्थान',
+      dueDate: 'नियत तिथि',
+      accepting: 'स्वीकार किया जा रहा है...',
+      applying: 'आवेदन किया जा रहा है...',
+      wantToHelp: 'मैं मदद करना चाहता/चाहती हूँ - अनुरोधकर्ता से संपर्क करें',
+      applyToHelp: 'मदद के लिए आवेदन करें',
+      contactShared: 'आपकी संपर्क जानकारी अनुरोधकर्ता के साथ साझा की जाएगी',
+      applicationNotice: 'आपका आवेदन स्वीकार होने पर आपको सूचित किया जाएगा',
+      applicationPending: 'आवेदन की समीक्षा हो रही है'
+    }
+  },
+
+  login: {
+    title: 'फिर से स्वागत है',
+    subtitle: 'जारी रखने के लिए अपने खाते में साइन इन करें',
+    passwordPlaceholder: 'अपना पासवर्ड दर्ज करें',
+    rememberMe: 'मुझे याद रखें',
+    forgotPassword: 'पासवर्ड भूल गए?',
+    signingIn: 'साइन इन हो रहा है...',
+    signIn: 'साइन इन करें',
+    noAccount: 'खाता नहीं है?',
+    signUpLink: 'यहां साइन अप करें',
+    success: 'लॉगिन सफल! आगे ले जाया जा रहा है...',
+    invalidCredentials: 'अमान्य क्रेडेंशियल। कृपया अपना ईमेल और पासवर्ड जांचें।'
+  },
+
+  signup: {
+    title: 'हमारे समुदाय से जुड़ें',
+    subtitle: 'सभी सामुदायिक सेवाओं का उपयोग करने के लिए अपना खाता बनाएं',
+    personalInformation: 'व्यक्तिगत जानकारी',
+    fullName: 'पूरा नाम',
+    fullNamePlaceholder: 'अपना पूरा नाम दर्ज करें',
+    phone: 'फ़ोन नंबर',
+    phonePlaceholder: 'अपना 10 अंकों का फ़ोन नंबर दर्ज करें',
+    joinAs: 'मैं इस रूप में जुड़ना चाहता/चाहती हूं',
+    roleCitizen: 'नागरिक - सामुदायिक सेवाओं का उपयोग करें',
+    roleVolunteer: 'स्वयंसेवक - समुदाय में दूसरों की मदद करें',
+    volunteerKey: 'स्वयंसेवक एक्सेस कुंजी',
+    volunteerKeyPlaceholder: 'अपनी स्वयंसेवक एक्सेस कुंजी दर्ज करें',
+    volunteerKeyHint: 'अपनी स्वयंसेवक एक्सेस कुंजी पाने के लिए अपने संगठन के व्यवस्थापक से संपर्क करें।',
+    security: 'सुरक्षा',
+    passwordPlaceholder: 'एक मज़बूत पासवर्ड बनाएं (कम से कम 6 अक्षर)',
+    confirmPassword: 'पासवर्ड की पुष्टि करें',
+    confirmPasswordPlaceholder: 'अपने पासवर्ड की पुष्टि करें',
+    addressInformation: 'पते की जानकारी',
+    agreeTo: 'मैं सहमत हूं',
+    terms: 'सेवा की शर्तें',
+    and: 'और',
+    privacy: 'गोपनीयता नीति',
+    dataUse: 'मैं समझता/समझती हूं कि मेरी जानकारी का उपयोग सामुदायिक सेवाएं देने के लिए किया जाएगा और सहायता अनुरोधों के लिए स्वयंसेवकों के साथ साझा किया जा सकता है।',
+    haveAccount: 'पहले से खाता है?',
+    signInLink: 'यहां साइन इन करें',
+    creating: 'खाता बनाया जा रहा है...',
+    create: 'खाता बनाएं',
+    success: 'खाता सफलतापूर्वक बनाया गया! डैशबोर्ड पर ले जाया जा रहा है...',
+    failed: 'पंजीकरण विफल रहा। कृपया अपनी जानकारी जांचें और फिर से प्रयास करें।'
+  },
+
+  profile: {
+    title: 'प्रोफ़ाइल',
+    subtitle: 'अपने खाते की जानकारी प्रबंधित करें',
+    edit: 'प्रोफ़ाइल संपादित करें',
+    save: 'बदलाव सहेजें',
+    memberSince: '{{date}} से सदस्य',
+    phonePlaceholder: 'अपना फ़ोन नंबर दर्ज करें',
+    address: 'पता',
+    addressPlaceholder: 'अपना पता दर्ज करें',
+    notProvided: 'नहीं दिया गया',
+    updating: 'प्रोफ़ाइल अपडेट हो रही है...',
+    updateFailed: 'प्रोफ़ाइल अपडेट करने में विफल',
+    updateNetworkError: 'प्रोफ़ाइल अपडेट करते समय नेटवर्क त्रुटि',
+    donations: {
+      title: 'दान का इतिहास',
+      total: 'कुल दान',
+      totalUnits: {
+        one: 'कुल {{count}} यूनिट',
+        other: 'कुल {{count}} यूनिट'
+      },
+      last: 'पिछला दान',
+      none: 'अभी तक कोई दान नहीं',
+      nextEligible: 'अगली पात्र तिथि',
+      eligibleNow: 'अभी पात्र हैं',
+      deferral: {
+        one: 'दो दान के बीच {{count}} दिन',
+        other: 'दो दान के बीच {{count}} दिन'
+      },
+      empty: 'पूरे हुए रक्तदान यहां दिखाई देंगे।',
+      noHospital: 'अस्पताल दर्ज नहीं है',
+      units: {
+        one: '{{count}} यूनिट',
+        other: '{{count}} यूनिट'
+      },
+      confirming: 'दान की पुष्टि हो रही है...',
+      confirmed: 'दान की पुष्टि हो गई',
+      confirmFailed: 'दान की पुष्टि करने में विफल'
+    }
+  },
+
+  ratings: {
+    yourRating: 'आपकी रेटिंग:',
+    rateVolunteer: 'स्वयंसेवक को रेट करें',
+    noRatings: 'अभी तक कोई रेटिंग नहीं',
+    saveFailed: 'रेटिंग सहेजी नहीं जा सकी',
+    prompt: 'स्वयंसेवक ने कैसा काम किया?',
+    feedbackPlaceholder: 'मिली मदद के बारे में कुछ शब्द साझा करें (वैकल्पिक)',
+    saving: 'सहेजा जा रहा है...',
+    submit: 'रेटिंग जमा करें',
+    outOfFive: '5 में से {{value}} स्टार',
+    stars: {
+      one: '{{count}} स्टार',
+      other: '{{count}} स्टार'
+    },
+    average: '{{rating}} ({{count}})',
+    helped: '{{count}} की मदद की'
+  },
+
+  myRequests: {
+    subtitle: 'अपने सभी अनुरोधों को ट्रैक और प्रबंधित करें',
+    newRequest: 'नया अनुरोध',
+    volunteerAccepted: '{{name}} ने आपका अनुरोध स्वीकार किया',
+    volunteerApplied: '{{name}} ने आपके अनुरोध में मदद के लिए आवेदन किया',
+    aVolunteer: 'एक स्वयंसेवक',
+    thisVolunteer: 'इस स्वयंसेवक',
+    fetchFailed: 'अनुरोध लाने में विफल',
+    fetchNetworkError: 'अनुरोध लाते समय नेटवर्क त्रुटि',
+    contactsFailed: 'संपर्क विवरण लाते समय नेटवर्क त्रुटि',
+    deleting: 'अनुरोध हटाया जा रहा है...',
+    deleted: 'अनुरोध सफलतापूर्वक हटाया गया',
+    deleteFailed: 'अनुरोध हटाने में विफल',
+    deleteNetworkError: 'अनुरोध हटाते समय नेटवर्क त्रुटि',
+    bloodType: 'रक्त समूह:',
+    urgency: 'तात्कालिकता:',
+    donors: 'दाता:',
+    volunteerCount: {
+      one: '{{count}} स्वयंसेवक',
+      other: '{{count}} स्वयंसेवक'
+    },
+    service: 'सेवा:',
+    due: 'नियत तिथि:',
+    category: 'श्रेणी:',
+    location: 'स्थान:',
+    status: 'स्थिति:',
+    createdLabel: 'बनाया गया:',
+    created: 'बनाया गया: {{date}}',
+    updated: 'अपडेट किया गया: {{date}}',
+    viewDonors: 'दाता देखें',
+    deleteRequest: 'अनुरोध हटाएं',
+    emptyTitle: 'कोई अनुरोध नहीं मिला',
+    noMatches: 'कोई अनुरोध आपके वर्तमान फ़िल्टर से मेल नहीं खाता।',
+    noneYet: 'आपने अभी तक कोई अनुरोध नहीं बनाया है।',
+    createFirst: 'अपना पहला अनुरोध बनाएं',
+    filters: {
+      title: 'फ़िल्टर',
+      allTypes: 'सभी प्रकार',
+      allStatus: 'सभी स्थितियाँ',
+      newest: 'नवीनतम पहले',
+      oldest: 'सबसे पुराने पहले',
+      updated: 'हाल ही में अपडेट किए गए',
+      clear: 'फ़िल्टर हटाएं'
+    },
+    applications: {
+      title: 'स्वयंसेवक आवेदन ({{count}})',
+      applied: '{{date}} को आवेदन किया',
+      canHelp: 'मदद कर सकते हैं: {{time}}',
+      accept: 'स्वीकार करें',
+      confirmTitle: '{{name}} को स्वीकार करें?',
+      confirmText: 'वे आपके संपर्क विवरण देख सकेंगे। अन्य आवेदकों को बताया जाएगा कि किसी दूसरे स्वयंसेवक को चुना गया है।',
+      accepting: 'आवेदन स्वीकार किया जा रहा है...',
+      acceptFailed: 'आवेदन स्वीकार नहीं हो सका'
+    },
+    donorsModal: {
+      title: 'रक्त अनुरोध के दाता',
+      details: 'अनुरोध विवरण',
+      contactDetails: 'दाता संपर्क विवरण',
+      volunteerDonors: 'स्वयंसेवक दाता ({{count}})',
+      contactUnavailable: 'संपर्क विवरण उपलब्ध नहीं है',
+      noDonors: 'अभी तक किसी दाता ने स्वेच्छा नहीं दी है',
+      contactLoadFailed: 'दाता की संपर्क जानकारी लोड नहीं हो सकी',
+      shareHint: 'दाता खोजने के लिए अपना अनुरोध साझा करें',
+      volunteered: 'स्वेच्छा दी'
+    },
+    deleteModal: {
+      title: 'हटाने की पुष्टि करें',
+      cannotUndo: 'यह कार्रवाई पूर्ववत नहीं की जा सकती',
+      aboutToDelete: 'आप यह हटाने वाले हैं:',
+      blood: '{{bloodType}} रक्त अनुरोध',
+      service: '{{service}} सेवा',
+      complaint: '{{category}} शिकायत'
+    }
+  },
+
+  acceptedRequests: {
+    title: 'मेरे स्वीकृत अनुरोध',
+    subtitle: 'रक्तदान अनुरोध जिनमें आपने मदद के लिए स्वेच्छा दी है',
+    volunteerSubtitle: 'उन अनुरोधों को प्रबंधित और ट्रैक करें जिनमें आपने मदद करना स्वीकार किया है',
+    fetchFailed: 'स्वीकृत अनुरोध लाने में विफल',
+    fetchNetworkError: 'स्वीकृत अनुरोध लाते समय नेटवर्क त्रुटि',
+    ratingSummary: {
+      one: '{{count}} रेटिंग से {{rating}}',
+      other: '{{count}} रेटिंग से {{rating}}'
+    },
+    helped: '{{count}} की मदद की',
+    emptyTitle: 'कोई स्वीकृत अनुरोध नहीं',
+    emptyText: 'आपने अभी तक किसी रक्तदान अनुरोध के लिए स्वेच्छा नहीं दी है।',
+    volunteerEmptyText: 'आपने अभी तक कोई अनुरोध स्वीकार नहीं किया है। मदद शुरू करने के लिए उपलब्ध अनुरोध देखें!',
+    browse: 'अनुरोध देखें',
+    requester: 'अनुरोधकर्ता: {{name}}',
+    contact: 'संपर्क: {{phone}}',
+    acceptedOn: 'स्वीकृत: {{date}}',
+    ratedByRequester: 'अनुरोधकर्ता द्वारा रेट किया गया',
+    viewContact: 'संपर्क विवरण देखें',
+    modal: {
+      title: 'स्वीकृत रक्त अनुरोध',
+      requestDate: 'अनुरोध तिथि:',
+      acceptedDate: 'स्वीकृति तिथि:',
+      yourStatus: 'आपकी स्वयंसेवक स्थिति',
+      confirmed: 'स्वयंसेवक पुष्ट',
+      confirmedText: 'आपने इस रक्तदान अनुरोध में मदद के लिए स्वेच्छा दी है। कृपया दान पूरा करने के लिए अनुरोधकर्ता से समन्वय करें।',
+      nextSteps: 'अगले कदम:',
+      steps: {
+        contact: 'ऊपर दिए गए फ़ोन नंबर से अनुरोधकर्ता से संपर्क करें',
+        coordinate: 'दान का समय और स्थान तय करें',
+        requirements: 'सुनिश्चित करें कि आप दान की आवश्यकताओं को पूरा करते हैं',
+        donate: 'रक्तदान प्रक्रिया पूरी करें'
+      },
+      updateStatus: 'स्थिति अपडेट करें:',
+      requesterInformation: 'अनुरोधकर्ता की जानकारी:',
+      feedback: 'अनुरोधकर्ता की प्रतिक्रिया:',
+      timeline: 'समयरेखा:'
+    },
+    match: {
+      yourRequest: 'आपका अनुरोध',
+      titles: {
+        blood: 'रक्तदान मिलान',
+        elder_support: 'बुजुर्ग सहायता मिलान',
+        complaint: 'शिकायत असाइनमेंट',
+        other: 'सहायता अनुरोध'
+      },
+      descriptions: {
+        blood: 'एक अनुरोधकर्ता को रक्तदान की आवश्यकता है। दान के समन्वय के लिए उनसे संपर्क करें।',
+        elder_support: 'एक बुजुर्ग व्यक्ति को सहायता की आवश्यकता है। सहायता के समन्वय के लिए उनसे संपर्क करें।',
+        complaint: 'एक सामुदायिक समस्या पर ध्यान देने की आवश्यकता है। इस शिकायत को हल करने के लिए नागरिक के साथ काम करें।',
+        other: 'एक सहायता अनुरोध को आपकी मदद की आवश्यकता है।'
+      },
+      contactPerson: {
+        blood: 'दाता: {{name}}',
+        elder_support: 'बुजुर्ग: {{name}}',
+        complaint: 'नागरिक: {{name}}',
+        other: 'नागरिक: {{name}}'
+      },
+      contactHeading: {
+        blood: 'दाता संपर्क',
+        elder_support: 'बुजुर्ग संपर्क',
+        complaint: 'नागरिक संपर्क',
+        other: 'नागरिक संपर्क'
+      },
+      matchedOn: 'मिलान: {{date}}',
+      success: 'सफलतापूर्वक मिलान हुआ!',
+      priority: 'प्राथमिकता:',
+      matched: 'मिलान हुआ',
+      matchedDate: 'मिलान तिथि:',
+      assignedDate: 'असाइन तिथि:',
+      titleLabel: 'शीर्षक:',
+      noTitle: 'कोई शीर्षक नहीं दिया गया',
+      noDescription: 'कोई विवरण नहीं दिया गया',
+      images: 'चित्र:',
+      imagesCount: 'चित्र ({{count}}):',
+      evidence: 'साक्ष्य {{number}}',
+      noImageUrl: 'चित्र का URL नहीं है',
+      noImages: 'कोई चित्र संलग्न नहीं',
+      email: 'ईमेल:',
+      steps: {
+        blood: {
+          coordinate: 'समन्वय के लिए एक-दूसरे से संपर्क करें',
+          confirmTime: 'दान का समय और स्थान पक्का करें',
+          requirements: 'सुनिश्चित करें कि दाता आवश्यकताओं को पूरा करता है',
+          donate: 'रक्तदान प्रक्रिया पूरी करें'
+        },
+        elder_support: {
+          contact: 'समन्वय के लिए बुजुर्ग से संपर्क करें',
+          confirmService: 'सेवा का समय और आवश्यकताएँ पक्की करें',
+          assist: 'अनुरोधित सहायता प्रदान करें',
+          followUp: 'संतुष्टि सुनिश्चित करने के लिए बाद में संपर्क करें'
+        },
+        complaint: {
+          contact: 'समस्या समझने के लिए नागरिक से संपर्क करें',
+          assess: 'स्थिति और आवश्यकताओं का आकलन करें',
+          resolve: 'शिकायत हल करने के लिए मिलकर काम करें',
+          updateStatus: 'हल होने पर स्थिति अपडेट करें'
+        }
+      },
+      updateStatus: 'स्थिति अपडेट करें',
+      feedback: 'अनुरोधकर्ता की प्रतिक्रिया',
+      timeline: 'समयरेखा'
+    }
+  },
+
+  complaints: {
+    myTitle: 'मेरी शिकायतें',
+    communityTitle: 'सामुदायिक शिकायतें',
+    mySubtitle: 'अपनी दर्ज शिकायतों और सेवा अनुरोधों को ट्रैक करें',
+    communitySubtitle: 'सामुदायिक समस्याओं और सेवा अनुरोधों को हल करने में मदद करें',
+    newComplaint: 'नई शिकायत',
+    fetchFailed: 'शिकायतें लाने में विफल',
+    fetchNetworkError: 'शिकायतें लाते समय नेटवर्क त्रुटि',
+    emptyTitle: 'कोई शिकायत नहीं मिली',
+    emptyCitizen: 'आपने अभी तक कोई शिकायत दर्ज नहीं की है।',
+    emptyFiltered: 'कोई शिकायत आपके वर्तमान फ़िल्टर से मेल नहीं खाती।',
+    apply: 'आवेदन करें',
+    assignedTo: 'सौंपा गया: {{name}}',
+    applying: 'शिकायत के लिए आवेदन किया जा रहा है...',
+    applyMessage: 'मैं इस शिकायत में मदद करना चाहूँगा।',
+    applyEstimatedTime: '24 घंटों के भीतर',
+    applied: 'आवेदन सफलतापूर्वक जमा हुआ!',
+    applyFailed: 'शिकायत के लिए आवेदन करने में विफल',
+    applyNetworkError: 'शिकायत के लिए आवेदन करते समय नेटवर्क त्रुटि',
+    photos: 'फ़ोटो और दस्तावेज़',
+    filters: {
+      title: 'फ़िल्टर',
+      allStatus: 'सभी स्थितियाँ',
+      allCategories: 'सभी श्रेणियाँ',
+      allTypes: 'सभी प्रकार',
+      allPriorities: 'सभी प्राथमिकताएँ'
+    },
+    categories: {
+      infrastructure: 'बुनियादी ढांचा',
+      sanitation: 'स्वच्छता',
+      water_supply: 'जल आपूर्ति',
+      electricity: 'बिजली',
+      road_maintenance: 'सड़क रखरखाव',
+      waste_management: 'अपशिष्ट प्रबंधन',
+      public_safety: 'सार्वजनिक सुरक्षा',
+      healthcare: 'स्वास्थ्य सेवा',
+      education: 'शिक्षा',
+      transportation: 'परिवहन',
+      elderly_care: 'बुजुर्गों की देखभाल',
+      emergency_assistance: 'आपातकालीन सहायता',
+      community_service: 'सामुदायिक सेवा',
+      other: 'अन्य'
+    },
+    types: {
+      complaint: 'शिकायत',
+      service_request: 'सेवा अनुरोध'
+    },
+    resolutionTimes: {
+      immediate: 'तुरंत',
+      within_24h: '24 घंटों के भीतर',
+      within_week: 'एक सप्ताह के भीतर',
+      within_month: 'एक महीने के भीतर',
+      flexible: 'लचीला'
+    },
+    contactMethods: {
+      app: 'ऐप सूचनाएँ',
+      phone: 'फ़ोन',
+      email: 'ईमेल'
+    },
+    create: {
+      title: 'नई शिकायत बनाएं',
+      titlePlaceholder: 'समस्या का संक्षिप्त विवरण',
+      descriptionPlaceholder: 'शिकायत या सेवा अनुरोध का विस्तृत विवरण',
+      type: 'प्रकार',
+      priority: 'प्राथमिकता',
+      expectedResolution: 'समाधान का अपेक्षित समय',
+      selectTimeframe: 'समय सीमा चुनें',
+      preferredContact: 'पसंदीदा संपर्क माध्यम',
+      photosHint: 'फ़ोटो स्वयंसेवकों को समस्या खोजने और आंकने में मदद करते हैं, जैसे गड्ढा या कूड़े का ढेर।',
+      tags: 'टैग (अल्पविराम से अलग)',
+      tagsPlaceholder: 'तत्काल, पानी का रिसाव, मुख्य सड़क',
+      makePublic: 'इस शिकायत को सार्वजनिक करें (अन्य उपयोगकर्ताओं को दिखाई देगी)',
+      creating: 'शिकायत बनाई जा रही है...',
+      uploadingPhotos: 'फ़ोटो अपलोड हो रहे हैं...',
+      photosNotUploaded: 'फ़ोटो अपलोड नहीं हुए',
+      created: {
+        complaint: 'शिकायत सफलतापूर्वक बनाई गई',
+        service_request: 'सेवा अनुरोध सफलतापूर्वक बनाया गया'
+      },
+      createdUploadFailed: {
+        complaint: 'शिकायत बनाई गई, लेकिन संलग्नक अपलोड नहीं हुए: {{error}}',
+        service_request: 'सेवा अनुरोध बनाया गया, लेकिन संलग्नक अपलोड नहीं हुए: {{error}}'
+      },
+      failed: 'शिकायत बनाने में विफल',
+      networkError: 'शिकायत बनाते समय नेटवर्क त्रुटि',
+      submit: 'शिकायत बनाएं'
+    },
+    detail: {
+      resolution: 'समाधान',
+      upload: {
+        one: '{{count}} फ़ाइल अपलोड करें',
+        other: '{{count}} फ़ाइलें अपलोड करें'
+      },
+      details: 'विवरण',
+      expectedResolution: 'अपेक्षित समाधान:',
+      submittedBy: 'द्वारा दर्ज',
+      assignedVolunteer: 'सौंपा गया स्वयंसेवक',
+      volunteerRating: 'स्वयंसेवक के लिए रेटिंग',
+      rateVolunteer: 'स्वयंसेवक को रेट करें',
+      applications: 'स्वयंसेवक आवेदन',
+      assign: 'सौंपें',
+      estimatedTime: 'अनुमानित समय: {{time}}',
+      updates: 'अपडेट',
+      updatedBy: '{{name}} द्वारा • {{date}}',
+      applyAsVolunteer: 'स्वयंसेवक के रूप में आवेदन करें',
+      updateStatus: 'स्थिति अपडेट करें',
+      reopen: 'फिर से खोलें (ठीक नहीं हुआ)',
+      update: 'अपडेट करें',
+      resolutionNote: 'इसे कैसे हल किया गया?',
+      reason: 'कारण',
+      resolutionNotePlaceholder: 'जैसे गड्ढा भरा गया और सड़क दोबारा बनाई गई',
+      reasonPlaceholder: 'स्थिति क्यों बदली जा रही है?',
+      addUpdatePlaceholder: 'एक अपडेट जोड़ें...',
+      addUpdate: 'अपडेट जोड़ें',
+      assigning: 'स्वयंसेवक सौंपा जा रहा है...',
+      assigned: 'स्वयंसेवक सफलतापूर्वक सौंपा गया!',
+      assignFailed: 'स्वयंसेवक सौंपने में विफल',
+      assignNetworkError: 'स्वयंसेवक सौंपते समय नेटवर्क त्रुटि',
+      updatingStatus: 'स्थिति अपडेट हो रही है...',
+      statusUpdated: 'स्थिति सफलतापूर्वक अपडेट हुई!',
+      statusFailed: 'स्थिति अपडेट करने में विफल',
+      statusNetworkError: 'स्थिति अपडेट करते समय नेटवर्क त्रुटि',
+      addingUpdate: 'अपडेट जोड़ा जा रहा है...',
+      updateAdded: 'अपडेट सफलतापूर्वक जोड़ा गया!',
+      addUpdateFailed: 'अपडेट जोड़ने में विफल',
+      addUpdateNetworkError: 'अपडेट जोड़ते समय नेटवर्क त्रुटि',
+      uploading: 'संलग्नक अपलोड हो रहे हैं...',
+      uploaded: 'संलग्नक अपलोड हुए',
+      uploadFailed: 'संलग्नक अपलोड करने में विफल',
+      removeTitle: 'संलग्नक हटाएं?',
+      remove: 'हटाएं',
+      removed: 'संलग्नक हटाया गया',
+      removeFailed: 'संलग्नक हटाने में विफल'
+    }
+  },
+
+  dashboard: {
+    welcome: 'वापसी पर स्वागत है, {{name}}!',
+    citizenTagline: 'क्या आप आज अपने समुदाय में बदलाव लाने के लिए तैयार हैं?',
+    totalRequests: 'कुल अनुरोध',
+    quickActions: 'त्वरित कार्य',
+    submitComplaint: 'शिकायत दर्ज करें',
+    bloodRequests: 'रक्त अनुरोध',
+    complaints: 'शिकायतें',
+    recentRequests: 'हाल के अनुरोध',
+    viewAll: 'सभी देखें',
+    noRequests: 'अभी तक कोई अनुरोध नहीं',
+    noRequestsHint: 'अपना पहला अनुरोध बनाकर शुरुआत करें',
+    volunteer: {
+      tagline: 'समुदाय के नायक बनने के लिए धन्यवाद। क्या आज किसी की मदद के लिए तैयार हैं?',
+      peopleHelped: 'लोगों की मदद की',
+      rating: 'रेटिंग',
+      activeRequests: 'सक्रिय अनुरोध',
+      bloodDonations: 'रक्तदान',
+      addBloodRequestHint: 'नया रक्तदान अनुरोध बनाएं',
+      viewAllRequests: 'सभी अनुरोध देखें',
+      viewAllRequestsHint: 'मदद के लिए उपलब्ध अनुरोध देखें',
+      acceptedRequestsHint: 'अपने स्वीकृत अनुरोध प्रबंधित करें',
+      recentActivity: 'हाल की गतिविधि',
+      noActivity: 'कोई हाल की गतिविधि नहीं',
+      noActivityHint: 'आज ही अपने समुदाय की मदद शुरू करें!',
+      myBloodRequests: 'मेरे रक्त अनुरोध',
+      bloodRequestTitle: '{{bloodType}} रक्त अनुरोध',
+      volunteerCount: {
+        one: '{{count}} स्वयंसेवक',
+        other: '{{count}} स्वयंसेवक'
+      },
+      noBloodRequests: 'कोई रक्त अनुरोध नहीं बनाया गया',
+      noBloodRequestsHint: 'दूसरों की मदद के लिए अपना पहला रक्त अनुरोध बनाएं',
+      createBloodRequest: 'रक्त अनुरोध बनाएं'
+    },
+    volunteerComplaints: {
+      subtitle: 'सामुदायिक समस्याओं को हल करने में मदद करें और बदलाव लाएं',
+      fetchFailed: 'डैशबोर्ड डेटा लाने में विफल',
+      fetchNetworkError: 'डैशबोर्ड डेटा लाते समय नेटवर्क त्रुटि',
+      available: 'उपलब्ध',
+      myAssigned: 'मुझे सौंपी गई शिकायतें',
+      noAssigned: 'कोई सौंपी गई शिकायत नहीं',
+      noAssignedHint: 'आपको अभी तक कोई शिकायत नहीं सौंपी गई है। नीचे उपलब्ध शिकायतें देखें।',
+      availableComplaints: 'उपलब्ध शिकायतें',
+      noAvailable: 'कोई उपलब्ध शिकायत नहीं',
+      noAvailableHint: 'इस समय आवेदन के लिए कोई खुली शिकायत उपलब्ध नहीं है।',
+      submittedBy: 'द्वारा दर्ज: {{name}}',
+      accessDenied: 'पहुँच अस्वीकृत',
+      volunteersOnly: 'यह पेज केवल स्वयंसेवकों के लिए है।'
+    }
+  },
+
+  admin: {
+    title: 'एडमिन डैशबोर्ड',
+    subtitle: 'उपयोगकर्ताओं, अनुरोधों, शिकायतों और चैटबॉट में सामुदायिक गतिविधि',
+    lastDays: {
+      one: 'पिछला {{count}} दिन',
+      other: 'पिछले {{count}} दिन'
+    },
+    refresh: 'रीफ़्रेश करें',
+    tabs: {
+      overview: 'सारांश',
+      users: 'उपयोगकर्ता',
+      audit: 'ऑडिट लॉग'
+    },
+    loadFailed: 'एडमिन डैशबोर्ड लोड करने में विफल',
+    loadNetworkError: 'एडमिन डैशबोर्ड लोड करते समय नेटवर्क त्रुटि',
+    noData: 'अभी तक कोई डेटा नहीं',
+    requestsPerDay: 'प्रति दिन अनुरोध',
+    dayTotal: {
+      one: '{{date}}: {{count}} अनुरोध',
+      other: '{{date}}: {{count}} अनुरोध'
+    },
+    types: {
+      blood: 'रक्त',
+      elder_support: 'बुजुर्ग सहायता',
+      complaint: 'शिकायत'
+    },
+    duration: {
+      minutes: '{{count}} मिनट',
+      hours: '{{hours}} घं {{minutes}} मि',
+      days: '{{days}} दिन'
+    },
+    stats: {
+      users: 'उपयोगकर्ता',
+      usersDetail: '{{volunteers}} स्वयंसेवक · {{suspended}} निलंबित',
+      requests: 'अनुरोध',
+      requestsDetail: '{{count}} लंबित',
+      complaints: 'शिकायतें',
+      complaintsDetail: '{{count}} खुली',
+      medianAccept: 'स्वीकार करने का मध्यिका समय',
+      medianAcceptDetail: 'पिछले {{days}} दिनों में {{count}} स्वीकार किए गए'
+    },
+    charts: {
+      requestsByType: 'प्रकार के अनुसार अनुरोध',
+      requestsByStatus: 'स्थिति के अनुसार अनुरोध',
+      usersByRole: 'भूमिका के अनुसार उपयोगकर्ता',
+      complaintsByStatus: 'स्थिति के अनुसार शिकायतें',
+      complaintsByCategory: 'श्रेणी के अनुसार शिकायतें',
+      medianAcceptByType: 'प्रकार के अनुसार स्वीकार करने का मध्यिका समय',
+      noAccepted: 'इस अवधि में कोई अनुरोध स्वीकार नहीं किया गया'
+    },
+    topVolunteers: {
+      title: 'शीर्ष स्वयंसेवक',
+      empty: 'अभी तक कोई स्वयंसेवक गतिविधि दर्ज नहीं हुई',
+      name: 'नाम',
+      city: 'शहर',
+      bloodGroup: 'रक्त समूह',
+      helped: 'मदद की',
+      rating: 'रेटिंग',
+      verified: 'सत्यापित'
+    },
+    chatbot: {
+      title: 'चैटबॉट',
+      messages: 'संदेश',
+      requestsCreated: 'बनाए गए अनुरोध',
+      voiceMessages: 'वॉइस संदेश',
+      fallbackRate: 'AI फ़ॉलबैक दर',
+      fallbacks: {
+        one: '{{count}} जवाब में AI मॉडल के बजाय नियम-आधारित फ़ॉलबैक का उपयोग हुआ',
+        other: '{{count}} जवाबों में AI मॉडल के बजाय नियम-आधारित फ़ॉलबैक का उपयोग हुआ'
+      }
+    },
+    users: {
+      loadFailed: 'उपयोगकर्ता लोड करने में विफल',
+      loadNetworkError: 'उपयोगकर्ता लोड करते समय नेटवर्क त्रुटि',
+      actionFailed: 'कार्रवाई विफल रही',
+      networkError: 'नेटवर्क त्रुटि। कृपया पुनः प्रयास करें।',
+      searchPlaceholder: 'नाम या ईमेल खोजें',
+      allRoles: 'सभी भूमिकाएँ',
+      roleFilter: {
+        citizen: 'नागरिक',
+        volunteer: 'स्वयंसेवक',
+        admin: 'एडमिन'
+      },
+      anyStatus: 'कोई भी स्थिति',
+      active: 'सक्रिय',
+      suspended: 'निलंबित',
+      empty: 'इन फ़िल्टर से कोई उपयोगकर्ता मेल नहीं खाता',
+      columns: {
+        user: 'उपयोगकर्ता',
+        role: 'भूमिका',
+        city: 'शहर',
+        status: 'स्थिति',
+        joined: 'जुड़ने की तिथि',
+        actions: 'कार्रवाइयाँ'
+      },
+      verifiedVolunteer: 'सत्यापित स्वयंसेवक',
+      verify: 'सत्यापित करें',
+      unverify: 'सत्यापन हटाएं',
+      suspend: 'निलंबित करें',
+      reactivate: 'फिर से सक्रिय करें',
+      revoke: 'रद्द करें',
+      changeRole: 'भूमिका बदलें',
+      suspendTitle: '{{name}} को निलंबित करें?',
+      suspendText: 'उन्हें साइन आउट कर दिया जाएगा और वे लॉग इन नहीं कर पाएंगे।',
+      reactivateTitle: '{{name}} को फिर से सक्रिय करें?',
+      reactivateText: 'वे फिर से लॉग इन कर पाएंगे।',
+      revokeTitle: '{{name}} का सत्यापन रद्द करें?',
+      verifyTitle: '{{name}} को सत्यापित करें?',
+      verifyText: 'सत्यापित स्वयंसेवक नागरिकों को बैज के साथ दिखाए जाते हैं।',
+      roleTitle: '{{name}} की भूमिका बदलें?',
+      auditTrail: 'ऑडिट ट्रेल',
+      noHistory: 'इस उपयोगकर्ता के लिए कोई ऑडिट प्रविष्टि दर्ज नहीं है',
+      byActor: '{{name}} द्वारा · {{date}}',
+      unknownActor: 'अज्ञात',
+      actions: {
+        suspend: 'निलंबित किया गया',
+        reactivate: 'फिर से सक्रिय किया गया',
+        role_change: 'भूमिका बदली गई',
+        verify: 'सत्यापित किया गया',
+        unverify: 'सत्यापन रद्द किया गया',
+        profile_update: 'प्रोफ़ाइल अपडेट की गई'
+      }
+    },
+    audit: {
+      loadFailed: 'ऑडिट लॉग लोड करने में विफल',
+      loadNetworkError: 'ऑडिट लॉग लोड करते समय नेटवर्क त्रुटि',
+      groups: {
+        all: 'सभी कार्रवाइयाँ',
+        requests: 'अनुरोध',
+        complaints: 'शिकायतें',
+        users: 'उपयोगकर्ता'
+      },
+      targets: {
+        User: 'उपयोगकर्ता',
+        Request: 'अनुरोध',
+        Complaint: 'शिकायत'
+      },
+      targetPlaceholder: 'अनुरोध, शिकायत या उपयोगकर्ता ID',
+      from: 'से',
+      to: 'तक',
+      filter: 'फ़िल्टर करें',
+      empty: 'इन फ़िल्टर से कोई ऑडिट प्रविष्टि मेल नहीं खाती',
+      columns: {
+        when: 'कब',
+        actor: 'कर्ता',
+        action: 'कार्रवाई',
+        target: 'लक्ष्य',
+        changed: 'बदले गए',
+        ip: 'IP'
+      },
+      showChanges: 'बदलाव दिखाएं',
+      reason: 'कारण: "{{reason}}"',
+      field: 'फ़ील्ड',
+      before: 'पहले',
+      after: 'बाद में'
+    }
+  },
+
+  requestDraft: {
+    titles: {
+      blood: 'रक्त अनुरोध का मसौदा',
+      elder_support: 'बुजुर्ग सहायता अनुरोध का मसौदा',
+      complaint: 'शिकायत का मसौदा',
+      other: 'अनुरोध का मसौदा'
+    },
+    fields: {
+      bloodType: 'रक्त प्रकार',
+      urgencyLevel: 'तात्कालिकता',
+      unitsNeeded: 'यूनिट',
+      serviceType: 'सेवा',
+      frequency: 'आवृत्ति',
+      complaintCategory: 'श्रेणी',
+      phone: 'फ़ोन',
+      location: 'स्थान'
+    },
+    frequency: {
+      'one-time': 'एक बार',
+      daily: 'रोज़ाना',
+      weekly: 'साप्ताहिक',
+      monthly: 'मासिक'
+    },
+    notSpecified: 'निर्दिष्ट नहीं',
+    address: 'पता',
+    city: 'शहर',
+    edit: 'संपादित करें',
+    discard: 'छोड़ें',
+    save: 'बदलाव सहेजें',
+    confirm: 'पुष्टि करें और जमा करें'
+  },
+
+  attachments: {
+    invalidType: '{{name}}: केवल JPEG, PNG और WebP फ़ोटो या PDF दस्तावेज़ संलग्न किए जा सकते हैं',
+    tooLarge: '{{name}} {{size}}MB से बड़ी है',
+    cannotAttach: 'फ़ाइल संलग्न नहीं की जा सकती',
+    tooMany: 'बहुत अधिक फ़ाइलें',
+    maxFiles: {
+      one: 'आप अधिकतम {{count}} फ़ाइल संलग्न कर सकते हैं',
+      other: 'आप अधिकतम {{count}} फ़ाइलें संलग्न कर सकते हैं'
+    },
+    add: 'फ़ोटो या दस्तावेज़ जोड़ें',
+    hint: 'JPEG, PNG, WebP या PDF, प्रत्येक अधिकतम {{size}}MB',
+    remove: '{{name}} हटाएं',
+    attachment: 'संलग्नक',
+    document: 'दस्तावेज़',
+    close: 'बंद करें',
+    previous: 'पिछली फ़ोटो',
+    next: 'अगली फ़ोटो'
+  },
+
+  requestStatus: {
+    actions: {
+      in_progress: 'मदद शुरू करें',
+      fulfilled: 'पूर्ण के रूप में चिह्नित करें',
+      pending: 'वापस लें',
+      cancelled: 'अनुरोध रद्द करें'
+    },
+    recordDonation: 'दान दर्ज करें',
+    releaseVolunteer: 'स्वयंसेवक को मुक्त करें',
+    donationTitle: 'दान दर्ज करें?',
+    donationText: 'यह आज दान की गई एक यूनिट दर्ज करेगा और रक्त अनुरोध को पूर्ण चिह्नित करेगा।',
+    fulfilledTitle: 'पूर्ण के रूप में चिह्नित करें?',
+    fulfilledText: 'पुष्टि करें कि मदद पहुँचा दी गई है। अनुरोध बंद कर दिया जाएगा।',
+    fulfilledConfirm: 'पूर्ण चिह्नित करें',
+    notYet: 'अभी नहीं',
+    releaseTitle: 'स्वयंसेवक को मुक्त करें?',
+    withdrawTitle: 'इस अनुरोध से हटें?',
+    reopenText: 'अनुरोध अन्य स्वयंसेवकों के लिए फिर से खुल जाएगा।',
+    release: 'मुक्त करें',
+    withdraw: 'वापस लें',
+    keepVolunteer: 'स्वयंसेवक रखें',
+    keepHelping: 'मदद जारी रखें',
+    cancelTitle: 'यह अनुरोध रद्द करें?',
+    cancelText: 'जिन स्वयंसेवकों ने इसे स्वीकार किया है उन्हें कारण बताया जाएगा।',
+    goBack: 'वापस जाएं',
+    updating: 'अनुरोध अपडेट हो रहा है...',
+    reopened: 'अनुरोध अन्य स्वयंसेवकों के लिए फिर से खोला गया',
+    withdrawn: 'आप अनुरोध से हट गए हैं',
+    marked: {
+      in_progress: 'अनुरोध प्रगति में चिह्नित किया गया',
+      fulfilled: 'अनुरोध पूर्ण चिह्नित किया गया',
+      cancelled: 'अनुरोध रद्द चिह्नित किया गया'
+    },
+    updateFailed: 'अनुरोध अपडेट नहीं हो सका'
+  }
+};
+
+export default hi;
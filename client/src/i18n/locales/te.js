@@ -0,0 +1,1079 @@
+// Telugu UI strings
+const te = {
+  common: {
+    success: 'విజయవంతం',
+    error: 'లోపం',
+    cancel: 'రద్దు చేయండి',
+    confirm: 'నిర్ధారించండి',
+    yes: 'అవును',
+    no: 'కాదు',
+    backToHome: 'హోమ్‌కు తిరిగి వెళ్లండి',
+    unexpectedError: 'ఊహించని లోపం జరిగింది. దయచేసి మళ్లీ ప్రయత్నించండి.',
+    delete: 'తొలగించు'
+  },
+
+  language: {
+    label: 'భాష',
+    names: {
+      en: 'ఇంగ్లీష్',
+      hi: 'హిందీ',
+      te: 'తెలుగు'
+    }
+  },
+
+  roles: {
+    volunteer: 'వాలంటీర్',
+    citizen: 'పౌరుడు',
+    admin: 'నిర్వాహకుడు'
+  },
+
+  nav: {
+    home: 'హోమ్',
+    addRequest: 'అభ్యర్థన జోడించండి',
+    addBloodRequest: 'రక్త అభ్యర్థన జోడించండి',
+    myRequests: 'నా అభ్యర్థనలు',
+    allRequests: 'అన్ని అభ్యర్థనలు',
+    acceptedRequests: 'అంగీకరించిన అభ్యర్థనలు',
+    bloodMatches: 'రక్త సరిపోలికలు',
+    chatAI: 'AI చాట్',
+    profile: 'ప్రొఫైల్',
+    profileSettings: 'ప్రొఫైల్ సెట్టింగ్‌లు',
+    logout: 'లాగ్ అవుట్',
+    volunteerDashboard: 'వాలంటీర్ డాష్‌బోర్డ్',
+    services: 'సేవలు',
+    about: 'మా గురించి',
+    contact: 'సంప్రదించండి',
+    communityPortal: 'సమాజ పోర్టల్',
+    login: 'లాగిన్',
+    getStarted: 'ప్రారంభించండి',
+    dashboard: 'డాష్‌బోర్డ్'
+  },
+
+  alerts: {
+    profileUpdated: 'ప్రొఫైల్ విజయవంతంగా నవీకరించబడింది',
+    reasonOptional: 'కారణం (ఐచ్ఛికం)',
+    reasonRequired: 'దయచేసి కారణం తెలియజేయండి',
+    applicationMessage: 'మీరు ఈ పనికి ఎందుకు సరిపోతారు (ఐచ్ఛికం)',
+    estimatedTime: 'మీరు ఎప్పుడు సహాయం చేయగలరు? ఉదా. రేపు ఉదయం (ఐచ్ఛికం)',
+    pleaseWait: 'దయచేసి వేచి ఉండండి...'
+  },
+
+  auth: {
+    loginFailed: 'లాగిన్ విఫలమైంది',
+    registrationFailed: 'నమోదు విఫలమైంది',
+    updateFailed: 'నవీకరణ విఫలమైంది',
+    email: 'ఈమెయిల్ చిరునామా',
+    emailPlaceholder: 'మీ ఈమెయిల్ చిరునామాను నమోదు చేయండి',
+    password: 'పాస్‌వర్డ్'
+  },
+
+  sessions: {
+    title: 'సైన్ ఇన్ అయిన పరికరాలు',
+    thisDevice: 'ఈ పరికరం',
+    device: '{{os}}లో {{browser}}',
+    unknownDevice: 'తెలియని పరికరం',
+    lastActive: 'చివరిగా సక్రియం {{time}}',
+    signOut: 'సైన్ అవుట్',
+    signOutOthers: 'ఇతర అన్ని పరికరాల నుండి సైన్ అవుట్ చేయండి',
+    confirmRevoke: 'ఈ పరికరం నుండి సైన్ అవుట్ చేయాలా?',
+    confirmLogoutCurrent: 'ఇప్పుడే ఈ పరికరం నుండి సైన్ అవుట్ చేయాలా?',
+    confirmRevokeOthers: 'ఇతర అన్ని పరికరాల నుండి సైన్ అవుట్ చేయాలా?',
+    revoked: 'పరికరం నుండి సైన్ అవుట్ చేయబడింది',
+    revokedOthers: {
+      one: '{{count}} ఇతర పరికరం నుండి సైన్ అవుట్ చేయబడింది',
+      other: '{{count}} ఇతర పరికరాల నుండి సైన్ అవుట్ చేయబడింది'
+    }
+  },
+
+  notifications: {
+    title: 'నోటిఫికేషన్‌లు',
+    markAllRead: 'అన్నింటినీ చదివినట్లు గుర్తించండి',
+    empty: 'కొత్త నోటిఫికేషన్‌లు ఏవీ లేవు'
+  },
+
+  verifyEmail: {
+    bannerTitle: 'దయచేసి మీ ఇమెయిల్ చిరునామాను ధృవీకరించండి',
+    bannerText: 'మేము {{email}}కి ధృవీకరణ లింక్ పంపాము. రక్త అభ్యర్థనలు పోస్ట్ చేయడానికి ముందు మీరు దీన్ని ధృవీకరించాలి.',
+    resend: 'ఇమెయిల్ మళ్లీ పంపండి',
+    sending: 'పంపుతోంది...',
+    resent: 'ధృవీకరణ ఇమెయిల్ {{email}}కి పంపబడింది',
+    verifying: 'మీ ఇమెయిల్ ధృవీకరించబడుతోంది...',
+    verifiedTitle: 'ఇమెయిల్ ధృవీకరించబడింది',
+    verifiedText: 'మీ ఇమెయిల్ చిరునామాను నిర్ధారించినందుకు ధన్యవాదాలు. ఇప్పుడు మీరు రక్త అభ్యర్థనలు పోస్ట్ చేయవచ్చు.',
+    failedTitle: 'ధృవీకరణ విఫలమైంది',
+    failed: 'మీ ఇమెయిల్ చిరునామాను ధృవీకరించలేకపోయాము',
+    failedHint: 'కొత్త లింక్ పొందడానికి సైన్ ఇన్ చేసి మీ డాష్‌బోర్డ్‌లో "ఇమెయిల్ మళ్లీ పంపండి" ఉపయోగించండి.',
+    missingToken: 'ఈ ధృవీకరణ లింక్ అసంపూర్ణంగా ఉంది',
+    networkError: 'నెట్‌వర్క్ లోపం. దయచేసి మీ కనెక్షన్‌ను తనిఖీ చేసి మళ్లీ ప్రయత్నించండి.',
+    goToDashboard: 'డాష్‌బోర్డ్‌కు వెళ్లండి',
+    goToLogin: 'లాగిన్‌కు వెళ్లండి'
+  },
+
+  urgency: {
+    low: 'తక్కువ',
+    medium: 'మధ్యస్థం',
+    high: 'ఎక్కువ',
+    urgent: 'అత్యవసరం'
+  },
+
+  status: {
+    pending: 'పెండింగ్',
+    accepted: 'అంగీకరించబడింది',
+    in_progress: 'పురోగతిలో ఉంది',
+    fulfilled: 'నెరవేరింది',
+    cancelled: 'రద్దు చేయబడింది',
+    expired: 'గడువు ముగిసింది',
+    open: 'తెరిచి ఉంది',
+    assigned: 'కేటాయించబడింది',
+    resolved: 'పరిష్కరించబడింది',
+    closed: 'మూసివేయబడింది',
+    confirmed: 'నిర్ధారించబడింది',
+    completed: 'పూర్తయింది'
+  },
+
+  translation: {
+    translatedFrom: '{{language}} నుండి అనువదించబడింది',
+    original: 'మూలం ({{language}})',
+    showOriginal: 'మూలాన్ని చూపించు',
+    showTranslation: 'అనువాదాన్ని చూపించు',
+    anotherLanguage: 'మరొక భాష'
+  },
+
+  options: {
+    serviceType: {
+      'Medicine Delivery': 'మందుల డెలివరీ',
+      'Grocery Shopping': 'కిరాణా కొనుగోలు',
+      'Medical Appointment': 'వైద్య అపాయింట్‌మెంట్',
+      'Household Help': 'ఇంటి పనుల సహాయం',
+      'Companionship': 'తోడుగా ఉండటం',
+      'Emergency Assistance': 'అత్యవసర సహాయం',
+      'Other': 'ఇతర'
+    },
+    complaintCategory: {
+      'Infrastructure': 'మౌలిక సదుపాయాలు',
+      'Sanitation': 'పారిశుద్ధ్యం',
+      'Water Supply': 'నీటి సరఫరా',
+      'Electricity': 'విద్యుత్',
+      'Road Maintenance': 'రహదారి నిర్వహణ',
+      'Waste Management': 'వ్యర్థాల నిర్వహణ',
+      'Public Safety': 'ప్రజా భద్రత',
+      'Healthcare': 'ఆరోగ్య సంరక్షణ',
+      'Education': 'విద్య',
+      'Transportation': 'రవాణా',
+      'Other': 'ఇతర'
+    }
+  },
+
+  validation: {
+    nameRequired: 'పేరు అవసరం',
+    phoneRequired: 'ఫోన్ నంబర్ అవసరం. దయచేసి మీ ప్రొఫైల్‌లో ఫోన్ నంబర్ జోడించండి.',
+    streetRequired: 'వీధి చిరునామా అవసరం',
+    cityRequired: 'నగరం అవసరం',
+    stateRequired: 'రాష్ట్రం అవసరం',
+    pincodeRequired: 'పిన్‌కోడ్ అవసరం',
+    noAccountAddress: 'ఖాతాలో చిరునామా లేదు. దయచేసి మీ ప్రొఫైల్‌ను నవీకరించండి లేదా చిరునామాను మాన్యువల్‌గా నమోదు చేయండి.',
+    selectOnMap: 'దయచేసి మ్యాప్‌లో స్థానాన్ని ఎంచుకోండి',
+    bloodTypeRequired: 'రక్త గ్రూప్ అవసరం',
+    serviceTypeRequired: 'సేవ రకం అవసరం',
+    dueDateRequired: 'గడువు తేదీ అవసరం',
+    titleRequired: 'శీర్షిక అవసరం',
+    titleMin: 'శీర్షిక కనీసం {{min}} అక్షరాలు ఉండాలి',
+    titleMax: 'శీర్షిక {{max}} అక్షరాల కంటే తక్కువ ఉండాలి',
+    descriptionRequired: 'వివరణ అవసరం',
+    descriptionMin: 'వివరణ కనీసం {{min}} అక్షరాలు ఉండాలి',
+    descriptionMax: 'వివరణ {{max}} అక్షరాల కంటే తక్కువ ఉండాలి',
+    categoryRequired: 'వర్గం అవసరం',
+    emailRequired: 'ఈమెయిల్ అవసరం',
+    emailInvalid: 'దయచేసి సరైన ఈమెయిల్ చిరునామాను నమోదు చేయండి',
+    passwordRequired: 'పాస్‌వర్డ్ అవసరం',
+    passwordMin: 'పాస్‌వర్డ్ కనీసం {{min}} అక్షరాలు ఉండాలి',
+    confirmPasswordRequired: 'దయచేసి మీ పాస్‌వర్డ్‌ను నిర్ధారించండి',
+    passwordsMismatch: 'పాస్‌వర్డ్‌లు సరిపోలడం లేదు',
+    nameMin: 'పేరు కనీసం {{min}} అక్షరాలు ఉండాలి',
+    nameMax: 'పేరు {{max}} అక్షరాలకు మించకూడదు',
+    phoneNumberRequired: 'ఫోన్ నంబర్ అవసరం',
+    phoneInvalid: 'దయచేసి సరైన 10 అంకెల ఫోన్ నంబర్‌ను నమోదు చేయండి',
+    fieldRequired: '{{field}} అవసరం',
+    pincodeDigits: 'పిన్ కోడ్ 6 అంకెలు ఉండాలి',
+    volunteerKeyRequired: 'వాలంటీర్ యాక్సెస్ కీ అవసరం',
+    volunteerKeyMin: 'వాలంటీర్ యాక్సెస్ కీ కనీసం {{min}} అక్షరాలు ఉండాలి',
+    roleRequired: 'దయచేసి ఒక పాత్రను ఎంచుకోండి'
+  },
+
+  location: {
+    manual: 'మాన్యువల్ నమోదు',
+    manualHint: 'చిరునామాను టైప్ చేయండి',
+    account: 'ఖాతా చిరునామా',
+    accountHint: 'సేవ్ చేసిన చిరునామాను ఉపయోగించండి',
+    map: 'మ్యాప్‌లో ఎంచుకోండి',
+    mapHint: 'మ్యాప్ నుండి ఎంచుకోండి',
+    street: 'వీధి చిరునామా',
+    streetPlaceholder: 'వీధి చిరునామాను నమోదు చేయండి',
+    city: 'నగరం',
+    cityPlaceholder: 'నగరాన్ని నమోదు చేయండి',
+    state: 'రాష్ట్రం',
+    statePlaceholder: 'రాష్ట్రాన్ని నమోదు చేయండి',
+    pincode: 'పిన్‌కోడ్',
+    pincodePlaceholder: 'పిన్‌కోడ్ నమోదు చేయండి',
+    country: 'దేశం',
+    countryPlaceholder: 'దేశాన్ని నమోదు చేయండి',
+    noAccountAddress: 'ఖాతాలో చిరునామా లేదు',
+    change: 'స్థానాన్ని మార్చండి',
+    selectOnMap: 'మ్యాప్‌లో స్థానాన్ని ఎంచుకోండి',
+    selected: 'ఎంచుకున్న స్థానం',
+    coordinates: 'అక్షాంశ రేఖాంశాలు'
+  },
+
+  addRequest: {
+    title: 'కొత్త అభ్యర్థన జోడించండి',
+    subtitle: 'అభ్యర్థన రకాన్ని ఎంచుకుని వివరాలు నింపండి',
+    types: {
+      blood: {
+        name: 'రక్త అభ్యర్థన',
+        description: 'రక్తదానం కోసం అభ్యర్థించండి'
+      },
+      elder_support: {
+        name: 'వృద్ధుల సహాయం',
+        description: 'వృద్ధుల సంరక్షణ సేవల కోసం అభ్యర్థించండి'
+      },
+      complaint: {
+        name: 'ఫిర్యాదు',
+        description: 'సమాజ సమస్యలను నివేదించండి'
+      }
+    },
+    fields: {
+      name: 'పేరు',
+      namePlaceholder: 'మీ పేరు నమోదు చేయండి',
+      contactPhone: 'సంప్రదింపు ఫోన్',
+      location: 'స్థానం',
+      bloodType: 'అవసరమైన రక్త గ్రూప్',
+      selectBloodType: 'రక్త గ్రూప్ ఎంచుకోండి',
+      urgencyLevel: 'అత్యవసర స్థాయి',
+      serviceType: 'సేవ రకం',
+      selectServiceType: 'సేవ రకాన్ని ఎంచుకోండి',
+      dueDate: 'గడువు తేదీ',
+      title: 'శీర్షిక',
+      titlePlaceholder: 'సమస్య యొక్క సంక్షిప్త వివరణ (5-200 అక్షరాలు)',
+      description: 'వివరణ',
+      descriptionPlaceholder: 'ఫిర్యాదు యొక్క పూర్తి వివరణ (10-2000 అక్షరాలు)',
+      category: 'వర్గం',
+      selectCategory: 'వర్గాన్ని ఎంచుకోండి',
+      images: 'చిత్రాలు (ఐచ్ఛికం)',
+      imagesHint: 'మీ ఫిర్యాదుకు మద్దతుగా చిత్రాలను అప్‌లోడ్ చేయండి',
+      chooseImages: 'చిత్రాలను ఎంచుకోండి',
+      selectedImages: {
+        one: '{{count}} చిత్రం ఎంచుకోబడింది',
+        other: '{{count}} చిత్రాలు ఎంచుకోబడ్డాయి'
+      }
+    },
+    noPhone: 'ఖాతాలో ఫోన్ నంబర్ లేదు - దయచేసి మీ ప్రొఫైల్‌ను నవీకరించండి',
+    phoneFromProfile: 'మీ ఖాతా ప్రొఫైల్ నుండి తీసుకున్న ఫోన్ నంబర్',
+    goTo: 'మీ ఫోన్ నంబర్ జోడించడానికి',
+    profilePage: 'ప్రొఫైల్ పేజీ',
+    toAddPhone: 'కి వెళ్లండి',
+    creating: 'అభ్యర్థన సృష్టించబడుతోంది...',
+    phoneRequiredTitle: 'ఫోన్ నంబర్ అవసరం',
+    createFailed: 'అభ్యర్థనను సృష్టించడం విఫలమైంది',
+    createFailedRetry: 'అభ్యర్థనను సృష్టించడం విఫలమైంది. దయచేసి మళ్లీ ప్రయత్నించండి.',
+    created: '{{type}} అభ్యర్థన విజయవంతంగా సృష్టించబడింది',
+    submitting: 'సృష్టించబడుతోంది...',
+    submit: 'అభ్యర్థనను సృష్టించండి'
+  },
+
+  allRequests: {
+    title: 'అందుబాటులో ఉన్న అభ్యర్థనలు',
+    subtitle: 'మీ నైపుణ్యాలకు సరిపోయే అభ్యర్థనలను అంగీకరించి మీ సమాజానికి సహాయం చేయండి',
+    bloodTitle: 'రక్తదాన అభ్యర్థనలు',
+    bloodSubtitle: 'అవసరంలో ఉన్నవారికి రక్తదానం చేసి ప్రాణాలు కాపాడండి',
+    search: 'వెతకండి',
+    searchPlaceholder: 'అభ్యర్థనలను వెతకండి...',
+    distance: 'దూరం',
+    anywhere: 'ఎక్కడైనా',
+    withinKm: '{{distance}} కి.మీ. లోపు',
+    kmAway: '{{distance}} కి.మీ. దూరంలో',
+    showing: '{{total}} అభ్యర్థనలలో {{count}} చూపబడుతున్నాయి',
+    emptyTitle: 'అభ్యర్థనలు ఏవీ కనుగొనబడలేదు',
+    emptyHint: 'మీ ఫిల్టర్‌లను మార్చి చూడండి లేదా కొత్త అభ్యర్థనల కోసం తర్వాత చూడండి.',
+    viewDetails: 'వివరాలు చూసి సహాయం చేయండి',
+    patient: 'రోగి',
+    citizen: 'పౌరుడు',
+    seniorCitizen: 'వయోవృద్ధులు',
+    generalSupport: 'సాధారణ సహాయం',
+    elderCare: 'వృద్ధుల సంరక్షణ',
+    due: 'గడువు: {{date}}',
+    posted: 'పోస్ట్ చేసినది: {{date}}',
+    notSpecified: 'పేర్కొనబడలేదు',
+    locationNotSpecified: 'స్థానం పేర్కొనబడలేదు',
+    phoneHidden: 'మీరు స్వచ్ఛందంగా ముందుకు వచ్చే వరకు దాచబడింది',
+    takenByOther: 'ఈ అభ్యర్థనను ఇప్పుడే మరొక వాలంటీర్ తీసుకున్నారు',
+    fetchFailed: 'అభ్యర్థనలను తెస్తున్నప్పుడు నెట్‌వర్క్ లోపం',
+    notFound: 'అభ్యర్థన కనుగొనబడలేదు',
+    applied: 'దరఖాస్తు విజయవంతంగా సమర్పించబడింది! ఎంపికైతే మీకు తెలియజేస్తాము.',
+    accepted: 'అభ్యర్థన విజయవంతంగా అంగీకరించబడింది!',
+    acceptFailed: 'అభ్యర్థనను అంగీకరించడం విఫలమైంది',
+    acceptNetworkError: 'అభ్యర్థనను అంగీకరిస్తున్నప్పుడు నెట్‌వర్క్ లోపం',
+    locationUnavailable: 'స్థానం అందుబాటులో లేదు',
+    addLocationToProfile: 'సమీప అభ్యర్థనలను వెతకడానికి మీ ప్రొఫైల్‌లో స్థానాన్ని జోడించండి',
+    allowLocationAccess: 'సమీప అభ్యర్థనలను వెతకడానికి స్థాన అనుమతి ఇవ్వండి లేదా మీ ప్రొఫైల్‌లో స్థానాన్ని జోడించండి',
+    modal: {
+      bloodTitle: 'రక్తదాన అభ్యర్థన',
+      elderTitle: 'వృద్ధుల సహాయ అభ్యర్థన',
+      priority: '{{level}} ప్రాధాన్యత',
+      requestInformation: 'అభ్యర్థన సమాచారం',
+      bloodType: 'రక్త గ్రూప్:',
+      urgency: 'అత్యవసరత:',
+      requestedBy: 'అభ్యర్థించినవారు:',
+      date: 'తేదీ:',
+      locationLabel: 'స్థానం:',
+      locationAfterVolunteering: 'మీరు స్వచ్ఛందంగా ముందుకు వచ్చిన తర్వాత స్థానం పంచుకోబడుతుంది',
+      contactLabel: 'సంప్రదింపు:',
+      phoneNumberHidden: 'మీరు స్వచ్ఛందంగా ముందుకు వచ్చే వరకు ఫోన్ నంబర్ దాచబడుతుంది',
+      howYouCanHelp: 'మీరు ఎలా సహాయం చేయగలరు',
+      importantInformation: 'ముఖ్యమైన సమాచారం',
+      bloodAgreement: 'స్వచ్ఛందంగా ముందుకు రావడం ద్వారా, మీరు అభ్యర్థించినవారిని సంప్రదించి రక్తదాన ప్రక్రియను సమన్వయం చేయడానికి అంగీకరిస్తున్నారు. దయచేసి మీరు రక్తదానానికి అర్హులని నిర్ధారించుకోండి.',
+      donationRequirements: 'రక్తదాన అర్హతలు:',
+      requirementAge: 'వయస్సు: 18-65 సంవత్సరాలు',
+      requirementWeight: 'బరువు: కనీసం 50 కిలోలు',
+      requirementHealth: 'మంచి ఆరోగ్య స్థితి',
+      requirementIllness: 'ఇటీవల అనారోగ్యం లేదా మందులు లేవు',
+      serviceDetails: 'సేవ వివరాలు',
+      serviceType: 'సేవ రకం:',
+      dueDateLabel: 'గడువు తేదీ:',
+      contactInformation: 'సంప్రదింపు సమాచారం',
+      name: 'పేరు:',
+      phone: 'ఫోన్:',
+      complaintDetails: 'ఫిర్యాదు వివరాలు',
+      issue: 'సమస్య:',
+      description: 'వివరణ:',
+      location: 'స్థానం',
+      dueDate: 'గడువు తేదీ',
+      accepting: 'అంగీకరిస్తోంది...',
+      applying: 'దరఖాస్తు చేస్తోంది...',
+      wantToHelp: 'నేను సహాయం చేయాలనుకుంటున్నాను - అభ్యర్థించినవారిని సంప్రదించండి',
+      applyToHelp: 'సహాయం కోసం దరఖాస్తు చేయండి',
+      contactShared: 'మీ సంప్రదింపు సమాచారం అభ్యర్థించినవారితో పంచుకోబడుతుంది',
+      applicationNotice: 'మీ దరఖాస్తు అంగీకరించబడితే మీకు తెలియజేయబడుతుంది',
+      applicationPending: 'దరఖాస్తు పరిశీలనలో ఉంది'
+    }
+  },
+
+  login: {
+    title: 'మళ్లీ స్వాగతం',
+    subtitle: 'కొనసాగించడానికి మీ ఖాతాలోకి సైన్ ఇన్ చేయండి',
+    passwordPlaceholder: 'మీ పాస్‌వర్డ్‌ను నమోదు చేయండి',
+    rememberMe: 'నన్ను గుర్తుంచుకో',
+    forgotPassword: 'పాస్‌వర్డ్ మర్చిపోయారా?',
+    signingIn: 'సైన్ ఇన్ అవుతోంది...',
+    signIn: 'సైన్ ఇన్ చేయండి',
+    noAccount: 'ఖాతా లేదా?',
+    signUpLink: 'ఇక్కడ సైన్ అప్ చేయండి',
+    success: 'లాగిన్ విజయవంతమైంది! మళ్లిస్తున్నాం...',
+    invalidCredentials: 'చెల్లని వివరాలు. దయచేసి మీ ఈమెయిల్ మరియు పాస్‌వర్డ్‌ను తనిఖీ చేయండి.'
+  },
+
+  signup: {
+    title: 'మా సమాజంలో చేరండి',
+    subtitle: 'అన్ని సామాజిక సేవలను ఉపయోగించడానికి మీ ఖాతాను సృష్టించండి',
+    personalInformation: 'వ్యక్తిగత సమాచారం',
+    fullName: 'పూర్తి పేరు',
+    fullNamePlaceholder: 'మీ పూర్తి పేరును నమోదు చేయండి',
+    phone: 'ఫోన్ నంబర్',
+    phonePlaceholder: 'మీ 10 అంకెల ఫోన్ నంబర్‌ను నమోదు చేయండి',
+    joinAs: 'నేను ఇలా చేరాలనుకుంటున్నాను',
+    roleCitizen: 'పౌరుడు - సామాజిక సేవలను ఉపయోగించండి',
+    roleVolunteer: 'వాలంటీర్ - సమాజంలో ఇతరులకు సహాయం చేయండి',
+    volunteerKey: 'వాలంటీర్ యాక్సెస్ కీ',
+    volunteerKeyPlaceholder: 'మీ వాలంటీర్ యాక్సెస్ కీని నమోదు చేయండి',
+    volunteerKeyHint: 'మీ వాలంటీర్ యాక్సెస్ కీ కోసం మీ సంస్థ నిర్వాహకుడిని సంప్రదించండి.',
+    security: 'భద్రత',
+    passwordPlaceholder: 'బలమైన పాస్‌వర్డ్‌ను సృష్టించండి (కనీసం 6 అక్షరాలు)',
+    confirmPassword: 'పాస్‌వర్డ్‌ను నిర్ధారించండి',
+    confirmPasswordPlaceholder: 'మీ పాస్‌వర్డ్‌ను నిర్ధారించండి',
+    addressInformation: 'చిరునామా సమాచారం',
+    agreeTo: 'నేను అంగీకరిస్తున్నాను',
+    terms: 'సేవా నిబంధనలు',
+    and: 'మరియు',
+    privacy: 'గోప్యతా విధానం',
+    dataUse: 'నా సమాచారం సామాజిక సేవలు అందించడానికి ఉపయోగించబడుతుందని, సహాయ అభ్యర్థనల కోసం వాలంటీర్లతో పంచుకోబడవచ్చని నేను అర్థం చేసుకున్నాను.',
+    haveAccount: 'ఇప్పటికే ఖాతా ఉందా?',
+    signInLink: 'ఇక్కడ సైన్ ఇన్ చేయండి',
+    creating: 'ఖాతా సృష్టిస్తోంది...',
+    create: 'ఖాతాను సృష్టించండి',
+    success: 'ఖాతా విజయవంతంగా సృష్టించబడింది! డ్యాష్‌బోర్డ్‌కు మళ్లిస్తున్నాం...',
+    failed: 'నమోదు విఫలమైంది. దయచేసి మీ సమాచారాన్ని తనిఖీ చేసి మళ్లీ ప్రయత్నించండి.'
+  },
+
+  profile: {
+    title: 'ప్రొఫైల్',
+    subtitle: 'మీ ఖాతా సమాచారాన్ని నిర్వహించండి',
+    edit: 'ప్రొఫైల్‌ను సవరించండి',
+    save: 'మార్పులను సేవ్ చేయండి',
+    memberSince: '{{date}} నుండి సభ్యులు',
+    phonePlaceholder: 'మీ ఫోన్ నంబర్‌ను నమోదు చేయండి',
+    address: 'చిరునామా',
+    addressPlaceholder: 'మీ చిరునామాను నమోదు చేయండి',
+    notProvided: 'ఇవ్వలేదు',
+    updating: 'ప్రొఫైల్ నవీకరిస్తోంది...',
+    updateFailed: 'ప్రొఫైల్‌ను నవీకరించడం విఫలమైంది',
+    updateNetworkError: 'ప్రొఫైల్ నవీకరిస్తున్నప్పుడు నెట్‌వర్క్ లోపం',
+    donations: {
+      title: 'దాన చరిత్ర',
+      total: 'మొత్తం దానాలు',
+      totalUnits: {
+        one: 'మొత్తం {{count}} యూనిట్',
+        other: 'మొత్తం {{count}} యూనిట్లు'
+      },
+      last: 'చివరి దానం',
+      none: 'ఇంకా దానాలు లేవు',
+      nextEligible: 'తదుపరి అర్హత తేదీ',
+      eligibleNow: 'ఇప్పుడు అర్హులు',
+      deferral: {
+        one: 'దానాల మధ్య {{count}} రోజు',
+        other: 'దానాల మధ్య {{count}} రోజులు'
+      },
+      empty: 'పూర్తైన రక్తదానాలు ఇక్కడ కనిపిస్తాయి.',
+      noHospital: 'ఆసుపత్రి నమోదు కాలేదు',
+      units: {
+        one: '{{count}} యూనిట్',
+        other: '{{count}} యూనిట్లు'
+      },
+      confirming: 'దానాన్ని నిర్ధారిస్తోంది...',
+      confirmed: 'దానం నిర్ధారించబడింది',
+      confirmFailed: 'దానాన్ని నిర్ధారించడం విఫలమైంది'
+    }
+  },
+
+  ratings: {
+    yourRating: 'మీ రేటింగ్:',
+    rateVolunteer: 'వాలంటీర్‌ను రేట్ చేయండి',
+    noRatings: 'ఇంకా రేటింగ్‌లు లేవు',
+    saveFailed: 'రేటింగ్‌ను సేవ్ చేయలేకపోయాము',
+    prompt: 'వాలంటీర్ ఎలా చేశారు?',
+    feedbackPlaceholder: 'మీకు లభించిన సహాయం గురించి కొన్ని మాటలు పంచుకోండి (ఐచ్ఛికం)',
+    saving: 'సేవ్ చేస్తోంది...',
+    submit: 'రేటింగ్ సమర్పించండి',
+    outOfFive: '5లో {{value}} నక్షత్రాలు',
+    stars: {
+      one: '{{count}} నక్షత్రం',
+      other: '{{count}} నక్షత్రాలు'
+    },
+    average: '{{rating}} ({{count}})',
+    helped: '{{count}} మందికి సహాయం'
+  },
+
+  myRequests: {
+    subtitle: 'మీ అన్ని అభ్యర్థనలను ట్రాక్ చేసి నిర్వహించండి',
+    newRequest: 'కొత్త అభ్యర్థన',
+    volunteerAccepted: '{{name}} మీ అభ్యర్థనను అంగీకరించారు',
+    volunteerApplied: '{{name}} మీ అభ్యర్థనకు సహాయం చేయడానికి దరఖాస్తు చేశారు',
+    aVolunteer: 'ఒక వాలంటీర్',
+    thisVolunteer: 'ఈ వాలంటీర్',
+    fetchFailed: 'అభ్యర్థనలను పొందడం విఫలమైంది',
+    fetchNetworkError: 'అభ్యర్థనలను పొందుతున్నప్పుడు నెట్‌వర్క్ లోపం',
+    contactsFailed: 'సంప్రదింపు వివరాలను పొందుతున్నప్పుడు నెట్‌వర్క్ లోపం',
+    deleting: 'అభ్యర్థన తొలగిస్తోంది...',
+    deleted: 'అభ్యర్థన విజయవంతంగా తొలగించబడింది',
+    deleteFailed: 'అభ్యర్థనను తొలగించడం విఫలమైంది',
+    deleteNetworkError: 'అభ్యర్థనను తొలగిస్తున్నప్పుడు నెట్‌వర్క్ లోపం',
+    bloodType: 'రక్త గ్రూప్:',
+    urgency: 'అత్యవసరత:',
+    donors: 'దాతలు:',
+    volunteerCount: {
+      one: '{{count}} వాలంటీర్',
+      other: '{{count}} వాలంటీర్లు'
+    },
+    service: 'సేవ:',
+    due: 'గడువు:',
+    category: 'వర్గం:',
+    location: 'స్థానం:',
+    status: 'స్థితి:',
+    createdLabel: 'సృష్టించబడింది:',
+    created: 'సృష్టించబడింది: {{date}}',
+    updated: 'నవీకరించబడింది: {{date}}',
+    viewDonors: 'దాతలను చూడండి',
+    deleteRequest: 'అభ్యర్థనను తొలగించు',
+    emptyTitle: 'అభ్యర్థనలు కనుగొనబడలేదు',
+    noMatches: 'మీ ప్రస్తుత ఫిల్టర్‌లకు సరిపోయే అభ్యర్థనలు లేవు.',
+    noneYet: 'మీరు ఇంకా ఏ అభ్యర్థనలనూ సృష్టించలేదు.',
+    createFirst: 'మీ మొదటి అభ్యర్థనను సృష్టించండి',
+    filters: {
+      title: 'ఫిల్టర్‌లు',
+      allTypes: 'అన్ని రకాలు',
+      allStatus: 'అన్ని స్థితులు',
+      newest: 'కొత్తవి ముందు',
+      oldest: 'పాతవి ముందు',
+      updated: 'ఇటీవల నవీకరించినవి',
+      clear: 'ఫిల్టర్‌లను క్లియర్ చేయండి'
+    },
+    applications: {
+      title: 'వాలంటీర్ దరఖాస్తులు ({{count}})',
+      applied: '{{date}} న దరఖాస్తు చేశారు',
+      canHelp: 'సహాయం చేయగల సమయం: {{time}}',
+      accept: 'అంగీకరించు',
+      confirmTitle: '{{name}} ను అంగీకరించాలా?',
+      confirmText: 'వారు మీ సంప్రదింపు వివరాలను చూడగలరు. ఇతర దరఖాస్తుదారులకు మరో వాలంటీర్ ఎంపికయ్యారని తెలియజేయబడుతుంది.',
+      accepting: 'దరఖాస్తును అంగీకరిస్తోంది...',
+      acceptFailed: 'దరఖాస్తును అంగీకరించలేకపోయాం'
+    },
+    donorsModal: {
+      title: 'రక్త అభ్యర్థన దాతలు',
+      details: 'అభ్యర్థన వివరాలు',
+      contactDetails: 'దాత సంప్రదింపు వివరాలు',
+      volunteerDonors: 'వాలంటీర్ దాతలు ({{count}})',
+      contactUnavailable: 'సంప్రదింపు వివరాలు అందుబాటులో లేవు',
+      noDonors: 'ఇంకా ఏ దాతా ముందుకు రాలేదు',
+      contactLoadFailed: 'దాత సంప్రదింపు సమాచారాన్ని లోడ్ చేయలేకపోయాం',
+      shareHint: 'దాతలను కనుగొనడానికి మీ అభ్యర్థనను పంచుకోండి',
+      volunteered: 'ముందుకు వచ్చారు'
+    },
+    deleteModal: {
+      title: 'తొలగింపును నిర్ధారించండి',
+      cannotUndo: 'ఈ చర్యను రద్దు చేయలేరు',
+      aboutToDelete: 'మీరు దీన్ని తొలగించబోతున్నారు:',
+      blood: '{{bloodType}} రక్త అభ్యర్థన',
+      service: '{{service}} సేవ',
+      complaint: '{{category}} ఫిర్యాదు'
+    }
+  },
+
+  acceptedRequests: {
+    title: 'నేను అంగీకరించిన అభ్యర్థనలు',
+    subtitle: 'మీరు సహాయం చేయడానికి ముందుకు వచ్చిన రక్తదాన అభ్యర్థనలు',
+    volunteerSubtitle: 'మీరు సహాయం చేయడానికి అంగీకరించిన అభ్యర్థనలను నిర్వహించండి మరియు ట్రాక్ చేయండి',
+    fetchFailed: 'అంగీకరించిన అభ్యర్థనలను పొందడం విఫలమైంది',
+    fetchNetworkError: 'అంగీకరించిన అభ్యర్థనలను పొందుతున్నప్పుడు నెట్‌వర్క్ లోపం',
+    ratingSummary: {
+      one: '{{count}} రేటింగ్ నుండి {{rating}}',
+      other: '{{count}} రేటింగ్‌ల నుండి {{rating}}'
+    },
+    helped: '{{count}} మందికి సహాయం',
+    emptyTitle: 'అంగీకరించిన అభ్యర్థనలు లేవు',
+    emptyText: 'మీరు ఇంకా ఏ రక్తదాన అభ్యర్థనకూ ముందుకు రాలేదు.',
+    volunteerEmptyText: 'మీరు ఇంకా ఏ అభ్యర్థననూ అంగీకరించలేదు. సహాయం ప్రారంభించడానికి అందుబాటులో ఉన్న అభ్యర్థనలను చూడండి!',
+    browse: 'అభ్యర్థనలను చూడండి',
+    requester: 'అభ్యర్థకుడు: {{name}}',
+    contact: 'సంప్రదింపు: {{phone}}',
+    acceptedOn: 'అంగీకరించినది: {{date}}',
+    ratedByRequester: 'అభ్యర్థకుడు రేట్ చేశారు',
+    viewContact: 'సంప్రదింపు వివరాలు చూడండి',
+    modal: {
+      title: 'అంగీకరించిన రక్త అభ్యర్థన',
+      requestDate: 'అభ్యర్థన తేదీ:',
+      acceptedDate: 'అంగీకరించిన తేదీ:',
+      yourStatus: 'మీ వాలంటీర్ స్థితి',
+      confirmed: 'వాలంటీర్ నిర్ధారించబడింది',
+      confirmedText: 'మీరు ఈ రక్తదాన అభ్యర్థనకు సహాయం చేయడానికి ముందుకు వచ్చారు. దానం పూర్తి చేయడానికి దయచేసి అభ్యర్థకుడితో సమన్వయం చేసుకోండి.',
+      nextSteps: 'తదుపరి దశలు:',
+      steps: {
+        contact: 'పై ఫోన్ నంబర్ ద్వారా అభ్యర్థకుడిని సంప్రదించండి',
+        coordinate: 'దానం సమయం మరియు స్థలాన్ని సమన్వయం చేసుకోండి',
+        requirements: 'మీరు దానం అర్హతలను కలిగి ఉన్నారని నిర్ధారించుకోండి',
+        donate: 'రక్తదాన ప్రక్రియను పూర్తి చేయండి'
+      },
+      updateStatus: 'స్థితిని నవీకరించండి:',
+      requesterInformation: 'అభ్యర్థకుడి సమాచారం:',
+      feedback: 'అభ్యర్థకుడి అభిప్రాయం:',
+      timeline: 'కాలక్రమం:'
+    },
+    match: {
+      yourRequest: 'మీ అభ్యర్థన',
+      titles: {
+        blood: 'రక్తదాన సరిపోలిక',
+        elder_support: 'వృద్ధుల సహాయ సరిపోలిక',
+        complaint: 'ఫిర్యాదు కేటాయింపు',
+        other: 'సహాయ అభ్యర్థన'
+      },
+      descriptions: {
+        blood: 'ఒక అభ్యర్థకుడికి రక్తదానం అవసరం. దానాన్ని సమన్వయం చేయడానికి వారిని సంప్రదించండి.',
+        elder_support: 'ఒక వృద్ధునికి సహాయం అవసరం. సహాయాన్ని సమన్వయం చేయడానికి వారిని సంప్రదించండి.',
+        complaint: 'ఒక సామాజిక సమస్యపై దృష్టి అవసరం. ఈ ఫిర్యాదును పరిష్కరించడానికి పౌరుడితో కలిసి పని చేయండి.',
+        other: 'ఒక సహాయ అభ్యర్థనకు మీ సహాయం అవసరం.'
+      },
+      contactPerson: {
+        blood: 'దాత: {{name}}',
+        elder_support: 'వృద్ధులు: {{name}}',
+        complaint: 'పౌరుడు: {{name}}',
+        other: 'పౌరుడు: {{name}}'
+      },
+      contactHeading: {
+        blood: 'దాత సంప్రదింపు',
+        elder_support: 'వృద్ధుల సంప్రదింపు',
+        complaint: 'పౌరుల సంప్రదింపు',
+        other: 'పౌరుల సంప్రదింపు'
+      },
+      matchedOn: 'సరిపోలింది: {{date}}',
+      success: 'విజయవంతంగా సరిపోలింది!',
+      priority: 'ప్రాధాన్యత:',
+      matched: 'సరిపోలింది',
+      matchedDate: 'సరిపోలిన తేదీ:',
+      assignedDate: 'కేటాయించిన తేదీ:',
+      titleLabel: 'శీర్షిక:',
+      noTitle: 'శీర్షిక ఇవ్వలేదు',
+      noDescription: 'వివరణ ఇవ్వలేదు',
+      images: 'చిత్రాలు:',
+      imagesCount: 'చిత్రాలు ({{count}}):',
+      evidence: 'సాక్ష్యం {{number}}',
+      noImageUrl: 'చిత్రం URL లేదు',
+      noImages: 'చిత్రాలు జత చేయలేదు',
+      email: 'ఈమెయిల్:',
+      steps: {
+        blood: {
+          coordinate: 'సమన్వయం కోసం ఒకరినొకరు సంప్రదించండి',
+          confirmTime: 'దానం సమయం మరియు స్థలాన్ని నిర్ధారించండి',
+          requirements: 'దాత అర్హతలను కలిగి ఉన్నారని నిర్ధారించుకోండి',
+          donate: 'రక్తదాన ప్రక్రియను పూర్తి చేయండి'
+        },
+        elder_support: {
+          contact: 'సమన్వయం కోసం వృద్ధులను సంప్రదించండి',
+          confirmService: 'సేవ సమయం మరియు అవసరాలను నిర్ధారించండి',
+          assist: 'కోరిన సహాయాన్ని అందించండి',
+          followUp: 'సంతృప్తిని నిర్ధారించడానికి తర్వాత సంప్రదించండి'
+        },
+        complaint: {
+          contact: 'సమస్యను అర్థం చేసుకోవడానికి పౌరుడిని సంప్రదించండి',
+          assess: 'పరిస్థితి మరియు అవసరాలను అంచనా వేయండి',
+          resolve: 'ఫిర్యాదును పరిష్కరించడానికి కలిసి పని చేయండి',
+          updateStatus: 'పరిష్కారమైన తర్వాత స్థితిని నవీకరించండి'
+        }
+      },
+      updateStatus: 'స్థితిని నవీకరించండి',
+      feedback: 'అభ్యర్థకుడి అభిప్రాయం',
+      timeline: 'కాలక్రమం'
+    }
+  },
+
+  complaints: {
+    myTitle: 'నా ఫిర్యాదులు',
+    communityTitle: 'సామాజిక ఫిర్యాదులు',
+    mySubtitle: 'మీరు సమర్పించిన ఫిర్యాదులు మరియు సేవా అభ్యర్థనలను ట్రాక్ చేయండి',
+    communitySubtitle: 'సామాజిక సమస్యలు మరియు సేవా అభ్యర్థనలను పరిష్కరించడంలో సహాయం చేయండి',
+    newComplaint: 'కొత్త ఫిర్యాదు',
+    fetchFailed: 'ఫిర్యాదులను పొందడం విఫలమైంది',
+    fetchNetworkError: 'ఫిర్యాదులను పొందుతున్నప్పుడు నెట్‌వర్క్ లోపం',
+    emptyTitle: 'ఫిర్యాదులు కనుగొనబడలేదు',
+    emptyCitizen: 'మీరు ఇంకా ఏ ఫిర్యాదునూ సమర్పించలేదు.',
+    emptyFiltered: 'మీ ప్రస్తుత ఫిల్టర్‌లకు సరిపోయే ఫిర్యాదులు లేవు.',
+    apply: 'దరఖాస్తు చేయండి',
+    assignedTo: 'కేటాయించినది: {{name}}',
+    applying: 'ఫిర్యాదుకు దరఖాస్తు చేస్తోంది...',
+    applyMessage: 'నేను ఈ ఫిర్యాదులో సహాయం చేయాలనుకుంటున్నాను.',
+    applyEstimatedTime: '24 గంటల్లోపు',
+    applied: 'దరఖాస్తు విజయవంతంగా సమర్పించబడింది!',
+    applyFailed: 'ఫిర్యాదుకు దరఖాస్తు చేయడం విఫలమైంది',
+    applyNetworkError: 'ఫిర్యాదుకు దరఖాస్తు చేస్తున్నప్పుడు నెట్‌వర్క్ లోపం',
+    photos: 'ఫోటోలు & పత్రాలు',
+    filters: {
+      title: 'ఫిల్టర్‌లు',
+      allStatus: 'అన్ని స్థితులు',
+      allCategories: 'అన్ని వర్గాలు',
+      allTypes: 'అన్ని రకాలు',
+      allPriorities: 'అన్ని ప్రాధాన్యతలు'
+    },
+    categories: {
+      infrastructure: 'మౌలిక సదుపాయాలు',
+      sanitation: 'పారిశుధ్యం',
+      water_supply: 'నీటి సరఫరా',
+      electricity: 'విద్యుత్',
+      road_maintenance: 'రోడ్డు నిర్వహణ',
+      waste_management: 'వ్యర్థాల నిర్వహణ',
+      public_safety: 'ప్రజా భద్రత',
+      healthcare: 'ఆరోగ్య సంరక్షణ',
+      education: 'విద్య',
+      transportation: 'రవాణా',
+      elderly_care: 'వృద్ధుల సంరక్షణ',
+      emergency_assistance: 'అత్యవసర సహాయం',
+      community_service: 'సామాజిక సేవ',
+      other: 'ఇతర'
+    },
+    types: {
+      complaint: 'ఫిర్యాదు',
+      service_request: 'సేవా అభ్యర్థన'
+    },
+    resolutionTimes: {
+      immediate: 'వెంటనే',
+      within_24h: '24 గంటల్లోపు',
+      within_week: 'ఒక వారంలోపు',
+      within_month: 'ఒక నెలలోపు',
+      flexible: 'అనుకూలమైనప్పుడు'
+    },
+    contactMethods: {
+      app: 'యాప్ నోటిఫికేషన్‌లు',
+      phone: 'ఫోన్',
+      email: 'ఈమెయిల్'
+    },
+    create: {
+      title: 'కొత్త ఫిర్యాదును సృష్టించండి',
+      titlePlaceholder: 'సమస్య యొక్క సంక్షిప్త వివరణ',
+      descriptionPlaceholder: 'ఫిర్యాదు లేదా సేవా అభ్యర్థన యొక్క వివరమైన వివరణ',
+      type: 'రకం',
+      priority: 'ప్రాధాన్యత',
+      expectedResolution: 'పరిష్కారానికి ఆశించిన సమయం',
+      selectTimeframe: 'సమయ పరిధిని ఎంచుకోండి',
+      preferredContact: 'ఇష్టపడే సంప్రదింపు పద్ధతి',
+      photosHint: 'ఫోటోలు వాలంటీర్లకు సమస్యను కనుగొని అంచనా వేయడంలో సహాయపడతాయి, ఉదా. గుంత లేదా చెత్త కుప్ప.',
+      tags: 'ట్యాగ్‌లు (కామాలతో వేరు చేయండి)',
+      tagsPlaceholder: 'అత్యవసరం, నీటి లీక్, ప్రధాన రహదారి',
+      makePublic: 'ఈ ఫిర్యాదును పబ్లిక్ చేయండి (ఇతర వినియోగదారులకు కనిపిస్తుంది)',
+      creating: 'ఫిర్యాదు సృష్టిస్తోంది...',
+      uploadingPhotos: 'ఫోటోలు అప్‌లోడ్ అవుతున్నాయి...',
+      photosNotUploaded: 'ఫోటోలు అప్‌లోడ్ కాలేదు',
+      created: {
+        complaint: 'ఫిర్యాదు విజయవంతంగా సృష్టించబడింది',
+        service_request: 'సేవా అభ్యర్థన విజయవంతంగా సృష్టించబడింది'
+      },
+      createdUploadFailed: {
+        complaint: 'ఫిర్యాదు సృష్టించబడింది, కానీ జోడింపులు అప్‌లోడ్ కాలేదు: {{error}}',
+        service_request: 'సేవా అభ్యర్థన సృష్టించబడింది, కానీ జోడింపులు అప్‌లోడ్ కాలేదు: {{error}}'
+      },
+      failed: 'ఫిర్యాదును సృష్టించడం విఫలమైంది',
+      networkError: 'ఫిర్యాదును సృష్టిస్తున్నప్పుడు నెట్‌వర్క్ లోపం',
+      submit: 'ఫిర్యాదును సృష్టించండి'
+    },
+    detail: {
+      resolution: 'పరిష్కారం',
+      upload: {
+        one: '{{count}} ఫైల్‌ను అప్‌లోడ్ చేయండి',
+        other: '{{count}} ఫైల్‌లను అప్‌లోడ్ చేయండి'
+      },
+      details: 'వివరాలు',
+      expectedResolution: 'ఆశించిన పరిష్కారం:',
+      submittedBy: 'సమర్పించినవారు',
+      assignedVolunteer: 'కేటాయించిన వాలంటీర్',
+      volunteerRating: 'వాలంటీర్‌కు రేటింగ్',
+      rateVolunteer: 'వాలంటీర్‌ను రేట్ చేయండి',
+      applications: 'వాలంటీర్ దరఖాస్తులు',
+      assign: 'కేటాయించు',
+      estimatedTime: 'అంచనా సమయం: {{time}}',
+      updates: 'నవీకరణలు',
+      updatedBy: '{{name}} ద్వారా • {{date}}',
+      applyAsVolunteer: 'వాలంటీర్‌గా దరఖాస్తు చేయండి',
+      updateStatus: 'స్థితిని నవీకరించండి',
+      reopen: 'మళ్లీ తెరవండి (పరిష్కారం కాలేదు)',
+      update: 'నవీకరించు',
+      resolutionNote: 'ఇది ఎలా పరిష్కరించబడింది?',
+      reason: 'కారణం',
+      resolutionNotePlaceholder: 'ఉదా. గుంత పూడ్చి రోడ్డు మళ్లీ వేశారు',
+      reasonPlaceholder: 'స్థితి ఎందుకు మారుస్తున్నారు?',
+      addUpdatePlaceholder: 'ఒక నవీకరణను జోడించండి...',
+      addUpdate: 'నవీకరణను జోడించు',
+      assigning: 'వాలంటీర్‌ను కేటాయిస్తోంది...',
+      assigned: 'వాలంటీర్ విజయవంతంగా కేటాయించబడ్డారు!',
+      assignFailed: 'వాలంటీర్‌ను కేటాయించడం విఫలమైంది',
+      assignNetworkError: 'వాలంటీర్‌ను కేటాయిస్తున్నప్పుడు నెట్‌వర్క్ లోపం',
+      updatingStatus: 'స్థితి నవీకరిస్తోంది...',
+      statusUpdated: 'స్థితి విజయవంతంగా నవీకరించబడింది!',
+      statusFailed: 'స్థితిని నవీకరించడం విఫలమైంది',
+      statusNetworkError: 'స్థితిని నవీకరిస్తున్నప్పుడు నెట్‌వర్క్ లోపం',
+      addingUpdate: 'నవీకరణను జోడిస్తోంది...',
+      updateAdded: 'నవీకరణ విజయవంతంగా జోడించబడింది!',
+      addUpdateFailed: 'నవీకరణను జోడించడం విఫలమైంది',
+      addUpdateNetworkError: 'నవీకరణను జోడిస్తున్నప్పుడు నెట్‌వర్క్ లోపం',
+      uploading: 'జోడింపులు అప్‌లోడ్ అవుతున్నాయి...',
+      uploaded: 'జోడింపులు అప్‌లోడ్ అయ్యాయి',
+      uploadFailed: 'జోడింపులను అప్‌లోడ్ చేయడం విఫలమైంది',
+      removeTitle: 'జోడింపును తొలగించాలా?',
+      remove: 'తొలగించు',
+      removed: 'జోడింపు తొలగించబడింది',
+      removeFailed: 'జోడింపును తొలగించడం విఫలమైంది'
+    }
+  },
+
+  dashboard: {
+    welcome: 'తిరిగి స్వాగతం, {{name}}!',
+    citizenTagline: 'ఈరోజు మీ సమాజంలో మార్పు తీసుకురావడానికి సిద్ధంగా ఉన్నారా?',
+    totalRequests: 'మొత్తం అభ్యర్థనలు',
+    quickActions: 'త్వరిత చర్యలు',
+    submitComplaint: 'ఫిర్యాదు సమర్పించండి',
+    bloodRequests: 'రక్త అభ్యర్థనలు',
+    complaints: 'ఫిర్యాదులు',
+    recentRequests: 'ఇటీవలి అభ్యర్థనలు',
+    viewAll: 'అన్నీ చూడండి',
+    noRequests: 'ఇంకా అభ్యర్థనలు లేవు',
+    noRequestsHint: 'మీ మొదటి అభ్యర్థనను సృష్టించి ప్రారంభించండి',
+    volunteer: {
+      tagline: 'సమాజ హీరోగా ఉన్నందుకు ధన్యవాదాలు. ఈరోజు ఎవరికైనా సహాయం చేయడానికి సిద్ధంగా ఉన్నారా?',
+      peopleHelped: 'సహాయం పొందినవారు',
+      rating: 'రేటింగ్',
+      activeRequests: 'క్రియాశీల అభ్యర్థనలు',
+      bloodDonations: 'రక్తదానాలు',
+      addBloodRequestHint: 'కొత్త రక్తదాన అభ్యర్థనను సృష్టించండి',
+      viewAllRequests: 'అన్ని అభ్యర్థనలను చూడండి',
+      viewAllRequestsHint: 'సహాయం చేయడానికి అందుబాటులో ఉన్న అభ్యర్థనలను చూడండి',
+      acceptedRequestsHint: 'మీరు అంగీకరించిన అభ్యర్థనలను నిర్వహించండి',
+      recentActivity: 'ఇటీవలి కార్యకలాపాలు',
+      noActivity: 'ఇటీవలి కార్యకలాపాలు లేవు',
+      noActivityHint: 'ఈరోజే మీ సమాజానికి సహాయం చేయడం ప్రారంభించండి!',
+      myBloodRequests: 'నా రక్త అభ్యర్థనలు',
+      bloodRequestTitle: '{{bloodType}} రక్త అభ్యర్థన',
+      volunteerCount: {
+        one: '{{count}} వాలంటీర్',
+        other: '{{count}} వాలంటీర్లు'
+      },
+      noBloodRequests: 'రక్త అభ్యర్థనలు ఏవీ సృష్టించబడలేదు',
+      noBloodRequestsHint: 'ఇతరులకు సహాయం చేయడానికి మీ మొదటి రక్త అభ్యర్థనను సృష్టించండి',
+      createBloodRequest: 'రక్త అభ్యర్థనను సృష్టించండి'
+    },
+    volunteerComplaints: {
+      subtitle: 'సామాజిక సమస్యలను పరిష్కరించడంలో సహాయం చేసి మార్పు తీసుకురండి',
+      fetchFailed: 'డాష్‌బోర్డ్ డేటాను పొందడం విఫలమైంది',
+      fetchNetworkError: 'డాష్‌బోర్డ్ డేటాను పొందుతున్నప్పుడు నెట్‌వర్క్ లోపం',
+      available: 'అందుబాటులో ఉన్నవి',
+      myAssigned: 'నాకు కేటాయించిన ఫిర్యాదులు',
+      noAssigned: 'కేటాయించిన ఫిర్యాదులు లేవు',
+      noAssignedHint: 'మీకు ఇంకా ఏ ఫిర్యాదూ కేటాయించబడలేదు. క్రింద అందుబాటులో ఉన్న ఫిర్యాదులను చూడండి.',
+      availableComplaints: 'అందుబాటులో ఉన్న ఫిర్యాదులు',
+      noAvailable: 'అందుబాటులో ఫిర్యాదులు లేవు',
+      noAvailableHint: 'ప్రస్తుతం దరఖాస్తుకు తెరిచిన ఫిర్యాదులు ఏవీ లేవు.',
+      submittedBy: 'సమర్పించినవారు: {{name}}',
+      accessDenied: 'ప్రవేశం నిరాకరించబడింది',
+      volunteersOnly: 'ఈ పేజీ వాలంటీర్లకు మాత్రమే అందుబాటులో ఉంటుంది.'
+    }
+  },
+
+  admin: {
+    title: 'అడ్మిన్ డాష్‌బోర్డ్',
+    subtitle: 'వినియోగదారులు, అభ్యర్థనలు, ఫిర్యాదులు మరియు చాట్‌బాట్‌లో సామాజిక కార్యకలాపాలు',
+    lastDays: {
+      one: 'గత {{count}} రోజు',
+      other: 'గత {{count}} రోజులు'
+    },
+    refresh: 'రిఫ్రెష్ చేయండి',
+    tabs: {
+      overview: 'అవలోకనం',
+      users: 'వినియోగదారులు',
+      audit: 'ఆడిట్ లాగ్'
+    },
+    loadFailed: 'అడ్మిన్ డాష్‌బోర్డ్‌ను లోడ్ చేయడం విఫలమైంది',
+    loadNetworkError: 'అడ్మిన్ డాష్‌బోర్డ్‌ను లోడ్ చేస్తున్నప్పుడు నెట్‌వర్క్ లోపం',
+    noData: 'ఇంకా డేటా లేదు',
+    requestsPerDay: 'రోజుకు అభ్యర్థనలు',
+    dayTotal: {
+      one: '{{date}}: {{count}} అభ్యర్థన',
+      other: '{{date}}: {{count}} అభ్యర్థనలు'
+    },
+    types: {
+      blood: 'రక్తం',
+      elder_support: 'వృద్ధుల సహాయం',
+      complaint: 'ఫిర్యాదు'
+    },
+    duration: {
+      minutes: '{{count}} నిమి',
+      hours: '{{hours}}గం {{minutes}}ని',
+      days: '{{days}} రోజులు'
+    },
+    stats: {
+      users: 'వినియోగదారులు',
+      usersDetail: '{{volunteers}} వాలంటీర్లు · {{suspended}} సస్పెండ్ చేయబడినవారు',
+      requests: 'అభ్యర్థనలు',
+      requestsDetail: '{{count}} పెండింగ్',
+      complaints: 'ఫిర్యాదులు',
+      complaintsDetail: '{{count}} తెరిచినవి',
+      medianAccept: 'అంగీకరించడానికి మధ్యస్థ సమయం',
+      medianAcceptDetail: 'గత {{days}} రోజుల్లో {{count}} అంగీకరించబడ్డాయి'
+    },
+    charts: {
+      requestsByType: 'రకం వారీగా అభ్యర్థనలు',
+      requestsByStatus: 'స్థితి వారీగా అభ్యర్థనలు',
+      usersByRole: 'పాత్ర వారీగా వినియోగదారులు',
+      complaintsByStatus: 'స్థితి వారీగా ఫిర్యాదులు',
+      complaintsByCategory: 'వర్గం వారీగా ఫిర్యాదులు',
+      medianAcceptByType: 'రకం వారీగా అంగీకరించడానికి మధ్యస్థ సమయం',
+      noAccepted: 'ఈ కాలంలో అంగీకరించిన అభ్యర్థనలు లేవు'
+    },
+    topVolunteers: {
+      title: 'అగ్ర వాలంటీర్లు',
+      empty: 'ఇంకా వాలంటీర్ కార్యకలాపాలు నమోదు కాలేదు',
+      name: 'పేరు',
+      city: 'నగరం',
+      bloodGroup: 'రక్త గ్రూప్',
+      helped: 'సహాయం చేసినవి',
+      rating: 'రేటింగ్',
+      verified: 'ధృవీకరించబడింది'
+    },
+    chatbot: {
+      title: 'చాట్‌బాట్',
+      messages: 'సందేశాలు',
+      requestsCreated: 'సృష్టించిన అభ్యర్థనలు',
+      voiceMessages: 'వాయిస్ సందేశాలు',
+      fallbackRate: 'AI ఫాల్‌బ్యాక్ రేటు',
+      fallbacks: {
+        one: '{{count}} సమాధానం AI మోడల్‌కు బదులుగా నియమ-ఆధారిత ఫాల్‌బ్యాక్‌ను ఉపయోగించింది',
+        other: '{{count}} సమాధానాలు AI మోడల్‌కు బదులుగా నియమ-ఆధారిత ఫాల్‌బ్యాక్‌ను ఉపయోగించాయి'
+      }
+    },
+    users: {
+      loadFailed: 'వినియోగదారులను లోడ్ చేయడం విఫలమైంది',
+      loadNetworkError: 'వినియోగదారులను లోడ్ చేస్తున్నప్పుడు నెట్‌వర్క్ లోపం',
+      actionFailed: 'చర్య విఫలమైంది',
+      networkError: 'నెట్‌వర్క్ లోపం. దయచేసి మళ్లీ ప్రయత్నించండి.',
+      searchPlaceholder: 'పేరు లేదా ఈమెయిల్ వెతకండి',
+      allRoles: 'అన్ని పాత్రలు',
+      roleFilter: {
+        citizen: 'పౌరులు',
+        volunteer: 'వాలంటీర్లు',
+        admin: 'అడ్మిన్‌లు'
+      },
+      anyStatus: 'ఏ స్థితి అయినా',
+      active: 'క్రియాశీలం',
+      suspended: 'సస్పెండ్ చేయబడింది',
+      empty: 'ఈ ఫిల్టర్‌లకు సరిపోయే వినియోగదారులు లేరు',
+      columns: {
+        user: 'వినియోగదారు',
+        role: 'పాత్ర',
+        city: 'నగరం',
+        status: 'స్థితి',
+        joined: 'చేరిన తేదీ',
+        actions: 'చర్యలు'
+      },
+      verifiedVolunteer: 'ధృవీకరించబడిన వాలంటీర్',
+      verify: 'ధృవీకరించు',
+      unverify: 'ధృవీకరణ తొలగించు',
+      suspend: 'సస్పెండ్ చేయి',
+      reactivate: 'మళ్లీ సక్రియం చేయి',
+      revoke: 'రద్దు చేయి',
+      changeRole: 'పాత్ర మార్చు',
+      suspendTitle: '{{name}}ను సస్పెండ్ చేయాలా?',
+      suspendText: 'వారు సైన్ అవుట్ చేయబడతారు మరియు లాగిన్ చేయలేరు.',
+      reactivateTitle: '{{name}}ను మళ్లీ సక్రియం చేయాలా?',
+      reactivateText: 'వారు మళ్లీ లాగిన్ చేయగలరు.',
+      revokeTitle: '{{name}} ధృవీకరణను రద్దు చేయాలా?',
+      verifyTitle: '{{name}}ను ధృవీకరించాలా?',
+      verifyText: 'ధృవీకరించబడిన వాలంటీర్లు పౌరులకు బ్యాడ్జ్‌తో చూపబడతారు.',
+      roleTitle: '{{name}} పాత్రను మార్చాలా?',
+      auditTrail: 'ఆడిట్ ట్రైల్',
+      noHistory: 'ఈ వినియోగదారుకు ఆడిట్ నమోదులు లేవు',
+      byActor: '{{name}} ద్వారా · {{date}}',
+      unknownActor: 'తెలియదు',
+      actions: {
+        suspend: 'సస్పెండ్ చేయబడింది',
+        reactivate: 'మళ్లీ సక్రియం చేయబడింది',
+        role_change: 'పాత్ర మార్చబడింది',
+        verify: 'ధృవీకరించబడింది',
+        unverify: 'ధృవీకరణ రద్దు చేయబడింది',
+        profile_update: 'ప్రొఫైల్ నవీకరించబడింది'
+      }
+    },
+    audit: {
+      loadFailed: 'ఆడిట్ లాగ్‌ను లోడ్ చేయడం విఫలమైంది',
+      loadNetworkError: 'ఆడిట్ లాగ్‌ను లోడ్ చేస్తున్నప్పుడు నెట్‌వర్క్ లోపం',
+      groups: {
+        all: 'అన్ని చర్యలు',
+        requests: 'అభ్యర్థనలు',
+        complaints: 'ఫిర్యాదులు',
+        users: 'వినియోగదారులు'
+      },
+      targets: {
+        User: 'వినియోగదారు',
+        Request: 'అభ్యర్థన',
+        Complaint: 'ఫిర్యాదు'
+      },
+      targetPlaceholder: 'అభ్యర్థన, ఫిర్యాదు లేదా వినియోగదారు ID',
+      from: 'నుండి',
+      to: 'వరకు',
+      filter: 'ఫిల్టర్ చేయి',
+      empty: 'ఈ ఫిల్టర్‌లకు సరిపోయే ఆడిట్ నమోదులు లేవు',
+      columns: {
+        when: 'ఎప్పుడు',
+        actor: 'చేసినవారు',
+        action: 'చర్య',
+        target: 'లక్ష్యం',
+        changed: 'మారినవి',
+        ip: 'IP'
+      },
+      showChanges: 'మార్పులను చూపించు',
+      reason: 'కారణం: "{{reason}}"',
+      field: 'ఫీల్డ్',
+      before: 'ముందు',
+      after: 'తర్వాత'
+    }
+  },
+
+  requestDraft: {
+    titles: {
+      blood: 'రక్త అభ్యర్థన ముసాయిదా',
+      elder_support: 'వృద్ధుల సహాయ అభ్యర్థన ముసాయిదా',
+      complaint: 'ఫిర్యాదు ముసాయిదా',
+      other: 'అభ్యర్థన ముసాయిదా'
+    },
+    fields: {
+      bloodType: 'రక్త రకం',
+      urgencyLevel: 'అత్యవసరత',
+      unitsNeeded: 'యూనిట్లు',
+      serviceType: 'సేవ',
+      frequency: 'తరచుదనం',
+      complaintCategory: 'వర్గం',
+      phone: 'ఫోన్',
+      location: 'స్థానం'
+    },
+    frequency: {
+      'one-time': 'ఒక్కసారి',
+      daily: 'రోజువారీ',
+      weekly: 'వారానికోసారి',
+      monthly: 'నెలకోసారి'
+    },
+    notSpecified: 'పేర్కొనబడలేదు',
+    address: 'చిరునామా',
+    city: 'నగరం',
+    edit: 'సవరించు',
+    discard: 'విస్మరించు',
+    save: 'మార్పులను సేవ్ చేయి',
+    confirm: 'నిర్ధారించి సమర్పించు'
+  },
+
+  attachments: {
+    invalidType: '{{name}}: JPEG, PNG మరియు WebP ఫోటోలు లేదా PDF పత్రాలను మాత్రమే జోడించవచ్చు',
+    tooLarge: '{{name}} {{size}}MB కంటే పెద్దది',
+    cannotAttach: 'ఫైల్‌ను జోడించలేము',
+    tooMany: 'చాలా ఎక్కువ ఫైల్‌లు',
+    maxFiles: {
+      one: 'మీరు గరిష్టంగా {{count}} ఫైల్‌ను జోడించవచ్చు',
+      other: 'మీరు గరిష్టంగా {{count}} ఫైల్‌లను జోడించవచ్చు'
+    },
+    add: 'ఫోటోలు లేదా పత్రాలను జోడించండి',
+    hint: 'JPEG, PNG, WebP లేదా PDF, ఒక్కొక్కటి గరిష్టంగా {{size}}MB',
+    remove: '{{name}}ను తొలగించు',
+    attachment: 'జోడింపు',
+    document: 'పత్రం',
+    close: 'మూసివేయి',
+    previous: 'మునుపటి ఫోటో',
+    next: 'తదుపరి ఫోటో'
+  },
+
+  requestStatus: {
+    actions: {
+      in_progress: 'సహాయం ప్రారంభించండి',
+      fulfilled: 'పూర్తయినట్లు గుర్తించండి',
+      pending: 'ఉపసంహరించుకోండి',
+      cancelled: 'అభ్యర్థనను రద్దు చేయండి'
+    },
+    recordDonation: 'దానాన్ని నమోదు చేయండి',
+    releaseVolunteer: 'వాలంటీర్‌ను విడుదల చేయండి',
+    donationTitle: 'దానాన్ని నమోదు చేయాలా?',
+    donationText: 'ఇది ఈరోజు దానం చేసిన ఒక యూనిట్‌ను నమోదు చేసి, రక్త అభ్యర్థనను పూర్తయినట్లు గుర్తిస్తుంది.',
+    fulfilledTitle: 'పూర్తయినట్లు గుర్తించాలా?',
+    fulfilledText: 'సహాయం అందించబడిందని నిర్ధారించండి. అభ్యర్థన మూసివేయబడుతుంది.',
+    fulfilledConfirm: 'పూర్తయినట్లు గుర్తించు',
+    notYet: 'ఇంకా కాదు',
+    releaseTitle: 'వాలంటీర్‌ను విడుదల చేయాలా?',
+    withdrawTitle: 'ఈ అభ్యర్థన నుండి ఉపసంహరించుకోవాలా?',
+    reopenText: 'అభ్యర్థన ఇతర వాలంటీర్ల కోసం మళ్లీ తెరవబడుతుంది.',
+    release: 'విడుదల చేయి',
+    withdraw: 'ఉపసంహరించుకో',
+    keepVolunteer: 'వాలంటీర్‌ను ఉంచు',
+    keepHelping: 'సహాయం కొనసాగించు',
+    cancelTitle: 'ఈ అభ్యర్థనను రద్దు చేయాలా?',
+    cancelText: 'దీన్ని అంగీకరించిన వాలంటీర్లకు కారణం తెలియజేయబడుతుంది.',
+    goBack: 'వెనక్కి వెళ్ళు',
+    updating: 'అభ్యర్థన నవీకరిస్తోంది...',
+    reopened: 'అభ్యర్థన ఇతర వాలంటీర్ల కోసం మళ్లీ తెరవబడింది',
+    withdrawn: 'మీరు అభ్యర్థన నుండి ఉపసంహరించుకున్నారు',
+    marked: {
+      in_progress: 'అభ్యర్థన ప్రోగ్రెస్‌లో ఉన్నట్లు గుర్తించబడింది',
+      fulfilled: 'అభ్యర్థన పూర్తయినట్లు గుర్తించబడింది',
+      cancelled: 'అభ్యర్థన రద్దయినట్లు గుర్తించబడింది'
+    },
+    updateFailed: 'అభ్యర్థనను నవీకరించలేకపోయాము'
+  }
+};
+
+export default te;
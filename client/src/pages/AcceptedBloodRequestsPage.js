@@ -10,7 +10,7 @@ import {
   CheckCircleIcon,
   EnvelopeIcon
 } from '@heroicons/react/24/outline';
-import { showError } from '../utils/alerts';
+import { showError, showSuccess, showLoading, closeLoading } from '../utils/alerts';
 import { API_CONFIG } from '../config/api';
 
 const AcceptedBloodRequestsPage = () => {
@@ -18,6 +18,7 @@ const AcceptedBloodRequestsPage = () => {
   const [loading, setLoading] = useState(true);
   const [selectedRequest, setSelectedRequest] = useState(null);
   const [showModal, setShowModal] = useState(false);
+  const [donationForm, setDonationForm] = useState({ units: 1, hospitalName: '', donatedAt: '' });
 
   useEffect(() => {
     fetchAcceptedBloodRequests();
@@ -55,6 +56,40 @@ const AcceptedBloodRequestsPage = () => {
   const closeRequestModal = () => {
     setSelectedRequest(null);
     setShowModal(false);
+    setDonationForm({ units: 1, hospitalName: '', donatedAt: '' });
+  };
+
+  const recordDonation = async () => {
+    try {
+      showLoading('Recording donation...');
+
+      const response = await fetch(`${API_CONFIG.baseURL}/api/blood-requests/${selectedRequest._id}/complete`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({
+          units: parseInt(donationForm.units) || 1,
+          hospitalName: donationForm.hospitalName || undefined,
+          donatedAt: donationForm.donatedAt || undefined
+        })
+      });
+
+      const data = await response.json();
+      closeLoading();
+
+      if (response.ok) {
+        showSuccess('Donation Recorded', data.message);
+        closeRequestModal();
+        fetchAcceptedBloodRequests();
+      } else {
+        showError('Error', data.errors?.[0]?.msg || data.message || 'Failed to record donation');
+      }
+    } catch (error) {
+      closeLoading();
+      showError('Error', 'Network error while recording donation');
+    }
   };
 
   const getBloodTypeColor = (bloodType) => {
@@ -350,6 +385,41 @@ const AcceptedBloodRequestsPage = () => {
                           <li>• Complete the blood donation process</li>
                         </ul>
                       </div>
+
+                      <div className="bg-white/10 rounded-lg p-4">
+                        <h4 className="text-white font-medium mb-3">Record Donation:</h4>
+                        <div className="grid grid-cols-2 gap-3 mb-3">
+                          <input
+                            type="number"
+                            min="1"
+                            max="4"
+                            value={donationForm.units}
+                            onChange={(e) => setDonationForm(prev => ({ ...prev, units: e.target.value }))}
+                            className="bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+                            placeholder="Units"
+                          />
+                          <input
+                            type="date"
+                            value={donationForm.donatedAt}
+                            max={new Date().toISOString().split('T')[0]}
+                            onChange={(e) => setDonationForm(prev => ({ ...prev, donatedAt: e.target.value }))}
+                            className="bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+                          />
+                        </div>
+                        <input
+                          type="text"
+                          value={donationForm.hospitalName}
+                          onChange={(e) => setDonationForm(prev => ({ ...prev, hospitalName: e.target.value }))}
+                          className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-sm mb-3 focus:outline-none focus:ring-2 focus:ring-red-500"
+                          placeholder="Hospital or blood bank"
+                        />
+                        <button
+                          onClick={recordDonation}
+                          className="w-full bg-gradient-to-r from-red-500 to-pink-500 text-white py-2 rounded-lg hover:from-red-600 hover:to-pink-600 transition-all duration-300 font-medium"
+                        >
+                          Mark Donation Complete
+                        </button>
+                      </div>
                     </div>
                   </div>
                 </div>
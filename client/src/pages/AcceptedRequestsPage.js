@@ -12,16 +12,24 @@ import {
 } from '@heroicons/react/24/outline';
 import { showError } from '../utils/alerts';
 import { API_CONFIG } from '../config/api';
+import RequestStatusActions, { getRequestStatusColor } from '../components/requests/RequestStatusActions';
+import RequestTimeline from '../components/requests/RequestTimeline';
+import StarRating from '../components/ui/StarRating';
+import { useTranslation } from '../contexts/LanguageContext';
+
+const RATING_FORMAT = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
 
 const AcceptedRequestsPage = () => {
+  const { t, formatDate, formatNumber } = useTranslation();
   const [acceptedRequests, setAcceptedRequests] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedRequest, setSelectedRequest] = useState(null);
   const [showModal, setShowModal] = useState(false);
+  const [volunteerStats, setVolunteerStats] = useState(null);
 
   useEffect(() => {
     fetchAcceptedRequests();
-  }, []);
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
   const fetchAcceptedRequests = async () => {
     try {
@@ -35,12 +43,13 @@ const AcceptedRequestsPage = () => {
       if (response.ok) {
         const data = await response.json();
         setAcceptedRequests(data.requests || []);
+        setVolunteerStats(data.volunteerStats || null);
       } else {
-        showError('Error', 'Failed to fetch accepted requests');
+        showError(t('common.error'), t('acceptedRequests.fetchFailed'));
         setAcceptedRequests([]);
       }
     } catch (error) {
-      showError('Error', 'Network error while fetching accepted requests');
+      showError(t('common.error'), t('acceptedRequests.fetchNetworkError'));
       setAcceptedRequests([]);
     } finally {
       setLoading(false);
@@ -81,12 +90,10 @@ const AcceptedRequestsPage = () => {
     return colors[bloodType] || 'bg-gray-500/20 text-gray-400';
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'pending': return 'text-yellow-400 bg-yellow-500/20';
-      case 'accepted': return 'text-green-400 bg-green-500/20';
-      default: return 'text-gray-400 bg-gray-500/20';
-    }
+  // A status change may take the request off this list (withdrawing), so reload it
+  const handleStatusUpdated = () => {
+    closeRequestModal();
+    fetchAcceptedRequests();
   };
 
   return (
@@ -99,14 +106,27 @@ const AcceptedRequestsPage = () => {
       >
         <div>
           <h1 className="text-4xl font-bold bg-gradient-to-r from-green-400 via-blue-400 to-green-400 bg-clip-text text-transparent mb-2">
-            My Accepted Requests
+            {t('acceptedRequests.title')}
           </h1>
-          <p className="text-gray-300">Blood donation requests you've volunteered to help with</p>
+          <p className="text-gray-300">{t('acceptedRequests.subtitle')}</p>
         </div>
-        <div className="flex items-center space-x-2 text-green-400">
-          <CheckCircleIcon className="w-8 h-8" />
-          <span className="text-2xl font-bold">{acceptedRequests.length}</span>
-          <span className="text-gray-300">Accepted</span>
+        <div className="flex flex-col items-end space-y-2">
+          <div className="flex items-center space-x-2 text-green-400">
+            <CheckCircleIcon className="w-8 h-8" />
+            <span className="text-2xl font-bold">{acceptedRequests.length}</span>
+            <span className="text-gray-300">{t('status.accepted')}</span>
+          </div>
+          {volunteerStats && (
+            <div className="flex items-center space-x-2 text-sm text-gray-300">
+              <StarRating value={volunteerStats.rating} size="sm" emptyClassName="text-gray-600" />
+              <span>
+                {volunteerStats.ratingCount > 0
+                  ? `${formatNumber(volunteerStats.rating, RATING_FORMAT)} (${formatNumber(volunteerStats.ratingCount)})`
+                  : t('ratings.noRatings')}
+              </span>
+              <span>&middot; {t('acceptedRequests.helped', { count: volunteerStats.totalHelped })}</span>
+            </div>
+          )}
         </div>
       </motion.div>
 
@@ -122,8 +142,8 @@ const AcceptedRequestsPage = () => {
           className="text-center py-12"
         >
           <CheckCircleIcon className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-          <h3 className="text-xl font-semibold text-white mb-2">No accepted requests</h3>
-          <p className="text-gray-300">You haven't volunteered for any blood donation requests yet.</p>
+          <h3 className="text-xl font-semibold text-white mb-2">{t('acceptedRequests.emptyTitle')}</h3>
+          <p className="text-gray-300">{t('acceptedRequests.emptyText')}</p>
         </motion.div>
       ) : (
         <motion.div
@@ -145,8 +165,8 @@ const AcceptedRequestsPage = () => {
               >
                 {/* Status and Blood Type */}
                 <div className="flex justify-between items-start mb-4">
-                  <span className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(request.acceptance.status)}`}>
-                    {request.acceptance.status.toUpperCase()}
+                  <span className={`px-3 py-1 rounded-full text-xs font-medium uppercase ${getRequestStatusColor(request.status)}`}>
+                    {t(`status.${request.status}`)}
                   </span>
                   <span className={`px-3 py-1 rounded-full text-sm font-bold ${getBloodTypeColor(request.bloodType)}`}>
                     {request.bloodType}
@@ -160,21 +180,21 @@ const AcceptedRequestsPage = () => {
                       <HeartIcon className="w-5 h-5 text-red-400" />
                     </div>
                     <span className="text-white font-medium">
-                      Blood Donation Request
+                      {t('allRequests.modal.bloodTitle')}
                     </span>
                   </div>
 
                   <div className="flex items-center space-x-2">
                     <UserIcon className="w-4 h-4 text-gray-400" />
                     <span className="text-gray-300 text-sm">
-                      Requester: {request.name}
+                      {t('acceptedRequests.requester', { name: request.name })}
                     </span>
                   </div>
 
                   <div className="flex items-center space-x-2">
                     <PhoneIcon className="w-4 h-4 text-gray-400" />
                     <span className="text-gray-300 text-sm">
-                      Contact: {request.phone}
+                      {t('acceptedRequests.contact', { phone: request.phone })}
                     </span>
                   </div>
 
@@ -188,18 +208,25 @@ const AcceptedRequestsPage = () => {
                   <div className="flex items-center space-x-2">
                     <ClockIcon className="w-4 h-4 text-gray-400" />
                     <span className="text-gray-300 text-sm">
-                      Accepted: {new Date(request.acceptance.acceptedAt).toLocaleDateString()}
+                      {t('acceptedRequests.acceptedOn', { date: formatDate(request.acceptance.acceptedAt) })}
                     </span>
                   </div>
 
                   {request.urgencyLevel && (
                     <div className="flex items-center space-x-2">
                       <ExclamationTriangleIcon className="w-4 h-4 text-gray-400" />
-                      <span className={`text-sm font-medium ${getUrgencyColor(request.urgencyLevel)}`}>
-                        {request.urgencyLevel.toUpperCase()} Priority
+                      <span className={`text-sm font-medium uppercase ${getUrgencyColor(request.urgencyLevel)}`}>
+                        {t('allRequests.modal.priority', { level: t(`urgency.${request.urgencyLevel}`) })}
                       </span>
                     </div>
                   )}
+
+                  {request.rating?.score && (
+                    <div className="flex items-center space-x-2">
+                      <StarRating value={request.rating.score} size="sm" emptyClassName="text-gray-600" />
+                      <span className="text-gray-300 text-sm">{t('acceptedRequests.ratedByRequester')}</span>
+                    </div>
+                  )}
                 </div>
 
                 {/* Action Button */}
@@ -210,7 +237,7 @@ const AcceptedRequestsPage = () => {
                   }}
                   className="w-full bg-gradient-to-r from-green-500 to-blue-500 text-white py-2 rounded-lg hover:from-green-600 hover:to-blue-600 transition-all duration-300 font-medium"
                 >
-                  View Contact Details
+                  {t('acceptedRequests.viewContact')}
                 </button>
               </motion.div>
             ))}
@@ -237,7 +264,7 @@ const AcceptedRequestsPage = () => {
             >
               {/* Modal Header */}
               <div className="flex items-center justify-between p-6 border-b border-white/20">
-                <h2 className="text-2xl font-bold text-white">Accepted Blood Request</h2>
+                <h2 className="text-2xl font-bold text-white">{t('acceptedRequests.modal.title')}</h2>
                 <button
                   onClick={closeRequestModal}
                   className="p-2 hover:bg-white/10 rounded-lg transition-colors"
@@ -251,44 +278,44 @@ const AcceptedRequestsPage = () => {
                 {/* Left Side - Request Details */}
                 <div className="space-y-6">
                   <div>
-                    <h3 className="text-lg font-semibold text-white mb-4">Request Information</h3>
+                    <h3 className="text-lg font-semibold text-white mb-4">{t('allRequests.modal.requestInformation')}</h3>
 
                     <div className="space-y-4">
                       <div className="flex items-center justify-between">
-                        <span className="text-gray-300">Blood Type:</span>
+                        <span className="text-gray-300">{t('allRequests.modal.bloodType')}</span>
                         <span className={`px-3 py-1 rounded-full font-bold ${getBloodTypeColor(selectedRequest.bloodType)}`}>
                           {selectedRequest.bloodType}
                         </span>
                       </div>
 
                       <div className="flex items-center justify-between">
-                        <span className="text-gray-300">Urgency:</span>
-                        <span className={`px-3 py-1 rounded-full text-xs font-medium ${getUrgencyColor(selectedRequest.urgencyLevel)}`}>
-                          {selectedRequest.urgencyLevel?.toUpperCase() || 'MEDIUM'}
+                        <span className="text-gray-300">{t('allRequests.modal.urgency')}</span>
+                        <span className={`px-3 py-1 rounded-full text-xs font-medium uppercase ${getUrgencyColor(selectedRequest.urgencyLevel)}`}>
+                          {t(`urgency.${selectedRequest.urgencyLevel || 'medium'}`)}
                         </span>
                       </div>
 
                       <div className="flex items-center justify-between">
-                        <span className="text-gray-300">Requested by:</span>
+                        <span className="text-gray-300">{t('allRequests.modal.requestedBy')}</span>
                         <span className="text-white font-medium">{selectedRequest.name}</span>
                       </div>
 
                       <div className="flex items-center justify-between">
-                        <span className="text-gray-300">Request Date:</span>
+                        <span className="text-gray-300">{t('acceptedRequests.modal.requestDate')}</span>
                         <span className="text-white">
-                          {new Date(selectedRequest.createdAt).toLocaleDateString()}
+                          {formatDate(selectedRequest.createdAt)}
                         </span>
                       </div>
 
                       <div className="flex items-center justify-between">
-                        <span className="text-gray-300">Accepted Date:</span>
+                        <span className="text-gray-300">{t('acceptedRequests.modal.acceptedDate')}</span>
                         <span className="text-white">
-                          {new Date(selectedRequest.acceptance.acceptedAt).toLocaleDateString()}
+                          {formatDate(selectedRequest.acceptance.acceptedAt)}
                         </span>
                       </div>
 
                       <div>
-                        <span className="text-gray-300 block mb-2">Location:</span>
+                        <span className="text-gray-300 block mb-2">{t('allRequests.modal.locationLabel')}</span>
                         <div className="bg-white/10 rounded-lg p-3">
                           <p className="text-white text-sm">
                             {typeof selectedRequest.location === 'object'
@@ -299,7 +326,7 @@ const AcceptedRequestsPage = () => {
                       </div>
 
                       <div>
-                        <span className="text-gray-300 block mb-2">Contact:</span>
+                        <span className="text-gray-300 block mb-2">{t('allRequests.modal.contactLabel')}</span>
                         <div className="bg-white/10 rounded-lg p-3">
                           <div className="flex items-center space-x-2">
                             <PhoneIcon className="w-4 h-4 text-gray-400" />
@@ -314,43 +341,70 @@ const AcceptedRequestsPage = () => {
                 {/* Right Side - Acceptance Status */}
                 <div className="space-y-6">
                   <div>
-                    <h3 className="text-lg font-semibold text-white mb-4">Your Volunteer Status</h3>
+                    <h3 className="text-lg font-semibold text-white mb-4">{t('acceptedRequests.modal.yourStatus')}</h3>
 
                     <div className="space-y-4">
                       <div className="bg-green-500/20 border border-green-400/50 rounded-lg p-4">
                         <div className="flex items-center space-x-2 mb-2">
                           <CheckCircleIcon className="w-5 h-5 text-green-400" />
-                          <span className="text-green-400 font-medium">Volunteer Confirmed</span>
+                          <span className="text-green-400 font-medium">{t('acceptedRequests.modal.confirmed')}</span>
                         </div>
                         <p className="text-gray-300 text-sm">
-                          You have volunteered to help with this blood donation request.
-                          Please coordinate with the requester to complete the donation.
+                          {t('acceptedRequests.modal.confirmedText')}
                         </p>
                       </div>
 
                       <div className="bg-white/10 rounded-lg p-4">
-                        <h4 className="text-white font-medium mb-2">Next Steps:</h4>
+                        <h4 className="text-white font-medium mb-2">{t('acceptedRequests.modal.nextSteps')}</h4>
                         <ul className="text-gray-300 text-sm space-y-1">
-                          <li>• Contact the requester using the phone number above</li>
-                          <li>• Coordinate donation time and location</li>
-                          <li>• Ensure you meet donation requirements</li>
-                          <li>• Complete the blood donation process</li>
+                          <li>• {t('acceptedRequests.modal.steps.contact')}</li>
+                          <li>• {t('acceptedRequests.modal.steps.coordinate')}</li>
+                          <li>• {t('acceptedRequests.modal.steps.requirements')}</li>
+                          <li>• {t('acceptedRequests.modal.steps.donate')}</li>
                         </ul>
                       </div>
 
+                      {selectedRequest.allowedTransitions?.length > 0 && (
+                        <div className="bg-white/10 rounded-lg p-4">
+                          <h4 className="text-white font-medium mb-3">{t('acceptedRequests.modal.updateStatus')}</h4>
+                          <RequestStatusActions
+                            request={selectedRequest}
+                            allowedTransitions={selectedRequest.allowedTransitions}
+                            onUpdated={handleStatusUpdated}
+                          />
+                        </div>
+                      )}
+
                       <div className="bg-white/10 rounded-lg p-4">
-                        <h4 className="text-white font-medium mb-2">Requester Information:</h4>
+                        <h4 className="text-white font-medium mb-2">{t('acceptedRequests.modal.requesterInformation')}</h4>
                         <div className="space-y-2">
                           <div className="flex items-center justify-between">
-                            <span className="text-gray-300">Name:</span>
+                            <span className="text-gray-300">{t('allRequests.modal.name')}</span>
                             <span className="text-white">{selectedRequest.requester?.name || selectedRequest.name}</span>
                           </div>
                           <div className="flex items-center justify-between">
-                            <span className="text-gray-300">Phone:</span>
+                            <span className="text-gray-300">{t('allRequests.modal.phone')}</span>
                             <span className="text-white">{selectedRequest.phone}</span>
                           </div>
                         </div>
                       </div>
+
+                      {selectedRequest.rating?.score && (
+                        <div className="bg-white/10 rounded-lg p-4">
+                          <h4 className="text-white font-medium mb-2">{t('acceptedRequests.modal.feedback')}</h4>
+                          <StarRating value={selectedRequest.rating.score} emptyClassName="text-gray-600" />
+                          {selectedRequest.rating.feedback && (
+                            <p className="text-gray-300 text-sm italic mt-2">"{selectedRequest.rating.feedback}"</p>
+                          )}
+                        </div>
+                      )}
+
+                      {selectedRequest.updates?.length > 0 && (
+                        <div className="bg-white/10 rounded-lg p-4">
+                          <h4 className="text-white font-medium mb-3">{t('acceptedRequests.modal.timeline')}</h4>
+                          <RequestTimeline updates={selectedRequest.updates} />
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -13,12 +13,14 @@ import FormInput from '../components/ui/FormInput';
 import SimpleLocationSelector from '../components/ui/SimpleLocationSelector';
 import { showError, showSuccess, showLoading, closeLoading } from '../utils/alerts';
 import { useAuth } from '../contexts/AuthContext';
+import { useTranslation } from '../contexts/LanguageContext';
 import { API_CONFIG } from '../config/api';
 
 const AddRequestPage = () => {
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
   const { user } = useAuth();
+  const { t, formatNumber } = useTranslation();
   const [selectedType, setSelectedType] = useState(searchParams.get('type') || 'blood');
   const [formData, setFormData] = useState({
     // Common fields
@@ -78,33 +80,33 @@ const AddRequestPage = () => {
   const requestTypes = [
     {
       id: 'blood',
-      name: 'Blood Request',
+      name: t('addRequest.types.blood.name'),
       icon: HeartIcon,
       color: 'bg-red-500',
-      description: 'Request blood donation'
+      description: t('addRequest.types.blood.description')
     },
     {
       id: 'elder_support',
-      name: 'Elder Support',
+      name: t('addRequest.types.elder_support.name'),
       icon: UserGroupIcon,
       color: 'bg-green-500',
-      description: 'Request elderly care services'
+      description: t('addRequest.types.elder_support.description')
     },
     {
       id: 'complaint',
-      name: 'Complaint',
+      name: t('addRequest.types.complaint.name'),
       icon: ExclamationTriangleIcon,
       color: 'bg-orange-500',
-      description: 'Report community issues'
+      description: t('addRequest.types.complaint.description')
     }
   ];
 
   const bloodTypes = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
   const urgencyLevels = [
-    { value: 'low', label: 'Low', color: 'text-green-600' },
-    { value: 'medium', label: 'Medium', color: 'text-yellow-600' },
-    { value: 'high', label: 'High', color: 'text-orange-600' },
-    { value: 'urgent', label: 'Urgent', color: 'text-red-600' }
+    { value: 'low', label: t('urgency.low'), color: 'text-green-600' },
+    { value: 'medium', label: t('urgency.medium'), color: 'text-yellow-600' },
+    { value: 'high', label: t('urgency.high'), color: 'text-orange-600' },
+    { value: 'urgent', label: t('urgency.urgent'), color: 'text-red-600' }
   ];
 
   const complaintCategories = [
@@ -274,73 +276,73 @@ const AddRequestPage = () => {
 
     // Common validations
     if (!formData.name || !formData.name.trim()) {
-      newErrors.name = 'Name is required';
+      newErrors.name = t('validation.nameRequired');
     }
 
     // Phone validation - use account phone for all request types
     if (!user?.phone) {
-      newErrors.phone = 'Phone number is required. Please update your profile with a phone number.';
+      newErrors.phone = t('validation.phoneRequired');
     }
 
     // Location validation
     if (formData.location.type === 'manual') {
       if (!formData.location.street || !formData.location.street.trim()) {
-        newErrors['location.street'] = 'Street address is required';
+        newErrors['location.street'] = t('validation.streetRequired');
       }
       if (!formData.location.city || !formData.location.city.trim()) {
-        newErrors['location.city'] = 'City is required';
+        newErrors['location.city'] = t('validation.cityRequired');
       }
       if (!formData.location.state || !formData.location.state.trim()) {
-        newErrors['location.state'] = 'State is required';
+        newErrors['location.state'] = t('validation.stateRequired');
       }
       if (!formData.location.pincode || !formData.location.pincode.trim()) {
-        newErrors['location.pincode'] = 'Pincode is required';
+        newErrors['location.pincode'] = t('validation.pincodeRequired');
       }
     } else if (formData.location.type === 'account') {
       if (!user?.address) {
-        newErrors['location.address'] = 'No address found in account. Please update your profile or use manual entry.';
+        newErrors['location.address'] = t('validation.noAccountAddress');
       }
     } else if (formData.location.type === 'map') {
       if (!formData.location.address || !formData.location.address.trim()) {
-        newErrors['location.address'] = 'Please select a location on the map';
+        newErrors['location.address'] = t('validation.selectOnMap');
       }
     }
 
     // Type-specific validations
     if (selectedType === 'blood') {
       if (!formData.bloodType) {
-        newErrors.bloodType = 'Blood type is required';
+        newErrors.bloodType = t('validation.bloodTypeRequired');
       }
     }
 
     if (selectedType === 'elder_support') {
       if (!formData.serviceType) {
-        newErrors.serviceType = 'Service type is required';
+        newErrors.serviceType = t('validation.serviceTypeRequired');
       }
       if (!formData.dueDate) {
-        newErrors.dueDate = 'Due date is required';
+        newErrors.dueDate = t('validation.dueDateRequired');
       }
     }
 
     if (selectedType === 'complaint') {
       if (!formData.title || !formData.title.trim()) {
-        newErrors.title = 'Title is required';
+        newErrors.title = t('validation.titleRequired');
       } else if (formData.title.trim().length < 5) {
-        newErrors.title = 'Title must be at least 5 characters';
+        newErrors.title = t('validation.titleMin', { min: 5 });
       } else if (formData.title.trim().length > 200) {
-        newErrors.title = 'Title must be less than 200 characters';
+        newErrors.title = t('validation.titleMax', { max: 200 });
       }
 
       if (!formData.description || !formData.description.trim()) {
-        newErrors.description = 'Description is required';
+        newErrors.description = t('validation.descriptionRequired');
       } else if (formData.description.trim().length < 10) {
-        newErrors.description = 'Description must be at least 10 characters';
+        newErrors.description = t('validation.descriptionMin', { min: 10 });
       } else if (formData.description.trim().length > 2000) {
-        newErrors.description = 'Description must be less than 2000 characters';
+        newErrors.description = t('validation.descriptionMax', { max: 2000 });
       }
 
       if (!formData.category) {
-        newErrors.category = 'Category is required';
+        newErrors.category = t('validation.categoryRequired');
       }
     }
 
@@ -362,7 +364,7 @@ const AddRequestPage = () => {
     }
 
     setIsSubmitting(true);
-    showLoading('Creating request...');
+    showLoading(t('addRequest.creating'));
 
     try {
       // Prepare request data based on type
@@ -370,7 +372,7 @@ const AddRequestPage = () => {
 
       // Ensure we have a valid phone number
       if (!phoneNumber) {
-        showError('Phone number is required. Please update your profile with a phone number.');
+        showError(t('validation.phoneRequired'));
         setIsSubmitting(false);
         closeLoading();
         return;
@@ -433,15 +435,15 @@ const AddRequestPage = () => {
         // Handle specific phone-related errors
         if (data.error === 'PHONE_REQUIRED') {
           closeLoading();
-          showError('Phone Number Required', data.message);
+          showError(t('addRequest.phoneRequiredTitle'), data.message);
           setIsSubmitting(false);
           return;
         }
-        throw new Error(data.message || 'Failed to create request');
+        throw new Error(data.message || t('addRequest.createFailed'));
       }
 
       closeLoading();
-      showSuccess('Success!', `${selectedType.replace('_', ' ')} request created successfully`);
+      showSuccess(t('common.success'), t('addRequest.created', { type: t(`addRequest.types.${selectedType}.name`) }));
 
       // Clear all form inputs
       setFormData({
@@ -472,7 +474,7 @@ const AddRequestPage = () => {
 
     } catch (error) {
       closeLoading();
-      showError('Error', error.message || 'Failed to create request. Please try again.');
+      showError(t('common.error'), error.message || t('addRequest.createFailedRetry'));
     } finally {
       setIsSubmitting(false);
     }
@@ -511,12 +513,12 @@ const AddRequestPage = () => {
     <div className="space-y-8">
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
         <FormInput
-          label="Name"
+          label={t('addRequest.fields.name')}
           name="name"
           type="text"
           value={formData.name}
           onChange={(e) => handleInputChange('name', e.target.value)}
-          placeholder="Enter your name"
+          placeholder={t('addRequest.fields.namePlaceholder')}
           error={errors.name}
           required
         />
@@ -524,28 +526,28 @@ const AddRequestPage = () => {
         {/* Show phone info for all request types */}
         <div>
           <label className="block text-sm font-medium text-white mb-2">
-            Contact Phone
+            {t('addRequest.fields.contactPhone')}
           </label>
           <div className={`border rounded-lg px-3 py-2 ${user?.phone
               ? 'bg-white/10 border-white/30 text-gray-300'
               : 'bg-red-500/20 border-red-400 text-red-300'
             }`}>
-            {user?.phone || 'No phone number in account - Please update your profile'}
+            {user?.phone || t('addRequest.noPhone')}
           </div>
           <p className="text-xs mt-1">
             {user?.phone
-              ? <span className="text-gray-400">Phone number from your account profile</span>
+              ? <span className="text-gray-400">{t('addRequest.phoneFromProfile')}</span>
               : (
                 <span>
-                  <span className="text-red-400">Go to </span>
+                  <span className="text-red-400">{t('addRequest.goTo')} </span>
                   <button
                     type="button"
                     onClick={() => navigate('/dashboard/profile')}
                     className="text-blue-400 hover:text-blue-300 underline"
                   >
-                    Profile page
+                    {t('addRequest.profilePage')}
                   </button>
-                  <span className="text-red-400"> to add your phone number</span>
+                  <span className="text-red-400"> {t('addRequest.toAddPhone')}</span>
                 </span>
               )
             }
@@ -555,7 +557,7 @@ const AddRequestPage = () => {
 
       <div>
         <label className="block text-sm font-medium text-white mb-2">
-          Location *
+          {t('addRequest.fields.location')} *
         </label>
         <div className="space-y-6">
           {/* Location Type Selection */}
@@ -570,8 +572,8 @@ const AddRequestPage = () => {
                 className="mr-3 text-blue-500"
               />
               <div>
-                <p className="text-white font-medium">Manual Entry</p>
-                <p className="text-gray-300 text-sm">Type address manually</p>
+                <p className="text-white font-medium">{t('location.manual')}</p>
+                <p className="text-gray-300 text-sm">{t('location.manualHint')}</p>
               </div>
             </label>
 
@@ -585,8 +587,8 @@ const AddRequestPage = () => {
                 className="mr-3 text-blue-500"
               />
               <div>
-                <p className="text-white font-medium">Account Address</p>
-                <p className="text-gray-300 text-sm">Use saved address</p>
+                <p className="text-white font-medium">{t('location.account')}</p>
+                <p className="text-gray-300 text-sm">{t('location.accountHint')}</p>
               </div>
             </label>
 
@@ -600,8 +602,8 @@ const AddRequestPage = () => {
                 className="mr-3 text-blue-500"
               />
               <div>
-                <p className="text-white font-medium">Select on Map</p>
-                <p className="text-gray-300 text-sm">Choose from map</p>
+                <p className="text-white font-medium">{t('location.map')}</p>
+                <p className="text-gray-300 text-sm">{t('location.mapHint')}</p>
               </div>
             </label>
           </div>
@@ -611,50 +613,50 @@ const AddRequestPage = () => {
             <div className="space-y-4">
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <FormInput
-                  label="Street Address"
+                  label={t('location.street')}
                   name="street"
                   type="text"
                   value={formData.location.street}
                   onChange={(e) => handleInputChange('location.street', e.target.value)}
-                  placeholder="Enter street address"
+                  placeholder={t('location.streetPlaceholder')}
                   error={errors['location.street']}
                 />
                 <FormInput
-                  label="City"
+                  label={t('location.city')}
                   name="city"
                   type="text"
                   value={formData.location.city}
                   onChange={(e) => handleInputChange('location.city', e.target.value)}
-                  placeholder="Enter city"
+                  placeholder={t('location.cityPlaceholder')}
                   error={errors['location.city']}
                 />
               </div>
               <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                 <FormInput
-                  label="State"
+                  label={t('location.state')}
                   name="state"
                   type="text"
                   value={formData.location.state}
                   onChange={(e) => handleInputChange('location.state', e.target.value)}
-                  placeholder="Enter state"
+                  placeholder={t('location.statePlaceholder')}
                   error={errors['location.state']}
                 />
                 <FormInput
-                  label="Pincode"
+                  label={t('location.pincode')}
                   name="pincode"
                   type="text"
                   value={formData.location.pincode}
                   onChange={(e) => handleInputChange('location.pincode', e.target.value)}
-                  placeholder="Enter pincode"
+                  placeholder={t('location.pincodePlaceholder')}
                   error={errors['location.pincode']}
                 />
                 <FormInput
-                  label="Country"
+                  label={t('location.country')}
                   name="country"
                   type="text"
                   value={formData.location.country}
                   onChange={(e) => handleInputChange('location.country', e.target.value)}
-                  placeholder="Enter country"
+                  placeholder={t('location.countryPlaceholder')}
                   error={errors['location.country']}
                 />
               </div>
@@ -663,14 +665,14 @@ const AddRequestPage = () => {
 
           {formData.location.type === 'account' && (
             <div className="bg-white/10 border border-white/30 rounded-lg p-4">
-              <p className="text-white font-medium mb-2">Account Address:</p>
+              <p className="text-white font-medium mb-2">{t('location.account')}:</p>
               <p className="text-gray-300">
                 {user?.address ?
                   (typeof user.address === 'object' ?
                     `${user.address.street || ''}, ${user.address.city || ''}, ${user.address.state || ''} ${user.address.pincode || ''}`.trim() :
                     user.address
                   ) :
-                  'No address found in account'
+                  t('location.noAccountAddress')
                 }
               </p>
             </div>
@@ -685,16 +687,16 @@ const AddRequestPage = () => {
               >
                 <MapPinIcon className="w-5 h-5 text-gray-300" />
                 <span>
-                  {formData.location.address ? 'Change Location' : 'Select Location on Map'}
+                  {formData.location.address ? t('location.change') : t('location.selectOnMap')}
                 </span>
               </button>
               {formData.location.address && (
                 <div className="mt-4 bg-white/10 border border-white/30 rounded-lg p-4">
-                  <p className="text-white font-medium mb-2">Selected Location:</p>
+                  <p className="text-white font-medium mb-2">{t('location.selected')}:</p>
                   <p className="text-gray-300">{formData.location.address}</p>
                   {formData.location.coordinates && (
                     <p className="text-xs text-gray-400 mt-1">
-                      Coordinates: {formData.location.coordinates.lat.toFixed(6)}, {formData.location.coordinates.lng.toFixed(6)}
+                      {t('location.coordinates')}: {formatNumber(formData.location.coordinates.lat, { maximumFractionDigits: 6 })}, {formatNumber(formData.location.coordinates.lng, { maximumFractionDigits: 6 })}
                     </p>
                   )}
                 </div>
@@ -710,14 +712,14 @@ const AddRequestPage = () => {
     <div className="space-y-6">
       <div>
         <label className="block text-sm font-medium text-white mb-2">
-          Blood Type Required *
+          {t('addRequest.fields.bloodType')} *
         </label>
         <select
           value={formData.bloodType}
           onChange={(e) => handleInputChange('bloodType', e.target.value)}
           className="w-full bg-white/20 border border-white/30 rounded-lg px-3 py-2 text-white placeholder-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
         >
-          <option value="" className="text-gray-900">Select Blood Type</option>
+          <option value="" className="text-gray-900">{t('addRequest.fields.selectBloodType')}</option>
           {bloodTypes.map(type => (
             <option key={type} value={type} className="text-gray-900">{type}</option>
           ))}
@@ -729,7 +731,7 @@ const AddRequestPage = () => {
 
       <div>
         <label className="block text-sm font-medium text-white mb-2">
-          Urgency Level
+          {t('addRequest.fields.urgencyLevel')}
         </label>
         <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
           {urgencyLevels.map(level => (
@@ -757,16 +759,16 @@ const AddRequestPage = () => {
     <div className="space-y-6">
       <div>
         <label className="block text-sm font-medium text-white mb-2">
-          Service Type *
+          {t('addRequest.fields.serviceType')} *
         </label>
         <select
           value={formData.serviceType}
           onChange={(e) => handleInputChange('serviceType', e.target.value)}
           className="w-full bg-white/20 border border-white/30 rounded-lg px-3 py-2 text-white placeholder-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
         >
-          <option value="" className="bg-gray-800 text-white">Select Service Type</option>
+          <option value="" className="bg-gray-800 text-white">{t('addRequest.fields.selectServiceType')}</option>
           {elderServiceTypes.map(type => (
-            <option key={type} value={type} className="bg-gray-800 text-white">{type}</option>
+            <option key={type} value={type} className="bg-gray-800 text-white">{t(`options.serviceType.${type}`)}</option>
           ))}
         </select>
         {errors.serviceType && (
@@ -776,7 +778,7 @@ const AddRequestPage = () => {
 
       <div>
         <label className="block text-sm font-medium text-white mb-2">
-          Due Date *
+          {t('addRequest.fields.dueDate')} *
         </label>
         <div className="relative">
           <input
@@ -799,13 +801,13 @@ const AddRequestPage = () => {
     <div className="space-y-6">
       <div>
         <label className="block text-sm font-medium text-white mb-2">
-          Title * <span className="text-gray-400 text-xs">({formData.title.length}/200)</span>
+          {t('addRequest.fields.title')} * <span className="text-gray-400 text-xs">({formatNumber(formData.title.length)}/{formatNumber(200)})</span>
         </label>
         <input
           type="text"
           value={formData.title}
           onChange={(e) => handleInputChange('title', e.target.value)}
-          placeholder="Brief description of the issue (5-200 characters)"
+          placeholder={t('addRequest.fields.titlePlaceholder')}
           maxLength={200}
           className="w-full bg-white/20 border border-white/30 rounded-lg px-3 py-2 text-white placeholder-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
         />
@@ -816,12 +818,12 @@ const AddRequestPage = () => {
 
       <div>
         <label className="block text-sm font-medium text-white mb-2">
-          Description * <span className="text-gray-400 text-xs">({formData.description.length}/2000)</span>
+          {t('addRequest.fields.description')} * <span className="text-gray-400 text-xs">({formatNumber(formData.description.length)}/{formatNumber(2000)})</span>
         </label>
         <textarea
           value={formData.description}
           onChange={(e) => handleInputChange('description', e.target.value)}
-          placeholder="Detailed description of the complaint (10-2000 characters)"
+          placeholder={t('addRequest.fields.descriptionPlaceholder')}
           rows={4}
           maxLength={2000}
           className="w-full bg-white/20 border border-white/30 rounded-lg px-3 py-2 text-white placeholder-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
@@ -833,16 +835,16 @@ const AddRequestPage = () => {
 
       <div>
         <label className="block text-sm font-medium text-white mb-2">
-          Category *
+          {t('addRequest.fields.category')} *
         </label>
         <select
           value={formData.category}
           onChange={(e) => handleInputChange('category', e.target.value)}
           className="w-full bg-white/20 border border-white/30 rounded-lg px-3 py-2 text-white placeholder-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
         >
-          <option value="" className="bg-gray-800 text-white">Select Category</option>
+          <option value="" className="bg-gray-800 text-white">{t('addRequest.fields.selectCategory')}</option>
           {complaintCategories.map(category => (
-            <option key={category} value={category} className="bg-gray-800 text-white">{category}</option>
+            <option key={category} value={category} className="bg-gray-800 text-white">{t(`options.complaintCategory.${category}`)}</option>
           ))}
         </select>
         {errors.category && (
@@ -852,11 +854,11 @@ const AddRequestPage = () => {
 
       <div>
         <label className="block text-sm font-medium text-white mb-2">
-          Images (Optional)
+          {t('addRequest.fields.images')}
         </label>
         <div className="border-2 border-dashed border-white/30 rounded-lg p-6 text-center">
           <PhotoIcon className="w-12 h-12 text-gray-300 mx-auto mb-4" />
-          <p className="text-gray-300 mb-4">Upload images to support your complaint</p>
+          <p className="text-gray-300 mb-4">{t('addRequest.fields.imagesHint')}</p>
           <input
             type="file"
             multiple
@@ -869,12 +871,12 @@ const AddRequestPage = () => {
             htmlFor="image-upload"
             className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 transition-colors cursor-pointer"
           >
-            Choose Images
+            {t('addRequest.fields.chooseImages')}
           </label>
         </div>
         {formData.images.length > 0 && (
           <div className="mt-4">
-            <p className="text-sm text-gray-300 mb-3">Selected images ({formData.images.length}):</p>
+            <p className="text-sm text-gray-300 mb-3">{t('addRequest.fields.selectedImages', { count: formData.images.length })}:</p>
             <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
               {formData.images.map((imageObj, index) => (
                 <div key={index} className="relative group">
@@ -896,7 +898,7 @@ const AddRequestPage = () => {
                     {imageObj.name}
                   </p>
                   <p className="text-xs text-gray-400">
-                    {(imageObj.size / 1024 / 1024).toFixed(2)} MB
+                    {formatNumber(imageObj.size / 1024 / 1024, { maximumFractionDigits: 2, minimumFractionDigits: 2 })} MB
                   </p>
                 </div>
               ))}
@@ -915,9 +917,9 @@ const AddRequestPage = () => {
         className="mb-8"
       >
         <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-400 via-purple-400 to-pink-400 bg-clip-text text-transparent mb-2">
-          Add New Request
+          {t('addRequest.title')}
         </h1>
-        <p className="text-gray-300">Choose the type of request and fill in the details</p>
+        <p className="text-gray-300">{t('addRequest.subtitle')}</p>
       </motion.div>
 
       <motion.div
@@ -945,14 +947,14 @@ const AddRequestPage = () => {
               onClick={() => navigate('/dashboard')}
               className="px-6 py-2 border border-white/30 text-white rounded-lg hover:bg-white/20 transition-colors"
             >
-              Cancel
+              {t('common.cancel')}
             </button>
             <button
               type="submit"
               disabled={isSubmitting}
               className="px-6 py-2 bg-gradient-to-r from-blue-500 via-purple-500 to-pink-500 text-white rounded-lg hover:from-blue-600 hover:via-purple-600 hover:to-pink-600 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed shadow-lg"
             >
-              {isSubmitting ? 'Creating...' : 'Create Request'}
+              {isSubmitting ? t('addRequest.submitting') : t('addRequest.submit')}
             </button>
           </div>
         </form>
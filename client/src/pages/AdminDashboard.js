@@ -1,22 +1,390 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
+import {
+  UsersIcon,
+  ClipboardDocumentListIcon,
+  ExclamationTriangleIcon,
+  ClockIcon,
+  ChatBubbleLeftRightIcon,
+  ArrowPathIcon
+} from '@heroicons/react/24/outline';
+import { useTranslation } from '../contexts/LanguageContext';
+import { showError } from '../utils/alerts';
+import { API_CONFIG } from '../config/api';
+import UserManagement from '../components/admin/UserManagement';
+import AuditLog from '../components/admin/AuditLog';
+
+const TYPE_COLORS = {
+  blood: 'bg-red-500',
+  elder_support: 'bg-green-500',
+  complaint: 'bg-blue-500'
+};
+
+// Request-per-day buckets are UTC calendar dates (YYYY-MM-DD)
+const DAY_FORMAT = { month: 'short', day: 'numeric', timeZone: 'UTC' };
+const ONE_DECIMAL = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+
+const cardClass = 'bg-white/10 backdrop-blur-lg rounded-xl shadow-2xl border border-white/20 p-6';
+
+const StatCard = ({ icon: Icon, label, value, detail, color }) => (
+  <div className={cardClass}>
+    <div className="flex items-center justify-between">
+      <div>
+        <p className="text-sm font-medium text-gray-300">{label}</p>
+        <p className={`text-3xl font-bold ${color}`}>{value}</p>
+        {detail && <p className="text-xs text-gray-400 mt-1">{detail}</p>}
+      </div>
+      <Icon className={`w-10 h-10 ${color}`} />
+    </div>
+  </div>
+);
+
+// Horizontal bars for a { key: count } map; labelKey maps a key to its catalog entry
+const BarList = ({ title, data, labelKey }) => {
+  const { t, formatNumber } = useTranslation();
+  const entries = Object.entries(data || {}).sort((a, b) => b[1] - a[1]);
+  const max = Math.max(...entries.map(([, count]) => count), 1);
+
+  return (
+    <div className={cardClass}>
+      <h3 className="text-lg font-semibold text-white mb-4">{title}</h3>
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-400">{t('admin.noData')}</p>
+      ) : (
+        <div className="space-y-3">
+          {entries.map(([key, count]) => (
+            <div key={key}>
+              <div className="flex justify-between text-sm mb-1">
+                <span className="text-gray-300">{t(labelKey(key))}</span>
+                <span className="text-white font-medium">{formatNumber(count)}</span>
+              </div>
+              <div className="h-2 bg-white/10 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-gradient-to-r from-blue-500 via-purple-500 to-pink-500 rounded-full"
+                  style={{ width: `${(count / max) * 100}%` }}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Stacked daily columns by request type
+const DailyChart = ({ series }) => {
+  const { t, formatDate } = useTranslation();
+  const max = Math.max(...series.map(day => day.total), 1);
+
+  return (
+    <div className={cardClass}>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white">{t('admin.requestsPerDay')}</h3>
+        <div className="flex space-x-4 text-xs text-gray-300">
+          {Object.keys(TYPE_COLORS).map(type => (
+            <span key={type} className="flex items-center space-x-1">
+              <span className={`w-3 h-3 rounded-sm ${TYPE_COLORS[type]}`}></span>
+              <span>{t(`admin.types.${type}`)}</span>
+            </span>
+          ))}
+        </div>
+      </div>
+      <div className="flex items-end h-48 space-x-1">
+        {series.map(day => (
+          <div
+            key={day.date}
+            className="flex-1 h-full flex flex-col justify-end"
+            title={t('admin.dayTotal', { date: formatDate(day.date, DAY_FORMAT), count: day.total })}
+          >
+            {Object.keys(TYPE_COLORS).map(type => (
+              day[type] > 0 && (
+                <div
+                  key={type}
+                  className={`${TYPE_COLORS[type]} w-full first:rounded-t`}
+                  style={{ height: `${(day[type] / max) * 100}%` }}
+                />
+              )
+            ))}
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-400 mt-2">
+        <span>{formatDate(series[0]?.date, DAY_FORMAT)}</span>
+        <span>{formatDate(series[series.length - 1]?.date, DAY_FORMAT)}</span>
+      </div>
+    </div>
+  );
+};
 
 const AdminDashboard = () => {
+  const [data, setData] = useState(null);
+  const [days, setDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+  const [activeTab, setActiveTab] = useState('overview');
+  const { t, formatNumber } = useTranslation();
+
+  useEffect(() => {
+    fetchDashboard(days);
+  }, [days]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const fetchDashboard = async (windowDays) => {
+    try {
+      setLoading(true);
+      const response = await fetch(`${API_CONFIG.baseURL}/api/admin/dashboard?days=${windowDays}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      if (response.ok) {
+        const result = await response.json();
+        setData(result.data);
+      } else {
+        showError(t('common.error'), t('admin.loadFailed'));
+      }
+    } catch (error) {
+      showError(t('common.error'), t('admin.loadNetworkError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatMinutes = (minutes) => {
+    if (minutes === null || minutes === undefined) return '—';
+    if (minutes < 60) return t('admin.duration.minutes', { count: minutes });
+    if (minutes < 24 * 60) return t('admin.duration.hours', { hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+    return t('admin.duration.days', { days: formatNumber(minutes / (24 * 60), ONE_DECIMAL) });
+  };
+
   return (
-    <div className="min-h-screen bg-gray-50 pt-20">
-      <div className="container-custom py-8">
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 pt-24 pb-12">
+      <div className="max-w-7xl mx-auto px-4 space-y-8">
+        {/* Header */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
-          transition={{ duration: 0.6 }}
-          className="text-center"
+          className="flex flex-col md:flex-row md:items-center md:justify-between gap-4"
         >
-          <h1 className="text-4xl font-bold text-gray-900 mb-4">Admin Dashboard</h1>
-          <p className="text-gray-600 mb-8">Manage community services and users</p>
-          <div className="bg-white rounded-2xl shadow-lg p-8">
-            <p className="text-gray-500">Admin dashboard coming soon...</p>
+          <div>
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-400 via-purple-400 to-pink-400 bg-clip-text text-transparent mb-2">
+              {t('admin.title')}
+            </h1>
+            <p className="text-gray-300">{t('admin.subtitle')}</p>
           </div>
+          {activeTab === 'overview' && (
+            <div className="flex items-center space-x-3">
+              <select
+                value={days}
+                onChange={(e) => setDays(parseInt(e.target.value))}
+                className="px-4 py-2 bg-white/10 border border-white/30 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+              >
+                {[7, 30, 90].map(windowDays => (
+                  <option key={windowDays} value={windowDays} className="bg-gray-800">
+                    {t('admin.lastDays', { count: windowDays })}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={() => fetchDashboard(days)}
+                className="p-2 rounded-lg bg-white/10 border border-white/30 hover:bg-white/20 transition-colors"
+                title={t('admin.refresh')}
+              >
+                <ArrowPathIcon className={`w-5 h-5 text-white ${loading ? 'animate-spin' : ''}`} />
+              </button>
+            </div>
+          )}
         </motion.div>
+
+        {/* Tabs */}
+        <div className="flex space-x-2 border-b border-white/10">
+          {[
+            'overview',
+            'users',
+            'audit'
+          ].map(tab => (
+            <button
+              key={tab}
+              onClick={() => setActiveTab(tab)}
+              className={`px-4 py-2 -mb-px text-sm font-medium border-b-2 transition-colors ${
+                activeTab === tab
+                  ? 'border-purple-400 text-white'
+                  : 'border-transparent text-gray-400 hover:text-gray-200'
+              }`}
+            >
+              {t(`admin.tabs.${tab}`)}
+            </button>
+          ))}
+        </div>
+
+        {activeTab === 'users' ? (
+          <UserManagement />
+        ) : activeTab === 'audit' ? (
+          <AuditLog />
+        ) : loading && !data ? (
+          <div className="flex justify-center items-center py-24">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+          </div>
+        ) : data && (
+          <>
+            {/* Headline numbers */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.1 }}
+              className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6"
+            >
+              <StatCard
+                icon={UsersIcon}
+                label={t('admin.stats.users')}
+                value={formatNumber(data.users.total)}
+                detail={t('admin.stats.usersDetail', { volunteers: data.users.byRole.volunteer || 0, suspended: data.users.inactive })}
+                color="text-blue-400"
+              />
+              <StatCard
+                icon={ClipboardDocumentListIcon}
+                label={t('admin.stats.requests')}
+                value={formatNumber(data.requests.total)}
+                detail={t('admin.stats.requestsDetail', { count: data.requests.byStatus.pending || 0 })}
+                color="text-purple-400"
+              />
+              <StatCard
+                icon={ExclamationTriangleIcon}
+                label={t('admin.stats.complaints')}
+                value={formatNumber(data.complaints.total)}
+                detail={t('admin.stats.complaintsDetail', { count: data.complaints.byStatus.open || 0 })}
+                color="text-yellow-400"
+              />
+              <StatCard
+                icon={ClockIcon}
+                label={t('admin.stats.medianAccept')}
+                value={formatMinutes(data.timeToAcceptance.overall)}
+                detail={t('admin.stats.medianAcceptDetail', { count: data.timeToAcceptance.sampleSize, days: data.window.days })}
+                color="text-green-400"
+              />
+            </motion.div>
+
+            {/* Daily activity */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.2 }}
+            >
+              <DailyChart series={data.requestsPerDay} />
+            </motion.div>
+
+            {/* Breakdowns */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.3 }}
+              className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6"
+            >
+              <BarList title={t('admin.charts.requestsByType')} data={data.requests.byType} labelKey={key => `admin.types.${key}`} />
+              <BarList title={t('admin.charts.requestsByStatus')} data={data.requests.byStatus} labelKey={key => `status.${key}`} />
+              <BarList title={t('admin.charts.usersByRole')} data={data.users.byRole} labelKey={key => `roles.${key}`} />
+              <BarList title={t('admin.charts.complaintsByStatus')} data={data.complaints.byStatus} labelKey={key => `status.${key}`} />
+              <BarList title={t('admin.charts.complaintsByCategory')} data={data.complaints.byCategory} labelKey={key => `complaints.categories.${key}`} />
+              <div className={cardClass}>
+                <h3 className="text-lg font-semibold text-white mb-4">{t('admin.charts.medianAcceptByType')}</h3>
+                {Object.keys(data.timeToAcceptance.byType).length === 0 ? (
+                  <p className="text-sm text-gray-400">{t('admin.charts.noAccepted')}</p>
+                ) : (
+                  <div className="space-y-3">
+                    {Object.entries(data.timeToAcceptance.byType).map(([type, minutes]) => (
+                      <div key={type} className="flex justify-between text-sm">
+                        <span className="text-gray-300">{t(`admin.types.${type}`)}</span>
+                        <span className="text-white font-medium">{formatMinutes(minutes)}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </motion.div>
+
+            {/* Volunteers and chatbot */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.4 }}
+              className="grid grid-cols-1 lg:grid-cols-3 gap-6"
+            >
+              <div className={`${cardClass} lg:col-span-2 overflow-x-auto`}>
+                <h3 className="text-lg font-semibold text-white mb-4">{t('admin.topVolunteers.title')}</h3>
+                {data.topVolunteers.length === 0 ? (
+                  <p className="text-sm text-gray-400">{t('admin.topVolunteers.empty')}</p>
+                ) : (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-400 border-b border-white/10">
+                        <th className="py-2 pr-4">#</th>
+                        <th className="py-2 pr-4">{t('admin.topVolunteers.name')}</th>
+                        <th className="py-2 pr-4">{t('admin.topVolunteers.city')}</th>
+                        <th className="py-2 pr-4">{t('admin.topVolunteers.bloodGroup')}</th>
+                        <th className="py-2 pr-4 text-right">{t('admin.topVolunteers.helped')}</th>
+                        <th className="py-2 text-right">{t('admin.topVolunteers.rating')}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {data.topVolunteers.map((volunteer, index) => (
+                        <tr key={volunteer._id} className="border-b border-white/5 text-gray-200">
+                          <td className="py-2 pr-4">{formatNumber(index + 1)}</td>
+                          <td className="py-2 pr-4">
+                            <span className="text-white font-medium">{volunteer.name}</span>
+                            {volunteer.isVerified && <span className="ml-2 text-xs text-green-400">{t('admin.topVolunteers.verified')}</span>}
+                            <p className="text-xs text-gray-400">{volunteer.email}</p>
+                          </td>
+                          <td className="py-2 pr-4">{volunteer.city || '—'}</td>
+                          <td className="py-2 pr-4">{volunteer.bloodGroup || '—'}</td>
+                          <td className="py-2 pr-4 text-right text-white font-medium">{formatNumber(volunteer.totalHelped)}</td>
+                          <td className="py-2 text-right">{volunteer.rating ? formatNumber(volunteer.rating, ONE_DECIMAL) : '—'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              <div className={cardClass}>
+                <div className="flex items-center space-x-2 mb-4">
+                  <ChatBubbleLeftRightIcon className="w-5 h-5 text-purple-400" />
+                  <h3 className="text-lg font-semibold text-white">{t('admin.chatbot.title')}</h3>
+                </div>
+                <div className="space-y-3 text-sm">
+                  <div className="flex justify-between">
+                    <span className="text-gray-300">{t('admin.chatbot.messages')}</span>
+                    <span className="text-white font-medium">{formatNumber(data.chatbot.total)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-300">{t('admin.chatbot.requestsCreated')}</span>
+                    <span className="text-white font-medium">{formatNumber(data.chatbot.requestsCreated)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-300">{t('admin.chatbot.voiceMessages')}</span>
+                    <span className="text-white font-medium">{formatNumber(data.chatbot.byMessageType.voice || 0)}</span>
+                  </div>
+                  <div>
+                    <div className="flex justify-between mb-1">
+                      <span className="text-gray-300">{t('admin.chatbot.fallbackRate')}</span>
+                      <span className={`font-medium ${data.chatbot.fallbackRate > 25 ? 'text-yellow-400' : 'text-green-400'}`}>
+                        {formatNumber(data.chatbot.fallbackRate / 100, { style: 'percent', maximumFractionDigits: 1 })}
+                      </span>
+                    </div>
+                    <div className="h-2 bg-white/10 rounded-full overflow-hidden">
+                      <div
+                        className={`h-full rounded-full ${data.chatbot.fallbackRate > 25 ? 'bg-yellow-500' : 'bg-green-500'}`}
+                        style={{ width: `${data.chatbot.fallbackRate}%` }}
+                      />
+                    </div>
+                    <p className="text-xs text-gray-400 mt-1">
+                      {t('admin.chatbot.fallbacks', { count: data.chatbot.fallbacks })}
+                    </p>
+                  </div>
+                </div>
+              </div>
+            </motion.div>
+          </>
+        )}
       </div>
     </div>
   );
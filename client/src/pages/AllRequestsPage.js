@@ -14,14 +14,25 @@ import {
   EyeIcon,
   PencilIcon,
   TrashIcon,
-  ClipboardDocumentListIcon
+  ClipboardDocumentListIcon,
+  StarIcon
 } from '@heroicons/react/24/outline';
 
-import { showError, showSuccess, showLoading, closeLoading } from '../utils/alerts';
+import { showError, showSuccess, showLoading, closeLoading, showConfirmation, toastInfo, toastSuccess } from '../utils/alerts';
+import apiClient from '../utils/apiClient';
 import Pagination from '../components/ui/Pagination';
+import RequestStatusActions from '../components/requests/RequestStatusActions';
+import StarRating from '../components/ui/StarRating';
+import RatingForm from '../components/ui/RatingForm';
+import VolunteerRatingSummary from '../components/ui/VolunteerRatingSummary';
+import { useSocketEvent } from '../contexts/SocketContext';
+import { useTranslation } from '../contexts/LanguageContext';
+
+const DATE_TIME_FORMAT = { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
 
 const AllRequestsPage = () => {
   const navigate = useNavigate();
+  const { t, formatDate } = useTranslation();
   const [requests, setRequests] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedRequest, setSelectedRequest] = useState(null);
@@ -30,6 +41,7 @@ const AllRequestsPage = () => {
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [requestToDelete, setRequestToDelete] = useState(null);
   const [loadingAccepters, setLoadingAccepters] = useState(false);
+  const [ratingRequestId, setRatingRequestId] = useState(null);
   const [filters, setFilters] = useState({
     type: '',
     status: '',
@@ -50,6 +62,18 @@ const AllRequestsPage = () => {
     setPagination(prev => ({ ...prev, current: 1 }));
   }, [filters]); // eslint-disable-line react-hooks/exhaustive-deps
 
+  // Someone volunteered for one of my requests - refresh so the new status and accepter show up
+  useSocketEvent('request:volunteered', ({ volunteer }) => {
+    toastInfo(t('myRequests.volunteerAccepted', { name: volunteer?.name || t('myRequests.aVolunteer') }));
+    fetchRequests(pagination.current);
+  });
+
+  // A volunteer applied to one of my elder support or complaint requests
+  useSocketEvent('request:applied', ({ volunteer }) => {
+    toastInfo(t('myRequests.volunteerApplied', { name: volunteer?.name || t('myRequests.aVolunteer') }));
+    fetchRequests(pagination.current);
+  });
+
   const fetchRequests = async (page = 1) => {
     try {
       setLoading(true);
@@ -73,11 +97,11 @@ const AllRequestsPage = () => {
         setRequests(data.requests);
         setPagination(data.pagination);
       } else {
-        showError('Error', 'Failed to fetch requests');
+        showError(t('common.error'), t('myRequests.fetchFailed'));
         setRequests([]);
       }
     } catch (error) {
-      showError('Error', 'Network error while fetching requests');
+      showError(t('common.error'), t('myRequests.fetchNetworkError'));
       setRequests([]);
     } finally {
       setLoading(false);
@@ -112,7 +136,8 @@ const AllRequestsPage = () => {
       pending: 'bg-yellow-500/20 text-yellow-300 border border-yellow-400/50',
       accepted: 'bg-green-500/20 text-green-300 border border-green-400/50',
       in_progress: 'bg-blue-500/20 text-blue-300 border border-blue-400/50',
-      completed: 'bg-purple-500/20 text-purple-300 border border-purple-400/50'
+      fulfilled: 'bg-purple-500/20 text-purple-300 border border-purple-400/50',
+      cancelled: 'bg-red-500/20 text-red-300 border border-red-400/50'
     };
     return colors[status] || 'bg-gray-500/20 text-gray-300 border border-gray-400/50';
   };
@@ -127,15 +152,7 @@ const AllRequestsPage = () => {
     return colors[urgency] || 'text-gray-400';
   };
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-  };
+  const formatDateTime = (value) => formatDate(value, DATE_TIME_FORMAT);
 
   const fetchContactDetails = async (requestId) => {
     try {
@@ -175,7 +192,7 @@ const AllRequestsPage = () => {
         }
       }
     } catch (error) {
-      showError('Error', 'Network error while fetching contact details');
+      showError(t('common.error'), t('myRequests.contactsFailed'));
       setAccepters([]);
     } finally {
       setLoadingAccepters(false);
@@ -208,7 +225,7 @@ const AllRequestsPage = () => {
     if (!requestToDelete) return;
 
     try {
-      showLoading('Deleting request...');
+      showLoading(t('myRequests.deleting'));
 
       const response = await fetch(`${process.env.REACT_APP_API_URL || 'https://sevalink-ttbd.onrender.com'}/api/requests/${requestToDelete._id}`, {
         method: 'DELETE',
@@ -220,20 +237,46 @@ const AllRequestsPage = () => {
       if (response.ok) {
         setRequests(prev => prev.filter(req => req._id !== requestToDelete._id));
         closeLoading();
-        showSuccess('Success', 'Request deleted successfully');
+        showSuccess(t('common.success'), t('myRequests.deleted'));
         closeDeleteModal();
       } else {
         const data = await response.json();
         closeLoading();
-        showError('Error', data.message || 'Failed to delete request');
+        showError(t('common.error'), data.message || t('myRequests.deleteFailed'));
       }
     } catch (error) {
       closeLoading();
-      showError('Error', 'Network error while deleting request');
+      showError(t('common.error'), t('myRequests.deleteNetworkError'));
+    }
+  };
+
+  const handleAcceptApplication = async (request, application) => {
+    const name = application.volunteer?.name || t('myRequests.thisVolunteer');
+    const result = await showConfirmation(
+      t('myRequests.applications.confirmTitle', { name }),
+      t('myRequests.applications.confirmText'),
+      t('myRequests.applications.accept'),
+      t('common.cancel')
+    );
+    if (!result.isConfirmed) return;
+
+    try {
+      showLoading(t('myRequests.applications.accepting'));
+      const data = await apiClient.post(`/api/requests/${request._id}/applications/${application._id}/accept`);
+      closeLoading();
+      toastSuccess(data.message);
+      fetchRequests(pagination.current);
+    } catch (error) {
+      closeLoading();
+      showError(t('myRequests.applications.acceptFailed'), error.message);
     }
   };
 
   const RequestCard = ({ request }) => {
+    const pendingApplications = request.status === 'pending'
+      ? (request.volunteerApplications || []).filter(application => application.status === 'pending')
+      : [];
+
     const Icon = getTypeIcon(request.type);
 
     return (
@@ -257,25 +300,25 @@ const AllRequestsPage = () => {
               <div className="space-y-1 text-sm text-gray-400">
                 {request.type === 'blood' && (
                   <>
-                    <p>Blood Type: <span className="font-medium text-red-400">{request.bloodType}</span></p>
-                    <p>Urgency: <span className={`font-medium ${getUrgencyColor(request.urgencyLevel)}`}>
-                      {request.urgencyLevel?.toUpperCase() || 'MEDIUM'}
+                    <p>{t('myRequests.bloodType')} <span className="font-medium text-red-400">{request.bloodType}</span></p>
+                    <p>{t('myRequests.urgency')} <span className={`font-medium uppercase ${getUrgencyColor(request.urgencyLevel)}`}>
+                      {t(`urgency.${request.urgencyLevel || 'medium'}`)}
                     </span></p>
-                    <p>Donors: <span className="font-medium text-green-400">
-                      {request.accepters?.length || 0} volunteers
+                    <p>{t('myRequests.donors')} <span className="font-medium text-green-400">
+                      {t('myRequests.volunteerCount', { count: request.accepters?.length || 0 })}
                     </span></p>
                   </>
                 )}
                 {request.type === 'elder_support' && (
                   <>
-                    <p>Service: <span className="font-medium">{request.serviceType}</span></p>
-                    <p>Due: <span className="font-medium">{formatDate(request.dueDate)}</span></p>
+                    <p>{t('myRequests.service')} <span className="font-medium">{request.serviceType && t(`options.serviceType.${request.serviceType}`)}</span></p>
+                    <p>{t('myRequests.due')} <span className="font-medium">{formatDateTime(request.dueDate)}</span></p>
                   </>
                 )}
                 {request.type === 'complaint' && (
-                  <p>Category: <span className="font-medium">{request.category}</span></p>
+                  <p>{t('myRequests.category')} <span className="font-medium">{request.category && t(`options.complaintCategory.${request.category}`)}</span></p>
                 )}
-                <p>Location: <span className="font-medium">
+                <p>{t('myRequests.location')} <span className="font-medium">
                   {typeof request.location === 'object' ? request.location.address : request.location}
                 </span></p>
               </div>
@@ -283,17 +326,17 @@ const AllRequestsPage = () => {
           </div>
 
           <div className="flex flex-col items-end space-y-2">
-            <span className={`px-3 py-1 rounded-full text-xs font-semibold ${getStatusColor(request.status)}`}>
-              {request.status.replace('_', ' ').toUpperCase()}
+            <span className={`px-3 py-1 rounded-full text-xs font-semibold uppercase ${getStatusColor(request.status)}`}>
+              {t(`status.${request.status}`)}
             </span>
           </div>
         </div>
 
         <div className="flex items-center justify-between pt-4 border-t border-white/20">
           <div className="text-sm text-gray-400">
-            <p>Created: {formatDate(request.createdAt)}</p>
+            <p>{t('myRequests.created', { date: formatDateTime(request.createdAt) })}</p>
             {request.updatedAt !== request.createdAt && (
-              <p>Updated: {formatDate(request.updatedAt)}</p>
+              <p>{t('myRequests.updated', { date: formatDateTime(request.updatedAt) })}</p>
             )}
           </div>
 
@@ -302,7 +345,7 @@ const AllRequestsPage = () => {
               <button
                 onClick={() => openRequestModal(request)}
                 className="p-2 text-gray-400 hover:text-blue-400 hover:bg-blue-500/20 rounded-lg transition-colors"
-                title="View Donors"
+                title={t('myRequests.viewDonors')}
               >
                 <EyeIcon className="w-5 h-5" />
               </button>
@@ -310,12 +353,90 @@ const AllRequestsPage = () => {
             <button
               onClick={() => openDeleteModal(request)}
               className="p-2 text-gray-400 hover:text-red-400 hover:bg-red-500/20 rounded-lg transition-colors"
-              title="Delete Request"
+              title={t('myRequests.deleteRequest')}
             >
               <TrashIcon className="w-5 h-5" />
             </button>
           </div>
         </div>
+
+        {pendingApplications.length > 0 && (
+          <div className="pt-4 mt-4 border-t border-white/20">
+            <h4 className="text-white font-medium mb-3">{t('myRequests.applications.title', { count: pendingApplications.length })}</h4>
+            <div className="space-y-3">
+              {pendingApplications.map(application => (
+                <div key={application._id} className="flex justify-between items-start bg-white/5 rounded-lg p-3">
+                  <div className="space-y-1">
+                    <p className="text-white font-medium">{application.volunteer?.name || t('roles.volunteer')}</p>
+                    <VolunteerRatingSummary
+                      volunteer={application.volunteer}
+                      className="text-gray-400"
+                      emptyClassName="text-gray-600"
+                    />
+                    {application.message && (
+                      <p className="text-sm text-gray-300">{application.message}</p>
+                    )}
+                    <p className="text-xs text-gray-400">
+                      {t('myRequests.applications.applied', { date: formatDateTime(application.appliedAt) })}
+                      {application.estimatedTime && <> &middot; {t('myRequests.applications.canHelp', { time: application.estimatedTime })}</>}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleAcceptApplication(request, application)}
+                    className="px-3 py-1 bg-green-500 text-white rounded-lg text-sm hover:bg-green-600 transition-colors"
+                  >
+                    {t('myRequests.applications.accept')}
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {request.allowedTransitions?.length > 0 && (
+          <div className="pt-4">
+            <RequestStatusActions
+              request={request}
+              allowedTransitions={request.allowedTransitions}
+              onUpdated={() => fetchRequests(pagination.current)}
+              asRequester
+            />
+          </div>
+        )}
+
+        {request.status === 'fulfilled' && request.accepters?.length > 0 && (
+          <div className="pt-4 mt-4 border-t border-white/20">
+            {request.rating?.score ? (
+              <div className="space-y-1">
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm text-gray-400">{t('ratings.yourRating')}</span>
+                  <StarRating value={request.rating.score} size="sm" emptyClassName="text-gray-600" />
+                </div>
+                {request.rating.feedback && (
+                  <p className="text-sm text-gray-300 italic">"{request.rating.feedback}"</p>
+                )}
+              </div>
+            ) : ratingRequestId === request._id ? (
+              <RatingForm
+                endpoint={`/api/requests/${request._id}/rating`}
+                theme="dark"
+                onRated={() => {
+                  setRatingRequestId(null);
+                  fetchRequests(pagination.current);
+                }}
+                onCancel={() => setRatingRequestId(null)}
+              />
+            ) : (
+              <button
+                onClick={() => setRatingRequestId(request._id)}
+                className="flex items-center space-x-2 px-4 py-2 rounded-lg text-white font-medium bg-yellow-500 hover:bg-yellow-600 transition-colors"
+              >
+                <StarIcon className="w-5 h-5" />
+                <span>{t('ratings.rateVolunteer')}</span>
+              </button>
+            )}
+          </div>
+        )}
       </motion.div>
     );
   };
@@ -330,9 +451,9 @@ const AllRequestsPage = () => {
       >
         <div>
           <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-400 via-purple-400 to-pink-400 bg-clip-text text-transparent mb-2">
-            My Requests
+            {t('nav.myRequests')}
           </h1>
-          <p className="text-gray-300">Track and manage all your requests</p>
+          <p className="text-gray-300">{t('myRequests.subtitle')}</p>
         </div>
 
         <button
@@ -340,7 +461,7 @@ const AllRequestsPage = () => {
           className="flex items-center space-x-2 bg-gradient-to-r from-blue-500 via-purple-500 to-pink-500 text-white px-6 py-3 rounded-xl hover:from-blue-600 hover:via-purple-600 hover:to-pink-600 transition-all duration-300 shadow-lg"
         >
           <PlusIcon className="w-5 h-5" />
-          <span>New Request</span>
+          <span>{t('myRequests.newRequest')}</span>
         </button>
       </motion.div>
 
@@ -353,7 +474,7 @@ const AllRequestsPage = () => {
       >
         <div className="flex items-center space-x-2 mb-4">
           <FunnelIcon className="w-5 h-5 text-gray-300" />
-          <h3 className="text-lg font-semibold text-white">Filters</h3>
+          <h3 className="text-lg font-semibold text-white">{t('myRequests.filters.title')}</h3>
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
@@ -362,10 +483,10 @@ const AllRequestsPage = () => {
             onChange={(e) => setFilters({ ...filters, type: e.target.value })}
             className="bg-white/20 border border-white/30 rounded-lg px-3 py-2 text-white placeholder-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
           >
-            <option value="" className="text-gray-900">All Types</option>
-            <option value="blood" className="text-gray-900">Blood Request</option>
-            <option value="elder_support" className="text-gray-900">Elder Support</option>
-            <option value="complaint" className="text-gray-900">Complaint</option>
+            <option value="" className="text-gray-900">{t('myRequests.filters.allTypes')}</option>
+            <option value="blood" className="text-gray-900">{t('addRequest.types.blood.name')}</option>
+            <option value="elder_support" className="text-gray-900">{t('addRequest.types.elder_support.name')}</option>
+            <option value="complaint" className="text-gray-900">{t('addRequest.types.complaint.name')}</option>
           </select>
 
           <select
@@ -373,11 +494,10 @@ const AllRequestsPage = () => {
             onChange={(e) => setFilters({ ...filters, status: e.target.value })}
             className="bg-white/20 border border-white/30 rounded-lg px-3 py-2 text-white placeholder-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
           >
-            <option value="" className="text-gray-900">All Status</option>
-            <option value="pending" className="text-gray-900">Pending</option>
-            <option value="in_progress" className="text-gray-900">In Progress</option>
-            <option value="resolved" className="text-gray-900">Resolved</option>
-            <option value="completed" className="text-gray-900">Completed</option>
+            <option value="" className="text-gray-900">{t('myRequests.filters.allStatus')}</option>
+            {['pending', 'accepted', 'in_progress', 'resolved', 'fulfilled', 'cancelled', 'expired'].map(status => (
+              <option key={status} value={status} className="text-gray-900">{t(`status.${status}`)}</option>
+            ))}
           </select>
 
           <select
@@ -385,16 +505,16 @@ const AllRequestsPage = () => {
             onChange={(e) => setFilters({ ...filters, sortBy: e.target.value })}
             className="bg-white/20 border border-white/30 rounded-lg px-3 py-2 text-white placeholder-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
           >
-            <option value="newest" className="text-gray-900">Newest First</option>
-            <option value="oldest" className="text-gray-900">Oldest First</option>
-            <option value="updated" className="text-gray-900">Recently Updated</option>
+            <option value="newest" className="text-gray-900">{t('myRequests.filters.newest')}</option>
+            <option value="oldest" className="text-gray-900">{t('myRequests.filters.oldest')}</option>
+            <option value="updated" className="text-gray-900">{t('myRequests.filters.updated')}</option>
           </select>
 
           <button
             onClick={() => setFilters({ type: '', status: '', sortBy: 'newest' })}
             className="px-4 py-2 border border-white/30 text-white rounded-lg hover:bg-white/20 transition-colors"
           >
-            Clear Filters
+            {t('myRequests.filters.clear')}
           </button>
         </div>
       </motion.div>
@@ -426,18 +546,18 @@ const AllRequestsPage = () => {
           className="text-center py-12"
         >
           <ClipboardDocumentListIcon className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-          <h3 className="text-xl font-semibold text-white mb-2">No requests found</h3>
+          <h3 className="text-xl font-semibold text-white mb-2">{t('myRequests.emptyTitle')}</h3>
           <p className="text-gray-300 mb-6">
             {Object.values(filters).some(f => f)
-              ? "No requests match your current filters."
-              : "You haven't created any requests yet."
+              ? t('myRequests.noMatches')
+              : t('myRequests.noneYet')
             }
           </p>
           <button
             onClick={() => navigate('/dashboard/add-request')}
             className="bg-gradient-to-r from-blue-500 via-purple-500 to-pink-500 text-white px-6 py-3 rounded-lg hover:from-blue-600 hover:via-purple-600 hover:to-pink-600 transition-all duration-300"
           >
-            Create Your First Request
+            {t('myRequests.createFirst')}
           </button>
         </motion.div>
       )}
@@ -479,7 +599,7 @@ const AllRequestsPage = () => {
             >
               {/* Modal Header */}
               <div className="flex items-center justify-between p-6 border-b border-white/20">
-                <h2 className="text-2xl font-bold text-white">Blood Request Donors</h2>
+                <h2 className="text-2xl font-bold text-white">{t('myRequests.donorsModal.title')}</h2>
                 <button
                   onClick={closeRequestModal}
                   className="p-2 hover:bg-white/10 rounded-lg transition-colors"
@@ -492,27 +612,27 @@ const AllRequestsPage = () => {
               <div className="p-6">
                 {/* Request Summary */}
                 <div className="bg-white/10 rounded-lg p-4 mb-6">
-                  <h3 className="text-lg font-semibold text-white mb-3">Request Details</h3>
+                  <h3 className="text-lg font-semibold text-white mb-3">{t('myRequests.donorsModal.details')}</h3>
                   <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
                     <div>
-                      <span className="text-gray-400">Blood Type:</span>
+                      <span className="text-gray-400">{t('myRequests.bloodType')}</span>
                       <p className="text-red-400 font-medium">{selectedRequest.bloodType}</p>
                     </div>
                     <div>
-                      <span className="text-gray-400">Urgency:</span>
-                      <p className={`font-medium ${getUrgencyColor(selectedRequest.urgencyLevel)}`}>
-                        {selectedRequest.urgencyLevel?.toUpperCase() || 'MEDIUM'}
+                      <span className="text-gray-400">{t('myRequests.urgency')}</span>
+                      <p className={`font-medium uppercase ${getUrgencyColor(selectedRequest.urgencyLevel)}`}>
+                        {t(`urgency.${selectedRequest.urgencyLevel || 'medium'}`)}
                       </p>
                     </div>
                     <div>
-                      <span className="text-gray-400">Status:</span>
-                      <p className={`font-medium ${getStatusColor(selectedRequest.status)}`}>
-                        {selectedRequest.status.replace('_', ' ').toUpperCase()}
+                      <span className="text-gray-400">{t('myRequests.status')}</span>
+                      <p className={`font-medium uppercase ${getStatusColor(selectedRequest.status)}`}>
+                        {t(`status.${selectedRequest.status}`)}
                       </p>
                     </div>
                     <div>
-                      <span className="text-gray-400">Created:</span>
-                      <p className="text-white">{formatDate(selectedRequest.createdAt)}</p>
+                      <span className="text-gray-400">{t('myRequests.createdLabel')}</span>
+                      <p className="text-white">{formatDateTime(selectedRequest.createdAt)}</p>
                     </div>
                   </div>
                 </div>
@@ -520,7 +640,7 @@ const AllRequestsPage = () => {
                 {/* Donors List */}
                 <div>
                   <h3 className="text-lg font-semibold text-white mb-4">
-                    {selectedRequest.status === 'accepted' ? 'Donor Contact Details' : `Volunteer Donors (${accepters.length})`}
+                    {selectedRequest.status === 'accepted' ? t('myRequests.donorsModal.contactDetails') : t('myRequests.donorsModal.volunteerDonors', { count: accepters.length })}
                   </h3>
 
                   {loadingAccepters ? (
@@ -532,13 +652,13 @@ const AllRequestsPage = () => {
                       <UserIcon className="w-12 h-12 text-gray-400 mx-auto mb-3" />
                       <p className="text-gray-300">
                         {selectedRequest.status === 'accepted'
-                          ? 'Contact details not available'
-                          : 'No donors have volunteered yet'}
+                          ? t('myRequests.donorsModal.contactUnavailable')
+                          : t('myRequests.donorsModal.noDonors')}
                       </p>
                       <p className="text-gray-400 text-sm">
                         {selectedRequest.status === 'accepted'
-                          ? 'Unable to load donor contact information'
-                          : 'Share your request to find donors'}
+                          ? t('myRequests.donorsModal.contactLoadFailed')
+                          : t('myRequests.donorsModal.shareHint')}
                       </p>
                     </div>
                   ) : (
@@ -559,8 +679,8 @@ const AllRequestsPage = () => {
                               </div>
                             </div>
                             <div className="text-right">
-                              <p className="text-gray-400 text-sm">Volunteered</p>
-                              <p className="text-white text-sm">{formatDate(accepter.acceptedAt)}</p>
+                              <p className="text-gray-400 text-sm">{t('myRequests.donorsModal.volunteered')}</p>
+                              <p className="text-white text-sm">{formatDateTime(accepter.acceptedAt)}</p>
                             </div>
                           </div>
 
@@ -575,7 +695,7 @@ const AllRequestsPage = () => {
                                   accepter.status === 'completed' ? 'bg-blue-500/20 text-blue-400' :
                                     'bg-red-500/20 text-red-400'
                                 }`}>
-                                {accepter.status.toUpperCase()}
+                                {t(`status.${accepter.status}`)}
                               </span>
                             </div>
                           </div>
@@ -609,7 +729,7 @@ const AllRequestsPage = () => {
             >
               {/* Modal Header */}
               <div className="flex items-center justify-between p-6 border-b border-white/20">
-                <h2 className="text-xl font-bold text-white">Confirm Delete</h2>
+                <h2 className="text-xl font-bold text-white">{t('myRequests.deleteModal.title')}</h2>
                 <button
                   onClick={closeDeleteModal}
                   className="p-2 hover:bg-white/10 rounded-lg transition-colors"
@@ -625,20 +745,20 @@ const AllRequestsPage = () => {
                     <ExclamationTriangleIcon className="w-6 h-6 text-red-400" />
                   </div>
                   <div>
-                    <h3 className="text-lg font-semibold text-white">Delete Request</h3>
-                    <p className="text-gray-300 text-sm">This action cannot be undone</p>
+                    <h3 className="text-lg font-semibold text-white">{t('myRequests.deleteRequest')}</h3>
+                    <p className="text-gray-300 text-sm">{t('myRequests.deleteModal.cannotUndo')}</p>
                   </div>
                 </div>
 
                 <div className="bg-white/10 rounded-lg p-4 mb-6">
-                  <p className="text-gray-300 text-sm mb-2">You are about to delete:</p>
+                  <p className="text-gray-300 text-sm mb-2">{t('myRequests.deleteModal.aboutToDelete')}</p>
                   <p className="text-white font-medium">
-                    {requestToDelete.type === 'blood' && `${requestToDelete.bloodType} Blood Request`}
-                    {requestToDelete.type === 'elder_support' && `${requestToDelete.serviceType} Service`}
-                    {requestToDelete.type === 'complaint' && `${requestToDelete.category} Complaint`}
+                    {requestToDelete.type === 'blood' && t('myRequests.deleteModal.blood', { bloodType: requestToDelete.bloodType })}
+                    {requestToDelete.type === 'elder_support' && t('myRequests.deleteModal.service', { service: t(`options.serviceType.${requestToDelete.serviceType}`) })}
+                    {requestToDelete.type === 'complaint' && t('myRequests.deleteModal.complaint', { category: t(`options.complaintCategory.${requestToDelete.category}`) })}
                   </p>
                   <p className="text-gray-400 text-sm mt-1">
-                    Created: {formatDate(requestToDelete.createdAt)}
+                    {t('myRequests.created', { date: formatDateTime(requestToDelete.createdAt) })}
                   </p>
                 </div>
 
@@ -647,13 +767,13 @@ const AllRequestsPage = () => {
                     onClick={closeDeleteModal}
                     className="flex-1 px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors"
                   >
-                    Cancel
+                    {t('common.cancel')}
                   </button>
                   <button
                     onClick={handleDeleteRequest}
                     className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
                   >
-                    Delete
+                    {t('common.delete')}
                   </button>
                 </div>
               </div>
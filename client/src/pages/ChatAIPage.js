@@ -10,11 +10,21 @@ import {
   ChatBubbleLeftRightIcon
 } from '@heroicons/react/24/outline';
 import VoiceRecorder from '../components/chatbot/VoiceRecorder';
+import RequestDraftCard from '../components/chatbot/RequestDraftCard';
 import voiceService from '../utils/voiceService';
 import toast from 'react-hot-toast';
 import { AuthContext } from '../contexts/AuthContext';
 import { API_CONFIG } from '../config/api';
 
+const SESSION_LABELS = {
+  blood_request: 'blood request',
+  elder_support: 'elder support request',
+  complaint: 'complaint'
+};
+
+// Sessions the user can still edit, confirm or cancel
+const isOpenSession = (session) => ['collecting', 'confirming'].includes(session?.state);
+
 const ChatAIPage = () => {
   const { user, isAuthenticated } = useContext(AuthContext);
   const navigate = useNavigate();
@@ -23,7 +33,7 @@ const ChatAIPage = () => {
   const [messages, setMessages] = useState([]); // Start empty, will load from history or show welcome
   const [showVoiceRecorder, setShowVoiceRecorder] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
-  const [conversationContext, setConversationContext] = useState({});
+  const [chatSession, setChatSession] = useState(null);
 
 
   const messagesEndRef = useRef(null);
@@ -83,6 +93,15 @@ const ChatAIPage = () => {
     loadChatHistory();
   }, [isAuthenticated, historyLoaded]);
 
+  // Resume a request started on another device
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    voiceService.getChatSession().then(result => {
+      if (result.success) setChatSession(result.data);
+    });
+  }, [isAuthenticated]);
+
   // Scroll to bottom when new messages are added
   useEffect(() => {
     scrollToBottom();
@@ -116,6 +135,58 @@ const ChatAIPage = () => {
     );
   }
 
+  const handleCancelSession = async () => {
+    const result = await voiceService.cancelChatSession();
+    setChatSession(null);
+
+    if (result.success) {
+      setMessages(prev => [...prev, {
+        id: Date.now(),
+        text: 'Okay, I\'ve cancelled that. Nothing was submitted. How else can I help?',
+        sender: 'bot',
+        timestamp: new Date(),
+        type: 'info'
+      }]);
+    }
+  };
+
+  const handleSaveDraft = async (fields) => {
+    const result = await voiceService.updateChatDraft(fields);
+
+    if (!result.success) {
+      toast.error(result.error);
+      return false;
+    }
+
+    setChatSession(isOpenSession(result.data) ? result.data : null);
+    return true;
+  };
+
+  const handleConfirmDraft = async () => {
+    setIsProcessing(true);
+
+    try {
+      const result = await voiceService.confirmChatSession();
+
+      if (result.success) {
+        setChatSession(null);
+        setMessages(prev => [...prev, {
+          id: Date.now(),
+          text: result.data.geminiResponse,
+          sender: 'bot',
+          timestamp: new Date(),
+          type: 'success',
+          data: result.data
+        }]);
+        toast.success('Request created successfully!');
+      } else {
+        toast.error(result.error);
+      }
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
@@ -153,16 +224,14 @@ const ChatAIPage = () => {
         throw new Error('AUTHENTICATION_REQUIRED');
       }
 
-      const result = await voiceService.sendTextMessage(userMessage.text, 'en', conversationContext);
+      const result = await voiceService.sendTextMessage(userMessage.text, 'en');
 
       // Remove typing indicator
       setMessages(prev => prev.filter(msg => msg.type !== 'typing'));
 
       if (result.success) {
-        // Update conversation context with extracted info
-        if (result.data.extractedInfo) {
-          setConversationContext(result.data.extractedInfo);
-        }
+        // The server keeps the request being collected; mirror it for the banner and draft card
+        setChatSession(isOpenSession(result.data.session) ? result.data.session : null);
 
         let responseText = '';
         let messageType = 'success';
@@ -176,9 +245,12 @@ const ChatAIPage = () => {
           // Request was created successfully
           responseText = result.data.geminiResponse;
           messageType = 'success';
-          // Clear conversation context after successful request creation
-          setConversationContext({});
           toast.success('Request created successfully!');
+        } else if (result.data.awaitingConfirmation) {
+          // Draft is ready; nothing is submitted until the user confirms it
+          responseText = result.data.geminiResponse;
+          messageType = 'question';
+          toast('Please review your request', { icon: '📋' });
         } else {
           // General inquiry
           responseText = result.data.geminiResponse || 'How can I help you today?';
@@ -255,18 +327,27 @@ const ChatAIPage = () => {
         throw new Error('AUTHENTICATION_REQUIRED');
       }
 
-      const result = await voiceService.uploadAudio(formData);
+      const upload = await voiceService.uploadAudio(formData);
+      if (!upload.success) {
+        throw new Error(upload.error);
+      }
+
+      // Transcription runs in a background queue on the server
+      const result = await voiceService.waitForVoiceRequest(upload.data.id);
 
       // Remove processing message
       setMessages(prev => prev.filter(msg => msg.type !== 'processing'));
 
       if (result.success) {
-        // Create a temporary response while processing
-        const tempResponse = {
-          ...result.data,
-          transcribedText: result.data.transcribedText || 'Voice received! Processing transcription...'
+        return {
+          success: true,
+          data: {
+            ...result.data,
+            id: result.data._id,
+            geminiResponse: result.data.aiResponse,
+            detectedLanguage: result.data.whisperResponse?.detectedLanguage
+          }
         };
-        return { success: true, data: tempResponse };
       } else {
         throw new Error(result.error);
       }
@@ -338,6 +419,10 @@ const ChatAIPage = () => {
 
     setMessages(prev => [...prev, userMessage]);
 
+    if (transcriptionData.session !== undefined) {
+      setChatSession(isOpenSession(transcriptionData.session) ? transcriptionData.session : null);
+    }
+
     // Build bot response exactly like text input flow
     const categoryDisplay = transcriptionData.category === 'blood_request' ? 'Blood Request' :
       transcriptionData.category === 'elder_support' ? 'Elder Support' :
@@ -531,6 +616,19 @@ const ChatAIPage = () => {
             </div>
           </motion.div>
         ))}
+        {chatSession?.state === 'confirming' && (
+          <div className="flex justify-start">
+            <div className="w-full max-w-2xl">
+              <RequestDraftCard
+                draft={chatSession.draft}
+                onConfirm={handleConfirmDraft}
+                onSave={handleSaveDraft}
+                onCancel={handleCancelSession}
+                disabled={isProcessing}
+              />
+            </div>
+          </div>
+        )}
         <div ref={messagesEndRef} />
       </div>
 
@@ -561,6 +659,21 @@ const ChatAIPage = () => {
 
       {/* Input Area - Fixed at bottom */}
       <div className="input-area sticky bottom-0 p-4 border-t border-gray-600/50 bg-gray-800/95 backdrop-blur-sm">
+        {chatSession?.state === 'collecting' && (
+          <div className="flex items-center justify-between mb-3 px-4 py-2 bg-purple-900/40 border border-purple-500/30 rounded-lg text-sm">
+            <span className="text-purple-200">
+              Collecting details for your {SESSION_LABELS[chatSession.category] || 'request'}
+              {chatSession.pendingField && <span className="text-purple-300/70"> · waiting for {chatSession.pendingField.replace(/([A-Z])/g, ' $1').toLowerCase()}</span>}
+            </span>
+            <button
+              onClick={handleCancelSession}
+              disabled={isProcessing}
+              className="text-purple-300 hover:text-white font-medium transition-colors disabled:cursor-not-allowed"
+            >
+              Cancel request
+            </button>
+          </div>
+        )}
         <div className="flex items-center space-x-3">
           <div className="flex-1">
             <input
@@ -15,9 +15,20 @@ import CreateComplaintForm from '../components/complaints/CreateComplaintForm';
 import ComplaintDetailModal from '../components/complaints/ComplaintDetailModal';
 import Pagination from '../components/ui/Pagination';
 import { CardGridSkeleton } from '../components/ui/SkeletonLoader';
+import { useTranslation } from '../contexts/LanguageContext';
+
+const DATE_TIME_FORMAT = { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+
+const STATUSES = ['open', 'assigned', 'in_progress', 'resolved', 'closed'];
+const CATEGORIES = [
+  'infrastructure', 'sanitation', 'water_supply', 'electricity', 'road_maintenance', 'waste_management', 'public_safety',
+  'healthcare', 'education', 'transportation', 'elderly_care', 'emergency_assistance', 'community_service', 'other'
+];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
 
 const ComplaintsPage = () => {
   const { user } = useAuth();
+  const { t, formatDate } = useTranslation();
   const [complaints, setComplaints] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showCreateForm, setShowCreateForm] = useState(false);
@@ -63,14 +74,14 @@ const ComplaintsPage = () => {
         setComplaints(data.complaints);
         setPagination(data.pagination);
       } else {
-        showError('Error', 'Failed to fetch complaints');
+        showError(t('common.error'), t('complaints.fetchFailed'));
       }
     } catch (error) {
-      showError('Error', 'Network error while fetching complaints');
+      showError(t('common.error'), t('complaints.fetchNetworkError'));
     } finally {
       setLoading(false);
     }
-  }, [debouncedFilters, pagination.limit]);
+  }, [debouncedFilters, pagination.limit, t]);
 
   useEffect(() => {
     fetchComplaints(1);
@@ -104,15 +115,7 @@ const ComplaintsPage = () => {
     return colors[priority] || 'text-gray-600';
   };
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-  };
+  const formatDateTime = (value) => formatDate(value, DATE_TIME_FORMAT);
 
   const ComplaintCard = ({ complaint }) => (
     <motion.div
@@ -129,11 +132,11 @@ const ComplaintsPage = () => {
           <p className="text-gray-600 text-sm line-clamp-2">{complaint.description}</p>
         </div>
         <div className="flex flex-col items-end space-y-2">
-          <span className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(complaint.status)}`}>
-            {complaint.status.replace('_', ' ').toUpperCase()}
+          <span className={`px-3 py-1 rounded-full text-xs font-medium uppercase ${getStatusColor(complaint.status)}`}>
+            {t(`status.${complaint.status}`)}
           </span>
-          <span className={`text-xs font-medium ${getPriorityColor(complaint.priority)}`}>
-            {complaint.priority.toUpperCase()}
+          <span className={`text-xs font-medium uppercase ${getPriorityColor(complaint.priority)}`}>
+            {t(`urgency.${complaint.priority}`)}
           </span>
         </div>
       </div>
@@ -142,11 +145,11 @@ const ComplaintsPage = () => {
         <div className="flex items-center space-x-4">
           <div className="flex items-center space-x-1">
             <MapPinIcon className="w-4 h-4" />
-            <span>{complaint.category.replace('_', ' ')}</span>
+            <span>{t(`complaints.categories.${complaint.category}`)}</span>
           </div>
           <div className="flex items-center space-x-1">
             <ClockIcon className="w-4 h-4" />
-            <span>{formatDate(complaint.createdAt)}</span>
+            <span>{formatDateTime(complaint.createdAt)}</span>
           </div>
         </div>
 
@@ -158,7 +161,7 @@ const ComplaintsPage = () => {
             }}
             className="px-3 py-1 bg-blue-500 text-white rounded-lg text-xs hover:bg-blue-600 transition-colors"
           >
-            Apply
+            {t('complaints.apply')}
           </button>
         )}
       </div>
@@ -167,7 +170,7 @@ const ComplaintsPage = () => {
         <div className="mt-3 pt-3 border-t border-gray-100">
           <div className="flex items-center space-x-2 text-sm text-gray-600">
             <UserIcon className="w-4 h-4" />
-            <span>Assigned to: {complaint.assignedVolunteer.name}</span>
+            <span>{t('complaints.assignedTo', { name: complaint.assignedVolunteer.name })}</span>
           </div>
         </div>
       )}
@@ -176,7 +179,7 @@ const ComplaintsPage = () => {
 
   const handleApplyForComplaint = async (complaintId) => {
     try {
-      showLoading('Applying for complaint...');
+      showLoading(t('complaints.applying'));
 
       const response = await fetch(`${process.env.REACT_APP_API_URL || 'https://sevalink-ttbd.onrender.com'}/api/complaints/${complaintId}/apply`, {
         method: 'POST',
@@ -185,23 +188,23 @@ const ComplaintsPage = () => {
           'Authorization': `Bearer ${localStorage.getItem('token')}`
         },
         body: JSON.stringify({
-          message: 'I would like to help with this complaint.',
-          estimatedTime: 'Within 24 hours'
+          message: t('complaints.applyMessage'),
+          estimatedTime: t('complaints.applyEstimatedTime')
         })
       });
 
       if (response.ok) {
         closeLoading();
-        showSuccess('Success', 'Application submitted successfully!');
+        showSuccess(t('common.success'), t('complaints.applied'));
         fetchComplaints();
       } else {
         const data = await response.json();
         closeLoading();
-        showError('Error', data.message || 'Failed to apply for complaint');
+        showError(t('common.error'), data.message || t('complaints.applyFailed'));
       }
     } catch (error) {
       closeLoading();
-      showError('Error', 'Network error while applying for complaint');
+      showError(t('common.error'), t('complaints.applyNetworkError'));
     }
   };
 
@@ -216,12 +219,12 @@ const ComplaintsPage = () => {
         >
           <div>
             <h1 className="text-4xl font-bold text-gray-900 mb-2">
-              {user?.role === 'citizen' ? 'My Complaints' : 'Community Complaints'}
+              {user?.role === 'citizen' ? t('complaints.myTitle') : t('complaints.communityTitle')}
             </h1>
             <p className="text-gray-600">
               {user?.role === 'citizen'
-                ? 'Track your submitted complaints and service requests'
-                : 'Help resolve community issues and service requests'
+                ? t('complaints.mySubtitle')
+                : t('complaints.communitySubtitle')
               }
             </p>
           </div>
@@ -232,7 +235,7 @@ const ComplaintsPage = () => {
               className="flex items-center space-x-2 bg-blue-600 text-white px-6 py-3 rounded-xl hover:bg-blue-700 transition-colors"
             >
               <PlusIcon className="w-5 h-5" />
-              <span>New Complaint</span>
+              <span>{t('complaints.newComplaint')}</span>
             </button>
           )}
         </motion.div>
@@ -246,7 +249,7 @@ const ComplaintsPage = () => {
         >
           <div className="flex items-center space-x-2 mb-4">
             <FunnelIcon className="w-5 h-5 text-gray-500" />
-            <h3 className="text-lg font-semibold text-gray-900">Filters</h3>
+            <h3 className="text-lg font-semibold text-gray-900">{t('complaints.filters.title')}</h3>
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
@@ -255,12 +258,10 @@ const ComplaintsPage = () => {
               onChange={(e) => setFilters({...filters, status: e.target.value})}
               className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             >
-              <option value="">All Status</option>
-              <option value="open">Open</option>
-              <option value="assigned">Assigned</option>
-              <option value="in_progress">In Progress</option>
-              <option value="resolved">Resolved</option>
-              <option value="closed">Closed</option>
+              <option value="">{t('complaints.filters.allStatus')}</option>
+              {STATUSES.map(status => (
+                <option key={status} value={status}>{t(`status.${status}`)}</option>
+              ))}
             </select>
 
             <select
@@ -268,21 +269,10 @@ const ComplaintsPage = () => {
               onChange={(e) => setFilters({...filters, category: e.target.value})}
               className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             >
-              <option value="">All Categories</option>
-              <option value="infrastructure">Infrastructure</option>
-              <option value="sanitation">Sanitation</option>
-              <option value="water_supply">Water Supply</option>
-              <option value="electricity">Electricity</option>
-              <option value="road_maintenance">Road Maintenance</option>
-              <option value="waste_management">Waste Management</option>
-              <option value="public_safety">Public Safety</option>
-              <option value="healthcare">Healthcare</option>
-              <option value="education">Education</option>
-              <option value="transportation">Transportation</option>
-              <option value="elderly_care">Elderly Care</option>
-              <option value="emergency_assistance">Emergency Assistance</option>
-              <option value="community_service">Community Service</option>
-              <option value="other">Other</option>
+              <option value="">{t('complaints.filters.allCategories')}</option>
+              {CATEGORIES.map(category => (
+                <option key={category} value={category}>{t(`complaints.categories.${category}`)}</option>
+              ))}
             </select>
 
             <select
@@ -290,9 +280,9 @@ const ComplaintsPage = () => {
               onChange={(e) => setFilters({...filters, type: e.target.value})}
               className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             >
-              <option value="">All Types</option>
-              <option value="complaint">Complaint</option>
-              <option value="service_request">Service Request</option>
+              <option value="">{t('complaints.filters.allTypes')}</option>
+              <option value="complaint">{t('complaints.types.complaint')}</option>
+              <option value="service_request">{t('complaints.types.service_request')}</option>
             </select>
 
             <select
@@ -300,11 +290,10 @@ const ComplaintsPage = () => {
               onChange={(e) => setFilters({...filters, priority: e.target.value})}
               className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             >
-              <option value="">All Priorities</option>
-              <option value="low">Low</option>
-              <option value="medium">Medium</option>
-              <option value="high">High</option>
-              <option value="urgent">Urgent</option>
+              <option value="">{t('complaints.filters.allPriorities')}</option>
+              {PRIORITIES.map(priority => (
+                <option key={priority} value={priority}>{t(`urgency.${priority}`)}</option>
+              ))}
             </select>
           </div>
         </motion.div>
@@ -329,11 +318,11 @@ const ComplaintsPage = () => {
             className="text-center py-12"
           >
             <ExclamationTriangleIcon className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-            <h3 className="text-xl font-semibold text-gray-900 mb-2">No complaints found</h3>
+            <h3 className="text-xl font-semibold text-gray-900 mb-2">{t('complaints.emptyTitle')}</h3>
             <p className="text-gray-600">
               {user?.role === 'citizen'
-                ? "You haven't submitted any complaints yet."
-                : "No complaints match your current filters."
+                ? t('complaints.emptyCitizen')
+                : t('complaints.emptyFiltered')
               }
             </p>
           </motion.div>
@@ -10,12 +10,21 @@ import {
   CheckCircleIcon
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../hooks/useAuth';
+import { useTranslation } from '../contexts/LanguageContext';
 import { StatsSkeleton } from '../components/ui/SkeletonLoader';
 import apiClient from '../utils/apiClient';
 
+const DATE_TIME_FORMAT = {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+};
+
 const DashboardHome = () => {
   const { user } = useAuth();
   const navigate = useNavigate();
+  const { t, formatDate, formatNumber } = useTranslation();
   const [stats, setStats] = useState({
     totalRequests: 0,
     pendingRequests: 0,
@@ -57,24 +66,24 @@ const DashboardHome = () => {
 
   const quickActions = [
     {
-      title: 'Blood Request',
-      description: 'Request blood donation',
+      title: t('addRequest.types.blood.name'),
+      description: t('addRequest.types.blood.description'),
       icon: HeartIcon,
       color: 'bg-red-500',
       hoverColor: 'hover:bg-red-600',
       action: () => navigate('/dashboard/add-request?type=blood')
     },
     {
-      title: 'Elder Support',
-      description: 'Request elderly care services',
+      title: t('addRequest.types.elder_support.name'),
+      description: t('addRequest.types.elder_support.description'),
       icon: UserGroupIcon,
       color: 'bg-green-500',
       hoverColor: 'hover:bg-green-600',
       action: () => navigate('/dashboard/add-request?type=elder_support')
     },
     {
-      title: 'Submit Complaint',
-      description: 'Report community issues',
+      title: t('dashboard.submitComplaint'),
+      description: t('addRequest.types.complaint.description'),
       icon: ExclamationTriangleIcon,
       color: 'bg-orange-500',
       hoverColor: 'hover:bg-orange-600',
@@ -99,14 +108,7 @@ const DashboardHome = () => {
     return icons[type] || ClipboardDocumentListIcon;
   };
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-  };
+  const formatDateTime = (value) => formatDate(value, DATE_TIME_FORMAT);
 
   return (
     <div className="max-w-7xl mx-auto w-full space-y-8">
@@ -116,9 +118,9 @@ const DashboardHome = () => {
           animate={{ opacity: 1, y: 0 }}
           className="bg-gradient-to-r from-blue-500 via-purple-500 to-pink-500 rounded-2xl p-8 text-white shadow-2xl"
         >
-          <h1 className="text-4xl font-bold mb-2">Welcome back, {user?.name}!</h1>
+          <h1 className="text-4xl font-bold mb-2">{t('dashboard.welcome', { name: user?.name })}</h1>
           <p className="text-blue-100 text-lg">
-            Ready to make a difference in your community today?
+            {t('dashboard.citizenTagline')}
           </p>
         </motion.div>
 
@@ -135,8 +137,8 @@ const DashboardHome = () => {
         <div className="bg-white/10 backdrop-blur-lg rounded-xl shadow-2xl border border-white/20 p-6">
           <div className="flex items-center justify-between">
             <div>
-              <p className="text-gray-300 text-sm">Total Requests</p>
-              <p className="text-3xl font-bold text-white">{stats.totalRequests}</p>
+              <p className="text-gray-300 text-sm">{t('dashboard.totalRequests')}</p>
+              <p className="text-3xl font-bold text-white">{formatNumber(stats.totalRequests)}</p>
             </div>
             <ClipboardDocumentListIcon className="w-12 h-12 text-blue-400" />
           </div>
@@ -145,8 +147,8 @@ const DashboardHome = () => {
         <div className="bg-white/10 backdrop-blur-lg rounded-xl shadow-2xl border border-white/20 p-6">
           <div className="flex items-center justify-between">
             <div>
-              <p className="text-gray-300 text-sm">Pending</p>
-              <p className="text-3xl font-bold text-yellow-400">{stats.pendingRequests}</p>
+              <p className="text-gray-300 text-sm">{t('status.pending')}</p>
+              <p className="text-3xl font-bold text-yellow-400">{formatNumber(stats.pendingRequests)}</p>
             </div>
             <ClockIcon className="w-12 h-12 text-yellow-400" />
           </div>
@@ -155,8 +157,8 @@ const DashboardHome = () => {
         <div className="bg-white/10 backdrop-blur-lg rounded-xl shadow-2xl border border-white/20 p-6">
           <div className="flex items-center justify-between">
             <div>
-              <p className="text-gray-300 text-sm">Accepted</p>
-              <p className="text-3xl font-bold text-green-400">{stats.acceptedRequests}</p>
+              <p className="text-gray-300 text-sm">{t('status.accepted')}</p>
+              <p className="text-3xl font-bold text-green-400">{formatNumber(stats.acceptedRequests)}</p>
             </div>
             <CheckCircleIcon className="w-12 h-12 text-green-400" />
           </div>
@@ -171,7 +173,7 @@ const DashboardHome = () => {
         transition={{ delay: 0.3 }}
         className="bg-white/10 backdrop-blur-lg rounded-xl shadow-2xl border border-white/20 p-8"
       >
-        <h2 className="text-2xl font-bold text-white mb-8">Quick Actions</h2>
+        <h2 className="text-2xl font-bold text-white mb-8">{t('dashboard.quickActions')}</h2>
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           {quickActions.map((action, index) => {
             const Icon = action.icon;
@@ -206,8 +208,8 @@ const DashboardHome = () => {
               <HeartIcon className="w-8 h-8 text-red-400" />
             </div>
             <div>
-              <p className="text-gray-300 text-sm">Blood Requests</p>
-              <p className="text-2xl font-bold text-white">{stats.bloodRequests}</p>
+              <p className="text-gray-300 text-sm">{t('dashboard.bloodRequests')}</p>
+              <p className="text-2xl font-bold text-white">{formatNumber(stats.bloodRequests)}</p>
             </div>
           </div>
         </div>
@@ -218,8 +220,8 @@ const DashboardHome = () => {
               <UserGroupIcon className="w-8 h-8 text-green-400" />
             </div>
             <div>
-              <p className="text-gray-300 text-sm">Elder Support</p>
-              <p className="text-2xl font-bold text-white">{stats.elderSupport}</p>
+              <p className="text-gray-300 text-sm">{t('addRequest.types.elder_support.name')}</p>
+              <p className="text-2xl font-bold text-white">{formatNumber(stats.elderSupport)}</p>
             </div>
           </div>
         </div>
@@ -230,8 +232,8 @@ const DashboardHome = () => {
               <ExclamationTriangleIcon className="w-8 h-8 text-orange-400" />
             </div>
             <div>
-              <p className="text-gray-300 text-sm">Complaints</p>
-              <p className="text-2xl font-bold text-white">{stats.complaints}</p>
+              <p className="text-gray-300 text-sm">{t('dashboard.complaints')}</p>
+              <p className="text-2xl font-bold text-white">{formatNumber(stats.complaints)}</p>
             </div>
           </div>
         </div>
@@ -245,12 +247,12 @@ const DashboardHome = () => {
         className="bg-white/10 backdrop-blur-lg rounded-xl shadow-2xl border border-white/20 p-8"
       >
         <div className="flex justify-between items-center mb-8">
-          <h2 className="text-2xl font-bold text-white">Recent Requests</h2>
+          <h2 className="text-2xl font-bold text-white">{t('dashboard.recentRequests')}</h2>
           <button
             onClick={() => navigate('/dashboard/requests')}
             className="text-blue-400 hover:text-blue-300 font-medium transition-colors"
           >
-            View All
+            {t('dashboard.viewAll')}
           </button>
         </div>
 
@@ -266,11 +268,11 @@ const DashboardHome = () => {
                   <Icon className="w-6 h-6 text-gray-500" />
                   <div>
                     <h3 className="font-semibold text-gray-900">{request.title}</h3>
-                    <p className="text-sm text-gray-500">{formatDate(request.createdAt)}</p>
+                    <p className="text-sm text-gray-500">{formatDateTime(request.createdAt)}</p>
                   </div>
                 </div>
-                <span className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(request.status)}`}>
-                  {request.status.replace('_', ' ').toUpperCase()}
+                <span className={`px-3 py-1 rounded-full text-xs font-medium uppercase ${getStatusColor(request.status)}`}>
+                  {t(`status.${request.status}`)}
                 </span>
               </div>
             );
@@ -280,13 +282,13 @@ const DashboardHome = () => {
         {recentRequests.length === 0 && (
           <div className="text-center py-8">
             <ClipboardDocumentListIcon className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-            <h3 className="text-lg font-semibold text-gray-900 mb-2">No requests yet</h3>
-            <p className="text-gray-600 mb-4">Start by creating your first request</p>
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">{t('dashboard.noRequests')}</h3>
+            <p className="text-gray-600 mb-4">{t('dashboard.noRequestsHint')}</p>
             <button
               onClick={() => navigate('/dashboard/add-request')}
               className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors"
             >
-              Create Request
+              {t('addRequest.submit')}
             </button>
           </div>
         )}
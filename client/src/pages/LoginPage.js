@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { Link, Navigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../hooks/useAuth';
+import { useTranslation } from '../contexts/LanguageContext';
 import FormInput from '../components/ui/FormInput';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
 import { validateLoginForm, hasErrors } from '../utils/validation';
@@ -16,6 +17,7 @@ const LoginPage = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
 
   const { login, isAuthenticated, user } = useAuth();
+  const { t } = useTranslation();
 
   // If already authenticated, redirect based on user role
   if (isAuthenticated && user && user.role) {
@@ -52,7 +54,7 @@ const LoginPage = () => {
         // Show success message inline
         setStatusMessage({
           type: 'success',
-          message: 'Login successful! Redirecting...'
+          message: t('login.success')
         });
 
         // The redirect will be handled by the top-level redirect logic
@@ -61,14 +63,14 @@ const LoginPage = () => {
         // Show error message inline without reload
         setStatusMessage({
           type: 'error',
-          message: result?.message || 'Invalid credentials. Please check your email and password.'
+          message: result?.message || t('login.invalidCredentials')
         });
       }
     } catch (error) {
       console.error('Login error:', error);
       setStatusMessage({
         type: 'error',
-        message: 'An unexpected error occurred. Please try again.'
+        message: t('common.unexpectedError')
       });
     } finally {
       setIsSubmitting(false);
@@ -113,12 +115,12 @@ const LoginPage = () => {
               <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
               </svg>
-              <span>Back to Home</span>
+              <span>{t('common.backToHome')}</span>
             </Link>
             <div></div> {/* Spacer for centering */}
           </div>
-          <h2 className="text-4xl font-bold text-white mb-3">Welcome Back</h2>
-          <p className="text-xl text-gray-300">Sign in to your account to continue</p>
+          <h2 className="text-4xl font-bold text-white mb-3">{t('login.title')}</h2>
+          <p className="text-xl text-gray-300">{t('login.subtitle')}</p>
         </div>
 
         <motion.form
@@ -145,23 +147,23 @@ const LoginPage = () => {
           )}
 
           <FormInput
-            label="Email Address"
+            label={t('auth.email')}
             name="email"
             type="email"
             value={formData.email}
             onChange={handleChange}
-            placeholder="Enter your email address"
+            placeholder={t('auth.emailPlaceholder')}
             required
             error={errors.email}
           />
 
           <FormInput
-            label="Password"
+            label={t('auth.password')}
             name="password"
             type="password"
             value={formData.password}
             onChange={handleChange}
-            placeholder="Enter your password"
+            placeholder={t('login.passwordPlaceholder')}
             required
             error={errors.password}
           />
@@ -175,7 +177,7 @@ const LoginPage = () => {
                 className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
               />
               <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-300">
-                Remember me
+                {t('login.rememberMe')}
               </label>
             </div>
 
@@ -183,7 +185,7 @@ const LoginPage = () => {
               to="/forgot-password"
               className="text-sm text-blue-400 hover:text-blue-300 font-medium underline"
             >
-              Forgot password?
+              {t('login.forgotPassword')}
             </Link>
           </div>
 
@@ -224,18 +226,18 @@ const LoginPage = () => {
             {isSubmitting ? (
               <>
                 <LoadingSpinner size="small" color="white" />
-                <span>Signing In...</span>
+                <span>{t('login.signingIn')}</span>
               </>
             ) : (
-              <span>Sign In</span>
+              <span>{t('login.signIn')}</span>
             )}
           </button>
 
           <div className="text-center pt-4">
             <p className="text-gray-300 text-lg">
-              Don't have an account?{' '}
+              {t('login.noAccount')}{' '}
               <Link to="/signup" className="text-purple-400 hover:text-purple-300 font-semibold underline">
-                Sign up here
+                {t('login.signUpLink')}
               </Link>
             </p>
           </div>
@@ -1,12 +1,16 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { UserIcon, EnvelopeIcon, PhoneIcon, MapPinIcon, PencilIcon } from '@heroicons/react/24/outline';
+import { UserIcon, EnvelopeIcon, PhoneIcon, MapPinIcon, PencilIcon, HeartIcon, CalendarIcon } from '@heroicons/react/24/outline';
 import { useAuth } from '../hooks/useAuth';
+import { useTranslation } from '../contexts/LanguageContext';
 import FormInput from '../components/ui/FormInput';
+import ActiveSessions from '../components/auth/ActiveSessions';
+import apiClient from '../utils/apiClient';
 import { showError, showSuccess, showLoading, closeLoading } from '../utils/alerts';
 
 const ProfilePage = () => {
   const { user, updateUser } = useAuth();
+  const { t, formatDate, formatNumber } = useTranslation();
   const [isEditing, setIsEditing] = useState(false);
   const [formData, setFormData] = useState({
     name: user?.name || '',
@@ -17,6 +21,36 @@ const ProfilePage = () => {
       user?.address || ''
   });
   const [errors, setErrors] = useState({});
+  const [donations, setDonations] = useState([]);
+  const [donationSummary, setDonationSummary] = useState(null);
+
+  const fetchDonations = async () => {
+    try {
+      const data = await apiClient.get('/api/blood-requests/donations');
+      setDonations(data.donations || []);
+      setDonationSummary(data.summary || null);
+    } catch (error) {
+      console.error('Error fetching donation history:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchDonations();
+  }, []);
+
+  // Donations the requester recorded start the deferral only once the donor confirms them
+  const handleConfirmDonation = async (donation) => {
+    try {
+      showLoading(t('profile.donations.confirming'));
+      const data = await apiClient.post(`/api/blood-requests/${donation.request?._id || donation.request}/donation/confirm`);
+      closeLoading();
+      showSuccess(t('profile.donations.confirmed'), data.message);
+      fetchDonations();
+    } catch (error) {
+      closeLoading();
+      showError(t('common.error'), error.message || t('profile.donations.confirmFailed'));
+    }
+  };
 
   const handleInputChange = (field, value) => {
     setFormData(prev => ({
@@ -34,7 +68,7 @@ const ProfilePage = () => {
 
   const handleSave = async () => {
     try {
-      showLoading('Updating profile...');
+      showLoading(t('profile.updating'));
 
       // Parse address string into object format expected by backend
       const addressParts = formData.address.split(',').map(part => part.trim());
@@ -75,7 +109,7 @@ const ProfilePage = () => {
       if (response.ok) {
         const data = await response.json();
         closeLoading();
-        showSuccess('Success', 'Profile updated successfully');
+        showSuccess(t('common.success'), t('alerts.profileUpdated'));
         setIsEditing(false);
 
         // Update user context with new data
@@ -85,11 +119,11 @@ const ProfilePage = () => {
       } else {
         const errorData = await response.json();
         closeLoading();
-        showError('Error', errorData.message || 'Failed to update profile');
+        showError(t('common.error'), errorData.message || t('profile.updateFailed'));
       }
     } catch (error) {
       closeLoading();
-      showError('Error', 'Network error while updating profile');
+      showError(t('common.error'), t('profile.updateNetworkError'));
     }
   };
 
@@ -115,8 +149,8 @@ const ProfilePage = () => {
           className="flex justify-between items-center"
         >
           <div>
-            <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-400 via-purple-400 to-pink-400 bg-clip-text text-transparent mb-2">Profile</h1>
-            <p className="text-gray-300">Manage your account information</p>
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-400 via-purple-400 to-pink-400 bg-clip-text text-transparent mb-2">{t('profile.title')}</h1>
+            <p className="text-gray-300">{t('profile.subtitle')}</p>
           </div>
 
           {!isEditing && (
@@ -125,7 +159,7 @@ const ProfilePage = () => {
               className="flex items-center space-x-2 bg-gradient-to-r from-blue-500 via-purple-500 to-pink-500 text-white px-4 py-2 rounded-lg hover:from-blue-600 hover:via-purple-600 hover:to-pink-600 transition-all duration-300 shadow-lg"
             >
               <PencilIcon className="w-4 h-4" />
-              <span>Edit Profile</span>
+              <span>{t('profile.edit')}</span>
             </button>
           )}
         </motion.div>
@@ -143,8 +177,8 @@ const ProfilePage = () => {
           </div>
           <div>
             <h2 className="text-2xl font-bold text-white">{user?.name}</h2>
-            <p className="text-blue-400 capitalize">{user?.role}</p>
-            <p className="text-sm text-gray-300">Member since {new Date(user?.createdAt || Date.now()).toLocaleDateString()}</p>
+            <p className="text-blue-400">{user?.role && t(`roles.${user.role}`)}</p>
+            <p className="text-sm text-gray-300">{t('profile.memberSince', { date: formatDate(user?.createdAt || Date.now()) })}</p>
           </div>
         </div>
 
@@ -152,45 +186,45 @@ const ProfilePage = () => {
           <div className="space-y-6">
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <FormInput
-                label="Full Name"
+                label={t('signup.fullName')}
                 name="name"
                 type="text"
                 value={formData.name}
                 onChange={(e) => handleInputChange('name', e.target.value)}
-                placeholder="Enter your full name"
+                placeholder={t('signup.fullNamePlaceholder')}
                 error={errors.name}
                 icon={UserIcon}
               />
 
               <FormInput
-                label="Email Address"
+                label={t('auth.email')}
                 name="email"
                 type="email"
                 value={formData.email}
                 onChange={(e) => handleInputChange('email', e.target.value)}
-                placeholder="Enter your email"
+                placeholder={t('auth.emailPlaceholder')}
                 error={errors.email}
                 icon={EnvelopeIcon}
               />
 
               <FormInput
-                label="Phone Number"
+                label={t('signup.phone')}
                 name="phone"
                 type="tel"
                 value={formData.phone}
                 onChange={(e) => handleInputChange('phone', e.target.value)}
-                placeholder="Enter your phone number"
+                placeholder={t('profile.phonePlaceholder')}
                 error={errors.phone}
                 icon={PhoneIcon}
               />
 
               <FormInput
-                label="Address"
+                label={t('profile.address')}
                 name="address"
                 type="text"
                 value={formData.address}
                 onChange={(e) => handleInputChange('address', e.target.value)}
-                placeholder="Enter your address"
+                placeholder={t('profile.addressPlaceholder')}
                 error={errors.address}
                 icon={MapPinIcon}
               />
@@ -201,13 +235,13 @@ const ProfilePage = () => {
                 onClick={handleCancel}
                 className="px-6 py-2 border border-white/30 text-gray-300 rounded-lg hover:bg-white/10 hover:border-white/50 hover:text-white transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-white/20"
               >
-                Cancel
+                {t('common.cancel')}
               </button>
               <button
                 onClick={handleSave}
                 className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 hover:shadow-lg transform hover:scale-105 transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-transparent"
               >
-                Save Changes
+                {t('profile.save')}
               </button>
             </div>
           </div>
@@ -216,35 +250,35 @@ const ProfilePage = () => {
             <div className="flex items-center space-x-3 p-4 bg-white/10 rounded-lg border border-white/20">
               <UserIcon className="w-5 h-5 text-blue-400" />
               <div>
-                <p className="text-sm text-gray-300">Full Name</p>
-                <p className="font-medium text-white">{user?.name || 'Not provided'}</p>
+                <p className="text-sm text-gray-300">{t('signup.fullName')}</p>
+                <p className="font-medium text-white">{user?.name || t('profile.notProvided')}</p>
               </div>
             </div>
 
             <div className="flex items-center space-x-3 p-4 bg-white/10 rounded-lg border border-white/20">
               <EnvelopeIcon className="w-5 h-5 text-green-400" />
               <div>
-                <p className="text-sm text-gray-300">Email Address</p>
-                <p className="font-medium text-white">{user?.email || 'Not provided'}</p>
+                <p className="text-sm text-gray-300">{t('auth.email')}</p>
+                <p className="font-medium text-white">{user?.email || t('profile.notProvided')}</p>
               </div>
             </div>
 
             <div className="flex items-center space-x-3 p-4 bg-white/10 rounded-lg border border-white/20">
               <PhoneIcon className="w-5 h-5 text-purple-400" />
               <div>
-                <p className="text-sm text-gray-300">Phone Number</p>
-                <p className="font-medium text-white">{user?.phone || 'Not provided'}</p>
+                <p className="text-sm text-gray-300">{t('signup.phone')}</p>
+                <p className="font-medium text-white">{user?.phone || t('profile.notProvided')}</p>
               </div>
             </div>
 
             <div className="flex items-center space-x-3 p-4 bg-white/10 rounded-lg border border-white/20">
               <MapPinIcon className="w-5 h-5 text-orange-400" />
               <div>
-                <p className="text-sm text-gray-300">Address</p>
+                <p className="text-sm text-gray-300">{t('profile.address')}</p>
                 <p className="font-medium text-white">
                   {typeof user?.address === 'object' ?
-                    `${user.address.street || ''}, ${user.address.city || ''}, ${user.address.state || ''} ${user.address.pincode || ''}`.trim() || 'Not provided' :
-                    user?.address || 'Not provided'
+                    `${user.address.street || ''}, ${user.address.city || ''}, ${user.address.state || ''} ${user.address.pincode || ''}`.trim() || t('profile.notProvided') :
+                    user?.address || t('profile.notProvided')
                   }
                 </p>
               </div>
@@ -253,7 +287,82 @@ const ProfilePage = () => {
         )}
       </motion.div>
 
+      {/* Donation History */}
+      {donationSummary && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.2 }}
+          className="bg-white/10 backdrop-blur-lg rounded-xl shadow-2xl border border-white/20 p-8"
+        >
+          <div className="flex items-center space-x-3 mb-6">
+            <HeartIcon className="w-6 h-6 text-red-400" />
+            <h2 className="text-2xl font-bold text-white">{t('profile.donations.title')}</h2>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+            <div className="p-4 bg-white/10 rounded-lg border border-white/20">
+              <p className="text-sm text-gray-300">{t('profile.donations.total')}</p>
+              <p className="text-2xl font-bold text-white">{formatNumber(donationSummary.totalDonations)}</p>
+              <p className="text-xs text-gray-400">{t('profile.donations.totalUnits', { count: donationSummary.totalUnits })}</p>
+            </div>
+
+            <div className="p-4 bg-white/10 rounded-lg border border-white/20">
+              <p className="text-sm text-gray-300">{t('profile.donations.last')}</p>
+              <p className="text-lg font-medium text-white">
+                {donationSummary.lastDonation ? formatDate(donationSummary.lastDonation) : t('profile.donations.none')}
+              </p>
+            </div>
+
+            <div className="p-4 bg-white/10 rounded-lg border border-white/20">
+              <p className="text-sm text-gray-300">{t('profile.donations.nextEligible')}</p>
+              <p className={`text-lg font-medium ${donationSummary.eligible ? 'text-green-400' : 'text-yellow-400'}`}>
+                {donationSummary.eligible
+                  ? t('profile.donations.eligibleNow')
+                  : donationSummary.nextEligibleDate && new Date(donationSummary.nextEligibleDate) > new Date()
+                    ? formatDate(donationSummary.nextEligibleDate)
+                    : donationSummary.reason}
+              </p>
+              <p className="text-xs text-gray-400">{t('profile.donations.deferral', { count: donationSummary.deferralDays })}</p>
+            </div>
+          </div>
+
+          {donations.length === 0 ? (
+            <p className="text-gray-300">{t('profile.donations.empty')}</p>
+          ) : (
+            <div className="space-y-3">
+              {donations.map(donation => (
+                <div key={donation._id} className="flex items-center justify-between p-4 bg-white/10 rounded-lg border border-white/20">
+                  <div className="flex items-center space-x-3">
+                    <CalendarIcon className="w-5 h-5 text-blue-400" />
+                    <div>
+                      <p className="font-medium text-white">{formatDate(donation.donatedAt)}</p>
+                      <p className="text-sm text-gray-300">
+                        {donation.hospitalName || donation.request?.location?.address || t('profile.donations.noHospital')}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="text-right">
+                    <p className="font-medium text-red-400">{donation.bloodGroup}</p>
+                    <p className="text-sm text-gray-300">{t('profile.donations.units', { count: donation.units })}</p>
+                    {donation.donorConfirmed === false && (
+                      <button
+                        onClick={() => handleConfirmDonation(donation)}
+                        className="mt-2 px-3 py-1 bg-green-500 text-white rounded-lg text-sm hover:bg-green-600 transition-colors"
+                      >
+                        {t('common.confirm')}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </motion.div>
+      )}
 
+      {/* Signed-in devices */}
+      <ActiveSessions />
     </div>
   );
 };
@@ -19,6 +19,7 @@ const PublicRequestsPage = () => {
   const [selectedRequest, setSelectedRequest] = useState(null);
   const [showModal, setShowModal] = useState(false);
   const [acceptedRequests, setAcceptedRequests] = useState(new Set());
+  const [donorInfo, setDonorInfo] = useState(null);
 
   useEffect(() => {
     fetchPublicRequests();
@@ -55,6 +56,7 @@ const PublicRequestsPage = () => {
       if (response.ok) {
         const data = await response.json();
         setRequests(data.requests || []);
+        setDonorInfo(data.donor || null);
       } else {
         showError('Error', 'Failed to fetch blood requests');
         setRequests([]);
@@ -161,6 +163,20 @@ const PublicRequestsPage = () => {
         </div>
       </motion.div>
 
+      {/* Donor compatibility notice */}
+      {donorInfo && (
+        <div className={`rounded-xl border p-4 text-sm ${donorInfo.eligible ? 'bg-green-500/10 border-green-400/30 text-green-200' : 'bg-amber-500/10 border-amber-400/30 text-amber-200'}`}>
+          {donorInfo.compatibleOnly
+            ? `Showing requests your blood group (${donorInfo.bloodGroup}) can be given to.`
+            : 'Set your blood group in your profile to see only requests you can donate to.'}
+          {donorInfo.nextEligibleDate && !donorInfo.eligible && (
+            <span className="block mt-1">
+              You can donate again from {new Date(donorInfo.nextEligibleDate).toLocaleDateString()}.
+            </span>
+          )}
+        </div>
+      )}
+
       {/* Requests Grid */}
       {loading ? (
         <div className="flex justify-center items-center py-12">
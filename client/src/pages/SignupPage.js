@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { Link, Navigate, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../hooks/useAuth';
+import { useTranslation } from '../contexts/LanguageContext';
 import FormInput from '../components/ui/FormInput';
 import FormSelect from '../components/ui/FormSelect';
 import AddressInput from '../components/ui/AddressInput';
@@ -30,6 +31,7 @@ const SignupPage = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
 
   const { register, isAuthenticated } = useAuth();
+  const { t } = useTranslation();
   const navigate = useNavigate();
 
   if (isAuthenticated) {
@@ -63,7 +65,7 @@ const SignupPage = () => {
         // Show success message inline
         setStatusMessage({
           type: 'success',
-          message: 'Account created successfully! Redirecting to dashboard...'
+          message: t('signup.success')
         });
 
         // Redirect after 3 seconds
@@ -74,14 +76,14 @@ const SignupPage = () => {
         // Show error message inline
         setStatusMessage({
           type: 'error',
-          message: result?.message || 'Registration failed. Please check your information and try again.'
+          message: result?.message || t('signup.failed')
         });
       }
     } catch (error) {
       console.error('Registration error:', error);
       setStatusMessage({
         type: 'error',
-        message: 'An unexpected error occurred. Please try again.'
+        message: t('common.unexpectedError')
       });
     } finally {
       setIsSubmitting(false);
@@ -125,8 +127,8 @@ const SignupPage = () => {
 
   // Role options for the select dropdown
   const roleOptions = [
-    { value: 'citizen', label: 'Citizen - Access community services' },
-    { value: 'volunteer', label: 'Volunteer - Help others in the community' }
+    { value: 'citizen', label: t('signup.roleCitizen') },
+    { value: 'volunteer', label: t('signup.roleVolunteer') }
   ];
 
   return (
@@ -147,12 +149,12 @@ const SignupPage = () => {
               <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
               </svg>
-              <span>Back to Home</span>
+              <span>{t('common.backToHome')}</span>
             </Link>
             <div></div> {/* Spacer for centering */}
           </div>
-          <h1 className="text-4xl font-bold text-white mb-3">Join Our Community</h1>
-          <p className="text-xl text-gray-300">Create your account to access all community services</p>
+          <h1 className="text-4xl font-bold text-white mb-3">{t('signup.title')}</h1>
+          <p className="text-xl text-gray-300">{t('signup.subtitle')}</p>
         </motion.div>
 
         {/* Main Form Container */}
@@ -167,45 +169,45 @@ const SignupPage = () => {
             <div className="mb-10">
               <h2 className="text-2xl font-bold text-white mb-6 flex items-center">
                 <div className="w-8 h-8 bg-gradient-to-r from-blue-500 to-purple-500 text-white rounded-full flex items-center justify-center text-sm font-bold mr-3">1</div>
-                Personal Information
+                {t('signup.personalInformation')}
               </h2>
 
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                 <FormInput
-                  label="Full Name"
+                  label={t('signup.fullName')}
                   name="name"
                   type="text"
                   value={formData.name}
                   onChange={handleChange}
-                  placeholder="Enter your full name"
+                  placeholder={t('signup.fullNamePlaceholder')}
                   required
                   error={errors.name}
                 />
 
                 <FormInput
-                  label="Email Address"
+                  label={t('auth.email')}
                   name="email"
                   type="email"
                   value={formData.email}
                   onChange={handleChange}
-                  placeholder="Enter your email address"
+                  placeholder={t('auth.emailPlaceholder')}
                   required
                   error={errors.email}
                 />
 
                 <FormInput
-                  label="Phone Number"
+                  label={t('signup.phone')}
                   name="phone"
                   type="tel"
                   value={formData.phone}
                   onChange={handleChange}
-                  placeholder="Enter your 10-digit phone number"
+                  placeholder={t('signup.phonePlaceholder')}
                   required
                   error={errors.phone}
                 />
 
                 <FormSelect
-                  label="I want to join as"
+                  label={t('signup.joinAs')}
                   name="role"
                   value={formData.role}
                   onChange={handleChange}
@@ -219,17 +221,17 @@ const SignupPage = () => {
               {formData.role === 'volunteer' && (
                 <div className="mt-6">
                   <FormInput
-                    label="Volunteer Access Key"
+                    label={t('signup.volunteerKey')}
                     name="volunteerKey"
                     type="text"
                     value={formData.volunteerKey}
                     onChange={handleChange}
-                    placeholder="Enter your volunteer access key"
+                    placeholder={t('signup.volunteerKeyPlaceholder')}
                     required
                     error={errors.volunteerKey}
                   />
                   <p className="text-sm text-gray-300 mt-2">
-                    Contact your organization administrator to get your volunteer access key.
+                    {t('signup.volunteerKeyHint')}
                   </p>
                 </div>
               )}
@@ -239,28 +241,28 @@ const SignupPage = () => {
             <div className="mb-10">
               <h2 className="text-2xl font-bold text-white mb-6 flex items-center">
                 <div className="w-8 h-8 bg-gradient-to-r from-blue-500 to-purple-500 text-white rounded-full flex items-center justify-center text-sm font-bold mr-3">2</div>
-                Security
+                {t('signup.security')}
               </h2>
 
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                 <FormInput
-                  label="Password"
+                  label={t('auth.password')}
                   name="password"
                   type="password"
                   value={formData.password}
                   onChange={handleChange}
-                  placeholder="Create a strong password (min. 6 characters)"
+                  placeholder={t('signup.passwordPlaceholder')}
                   required
                   error={errors.password}
                 />
 
                 <FormInput
-                  label="Confirm Password"
+                  label={t('signup.confirmPassword')}
                   name="confirmPassword"
                   type="password"
                   value={formData.confirmPassword}
                   onChange={handleChange}
-                  placeholder="Confirm your password"
+                  placeholder={t('signup.confirmPasswordPlaceholder')}
                   required
                   error={errors.confirmPassword}
                 />
@@ -273,7 +275,7 @@ const SignupPage = () => {
             <div className="mb-10">
               <h2 className="text-2xl font-bold text-white mb-6 flex items-center">
                 <div className="w-8 h-8 bg-gradient-to-r from-pink-500 to-blue-500 text-white rounded-full flex items-center justify-center text-sm font-bold mr-3">3</div>
-                Address Information
+                {t('signup.addressInformation')}
               </h2>
 
               <AddressInput
@@ -310,15 +312,15 @@ const SignupPage = () => {
                   className="mt-1 h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
                 />
                 <label htmlFor="terms" className="text-sm text-gray-700 leading-relaxed">
-                  I agree to the{' '}
+                  {t('signup.agreeTo')}{' '}
                   <Link to="/terms" className="text-primary-600 hover:text-primary-500 font-medium underline">
-                    Terms of Service
+                    {t('signup.terms')}
                   </Link>{' '}
-                  and{' '}
+                  {t('signup.and')}{' '}
                   <Link to="/privacy" className="text-primary-600 hover:text-primary-500 font-medium underline">
-                    Privacy Policy
+                    {t('signup.privacy')}
                   </Link>
-                  . I understand that my information will be used to provide community services and may be shared with volunteers for assistance requests.
+                  . {t('signup.dataUse')}
                 </label>
               </div>
             </div>
@@ -359,7 +361,7 @@ const SignupPage = () => {
                 to="/login"
                 className="text-gray-300 hover:text-purple-400 font-medium transition-colors duration-200"
               >
-                Already have an account? <span className="text-purple-400 underline">Sign in here</span>
+                {t('signup.haveAccount')} <span className="text-purple-400 underline">{t('signup.signInLink')}</span>
               </Link>
 
               <button
@@ -370,10 +372,10 @@ const SignupPage = () => {
                 {isSubmitting ? (
                   <>
                     <LoadingSpinner size="small" color="white" />
-                    <span>Creating Account...</span>
+                    <span>{t('signup.creating')}</span>
                   </>
                 ) : (
-                  <span>Create Account</span>
+                  <span>{t('signup.create')}</span>
                 )}
               </button>
             </div>
@@ -0,0 +1,108 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../contexts/AuthContext';
+import { useTranslation } from '../contexts/LanguageContext';
+import API_CONFIG from '../config/api';
+
+// Landing page for the link in the verification email
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams();
+  const { user, isAuthenticated, refreshUser } = useAuth();
+  const { t } = useTranslation();
+  const [status, setStatus] = useState('verifying'); // verifying | verified | failed
+  const [message, setMessage] = useState('');
+  const requestedRef = useRef(false); // The token is single-use, so don't send it twice
+
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    if (requestedRef.current) return;
+    requestedRef.current = true;
+
+    if (!token) {
+      setStatus('failed');
+      setMessage(t('verifyEmail.missingToken'));
+      return;
+    }
+
+    const verify = async () => {
+      try {
+        const response = await fetch(`${API_CONFIG.baseURL}/api/auth/verify-email`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ token })
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+          setStatus('verified');
+          // Hide the dashboard banner if the link was opened where the user is signed in
+          if (isAuthenticated && data.user?._id === user?._id) {
+            refreshUser();
+          }
+        } else {
+          setStatus('failed');
+          setMessage(data.message || t('verifyEmail.failed'));
+        }
+      } catch (error) {
+        setStatus('failed');
+        setMessage(t('verifyEmail.networkError'));
+      }
+    };
+
+    verify();
+  }, [token]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const dashboardPath = user?.role === 'volunteer' ? '/volunteer-dashboard' : '/dashboard';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-900 via-blue-900 to-indigo-900 flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="w-full max-w-md"
+      >
+        <div className="bg-white/10 backdrop-blur-lg rounded-2xl shadow-2xl border border-white/20 p-8 text-center">
+          {status === 'verifying' && (
+            <>
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-400 mx-auto mb-6"></div>
+              <h2 className="text-2xl font-bold text-white">{t('verifyEmail.verifying')}</h2>
+            </>
+          )}
+
+          {status === 'verified' && (
+            <>
+              <CheckCircleIcon className="w-16 h-16 text-green-400 mx-auto mb-4" />
+              <h2 className="text-3xl font-bold text-white mb-2">{t('verifyEmail.verifiedTitle')}</h2>
+              <p className="text-gray-300 mb-8">{t('verifyEmail.verifiedText')}</p>
+            </>
+          )}
+
+          {status === 'failed' && (
+            <>
+              <XCircleIcon className="w-16 h-16 text-red-400 mx-auto mb-4" />
+              <h2 className="text-3xl font-bold text-white mb-2">{t('verifyEmail.failedTitle')}</h2>
+              <p className="text-gray-300 mb-2">{message}</p>
+              <p className="text-gray-400 text-sm mb-8">{t('verifyEmail.failedHint')}</p>
+            </>
+          )}
+
+          {status !== 'verifying' && (
+            <Link
+              to={isAuthenticated ? dashboardPath : '/login'}
+              className="inline-block w-full bg-gradient-to-r from-blue-500 via-purple-500 to-pink-500 text-white py-3 px-4 rounded-lg font-semibold hover:from-blue-600 hover:via-purple-600 hover:to-pink-600 transition-all duration-300"
+            >
+              {isAuthenticated ? t('verifyEmail.goToDashboard') : t('verifyEmail.goToLogin')}
+            </Link>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
@@ -10,16 +10,32 @@ import {
   ExclamationTriangleIcon
 } from '@heroicons/react/24/outline';
 import { showError } from '../utils/alerts';
+import RequestStatusActions, { getRequestStatusColor } from '../components/requests/RequestStatusActions';
+import RequestTimeline from '../components/requests/RequestTimeline';
+import StarRating from '../components/ui/StarRating';
+import { useTranslation } from '../contexts/LanguageContext';
+
+const DATE_TIME_FORMAT = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+const RATING_FORMAT = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+
+// Catalog keys under acceptedRequests.match.steps.<type>
+const NEXT_STEPS = {
+  blood: ['coordinate', 'confirmTime', 'requirements', 'donate'],
+  elder_support: ['contact', 'confirmService', 'assist', 'followUp'],
+  complaint: ['contact', 'assess', 'resolve', 'updateStatus']
+};
 
 const VolunteerAcceptedRequests = () => {
+  const { t, formatDate, formatNumber } = useTranslation();
   const [acceptedRequests, setAcceptedRequests] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedRequest, setSelectedRequest] = useState(null);
   const [showModal, setShowModal] = useState(false);
+  const [volunteerStats, setVolunteerStats] = useState(null);
 
   useEffect(() => {
     fetchAcceptedRequests();
-  }, []);
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
   const fetchAcceptedRequests = async () => {
     try {
@@ -34,12 +50,13 @@ const VolunteerAcceptedRequests = () => {
         const data = await response.json();
         console.log('Accepted requests data:', data.requests); // Debug log
         setAcceptedRequests(data.requests || []);
+        setVolunteerStats(data.volunteerStats || null);
       } else {
-        showError('Error', 'Failed to fetch accepted requests');
+        showError(t('common.error'), t('acceptedRequests.fetchFailed'));
         setAcceptedRequests([]);
       }
     } catch (error) {
-      showError('Error', 'Network error while fetching accepted requests');
+      showError(t('common.error'), t('acceptedRequests.fetchNetworkError'));
       setAcceptedRequests([]);
     } finally {
       setLoading(false);
@@ -70,31 +87,17 @@ const VolunteerAcceptedRequests = () => {
     }
   };
 
-  const getTypeTitle = (type) => {
-    switch (type) {
-      case 'blood': return 'Blood Donation Match';
-      case 'elder_support': return 'Elder Support Match';
-      case 'complaint': return 'Complaint Assignment';
-      default: return 'Support Request';
-    }
-  };
+  // Request types with their own match wording; anything else reads as a general support request
+  const getMatchType = (type) => (NEXT_STEPS[type] ? type : 'other');
 
-  const getTypeDescription = (type) => {
-    switch (type) {
-      case 'blood': return 'A requester needs blood donation. Contact them to coordinate the donation.';
-      case 'elder_support': return 'An elderly person needs assistance. Contact them to coordinate the support.';
-      case 'complaint': return 'A community issue needs attention. Work with the citizen to resolve this complaint.';
-      default: return 'A support request needs your assistance.';
-    }
-  };
+  const getTypeTitle = (type) => t(`acceptedRequests.match.titles.${getMatchType(type)}`);
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'pending': return 'text-yellow-400 bg-yellow-500/20';
-      case 'accepted': return 'text-green-400 bg-green-500/20';
-      case 'completed': return 'text-blue-400 bg-blue-500/20';
-      default: return 'text-gray-400 bg-gray-500/20';
-    }
+  const getTypeDescription = (type) => t(`acceptedRequests.match.descriptions.${getMatchType(type)}`);
+
+  // A status change may take the request off this list (withdrawing), so reload it
+  const handleStatusUpdated = () => {
+    closeRequestModal();
+    fetchAcceptedRequests();
   };
 
   const getBloodTypeColor = (bloodType) => {
@@ -115,16 +118,7 @@ const VolunteerAcceptedRequests = () => {
 
 
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-  };
+  const formatDateTime = (value) => formatDate(value, DATE_TIME_FORMAT);
 
 
 
@@ -143,8 +137,8 @@ const VolunteerAcceptedRequests = () => {
       >
         {/* Status and Blood Type */}
         <div className="flex justify-between items-start mb-4">
-          <span className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(acceptance.status)}`}>
-            {acceptance.status.toUpperCase()}
+          <span className={`px-3 py-1 rounded-full text-xs font-medium uppercase ${getRequestStatusColor(request.status)}`}>
+            {t(`status.${request.status}`)}
           </span>
           {request.type === 'blood' && request.bloodType && (
             <span className={`px-3 py-1 rounded-full text-sm font-bold ${getBloodTypeColor(request.bloodType)}`}>
@@ -156,7 +150,7 @@ const VolunteerAcceptedRequests = () => {
         {/* Header with Request Type */}
         <div className="flex items-center justify-between mb-4">
           <div className="bg-blue-500/20 px-3 py-1 rounded-lg">
-            <span className="text-blue-400 text-sm font-medium">YOUR REQUEST</span>
+            <span className="text-blue-400 text-sm font-medium uppercase">{t('acceptedRequests.match.yourRequest')}</span>
           </div>
           {request.type === 'blood' && request.bloodType && (
             <div className="bg-red-500 px-3 py-1 rounded-lg">
@@ -165,12 +159,12 @@ const VolunteerAcceptedRequests = () => {
           )}
           {request.type === 'elder_support' && request.serviceType && (
             <div className="bg-green-500 px-3 py-1 rounded-lg">
-              <span className="text-white font-medium text-sm">{request.serviceType}</span>
+              <span className="text-white font-medium text-sm">{t(`options.serviceType.${request.serviceType}`)}</span>
             </div>
           )}
           {request.type === 'complaint' && request.category && (
             <div className="bg-orange-500 px-3 py-1 rounded-lg">
-              <span className="text-white font-medium text-sm">{request.category}</span>
+              <span className="text-white font-medium text-sm">{t(`options.complaintCategory.${request.category}`)}</span>
             </div>
           )}
         </div>
@@ -184,9 +178,7 @@ const VolunteerAcceptedRequests = () => {
               <HeartIcon className="w-4 h-4 text-red-400" />
             </div>
             <span className="text-white font-medium">
-              {request.type === 'blood' ? 'Donor' :
-               request.type === 'elder_support' ? 'Elder' :
-               'Citizen'}: {request.name}
+              {t(`acceptedRequests.match.contactPerson.${getMatchType(request.type)}`, { name: request.name })}
             </span>
           </div>
 
@@ -202,7 +194,7 @@ const VolunteerAcceptedRequests = () => {
           <div className="flex items-center space-x-3">
             <CheckCircleIcon className="w-5 h-5 text-gray-400" />
             <span className="text-gray-300 text-sm">
-              Matched: {formatDate(acceptance.acceptedAt)}
+              {t('acceptedRequests.match.matchedOn', { date: formatDateTime(acceptance.acceptedAt) })}
             </span>
           </div>
 
@@ -215,14 +207,22 @@ const VolunteerAcceptedRequests = () => {
                 (request.urgencyLevel === 'medium' || request.priority === 'medium') ? 'bg-yellow-400' : 'bg-green-400'
               }`}></div>
             </div>
-            <span className={`text-sm font-medium ${
+            <span className={`text-sm font-medium uppercase ${
               (request.urgencyLevel === 'urgent' || request.priority === 'urgent') ? 'text-red-400' :
               (request.urgencyLevel === 'high' || request.priority === 'high') ? 'text-orange-400' :
               (request.urgencyLevel === 'medium' || request.priority === 'medium') ? 'text-yellow-400' : 'text-green-400'
             }`}>
-              {(request.urgencyLevel || request.priority || 'MEDIUM').toUpperCase()} Priority
+              {t('allRequests.modal.priority', { level: t(`urgency.${request.urgencyLevel || request.priority || 'medium'}`) })}
             </span>
           </div>
+
+          {/* Rating */}
+          {request.rating?.score && (
+            <div className="flex items-center space-x-3">
+              <StarRating value={request.rating.score} size="sm" emptyClassName="text-gray-600" />
+              <span className="text-gray-300 text-sm">{t('acceptedRequests.ratedByRequester')}</span>
+            </div>
+          )}
         </div>
 
         {/* Action Button */}
@@ -233,13 +233,13 @@ const VolunteerAcceptedRequests = () => {
           }}
           className="w-full bg-gradient-to-r from-red-500 to-pink-500 text-white py-3 rounded-lg hover:from-red-600 hover:to-pink-600 transition-all duration-300 font-medium"
         >
-          View Contact Details
+          {t('acceptedRequests.viewContact')}
         </button>
       </motion.div>
     );
   };
 
-  const RequestDetailModal = ({ request, onClose }) => {
+  const RequestDetailModal = ({ request, onClose, onStatusUpdated }) => {
     if (!request) return null;
 
     const Icon = getTypeIcon(request.type);
@@ -271,7 +271,7 @@ const VolunteerAcceptedRequests = () => {
                 </div>
                 <div>
                   <h2 className="text-2xl font-bold text-white">{getTypeTitle(request.type)}</h2>
-                  <p className="text-blue-100">{request.type.replace('_', ' ')} Request</p>
+                  <p className="text-blue-100">{t(`addRequest.types.${request.type}.name`)}</p>
                 </div>
               </div>
               <button
@@ -289,7 +289,7 @@ const VolunteerAcceptedRequests = () => {
             <div className="bg-green-500/20 border border-green-400/50 rounded-lg p-4">
               <div className="flex items-center space-x-2 mb-2">
                 <CheckCircleIcon className="w-5 h-5 text-green-400" />
-                <span className="text-green-400 font-medium">Successfully Matched!</span>
+                <span className="text-green-400 font-medium">{t('acceptedRequests.match.success')}</span>
               </div>
               <p className="text-gray-300 text-sm">
                 {getTypeDescription(request.type)}
@@ -298,31 +298,31 @@ const VolunteerAcceptedRequests = () => {
 
             {/* Type-specific Information */}
             <div className="bg-gray-800/50 rounded-lg p-4">
-              <h3 className="text-white font-semibold mb-4">Request Information</h3>
+              <h3 className="text-white font-semibold mb-4">{t('allRequests.modal.requestInformation')}</h3>
               <div className="space-y-3">
                 {request.type === 'blood' && (
                   <>
                     <div className="flex justify-between">
-                      <span className="text-gray-400">Blood Type:</span>
+                      <span className="text-gray-400">{t('allRequests.modal.bloodType')}</span>
                       <span className="text-red-400 font-medium text-lg">{request.bloodType}</span>
                     </div>
                     <div className="flex justify-between">
-                      <span className="text-gray-400">Priority:</span>
+                      <span className="text-gray-400">{t('acceptedRequests.match.priority')}</span>
                       <span className={`font-medium ${
                         request.urgencyLevel === 'urgent' ? 'text-red-400' :
                         request.urgencyLevel === 'high' ? 'text-orange-400' :
                         request.urgencyLevel === 'medium' ? 'text-yellow-400' : 'text-green-400'
-                      }`}>
-                        {request.urgencyLevel?.toUpperCase()}
+                      } uppercase`}>
+                        {request.urgencyLevel && t(`urgency.${request.urgencyLevel}`)}
                       </span>
                     </div>
                     <div className="flex justify-between">
-                      <span className="text-gray-400">Status:</span>
-                      <span className="text-green-400 font-medium">MATCHED</span>
+                      <span className="text-gray-400">{t('myRequests.status')}</span>
+                      <span className="text-green-400 font-medium uppercase">{t('acceptedRequests.match.matched')}</span>
                     </div>
                     <div className="flex justify-between">
-                      <span className="text-gray-400">Matched Date:</span>
-                      <span className="text-gray-300">{formatDate(acceptance.acceptedAt)}</span>
+                      <span className="text-gray-400">{t('acceptedRequests.match.matchedDate')}</span>
+                      <span className="text-gray-300">{formatDateTime(acceptance.acceptedAt)}</span>
                     </div>
                   </>
                 )}
@@ -330,18 +330,18 @@ const VolunteerAcceptedRequests = () => {
                 {request.type === 'elder_support' && (
                   <>
                     <div className="flex justify-between">
-                      <span className="text-gray-400">Service Type:</span>
-                      <span className="text-blue-400 font-medium">{request.serviceType || 'Not specified'}</span>
+                      <span className="text-gray-400">{t('allRequests.modal.serviceType')}</span>
+                      <span className="text-blue-400 font-medium">{request.serviceType ? t(`options.serviceType.${request.serviceType}`) : t('allRequests.notSpecified')}</span>
                     </div>
                     <div className="flex justify-between">
-                      <span className="text-gray-400">Due Date:</span>
+                      <span className="text-gray-400">{t('allRequests.modal.dueDateLabel')}</span>
                       <span className="text-yellow-400 font-medium">
-                        {request.dueDate ? formatDate(request.dueDate) : 'Not specified'}
+                        {request.dueDate ? formatDateTime(request.dueDate) : t('allRequests.notSpecified')}
                       </span>
                     </div>
                     <div className="flex justify-between">
-                      <span className="text-gray-400">Matched Date:</span>
-                      <span className="text-gray-300">{formatDate(acceptance.acceptedAt)}</span>
+                      <span className="text-gray-400">{t('acceptedRequests.match.matchedDate')}</span>
+                      <span className="text-gray-300">{formatDateTime(acceptance.acceptedAt)}</span>
                     </div>
                   </>
                 )}
@@ -349,22 +349,22 @@ const VolunteerAcceptedRequests = () => {
                 {request.type === 'complaint' && (
                   <>
                     <div className="flex justify-between">
-                      <span className="text-gray-400">Category:</span>
-                      <span className="text-orange-400 font-medium">{request.category || 'Not specified'}</span>
+                      <span className="text-gray-400">{t('myRequests.category')}</span>
+                      <span className="text-orange-400 font-medium">{request.category ? t(`options.complaintCategory.${request.category}`) : t('allRequests.notSpecified')}</span>
                     </div>
                     <div className="flex justify-between">
-                      <span className="text-gray-400">Priority:</span>
+                      <span className="text-gray-400">{t('acceptedRequests.match.priority')}</span>
                       <span className={`font-medium ${
                         request.priority === 'urgent' ? 'text-red-400' :
                         request.priority === 'high' ? 'text-orange-400' :
                         request.priority === 'medium' ? 'text-yellow-400' : 'text-green-400'
-                      }`}>
-                        {request.priority?.toUpperCase() || 'MEDIUM'}
+                      } uppercase`}>
+                        {t(`urgency.${request.priority || 'medium'}`)}
                       </span>
                     </div>
                     <div className="flex justify-between">
-                      <span className="text-gray-400">Assigned Date:</span>
-                      <span className="text-gray-300">{formatDate(acceptance.acceptedAt)}</span>
+                      <span className="text-gray-400">{t('acceptedRequests.match.assignedDate')}</span>
+                      <span className="text-gray-300">{formatDateTime(acceptance.acceptedAt)}</span>
                     </div>
                   </>
                 )}
@@ -374,24 +374,24 @@ const VolunteerAcceptedRequests = () => {
             {/* Complaint Details */}
             {request.type === 'complaint' && (
               <div className="bg-gray-800/50 rounded-lg p-4">
-                <h3 className="text-white font-semibold mb-4">Complaint Details</h3>
+                <h3 className="text-white font-semibold mb-4">{t('allRequests.modal.complaintDetails')}</h3>
                 <div className="space-y-4">
                   {/* Title */}
                   <div>
-                    <span className="text-gray-400 text-sm">Title:</span>
-                    <p className="text-white font-medium mt-1">{request.title || 'No title provided'}</p>
+                    <span className="text-gray-400 text-sm">{t('acceptedRequests.match.titleLabel')}</span>
+                    <p className="text-white font-medium mt-1">{request.title || t('acceptedRequests.match.noTitle')}</p>
                   </div>
 
                   {/* Description */}
                   <div>
-                    <span className="text-gray-400 text-sm">Description:</span>
-                    <p className="text-gray-300 mt-1 leading-relaxed">{request.description || 'No description provided'}</p>
+                    <span className="text-gray-400 text-sm">{t('allRequests.modal.description')}</span>
+                    <p className="text-gray-300 mt-1 leading-relaxed">{request.description || t('acceptedRequests.match.noDescription')}</p>
                   </div>
 
                   {/* Images */}
                   {request.images && request.images.length > 0 ? (
                     <div>
-                      <span className="text-gray-400 text-sm">Images ({request.images.length}):</span>
+                      <span className="text-gray-400 text-sm">{t('acceptedRequests.match.imagesCount', { count: request.images.length })}</span>
                       <div className="grid grid-cols-2 gap-3 mt-2">
                         {request.images.map((image, index) => {
                           console.log('Image data:', image); // Debug log
@@ -401,7 +401,7 @@ const VolunteerAcceptedRequests = () => {
                               {imageUrl ? (
                                 <img
                                   src={imageUrl}
-                                  alt={`Evidence ${index + 1}`}
+                                  alt={t('acceptedRequests.match.evidence', { number: index + 1 })}
                                   className="w-full h-32 object-cover rounded-lg border border-gray-600"
                                   onError={(e) => {
                                     console.log('Image failed to load:', imageUrl);
@@ -411,7 +411,7 @@ const VolunteerAcceptedRequests = () => {
                                 />
                               ) : (
                                 <div className="w-full h-32 bg-gray-700 rounded-lg border border-gray-600 flex items-center justify-center">
-                                  <span className="text-gray-400 text-sm">No image URL</span>
+                                  <span className="text-gray-400 text-sm">{t('acceptedRequests.match.noImageUrl')}</span>
                                 </div>
                               )}
                             </div>
@@ -421,8 +421,8 @@ const VolunteerAcceptedRequests = () => {
                     </div>
                   ) : (
                     <div>
-                      <span className="text-gray-400 text-sm">Images:</span>
-                      <p className="text-gray-500 text-sm mt-1">No images attached</p>
+                      <span className="text-gray-400 text-sm">{t('acceptedRequests.match.images')}</span>
+                      <p className="text-gray-500 text-sm mt-1">{t('acceptedRequests.match.noImages')}</p>
                     </div>
                   )}
                 </div>
@@ -432,24 +432,22 @@ const VolunteerAcceptedRequests = () => {
             {/* Contact Information */}
             <div className="bg-gray-800/50 rounded-lg p-4">
               <h3 className="text-white font-semibold mb-4">
-                {request.type === 'blood' ? 'Donor Contact' :
-                 request.type === 'elder_support' ? 'Elder Contact' :
-                 'Citizen Contact'}
+                {t(`acceptedRequests.match.contactHeading.${getMatchType(request.type)}`)}
               </h3>
               <div className="space-y-3">
                 <div className="flex justify-between">
-                  <span className="text-gray-400">Name:</span>
+                  <span className="text-gray-400">{t('allRequests.modal.name')}</span>
                   <span className="text-white font-medium">{request.name}</span>
                 </div>
                 <div className="flex justify-between">
-                  <span className="text-gray-400">Phone:</span>
+                  <span className="text-gray-400">{t('allRequests.modal.phone')}</span>
                   <a href={`tel:${request.phone}`} className="text-blue-400 font-medium hover:text-blue-300">
                     📞 {request.phone}
                   </a>
                 </div>
                 {request.email && (
                   <div className="flex justify-between">
-                    <span className="text-gray-400">Email:</span>
+                    <span className="text-gray-400">{t('acceptedRequests.match.email')}</span>
                     <a href={`mailto:${request.email}`} className="text-blue-400 font-medium hover:text-blue-300">
                       📧 {request.email}
                     </a>
@@ -460,7 +458,7 @@ const VolunteerAcceptedRequests = () => {
 
             {/* Location */}
             <div className="bg-gray-800/50 rounded-lg p-4">
-              <h3 className="text-white font-semibold mb-3">Location</h3>
+              <h3 className="text-white font-semibold mb-3">{t('allRequests.modal.location')}</h3>
               <div className="flex items-start space-x-3">
                 <MapPinIcon className="w-5 h-5 text-gray-400 mt-1" />
                 <div className="text-gray-300">
@@ -471,34 +469,44 @@ const VolunteerAcceptedRequests = () => {
 
             {/* Next Steps */}
             <div className="bg-blue-500/20 border border-blue-400/50 rounded-lg p-4">
-              <h3 className="text-white font-semibold mb-3">Next Steps:</h3>
+              <h3 className="text-white font-semibold mb-3">{t('acceptedRequests.modal.nextSteps')}</h3>
               <ul className="space-y-2 text-gray-300">
-                {request.type === 'blood' && (
-                  <>
-                    <li>• Contact each other to coordinate</li>
-                    <li>• Confirm donation time and location</li>
-                    <li>• Ensure donor meets requirements</li>
-                    <li>• Complete the blood donation process</li>
-                  </>
-                )}
-                {request.type === 'elder_support' && (
-                  <>
-                    <li>• Contact the elder to coordinate</li>
-                    <li>• Confirm service time and requirements</li>
-                    <li>• Provide the requested assistance</li>
-                    <li>• Follow up to ensure satisfaction</li>
-                  </>
-                )}
-                {request.type === 'complaint' && (
-                  <>
-                    <li>• Contact the citizen to understand the issue</li>
-                    <li>• Assess the situation and requirements</li>
-                    <li>• Work together to resolve the complaint</li>
-                    <li>• Update the status once resolved</li>
-                  </>
-                )}
+                {(NEXT_STEPS[request.type] || []).map(step => (
+                  <li key={step}>• {t(`acceptedRequests.match.steps.${request.type}.${step}`)}</li>
+                ))}
               </ul>
             </div>
+
+            {/* Status Actions */}
+            {request.allowedTransitions?.length > 0 && (
+              <div className="bg-gray-800/50 rounded-lg p-4">
+                <h3 className="text-white font-semibold mb-4">{t('acceptedRequests.match.updateStatus')}</h3>
+                <RequestStatusActions
+                  request={request}
+                  allowedTransitions={request.allowedTransitions}
+                  onUpdated={onStatusUpdated}
+                />
+              </div>
+            )}
+
+            {/* Feedback */}
+            {request.rating?.score && (
+              <div className="bg-gray-800/50 rounded-lg p-4">
+                <h3 className="text-white font-semibold mb-4">{t('acceptedRequests.match.feedback')}</h3>
+                <StarRating value={request.rating.score} emptyClassName="text-gray-600" />
+                {request.rating.feedback && (
+                  <p className="text-gray-300 text-sm italic mt-2">"{request.rating.feedback}"</p>
+                )}
+              </div>
+            )}
+
+            {/* Timeline */}
+            {request.updates?.length > 0 && (
+              <div className="bg-gray-800/50 rounded-lg p-4">
+                <h3 className="text-white font-semibold mb-4">{t('acceptedRequests.match.timeline')}</h3>
+                <RequestTimeline updates={request.updates} />
+              </div>
+            )}
           </div>
         </motion.div>
       </motion.div>
@@ -513,8 +521,19 @@ const VolunteerAcceptedRequests = () => {
         animate={{ opacity: 1, y: 0 }}
         className="text-center"
       >
-        <h1 className="text-4xl font-bold text-white mb-4">My Accepted Requests</h1>
-        <p className="text-gray-300 text-lg">Manage and track the requests you've accepted to help with</p>
+        <h1 className="text-4xl font-bold text-white mb-4">{t('acceptedRequests.title')}</h1>
+        <p className="text-gray-300 text-lg">{t('acceptedRequests.volunteerSubtitle')}</p>
+        {volunteerStats && (
+          <div className="flex items-center justify-center space-x-2 mt-3 text-gray-300">
+            <StarRating value={volunteerStats.rating} emptyClassName="text-gray-600" />
+            <span>
+              {volunteerStats.ratingCount > 0
+                ? t('acceptedRequests.ratingSummary', { rating: formatNumber(volunteerStats.rating, RATING_FORMAT), count: volunteerStats.ratingCount })
+                : t('ratings.noRatings')}
+            </span>
+            <span>&middot; {t('acceptedRequests.helped', { count: volunteerStats.totalHelped })}</span>
+          </div>
+        )}
       </motion.div>
 
       {/* Requests Grid */}
@@ -542,13 +561,13 @@ const VolunteerAcceptedRequests = () => {
           className="text-center py-12"
         >
           <CheckCircleIcon className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-          <h3 className="text-xl font-semibold text-gray-300 mb-2">No accepted requests</h3>
-          <p className="text-gray-400 mb-6">You haven't accepted any requests yet. Browse available requests to start helping!</p>
+          <h3 className="text-xl font-semibold text-gray-300 mb-2">{t('acceptedRequests.emptyTitle')}</h3>
+          <p className="text-gray-400 mb-6">{t('acceptedRequests.volunteerEmptyText')}</p>
           <button
             onClick={() => window.location.href = '/volunteer-dashboard/all-requests'}
             className="bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 text-white font-bold py-3 px-6 rounded-lg transition-all duration-300"
           >
-            Browse Requests
+            {t('acceptedRequests.browse')}
           </button>
         </motion.div>
       )}
@@ -559,6 +578,7 @@ const VolunteerAcceptedRequests = () => {
           <RequestDetailModal
             request={selectedRequest}
             onClose={closeRequestModal}
+            onStatusUpdated={handleStatusUpdated}
           />
         )}
       </AnimatePresence>
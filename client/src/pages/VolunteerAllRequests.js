@@ -10,20 +10,31 @@ import {
   ClockIcon
 } from '@heroicons/react/24/outline';
 import { User } from 'lucide-react';
-import { showError, showSuccess } from '../utils/alerts';
+import { showError, showSuccess, showApplicationPrompt, toastInfo } from '../utils/alerts';
+import { useAuth } from '../contexts/AuthContext';
+import { useSocketEvent } from '../contexts/SocketContext';
+import TranslationToggle, { getDisplayedContent } from '../components/ui/TranslationToggle';
+import { useTranslation } from '../contexts/LanguageContext';
+
+const DATE_TIME_FORMAT = { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
 
 const VolunteerAllRequests = () => {
+  const { user } = useAuth();
+  const { language, t, formatDate } = useTranslation();
   const [requests, setRequests] = useState([]);
   const [loading, setLoading] = useState(true);
   const [acceptingRequest, setAcceptingRequest] = useState(null); // Track which request is being accepted
   const [selectedRequest, setSelectedRequest] = useState(null);
   const [showModal, setShowModal] = useState(false);
+  const [showOriginal, setShowOriginal] = useState(false);
   const [filters, setFilters] = useState({
     type: '',
     urgencyLevel: '',
     bloodType: '',
-    search: ''
+    search: '',
+    radius: ''
   });
+  const [origin, setOrigin] = useState(null); // Browser position when the profile has no saved coordinates
   const [pagination, setPagination] = useState({
     current: 1,
     total: 1,
@@ -38,26 +49,66 @@ const VolunteerAllRequests = () => {
     }, 300); // Debounce to prevent rapid API calls
 
     return () => clearTimeout(timeoutId);
-  }, [filters.search]); // Only re-fetch when search changes
+  }, [filters.search, filters.radius, origin, language]); // Re-fetch when search, distance filter or language changes
 
   useEffect(() => {
     fetchRequests(1);
   }, []); // Initial load
 
+  // Live updates: new requests show up without a refresh, taken ones disappear
+  useSocketEvent('request:created', (request) => {
+    if (request.user?._id === user?._id) return;
+    fetchRequests(pagination.current);
+  });
+
+  const removeTakenRequest = (request) => {
+    setRequests(prev => prev.filter(r => r._id !== request._id));
+    if (selectedRequest?._id === request._id) {
+      setSelectedRequest(null);
+      setShowModal(false);
+      toastInfo(t('allRequests.takenByOther'));
+    }
+  };
+
+  // Requests that need more volunteers stay pending and open after one accepts
+  useSocketEvent('request:accepted', (request) => {
+    if (request.status === 'pending') {
+      setRequests(prev => prev.map(r => (r._id === request._id ? { ...r, ...request, user: r.user } : r)));
+      return;
+    }
+    removeTakenRequest(request);
+  });
+  useSocketEvent('request:deleted', removeTakenRequest);
+  useSocketEvent('request:updated', (request) => {
+    setRequests(prev => prev.map(r => (r._id === request._id ? { ...r, ...request, user: r.user } : r)));
+  });
+
+  const hasSavedLocation = user?.address?.coordinates?.latitude != null && user?.address?.coordinates?.longitude != null;
+
+  // Distance search uses the saved profile address first, then the browser position
+  const getNearParams = () => {
+    if (!filters.radius) return '';
+    if (hasSavedLocation) return `&nearMe=true&radius=${filters.radius}&sortBy=distance`;
+    if (origin) return `&lat=${origin.lat}&lng=${origin.lng}&radius=${filters.radius}&sortBy=distance`;
+    return '';
+  };
+
   const fetchRequests = async (page = 1) => {
     try {
       setLoading(true);
 
+      const nearParams = getNearParams();
+
       // Fetch both requests and complaints in parallel
       const [requestsResponse, complaintsResponse] = await Promise.all([
         // Fetch blood and elder support requests
-        fetch(`${process.env.REACT_APP_API_URL || 'https://sevalink-ttbd.onrender.com'}/api/requests/public?page=${page}&limit=10&status=pending`, {
+        fetch(`${process.env.REACT_APP_API_URL || 'https://sevalink-ttbd.onrender.com'}/api/requests/public?page=${page}&limit=10&status=pending${nearParams}`, {
           headers: {
             'Authorization': `Bearer ${localStorage.getItem('token')}`
           }
         }),
-        // Fetch open complaints
-                  fetch(`${process.env.REACT_APP_API_URL || 'https://sevalink-ttbd.onrender.com'}/api/complaints?status=open&page=${page}&limit=10`, {
+        // Fetch open complaints (not location-indexed, so left out of distance searches)
+        nearParams ? null : fetch(`${process.env.REACT_APP_API_URL || 'https://sevalink-ttbd.onrender.com'}/api/complaints?status=open&page=${page}&limit=10`, {
           headers: {
             'Authorization': `Bearer ${localStorage.getItem('token')}`
           }
@@ -80,7 +131,7 @@ const VolunteerAllRequests = () => {
           // Ensure location has proper structure
           location: {
             ...req.location,
-            address: req.location?.address || `${req.location?.city || ''}, ${req.location?.state || ''}`.trim().replace(/^,\s*|,\s*$/g, '') || 'Location not specified'
+            address: req.location?.address || `${req.location?.city || ''}, ${req.location?.state || ''}`.trim().replace(/^,\s*|,\s*$/g, '') || t('allRequests.locationNotSpecified')
           }
         }));
         allRequests = [...allRequests, ...formattedRequests];
@@ -88,31 +139,35 @@ const VolunteerAllRequests = () => {
       }
 
       // Process complaints
-      if (complaintsResponse.ok) {
+      if (complaintsResponse?.ok) {
         const complaintsData = await complaintsResponse.json();
         const formattedComplaints = complaintsData.complaints?.map(complaint => ({
           _id: complaint._id,
           type: 'complaint',
           title: complaint.title,
           description: complaint.description,
+          // Translated into the volunteer's language by the server; original kept for the toggle
+          originalLanguage: complaint.originalLanguage,
+          translatedTo: complaint.translatedTo,
+          original: complaint.original,
           category: complaint.category,
           priority: complaint.priority,
           urgencyLevel: complaint.priority, // Map priority to urgencyLevel for consistency
           location: {
             address: complaint.location?.address?.street ?
               `${complaint.location.address.street}, ${complaint.location.address.city}, ${complaint.location.address.state}` :
-              `${complaint.location?.address?.city || ''}, ${complaint.location?.address?.state || ''}`.trim().replace(/^,\s*|,\s*$/g, '') || 'Location not specified',
+              `${complaint.location?.address?.city || ''}, ${complaint.location?.address?.state || ''}`.trim().replace(/^,\s*|,\s*$/g, '') || t('allRequests.locationNotSpecified'),
             city: complaint.location?.address?.city,
             state: complaint.location?.address?.state,
             ...complaint.location
           },
           status: complaint.status === 'open' ? 'pending' : complaint.status,
           createdAt: complaint.createdAt,
-          name: complaint.citizen?.name || 'Citizen',
-          requesterName: complaint.citizen?.name || 'Citizen',
+          name: complaint.citizen?.name || t('allRequests.citizen'),
+          requesterName: complaint.citizen?.name || t('allRequests.citizen'),
           citizen: complaint.citizen,
           // Add phone from contactInfo for complaints
-          phone: complaint.contactInfo?.phone || 'Hidden until you volunteer',
+          phone: complaint.contactInfo?.phone || t('allRequests.phoneHidden'),
           // Include images for complaints
           images: complaint.images || []
         })) || [];
@@ -132,8 +187,12 @@ const VolunteerAllRequests = () => {
         );
       }
 
-      // Sort by creation date (newest first)
-      allRequests.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      // Sort by distance when searching nearby, otherwise by creation date (newest first)
+      if (nearParams) {
+        allRequests.sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+      } else {
+        allRequests.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      }
 
       setRequests(allRequests);
       setPagination({
@@ -144,7 +203,7 @@ const VolunteerAllRequests = () => {
       });
 
     } catch (error) {
-      showError('Error', 'Network error while fetching requests');
+      showError(t('common.error'), t('allRequests.fetchFailed'));
       setRequests([]);
     } finally {
       setLoading(false);
@@ -152,62 +211,52 @@ const VolunteerAllRequests = () => {
   };
 
   const handleAcceptRequest = async (requestId) => {
+    const request = selectedRequest || requests.find(r => r._id === requestId);
+    if (!request) {
+      showError(t('common.error'), t('allRequests.notFound'));
+      return;
+    }
+
+    // Elder support and complaints are applications the requester reviews, so ask for a message and ETA
+    let application = {};
+    if (request.type !== 'blood') {
+      const result = await showApplicationPrompt(
+        t('allRequests.modal.applyToHelp'),
+        t('allRequests.modal.applicationNotice'),
+        t('allRequests.modal.applyToHelp'),
+        t('common.cancel')
+      );
+      if (!result.isConfirmed) return;
+      application = result.value;
+    }
+
     try {
       setAcceptingRequest(requestId); // Set loading state
-      const request = selectedRequest || requests.find(r => r._id === requestId);
-      if (!request) {
-        showError('Error', 'Request not found');
-        return;
-      }
-
-      let response;
-      let requestData = {};
 
-      // Use different endpoints based on request type
-      if (request.type === 'blood') {
-        response = await fetch(`${process.env.REACT_APP_API_URL || 'https://sevalink-ttbd.onrender.com'}/api/requests/${requestId}/volunteer`, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${localStorage.getItem('token')}`
-          }
-        });
-      } else if (request.type === 'complaint') {
-        // Use the complaints API for volunteer applications
-        response = await fetch(`${process.env.REACT_APP_API_URL || 'https://sevalink-ttbd.onrender.com'}/api/complaints/${requestId}/apply`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${localStorage.getItem('token')}`
-          },
-          body: JSON.stringify({
-            message: 'I would like to help with this complaint.',
-            estimatedTime: 'Within 24 hours'
-          })
-        });
-      } else if (request.type === 'elder_support') {
-        // Elder support now uses the same volunteer endpoint as blood requests
-        response = await fetch(`${process.env.REACT_APP_API_URL || 'https://sevalink-ttbd.onrender.com'}/api/requests/${requestId}/volunteer`, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${localStorage.getItem('token')}`
-          }
-        });
-      }
+      // Complaints are applied for through the complaints API, everything else through the requests API
+      const endpoint = request.type === 'complaint'
+        ? `/api/complaints/${requestId}/apply`
+        : `/api/requests/${requestId}/volunteer`;
+
+      const response = await fetch(`${process.env.REACT_APP_API_URL || 'https://sevalink-ttbd.onrender.com'}${endpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify(application)
+      });
 
-      if (response && response.ok) {
-        if (request.type === 'complaint') {
-          showSuccess('Success', 'Application submitted successfully! You will be notified if selected.');
-        } else {
-          showSuccess('Success', 'Request accepted successfully!');
-        }
+      if (response.ok) {
+        showSuccess(t('common.success'), request.type === 'blood' ? t('allRequests.accepted') : t('allRequests.applied'));
         fetchRequests(pagination.current); // Refresh the list
         setShowModal(false);
-      } else if (response) {
+      } else {
         const errorData = await response.json();
-        showError('Error', errorData.message || 'Failed to accept request');
+        showError(t('common.error'), errorData.message || t('allRequests.acceptFailed'));
       }
     } catch (error) {
-      showError('Error', 'Network error while accepting request');
+      showError(t('common.error'), t('allRequests.acceptNetworkError'));
     } finally {
       setAcceptingRequest(null); // Clear loading state
     }
@@ -215,6 +264,7 @@ const VolunteerAllRequests = () => {
 
   const openRequestModal = (request) => {
     setSelectedRequest(request);
+    setShowOriginal(false);
     setShowModal(true);
   };
 
@@ -231,6 +281,28 @@ const VolunteerAllRequests = () => {
     setPagination(prev => ({ ...prev, current: 1 }));
   };
 
+  const handleRadiusChange = (value) => {
+    if (!value || hasSavedLocation || origin) {
+      handleFilterChange('radius', value);
+      return;
+    }
+
+    if (!navigator.geolocation) {
+      showError(t('allRequests.locationUnavailable'), t('allRequests.addLocationToProfile'));
+      return;
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setOrigin({ lat: position.coords.latitude, lng: position.coords.longitude });
+        handleFilterChange('radius', value);
+      },
+      () => {
+        showError(t('allRequests.locationUnavailable'), t('allRequests.allowLocationAccess'));
+      }
+    );
+  };
+
   const getTypeIcon = (type) => {
     switch (type) {
       case 'blood':
@@ -273,14 +345,9 @@ const VolunteerAllRequests = () => {
     return colors[bloodType] || 'bg-gray-500/20 text-gray-400 border-gray-500/30';
   };
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-  };
+  const formatDateTime = (value) => formatDate(value, DATE_TIME_FORMAT);
+
+  const displayedRequest = getDisplayedContent(selectedRequest, showOriginal);
 
   const RequestCard = ({ request }) => {
     const Icon = getTypeIcon(request.type);
@@ -298,7 +365,7 @@ const VolunteerAllRequests = () => {
           {/* Header with urgency and blood type */}
           <div className="flex justify-between items-start mb-4">
             <span className={`px-3 py-1 rounded-lg text-xs font-bold uppercase ${getUrgencyColor(request.urgencyLevel)}`}>
-              {request.urgencyLevel || 'MEDIUM'}
+              {t(`urgency.${request.urgencyLevel || 'medium'}`)}
             </span>
             <div className="bg-gradient-to-r from-red-500 to-pink-500 text-white px-3 py-1 rounded-lg text-sm font-bold">
               {request.bloodType}
@@ -310,19 +377,22 @@ const VolunteerAllRequests = () => {
             <div className="w-10 h-10 bg-gradient-to-r from-red-500 to-pink-500 rounded-lg flex items-center justify-center">
               <Icon className="w-5 h-5 text-white" />
             </div>
-            <h3 className="font-bold text-white text-lg">{request.patientName || request.requesterName || request.name || 'Patient'}</h3>
+            <h3 className="font-bold text-white text-lg">{request.patientName || request.requesterName || request.name || t('allRequests.patient')}</h3>
           </div>
 
           {/* Location */}
           <div className="flex items-center text-sm text-gray-300 mb-2">
             <MapPinIcon className="w-4 h-4 mr-2" />
             <span>{request.location?.city}, {request.location?.state}</span>
+            {request.distance != null && (
+              <span className="ml-2 text-blue-300">• {t('allRequests.kmAway', { distance: request.distance })}</span>
+            )}
           </div>
 
           {/* Date */}
           <div className="flex items-center text-sm text-gray-300 mb-4">
             <ClockIcon className="w-4 h-4 mr-2" />
-            <span>{formatDate(request.createdAt || request.requiredDate)}</span>
+            <span>{formatDateTime(request.createdAt || request.requiredDate)}</span>
           </div>
 
           {/* Action Button */}
@@ -330,7 +400,7 @@ const VolunteerAllRequests = () => {
             onClick={() => openRequestModal(request)}
             className="w-full bg-gradient-to-r from-red-500 to-pink-500 hover:from-red-600 hover:to-pink-600 text-white font-medium py-2 rounded-lg transition-all duration-300"
           >
-            View Details & Help
+            {t('allRequests.viewDetails')}
           </button>
         </motion.div>
       );
@@ -349,10 +419,10 @@ const VolunteerAllRequests = () => {
           {/* Header with service type */}
           <div className="flex justify-between items-start mb-4">
             <span className="px-3 py-1 rounded-lg text-xs font-bold uppercase bg-green-500/20 text-green-400">
-              {request.serviceType || 'GENERAL SUPPORT'}
+              {request.serviceType ? t(`options.serviceType.${request.serviceType}`) : t('allRequests.generalSupport')}
             </span>
             <div className="bg-gradient-to-r from-green-500 to-emerald-500 text-white px-3 py-1 rounded-lg text-sm font-bold">
-              ELDER CARE
+              {t('allRequests.elderCare')}
             </div>
           </div>
 
@@ -361,25 +431,28 @@ const VolunteerAllRequests = () => {
             <div className="w-10 h-10 bg-gradient-to-r from-green-500 to-emerald-500 rounded-lg flex items-center justify-center">
               <Icon className="w-5 h-5 text-white" />
             </div>
-            <h3 className="font-bold text-white text-lg">{request.requesterName || request.name || 'Senior Citizen'}</h3>
+            <h3 className="font-bold text-white text-lg">{request.requesterName || request.name || t('allRequests.seniorCitizen')}</h3>
           </div>
 
           {/* Location */}
           <div className="flex items-center text-sm text-gray-300 mb-2">
             <MapPinIcon className="w-4 h-4 mr-2" />
             <span>{request.location?.city}, {request.location?.state}</span>
+            {request.distance != null && (
+              <span className="ml-2 text-blue-300">• {t('allRequests.kmAway', { distance: request.distance })}</span>
+            )}
           </div>
 
           {/* Due Date */}
           <div className="flex items-center text-sm text-gray-300 mb-2">
             <ClockIcon className="w-4 h-4 mr-2" />
-            <span>Due: {request.dueDate ? formatDate(request.dueDate) : 'Not specified'}</span>
+            <span>{t('allRequests.due', { date: request.dueDate ? formatDateTime(request.dueDate) : t('allRequests.notSpecified') })}</span>
           </div>
 
           {/* Posted Date */}
           <div className="flex items-center text-sm text-gray-300 mb-4">
             <ClockIcon className="w-4 h-4 mr-2" />
-            <span>Posted: {formatDate(request.createdAt)}</span>
+            <span>{t('allRequests.posted', { date: formatDateTime(request.createdAt) })}</span>
           </div>
 
           {/* Action Button */}
@@ -387,7 +460,7 @@ const VolunteerAllRequests = () => {
             onClick={() => openRequestModal(request)}
             className="w-full bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white font-medium py-2 rounded-lg transition-all duration-300"
           >
-            View Details & Help
+            {t('allRequests.viewDetails')}
           </button>
         </motion.div>
       );
@@ -416,7 +489,7 @@ const VolunteerAllRequests = () => {
         {/* Header with urgency */}
         <div className="flex justify-between items-start mb-4">
           <span className={`px-3 py-1 rounded-lg text-xs font-bold uppercase ${getUrgencyColor(request.urgencyLevel || request.priority)}`}>
-            {(request.urgencyLevel || request.priority || 'MEDIUM').toUpperCase()}
+            {t(`urgency.${request.urgencyLevel || request.priority || 'medium'}`)}
           </span>
         </div>
 
@@ -425,19 +498,22 @@ const VolunteerAllRequests = () => {
           <div className={`w-10 h-10 bg-gradient-to-r ${getRequestTypeColor(request.type)} rounded-lg flex items-center justify-center`}>
             <Icon className="w-5 h-5 text-white" />
           </div>
-          <h3 className="font-bold text-white text-lg">{request.requesterName || request.name || 'Citizen'}</h3>
+          <h3 className="font-bold text-white text-lg">{request.requesterName || request.name || t('allRequests.citizen')}</h3>
         </div>
 
         {/* Location */}
         <div className="flex items-center text-sm text-gray-300 mb-2">
           <MapPinIcon className="w-4 h-4 mr-2" />
           <span>{request.location?.city}, {request.location?.state}</span>
+          {request.distance != null && (
+            <span className="ml-2 text-blue-300">• {t('allRequests.kmAway', { distance: request.distance })}</span>
+          )}
         </div>
 
         {/* Issue/Date */}
         <div className="flex items-center text-sm text-gray-300 mb-4">
           <ClockIcon className="w-4 h-4 mr-2" />
-          <span>{formatDate(request.createdAt)}</span>
+          <span>{formatDateTime(request.createdAt)}</span>
         </div>
 
         {/* Action Button */}
@@ -445,7 +521,7 @@ const VolunteerAllRequests = () => {
           onClick={() => openRequestModal(request)}
           className={`w-full bg-gradient-to-r ${getRequestTypeColor(request.type)} hover:opacity-90 text-white font-medium py-2 rounded-lg transition-all duration-300`}
         >
-          View Details & Help
+          {t('allRequests.viewDetails')}
         </button>
       </motion.div>
     );
@@ -460,41 +536,58 @@ const VolunteerAllRequests = () => {
         className="text-center"
       >
         <h1 className="text-4xl font-bold bg-gradient-to-r from-red-400 to-pink-400 bg-clip-text text-transparent mb-4">
-          {filters.type === 'blood' ? 'Blood Donation Requests' : 'Available Requests'}
+          {filters.type === 'blood' ? t('allRequests.bloodTitle') : t('allRequests.title')}
         </h1>
         <p className="text-gray-300 text-lg">
           {filters.type === 'blood'
-            ? 'Help save lives by donating blood to those in need'
-            : 'Help your community by accepting requests that match your skills'
+            ? t('allRequests.bloodSubtitle')
+            : t('allRequests.subtitle')
           }
         </p>
       </motion.div>
 
-      {/* Search only */}
+      {/* Search and distance */}
       <motion.div
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
         transition={{ delay: 0.1 }}
         className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20"
       >
-        <div className="max-w-md">
-          <label className="block text-sm font-medium text-gray-300 mb-2">Search</label>
-          <div className="relative">
-            <MagnifyingGlassIcon className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
-            <input
-              type="text"
-              value={filters.search}
-              onChange={(e) => handleFilterChange('search', e.target.value)}
-              placeholder="Search requests..."
-              className="w-full pl-10 pr-4 py-2 bg-white/10 border border-white/30 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500"
-            />
+        <div className="flex flex-col md:flex-row gap-4">
+          <div className="max-w-md flex-1">
+            <label className="block text-sm font-medium text-gray-300 mb-2">{t('allRequests.search')}</label>
+            <div className="relative">
+              <MagnifyingGlassIcon className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+              <input
+                type="text"
+                value={filters.search}
+                onChange={(e) => handleFilterChange('search', e.target.value)}
+                placeholder={t('allRequests.searchPlaceholder')}
+                className="w-full pl-10 pr-4 py-2 bg-white/10 border border-white/30 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500"
+              />
+            </div>
+          </div>
+
+          <div className="md:w-56">
+            <label className="block text-sm font-medium text-gray-300 mb-2">{t('allRequests.distance')}</label>
+            <select
+              value={filters.radius}
+              onChange={(e) => handleRadiusChange(e.target.value)}
+              className="w-full px-4 py-2 bg-white/10 border border-white/30 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+            >
+              <option value="" className="bg-gray-800">{t('allRequests.anywhere')}</option>
+              <option value="5" className="bg-gray-800">{t('allRequests.withinKm', { distance: 5 })}</option>
+              <option value="10" className="bg-gray-800">{t('allRequests.withinKm', { distance: 10 })}</option>
+              <option value="25" className="bg-gray-800">{t('allRequests.withinKm', { distance: 25 })}</option>
+              <option value="50" className="bg-gray-800">{t('allRequests.withinKm', { distance: 50 })}</option>
+            </select>
           </div>
         </div>
       </motion.div>
 
       {/* Results Count */}
       <div className="text-gray-300">
-        Showing {pagination.count} of {pagination.totalRequests} requests
+        {t('allRequests.showing', { count: pagination.count, total: pagination.totalRequests })}
       </div>
 
       {/* Requests Grid */}
@@ -525,8 +618,8 @@ const VolunteerAllRequests = () => {
           className="text-center py-12"
         >
           <HeartIcon className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-          <h3 className="text-xl font-semibold text-gray-300 mb-2">No requests found</h3>
-          <p className="text-gray-400">Try adjusting your filters or check back later for new requests.</p>
+          <h3 className="text-xl font-semibold text-gray-300 mb-2">{t('allRequests.emptyTitle')}</h3>
+          <p className="text-gray-400">{t('allRequests.emptyHint')}</p>
         </motion.div>
       )}
 
@@ -570,9 +663,9 @@ const VolunteerAllRequests = () => {
               <div className="flex justify-between items-start mb-6">
                 <div>
                   <h2 className="text-2xl font-bold text-white mb-2">
-                    {selectedRequest.type === 'blood' && 'Blood Donation Request'}
-                    {selectedRequest.type === 'elder_support' && 'Elder Support Request'}
-                    {selectedRequest.type === 'complaint' && selectedRequest.title}
+                    {selectedRequest.type === 'blood' && t('allRequests.modal.bloodTitle')}
+                    {selectedRequest.type === 'elder_support' && t('allRequests.modal.elderTitle')}
+                    {selectedRequest.type === 'complaint' && displayedRequest.title}
                   </h2>
                 </div>
                 <button
@@ -591,49 +684,49 @@ const VolunteerAllRequests = () => {
                     {/* Left Column - Request Information */}
                     <div className="space-y-6">
                       <div>
-                        <h3 className="text-lg font-semibold text-white mb-4">Request Information</h3>
+                        <h3 className="text-lg font-semibold text-white mb-4">{t('allRequests.modal.requestInformation')}</h3>
                         <div className="space-y-3">
                           <div className="flex justify-between items-center">
-                            <span className="text-gray-300">Blood Type:</span>
+                            <span className="text-gray-300">{t('allRequests.modal.bloodType')}</span>
                             <span className={`px-3 py-1 rounded-lg text-sm font-bold border ${getBloodTypeColor(selectedRequest.bloodType)}`}>
                               {selectedRequest.bloodType}
                             </span>
                           </div>
                           <div className="flex justify-between items-center">
-                            <span className="text-gray-300">Urgency:</span>
+                            <span className="text-gray-300">{t('allRequests.modal.urgency')}</span>
                             <span className={`px-3 py-1 rounded-lg text-xs font-bold uppercase border ${getUrgencyColor(selectedRequest.urgencyLevel)}`}>
-                              {selectedRequest.urgencyLevel || 'MEDIUM'}
+                              {t(`urgency.${selectedRequest.urgencyLevel || 'medium'}`)}
                             </span>
                           </div>
                           <div className="flex justify-between items-center">
-                            <span className="text-gray-300">Requested by:</span>
-                            <span className="text-white font-medium">{selectedRequest.requesterName || selectedRequest.name || 'Citizen'}</span>
+                            <span className="text-gray-300">{t('allRequests.modal.requestedBy')}</span>
+                            <span className="text-white font-medium">{selectedRequest.requesterName || selectedRequest.name || t('allRequests.citizen')}</span>
                           </div>
                           <div className="flex justify-between items-center">
-                            <span className="text-gray-300">Date:</span>
-                            <span className="text-white">{formatDate(selectedRequest.createdAt)}</span>
+                            <span className="text-gray-300">{t('allRequests.modal.date')}</span>
+                            <span className="text-white">{formatDateTime(selectedRequest.createdAt)}</span>
                           </div>
                         </div>
                       </div>
 
                       <div>
-                        <h4 className="text-md font-semibold text-white mb-2">Location:</h4>
+                        <h4 className="text-md font-semibold text-white mb-2">{t('allRequests.modal.locationLabel')}</h4>
                         <div className="bg-gray-800/50 rounded-lg p-3">
                           <p className="text-gray-300 text-sm">
                             {selectedRequest.location?.city && selectedRequest.location?.state
                               ? `${selectedRequest.location.address ? selectedRequest.location.address + ', ' : ''}${selectedRequest.location.city}, ${selectedRequest.location.state}${selectedRequest.location.pincode ? ' - ' + selectedRequest.location.pincode : ''}`
-                              : 'Location will be shared after volunteering'}
+                              : t('allRequests.modal.locationAfterVolunteering')}
                           </p>
                         </div>
                       </div>
 
                       <div>
-                        <h4 className="text-md font-semibold text-white mb-2">Contact:</h4>
+                        <h4 className="text-md font-semibold text-white mb-2">{t('allRequests.modal.contactLabel')}</h4>
                         <div className="bg-gray-800/50 rounded-lg p-3 flex items-center space-x-2">
                           <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 5a2 2 0 012-2h3.28a1 1 0 01.948.684l1.498 4.493a1 1 0 01-.502 1.21l-2.257 1.13a11.042 11.042 0 005.516 5.516l1.13-2.257a1 1 0 011.21-.502l4.493 1.498a1 1 0 01.684.949V19a2 2 0 01-2 2h-1C9.716 21 3 14.284 3 6V5z" />
                           </svg>
-                          <span className="text-gray-300 text-sm">Phone number hidden until you volunteer</span>
+                          <span className="text-gray-300 text-sm">{t('allRequests.modal.phoneNumberHidden')}</span>
                         </div>
                       </div>
                     </div>
@@ -641,7 +734,7 @@ const VolunteerAllRequests = () => {
                     {/* Right Column - How You Can Help */}
                     <div className="space-y-6">
                       <div>
-                        <h3 className="text-lg font-semibold text-white mb-4">How You Can Help</h3>
+                        <h3 className="text-lg font-semibold text-white mb-4">{t('allRequests.modal.howYouCanHelp')}</h3>
 
                         <div className="bg-red-900/30 border border-red-500/30 rounded-lg p-4 mb-4">
                           <div className="flex items-start space-x-2">
@@ -649,32 +742,32 @@ const VolunteerAllRequests = () => {
                               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L4.082 16.5c-.77.833.192 2.5 1.732 2.5z" />
                             </svg>
                             <div>
-                              <h4 className="text-red-400 font-semibold text-sm mb-1">Important Information</h4>
+                              <h4 className="text-red-400 font-semibold text-sm mb-1">{t('allRequests.modal.importantInformation')}</h4>
                               <p className="text-gray-300 text-sm">
-                                By volunteering, you agree to contact the requester and coordinate the blood donation process. Please ensure you are eligible to donate blood.
+                                {t('allRequests.modal.bloodAgreement')}
                               </p>
                             </div>
                           </div>
                         </div>
 
                         <div>
-                          <h4 className="text-md font-semibold text-white mb-3">Donation Requirements:</h4>
+                          <h4 className="text-md font-semibold text-white mb-3">{t('allRequests.modal.donationRequirements')}</h4>
                           <ul className="space-y-2 text-sm text-gray-300">
                             <li className="flex items-center space-x-2">
                               <span className="w-1.5 h-1.5 bg-green-400 rounded-full"></span>
-                              <span>Age: 18-65 years</span>
+                              <span>{t('allRequests.modal.requirementAge')}</span>
                             </li>
                             <li className="flex items-center space-x-2">
                               <span className="w-1.5 h-1.5 bg-green-400 rounded-full"></span>
-                              <span>Weight: Minimum 50kg</span>
+                              <span>{t('allRequests.modal.requirementWeight')}</span>
                             </li>
                             <li className="flex items-center space-x-2">
                               <span className="w-1.5 h-1.5 bg-green-400 rounded-full"></span>
-                              <span>Good health condition</span>
+                              <span>{t('allRequests.modal.requirementHealth')}</span>
                             </li>
                             <li className="flex items-center space-x-2">
                               <span className="w-1.5 h-1.5 bg-green-400 rounded-full"></span>
-                              <span>No recent illness or medication</span>
+                              <span>{t('allRequests.modal.requirementIllness')}</span>
                             </li>
                           </ul>
                         </div>
@@ -689,31 +782,31 @@ const VolunteerAllRequests = () => {
                     {/* Service Type and Urgency */}
                     <div className="flex flex-wrap gap-3">
                       <span className={`px-3 py-1 rounded-full text-sm font-bold ${getUrgencyColor(selectedRequest.urgencyLevel)}`}>
-                        {selectedRequest.urgencyLevel?.toUpperCase()} PRIORITY
+                        {t('allRequests.modal.priority', { level: t(`urgency.${selectedRequest.urgencyLevel || 'medium'}`) })}
                       </span>
                     </div>
 
                     {/* Service Details */}
                     <div>
-                      <h3 className="text-lg font-semibold text-white mb-3">Service Details</h3>
+                      <h3 className="text-lg font-semibold text-white mb-3">{t('allRequests.modal.serviceDetails')}</h3>
                       <div className="bg-white/5 rounded-lg p-4 space-y-3">
                         <p className="text-gray-300">
-                          <span className="font-medium">Service Type:</span> {selectedRequest.serviceType || 'Not specified'}
+                          <span className="font-medium">{t('allRequests.modal.serviceType')}</span> {selectedRequest.serviceType ? t(`options.serviceType.${selectedRequest.serviceType}`) : t('allRequests.notSpecified')}
                         </p>
                         <p className="text-gray-300">
-                          <span className="font-medium">Due Date:</span> {selectedRequest.dueDate ? formatDate(selectedRequest.dueDate) : 'Not specified'}
+                          <span className="font-medium">{t('allRequests.modal.dueDateLabel')}</span> {selectedRequest.dueDate ? formatDateTime(selectedRequest.dueDate) : t('allRequests.notSpecified')}
                         </p>
                       </div>
                     </div>
 
                     {/* Contact Information */}
                     <div>
-                      <h3 className="text-lg font-semibold text-white mb-3">Contact Information</h3>
+                      <h3 className="text-lg font-semibold text-white mb-3">{t('allRequests.modal.contactInformation')}</h3>
                       <div className="bg-white/5 rounded-lg p-4 space-y-3">
                         <div className="flex items-center">
                           <User className="w-5 h-5 mr-3 text-gray-400" />
                           <span className="text-gray-300">
-                            <span className="font-medium">Name:</span> {selectedRequest.requesterName || selectedRequest.name || 'Not specified'}
+                            <span className="font-medium">{t('allRequests.modal.name')}</span> {selectedRequest.requesterName || selectedRequest.name || t('allRequests.notSpecified')}
                           </span>
                         </div>
                         <div className="flex items-center">
@@ -721,7 +814,7 @@ const VolunteerAllRequests = () => {
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 5a2 2 0 012-2h3.28a1 1 0 01.948.684l1.498 4.493a1 1 0 01-.502 1.21l-2.257 1.13a11.042 11.042 0 005.516 5.516l1.13-2.257a1 1 0 011.21-.502l4.493 1.498a1 1 0 01.684.949V19a2 2 0 01-2 2h-1C9.716 21 3 14.284 3 6V5z" />
                           </svg>
                           <span className="text-gray-300">
-                            <span className="font-medium">Phone:</span> Hidden until you volunteer
+                            <span className="font-medium">{t('allRequests.modal.phone')}</span> {t('allRequests.phoneHidden')}
                           </span>
                         </div>
                       </div>
@@ -735,31 +828,39 @@ const VolunteerAllRequests = () => {
                     {/* Priority */}
                     <div className="flex flex-wrap gap-3">
                       <span className={`px-3 py-1 rounded-full text-sm font-bold ${getUrgencyColor(selectedRequest.priority)}`}>
-                        {selectedRequest.priority?.toUpperCase()} PRIORITY
+                        {t('allRequests.modal.priority', { level: t(`urgency.${selectedRequest.priority || 'medium'}`) })}
                       </span>
                     </div>
 
                     {/* Complaint Details */}
                     <div>
-                      <h3 className="text-lg font-semibold text-white mb-3">Complaint Details</h3>
+                      <div className="flex items-center justify-between mb-3">
+                        <h3 className="text-lg font-semibold text-white">{t('allRequests.modal.complaintDetails')}</h3>
+                        <TranslationToggle
+                          item={selectedRequest}
+                          showOriginal={showOriginal}
+                          onToggle={setShowOriginal}
+                          className="text-blue-300"
+                        />
+                      </div>
                       <div className="bg-white/5 rounded-lg p-4 space-y-3">
                         <p className="text-gray-300">
-                          <span className="font-medium">Issue:</span> {selectedRequest.title}
+                          <span className="font-medium">{t('allRequests.modal.issue')}</span> {displayedRequest.title}
                         </p>
                         <p className="text-gray-300">
-                          <span className="font-medium">Description:</span> {selectedRequest.description}
+                          <span className="font-medium">{t('allRequests.modal.description')}</span> {displayedRequest.description}
                         </p>
                       </div>
                     </div>
 
                     {/* Contact Information */}
                     <div>
-                      <h3 className="text-lg font-semibold text-white mb-3">Contact Information</h3>
+                      <h3 className="text-lg font-semibold text-white mb-3">{t('allRequests.modal.contactInformation')}</h3>
                       <div className="bg-white/5 rounded-lg p-4 space-y-3">
                         <div className="flex items-center">
                           <User className="w-5 h-5 mr-3 text-gray-400" />
                           <span className="text-gray-300">
-                            <span className="font-medium">Name:</span> {selectedRequest.requesterName || selectedRequest.name || 'Not specified'}
+                            <span className="font-medium">{t('allRequests.modal.name')}</span> {selectedRequest.requesterName || selectedRequest.name || t('allRequests.notSpecified')}
                           </span>
                         </div>
                         <div className="flex items-center">
@@ -767,7 +868,7 @@ const VolunteerAllRequests = () => {
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 5a2 2 0 012-2h3.28a1 1 0 01.948.684l1.498 4.493a1 1 0 01-.502 1.21l-2.257 1.13a11.042 11.042 0 005.516 5.516l1.13-2.257a1 1 0 011.21-.502l4.493 1.498a1 1 0 01.684.949V19a2 2 0 01-2 2h-1C9.716 21 3 14.284 3 6V5z" />
                           </svg>
                           <span className="text-gray-300">
-                            <span className="font-medium">Phone:</span> {selectedRequest.phone || 'Hidden until you volunteer'}
+                            <span className="font-medium">{t('allRequests.modal.phone')}</span> {selectedRequest.phone || t('allRequests.phoneHidden')}
                           </span>
                         </div>
                       </div>
@@ -777,13 +878,13 @@ const VolunteerAllRequests = () => {
 
                 {/* Common Location Information */}
                 <div>
-                  <h3 className="text-lg font-semibold text-white mb-3">Location</h3>
+                  <h3 className="text-lg font-semibold text-white mb-3">{t('allRequests.modal.location')}</h3>
                   <div className="flex items-center text-gray-300">
                     <MapPinIcon className="w-5 h-5 mr-2" />
                     <span>
                       {selectedRequest.location?.address ||
                        `${selectedRequest.location?.city || ''}, ${selectedRequest.location?.state || ''}`.trim().replace(/^,\s*|,\s*$/g, '') ||
-                       'Location not specified'}
+                       t('allRequests.locationNotSpecified')}
                       {selectedRequest.location?.pincode && ` - ${selectedRequest.location.pincode}`}
                     </span>
                   </div>
@@ -792,10 +893,10 @@ const VolunteerAllRequests = () => {
                 {/* Due Date (if applicable) */}
                 {selectedRequest.dueDate && (
                   <div>
-                    <h3 className="text-lg font-semibold text-white mb-3">Due Date</h3>
+                    <h3 className="text-lg font-semibold text-white mb-3">{t('allRequests.modal.dueDate')}</h3>
                     <div className="flex items-center text-gray-300">
                       <ClockIcon className="w-5 h-5 mr-2" />
-                      <span>{formatDate(selectedRequest.dueDate)}</span>
+                      <span>{formatDateTime(selectedRequest.dueDate)}</span>
                     </div>
                   </div>
                 )}
@@ -813,14 +914,14 @@ const VolunteerAllRequests = () => {
                       {acceptingRequest === selectedRequest._id ? (
                         <>
                           <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
-                          <span>Accepting...</span>
+                          <span>{t('allRequests.modal.accepting')}</span>
                         </>
                       ) : (
-                        <span>I Want to Help - Contact Requester</span>
+                        <span>{t('allRequests.modal.wantToHelp')}</span>
                       )}
                     </button>
                     <p className="text-center text-gray-400 text-xs">
-                      Your contact information will be shared with the requester
+                      {t('allRequests.modal.contactShared')}
                     </p>
                   </div>
                 )}
@@ -828,31 +929,28 @@ const VolunteerAllRequests = () => {
                   <div className="space-y-4">
                     <button
                       onClick={() => handleAcceptRequest(selectedRequest._id)}
-                      disabled={acceptingRequest === selectedRequest._id}
+                      disabled={acceptingRequest === selectedRequest._id || selectedRequest.applicationStatus === 'pending'}
                       className="w-full bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 disabled:opacity-50 disabled:cursor-not-allowed text-white font-semibold py-4 px-6 rounded-lg transition-all duration-300 flex items-center justify-center space-x-2"
                     >
                       {acceptingRequest === selectedRequest._id ? (
                         <>
                           <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
-                          <span>{selectedRequest.type === 'complaint' ? 'Applying...' : 'Accepting...'}</span>
+                          <span>{t('allRequests.modal.applying')}</span>
                         </>
                       ) : (
                         <>
                           <CheckCircleIcon className="w-5 h-5" />
                           <span>
-                            {selectedRequest.type === 'complaint'
-                              ? 'Apply to Help'
-                              : 'I Want to Help - Contact Requester'
+                            {selectedRequest.applicationStatus === 'pending'
+                              ? t('allRequests.modal.applicationPending')
+                              : t('allRequests.modal.applyToHelp')
                             }
                           </span>
                         </>
                       )}
                     </button>
                     <p className="text-center text-gray-400 text-xs">
-                      {selectedRequest.type === 'complaint'
-                        ? 'You will be notified if your application is accepted'
-                        : 'Your contact information will be shared with the requester'
-                      }
+                      {t('allRequests.modal.applicationNotice')}
                     </p>
                   </div>
                 )}
@@ -9,11 +9,20 @@ import {
   ExclamationTriangleIcon
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../hooks/useAuth';
+import { useTranslation } from '../contexts/LanguageContext';
 import { showError, showSuccess, showLoading, closeLoading } from '../utils/alerts';
 import ComplaintDetailModal from '../components/complaints/ComplaintDetailModal';
 
+const DATE_TIME_FORMAT = {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+};
+
 const VolunteerDashboard = () => {
   const { user } = useAuth();
+  const { t, formatDate, formatNumber } = useTranslation();
   const [dashboardData, setDashboardData] = useState({
     stats: { assigned: 0, available: 0, totalResolved: 0 },
     assignedComplaints: [],
@@ -35,10 +44,10 @@ const VolunteerDashboard = () => {
         const data = await response.json();
         setDashboardData(data);
       } else {
-        showError('Error', 'Failed to fetch dashboard data');
+        showError(t('common.error'), t('dashboard.volunteerComplaints.fetchFailed'));
       }
     } catch (error) {
-      showError('Error', 'Network error while fetching dashboard data');
+      showError(t('common.error'), t('dashboard.volunteerComplaints.fetchNetworkError'));
     } finally {
       setLoading(false);
     }
@@ -48,11 +57,11 @@ const VolunteerDashboard = () => {
     if (user?.role === 'volunteer') {
       fetchDashboardData();
     }
-  }, [user]);
+  }, [user]); // eslint-disable-line react-hooks/exhaustive-deps
 
   const handleApplyForComplaint = async (complaintId) => {
     try {
-      showLoading('Applying for complaint...');
+      showLoading(t('complaints.applying'));
 
       const response = await fetch(`${process.env.REACT_APP_API_URL || 'https://sevalink-ttbd.onrender.com'}/api/complaints/${complaintId}/apply`, {
         method: 'POST',
@@ -61,23 +70,23 @@ const VolunteerDashboard = () => {
           'Authorization': `Bearer ${localStorage.getItem('token')}`
         },
         body: JSON.stringify({
-          message: 'I would like to help with this complaint.',
-          estimatedTime: 'Within 24 hours'
+          message: t('complaints.applyMessage'),
+          estimatedTime: t('complaints.applyEstimatedTime')
         })
       });
 
       if (response.ok) {
         closeLoading();
-        showSuccess('Success', 'Application submitted successfully!');
+        showSuccess(t('common.success'), t('complaints.applied'));
         fetchDashboardData();
       } else {
         const data = await response.json();
         closeLoading();
-        showError('Error', data.message || 'Failed to apply for complaint');
+        showError(t('common.error'), data.message || t('complaints.applyFailed'));
       }
     } catch (error) {
       closeLoading();
-      showError('Error', 'Network error while applying for complaint');
+      showError(t('common.error'), t('complaints.applyNetworkError'));
     }
   };
 
@@ -102,14 +111,7 @@ const VolunteerDashboard = () => {
     return colors[priority] || 'text-gray-600';
   };
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-  };
+  const formatDateTime = (value) => formatDate(value, DATE_TIME_FORMAT);
 
   const ComplaintCard = ({ complaint, showApplyButton = false }) => (
     <motion.div
@@ -125,11 +127,11 @@ const VolunteerDashboard = () => {
           <p className="text-gray-600 text-sm line-clamp-2">{complaint.description}</p>
         </div>
         <div className="flex flex-col items-end space-y-2">
-          <span className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(complaint.status)}`}>
-            {complaint.status.replace('_', ' ').toUpperCase()}
+          <span className={`px-3 py-1 rounded-full text-xs font-medium uppercase ${getStatusColor(complaint.status)}`}>
+            {t(`status.${complaint.status}`)}
           </span>
-          <span className={`text-xs font-medium ${getPriorityColor(complaint.priority)}`}>
-            {complaint.priority.toUpperCase()}
+          <span className={`text-xs font-medium uppercase ${getPriorityColor(complaint.priority)}`}>
+            {t(`urgency.${complaint.priority}`)}
           </span>
         </div>
       </div>
@@ -138,11 +140,11 @@ const VolunteerDashboard = () => {
         <div className="flex items-center space-x-4">
           <div className="flex items-center space-x-1">
             <MapPinIcon className="w-4 h-4" />
-            <span>{complaint.category.replace('_', ' ')}</span>
+            <span>{t(`complaints.categories.${complaint.category}`)}</span>
           </div>
           <div className="flex items-center space-x-1">
             <ClockIcon className="w-4 h-4" />
-            <span>{formatDate(complaint.createdAt)}</span>
+            <span>{formatDateTime(complaint.createdAt)}</span>
           </div>
         </div>
 
@@ -154,14 +156,14 @@ const VolunteerDashboard = () => {
             }}
             className="px-3 py-1 bg-blue-500 text-white rounded-lg text-xs hover:bg-blue-600 transition-colors"
           >
-            Apply
+            {t('complaints.apply')}
           </button>
         )}
       </div>
 
       <div className="mt-3 pt-3 border-t border-gray-100">
         <div className="flex items-center space-x-2 text-sm text-gray-600">
-          <span>Submitted by: {complaint.citizen.name}</span>
+          <span>{t('dashboard.volunteerComplaints.submittedBy', { name: complaint.citizen.name })}</span>
         </div>
       </div>
     </motion.div>
@@ -172,8 +174,8 @@ const VolunteerDashboard = () => {
       <div className="min-h-screen bg-gray-50 pt-20 flex items-center justify-center">
         <div className="text-center">
           <ExclamationTriangleIcon className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-          <h2 className="text-2xl font-bold text-gray-900 mb-2">Access Denied</h2>
-          <p className="text-gray-600">This page is only accessible to volunteers.</p>
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">{t('dashboard.volunteerComplaints.accessDenied')}</h2>
+          <p className="text-gray-600">{t('dashboard.volunteerComplaints.volunteersOnly')}</p>
         </div>
       </div>
     );
@@ -188,8 +190,8 @@ const VolunteerDashboard = () => {
           animate={{ opacity: 1, y: 0 }}
           className="mb-8"
         >
-          <h1 className="text-4xl font-bold text-gray-900 mb-2">Volunteer Dashboard</h1>
-          <p className="text-gray-600">Help resolve community issues and make a difference</p>
+          <h1 className="text-4xl font-bold text-gray-900 mb-2">{t('nav.volunteerDashboard')}</h1>
+          <p className="text-gray-600">{t('dashboard.volunteerComplaints.subtitle')}</p>
         </motion.div>
 
         {/* Stats Cards */}
@@ -205,8 +207,8 @@ const VolunteerDashboard = () => {
                 <ClipboardDocumentListIcon className="w-8 h-8 text-blue-600" />
               </div>
               <div className="ml-4">
-                <h3 className="text-lg font-semibold text-gray-900">Assigned</h3>
-                <p className="text-3xl font-bold text-blue-600">{dashboardData.stats.assigned}</p>
+                <h3 className="text-lg font-semibold text-gray-900">{t('status.assigned')}</h3>
+                <p className="text-3xl font-bold text-blue-600">{formatNumber(dashboardData.stats.assigned)}</p>
               </div>
             </div>
           </div>
@@ -217,8 +219,8 @@ const VolunteerDashboard = () => {
                 <UserGroupIcon className="w-8 h-8 text-yellow-600" />
               </div>
               <div className="ml-4">
-                <h3 className="text-lg font-semibold text-gray-900">Available</h3>
-                <p className="text-3xl font-bold text-yellow-600">{dashboardData.stats.available}</p>
+                <h3 className="text-lg font-semibold text-gray-900">{t('dashboard.volunteerComplaints.available')}</h3>
+                <p className="text-3xl font-bold text-yellow-600">{formatNumber(dashboardData.stats.available)}</p>
               </div>
             </div>
           </div>
@@ -229,8 +231,8 @@ const VolunteerDashboard = () => {
                 <CheckCircleIcon className="w-8 h-8 text-green-600" />
               </div>
               <div className="ml-4">
-                <h3 className="text-lg font-semibold text-gray-900">Resolved</h3>
-                <p className="text-3xl font-bold text-green-600">{dashboardData.stats.totalResolved}</p>
+                <h3 className="text-lg font-semibold text-gray-900">{t('status.resolved')}</h3>
+                <p className="text-3xl font-bold text-green-600">{formatNumber(dashboardData.stats.totalResolved)}</p>
               </div>
             </div>
           </div>
@@ -248,7 +250,7 @@ const VolunteerDashboard = () => {
               animate={{ opacity: 1, y: 0 }}
               transition={{ delay: 0.2 }}
             >
-              <h2 className="text-2xl font-bold text-gray-900 mb-6">My Assigned Complaints</h2>
+              <h2 className="text-2xl font-bold text-gray-900 mb-6">{t('dashboard.volunteerComplaints.myAssigned')}</h2>
               {dashboardData.assignedComplaints.length > 0 ? (
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
                   {dashboardData.assignedComplaints.map((complaint) => (
@@ -258,8 +260,8 @@ const VolunteerDashboard = () => {
               ) : (
                 <div className="bg-white rounded-xl shadow-lg p-8 text-center">
                   <ClipboardDocumentListIcon className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-                  <h3 className="text-xl font-semibold text-gray-900 mb-2">No Assigned Complaints</h3>
-                  <p className="text-gray-600">You don't have any assigned complaints yet. Check available complaints below.</p>
+                  <h3 className="text-xl font-semibold text-gray-900 mb-2">{t('dashboard.volunteerComplaints.noAssigned')}</h3>
+                  <p className="text-gray-600">{t('dashboard.volunteerComplaints.noAssignedHint')}</p>
                 </div>
               )}
             </motion.div>
@@ -270,7 +272,7 @@ const VolunteerDashboard = () => {
               animate={{ opacity: 1, y: 0 }}
               transition={{ delay: 0.3 }}
             >
-              <h2 className="text-2xl font-bold text-gray-900 mb-6">Available Complaints</h2>
+              <h2 className="text-2xl font-bold text-gray-900 mb-6">{t('dashboard.volunteerComplaints.availableComplaints')}</h2>
               {dashboardData.availableComplaints.length > 0 ? (
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
                   {dashboardData.availableComplaints.map((complaint) => (
@@ -284,8 +286,8 @@ const VolunteerDashboard = () => {
               ) : (
                 <div className="bg-white rounded-xl shadow-lg p-8 text-center">
                   <UserGroupIcon className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-                  <h3 className="text-xl font-semibold text-gray-900 mb-2">No Available Complaints</h3>
-                  <p className="text-gray-600">There are no open complaints available for application at the moment.</p>
+                  <h3 className="text-xl font-semibold text-gray-900 mb-2">{t('dashboard.volunteerComplaints.noAvailable')}</h3>
+                  <p className="text-gray-600">{t('dashboard.volunteerComplaints.noAvailableHint')}</p>
                 </div>
               )}
             </motion.div>
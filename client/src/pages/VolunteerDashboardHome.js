@@ -10,12 +10,23 @@ import {
   CalendarIcon
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../hooks/useAuth';
+import { useTranslation } from '../contexts/LanguageContext';
 import { StatsSkeleton } from '../components/ui/SkeletonLoader';
 import apiClient from '../utils/apiClient';
 
+const DATE_TIME_FORMAT = {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+};
+
+const RATING_FORMAT = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+
 const VolunteerDashboardHome = () => {
   const { user } = useAuth();
   const navigate = useNavigate();
+  const { t, formatDate, formatNumber } = useTranslation();
   const [stats, setStats] = useState({
     totalHelped: 0,
     activeRequests: 0,
@@ -59,24 +70,24 @@ const VolunteerDashboardHome = () => {
 
   const quickActions = [
     {
-      title: 'Add Blood Request',
-      description: 'Create a new blood donation request',
+      title: t('nav.addBloodRequest'),
+      description: t('dashboard.volunteer.addBloodRequestHint'),
       icon: HeartIcon,
       color: 'bg-red-500',
       hoverColor: 'hover:bg-red-600',
       action: () => navigate('/volunteer-dashboard/add-blood-request')
     },
     {
-      title: 'View All Requests',
-      description: 'Browse available requests to help',
+      title: t('dashboard.volunteer.viewAllRequests'),
+      description: t('dashboard.volunteer.viewAllRequestsHint'),
       icon: ClipboardDocumentListIcon,
       color: 'bg-blue-500',
       hoverColor: 'hover:bg-blue-600',
       action: () => navigate('/volunteer-dashboard/all-requests')
     },
     {
-      title: 'My Accepted Requests',
-      description: 'Manage your accepted requests',
+      title: t('acceptedRequests.title'),
+      description: t('dashboard.volunteer.acceptedRequestsHint'),
       icon: CheckCircleIcon,
       color: 'bg-green-500',
       hoverColor: 'hover:bg-green-600',
@@ -103,21 +114,16 @@ const VolunteerDashboardHome = () => {
         return 'bg-green-100 text-green-800';
       case 'in_progress':
         return 'bg-blue-100 text-blue-800';
-      case 'completed':
+      case 'fulfilled':
         return 'bg-purple-100 text-purple-800';
+      case 'cancelled':
+        return 'bg-red-100 text-red-800';
       default:
         return 'bg-gray-100 text-gray-800';
     }
   };
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-  };
+  const formatDateTime = (value) => formatDate(value, DATE_TIME_FORMAT);
 
   return (
     <div className="max-w-7xl mx-auto w-full space-y-8">
@@ -129,19 +135,19 @@ const VolunteerDashboardHome = () => {
       >
         <div className="flex items-center justify-between">
           <div>
-            <h1 className="text-4xl font-bold mb-2">Welcome back, {user?.name}!</h1>
+            <h1 className="text-4xl font-bold mb-2">{t('dashboard.welcome', { name: user?.name })}</h1>
             <p className="text-blue-100 text-lg">
-              Thank you for being a community hero. Ready to help someone today?
+              {t('dashboard.volunteer.tagline')}
             </p>
           </div>
           <div className="hidden md:flex items-center space-x-4">
             <div className="text-center">
-              <div className="text-3xl font-bold">{stats.totalHelped}</div>
-              <div className="text-sm text-blue-100">People Helped</div>
+              <div className="text-3xl font-bold">{formatNumber(stats.totalHelped)}</div>
+              <div className="text-sm text-blue-100">{t('dashboard.volunteer.peopleHelped')}</div>
             </div>
             <div className="text-center">
-              <div className="text-3xl font-bold">{stats.rating.toFixed(1)}</div>
-              <div className="text-sm text-blue-100">Rating</div>
+              <div className="text-3xl font-bold">{formatNumber(stats.rating, RATING_FORMAT)}</div>
+              <div className="text-sm text-blue-100">{t('dashboard.volunteer.rating')}</div>
             </div>
           </div>
         </div>
@@ -161,8 +167,8 @@ const VolunteerDashboardHome = () => {
             <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
               <div className="flex items-center justify-between">
                 <div>
-                  <p className="text-gray-300 text-sm">Active Requests</p>
-                  <p className="text-3xl font-bold text-white">{stats.activeRequests}</p>
+                  <p className="text-gray-300 text-sm">{t('dashboard.volunteer.activeRequests')}</p>
+                  <p className="text-3xl font-bold text-white">{formatNumber(stats.activeRequests)}</p>
                 </div>
                 <ClockIcon className="w-8 h-8 text-orange-400" />
               </div>
@@ -171,8 +177,8 @@ const VolunteerDashboardHome = () => {
             <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
               <div className="flex items-center justify-between">
                 <div>
-                  <p className="text-gray-300 text-sm">Accepted Requests</p>
-                  <p className="text-3xl font-bold text-white">{stats.acceptedRequests}</p>
+                  <p className="text-gray-300 text-sm">{t('nav.acceptedRequests')}</p>
+                  <p className="text-3xl font-bold text-white">{formatNumber(stats.acceptedRequests)}</p>
                 </div>
                 <CheckCircleIcon className="w-8 h-8 text-green-400" />
               </div>
@@ -181,8 +187,8 @@ const VolunteerDashboardHome = () => {
             <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
               <div className="flex items-center justify-between">
                 <div>
-                  <p className="text-gray-300 text-sm">Blood Donations</p>
-                  <p className="text-3xl font-bold text-white">{stats.bloodDonations}</p>
+                  <p className="text-gray-300 text-sm">{t('dashboard.volunteer.bloodDonations')}</p>
+                  <p className="text-3xl font-bold text-white">{formatNumber(stats.bloodDonations)}</p>
                 </div>
                 <HeartIcon className="w-8 h-8 text-red-400" />
               </div>
@@ -191,8 +197,8 @@ const VolunteerDashboardHome = () => {
             <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
               <div className="flex items-center justify-between">
                 <div>
-                  <p className="text-gray-300 text-sm">Elder Support</p>
-                  <p className="text-3xl font-bold text-white">{stats.elderSupport}</p>
+                  <p className="text-gray-300 text-sm">{t('addRequest.types.elder_support.name')}</p>
+                  <p className="text-3xl font-bold text-white">{formatNumber(stats.elderSupport)}</p>
                 </div>
                 <UserGroupIcon className="w-8 h-8 text-blue-400" />
               </div>
@@ -208,7 +214,7 @@ const VolunteerDashboardHome = () => {
         transition={{ delay: 0.2 }}
         className="bg-white/10 backdrop-blur-lg rounded-2xl p-8 border border-white/20"
       >
-        <h2 className="text-2xl font-bold text-white mb-6">Quick Actions</h2>
+        <h2 className="text-2xl font-bold text-white mb-6">{t('dashboard.quickActions')}</h2>
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           {quickActions.map((action, index) => {
             const Icon = action.icon;
@@ -236,7 +242,7 @@ const VolunteerDashboardHome = () => {
         transition={{ delay: 0.3 }}
         className="bg-white/10 backdrop-blur-lg rounded-2xl p-8 border border-white/20"
       >
-        <h2 className="text-2xl font-bold text-white mb-6">Recent Activity</h2>
+        <h2 className="text-2xl font-bold text-white mb-6">{t('dashboard.volunteer.recentActivity')}</h2>
         
         {loading ? (
           <div className="space-y-4">
@@ -270,12 +276,12 @@ const VolunteerDashboardHome = () => {
                       <h3 className="font-semibold text-white">{request.title}</h3>
                       <p className="text-sm text-gray-300 flex items-center">
                         <CalendarIcon className="w-4 h-4 mr-1" />
-                        {formatDate(request.createdAt)}
+                        {formatDateTime(request.createdAt)}
                       </p>
                     </div>
                   </div>
-                  <span className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(request.status)}`}>
-                    {request.status.replace('_', ' ').toUpperCase()}
+                  <span className={`px-3 py-1 rounded-full text-xs font-medium uppercase ${getStatusColor(request.status)}`}>
+                    {t(`status.${request.status}`)}
                   </span>
                 </div>
               );
@@ -284,8 +290,8 @@ const VolunteerDashboardHome = () => {
         ) : (
           <div className="text-center py-8">
             <ClipboardDocumentListIcon className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-            <p className="text-gray-300 text-lg">No recent activity</p>
-            <p className="text-gray-400">Start helping your community today!</p>
+            <p className="text-gray-300 text-lg">{t('dashboard.volunteer.noActivity')}</p>
+            <p className="text-gray-400">{t('dashboard.volunteer.noActivityHint')}</p>
           </div>
         )}
       </motion.div>
@@ -297,7 +303,7 @@ const VolunteerDashboardHome = () => {
         transition={{ delay: 0.4 }}
         className="bg-white/10 backdrop-blur-lg rounded-2xl p-8 border border-white/20"
       >
-        <h2 className="text-2xl font-bold text-white mb-6">My Blood Requests</h2>
+        <h2 className="text-2xl font-bold text-white mb-6">{t('dashboard.volunteer.myBloodRequests')}</h2>
 
         {loading ? (
           <div className="space-y-4">
@@ -326,22 +332,22 @@ const VolunteerDashboardHome = () => {
                     <HeartIcon className="w-6 h-6 text-white" />
                   </div>
                   <div>
-                    <h3 className="font-semibold text-white">{request.bloodType} Blood Request</h3>
+                    <h3 className="font-semibold text-white">{t('dashboard.volunteer.bloodRequestTitle', { bloodType: request.bloodType })}</h3>
                     <p className="text-sm text-gray-300 flex items-center">
                       <CalendarIcon className="w-4 h-4 mr-1" />
-                      {formatDate(request.createdAt)}
+                      {formatDateTime(request.createdAt)}
                     </p>
                   </div>
                 </div>
                 <div className="text-right">
-                  <span className={`px-3 py-1 rounded-full text-xs font-medium ${
+                  <span className={`px-3 py-1 rounded-full text-xs font-medium uppercase ${
                     request.status === 'accepted' ? 'bg-green-500/20 text-green-400' : 'bg-yellow-500/20 text-yellow-400'
                   }`}>
-                    {request.status.toUpperCase()}
+                    {t(`status.${request.status}`)}
                   </span>
                   {request.accepters && request.accepters.length > 0 && (
                     <p className="text-xs text-gray-400 mt-1">
-                      {request.accepters.length} volunteer{request.accepters.length > 1 ? 's' : ''}
+                      {t('dashboard.volunteer.volunteerCount', { count: request.accepters.length })}
                     </p>
                   )}
                 </div>
@@ -351,13 +357,13 @@ const VolunteerDashboardHome = () => {
         ) : (
           <div className="text-center py-8">
             <HeartIcon className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-            <p className="text-gray-300 text-lg">No blood requests created</p>
-            <p className="text-gray-400">Create your first blood request to help others</p>
+            <p className="text-gray-300 text-lg">{t('dashboard.volunteer.noBloodRequests')}</p>
+            <p className="text-gray-400">{t('dashboard.volunteer.noBloodRequestsHint')}</p>
             <button
               onClick={() => navigate('/volunteer-dashboard/add-blood-request')}
               className="mt-4 bg-red-500 hover:bg-red-600 text-white px-6 py-2 rounded-lg transition-colors"
             >
-              Create Blood Request
+              {t('dashboard.volunteer.createBloodRequest')}
             </button>
           </div>
         )}
@@ -1,4 +1,5 @@
 import Swal from 'sweetalert2';
+import { translate } from '../i18n';
 
 // Custom SweetAlert configurations
 const alertConfig = {
@@ -39,8 +40,6 @@ const alertConfig = {
     background: '#ffffff',
     color: '#1f2937',
     showCancelButton: true,
-    confirmButtonText: 'Yes',
-    cancelButtonText: 'No',
   }
 };
 
@@ -81,7 +80,8 @@ export const showInfo = (title, text = '') => {
 };
 
 // Confirmation dialog
-export const showConfirmation = (title, text = '', confirmText = 'Yes', cancelText = 'No') => {
+// Button labels default to the current UI language
+export const showConfirmation = (title, text = '', confirmText = translate('common.yes'), cancelText = translate('common.no')) => {
   return Swal.fire({
     title,
     text,
@@ -91,8 +91,51 @@ export const showConfirmation = (title, text = '', confirmText = 'Yes', cancelTe
   });
 };
 
+// Confirmation dialog with a reason (result.value holds the text); pass required to insist on one
+export const showReasonPrompt = (title, text = '', confirmText = translate('common.confirm'), cancelText = translate('common.cancel'), required = false) => {
+  return Swal.fire({
+    title,
+    text,
+    ...alertConfig.question,
+    input: 'textarea',
+    inputPlaceholder: translate(required ? 'alerts.reasonRequired' : 'alerts.reasonOptional'),
+    inputAttributes: { maxlength: 500 },
+    inputValidator: (value) => (required && !value.trim() ? translate('alerts.reasonRequired') : undefined),
+    confirmButtonText: confirmText,
+    cancelButtonText: cancelText,
+  });
+};
+
+// Volunteer application prompt; value is { message, estimatedTime } when confirmed
+export const showApplicationPrompt = (title, text = '', confirmText = translate('common.confirm'), cancelText = translate('common.cancel')) => {
+  const content = document.createElement('div');
+  const description = document.createElement('p');
+  description.textContent = text;
+  const message = document.createElement('textarea');
+  message.className = 'swal2-textarea';
+  message.placeholder = translate('alerts.applicationMessage');
+  message.maxLength = 500;
+  const estimatedTime = document.createElement('input');
+  estimatedTime.className = 'swal2-input';
+  estimatedTime.placeholder = translate('alerts.estimatedTime');
+  estimatedTime.maxLength = 100;
+  content.append(description, message, estimatedTime);
+
+  return Swal.fire({
+    title,
+    html: content,
+    ...alertConfig.question,
+    confirmButtonText: confirmText,
+    cancelButtonText: cancelText,
+    preConfirm: () => ({
+      message: message.value.trim(),
+      estimatedTime: estimatedTime.value.trim()
+    }),
+  });
+};
+
 // Loading alert
-export const showLoading = (title = 'Please wait...', text = '') => {
+export const showLoading = (title = translate('alerts.pleaseWait'), text = '') => {
   return Swal.fire({
     title,
     text,
@@ -1,16 +1,18 @@
 import API_CONFIG from '../config/api';
+import { authorizedFetch } from './authTokens';
 
 // Centralized API client for fetch requests
 export const apiClient = {
   async fetch(endpoint, options = {}) {
     const url = endpoint.startsWith('http') ? endpoint : `${API_CONFIG.baseURL}${endpoint}`;
     
-    const defaultHeaders = {
-      'Content-Type': 'application/json',
-      ...(localStorage.getItem('token') && { 'Authorization': `Bearer ${localStorage.getItem('token')}` })
+    // FormData bodies get their multipart Content-Type from the browser
+    const defaultHeaders = options.body instanceof FormData ? {} : {
+      'Content-Type': 'application/json'
     };
 
-    const response = await fetch(url, {
+    // Adds the access token and refreshes it once if it has expired
+    const response = await authorizedFetch(url, {
       ...options,
       headers: {
         ...defaultHeaders,
@@ -48,6 +50,14 @@ export const apiClient = {
 
   async delete(endpoint, options = {}) {
     return this.fetch(endpoint, { ...options, method: 'DELETE' });
+  },
+
+  async upload(endpoint, formData, options = {}) {
+    return this.fetch(endpoint, {
+      ...options,
+      method: 'POST',
+      body: formData
+    });
   }
 };
 
@@ -0,0 +1,48 @@
+import API_CONFIG from '../config/api';
+import apiClient from './apiClient';
+import { translate } from '../i18n';
+
+// Keep in step with the server's attachment limits
+export const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+export const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+export const MAX_FILES_PER_UPLOAD = 5;
+export const MAX_ATTACHMENTS_PER_ITEM = 10;
+
+// Locally stored files come back as paths on the API server
+export const resolveFileUrl = (url) => (url && url.startsWith('/') ? `${API_CONFIG.baseURL}${url}` : url);
+
+export const isImageAttachment = (attachment) => (attachment.mimetype || 'image/').startsWith('image/');
+
+/**
+ * Find the first file that can't be uploaded
+ * @param {File[]} files - Selected files
+ * @returns {string|null} Reason it is rejected, or null when all are fine
+ */
+export const validateAttachments = (files) => {
+  const invalidType = files.find(file => !ATTACHMENT_TYPES.includes(file.type));
+  if (invalidType) {
+    return translate('attachments.invalidType', { name: invalidType.name });
+  }
+  const tooLarge = files.find(file => file.size > MAX_ATTACHMENT_SIZE);
+  if (tooLarge) {
+    return translate('attachments.tooLarge', { name: tooLarge.name, size: MAX_ATTACHMENT_SIZE / 1024 / 1024 });
+  }
+  return null;
+};
+
+/**
+ * Upload files to an attachments endpoint, a few at a time
+ * @param {string} endpoint - e.g. /api/complaints/:id/attachments
+ * @param {File[]} files - Files to upload
+ * @returns {Promise<Array>} The item's attachments after the last upload
+ */
+export const uploadAttachments = async (endpoint, files) => {
+  let images = [];
+  for (let i = 0; i < files.length; i += MAX_FILES_PER_UPLOAD) {
+    const formData = new FormData();
+    files.slice(i, i + MAX_FILES_PER_UPLOAD).forEach(file => formData.append('files', file));
+    const data = await apiClient.upload(endpoint, formData);
+    images = data.images;
+  }
+  return images;
+};
@@ -0,0 +1,103 @@
+import API_CONFIG from '../config/api';
+
+// The access token stays under 'token' so the fetch calls that read it directly keep working;
+// AuthContext renews it before it expires
+const ACCESS_TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+// How long to wait for another tab that rotated the refresh token first
+const ROTATION_WAIT_MS = 1000;
+
+export const getAccessToken = () => localStorage.getItem(ACCESS_TOKEN_KEY);
+export const getRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY);
+
+export const storeTokens = ({ token, refreshToken }) => {
+  if (token) localStorage.setItem(ACCESS_TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+// Expiry time of a JWT in milliseconds, or null if it can't be read
+export const getTokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const requestRefresh = async () => {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return null;
+
+  // Plain fetch so the axios 401 interceptor can't loop back into another refresh
+  const response = await fetch(`${API_CONFIG.baseURL}/api/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (response.ok) {
+    storeTokens(data);
+    return data;
+  }
+
+  // Another tab refreshed with the same token a moment earlier; use the tokens it saved
+  if (data.code === 'TOKEN_ROTATED' && getRefreshToken() === refreshToken) {
+    await wait(ROTATION_WAIT_MS);
+  }
+  if (getRefreshToken() !== refreshToken && getRefreshToken()) {
+    return { token: getAccessToken(), refreshToken: getRefreshToken() };
+  }
+
+  if (response.status === 400 || response.status === 401) {
+    return null;
+  }
+  throw new Error(data.message || 'Failed to refresh session');
+};
+
+let refreshPromise = null;
+
+/**
+ * Swap the refresh token for new tokens, sharing one request between concurrent callers
+ * Resolves to { token, refreshToken, user? }, or null when the session has ended.
+ * Rejects on network or server errors, which should not sign the user out.
+ */
+export const refreshTokens = () => {
+  if (!refreshPromise) {
+    refreshPromise = requestRefresh().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+/**
+ * fetch with the current access token; on a 401 the token is refreshed and the request sent once more
+ * @param {string} url - Full URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>}
+ */
+export const authorizedFetch = async (url, options = {}) => {
+  const send = (token) => fetch(url, {
+    ...options,
+    headers: {
+      ...(token && { 'Authorization': `Bearer ${token}` }),
+      ...options.headers
+    }
+  });
+
+  const response = await send(getAccessToken());
+  if (response.status !== 401 || !getRefreshToken()) return response;
+
+  const tokens = await refreshTokens().catch(() => null);
+  return tokens ? send(tokens.token) : response;
+};
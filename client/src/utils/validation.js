@@ -1,47 +1,48 @@
 // Form validation utilities
+import { translate } from '../i18n';
 
 // Email validation
 export const validateEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!email) return 'Email is required';
-  if (!emailRegex.test(email)) return 'Please enter a valid email address';
+  if (!email) return translate('validation.emailRequired');
+  if (!emailRegex.test(email)) return translate('validation.emailInvalid');
   return '';
 };
 
 // Password validation
 export const validatePassword = (password) => {
-  if (!password) return 'Password is required';
-  if (password.length < 6) return 'Password must be at least 6 characters long';
+  if (!password) return translate('validation.passwordRequired');
+  if (password.length < 6) return translate('validation.passwordMin', { min: 6 });
   return '';
 };
 
 // Confirm password validation
 export const validateConfirmPassword = (password, confirmPassword) => {
-  if (!confirmPassword) return 'Please confirm your password';
-  if (password !== confirmPassword) return 'Passwords do not match';
+  if (!confirmPassword) return translate('validation.confirmPasswordRequired');
+  if (password !== confirmPassword) return translate('validation.passwordsMismatch');
   return '';
 };
 
 // Name validation
 export const validateName = (name) => {
-  if (!name) return 'Name is required';
-  if (name.length < 2) return 'Name must be at least 2 characters long';
-  if (name.length > 100) return 'Name cannot exceed 100 characters';
+  if (!name) return translate('validation.nameRequired');
+  if (name.length < 2) return translate('validation.nameMin', { min: 2 });
+  if (name.length > 100) return translate('validation.nameMax', { max: 100 });
   return '';
 };
 
 // Phone validation
 export const validatePhone = (phone) => {
   const phoneRegex = /^[0-9]{10}$/;
-  if (!phone) return 'Phone number is required';
-  if (!phoneRegex.test(phone.replace(/\D/g, ''))) return 'Please enter a valid 10-digit phone number';
+  if (!phone) return translate('validation.phoneNumberRequired');
+  if (!phoneRegex.test(phone.replace(/\D/g, ''))) return translate('validation.phoneInvalid');
   return '';
 };
 
 // Generic required field validation
 export const validateRequired = (value, fieldName) => {
   if (!value || value.toString().trim() === '') {
-    return `${fieldName} is required`;
+    return translate('validation.fieldRequired', { field: fieldName });
   }
   return '';
 };
@@ -51,21 +52,21 @@ export const validateAddress = (address) => {
   const errors = {};
 
   if (!address.street || address.street.trim() === '') {
-    errors.street = 'Street address is required';
+    errors.street = translate('validation.streetRequired');
   }
 
   if (!address.city || address.city.trim() === '') {
-    errors.city = 'City is required';
+    errors.city = translate('validation.cityRequired');
   }
 
   if (!address.state || address.state.trim() === '') {
-    errors.state = 'State is required';
+    errors.state = translate('validation.stateRequired');
   }
 
   if (!address.pincode || address.pincode.trim() === '') {
-    errors.pincode = 'PIN code is required';
+    errors.pincode = translate('validation.pincodeRequired');
   } else if (!/^[0-9]{6}$/.test(address.pincode)) {
-    errors.pincode = 'PIN code must be 6 digits';
+    errors.pincode = translate('validation.pincodeDigits');
   }
 
   return errors;
@@ -74,8 +75,8 @@ export const validateAddress = (address) => {
 // Validate volunteer key
 export const validateVolunteerKey = (key, role) => {
   if (role === 'volunteer') {
-    if (!key) return 'Volunteer access key is required';
-    if (key.length < 8) return 'Volunteer access key must be at least 8 characters';
+    if (!key) return translate('validation.volunteerKeyRequired');
+    if (key.length < 8) return translate('validation.volunteerKeyMin', { min: 8 });
   }
   return '';
 };
@@ -105,7 +106,7 @@ export const validateSignupForm = (formData) => {
   if (confirmPasswordError) errors.confirmPassword = confirmPasswordError;
 
   // Validate role
-  if (!formData.role) errors.role = 'Please select a role';
+  if (!formData.role) errors.role = translate('validation.roleRequired');
 
   // Validate volunteer key if role is volunteer
   const volunteerKeyError = validateVolunteerKey(formData.volunteerKey, formData.role);
@@ -129,7 +130,7 @@ export const validateLoginForm = (formData) => {
   if (emailError) errors.email = emailError;
 
   // Validate password
-  if (!formData.password) errors.password = 'Password is required';
+  if (!formData.password) errors.password = translate('validation.passwordRequired');
 
   return errors;
 };
@@ -45,9 +45,9 @@ class VoiceService {
   }
 
   /**
-   * Upload and process audio file
+   * Upload an audio file for background transcription
    * @param {FormData} formData - Form data containing audio file and metadata
-   * @returns {Promise<Object>} Processing result
+   * @returns {Promise<Object>} Queued voice request ({ id, processingStatus })
    */
   async uploadAudio(formData) {
     try {
@@ -62,7 +62,7 @@ class VoiceService {
           'Content-Type': 'multipart/form-data',
           'Authorization': `Bearer ${token}`, // Explicitly set token
         },
-        timeout: 60000 // 60 seconds timeout for audio processing
+        timeout: 60000 // 60 seconds timeout for the upload; transcription runs in the background
       });
 
       return {
@@ -114,12 +114,12 @@ class VoiceService {
 
   /**
    * Send text message (manual input)
+   * The server keeps the conversation session, so follow-up answers need no extra context
    * @param {string} message - Text message
    * @param {string} language - Language code
-   * @param {Object} conversationContext - Context from previous conversation
    * @returns {Promise<Object>} Processing result
    */
-  async sendTextMessage(message, language = 'en', conversationContext = {}) {
+  async sendTextMessage(message, language = 'en') {
     try {
       // Ensure we have a valid token
       const token = localStorage.getItem('token');
@@ -129,8 +129,7 @@ class VoiceService {
 
       const response = await axios.post(`${this.baseURL}/text`, {
         message,
-        language,
-        conversationContext
+        language
       }, {
         headers: {
           'Authorization': `Bearer ${token}`, // Explicitly set token
@@ -152,6 +151,96 @@ class VoiceService {
     }
   }
 
+  /**
+   * Get the request the chatbot is still collecting details for
+   * @returns {Promise<Object>} Session summary, or null data when nothing is in progress
+   */
+  async getChatSession() {
+    try {
+      const response = await axios.get(`${this.baseURL}/session`);
+
+      return {
+        success: true,
+        data: response.data.data
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to fetch conversation',
+        details: error.response?.data
+      };
+    }
+  }
+
+  /**
+   * Edit fields of the request draft before confirming it
+   * @param {Object} fields - Draft fields to change (bloodType, urgencyLevel, location, phone, ...)
+   * @returns {Promise<Object>} Updated session summary
+   */
+  async updateChatDraft(fields) {
+    try {
+      const response = await axios.put(`${this.baseURL}/session/draft`, fields);
+
+      return {
+        success: true,
+        data: response.data.data
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to update draft',
+        details: error.response?.data
+      };
+    }
+  }
+
+  /**
+   * Confirm the draft and create the request
+   * @returns {Promise<Object>} { createdRequestId, geminiResponse, session }
+   */
+  async confirmChatSession() {
+    try {
+      const response = await axios.post(`${this.baseURL}/session/confirm`);
+
+      return {
+        success: true,
+        data: response.data.data,
+        message: response.data.message
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to submit request',
+        details: error.response?.data
+      };
+    }
+  }
+
+  /**
+   * Cancel the request being collected without submitting it
+   * @returns {Promise<Object>} Cancelled session summary
+   */
+  async cancelChatSession() {
+    try {
+      const response = await axios.delete(`${this.baseURL}/session`);
+
+      return {
+        success: true,
+        data: response.data.data
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to cancel conversation',
+        details: error.response?.data
+      };
+    }
+  }
+
   /**
    * Get user's voice requests
    * @param {Object} params - Query parameters
@@ -201,6 +290,39 @@ class VoiceService {
     }
   }
 
+  /**
+   * Poll a queued voice request until transcription completes or fails
+   * @param {string} requestId - Voice request ID returned by uploadAudio
+   * @param {Object} options - { interval, timeout } in milliseconds
+   * @returns {Promise<Object>} Final voice request details
+   */
+  async waitForVoiceRequest(requestId, { interval = 2000, timeout = 120000 } = {}) {
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+      const result = await this.getVoiceRequest(requestId);
+      if (!result.success) return result;
+
+      const { processingStatus, errorMessage } = result.data;
+      if (processingStatus === 'completed') return result;
+      if (processingStatus === 'failed') {
+        return {
+          success: false,
+          error: errorMessage || 'Voice transcription failed',
+          data: result.data
+        };
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+
+    return {
+      success: false,
+      error: 'Voice transcription is taking longer than expected. Check back later.',
+      errorType: 'TIMEOUT_ERROR'
+    };
+  }
+
   /**
    * Validate audio file before upload
    * @param {File} file - Audio file
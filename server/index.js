@@ -1,12 +1,21 @@
 const express = require('express');
+const http = require('http');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const socketService = require('./utils/socketService');
+const voiceJobQueue = require('./utils/voiceJobQueue');
+const tokenService = require('./utils/tokenService');
+const attachmentService = require('./utils/attachmentService');
+const notificationService = require('./utils/notificationService');
+const Request = require('./models/Request');
+const User = require('./models/User');
 
 const app = express();
+const server = http.createServer(app);
 
 // Security middleware
 app.use(helmet());
@@ -67,6 +76,19 @@ app.use('/api/blood-requests', require('./routes/bloodRequests'));
 app.use('/api/elderly-support', require('./routes/elderlySupport'));
 app.use('/api/chatbot', require('./routes/chatbot'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/notifications', require('./routes/notifications'));
+
+// Attachments on local disk. File names are random, so as with public bucket URLs the link itself is the access key
+const storage = attachmentService.provider;
+if (storage.name === 'local') {
+  app.use(storage.publicPath, express.static(storage.root, {
+    index: false,
+    maxAge: '365d',
+    immutable: true,
+    // The client runs on another origin; helmet would otherwise block it from loading the images
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
 
 // Health check endpoint with database status
 app.get('/api/health', (req, res) => {
@@ -136,8 +158,44 @@ const connectDB = async () => {
 const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
+  // Access tokens can't be signed without a secret; production must not guess one
+  try {
+    tokenService.getSecret();
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+
   await connectDB();
 
+  // Records saved before GeoJSON locations existed need a point for near-me search
+  Promise.all([Request.backfillGeoLocations(), User.backfillGeoLocations()])
+    .then(([requests, users]) => {
+      if (requests + users > 0) console.log(`📍 Backfilled locations for ${requests} requests and ${users} users`);
+    })
+    .catch(error => console.error('Location backfill error:', error));
+
+  // Accounts from before email verification never got the flag
+  User.markLegacyEmailsVerified()
+    .then(count => {
+      if (count > 0) console.log(`✅ Marked ${count} existing accounts as email-verified`);
+    })
+    .catch(error => console.error('Email verification migration error:', error));
+
+  // Requests finished before the lifecycle existed were saved as completed
+  Request.migrateCompletedStatus()
+    .then(count => {
+      if (count > 0) console.log(`✅ Marked ${count} completed requests as fulfilled`);
+    })
+    .catch(error => console.error('Request status migration error:', error));
+
+  // Voice uploads queued before a restart still need transcribing
+  voiceJobQueue.recover()
+    .then(count => {
+      if (count > 0) console.log(`🎤 Re-queued ${count} voice requests`);
+    })
+    .catch(error => console.error('Voice queue recovery error:', error));
+
   // Periodic database connection check (every 30 seconds)
   setInterval(() => {
     if (mongoose.connection.readyState !== 1) {
@@ -146,7 +204,24 @@ const startServer = async () => {
     }
   }, 30000);
 
-  app.listen(PORT, () => {
+  // Expire pending requests nobody took up (every hour)
+  const expireStaleRequests = () => Request.expireStale()
+    .then(expired => {
+      expired.forEach(request => {
+        socketService.emitRequestEvent('request:updated', request);
+        notificationService.notifyRequestStatus(request, 'expired', null, 'no volunteer took it up in time')
+          .catch(error => console.error('Request status notification error:', error));
+      });
+      if (expired.length > 0) console.log(`⌛ Expired ${expired.length} stale requests`);
+    })
+    .catch(error => console.error('Request expiry error:', error));
+  expireStaleRequests();
+  setInterval(expireStaleRequests, 60 * 60 * 1000);
+
+  // Real-time request events share the HTTP server with the REST API
+  socketService.init(server, allowedOrigins);
+
+  server.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
   });
 };
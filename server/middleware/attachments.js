@@ -0,0 +1,62 @@
+const multer = require('multer');
+const attachmentService = require('../utils/attachmentService');
+
+// Files accepted in one upload request
+const MAX_FILES_PER_UPLOAD = 5;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: attachmentService.maxFileSize,
+    files: MAX_FILES_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    if (attachmentService.isAllowedType(file.mimetype)) {
+      cb(null, true);
+    } else {
+      const error = new Error(`${file.originalname}: only JPEG, PNG and WebP photos or PDF documents can be attached`);
+      error.code = 'INVALID_FILE_TYPE';
+      cb(error, false);
+    }
+  }
+});
+
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: () => `Each file must be ${Math.round(attachmentService.maxFileSize / 1024 / 1024)}MB or smaller`,
+  LIMIT_FILE_COUNT: () => `Upload at most ${MAX_FILES_PER_UPLOAD} files at a time`,
+  LIMIT_UNEXPECTED_FILE: () => 'Files must be sent in the "files" field'
+};
+
+/**
+ * Parse multipart uploads from the "files" field into req.files
+ * Rejects the request with 400 when a file is too large, of the wrong type or there are too many.
+ */
+const uploadAttachments = (req, res, next) => {
+  upload.array('files', MAX_FILES_PER_UPLOAD)(req, res, (error) => {
+    if (!error) {
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          message: 'No files provided',
+          code: 'MISSING_FILES'
+        });
+      }
+      return next();
+    }
+
+    if (MULTER_ERRORS[error.code]) {
+      return res.status(400).json({
+        message: MULTER_ERRORS[error.code](),
+        code: error.code
+      });
+    }
+    if (error.code === 'INVALID_FILE_TYPE') {
+      return res.status(400).json({
+        message: error.message,
+        code: error.code
+      });
+    }
+    next(error);
+  });
+};
+
+module.exports = uploadAttachments;
@@ -0,0 +1,50 @@
+const auditService = require('../utils/auditService');
+
+// Where create routes put the new document in their JSON response
+const createdIdFromBody = (body) => body?.request?._id || body?.complaint?._id || body?.user?._id;
+
+/**
+ * Record a state-changing route in the audit log
+ * Snapshots the target before the handler runs and again once a successful response
+ * has been sent, then appends the difference. Failed requests are not logged.
+ * Must run after `auth`.
+ * @param {string} action - e.g. 'request.update'
+ * @param {string} targetType - 'User', 'Request' or 'Complaint'
+ * @param {Function} getTargetId - Reads the target ID from the request (defaults to req.params.id)
+ * @returns {Function} Express middleware
+ */
+const audit = (action, targetType, getTargetId = (req) => req.params.id) => {
+  return async (req, res, next) => {
+    const targetId = getTargetId(req);
+    let before = null;
+
+    try {
+      if (targetId) {
+        before = await auditService.snapshot(targetType, targetId);
+      }
+    } catch (error) {
+      console.error('Audit snapshot error:', error);
+    }
+
+    // Keep the response body so creates can find the new document's ID
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.locals.auditBody = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      if (res.statusCode >= 400) return;
+
+      const target = targetId || createdIdFromBody(res.locals.auditBody);
+      if (!target) return;
+
+      auditService.recordChange(req, { action, targetType, target, before })
+        .catch(error => console.error('Audit log error:', error));
+    });
+
+    next();
+  };
+};
+
+module.exports = audit;
@@ -1,5 +1,4 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const tokenService = require('../utils/tokenService');
 
 const auth = async (req, res, next) => {
   try {
@@ -12,14 +11,13 @@ const auth = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
-    
-    // Check if user exists and is active
-    const user = await User.findById(decoded.userId);
-    if (!user || !user.isActive) {
+    // Verify token and check its session has not been signed out
+    const { user, session, error, message } = await tokenService.authenticate(token);
+    if (!user) {
+      // TOKEN_EXPIRED tells the client to refresh and retry
       return res.status(401).json({
-        message: 'Token is not valid or user is inactive'
+        message,
+        code: error
       });
     }
 
@@ -28,7 +26,9 @@ const auth = async (req, res, next) => {
       userId: user._id,
       email: user.email,
       role: user.role,
-      name: user.name
+      name: user.name,
+      emailVerified: user.emailVerified,
+      sessionId: session._id
     };
 
     next();
@@ -59,5 +59,24 @@ const authorize = (...roles) => {
   };
 };
 
+// Blocks accounts that have not confirmed their email address yet
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      message: 'User not authenticated'
+    });
+  }
+
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      message: 'Please verify your email address before posting blood requests',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
 module.exports = auth;
 module.exports.authorize = authorize;
+module.exports.requireVerifiedEmail = requireVerifiedEmail;
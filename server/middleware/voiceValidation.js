@@ -127,7 +127,7 @@ const validateAudioFile = (req, res, next) => {
 
 // Rate limiting for voice processing
 const voiceRateLimit = (req, res, next) => {
-  const userId = req.user?.id;
+  const userId = req.user?.userId;
   
   if (!userId) {
     return res.status(401).json({
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Who did it
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorRole: {
+    type: String,
+    enum: ['citizen', 'volunteer', 'admin']
+  },
+
+  // What was done, e.g. 'user.suspend', 'user.role_change'
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // What it was done to
+  targetType: {
+    type: String,
+    enum: ['User', 'Request', 'Complaint'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+
+  // Only the fields that changed
+  changes: {
+    before: { type: mongoose.Schema.Types.Mixed, default: {} },
+    after: { type: mongoose.Schema.Types.Mixed, default: {} }
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// The log is append-only: entries can be created but never edited or removed
+const rejectWrite = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectWrite(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  auditLogSchema.pre(operation, rejectWrite);
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
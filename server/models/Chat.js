@@ -73,11 +73,13 @@ const chatSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Which chatbot provider answered (gemini, openai or heuristic)
+    provider: String,
     processingTime: Number,
     geminiResponse: String
   },
   
-  // Session information
+  // Conversation session: the ChatSession ID for request intake turns, otherwise the calendar date
   sessionId: {
     type: String,
     default: function() {
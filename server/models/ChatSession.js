@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+
+// Minutes of inactivity before an unfinished conversation expires
+const SESSION_TTL_MINUTES = parseInt(process.env.CHAT_SESSION_TTL_MINUTES) || 30;
+
+// States in which the conversation can still change or be confirmed
+const OPEN_STATES = ['collecting', 'confirming'];
+
+// Draft fields shown to the user for each kind of request
+const DRAFT_FIELDS = {
+  blood_request: ['bloodType', 'urgencyLevel', 'unitsNeeded'],
+  elder_support: ['serviceType', 'urgencyLevel', 'frequency'],
+  complaint: ['complaintCategory', 'urgencyLevel']
+};
+
+const REQUEST_TYPES = {
+  blood_request: 'blood',
+  elder_support: 'elder_support',
+  complaint: 'complaint'
+};
+
+const chatSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // collecting -> confirming -> completed, or cancelled | expired while open
+  state: {
+    type: String,
+    enum: ['collecting', 'confirming', 'completed', 'cancelled', 'expired'],
+    default: 'collecting'
+  },
+
+  // Kept in sync with state for the one-open-session index
+  open: {
+    type: Boolean,
+    default: true
+  },
+
+  // Intent being collected
+  category: {
+    type: String,
+    enum: ['blood_request', 'elder_support', 'complaint'],
+    required: true
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  language: {
+    type: String,
+    default: 'en'
+  },
+
+  // Message that started the conversation; used for the request description
+  originalMessage: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Fields extracted so far (bloodType, hospitalName, serviceType, complaintCategory, ...)
+  // plus the draft's location and phone once it is ready to confirm
+  collected: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Follow-up question waiting for an answer
+  pendingField: String,
+  pendingQuestion: String,
+
+  // Values the user changed after giving them ("actually it's B negative")
+  corrections: [{
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+    correctedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  turns: {
+    type: Number,
+    default: 0
+  },
+
+  // Request created when the conversation completed
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request',
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + SESSION_TTL_MINUTES * 60 * 1000)
+  },
+  endedAt: Date
+}, {
+  timestamps: true
+});
+
+// One conversation in progress per user, shared across their devices
+chatSessionSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { open: true } }
+);
+chatSessionSchema.index({ user: 1, createdAt: -1 });
+
+chatSessionSchema.pre('save', function(next) {
+  this.open = OPEN_STATES.includes(this.state);
+  next();
+});
+
+// Static method to get the user's conversation in progress, expiring it if it went stale
+chatSessionSchema.statics.findActive = async function(userId) {
+  const session = await this.findOne({ user: userId, open: true });
+  if (!session) return null;
+
+  if (session.expiresAt < new Date()) {
+    await session.end('expired');
+    return null;
+  }
+
+  return session;
+};
+
+// Method to merge newly extracted fields, recording any that replace an earlier answer
+chatSessionSchema.methods.applyFields = function(fields = {}) {
+  const collected = { ...this.collected };
+  const changes = [];
+
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value === null || value === undefined || value === '') return;
+
+    const previous = collected[field];
+    if (previous !== undefined && JSON.stringify(previous) !== JSON.stringify(value)) {
+      changes.push({ field, from: previous, to: value });
+    }
+    collected[field] = value;
+  });
+
+  this.collected = collected;
+  this.markModified('collected');
+  this.corrections.push(...changes);
+  return changes;
+};
+
+// Method to record a turn and push back expiry
+chatSessionSchema.methods.touch = function() {
+  this.turns += 1;
+  this.expiresAt = new Date(Date.now() + SESSION_TTL_MINUTES * 60 * 1000);
+};
+
+// Method to close the conversation
+chatSessionSchema.methods.end = function(state, requestId = null) {
+  this.state = state;
+  this.endedAt = new Date();
+  this.pendingField = undefined;
+  this.pendingQuestion = undefined;
+  if (requestId) this.request = requestId;
+  return this.save();
+};
+
+// Method to build the structured draft the user confirms before the request is created
+chatSessionSchema.methods.toDraft = function() {
+  const collected = this.collected || {};
+  const draft = { type: REQUEST_TYPES[this.category] };
+
+  DRAFT_FIELDS[this.category].forEach(field => {
+    draft[field] = collected[field] ?? null;
+  });
+  draft.location = collected.location || null;
+  draft.phone = collected.phone || null;
+
+  return draft;
+};
+
+// Method to get the client-facing view of the session
+chatSessionSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    state: this.state,
+    category: this.category,
+    collected: this.collected,
+    draft: this.toDraft(),
+    pendingField: this.pendingField || null,
+    pendingQuestion: this.pendingQuestion || null,
+    requestId: this.request,
+    expiresAt: this.expiresAt
+  };
+};
+
+module.exports = mongoose.model('ChatSession', chatSessionSchema);
@@ -1,4 +1,46 @@
 const mongoose = require('mongoose');
+const contentTranslationService = require('../utils/contentTranslationService');
+const statusTransitions = require('../utils/statusTransitions');
+
+/**
+ * Status changes a complaint allows, by current status then target status
+ * roles: who may make the change - 'citizen' is the complaint's creator, 'volunteer' the assigned
+ * volunteer, 'admin' any admin. requires: fields the change must carry.
+ * Assigning goes through POST /api/complaints/:id/assign/:volunteerId, which supplies the volunteer.
+ */
+const STATUS_TRANSITIONS = {
+  open: {
+    assigned: { roles: ['citizen', 'admin'], requires: ['volunteer'] },
+    cancelled: { roles: ['citizen', 'admin'], requires: ['reason'] }
+  },
+  assigned: {
+    in_progress: { roles: ['volunteer', 'admin'], requires: [] },
+    cancelled: { roles: ['citizen', 'admin'], requires: ['reason'] }
+  },
+  in_progress: {
+    resolved: { roles: ['volunteer', 'admin'], requires: ['resolutionNote'] },
+    cancelled: { roles: ['admin'], requires: ['reason'] }
+  },
+  resolved: {
+    closed: { roles: ['citizen', 'admin'], requires: [] },
+    // The citizen reopens a complaint that wasn't actually fixed
+    in_progress: { roles: ['citizen', 'admin'], requires: ['reason'] }
+  },
+  closed: {},
+  cancelled: {}
+};
+
+const ROLE_LABELS = {
+  citizen: 'complaint creator',
+  volunteer: 'assigned volunteer',
+  admin: 'admin'
+};
+
+const REQUIRED_FIELD_MESSAGES = {
+  volunteer: 'Assign a volunteer with POST /api/complaints/:id/assign/:volunteerId',
+  resolutionNote: 'Describe how the complaint was resolved in resolutionNote',
+  reason: 'Give a reason for this change'
+};
 
 const complaintSchema = new mongoose.Schema({
   title: {
@@ -71,9 +113,20 @@ const complaintSchema = new mongoose.Schema({
       longitude: Number
     }
   },
+  // Photos and documents; key and thumbnailKey locate the stored files for deletion
   images: [{
     url: String,
+    thumbnailUrl: String,
+    key: String,
+    thumbnailKey: String,
+    filename: String,
+    mimetype: String,
+    size: Number,
     description: String,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -150,9 +203,46 @@ const complaintSchema = new mongoose.Schema({
   },
   tags: [String],
   resolvedAt: Date,
+  resolution: {
+    note: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  cancellation: {
+    reason: String,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date
+  },
   assignedAt: Date,
   estimatedCompletionTime: Date,
-  actualCompletionTime: Date
+  actualCompletionTime: Date,
+
+  // Language the title and description were written in, and their translations into the other supported languages
+  originalLanguage: {
+    type: String,
+    enum: ['en', 'hi', 'te']
+  },
+  translations: [{
+    _id: false,
+    language: {
+      type: String,
+      enum: ['en', 'hi', 'te'],
+      required: true
+    },
+    title: String,
+    description: String,
+    provider: String,
+    translatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  translationAttemptedAt: Date
 }, {
   timestamps: true
 });
@@ -165,6 +255,11 @@ complaintSchema.index({ status: 1, category: 1 });
 complaintSchema.index({ citizen: 1, createdAt: -1 });
 complaintSchema.index({ assignedVolunteer: 1, status: 1 });
 
+complaintSchema.pre('save', function(next) {
+  contentTranslationService.resetIfEdited(this);
+  next();
+});
+
 // Virtual for complaint age
 complaintSchema.virtual('ageInDays').get(function() {
   return Math.floor((Date.now() - this.createdAt) / (1000 * 60 * 60 * 24));
@@ -180,6 +275,38 @@ complaintSchema.methods.addUpdate = function(message, updatedBy, statusChange =
   return this.save();
 };
 
+// Status workflow: getActorRole, checkTransition, transitionTo and friends
+complaintSchema.plugin(statusTransitions, {
+  transitions: STATUS_TRANSITIONS,
+  subject: 'complaint',
+  roleLabels: ROLE_LABELS,
+  requiredFieldMessages: REQUIRED_FIELD_MESSAGES,
+  roleOf: (complaint, userId) => {
+    if ((complaint.citizen?._id || complaint.citizen)?.toString() === userId) return 'citizen';
+    if ((complaint.assignedVolunteer?._id || complaint.assignedVolunteer)?.toString() === userId) return 'volunteer';
+    return null;
+  },
+  noteFields: ['resolutionNote', 'reason'],
+  applyTransition: (complaint, from, to, actorId, fields) => {
+    if (to === 'resolved') {
+      complaint.resolvedAt = new Date();
+      complaint.resolution = { note: fields.resolutionNote.trim(), resolvedBy: actorId };
+    }
+    if (to === 'closed') {
+      complaint.actualCompletionTime = new Date();
+    }
+    if (to === 'cancelled') {
+      complaint.cancellation = { reason: fields.reason.trim(), cancelledBy: actorId, cancelledAt: new Date() };
+    }
+    // Reopened after resolving; the old resolution stays in the updates
+    if (from === 'resolved' && to === 'in_progress') {
+      complaint.resolvedAt = undefined;
+      complaint.resolution = undefined;
+    }
+    return null;
+  }
+});
+
 // Method to assign volunteer
 complaintSchema.methods.assignVolunteer = function(volunteerId) {
   this.assignedVolunteer = volunteerId;
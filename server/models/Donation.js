@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const donationSchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Blood request the donation fulfilled
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request',
+    required: true
+  },
+
+  // Citizen who raised the request
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  bloodGroup: {
+    type: String,
+    enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-', 'Not specified']
+  },
+  units: {
+    type: Number,
+    min: [1, 'At least one unit must be donated'],
+    max: [4, 'Cannot record more than 4 units for a single donation'],
+    default: 1
+  },
+  hospitalName: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Hospital name cannot be more than 200 characters']
+  },
+  donatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+
+  // Requester or donor who confirmed the donation
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // false while a donation the requester recorded waits for the donor to confirm it;
+  // only confirmed donations (and ones saved before this field existed) start the donor's deferral
+  donorConfirmed: Boolean
+}, {
+  timestamps: true
+});
+
+// One donation record per request
+donationSchema.index({ request: 1 }, { unique: true });
+donationSchema.index({ donor: 1, donatedAt: -1 });
+
+// Static method to get a donor's ledger, newest first
+donationSchema.statics.getDonorLedger = function(donorId) {
+  return this.find({ donor: donorId })
+    .populate('request', 'bloodType urgencyLevel location name')
+    .sort({ donatedAt: -1 });
+};
+
+// Static method to set the donor's volunteerInfo.lastDonation from their latest confirmed donation
+donationSchema.statics.syncLastDonation = async function(donorId) {
+  const User = mongoose.model('User');
+  const latest = await this.findOne({ donor: donorId, donorConfirmed: { $ne: false } })
+    .sort({ donatedAt: -1 })
+    .select('donatedAt');
+
+  await User.updateOne(
+    { _id: donorId },
+    latest
+      ? { $set: { 'volunteerInfo.lastDonation': latest.donatedAt } }
+      : { $unset: { 'volunteerInfo.lastDonation': '' } }
+  );
+  return latest?.donatedAt || null;
+};
+
+module.exports = mongoose.model('Donation', donationSchema);
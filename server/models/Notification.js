@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'request_accepted',
+      'request_application',
+      'request_status',
+      'rating_received',
+      'urgent_request_nearby',
+      'complaint_status',
+      'complaint_update',
+      'donation_recorded',
+      'system'
+    ],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [1000, 'Message cannot be more than 1000 characters']
+  },
+
+  // Client route to open when the notification is clicked
+  link: String,
+
+  // What the notification is about
+  relatedRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request'
+  },
+  relatedComplaint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+
+  // Channels the notification was delivered on besides the notification center
+  deliveredVia: [{
+    type: String,
+    enum: ['push', 'email']
+  }]
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1 });
+
+// Static method to count unread notifications for a user
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ recipient: userId, isRead: false });
+};
+
+// Static method to mark all of a user's notifications as read
+notificationSchema.statics.markAllRead = function(userId) {
+  return this.updateMany(
+    { recipient: userId, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,4 +1,63 @@
 const mongoose = require('mongoose');
+const geoService = require('../utils/geoService');
+const contentTranslationService = require('../utils/contentTranslationService');
+const statusTransitions = require('../utils/statusTransitions');
+
+/**
+ * Status changes a request allows, by current status then target status
+ * roles: who may make the change - 'requester' is the request's creator, 'volunteer' one of its
+ * accepters, 'admin' any admin and 'system' the expiry sweep. requires: fields the change must carry.
+ * Accepting supplies the volunteer: blood requests are accepted by the donor through POST /api/requests/:id/volunteer
+ * (or /api/blood-requests/:id/accept); for APPLICATION_TYPES the requester accepts one of the volunteers' applications.
+ * Moving back to pending releases the volunteers so others can take the request.
+ */
+const STATUS_TRANSITIONS = {
+  pending: {
+    accepted: { roles: ['volunteer', 'requester', 'admin'], requires: ['volunteer'] },
+    cancelled: { roles: ['requester', 'admin'], requires: ['reason'] },
+    expired: { roles: ['system'], requires: [] }
+  },
+  accepted: {
+    in_progress: { roles: ['volunteer', 'admin'], requires: [] },
+    fulfilled: { roles: ['requester', 'volunteer', 'admin'], requires: [] },
+    pending: { roles: ['requester', 'volunteer', 'admin'], requires: [] },
+    cancelled: { roles: ['requester', 'admin'], requires: ['reason'] }
+  },
+  in_progress: {
+    fulfilled: { roles: ['requester', 'volunteer', 'admin'], requires: [] },
+    pending: { roles: ['requester', 'volunteer', 'admin'], requires: [] },
+    cancelled: { roles: ['requester', 'admin'], requires: ['reason'] }
+  },
+  fulfilled: {},
+  cancelled: {},
+  expired: {}
+};
+
+// Request types where volunteers apply and the requester picks one, instead of the first volunteer taking it
+const APPLICATION_TYPES = ['elder_support', 'complaint'];
+
+// Extra fields a change needs for some request types
+const TYPE_REQUIREMENTS = {
+  blood: {
+    fulfilled: ['donation']
+  }
+};
+
+const ROLE_LABELS = {
+  requester: 'requester',
+  volunteer: 'volunteer',
+  admin: 'admin',
+  system: 'system'
+};
+
+const REQUIRED_FIELD_MESSAGES = {
+  volunteer: 'Volunteer for the request with POST /api/requests/:id/volunteer, or accept a volunteer\'s application',
+  donation: 'Record the donation with POST /api/blood-requests/:id/complete',
+  reason: 'Give a reason for this change'
+};
+
+// Pending requests without a due date expire after this many days
+const EXPIRY_DAYS = parseInt(process.env.REQUEST_EXPIRY_DAYS) || 30;
 
 const requestSchema = new mongoose.Schema({
   // Common fields for all request types
@@ -19,7 +78,7 @@ const requestSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted'],
+    enum: ['pending', 'accepted', 'in_progress', 'fulfilled', 'cancelled', 'expired'],
     default: 'pending'
   },
   location: {
@@ -43,6 +102,17 @@ const requestSchema = new mongoose.Schema({
     coordinates: {
       lat: Number,
       lng: Number
+    },
+    // GeoJSON copy of coordinates for geospatial queries (kept in sync on save)
+    geo: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number], // [lng, lat]
+        default: undefined
+      }
     }
   },
 
@@ -146,9 +216,20 @@ const requestSchema = new mongoose.Schema({
       return this.type === 'complaint';
     }
   },
+  // Photos and documents; key and thumbnailKey locate the stored files for deletion
   images: [{
     url: String,
+    thumbnailUrl: String,
+    key: String,
+    thumbnailKey: String,
     filename: String,
+    mimetype: String,
+    size: Number,
+    description: String,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -162,7 +243,17 @@ const requestSchema = new mongoose.Schema({
     default: null
   },
   assignedAt: Date,
-  completedAt: Date,
+  startedAt: Date,
+  completedAt: Date, // When the request was fulfilled
+  expiredAt: Date,
+  cancellation: {
+    reason: String,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date
+  },
 
   // Updates and communication
   updates: [{
@@ -170,10 +261,10 @@ const requestSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    // Empty for automatic changes such as expiry
     updatedBy: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
+      ref: 'User'
     },
     updatedAt: {
       type: Date,
@@ -185,6 +276,25 @@ const requestSchema = new mongoose.Schema({
     }
   }],
 
+  // Volunteers alerted about this request (urgent requests only)
+  notifiedVolunteers: [{
+    volunteer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    channels: [{
+      type: String,
+      enum: ['in_app', 'email']
+    }],
+    distance: Number, // km, when both locations are known
+    matchedOn: [String], // availability, skills, blood_group, proximity
+    notifiedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   // Volunteer applications (for complaints and elder support)
   volunteerApplications: [{
     volunteer: {
@@ -198,11 +308,13 @@ const requestSchema = new mongoose.Schema({
     },
     message: String,
     estimatedTime: String,
+    // withdrawn: accepted, then the volunteer withdrew or was released
     status: {
       type: String,
-      enum: ['pending', 'accepted', 'rejected'],
+      enum: ['pending', 'accepted', 'rejected', 'withdrawn'],
       default: 'pending'
-    }
+    },
+    decidedAt: Date
   }],
 
   // Priority and urgency
@@ -228,7 +340,29 @@ const requestSchema = new mongoose.Schema({
     },
     feedback: String,
     ratedAt: Date
-  }
+  },
+
+  // Language the title and description were written in, and their translations into the other supported languages
+  originalLanguage: {
+    type: String,
+    enum: ['en', 'hi', 'te']
+  },
+  translations: [{
+    _id: false,
+    language: {
+      type: String,
+      enum: ['en', 'hi', 'te'],
+      required: true
+    },
+    title: String,
+    description: String,
+    provider: String,
+    translatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  translationAttemptedAt: Date
 }, {
   timestamps: true
 });
@@ -237,7 +371,18 @@ const requestSchema = new mongoose.Schema({
 requestSchema.index({ user: 1, createdAt: -1 });
 requestSchema.index({ type: 1, status: 1 });
 requestSchema.index({ assignedVolunteer: 1, status: 1 });
-requestSchema.index({ 'location.coordinates.lat': 1, 'location.coordinates.lng': 1 });
+requestSchema.index({ status: 1, createdAt: 1 });
+requestSchema.index({ 'location.geo': '2dsphere' });
+
+// Keep the GeoJSON point in step with the lat/lng the clients send
+requestSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('location')) {
+    const point = geoService.toPoint(this.location?.coordinates);
+    this.location.geo = point || undefined;
+  }
+  contentTranslationService.resetIfEdited(this);
+  next();
+});
 
 // Virtual for request age
 requestSchema.virtual('ageInDays').get(function() {
@@ -254,48 +399,151 @@ requestSchema.methods.addUpdate = function(message, updatedBy, statusChange = nu
   return this.save();
 };
 
-// Method to assign volunteer
-requestSchema.methods.assignVolunteer = function(volunteerId) {
-  this.assignedVolunteer = volunteerId;
-  this.status = this.type === 'blood' ? 'in_progress' : 'assigned';
-  this.assignedAt = new Date();
-  
-  this.updates.push({
-    message: 'Request assigned to volunteer',
-    updatedBy: volunteerId,
-    statusChange: {
-      from: 'pending',
-      to: this.status
+// Status workflow: getActorRole, checkTransition, transitionTo and friends
+// actorId is empty for system changes; fields.actorRole tells a volunteer withdrawing from a shared request apart
+requestSchema.plugin(statusTransitions, {
+  transitions: STATUS_TRANSITIONS,
+  subject: 'request',
+  roleLabels: ROLE_LABELS,
+  requiredFieldMessages: REQUIRED_FIELD_MESSAGES,
+  roleOf: (request, userId) => {
+    if ((request.user?._id || request.user)?.toString() === userId) return 'requester';
+    if (request.isVolunteer(userId)) return 'volunteer';
+    return null;
+  },
+  extraRequirements: (request, to) => TYPE_REQUIREMENTS[request.type]?.[to] || [],
+  applyTransition: (request, from, to, actorId, fields) => {
+    const now = new Date();
+
+    if (to === 'accepted') {
+      request.accepters.push({ user: fields.volunteer, acceptedAt: now, status: 'accepted' });
+      request.assignedVolunteer = request.assignedVolunteer || fields.volunteer;
+      request.assignedAt = request.assignedAt || now;
     }
-  });
-  
-  return this.save();
+    if (to === 'in_progress') {
+      request.startedAt = now;
+    }
+    if (to === 'fulfilled') {
+      request.completedAt = now;
+    }
+    if (to === 'cancelled') {
+      request.cancellation = { reason: fields.reason.trim(), cancelledBy: actorId, cancelledAt: now };
+    }
+    if (to === 'expired') {
+      request.expiredAt = now;
+    }
+    if (to === 'cancelled' || to === 'expired') {
+      request.rejectPendingApplications(now);
+    }
+
+    if (to === 'pending') {
+      // A volunteer backing out of a request others also accepted only removes themselves
+      const remaining = fields.actorRole === 'volunteer'
+        ? request.accepters.filter(accepter => (accepter.user?._id || accepter.user).toString() !== actorId.toString())
+        : [];
+
+      const kept = new Set(remaining.map(accepter => (accepter.user?._id || accepter.user).toString()));
+      request.volunteerApplications
+        .filter(app => app.status === 'accepted' && !kept.has(app.volunteer.toString()))
+        .forEach(app => {
+          app.status = 'withdrawn';
+          app.decidedAt = now;
+        });
+
+      request.accepters = remaining;
+      request.assignedVolunteer = remaining[0]?.user || null;
+      request.assignedAt = remaining[0]?.acceptedAt;
+
+      if (remaining.length > 0) {
+        return request.addUpdate(fields.message || 'A volunteer withdrew from the request', actorId);
+      }
+      request.startedAt = undefined;
+    }
+
+    return null;
+  }
+});
+
+// Method to check whether a user has accepted or been assigned this request
+requestSchema.methods.isVolunteer = function(userId) {
+  const id = userId.toString();
+  return this.accepters.some(accepter => (accepter.user?._id || accepter.user).toString() === id) ||
+    (this.assignedVolunteer?._id || this.assignedVolunteer)?.toString() === id;
 };
 
-// Method to apply as volunteer
+// Method to list the volunteers who actually did the request: accepters whose application,
+// if they made one, was not turned down or withdrawn
+requestSchema.methods.getHelpingVolunteers = function() {
+  const dropped = new Set(
+    this.volunteerApplications
+      .filter(app => ['rejected', 'withdrawn'].includes(app.status))
+      .map(app => (app.volunteer?._id || app.volunteer).toString())
+  );
+  return this.accepters
+    .filter(accepter => accepter.status === 'accepted' && !dropped.has((accepter.user?._id || accepter.user).toString()))
+    .map(accepter => accepter.user);
+};
+
+// Method to check whether volunteers apply for this request rather than accepting it directly
+requestSchema.methods.reviewsApplications = function() {
+  return APPLICATION_TYPES.includes(this.type);
+};
+
+// Method to apply as volunteer; a volunteer whose earlier application was turned down or ended can apply again
 requestSchema.methods.addVolunteerApplication = function(volunteerId, message, estimatedTime) {
-  // Check if volunteer already applied
   const existingApplication = this.volunteerApplications.find(
     app => app.volunteer.toString() === volunteerId.toString()
   );
-  
-  if (existingApplication) {
+
+  if (existingApplication?.status === 'pending') {
     throw new Error('You have already applied for this request');
   }
-  
-  this.volunteerApplications.push({
-    volunteer: volunteerId,
-    message,
-    estimatedTime
-  });
-  
+
+  if (existingApplication) {
+    existingApplication.set({
+      appliedAt: new Date(),
+      message,
+      estimatedTime,
+      status: 'pending',
+      decidedAt: undefined
+    });
+  } else {
+    this.volunteerApplications.push({
+      volunteer: volunteerId,
+      message,
+      estimatedTime
+    });
+  }
+
   return this.save();
 };
 
+// Method to turn down every application still waiting for a decision; returns the volunteers turned down
+requestSchema.methods.rejectPendingApplications = function(now = new Date()) {
+  const pending = this.volunteerApplications.filter(app => app.status === 'pending');
+  pending.forEach(app => {
+    app.status = 'rejected';
+    app.decidedAt = now;
+  });
+  return pending.map(app => app.volunteer);
+};
+
+// Method to accept one application (after checkTransition allowed 'accepted'), turning down the others
+// Returns the volunteers whose applications were turned down
+requestSchema.methods.acceptApplication = async function(application, actorId, message) {
+  application.status = 'accepted';
+  application.decidedAt = new Date();
+  const rejected = this.rejectPendingApplications(application.decidedAt);
+
+  await this.transitionTo('accepted', actorId, { volunteer: application.volunteer, message });
+  return rejected;
+};
+
 // Static method to find nearby requests
+// coordinates are [lng, lat], maxDistance is in metres
 requestSchema.statics.findNearby = function(coordinates, maxDistance = 10000, filters = {}) {
   const query = {
-    'location.coordinates': {
+    'location.geo': {
       $near: {
         $geometry: {
           type: 'Point',
@@ -318,7 +566,8 @@ requestSchema.statics.getUserDashboard = function(userId) {
   return Promise.all([
     this.countDocuments({ user: userId }),
     this.countDocuments({ user: userId, status: 'pending' }),
-    this.countDocuments({ user: userId, status: 'accepted' }),
+    this.countDocuments({ user: userId, status: { $in: ['accepted', 'in_progress'] } }),
+    this.countDocuments({ user: userId, status: 'fulfilled' }),
     this.countDocuments({ user: userId, type: 'blood' }),
     this.countDocuments({ user: userId, type: 'elder_support' }),
     this.countDocuments({ user: userId, type: 'complaint' }),
@@ -326,11 +575,12 @@ requestSchema.statics.getUserDashboard = function(userId) {
       .sort({ createdAt: -1 })
       .limit(5)
       .populate('assignedVolunteer', 'name')
-  ]).then(([total, pending, accepted, blood, elderSupport, complaints, recent]) => ({
+  ]).then(([total, pending, accepted, fulfilled, blood, elderSupport, complaints, recent]) => ({
     stats: {
       totalRequests: total,
       pendingRequests: pending,
       acceptedRequests: accepted,
+      fulfilledRequests: fulfilled,
       bloodRequests: blood,
       elderSupport,
       complaints
@@ -339,4 +589,107 @@ requestSchema.statics.getUserDashboard = function(userId) {
   }));
 };
 
+// Static method to backfill GeoJSON points for requests saved before location.geo existed
+requestSchema.statics.backfillGeoLocations = async function() {
+  const requests = await this.find({
+    'location.geo': { $exists: false },
+    'location.coordinates.lat': { $ne: null },
+    'location.coordinates.lng': { $ne: null }
+  }).select('location.coordinates');
+
+  const operations = requests
+    .map(request => ({ request, point: geoService.toPoint(request.location.coordinates) }))
+    .filter(({ point }) => point)
+    .map(({ request, point }) => ({
+      updateOne: {
+        filter: { _id: request._id },
+        update: { $set: { 'location.geo': point } }
+      }
+    }));
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+  }
+  return operations.length;
+};
+
+// Static method to expire pending requests nobody took up: elder support a day after its due date,
+// anything else once it is EXPIRY_DAYS old. Returns the expired requests.
+requestSchema.statics.expireStale = async function(now = new Date()) {
+  const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+  const cutoff = new Date(now.getTime() - EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+  const requests = await this.find({
+    status: 'pending',
+    $or: [
+      { dueDate: { $lt: dayAgo } },
+      { dueDate: null, createdAt: { $lt: cutoff } }
+    ]
+  });
+
+  // Guarded on status so a volunteer accepting in the meantime wins
+  const expired = [];
+  for (const request of requests) {
+    const updated = await this.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      {
+        $set: {
+          status: 'expired',
+          expiredAt: now,
+          'volunteerApplications.$[waiting].status': 'rejected',
+          'volunteerApplications.$[waiting].decidedAt': now
+        },
+        $push: {
+          updates: {
+            message: request.dueDate
+              ? 'Request expired: no volunteer took it up before the due date'
+              : `Request expired: no volunteer took it up within ${EXPIRY_DAYS} days`,
+            updatedAt: now,
+            statusChange: { from: 'pending', to: 'expired' }
+          }
+        }
+      },
+      { new: true, arrayFilters: [{ 'waiting.status': 'pending' }] }
+    );
+    if (updated) expired.push(updated);
+  }
+  return expired;
+};
+
+// Static method to accept a pending blood request for a donor as one atomic check-and-set,
+// so two donors can never both take it. Resolves to null when the request was no longer open to them.
+requestSchema.statics.acceptBlood = function(requestId, donorId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      _id: requestId,
+      type: 'blood',
+      status: 'pending',
+      user: { $ne: donorId },
+      'accepters.0': { $exists: false }
+    },
+    {
+      $set: { status: 'accepted', assignedVolunteer: donorId, assignedAt: now },
+      $push: {
+        accepters: { user: donorId, acceptedAt: now, status: 'accepted' },
+        updates: {
+          message: 'Blood request accepted by donor',
+          updatedBy: donorId,
+          statusChange: { from: 'pending', to: 'accepted' }
+        }
+      }
+    },
+    { new: true }
+  );
+};
+
+// Static method to rename the old completed status to fulfilled
+requestSchema.statics.migrateCompletedStatus = async function() {
+  const result = await this.collection.updateMany(
+    { status: 'completed' },
+    { $set: { status: 'fulfilled' } }
+  );
+  return result.modifiedCount;
+};
+
 module.exports = mongoose.model('Request', requestSchema);
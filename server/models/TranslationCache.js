@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Days an unused translation is kept before MongoDB removes it
+const CACHE_TTL_DAYS = parseInt(process.env.TRANSLATION_CACHE_TTL_DAYS) || 90;
+
+const translationCacheSchema = new mongoose.Schema({
+  // sha256 of "from|to|text"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  fromLanguage: {
+    type: String,
+    required: true
+  },
+  toLanguage: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  translatedText: {
+    type: String,
+    required: true
+  },
+
+  // Provider that produced the translation
+  provider: String,
+
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+translationCacheSchema.index({ lastUsedAt: 1 }, { expireAfterSeconds: CACHE_TTL_DAYS * 24 * 60 * 60 });
+
+// Static method to build the cache key for a translation
+translationCacheSchema.statics.keyFor = function(text, fromLang, toLang) {
+  return crypto.createHash('sha256').update(`${fromLang}|${toLang}|${text}`).digest('hex');
+};
+
+// Static method to look up a cached translation, counting the hit
+translationCacheSchema.statics.lookup = function(text, fromLang, toLang) {
+  return this.findOneAndUpdate(
+    { key: this.keyFor(text, fromLang, toLang) },
+    { $inc: { hits: 1 }, $set: { lastUsedAt: new Date() } },
+    { new: true }
+  ).lean();
+};
+
+// Static method to store a translation
+translationCacheSchema.statics.store = function(text, fromLang, toLang, translatedText, provider) {
+  return this.updateOne(
+    { key: this.keyFor(text, fromLang, toLang) },
+    {
+      $set: { translatedText, provider, lastUsedAt: new Date() },
+      $setOnInsert: { fromLanguage: fromLang, toLanguage: toLang, text }
+    },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('TranslationCache', translationCacheSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const geoService = require('../utils/geoService');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -36,10 +38,17 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Volunteer vetted by an admin (shown as a badge)
   isVerified: {
     type: Boolean,
     default: false
   },
+  // Owner confirmed the email address through the link sent at registration
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
   avatar: {
     type: String,
     default: null
@@ -68,6 +77,17 @@ const userSchema = new mongoose.Schema({
     coordinates: {
       latitude: Number,
       longitude: Number
+    },
+    // GeoJSON copy of coordinates for geospatial queries (kept in sync on save)
+    geo: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number], // [lng, lat]
+        default: undefined
+      }
     }
   },
   preferences: {
@@ -98,12 +118,17 @@ const userSchema = new mongoose.Schema({
       default: false
     },
     lastDonation: Date,
+    // Average of the ratings requesters gave (recomputed by volunteerStatsService)
     rating: {
       type: Number,
       default: 0,
       min: 0,
       max: 5
     },
+    ratingCount: {
+      type: Number,
+      default: 0
+    },
     totalHelped: {
       type: Number,
       default: 0
@@ -121,7 +146,16 @@ const userSchema = new mongoose.Schema({
 });
 
 // Index for geospatial queries
-userSchema.index({ 'address.coordinates': '2dsphere' });
+userSchema.index({ 'address.geo': '2dsphere' });
+
+// Keep the GeoJSON point in step with the saved latitude/longitude
+userSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('address')) {
+    const origin = geoService.getUserOrigin(this);
+    this.address.geo = origin ? geoService.toPoint(origin) : undefined;
+  }
+  next();
+});
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -156,12 +190,29 @@ userSchema.methods.getPublicProfile = function() {
   return userObject;
 };
 
-// Find nearby volunteers
-userSchema.statics.findNearbyVolunteers = function(coordinates, maxDistance = 10000) {
+// Method to issue an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function(expiresInHours) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.emailVerificationExpire = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+  return token;
+};
+
+// Static method to find the user an unexpired verification token was sent to
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: crypto.createHash('sha256').update(token).digest('hex'),
+    emailVerificationExpire: { $gt: new Date() }
+  });
+};
+
+// Find nearby volunteers (coordinates are [lng, lat], maxDistance is in metres)
+userSchema.statics.findNearbyVolunteers = function(coordinates, maxDistance = 10000, filters = {}) {
   return this.find({
     role: 'volunteer',
     isActive: true,
-    'address.coordinates': {
+    ...filters,
+    'address.geo': {
       $near: {
         $geometry: {
           type: 'Point',
@@ -173,4 +224,37 @@ userSchema.statics.findNearbyVolunteers = function(coordinates, maxDistance = 10
   });
 };
 
+// Treat accounts created before email verification existed as verified, so they keep posting blood requests
+userSchema.statics.markLegacyEmailsVerified = async function() {
+  const result = await this.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+  return result.modifiedCount;
+};
+
+// Backfill GeoJSON points for users saved before address.geo existed
+userSchema.statics.backfillGeoLocations = async function() {
+  const users = await this.find({
+    'address.geo': { $exists: false },
+    'address.coordinates.latitude': { $ne: null },
+    'address.coordinates.longitude': { $ne: null }
+  }).select('address.coordinates');
+
+  const operations = users
+    .map(user => ({ user, origin: geoService.getUserOrigin(user) }))
+    .filter(({ origin }) => origin)
+    .map(({ user, origin }) => ({
+      updateOne: {
+        filter: { _id: user._id },
+        update: { $set: { 'address.geo': geoService.toPoint(origin) } }
+      }
+    }));
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+  }
+  return operations.length;
+};
+
 module.exports = mongoose.model('User', userSchema);
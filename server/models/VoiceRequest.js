@@ -13,11 +13,19 @@ const voiceRequestSchema = new mongoose.Schema({
     trim: true
   },
   
-  // Transcribed text from audio
+  // Transcribed text from audio (filled in by the voice job queue)
   transcribedText: {
     type: String,
-    required: true,
-    trim: true
+    trim: true,
+    required: function() {
+      return this.processingStatus === 'completed';
+    }
+  },
+
+  // Uploaded audio waiting for transcription; removed once processing completes
+  audioPath: {
+    type: String,
+    select: false
   },
   
   // Audio metadata
@@ -34,6 +42,7 @@ const voiceRequestSchema = new mongoose.Schema({
       type: String,
       required: true // audio format (webm, mp3, wav, etc.)
     },
+    mimetype: String,
     language: {
       type: String,
       enum: ['en', 'hi', 'te'], // English, Hindi, Telugu
@@ -60,10 +69,15 @@ const voiceRequestSchema = new mongoose.Schema({
       confidence: Number
     }],
     detectedLanguage: String,
-    processingTime: Number // in milliseconds
+    processingTime: Number, // in milliseconds
+    backend: String // whisper_cpp, local_server, huggingface or mock
   },
   
+  // Chatbot reply to the transcribed message
+  aiResponse: String,
+
   // Processing timestamps
+  processingStartedAt: Date,
   processedAt: Date,
   submittedAt: {
     type: Date,
@@ -158,6 +172,15 @@ voiceRequestSchema.methods.updateProcessingStatus = function(status, errorMessag
   return this.save();
 };
 
+// Static method to claim a queued request for processing (only one worker wins)
+voiceRequestSchema.statics.claimForProcessing = function(id) {
+  return this.findOneAndUpdate(
+    { _id: id, processingStatus: 'pending' },
+    { $set: { processingStatus: 'processing', processingStartedAt: new Date() } },
+    { new: true }
+  ).select('+audioPath');
+};
+
 // Method to assign volunteer
 voiceRequestSchema.methods.assignToVolunteer = function(volunteerId) {
   this.assignedVolunteer = volunteerId;
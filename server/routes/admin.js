@@ -1,21 +1,337 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const { authorize } = require('../middleware/auth');
+const User = require('../models/User');
+const adminStatsService = require('../utils/adminStatsService');
+const auditService = require('../utils/auditService');
+const tokenService = require('../utils/tokenService');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Fields an admin sees in the user table
+const USER_FIELDS = 'name email phone role isActive isVerified address.city address.state address.pincode volunteerInfo.totalHelped volunteerInfo.rating volunteerInfo.skills volunteerInfo.availability createdAt';
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+// Load the target user for an admin action, refusing actions on the admin's own account
+const loadTargetUser = async (req, res) => {
+  const user = await User.findById(req.params.id).select(USER_FIELDS);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (user._id.toString() === req.user.userId.toString()) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot change your own account from the admin panel'
+    });
+    return null;
+  }
+
+  return user;
+};
 
 // @route   GET /api/admin/dashboard
-// @desc    Get admin dashboard data
+// @desc    Get admin dashboard data (?days=7..90 sets the window for time-based stats)
 // @access  Private (Admin only)
 router.get('/dashboard', [auth, authorize('admin')], async (req, res) => {
-  res.json({
-    message: 'Admin dashboard endpoint - Coming soon',
-    data: {
-      totalUsers: 0,
-      totalComplaints: 0,
-      totalBloodRequests: 0,
-      totalElderlySupport: 0
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 7), 90);
+    const data = await adminStatsService.getDashboard(days);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Admin dashboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load admin dashboard',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/users
+// @desc    Search users (search = name or email, role, city, status = active|suspended, verified)
+// @access  Private (Admin only)
+router.get('/users', [auth, authorize('admin')], async (req, res) => {
+  try {
+    const { search, role, city, status, verified, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (search && search.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role && role !== 'all') query.role = role;
+    if (city && city.trim()) query['address.city'] = new RegExp(escapeRegex(city.trim()), 'i');
+    if (status === 'active') query.isActive = true;
+    if (status === 'suspended') query.isActive = false;
+    if (verified === 'true') query.isVerified = true;
+    if (verified === 'false') query.isVerified = false;
+
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select(USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(pageSize),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      users,
+      pagination: {
+        current: parseInt(page) || 1,
+        total: Math.ceil(total / pageSize),
+        count: users.length,
+        totalUsers: total
+      }
+    });
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/audit
+// @desc    Search the audit log (actor, action prefix, targetType, target, from, to)
+// @access  Private (Admin only)
+router.get('/audit', [auth, authorize('admin')], async (req, res) => {
+  try {
+    const { actor, action, targetType, target, from, to, page = 1, limit = 50 } = req.query;
+
+    for (const id of [actor, target]) {
+      if (id && !mongoose.isValidObjectId(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid actor or target ID'
+        });
+      }
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const { entries, total } = await auditService.search(
+      { actor, action, targetType, target, from, to },
+      { page: pageNumber, limit: pageSize }
+    );
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        current: pageNumber,
+        total: Math.ceil(total / pageSize),
+        count: entries.length,
+        totalEntries: total
+      }
+    });
+  } catch (error) {
+    console.error('Admin get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id/audit
+// @desc    Admin actions taken on a user, newest first
+// @access  Private (Admin only)
+router.get('/users/:id/audit', [auth, authorize('admin')], async (req, res) => {
+  try {
+    const history = await auditService.getHistory('User', req.params.id);
+
+    res.json({
+      success: true,
+      history
+    });
+  } catch (error) {
+    console.error('Admin get user audit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit trail',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/status
+// @desc    Suspend or reactivate a user
+// @access  Private (Admin only)
+router.put('/users/:id/status', [
+  auth,
+  authorize('admin'),
+  body('isActive').isBoolean().withMessage('isActive must be true or false'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    const before = { isActive: user.isActive };
+    user.isActive = req.body.isActive;
+    await user.save({ validateModifiedOnly: true });
+
+    // A suspended user is signed out everywhere, including open sockets
+    if (!user.isActive) {
+      await tokenService.revokeAllSessions(user._id, 'suspended');
+    }
+
+    await auditService.record(req, {
+      action: user.isActive ? 'user.reactivate' : 'user.suspend',
+      targetType: 'User',
+      target: user._id,
+      before,
+      after: { isActive: user.isActive },
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: user.isActive ? 'User reactivated' : 'User suspended',
+      user
+    });
+  } catch (error) {
+    console.error('Admin update user status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user status',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Private (Admin only)
+router.put('/users/:id/role', [
+  auth,
+  authorize('admin'),
+  body('role').isIn(['citizen', 'volunteer', 'admin']).withMessage('Role must be citizen, volunteer or admin'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    if (user.role === req.body.role) {
+      return res.status(400).json({
+        success: false,
+        message: `User is already a ${user.role}`
+      });
     }
-  });
+
+    const before = { role: user.role };
+    user.role = req.body.role;
+    await user.save({ validateModifiedOnly: true });
+
+    await auditService.record(req, {
+      action: 'user.role_change',
+      targetType: 'User',
+      target: user._id,
+      before,
+      after: { role: user.role },
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: `Role changed to ${user.role}`,
+      user
+    });
+  } catch (error) {
+    console.error('Admin change user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change user role',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/verify
+// @desc    Verify a volunteer or revoke verification
+// @access  Private (Admin only)
+router.put('/users/:id/verify', [
+  auth,
+  authorize('admin'),
+  body('isVerified').isBoolean().withMessage('isVerified must be true or false'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    if (user.role !== 'volunteer') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only volunteers can be verified'
+      });
+    }
+
+    const before = { isVerified: user.isVerified };
+    user.isVerified = req.body.isVerified;
+    await user.save({ validateModifiedOnly: true });
+
+    await auditService.record(req, {
+      action: user.isVerified ? 'user.verify' : 'user.unverify',
+      targetType: 'User',
+      target: user._id,
+      before,
+      after: { isVerified: user.isVerified },
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: user.isVerified ? 'Volunteer verified' : 'Verification revoked',
+      user
+    });
+  } catch (error) {
+    console.error('Admin verify user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update verification',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
 });
 
 module.exports = router;
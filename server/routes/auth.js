@@ -1,18 +1,20 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const auth = require('../middleware/auth');
-const { sendOTPEmail, sendWelcomeEmail, testEmailConfig } = require('../utils/emailService');
+const audit = require('../middleware/audit');
+const tokenService = require('../utils/tokenService');
+const { sendOTPEmail, sendWelcomeEmail, sendVerificationEmail, testEmailConfig } = require('../utils/emailService');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET || 'fallback-secret', {
-    expiresIn: '7d'
-  });
-};
+// Parts of volunteerInfo users may change through their profile
+const EDITABLE_VOLUNTEER_FIELDS = ['skills', 'availability', 'bloodGroup', 'canDonateBlood'];
+
+// Hours an email verification link stays valid, and the wait between resends
+const VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const VERIFICATION_RESEND_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
@@ -100,16 +102,17 @@ router.post('/register', [
       }
     });
 
+    const verificationToken = user.createEmailVerificationToken(VERIFICATION_TTL_HOURS);
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session: short-lived access token plus a refresh token
+    const { token, refreshToken, expiresAt } = await tokenService.createSession(user, req);
 
-    // Send welcome email
-    const emailResult = await sendWelcomeEmail(email, name);
+    // Send the verification link; the welcome email follows once it is used
+    const emailResult = await sendVerificationEmail(email, name, verificationToken, VERIFICATION_TTL_HOURS);
     if (!emailResult.success) {
-      console.error('Failed to send welcome email:', emailResult.error);
-      // Continue with registration even if email fails
+      console.error('Failed to send verification email:', emailResult.error);
+      // Continue with registration even if email fails; the user can ask for another link
     }
 
     // Return user data (without password)
@@ -118,6 +121,8 @@ router.post('/register', [
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
+      expiresAt,
       user: userData
     });
 
@@ -181,8 +186,8 @@ router.post('/login', [
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session: short-lived access token plus a refresh token
+    const { token, refreshToken, expiresAt } = await tokenService.createSession(user, req);
 
     // Return user data (without password)
     const userData = user.getPublicProfile();
@@ -193,6 +198,8 @@ router.post('/login', [
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
+      expiresAt,
       user: userData
     });
 
@@ -205,6 +212,273 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public (refresh token)
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await tokenService.refresh(req.body.refreshToken);
+    if (!result.success) {
+      return res.status(401).json({
+        message: result.message,
+        code: result.error
+      });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresAt: result.expiresAt,
+      user: result.user.getPublicProfile()
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      message: 'Server error refreshing session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Sign out this device by revoking its refresh token
+// @access  Public (refresh token)
+router.post('/logout', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await tokenService.revokeByRefreshToken(req.body.refreshToken);
+
+    // Same response whether or not the token matched, so it can't be used to probe tokens
+    res.json({
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      message: 'Server error during logout',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices the current user is signed in on
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.findActive(req.user.userId);
+
+    res.json({
+      sessions: sessions.map(session => session.toPublicJSON(req.user.sessionId))
+    });
+
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({
+      message: 'Server error fetching sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every other device
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const count = await tokenService.revokeAllSessions(req.user.userId, 'revoked', {
+      except: req.user.sessionId
+    });
+
+    res.json({
+      message: `Signed out of ${count} other session${count === 1 ? '' : 's'}`,
+      count
+    });
+
+  } catch (error) {
+    console.error('Sessions revoke error:', error);
+    res.status(500).json({
+      message: 'Server error revoking sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.userId,
+      revokedAt: null
+    });
+    if (!session) {
+      return res.status(404).json({
+        message: 'Session not found'
+      });
+    }
+
+    await tokenService.revokeSession(session, 'revoked');
+
+    res.json({
+      message: 'Session signed out',
+      current: session._id.equals(req.user.sessionId)
+    });
+
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({
+      message: 'Server error revoking session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification link
+// @access  Public (verification token)
+router.post('/verify-email', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByEmailVerificationToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save();
+
+    sendWelcomeEmail(user.email, user.name)
+      .then(result => {
+        if (!result.success) console.error('Failed to send welcome email:', result.error);
+      })
+      .catch(error => console.error('Welcome email error:', error));
+
+    res.json({
+      message: 'Email verified successfully',
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      message: 'Server error verifying email',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        message: 'Email is already verified'
+      });
+    }
+
+    // The last link was issued at expiry minus its lifetime
+    if (user.emailVerificationExpire) {
+      const issuedAt = user.emailVerificationExpire.getTime() - VERIFICATION_TTL_HOURS * 60 * 60 * 1000;
+      const waitSeconds = Math.ceil((issuedAt + VERIFICATION_RESEND_SECONDS * 1000 - Date.now()) / 1000);
+      if (waitSeconds > 0) {
+        return res.status(429).json({
+          message: `Please wait ${waitSeconds} seconds before requesting another email`,
+          retryAfter: waitSeconds
+        });
+      }
+    }
+
+    const verificationToken = user.createEmailVerificationToken(VERIFICATION_TTL_HOURS);
+    await user.save({ validateModifiedOnly: true });
+
+    const emailResult = await sendVerificationEmail(user.email, user.name, verificationToken, VERIFICATION_TTL_HOURS);
+    if (!emailResult.success) {
+      return res.status(500).json({
+        message: 'Failed to send verification email. Please try again later.',
+        error: process.env.NODE_ENV === 'development' ? emailResult.error : 'Email service error'
+      });
+    }
+
+    res.json({
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      message: 'Server error sending verification email',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // @route   GET /api/auth/profile
 // @desc    Get current user profile
 // @access  Private
@@ -236,6 +510,7 @@ router.get('/profile', auth, async (req, res) => {
 // @access  Private
 router.put('/profile', [
   auth,
+  audit('user.profile_update', 'User', (req) => req.user.userId),
   body('name')
     .optional()
     .trim()
@@ -244,7 +519,11 @@ router.put('/profile', [
   body('phone')
     .optional()
     .matches(/^[0-9]{10}$/)
-    .withMessage('Please enter a valid 10-digit phone number')
+    .withMessage('Please enter a valid 10-digit phone number'),
+  body('preferences.language')
+    .optional()
+    .isIn(['en', 'hi', 'te'])
+    .withMessage('Language must be en, hi or te')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -273,6 +552,34 @@ router.put('/profile', [
       }
     });
 
+    // The last donation date comes from the donation ledger, so the deferral cannot be edited away
+    if (req.body.volunteerInfo?.lastDonation !== undefined) {
+      return res.status(400).json({
+        message: 'Last donation date is set from your recorded donations and cannot be edited'
+      });
+    }
+
+    // Only the volunteer's own details are editable; ratings and help counts are computed by volunteerStatsService
+    if (updates.volunteerInfo) {
+      const editable = {};
+      EDITABLE_VOLUNTEER_FIELDS.forEach(field => {
+        if (updates.volunteerInfo[field] !== undefined) {
+          editable[field] = updates.volunteerInfo[field];
+        }
+      });
+      updates.volunteerInfo = { ...user.volunteerInfo?.toObject(), ...editable };
+    }
+
+    // The profile form sends the address without its coordinates; keep them so nearby searches still find this user
+    if (updates.address) {
+      updates.address = { ...user.toObject().address, ...updates.address };
+    }
+
+    // Changing one preference (e.g. the UI language) keeps the others
+    if (updates.preferences) {
+      updates.preferences = { ...user.preferences?.toObject(), ...updates.preferences };
+    }
+
     // Check if phone number is already taken by another user
     if (updates.phone && updates.phone !== user.phone) {
       const existingUser = await User.findOne({ 
@@ -490,6 +797,9 @@ router.post('/reset-password', [
     user.resetPasswordOTPExpiry = undefined;
     await user.save();
 
+    // Whoever had the old password must not stay signed in
+    await tokenService.revokeAllSessions(user._id, 'password_changed');
+
     res.json({
       message: 'Password reset successfully'
     });
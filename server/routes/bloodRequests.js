@@ -1,24 +1,859 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../middleware/auth');
+const audit = require('../middleware/audit');
+const Request = require('../models/Request');
+const User = require('../models/User');
+const Donation = require('../models/Donation');
+const socketService = require('../utils/socketService');
+const bloodMatchingService = require('../utils/bloodMatchingService');
+const geoService = require('../utils/geoService');
+const volunteerNotificationService = require('../utils/volunteerNotificationService');
+const notificationService = require('../utils/notificationService');
+const volunteerStatsService = require('../utils/volunteerStatsService');
+
+const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'urgent'];
+
+// Shape a blood request for the viewer, hiding contact details from anyone but the requester and donor
+const formatBloodRequest = (request, viewerId) => {
+  const ownerId = request.user?._id || request.user;
+  const isRequester = ownerId.toString() === viewerId.toString();
+  const accepter = request.accepters[0]; // Only one donor per blood request
+  const isDonor = !!accepter && (accepter.user?._id || accepter.user).toString() === viewerId.toString();
+  const canSeeContacts = isRequester || isDonor;
+
+  return {
+    _id: request._id,
+    type: request.type,
+    name: request.name,
+    phone: canSeeContacts ? request.phone : 'Hidden',
+    location: request.location,
+    bloodType: request.bloodType,
+    urgencyLevel: request.urgencyLevel,
+    priority: request.priority,
+    status: request.status,
+    createdAt: request.createdAt,
+    updatedAt: request.updatedAt,
+    userRole: isRequester ? 'requester' : (isDonor ? 'donor' : 'viewer'),
+    requesterName: request.user?.name || 'Citizen',
+    user: request.user?._id ? { _id: request.user._id, name: request.user.name } : { _id: ownerId },
+    donor: accepter && canSeeContacts && accepter.user?.name ? {
+      _id: accepter.user._id,
+      name: accepter.user.name,
+      phone: accepter.user.phone,
+      email: accepter.user.email,
+      acceptedAt: accepter.acceptedAt
+    } : null
+  };
+};
+
+// Build a Mongo filter from the supported query parameters
+const buildBloodFilter = ({ bloodType, urgencyLevel, city, pincode, status }) => {
+  const query = { type: 'blood' };
+
+  if (bloodType) {
+    query.bloodType = { $in: bloodType.split(',').map(t => t.trim()) };
+  }
+  if (urgencyLevel) {
+    query.urgencyLevel = { $in: urgencyLevel.split(',').map(u => u.trim()) };
+  }
+  if (status) {
+    query.status = { $in: status.split(',').map(s => s.trim()) };
+  }
+  if (city) {
+    query['location.city'] = new RegExp(`^${city.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+  }
+  if (pincode) {
+    query['location.pincode'] = pincode.trim();
+  }
+
+  return query;
+};
+
+const bloodRequestValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be between 2 and 100 characters'),
+    field('location.address')
+      .trim()
+      .isLength({ min: 5 })
+      .withMessage('Address is required and must be at least 5 characters'),
+    body('phone')
+      .optional()
+      .isMobilePhone()
+      .withMessage('Please provide a valid phone number'),
+    field('bloodType')
+      .isIn(BLOOD_TYPES)
+      .withMessage('Valid blood type is required for blood requests'),
+    field('urgencyLevel')
+      .isIn(URGENCY_LEVELS)
+      .withMessage('Valid urgency level is required for blood requests')
+  ];
+};
+
+// Public blood requests a donor can still accept (shared with GET /api/requests/public/blood)
+// Narrowed to the blood types the donor can give to unless ?compatibleOnly=false
+// Supports lat/lng/radius (or nearMe=true) and sortBy=distance
+const getPublicBloodRequests = async (req, res) => {
+  try {
+    const donor = await User.findById(req.user.userId);
+
+    const near = geoService.parseNearQuery(req.query, donor);
+    if (near?.error) {
+      return res.status(400).json({
+        success: false,
+        message: near.error
+      });
+    }
+    const compatibilityFilter = req.query.compatibleOnly === 'false'
+      ? {}
+      : bloodMatchingService.getRequestFilterForDonor(donor);
+
+    const query = {
+      ...buildBloodFilter(req.query),
+      status: 'pending', // Only show pending requests
+      user: { $ne: req.user.userId }, // Exclude user's own requests
+      $or: [
+        { accepters: { $exists: false } }, // No accepters field
+        { accepters: { $size: 0 } } // Empty accepters array
+      ]
+    };
+
+    // Intersect with any bloodType filter the caller asked for
+    if (compatibilityFilter.bloodType) {
+      const compatible = compatibilityFilter.bloodType.$in;
+      query.bloodType = {
+        $in: query.bloodType ? query.bloodType.$in.filter(type => compatible.includes(type)) : compatible
+      };
+    }
+
+    const sortByDistance = !!near && req.query.sortBy === 'distance';
+    let findQuery = query;
+    if (near) {
+      ({ findQuery } = geoService.applyRadius(query, near, { sortByDistance }));
+    }
+
+    let finder = Request.find(findQuery).populate('user', 'name');
+    if (!sortByDistance) {
+      finder = finder.sort({ createdAt: -1 });
+    }
+    const requests = await finder.limit(50);
+
+    res.json({
+      success: true,
+      requests: requests.map(request => ({
+        ...formatBloodRequest(request, req.user.userId),
+        distance: near ? geoService.distanceKm(near.origin, request.location?.geo) : null
+      })),
+      search: near ? { ...near.origin, radius: near.radiusKm } : null,
+      donor: {
+        bloodGroup: donor?.volunteerInfo?.bloodGroup || null,
+        compatibleOnly: Object.keys(compatibilityFilter).length > 0,
+        ...bloodMatchingService.getDonorEligibility(donor)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching public blood requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blood requests'
+    });
+  }
+};
+
+// Accepted blood requests with mutual details (shared with GET /api/requests/blood/accepted)
+const getAcceptedBloodRequests = async (req, res) => {
+  try {
+    // Find requests where user is either the requester or the accepter
+    const requests = await Request.find({
+      type: 'blood',
+      status: { $in: ['accepted', 'in_progress'] },
+      $or: [
+        { user: req.user.userId }, // User is the requester
+        { 'accepters.user': req.user.userId } // User is the accepter
+      ]
+    })
+      .populate('user', 'name phone email')
+      .populate('accepters.user', 'name phone email')
+      .sort({ updatedAt: -1 });
+
+    const acceptedRequests = requests.map(request => {
+      const isRequester = request.user._id.toString() === req.user.userId.toString();
+      const accepter = request.accepters[0]; // Only one accepter in our system
+
+      return {
+        _id: request._id,
+        bloodType: request.bloodType,
+        urgencyLevel: request.urgencyLevel,
+        location: request.location,
+        status: request.status,
+        createdAt: request.createdAt,
+        acceptedAt: accepter?.acceptedAt,
+        userRole: isRequester ? 'requester' : 'donor',
+        requester: {
+          name: request.user.name,
+          phone: request.user.phone,
+          email: request.user.email
+        },
+        donor: accepter ? {
+          name: accepter.user.name,
+          phone: accepter.user.phone,
+          email: accepter.user.email,
+          acceptedAt: accepter.acceptedAt
+        } : null
+      };
+    });
+
+    res.json({
+      success: true,
+      requests: acceptedRequests
+    });
+  } catch (error) {
+    console.error('Error fetching accepted blood requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch accepted blood requests'
+    });
+  }
+};
 
 // @route   GET /api/blood-requests
-// @desc    Get all blood requests
+// @desc    List blood requests filtered by bloodType, urgencyLevel, city, pincode and status
 // @access  Private
 router.get('/', auth, async (req, res) => {
-  res.json({
-    message: 'Blood requests endpoint - Coming soon',
-    data: []
-  });
+  try {
+    const { mine, page = 1, limit = 10 } = req.query;
+
+    const query = buildBloodFilter(req.query);
+    if (mine === 'true') {
+      query.user = req.user.userId;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const total = await Request.countDocuments(query);
+
+    const requests = await Request.find(query)
+      .populate('user', 'name')
+      .populate('accepters.user', 'name phone email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const formatted = requests.map(request => formatBloodRequest(request, req.user.userId));
+
+    res.json({
+      success: true,
+      requests: formatted,
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / parseInt(limit)),
+        count: formatted.length,
+        totalRequests: total
+      }
+    });
+  } catch (error) {
+    console.error('Get blood requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving blood requests',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/blood-requests/public
+// @desc    Pending blood requests from other users that still need a donor
+// @access  Private
+router.get('/public', auth, getPublicBloodRequests);
+
+// @route   GET /api/blood-requests/accepted
+// @desc    Accepted blood requests where the user is the requester or the donor
+// @access  Private
+router.get('/accepted', auth, getAcceptedBloodRequests);
+
+// @route   GET /api/blood-requests/donations
+// @desc    Donation ledger and next eligible donation date for the current user
+// @access  Private
+router.get('/donations', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('volunteerInfo');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const donations = await Donation.getDonorLedger(req.user.userId);
+    const eligibility = bloodMatchingService.getDonorEligibility(user);
+
+    res.json({
+      success: true,
+      donations,
+      summary: {
+        totalDonations: donations.length,
+        totalUnits: donations.reduce((sum, donation) => sum + (donation.units || 0), 0),
+        lastDonation: user.volunteerInfo?.lastDonation || null,
+        nextEligibleDate: eligibility.nextEligibleDate,
+        eligible: eligibility.eligible,
+        reason: eligibility.reason,
+        deferralDays: bloodMatchingService.deferralDays
+      }
+    });
+  } catch (error) {
+    console.error('Get donation history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch donation history',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
 });
 
 // @route   POST /api/blood-requests
 // @desc    Create a new blood request
 // @access  Private
-router.post('/', auth, async (req, res) => {
-  res.json({
-    message: 'Create blood request endpoint - Coming soon'
-  });
+router.post('/', [auth, requireVerifiedEmail, audit('request.create', 'Request'), ...bloodRequestValidation()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+
+    const phoneNumber = req.body.phone || user.phone;
+    if (!phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is required. Please update your profile with a phone number.',
+        error: 'PHONE_REQUIRED'
+      });
+    }
+
+    const request = new Request({
+      type: 'blood',
+      user: req.user.userId,
+      name: req.body.name,
+      phone: phoneNumber,
+      location: req.body.location,
+      bloodType: req.body.bloodType,
+      urgencyLevel: req.body.urgencyLevel,
+      priority: req.body.urgencyLevel // Map urgency to priority
+    });
+    await request.save();
+    await request.populate('user', 'name phone email');
+
+    socketService.emitRequestEvent('request:created', request);
+
+    // Urgent requests alert matching volunteers nearby without holding up the response
+    volunteerNotificationService.notifyForRequest(request)
+      .catch(error => console.error('Urgent volunteer notification error:', error));
+
+    res.status(201).json({
+      success: true,
+      message: 'Blood request created successfully',
+      request: formatBloodRequest(request, req.user.userId)
+    });
+  } catch (error) {
+    console.error('Create blood request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating blood request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/blood-requests/:id
+// @desc    Get a single blood request
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const request = await Request.findOne({ _id: req.params.id, type: 'blood' })
+      .populate('user', 'name')
+      .populate('accepters.user', 'name phone email');
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blood request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      request: formatBloodRequest(request, req.user.userId)
+    });
+  } catch (error) {
+    console.error('Get blood request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving blood request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/blood-requests/:id
+// @desc    Update a pending blood request
+// @access  Private (Owner only)
+router.put('/:id', [auth, audit('request.update', 'Request'), ...bloodRequestValidation(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await Request.findOne({ _id: req.params.id, type: 'blood' });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blood request not found'
+      });
+    }
+
+    if (request.user.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only update your own requests.'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot update request that is no longer pending'
+      });
+    }
+
+    ['name', 'phone', 'location', 'bloodType', 'urgencyLevel'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        request[field] = req.body[field];
+      }
+    });
+    if (req.body.urgencyLevel) {
+      request.priority = req.body.urgencyLevel;
+    }
+
+    await request.save();
+    await request.populate('user', 'name phone email');
+
+    socketService.emitRequestEvent('request:updated', request);
+
+    res.json({
+      success: true,
+      message: 'Blood request updated successfully',
+      request: formatBloodRequest(request, req.user.userId)
+    });
+  } catch (error) {
+    console.error('Update blood request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating blood request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/blood-requests/:id
+// @desc    Delete a blood request
+// @access  Private (Owner only)
+router.delete('/:id', [auth, audit('request.delete', 'Request')], async (req, res) => {
+  try {
+    const request = await Request.findOne({ _id: req.params.id, type: 'blood' });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blood request not found'
+      });
+    }
+
+    if (request.user.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only delete your own requests.'
+      });
+    }
+
+    await Request.findByIdAndDelete(req.params.id);
+
+    socketService.emitRequestEvent('request:deleted', request);
+
+    res.json({
+      success: true,
+      message: 'Blood request deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete blood request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting blood request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/blood-requests/:id/matches
+// @desc    Ranked donors whose blood group is compatible and who are outside the deferral window
+// @access  Private (Requester or Admin)
+router.get('/:id/matches', auth, async (req, res) => {
+  try {
+    const request = await Request.findOne({ _id: req.params.id, type: 'blood' });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blood request not found'
+      });
+    }
+
+    if (request.user.toString() !== req.user.userId.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the requester can view matching donors'
+      });
+    }
+
+    const donors = await bloodMatchingService.rankDonorsForRequest(request, {
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      bloodType: request.bloodType,
+      compatibleGroups: bloodMatchingService.getCompatibleDonorGroups(request.bloodType),
+      donors
+    });
+  } catch (error) {
+    console.error('Blood request matches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to find matching donors'
+    });
+  }
+});
+
+// @route   POST /api/blood-requests/:id/accept
+// @desc    Accept a blood request as the donor
+// @access  Private
+router.post('/:id/accept', [auth, audit('request.accept', 'Request')], async (req, res) => {
+  try {
+    const volunteer = await User.findById(req.user.userId);
+
+    const target = await Request.findOne({ _id: req.params.id, type: 'blood' }).select('bloodType');
+    if (target) {
+      const compatibility = bloodMatchingService.checkDonorForRequest(volunteer, target);
+      if (!compatibility.ok) {
+        return res.status(400).json({
+          success: false,
+          message: compatibility.message
+        });
+      }
+    }
+
+    const request = await Request.acceptBlood(req.params.id, req.user.userId)
+      .populate('user', 'name phone email')
+      .populate('accepters.user', 'name phone email');
+
+    if (!request) {
+      const existing = await Request.findOne({ _id: req.params.id, type: 'blood' });
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Blood request not found'
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: existing.user.toString() === req.user.userId.toString()
+          ? 'Cannot volunteer for your own request'
+          : 'This blood request has already been accepted by another donor'
+      });
+    }
+
+    socketService.emitRequestEvent('request:accepted', request);
+    socketService.emitToUser(request.user._id, 'request:volunteered', {
+      requestId: request._id,
+      type: request.type,
+      volunteer: { _id: volunteer._id, name: volunteer.name }
+    });
+    notificationService.notifyRequestAccepted(request, volunteer)
+      .catch(error => console.error('Request accepted notification error:', error));
+
+    res.json({
+      success: true,
+      message: 'Thank you for volunteering! You can now see the requester\'s contact details.',
+      request: formatBloodRequest(request, req.user.userId)
+    });
+  } catch (error) {
+    console.error('Accept blood request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept blood request'
+    });
+  }
+});
+
+// @route   POST /api/blood-requests/:id/release
+// @desc    Release the donor match and reopen the request (donor backs out or requester declines)
+// @access  Private (Requester or donor)
+router.post('/:id/release', [auth, audit('request.release', 'Request')], async (req, res) => {
+  try {
+    const request = await Request.findOne({ _id: req.params.id, type: 'blood' });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blood request not found'
+      });
+    }
+
+    const actorRole = request.getActorRole(req.user);
+    if (!actorRole) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the requester or the donor can release this request'
+      });
+    }
+
+    const rejection = request.checkTransition('pending', actorRole);
+    if (rejection) {
+      return res.status(rejection.status).json({
+        success: false,
+        message: rejection.status === 400 ? 'Only accepted blood requests can be released' : rejection.message
+      });
+    }
+
+    const donors = request.accepters.map(accepter => accepter.user);
+    await request.transitionTo('pending', req.user.userId, {
+      message: actorRole === 'volunteer' ? 'Donor withdrew from the request' : 'Requester released the donor'
+    });
+    await request.populate('user', 'name phone email');
+
+    socketService.emitRequestEvent('request:created', request);
+    notificationService.notifyRequestStatus(request, 'pending', req.user.userId, 'open for other donors again', donors)
+      .catch(error => console.error('Request status notification error:', error));
+
+    res.json({
+      success: true,
+      message: 'Blood request reopened for other donors',
+      request: formatBloodRequest(request, req.user.userId)
+    });
+  } catch (error) {
+    console.error('Release blood request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release blood request'
+    });
+  }
+});
+
+// @route   POST /api/blood-requests/:id/complete
+// @desc    Record the donation for an accepted blood request and mark it fulfilled
+// @access  Private (Requester or donor)
+router.post('/:id/complete', [
+  auth,
+  audit('request.complete', 'Request'),
+  body('units')
+    .optional()
+    .isInt({ min: 1, max: 4 })
+    .withMessage('Units must be between 1 and 4'),
+  body('hospitalName')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Hospital name cannot be more than 200 characters'),
+  body('donatedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Donation date must be a valid date'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await Request.findOne({ _id: req.params.id, type: 'blood' });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blood request not found'
+      });
+    }
+
+    const accepter = request.accepters[0];
+    const isRequester = request.user.toString() === req.user.userId.toString();
+    const isDonor = !!accepter && accepter.user.toString() === req.user.userId.toString();
+
+    if (!isRequester && !isDonor) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the requester or the donor can complete this request'
+      });
+    }
+
+    if (!['accepted', 'in_progress'].includes(request.status) || !accepter) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only accepted blood requests can be marked as fulfilled'
+      });
+    }
+
+    const donatedAt = req.body.donatedAt ? new Date(req.body.donatedAt) : new Date();
+    if (donatedAt > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Donation date cannot be in the future'
+      });
+    }
+
+    // Check the status change before writing anything, so a refused change leaves the ledger untouched
+    const rejection = request.checkTransition('fulfilled', request.getActorRole(req.user), { donation: true });
+    if (rejection) {
+      return res.status(rejection.status).json({
+        success: false,
+        message: rejection.message,
+        code: rejection.code
+      });
+    }
+
+    const donor = await User.findById(accepter.user);
+    const units = parseInt(req.body.units) || 1;
+
+    await request.transitionTo('fulfilled', req.user.userId, {
+      donation: true,
+      message: `Donation recorded (${units} unit${units > 1 ? 's' : ''})`
+    });
+
+    // A donation the requester records only counts towards the donor's deferral once the donor confirms it
+    const donation = await Donation.create({
+      donor: accepter.user,
+      request: request._id,
+      recipient: request.user,
+      bloodGroup: donor?.volunteerInfo?.bloodGroup || request.bloodType,
+      units,
+      hospitalName: req.body.hospitalName || request.location?.address,
+      donatedAt,
+      notes: req.body.notes,
+      recordedBy: req.user.userId,
+      donorConfirmed: isDonor
+    });
+    const lastDonation = isDonor ? await Donation.syncLastDonation(accepter.user) : donor?.volunteerInfo?.lastDonation;
+    await volunteerStatsService.recompute(accepter.user);
+    await request.populate('user', 'name phone email');
+    await request.populate('accepters.user', 'name phone email');
+
+    socketService.emitRequestEvent('request:updated', request);
+    notificationService.notify(isDonor ? request.user._id : accepter.user, {
+      type: 'donation_recorded',
+      title: 'Blood donation recorded',
+      message: isDonor
+        ? `${donor?.name || 'Your donor'} recorded the donation for your ${request.bloodType} blood request.`
+        : `${request.user.name} recorded your ${request.bloodType} blood donation. Please confirm it in your donation history. Thank you for saving a life!`,
+      section: isDonor ? 'myRequests' : 'acceptedRequests',
+      relatedRequest: request._id,
+      actor: req.user.userId
+    }).catch(error => console.error('Donation notification error:', error));
+
+    res.json({
+      success: true,
+      message: 'Donation recorded. Thank you for saving a life!',
+      donation,
+      nextEligibleDate: bloodMatchingService.getNextEligibleDate(lastDonation),
+      request: formatBloodRequest(request, req.user.userId)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A donation has already been recorded for this request'
+      });
+    }
+    console.error('Complete blood request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record donation'
+    });
+  }
+});
+
+// @route   POST /api/blood-requests/:id/donation/confirm
+// @desc    Confirm a donation the requester recorded, which starts the donor's deferral
+// @access  Private (Donor only)
+router.post('/:id/donation/confirm', [auth, audit('donation.confirm', 'Request')], async (req, res) => {
+  try {
+    const donation = await Donation.findOne({ request: req.params.id });
+
+    if (!donation) {
+      return res.status(404).json({
+        success: false,
+        message: 'No donation has been recorded for this request'
+      });
+    }
+
+    if (donation.donor.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the donor can confirm this donation'
+      });
+    }
+
+    if (donation.donorConfirmed !== false) {
+      return res.status(400).json({
+        success: false,
+        message: 'This donation is already confirmed'
+      });
+    }
+
+    donation.donorConfirmed = true;
+    await donation.save();
+    const lastDonation = await Donation.syncLastDonation(donation.donor);
+
+    res.json({
+      success: true,
+      message: 'Donation confirmed. Thank you for saving a life!',
+      donation,
+      nextEligibleDate: bloodMatchingService.getNextEligibleDate(lastDonation)
+    });
+  } catch (error) {
+    console.error('Confirm donation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm donation'
+    });
+  }
 });
 
 module.exports = router;
+module.exports.getPublicBloodRequests = getPublicBloodRequests;
+module.exports.getAcceptedBloodRequests = getAcceptedBloodRequests;
@@ -1,13 +1,21 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
 const router = express.Router();
+const { body } = require('express-validator');
 const auth = require('../middleware/auth');
 const Request = require('../models/Request');
 const VoiceRequest = require('../models/VoiceRequest');
 const Chat = require('../models/Chat');
+const ChatSession = require('../models/ChatSession');
 const geminiVoiceService = require('../utils/geminiVoiceService');
 const translationService = require('../utils/translationService');
 const User = require('../models/User');
+const volunteerNotificationService = require('../utils/volunteerNotificationService');
+const contentTranslationService = require('../utils/contentTranslationService');
+const auditService = require('../utils/auditService');
+const voiceJobQueue = require('../utils/voiceJobQueue');
+const socketService = require('../utils/socketService');
 const {
   voiceProcessingValidation,
   textMessageValidation,
@@ -34,6 +42,11 @@ const upload = multer({
   }
 });
 
+// Request draft values the user may pick when editing (match the Request schema)
+const SERVICE_TYPES = ['Medicine Delivery', 'Grocery Shopping', 'Medical Appointment', 'Household Help', 'Companionship', 'Emergency Assistance', 'Other'];
+
+const COMPLAINT_CATEGORIES = ['Infrastructure', 'Sanitation', 'Water Supply', 'Electricity', 'Road Maintenance', 'Waste Management', 'Public Safety', 'Healthcare', 'Education', 'Transportation', 'Other'];
+
 // @route   POST /api/chatbot/message
 // @desc    Process chatbot message (legacy endpoint)
 // @access  Private
@@ -68,7 +81,7 @@ router.post('/message', auth, async (req, res) => {
 });
 
 // @route   POST /api/chatbot/voice
-// @desc    Process audio file upload and transcription
+// @desc    Store an audio upload and queue it for background transcription
 // @access  Private
 router.post('/voice',
   auth,
@@ -79,131 +92,124 @@ router.post('/voice',
   voiceRateLimit,
   async (req, res) => {
     try {
+      const { language = 'auto', duration, originalText } = req.body;
 
+      const voiceRequest = await voiceJobQueue.submit(req.user.userId, req.file, {
+        language,
+        duration,
+        originalText
+      });
 
-      const { language = 'auto' } = req.body;
-      const audioFile = req.file;
-
-      if (!audioFile) {
-        return res.status(400).json({
-          success: false,
-          message: 'Audio file is required'
-        });
-      }
-
-      // Try Whisper service for transcription, with fallback
-      let transcriptionResult;
-      let transcribedText;
-
-      try {
-        const whisperService = require('../utils/whisperService');
-        transcriptionResult = await whisperService.transcribeAudio(audioFile.buffer, {
-          language: language === 'auto' ? 'auto' : language
-        });
-
-        if (transcriptionResult.success) {
-          transcribedText = transcriptionResult.text;
-
-          // Detect language from actual transcribed text if not already detected
-          if (!transcriptionResult.language || transcriptionResult.language === 'auto') {
-            transcriptionResult.language = detectLanguageFromText(transcribedText);
-          }
-
-
-        } else {
-          throw new Error(transcriptionResult.error || 'Whisper transcription failed');
+      res.status(202).json({
+        success: true,
+        message: 'Voice message received and queued for transcription',
+        data: {
+          id: voiceRequest._id,
+          processingStatus: voiceRequest.processingStatus,
+          submittedAt: voiceRequest.submittedAt
         }
-      } catch (whisperError) {
-
-        // Fallback to mock transcription based on language - use realistic examples
-        const mockTranscriptions = {
-          'en': 'I need O positive blood urgently',
-          'hi': 'मुझे ओ पॉजिटिव खून की तुरंत जरूरत है',
-          'te': 'నాకు ఓ పాజిటివ్ రక్తం అత్యవసరంగా కావాలి',
-          'auto': 'I need O positive blood urgently'
-        };
+      });
+    } catch (error) {
+      console.error('Voice upload error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error queuing voice request',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }, voiceErrorHandler);
 
-        transcribedText = mockTranscriptions[language] || mockTranscriptions['en'];
-        // Detect language from the transcribed text
-        const detectedLanguage = detectLanguageFromText(transcribedText);
+// @route   GET /api/chatbot/voice-requests
+// @desc    List the current user's voice requests with processing status
+// @access  Private
+router.get('/voice-requests', auth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
 
-        transcriptionResult = {
-          success: true,
-          text: transcribedText,
-          language: detectedLanguage,
-          confidence: 0.8,
-          method: 'mock_server_fallback'
-        };
+    const filter = { user: req.user.userId };
+    if (['pending', 'processing', 'completed', 'failed'].includes(req.query.processingStatus)) {
+      filter.processingStatus = req.query.processingStatus;
+    }
+
+    const [voiceRequests, total] = await Promise.all([
+      VoiceRequest.find(filter)
+        .select('-notes')
+        .populate('assignedVolunteer', 'name phone')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      VoiceRequest.countDocuments(filter)
+    ]);
 
+    res.json({
+      success: true,
+      data: voiceRequests,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: voiceRequests.length,
+        totalRequests: total
       }
+    });
+  } catch (error) {
+    console.error('Get voice requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching voice requests',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
 
-      // Process with Gemini Pro
-      const geminiResult = await geminiVoiceService.processTextWithGemini(transcribedText, {
-        language: transcriptionResult.language || language,
-        inputMethod: 'voice',
-        userType: 'citizen'
+// @route   GET /api/chatbot/voice-requests/:id
+// @desc    Get a voice request's processing status and results
+// @access  Private (owner, assigned volunteer or admin)
+router.get('/voice-requests/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid voice request ID'
       });
+    }
 
-      if (geminiResult.success) {
-        const responseData = {
-          id: Date.now().toString(),
-          transcribedText: transcribedText,
-          category: geminiResult.category,
-          priority: geminiResult.priority,
-          geminiResponse: geminiResult.response,
-          detectedLanguage: transcriptionResult.language || language,
-          confidence: transcriptionResult.confidence || 0.95,
-          processedAt: new Date(),
-          needsVoiceResponse: true,
-          voiceResponse: geminiVoiceService.prepareVoiceResponse(geminiResult.response, transcriptionResult.language || language),
-          usingFallback: geminiResult.usingFallback || false,
-          method: transcriptionResult.method || 'whisper'
-        };
-
-        res.json({
-          success: true,
-          message: geminiResult.usingFallback ? 'Voice request processed (fallback mode)' : 'Voice request processed with AI assistance',
-          data: responseData
-        });
+    const voiceRequest = await VoiceRequest.findById(req.params.id)
+      .populate('assignedVolunteer', 'name phone')
+      .populate('notes.addedBy', 'name role');
 
-        // Save to database asynchronously
-        setImmediate(async () => {
-          try {
-            const voiceRequest = new VoiceRequest({
-              userId: req.user.id,
-              originalAudio: {
-                filename: audioFile.originalname,
-                mimetype: audioFile.mimetype,
-                size: audioFile.size
-              },
-              transcribedText: transcribedText,
-              detectedLanguage: transcriptionResult.language || language,
-              confidence: transcriptionResult.confidence || 0.95,
-              category: geminiResult.category,
-              priority: geminiResult.priority,
-              geminiResponse: geminiResult.response,
-              processingTime: Date.now() - Date.now(),
-              method: transcriptionResult.method || 'whisper'
-            });
-
-            await voiceRequest.save();
-          } catch (dbError) {
-          }
-        });
+    if (!voiceRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voice request not found'
+      });
+    }
 
-      } else {
-        throw new Error(geminiResult.error || 'Failed to process with Gemini');
-      }
+    const userId = req.user.userId.toString();
+    const canView = voiceRequest.user.toString() === userId ||
+      voiceRequest.assignedVolunteer?._id.toString() === userId ||
+      req.user.role === 'admin';
 
-    } catch (error) {
-      console.error('Voice processing error:', error);
-      res.status(500).json({
+    if (!canView) {
+      return res.status(403).json({
         success: false,
-        message: 'Error processing voice request',
-        error: error.message
+        message: 'Not authorized to view this voice request'
       });
     }
-  }, voiceErrorHandler);
+
+    res.json({
+      success: true,
+      data: voiceRequest
+    });
+  } catch (error) {
+    console.error('Get voice request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching voice request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
 
 // @route   GET /api/chatbot/health
 // @desc    Health check endpoint
@@ -239,7 +245,7 @@ router.post('/voice-text',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { message, language = 'en', confidence = 0.95, voiceMetadata = {}, conversationContext = {} } = req.body;
+      const { message, language = 'en', confidence = 0.95, voiceMetadata = {} } = req.body;
 
       if (!message || message.trim().length === 0) {
         return res.status(400).json({
@@ -249,218 +255,25 @@ router.post('/voice-text',
       }
 
       const trimmedMessage = message.trim();
-      const startTime = Date.now();
 
       // Detect language from actual message content if not provided or if auto
       const detectedLanguage = (language === 'auto' || !language) ? detectLanguageFromText(trimmedMessage) : language;
 
-
-      // Process with Gemini Pro (with fallback for quota issues)
-      let geminiResult;
-      try {
-        geminiResult = await geminiVoiceService.processTextWithGemini(trimmedMessage, {
-          language: detectedLanguage,
-          inputMethod: 'voice',
-          userType: 'citizen'
-        });
-      } catch (error) {
-        const category = categorizeRequest(trimmedMessage);
-        const priority = determinePriority(trimmedMessage);
-
-        geminiResult = {
-          success: true,
-          response: generateFallbackResponse(category, trimmedMessage),
-          category: category,
-          priority: priority,
-          usingFallback: true
-        };
-      }
-
-      // Decide final category/priority
-      const heuristicCategory = categorizeRequest(trimmedMessage);
-      let finalCategory = (geminiResult.category && geminiResult.category !== 'general_inquiry')
-        ? geminiResult.category
-        : heuristicCategory;
-      const finalPriority = geminiResult.priority || determinePriority(trimmedMessage);
-
-
-      // Use Gemini to extract information intelligently (same as text route)
-      let extractedInfo = {};
-      let missingInfo = [];
-      let needsMoreInfo = false;
-      let geminiExtraction = null;
-
-      if (shouldCreateRequest(finalCategory, trimmedMessage)) {
-
-        // Try Gemini-powered extraction first
-        geminiExtraction = await geminiVoiceService.extractInformationWithGemini(
-          trimmedMessage,
-          finalCategory,
-          detectedLanguage,
-          conversationContext
-        );
-
-
-        if (geminiExtraction.success && !geminiExtraction.usingFallback) {
-          extractedInfo = { ...conversationContext, ...geminiExtraction.extractedInfo };
-          missingInfo = geminiExtraction.missingRequired || [];
-          needsMoreInfo = geminiExtraction.needsMoreInfo || false;
-        } else {
-          // Fallback to hardcoded extraction
-          extractedInfo = extractRequestInfo(trimmedMessage, finalCategory, conversationContext);
-          missingInfo = getMissingRequiredInfo(finalCategory, extractedInfo);
-          needsMoreInfo = missingInfo.length > 0;
-        }
-
-      }
-
-      let createdRequest = null;
-      let responseMessage = '';
-
-      if (shouldCreateRequest(finalCategory, trimmedMessage)) {
-        if (needsMoreInfo && missingInfo.length > 0) {
-
-          // Use Gemini to generate intelligent follow-up question
-          const geminiQuestion = await geminiVoiceService.generateFollowUpQuestion(
-            finalCategory,
-            missingInfo[0],
-            extractedInfo,
-            detectedLanguage
-          );
-
-          if (geminiQuestion.success && !geminiQuestion.usingFallback) {
-            responseMessage = geminiQuestion.question;
-          } else {
-            // Fallback to template-based questions
-            responseMessage = generateFollowUpQuestion(finalCategory, missingInfo[0], extractedInfo);
-          }
-
-          // Save chat with pending request context
-          await saveChatMessage(
-            req.user.userId,
-            trimmedMessage,
-            responseMessage,
-            finalCategory,
-            finalPriority,
-            'voice',
-            { confidence, detectedLanguage, duration: voiceMetadata.duration || 0 },
-            {
-              usingFallback: geminiResult.usingFallback,
-              processingTime: Date.now() - startTime,
-              pendingRequest: true,
-              extractedInfo: extractedInfo,
-              missingInfo: missingInfo,
-              geminiExtraction: geminiExtraction?.success || false
-            }
-          );
-        } else {
-          // We have all required information, create the request
-          try {
-            createdRequest = await createRequestFromChatWithInfo(
-              req.user.userId,
-              trimmedMessage,
-              finalCategory,
-              finalPriority,
-              extractedInfo
-            );
-
-            // Use Gemini to generate success message
-            try {
-              const successPrompt = `A user successfully created a ${finalCategory.replace('_', ' ')} request via voice.
-
-Details:
-${JSON.stringify(extractedInfo, null, 2)}
-
-Request ID: ${createdRequest._id}
-
-Generate a friendly, encouraging confirmation message in ${detectedLanguage}. 
-- Acknowledge what they requested
-- Mention the key details they provided
-- Tell them what happens next (volunteers will be notified)
-- Keep it warm and human
-- 2-3 sentences max`;
-
-              const geminiSuccess = await geminiVoiceService.processTextWithGemini(successPrompt, {
-                language: detectedLanguage,
-                inputMethod: 'voice',
-                userType: 'citizen'
-              });
-
-              responseMessage = geminiSuccess.response || generateSuccessMessage(finalCategory, extractedInfo, createdRequest);
-            } catch (error) {
-              // Fallback to template if Gemini fails
-              responseMessage = generateSuccessMessage(finalCategory, extractedInfo, createdRequest);
-            }
-
-            const chatMessage = await saveChatMessage(
-              req.user.userId,
-              trimmedMessage,
-              responseMessage,
-              finalCategory,
-              finalPriority,
-              'voice',
-              { confidence, detectedLanguage, duration: voiceMetadata.duration || 0 },
-              {
-                usingFallback: geminiResult.usingFallback,
-                processingTime: Date.now() - startTime,
-                geminiResponse: geminiResult.response,
-                geminiExtraction: geminiExtraction?.success || false
-              }
-            );
-
-            if (createdRequest) {
-              await chatMessage.markAsRequestCreator(createdRequest._id);
-            }
-          } catch (requestError) {
-            console.error('❌ Voice: Failed to create request:', requestError.message);
-            responseMessage = 'I understood your request, but encountered an error saving it. Please try again.';
-          }
-        }
-      } else {
-        // General inquiry or greeting - use Gemini's direct response
-        responseMessage = geminiResult.response || 'How can I help you today?';
-
-        await saveChatMessage(
-          req.user.userId,
-          trimmedMessage,
-          responseMessage,
-          finalCategory,
-          finalPriority,
-          'voice',
-          { confidence, detectedLanguage, duration: voiceMetadata.duration || 0 },
-          {
-            usingFallback: geminiResult.usingFallback,
-            processingTime: Date.now() - startTime,
-            geminiResponse: geminiResult.response
-          }
-        );
-      }
-
-      // Build response payload
-      const responseData = {
-        id: Date.now().toString(),
-        transcribedText: trimmedMessage,
-        category: finalCategory,
-        priority: finalPriority,
-        extractedInfo: extractedInfo,
-        missingInfo: missingInfo,
-        needsMoreInfo: needsMoreInfo,
-        geminiResponse: responseMessage,
-        detectedLanguage: detectedLanguage,
-        confidence: confidence,
-        processedAt: new Date(),
-        createdRequestId: createdRequest?._id || null,
-        needsVoiceResponse: true,
-        voiceResponse: geminiVoiceService.prepareVoiceResponse(responseMessage, detectedLanguage),
-        usingFallback: geminiResult.usingFallback || false,
-        geminiExtraction: geminiExtraction?.success || false
-      };
-
+      const turn = await processChatTurn(req, {
+        message: trimmedMessage,
+        language: detectedLanguage,
+        inputMethod: 'voice',
+        voiceMetadata: { confidence, detectedLanguage, duration: voiceMetadata.duration || 0 }
+      });
 
       res.json({
         success: true,
-        message: createdRequest ? 'Request created successfully' : (needsMoreInfo ? 'Need more information' : 'Message processed'),
-        data: responseData
+        message: turn.message,
+        data: {
+          ...turn.data,
+          confidence: confidence,
+          voiceResponse: geminiVoiceService.prepareVoiceResponse(turn.data.geminiResponse, detectedLanguage)
+        }
       });
 
     } catch (error) {
@@ -482,7 +295,7 @@ router.post('/text',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { message, language = 'en', conversationContext = {} } = req.body;
+      const { message, language = 'en' } = req.body;
 
       if (!message || message.trim().length === 0) {
         return res.status(400).json({
@@ -491,134 +304,404 @@ router.post('/text',
         });
       }
 
-      const trimmedMessage = message.trim();
-      const startTime = Date.now();
+      const turn = await processChatTurn(req, {
+        message: message.trim(),
+        language,
+        inputMethod: 'text'
+      });
+
+      res.json({
+        success: true,
+        message: turn.message,
+        data: turn.data
+      });
+
+    } catch (error) {
+      console.error('Text processing error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error processing text message',
+        error: error.message
+      });
+    }
+  });
+
+// @route   GET /api/chatbot/session
+// @desc    Get the conversation in progress (resumes intake on another device)
+// @access  Private
+router.get('/session', auth, async (req, res) => {
+  try {
+    const session = await ChatSession.findActive(req.user.userId);
+
+    res.json({
+      success: true,
+      data: session ? session.toSummary() : null
+    });
+  } catch (error) {
+    console.error('Get chat session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching conversation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/chatbot/session
+// @desc    Cancel the conversation in progress without creating a request
+// @access  Private
+router.delete('/session', auth, async (req, res) => {
+  try {
+    const session = await ChatSession.findActive(req.user.userId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'No conversation in progress'
+      });
+    }
+
+    await session.end('cancelled');
+
+    res.json({
+      success: true,
+      message: 'Conversation cancelled',
+      data: session.toSummary()
+    });
+  } catch (error) {
+    console.error('Cancel chat session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling conversation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
 
+// @route   PUT /api/chatbot/session/draft
+// @desc    Edit fields of the request draft before confirming it
+// @access  Private
+router.put('/session/draft',
+  auth,
+  [
+    body('bloodType').optional().isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Invalid blood type'),
+    body('urgencyLevel').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid urgency level'),
+    body('unitsNeeded').optional().isInt({ min: 1, max: 10 }).withMessage('Units must be between 1 and 10').toInt(),
+    body('serviceType').optional().isIn(SERVICE_TYPES).withMessage('Invalid service type'),
+    body('frequency').optional().isIn(['one-time', 'daily', 'weekly', 'monthly']).withMessage('Invalid frequency'),
+    body('complaintCategory').optional().isIn(COMPLAINT_CATEGORIES).withMessage('Invalid complaint category'),
+    body('location.address').optional().trim().isLength({ min: 3, max: 300 }).withMessage('Address must be between 3 and 300 characters'),
+    body('location.city').optional().trim().isLength({ max: 100 }),
+    body('phone').optional().matches(/^[0-9]{10}$/).withMessage('Please enter a valid 10-digit phone number')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const session = await ChatSession.findActive(req.user.userId);
 
-      // Process with Gemini Pro (with fallback for quota issues)
-      let geminiResult;
-      try {
-        geminiResult = await geminiVoiceService.processTextWithGemini(trimmedMessage, {
-          language,
-          inputMethod: 'text',
-          userType: 'citizen'
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'No conversation in progress'
         });
-      } catch (error) {
-        const category = categorizeRequest(trimmedMessage);
-        const priority = determinePriority(trimmedMessage);
-
-        geminiResult = {
-          success: true,
-          response: generateFallbackResponse(category, trimmedMessage),
-          category: category,
-          priority: priority,
-          usingFallback: true
+      }
+
+      // Only fields that belong on this kind of request can be edited
+      const editable = Object.keys(session.toDraft()).filter(field => field !== 'type');
+      const fields = {};
+      editable.forEach(field => {
+        if (req.body[field] !== undefined) fields[field] = req.body[field];
+      });
+
+      if (fields.location) {
+        fields.location = {
+          ...(session.collected.location || {}),
+          ...fields.location,
+          // An edited address no longer matches the profile's coordinates
+          type: 'manual',
+          coordinates: undefined
         };
       }
 
-      // Decide final category/priority
-      const heuristicCategory = categorizeRequest(trimmedMessage);
-      let finalCategory = (geminiResult.category && geminiResult.category !== 'general_inquiry')
-        ? geminiResult.category
-        : heuristicCategory;
-      const finalPriority = geminiResult.priority || determinePriority(trimmedMessage);
-
-
-      // Use Gemini to extract information intelligently
-      let extractedInfo = {};
-      let missingInfo = [];
-      let needsMoreInfo = false;
-      let geminiExtraction = null;
-
-      if (shouldCreateRequest(finalCategory, trimmedMessage)) {
-
-        // Try Gemini-powered extraction first
-        geminiExtraction = await geminiVoiceService.extractInformationWithGemini(
-          trimmedMessage,
-          finalCategory,
-          language,
-          conversationContext
-        );
-
-
-        if (geminiExtraction.success && !geminiExtraction.usingFallback) {
-          extractedInfo = { ...conversationContext, ...geminiExtraction.extractedInfo };
-          missingInfo = geminiExtraction.missingRequired || [];
-          needsMoreInfo = geminiExtraction.needsMoreInfo || false;
-        } else {
-          // Fallback to hardcoded extraction
-          extractedInfo = extractRequestInfo(trimmedMessage, finalCategory, conversationContext);
-
-          // Ensure urgency extraction in fallback too!
-          if (!extractedInfo.urgencyLevel) {
-            extractedInfo.urgencyLevel = extractUrgency(trimmedMessage);
-          }
-
-          missingInfo = getMissingRequiredInfo(finalCategory, extractedInfo);
-          needsMoreInfo = missingInfo.length > 0;
-        }
+      session.applyFields(fields);
+      session.touch();
+      await prepareDraftOrQuestion(session);
+      await session.save();
+
+      res.json({
+        success: true,
+        message: 'Draft updated',
+        data: session.toSummary()
+      });
+    } catch (error) {
+      console.error('Update chat draft error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating draft',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  });
+
+// @route   POST /api/chatbot/session/confirm
+// @desc    Create the request from the confirmed draft
+// @access  Private
+router.post('/session/confirm', auth, async (req, res) => {
+  try {
+    const startTime = Date.now();
+    const session = await ChatSession.findActive(req.user.userId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'No conversation in progress'
+      });
+    }
+
+    if (session.state !== 'confirming') {
+      return res.status(400).json({
+        success: false,
+        message: 'The draft is missing required details',
+        data: session.toSummary()
+      });
+    }
+
+    const language = session.language;
+    const { request, code, responseMessage } = await commitSession(req, session, { language, inputMethod: 'text' });
+
+    // Unverified email is the user's to fix, same as requireVerifiedEmail
+    if (code === 'EMAIL_NOT_VERIFIED') {
+      return res.status(403).json({
+        success: false,
+        message: responseMessage,
+        code,
+        data: session.toSummary()
+      });
+    }
+
+    if (!request) {
+      return res.status(500).json({
+        success: false,
+        message: responseMessage,
+        data: session.toSummary()
+      });
+    }
+
+    const chatMessage = await saveChatMessage(
+      req.user.userId,
+      'Confirmed request draft',
+      responseMessage,
+      session.category,
+      session.priority,
+      'text',
+      null,
+      { language, processingTime: Date.now() - startTime },
+      session._id
+    );
+    await chatMessage.markAsRequestCreator(request._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Request created successfully',
+      data: {
+        createdRequestId: request._id,
+        geminiResponse: responseMessage,
+        session: session.toSummary()
       }
+    });
+  } catch (error) {
+    console.error('Confirm chat draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Helper Functions
 
-      let createdRequest = null;
-      let responseMessage = '';
-
-      if (shouldCreateRequest(finalCategory, trimmedMessage)) {
-        if (needsMoreInfo && missingInfo.length > 0) {
-
-          // Use Gemini to generate intelligent follow-up question
-          const geminiQuestion = await geminiVoiceService.generateFollowUpQuestion(
-            finalCategory,
-            missingInfo[0],
-            extractedInfo,
-            language
-          );
-
-          if (geminiQuestion.success && !geminiQuestion.usingFallback) {
-            responseMessage = geminiQuestion.question;
-          } else {
-            // Fallback to template-based questions
-            responseMessage = generateFollowUpQuestion(finalCategory, missingInfo[0], extractedInfo);
-          }
-
-          // Save chat with pending request context
-          await saveChatMessage(
-            req.user.userId,
-            trimmedMessage,
-            responseMessage,
-            finalCategory,
-            finalPriority,
-            'text',
-            null,
-            {
-              usingFallback: geminiResult.usingFallback,
-              processingTime: Date.now() - startTime,
-              pendingRequest: true,
-              extractedInfo: extractedInfo,
-              missingInfo: missingInfo,
-              geminiExtraction: geminiExtraction?.success || false
-            }
-          );
-        } else {
-
-
-          // We have all required information, create the request
-          try {
-            createdRequest = await createRequestFromChatWithInfo(
-              req.user.userId,
-              trimmedMessage,
-              finalCategory,
-              finalPriority,
-              extractedInfo
-            );
-
-            // Use Gemini to generate success message
-            try {
-              const successPrompt = `A user successfully created a ${finalCategory.replace('_', ' ')} request.
+const CANCEL_PATTERN = /\b(cancel|never\s?mind|forget (it|that|about it)|don'?t (submit|create|file))\b|रद्द|रहने दो|రద్దు|వద్దు/i;
+
+const CONFIRM_PATTERN = /^\s*(?:(?:yes|yeah|yep|confirm|submit|ok|okay|correct|looks good|go ahead)\b|हाँ|हां|ठीक है|पुष्टि|అవును|సరే|నిర్ధారించు)/i;
+
+// Used when neither the conversation nor the user's profile gives a location
+const DEFAULT_CHAT_LOCATION = {
+  type: 'manual',
+  coordinates: { lat: 16.523699, lng: 80.61359225 },
+  address: 'Potti Sriramulu College Road, Vinchipeta',
+  city: 'Vijayawada',
+  state: 'Andhra Pradesh',
+  pincode: '520001',
+  country: 'India'
+};
+
+const CANCEL_RESPONSES = {
+  en: 'Okay, I\'ve cancelled that. Nothing was submitted. How else can I help?',
+  hi: 'ठीक है, मैंने इसे रद्द कर दिया है। कुछ भी जमा नहीं किया गया। मैं और कैसे मदद कर सकता हूँ?',
+  te: 'సరే, నేను దానిని రద్దు చేశాను. ఏదీ సమర్పించబడలేదు. ఇంకా ఎలా సహాయం చేయగలను?'
+};
+
+// Blood requests wait for a verified email address; the draft stays open until then
+const VERIFY_EMAIL_RESPONSES = {
+  en: 'Please verify your email address before posting a blood request. Use the link we emailed you (or resend it from the banner at the top of your dashboard), then reply "confirm".',
+  hi: 'रक्त अनुरोध पोस्ट करने से पहले कृपया अपना ईमेल पता सत्यापित करें। हमारे भेजे गए ईमेल के लिंक का उपयोग करें (या डैशबोर्ड के ऊपर दिए बैनर से दोबारा भेजें), फिर "confirm" लिखें।',
+  te: 'రక్త అభ్యర్థనను పోస్ట్ చేసే ముందు దయచేసి మీ ఈమెయిల్ చిరునామాను ధృవీకరించండి. మేము పంపిన ఈమెయిల్‌లోని లింక్‌ను ఉపయోగించండి (లేదా డాష్‌బోర్డ్ పైభాగంలోని బ్యానర్ నుండి మళ్లీ పంపండి), తర్వాత "confirm" అని రాయండి.'
+};
+
+const FIELD_LABELS = {
+  bloodType: 'blood type',
+  unitsNeeded: 'units needed',
+  hospitalName: 'hospital',
+  relationship: 'patient',
+  urgencyLevel: 'urgency',
+  serviceType: 'service',
+  age: 'age',
+  elderName: 'name',
+  frequency: 'frequency',
+  complaintCategory: 'issue type',
+  complaintLocation: 'location',
+  phone: 'phone'
+};
+
+const DRAFT_TITLES = {
+  blood_request: 'blood request',
+  elder_support: 'elder support request',
+  complaint: 'complaint'
+};
+
+/**
+ * Whether a short message asks to abandon the request being collected
+ */
+function isCancelMessage(text) {
+  return text.split(/\s+/).length <= 6 && CANCEL_PATTERN.test(text);
+}
+
+/**
+ * Whether a short message accepts the draft ("yes", "confirm", "हाँ", "అవును")
+ */
+function isConfirmMessage(text) {
+  return text.split(/\s+/).length <= 4 && CONFIRM_PATTERN.test(text);
+}
+
+/**
+ * Location and phone for the draft, from the conversation or else the user's profile
+ */
+function getDraftContact(user, collected) {
+  const address = user?.address || {};
+  let location = collected.location;
+
+  if (!location && collected.complaintLocation) {
+    location = { type: 'manual', address: collected.complaintLocation, city: address.city || '' };
+  } else if (!location && address.city) {
+    const { latitude, longitude } = address.coordinates || {};
+    location = {
+      type: 'account',
+      address: [address.street, address.city].filter(Boolean).join(', '),
+      city: address.city,
+      state: address.state,
+      pincode: address.pincode,
+      ...(latitude != null && longitude != null && { coordinates: { lat: latitude, lng: longitude } })
+    };
+  }
+
+  return {
+    location: location || { ...DEFAULT_CHAT_LOCATION },
+    phone: collected.phone || user?.phone || null
+  };
+}
+
+/**
+ * Move the session to confirmation once required fields are in, otherwise ask for the next one
+ */
+async function prepareDraftOrQuestion(session) {
+  const missingInfo = getMissingRequiredInfo(session.category, session.collected);
+
+  if (missingInfo.length > 0) {
+    session.state = 'collecting';
+    session.pendingField = missingInfo[0];
+    session.pendingQuestion = generateFollowUpQuestion(session.category, missingInfo[0], session.collected);
+    return missingInfo;
+  }
+
+  if (!session.collected.location || !session.collected.phone) {
+    const user = await User.findById(session.user).select('phone address');
+    const contact = getDraftContact(user, session.collected);
+    session.applyFields({
+      location: session.collected.location || contact.location,
+      phone: session.collected.phone || contact.phone
+    });
+  }
+
+  session.state = 'confirming';
+  session.pendingField = undefined;
+  session.pendingQuestion = undefined;
+  return missingInfo;
+}
+
+/**
+ * Summarize the draft for the user to confirm or correct
+ */
+function generateDraftMessage(session) {
+  const draft = session.toDraft();
+  const lines = Object.entries(draft)
+    .filter(([field, value]) => field !== 'type' && field !== 'location' && value !== null)
+    .map(([field, value]) => `• ${toSentenceCase(FIELD_LABELS[field] || field)}: ${value}`);
+
+  if (draft.location) lines.push(`• Location: ${[draft.location.address, draft.location.city].filter(Boolean).join(', ')}`);
+  if (!draft.phone) lines.push('• Phone: not provided');
+
+  return `📋 **Please confirm your ${DRAFT_TITLES[session.category]}**\n\n${lines.join('\n')}\n\nReply "confirm" to submit it, tell me what to change, or say "cancel".`;
+}
+
+/**
+ * Create the Request from a confirmed session and close it.
+ * Returns a null request (and leaves the session open) if saving fails or the
+ * user still has to verify their email for a blood request (code EMAIL_NOT_VERIFIED).
+ */
+async function commitSession(req, session, { language, inputMethod }) {
+  if (session.category === 'blood_request' && !req.user.emailVerified) {
+    return {
+      request: null,
+      code: 'EMAIL_NOT_VERIFIED',
+      responseMessage: VERIFY_EMAIL_RESPONSES[language] || VERIFY_EMAIL_RESPONSES.en
+    };
+  }
+
+  let request;
+  try {
+    request = await createRequestFromChatWithInfo(
+      session.user,
+      session.originalMessage,
+      session.category,
+      session.priority,
+      session.collected
+    );
+  } catch (requestError) {
+    console.error('Chat request creation error:', requestError.message);
+    return {
+      request: null,
+      responseMessage: 'I understood your request, but encountered an error saving it. Please try again.'
+    };
+  }
+
+  auditService.recordChange(req, {
+    action: 'request.create',
+    targetType: 'Request',
+    target: request._id
+  }).catch(error => console.error('Audit log error:', error));
+
+  await session.end('completed', request._id);
+
+  // Use Gemini to generate success message
+  let responseMessage;
+  try {
+    const successPrompt = `A user successfully created a ${session.category.replace('_', ' ')} request${inputMethod === 'voice' ? ' via voice' : ''}.
 
 Details:
-${JSON.stringify(extractedInfo, null, 2)}
+${JSON.stringify(session.toDraft(), null, 2)}
 
-Request ID: ${createdRequest._id}
+Request ID: ${request._id}
 
 Generate a friendly, encouraging confirmation message in ${language}. 
 - Acknowledge what they requested
@@ -627,101 +710,237 @@ Generate a friendly, encouraging confirmation message in ${language}.
 - Keep it warm and human
 - 2-3 sentences max`;
 
-              const geminiSuccess = await geminiVoiceService.processTextWithGemini(successPrompt, {
-                language,
-                inputMethod: 'text',
-                userType: 'citizen'
-              });
-
-              responseMessage = geminiSuccess.response || generateSuccessMessage(finalCategory, extractedInfo, createdRequest);
-            } catch (error) {
-              // Fallback to template if Gemini fails
-              responseMessage = generateSuccessMessage(finalCategory, extractedInfo, createdRequest);
-            }
-
-            const chatMessage = await saveChatMessage(
-              req.user.userId,
-              trimmedMessage,
-              responseMessage,
-              finalCategory,
-              finalPriority,
-              'text',
-              null,
-              {
-                usingFallback: geminiResult.usingFallback,
-                processingTime: Date.now() - startTime,
-                geminiResponse: geminiResult.response,
-                geminiExtraction: geminiExtraction?.success || false
-              }
-            );
-
-            if (createdRequest) {
-              await chatMessage.markAsRequestCreator(createdRequest._id);
-            }
-          } catch (requestError) {
-            responseMessage = 'I understood your request, but encountered an error saving it. Please try again.';
-          }
-        }
-      } else {
-        // General inquiry or greeting - use Gemini's direct response
-        responseMessage = geminiResult.response || 'How can I help you today?';
-
-        await saveChatMessage(
-          req.user.userId,
-          trimmedMessage,
-          responseMessage,
-          finalCategory,
-          finalPriority,
-          'text',
-          null,
-          {
-            usingFallback: geminiResult.usingFallback,
-            processingTime: Date.now() - startTime,
-            geminiResponse: geminiResult.response
-          }
-        );
-      }
+    const geminiSuccess = await geminiVoiceService.processTextWithGemini(successPrompt, {
+      language,
+      inputMethod,
+      userType: 'citizen'
+    });
 
-      // Build response payload
-      const responseData = {
+    responseMessage = geminiSuccess.response || generateSuccessMessage(session.category, session.collected, request);
+  } catch (error) {
+    // Fallback to template if Gemini fails
+    responseMessage = generateSuccessMessage(session.category, session.collected, request);
+  }
+
+  return { request, responseMessage };
+}
+
+/**
+ * Describe corrected fields, e.g. "Updated blood type to B-."
+ */
+function describeCorrections(corrections) {
+  const labelled = corrections.filter(change => FIELD_LABELS[change.field]);
+  if (labelled.length === 0) return '';
+
+  return `Updated ${labelled.map(change => `${FIELD_LABELS[change.field]} to ${change.to}`).join(', ')}.\n\n`;
+}
+
+/**
+ * Run one chatbot turn, continuing the user's conversation session if one is in progress.
+ * A session collects fields for a request until getMissingRequiredInfo is satisfied, then
+ * shows a draft; only an explicit confirmation lets createRequestFromChatWithInfo commit the Request.
+ */
+async function processChatTurn(req, { message, language, inputMethod, voiceMetadata = null }) {
+  const userId = req.user.userId;
+  const startTime = Date.now();
+  const isVoice = inputMethod === 'voice';
+
+  let session = await ChatSession.findActive(userId);
+
+  if (session && isCancelMessage(message)) {
+    await session.end('cancelled');
+    const responseMessage = CANCEL_RESPONSES[language] || CANCEL_RESPONSES.en;
+
+    await saveChatMessage(userId, message, responseMessage, session.category, session.priority,
+      inputMethod, voiceMetadata, { language, processingTime: Date.now() - startTime }, session._id);
+
+    return {
+      message: 'Request cancelled',
+      data: {
         id: Date.now().toString(),
-        transcribedText: trimmedMessage,
-        category: finalCategory,
-        priority: finalPriority,
-        extractedInfo: extractedInfo,
-        missingInfo: missingInfo,
-        needsMoreInfo: needsMoreInfo,
+        transcribedText: message,
+        category: session.category,
+        priority: session.priority,
+        extractedInfo: {},
+        missingInfo: [],
+        needsMoreInfo: false,
         geminiResponse: responseMessage,
+        detectedLanguage: language,
         processedAt: new Date(),
-        createdRequestId: createdRequest?._id || null,
-        needsVoiceResponse: false,
-        usingFallback: geminiResult.usingFallback || false,
-        geminiExtraction: geminiExtraction?.success || false
-      };
+        createdRequestId: null,
+        session: session.toSummary(),
+        needsVoiceResponse: isVoice,
+        usingFallback: true,
+        geminiExtraction: false
+      }
+    };
+  }
 
+  // A follow-up answer keeps the intent of the session; a fresh message is categorized
+  let geminiResult = null;
+  let finalCategory;
+  let finalPriority;
 
-      res.json({
-        success: true,
-        message: createdRequest ? 'Request created successfully' : (needsMoreInfo ? 'Need more information' : 'Message processed'),
-        data: responseData
+  if (session) {
+    finalCategory = session.category;
+    finalPriority = session.priority;
+  } else {
+    // Process with Gemini Pro (with fallback for quota issues)
+    try {
+      geminiResult = await geminiVoiceService.processTextWithGemini(message, {
+        language,
+        inputMethod,
+        userType: 'citizen'
       });
-
     } catch (error) {
-      console.error('Text processing error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error processing text message',
-        error: error.message
+      const category = categorizeRequest(message);
+      const priority = determinePriority(message);
+
+      geminiResult = {
+        success: true,
+        response: generateFallbackResponse(category, message),
+        category: category,
+        priority: priority,
+        usingFallback: true
+      };
+    }
+
+    const heuristicCategory = categorizeRequest(message);
+    finalCategory = (geminiResult.category && geminiResult.category !== 'general_inquiry')
+      ? geminiResult.category
+      : heuristicCategory;
+    finalPriority = geminiResult.priority || determinePriority(message);
+
+    if (shouldCreateRequest(finalCategory, message)) {
+      session = new ChatSession({
+        user: userId,
+        category: finalCategory,
+        priority: finalPriority,
+        language,
+        originalMessage: message
       });
     }
-  });
+  }
 
-// Helper Functions
+  let missingInfo = [];
+  let corrections = [];
+  let geminiExtraction = null;
+  let createdRequest = null;
+  let responseMessage = '';
+
+  if (session && session.state === 'confirming' && isConfirmMessage(message)) {
+    session.touch();
+    ({ request: createdRequest, responseMessage } = await commitSession(req, session, { language, inputMethod }));
+    if (!createdRequest) await session.save();
+  } else if (session) {
+    // Try Gemini-powered extraction first, with the fields collected so far as context
+    geminiExtraction = await geminiVoiceService.extractInformationWithGemini(
+      message,
+      finalCategory,
+      language,
+      session.collected
+    );
+
+    let fields;
+    if (geminiExtraction.success && !geminiExtraction.usingFallback) {
+      fields = geminiExtraction.extractedInfo || {};
+    } else {
+      // Fallback to hardcoded extraction
+      fields = extractRequestInfo(message, finalCategory);
+      if (!fields.urgencyLevel && !session.collected.urgencyLevel) {
+        fields.urgencyLevel = extractUrgency(message);
+      }
+    }
+
+    // Later answers win, so "actually it's B negative" replaces the earlier blood type
+    corrections = session.applyFields(fields);
+    session.touch();
+
+    missingInfo = await prepareDraftOrQuestion(session);
+
+    if (missingInfo.length > 0) {
+      // Use Gemini to generate intelligent follow-up question
+      const geminiQuestion = await geminiVoiceService.generateFollowUpQuestion(
+        finalCategory,
+        missingInfo[0],
+        session.collected,
+        language
+      );
+
+      if (geminiQuestion.success && !geminiQuestion.usingFallback) {
+        session.pendingQuestion = geminiQuestion.question;
+      }
+      responseMessage = describeCorrections(corrections) + session.pendingQuestion;
+    } else {
+      responseMessage = describeCorrections(corrections) + generateDraftMessage(session);
+    }
+
+    await session.save();
+  } else {
+    // General inquiry or greeting - use Gemini's direct response
+    responseMessage = geminiResult.response || 'How can I help you today?';
+  }
+
+  const provider = geminiResult?.provider || geminiExtraction?.provider;
+  const usingFallback = geminiResult ? geminiResult.usingFallback || false : !geminiExtraction?.success;
+
+  const chatMessage = await saveChatMessage(
+    userId,
+    message,
+    responseMessage,
+    finalCategory,
+    finalPriority,
+    inputMethod,
+    voiceMetadata,
+    {
+      language,
+      usingFallback,
+      provider,
+      processingTime: Date.now() - startTime,
+      geminiResponse: geminiResult?.response
+    },
+    session?._id
+  );
+
+  if (createdRequest) {
+    await chatMessage.markAsRequestCreator(createdRequest._id);
+  }
+
+  const needsMoreInfo = missingInfo.length > 0;
+  const awaitingConfirmation = session?.state === 'confirming';
+
+  return {
+    message: createdRequest ? 'Request created successfully'
+      : needsMoreInfo ? 'Need more information'
+        : awaitingConfirmation ? 'Please confirm the request'
+          : 'Message processed',
+    data: {
+      id: Date.now().toString(),
+      transcribedText: message,
+      category: finalCategory,
+      priority: finalPriority,
+      extractedInfo: session?.collected || {},
+      missingInfo: missingInfo,
+      needsMoreInfo: needsMoreInfo,
+      corrections: corrections.map(({ field, from, to }) => ({ field, from, to })),
+      geminiResponse: responseMessage,
+      detectedLanguage: language,
+      processedAt: new Date(),
+      createdRequestId: createdRequest?._id || null,
+      awaitingConfirmation: awaitingConfirmation,
+      draft: awaitingConfirmation ? session.toDraft() : null,
+      session: session ? session.toSummary() : null,
+      needsVoiceResponse: isVoice,
+      usingFallback: usingFallback,
+      geminiExtraction: geminiExtraction?.success || false
+    }
+  };
+}
 
 /**
  * Save chat message to database
  */
-async function saveChatMessage(userId, message, response, category, priority, messageType = 'text', voiceMetadata = null, aiMetadata = {}) {
+async function saveChatMessage(userId, message, response, category, priority, messageType = 'text', voiceMetadata = null, aiMetadata = {}, sessionId = null) {
   try {
     const chatMessage = new Chat({
       user: userId,
@@ -732,7 +951,8 @@ async function saveChatMessage(userId, message, response, category, priority, me
       priority: priority,
       language: aiMetadata.language || 'en',
       voiceMetadata: voiceMetadata,
-      aiMetadata: aiMetadata
+      aiMetadata: aiMetadata,
+      ...(sessionId && { sessionId: sessionId.toString() })
     });
 
     await chatMessage.save();
@@ -942,7 +1162,7 @@ async function createRequestFromChat(userId, message, category, priority, isVoic
       }
 
       // Translate message to English for storage
-      const englishMessage = translateToEnglish(message);
+      const englishMessage = await translationService.toEnglish(message);
 
       requestData.urgencyLevel = priority === 'urgent' ? 'urgent' : 'high';
       requestData.unitsNeeded = 1;
@@ -958,7 +1178,7 @@ async function createRequestFromChat(userId, message, category, priority, isVoic
       requestData.description = description;
     } else if (requestType === 'elder_support') {
       // Translate message to English for storage
-      const englishMessage = translateToEnglish(message);
+      const englishMessage = await translationService.toEnglish(message);
 
       requestData.serviceType = 'Other';
       requestData.elderName = user.name;
@@ -973,7 +1193,7 @@ async function createRequestFromChat(userId, message, category, priority, isVoic
       requestData.description = description;
     } else if (requestType === 'complaint') {
       // Translate message to English for storage
-      const englishMessage = translateToEnglish(message);
+      const englishMessage = await translationService.toEnglish(message);
 
       // Determine complaint category based on allowed enum in Request model (using English message)
       let complaintCategory = 'Other';
@@ -1116,81 +1336,6 @@ function detectLanguageFromText(text) {
   return 'en';
 }
 
-/**
- * Translate message to English for consistent storage
- */
-function translateToEnglish(text) {
-  // If already in English, return as is
-  if (!/[\u0900-\u097F\u0C00-\u0C7F]/.test(text)) {
-    return text;
-  }
-
-  // Basic Hindi to English translations for common terms
-  let translated = text
-    // Blood related terms
-    .replace(/रक्त|खून/gi, 'blood')
-    .replace(/रक्तदान/gi, 'blood donation')
-    .replace(/चाहिए|आवश्यक/gi, 'need')
-    .replace(/तुरंत|तत्काल/gi, 'urgent')
-    .replace(/आपातकाल/gi, 'emergency')
-    .replace(/बुजुर्ग/gi, 'elderly')
-    .replace(/दवा|दवाई/gi, 'medicine')
-    .replace(/किराना/gi, 'grocery')
-    .replace(/देखभाल/gi, 'care')
-    .replace(/शिकायत/gi, 'complaint')
-    .replace(/समस्या/gi, 'problem')
-    .replace(/सड़क/gi, 'road')
-    .replace(/बत्ती|लाइट/gi, 'light')
-    .replace(/पानी/gi, 'water')
-    .replace(/बिजली/gi, 'electricity')
-    .replace(/कचरा/gi, 'garbage')
-    .replace(/अस्पताल/gi, 'hospital')
-    .replace(/मरीज|रोगी/gi, 'patient')
-    .replace(/सर्जरी|ऑपरेशन/gi, 'surgery')
-    // Blood types
-    .replace(/ए पॉजिटिव/gi, 'A positive')
-    .replace(/ए नेगेटिव/gi, 'A negative')
-    .replace(/बी पॉजिटिव/gi, 'B positive')
-    .replace(/बी नेगेटिव/gi, 'B negative')
-    .replace(/एबी पॉजिटिव/gi, 'AB positive')
-    .replace(/एबी नेगेटिव/gi, 'AB negative')
-    .replace(/ओ पॉजिटिव/gi, 'O positive')
-    .replace(/ओ नेगेटिव/gi, 'O negative');
-
-  // Basic Telugu to English translations
-  translated = translated
-    // Blood related terms
-    .replace(/రక్తం/gi, 'blood')
-    .replace(/రక్తదానం/gi, 'blood donation')
-    .replace(/కావాలి|అవసరం/gi, 'need')
-    .replace(/అత్యవసరం|తక్షణం/gi, 'urgent')
-    .replace(/వృద్ధులు|పెద్దలు/gi, 'elderly')
-    .replace(/మందు|మందులు/gi, 'medicine')
-    .replace(/కిరాణా/gi, 'grocery')
-    .replace(/సంరక్షణ/gi, 'care')
-    .replace(/ఫిర్యాదు/gi, 'complaint')
-    .replace(/సమస్య/gi, 'problem')
-    .replace(/రోడ్డు/gi, 'road')
-    .replace(/లైట్/gi, 'light')
-    .replace(/నీరు/gi, 'water')
-    .replace(/కరెంట్/gi, 'electricity')
-    .replace(/చెత్త/gi, 'garbage')
-    .replace(/ఆసుపత్రి/gi, 'hospital')
-    .replace(/రోగి/gi, 'patient')
-    .replace(/శస్త్రచికిత్స/gi, 'surgery')
-    // Blood types
-    .replace(/ఎ పాజిటివ్/gi, 'A positive')
-    .replace(/ఎ నెగటివ్/gi, 'A negative')
-    .replace(/బి పాజిటివ్/gi, 'B positive')
-    .replace(/బి నెగటివ్/gi, 'B negative')
-    .replace(/ఎబి పాజిటివ్/gi, 'AB positive')
-    .replace(/ఎబి నెగటివ్/gi, 'AB negative')
-    .replace(/ఓ పాజిటివ్/gi, 'O positive')
-    .replace(/ఓ నెగటివ్/gi, 'O negative');
-
-  return translated;
-}
-
 /**
  * Extract blood type from message text - supports multiple languages
  */
@@ -1532,24 +1677,16 @@ async function createRequestFromChatWithInfo(userId, message, category, priority
     type: requestType,
     user: userId,
     name: user.name,
-    phone: user.phone || 'Not provided',
+    phone: extractedInfo.phone || user.phone || 'Not provided',
     email: user.email,
-    location: {
-      type: 'manual',
-      coordinates: { lat: 16.523699, lng: 80.61359225 },
-      address: 'Potti Sriramulu College Road, Vinchipeta',
-      city: 'Vijayawada',
-      state: 'Andhra Pradesh',
-      pincode: '520001',
-      country: 'India'
-    },
+    location: extractedInfo.location || { ...DEFAULT_CHAT_LOCATION },
     priority: mappedPriority,
     status: 'pending'
   };
 
   // Add type-specific fields from extracted info
   if (requestType === 'blood') {
-    const englishMessage = translateToEnglish(message);
+    const englishMessage = await translationService.toEnglish(message);
     requestData.bloodType = extractedInfo.bloodType; // REQUIRED - already validated above
     requestData.urgencyLevel = extractedInfo.urgencyLevel || (priority === 'urgent' ? 'urgent' : 'high');
     requestData.unitsNeeded = extractedInfo.unitsNeeded || 1;
@@ -1557,7 +1694,7 @@ async function createRequestFromChatWithInfo(userId, message, category, priority
     requestData.patientName = extractedInfo.patientName || user.name;
     requestData.relationship = extractedInfo.relationship || 'Self';
     requestData.medicalCondition = englishMessage;
-    requestData.contactNumber = user.phone || 'Not provided';
+    requestData.contactNumber = extractedInfo.phone || user.phone || 'Not provided';
     requestData.requiredDate = extractedInfo.requiredDate || new Date();
     requestData.additionalNotes = englishMessage;
     const { title, description } = buildTitleAndDescription({
@@ -1569,7 +1706,7 @@ async function createRequestFromChatWithInfo(userId, message, category, priority
     requestData.title = title;
     requestData.description = description;
   } else if (requestType === 'elder_support') {
-    const englishMessage = translateToEnglish(message);
+    const englishMessage = await translationService.toEnglish(message);
     requestData.serviceType = extractedInfo.serviceType || 'Other';
     requestData.elderName = extractedInfo.elderName || user.name;
     requestData.age = extractedInfo.age || 'Not specified';
@@ -1586,7 +1723,7 @@ async function createRequestFromChatWithInfo(userId, message, category, priority
     requestData.title = title;
     requestData.description = description;
   } else if (requestType === 'complaint') {
-    const englishMessage = translateToEnglish(message);
+    const englishMessage = await translationService.toEnglish(message);
     requestData.category = extractedInfo.complaintCategory || 'Other';
     requestData.severity = priority === 'urgent' ? 'high' : 'medium';
     const { title, description } = buildTitleAndDescription({
@@ -1604,6 +1741,15 @@ async function createRequestFromChatWithInfo(userId, message, category, priority
   const request = new Request(requestData);
   await request.save();
 
+  // Chat requests show up on the volunteers' open lists live, same as the request form
+  socketService.emitRequestEvent('request:created', request);
+
+  // Urgent chat requests alert matching volunteers nearby, same as the request form
+  volunteerNotificationService.notifyForRequest(request)
+    .catch(error => console.error('Urgent volunteer notification error:', error));
+
+  contentTranslationService.translateInBackground(request);
+
   return request;
 }
 
@@ -1656,7 +1802,8 @@ router.post('/translate', auth, async (req, res) => {
           toLanguage: translationResult.toLanguage,
           confidence: translationResult.confidence,
           method: translationResult.method,
-          translationsFound: translationResult.translationsFound
+          translationsFound: translationResult.translationsFound,
+          cached: translationResult.cached
         }
       });
     } else {
@@ -2,8 +2,17 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const audit = require('../middleware/audit');
 const Complaint = require('../models/Complaint');
 const User = require('../models/User');
+const uploadAttachments = require('../middleware/attachments');
+const notificationService = require('../utils/notificationService');
+const contentTranslationService = require('../utils/contentTranslationService');
+const attachmentService = require('../utils/attachmentService');
+const volunteerStatsService = require('../utils/volunteerStatsService');
+
+// Volunteer details shown on complaints, including the rating citizens see when assigning
+const VOLUNTEER_FIELDS = 'name phone email avatar volunteerInfo.rating volunteerInfo.ratingCount volunteerInfo.totalHelped';
 
 // @route   GET /api/complaints
 // @desc    Get complaints based on user role and filters
@@ -63,8 +72,8 @@ router.get('/', auth, async (req, res) => {
 
       complaints = await Complaint.find(query)
         .populate('citizen', 'name phone email avatar')
-        .populate('assignedVolunteer', 'name phone email avatar')
-        .populate('volunteerApplications.volunteer', 'name phone email avatar')
+        .populate('assignedVolunteer', VOLUNTEER_FIELDS)
+        .populate('volunteerApplications.volunteer', VOLUNTEER_FIELDS)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit));
@@ -72,9 +81,12 @@ router.get('/', auth, async (req, res) => {
 
     const total = await Complaint.countDocuments(query);
 
+    // Title and description are in the viewer's preferred language when a translation exists
+    const language = user.preferences?.language || 'en';
+
     res.json({
       message: 'Complaints retrieved successfully',
-      complaints,
+      complaints: complaints.map(complaint => contentTranslationService.localize(complaint, language)),
       pagination: {
         current: parseInt(page),
         total: Math.ceil(total / parseInt(limit)),
@@ -97,6 +109,7 @@ router.get('/', auth, async (req, res) => {
 // @access  Private (Citizens only)
 router.post('/', [
   auth,
+  audit('complaint.create', 'Complaint'),
   body('title')
     .trim()
     .isLength({ min: 5, max: 200 })
@@ -176,6 +189,8 @@ router.post('/', [
 
     await complaint.save();
 
+    contentTranslationService.translateInBackground(complaint);
+
     // Populate the response
     await complaint.populate('citizen', 'name phone email avatar');
 
@@ -200,7 +215,7 @@ router.get('/:id', auth, async (req, res) => {
   try {
     const complaint = await Complaint.findById(req.params.id)
       .populate('citizen', 'name phone email avatar address')
-      .populate('assignedVolunteer', 'name phone email avatar')
+      .populate('assignedVolunteer', VOLUNTEER_FIELDS)
       .populate('volunteerApplications.volunteer', 'name phone email avatar volunteerInfo')
       .populate('updates.updatedBy', 'name avatar');
 
@@ -221,7 +236,9 @@ router.get('/:id', auth, async (req, res) => {
 
     res.json({
       message: 'Complaint retrieved successfully',
-      complaint
+      complaint: contentTranslationService.localize(complaint, user.preferences?.language),
+      // Status changes the viewer may make, with the fields each one requires
+      allowedTransitions: complaint.getAvailableTransitions(complaint.getActorRole(user))
     });
 
   } catch (error) {
@@ -238,6 +255,7 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private (Volunteers only)
 router.post('/:id/apply', [
   auth,
+  audit('complaint.apply', 'Complaint'),
   body('message')
     .optional()
     .trim()
@@ -285,7 +303,7 @@ router.post('/:id/apply', [
     try {
       await complaint.addVolunteerApplication(req.user.userId, message, estimatedTime);
 
-      await complaint.populate('volunteerApplications.volunteer', 'name phone email avatar');
+      await complaint.populate('volunteerApplications.volunteer', VOLUNTEER_FIELDS);
 
       res.json({
         message: 'Application submitted successfully',
@@ -310,7 +328,7 @@ router.post('/:id/apply', [
 // @route   POST /api/complaints/:id/assign/:volunteerId
 // @desc    Assign complaint to a volunteer (Citizens and Admins)
 // @access  Private
-router.post('/:id/assign/:volunteerId', auth, async (req, res) => {
+router.post('/:id/assign/:volunteerId', [auth, audit('complaint.assign', 'Complaint')], async (req, res) => {
   try {
     const user = await User.findById(req.user.userId);
     const complaint = await Complaint.findById(req.params.id);
@@ -342,9 +360,11 @@ router.post('/:id/assign/:volunteerId', auth, async (req, res) => {
       });
     }
 
-    if (complaint.status !== 'open') {
-      return res.status(400).json({
-        message: 'This complaint cannot be assigned'
+    const rejection = complaint.checkTransition('assigned', complaint.getActorRole(user), { volunteer: volunteer._id });
+    if (rejection) {
+      return res.status(rejection.status).json({
+        message: rejection.message,
+        code: rejection.code
       });
     }
 
@@ -362,9 +382,13 @@ router.post('/:id/assign/:volunteerId', auth, async (req, res) => {
       phone: complaint.contactInfo?.phone || complaint.citizen.phone,
       title: complaint.title,
       description: complaint.description,
+      originalLanguage: complaint.originalLanguage,
+      translations: complaint.translations,
+      translationAttemptedAt: complaint.translationAttemptedAt,
       category: complaint.category,
       priority: complaint.priority,
-      images: complaint.images || [],
+      // Shares the complaint's files; without the storage keys, deleting the request leaves them in place
+      images: (complaint.images || []).map(image => ({ ...image.toObject(), key: undefined, thumbnailKey: undefined })),
       location: {
         type: 'manual',
         address: complaint.location?.address?.street ||
@@ -409,10 +433,11 @@ router.post('/:id/assign/:volunteerId', auth, async (req, res) => {
 });
 
 // @route   PUT /api/complaints/:id/status
-// @desc    Update complaint status
-// @access  Private (Assigned volunteer or Admin)
+// @desc    Move a complaint to another status (see STATUS_TRANSITIONS in the Complaint model)
+// @access  Private (Role depends on the transition)
 router.put('/:id/status', [
   auth,
+  audit('complaint.status_change', 'Complaint'),
   body('status')
     .isIn(['open', 'assigned', 'in_progress', 'resolved', 'closed', 'cancelled'])
     .withMessage('Invalid status'),
@@ -420,7 +445,17 @@ router.put('/:id/status', [
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Update message cannot be more than 500 characters')
+    .withMessage('Update message cannot be more than 500 characters'),
+  body('resolutionNote')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Resolution note cannot be more than 1000 characters'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -441,45 +476,50 @@ router.put('/:id/status', [
     }
 
     const { status, message = '' } = req.body;
-    const oldStatus = complaint.status;
 
-    // Check permissions
-    if (user.role === 'volunteer' && complaint.assignedVolunteer?.toString() !== req.user.userId) {
+    const actorRole = complaint.getActorRole(user);
+    if (!actorRole) {
       return res.status(403).json({
-        message: 'You can only update complaints assigned to you'
+        message: 'You can only update complaints you created or are assigned to'
       });
     }
 
-    if (user.role === 'citizen' && complaint.citizen.toString() !== req.user.userId) {
-      return res.status(403).json({
-        message: 'You can only update your own complaints'
+    const rejection = complaint.checkTransition(status, actorRole, req.body);
+    if (rejection) {
+      return res.status(rejection.status).json({
+        message: rejection.message,
+        code: rejection.code,
+        ...(rejection.missing && { missing: rejection.missing }),
+        allowedTransitions: complaint.getAvailableTransitions(actorRole)
       });
     }
 
-    // Update status
-    complaint.status = status;
-
-    if (status === 'resolved') {
-      complaint.resolvedAt = new Date();
-    }
+    const from = complaint.status;
+    await complaint.transitionTo(status, req.user.userId, req.body);
 
-    if (status === 'closed') {
-      complaint.actualCompletionTime = new Date();
+    // Resolving, closing or reopening changes how many people the volunteer has helped
+    if (complaint.assignedVolunteer && [from, status].some(value => ['resolved', 'closed'].includes(value))) {
+      volunteerStatsService.recompute(complaint.assignedVolunteer)
+        .catch(error => console.error('Volunteer stats error:', error));
     }
 
-    // Add update entry
-    await complaint.addUpdate(
-      message || `Status changed from ${oldStatus} to ${status}`,
-      req.user.userId,
-      { from: oldStatus, to: status }
-    );
-
     await complaint.populate('assignedVolunteer', 'name phone email avatar');
     await complaint.populate('citizen', 'name phone email avatar');
 
+    const note = message || req.body.resolutionNote || req.body.reason;
+    notificationService.notifyMany([complaint.citizen?._id, complaint.assignedVolunteer?._id], {
+      type: 'complaint_status',
+      title: 'Complaint status updated',
+      message: `"${notificationService.truncate(complaint.title, 150)}" is now ${status.replace('_', ' ')}${note ? `: ${notificationService.truncate(note, 700)}` : ''}`,
+      section: 'complaints',
+      relatedComplaint: complaint._id,
+      actor: req.user.userId
+    }).catch(error => console.error('Complaint status notification error:', error));
+
     res.json({
       message: 'Complaint status updated successfully',
-      complaint
+      complaint,
+      allowedTransitions: complaint.getAvailableTransitions(actorRole)
     });
 
   } catch (error) {
@@ -491,11 +531,88 @@ router.put('/:id/status', [
   }
 });
 
+// @route   POST /api/complaints/:id/rating
+// @desc    Rate the assigned volunteer of a resolved or closed complaint (1-5 stars with optional feedback); rating again replaces it
+// @access  Private (Complaint creator only)
+router.post('/:id/rating', [
+  auth,
+  audit('complaint.rate', 'Complaint'),
+  body('score')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Score must be a whole number from 1 to 5'),
+  body('feedback')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Feedback cannot be more than 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const complaint = await Complaint.findById(req.params.id);
+
+    if (!complaint) {
+      return res.status(404).json({
+        message: 'Complaint not found'
+      });
+    }
+
+    if (complaint.citizen.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({
+        message: 'Only the complaint creator can rate the volunteer'
+      });
+    }
+
+    if (!['resolved', 'closed'].includes(complaint.status) || !complaint.assignedVolunteer) {
+      return res.status(400).json({
+        message: 'The volunteer can be rated once the complaint has been resolved'
+      });
+    }
+
+    complaint.rating = {
+      score: parseInt(req.body.score),
+      feedback: req.body.feedback || undefined,
+      ratedAt: new Date()
+    };
+    await complaint.save();
+
+    await volunteerStatsService.recompute(complaint.assignedVolunteer);
+
+    notificationService.notify(complaint.assignedVolunteer, {
+      type: 'rating_received',
+      title: 'You received a rating',
+      message: `${req.user.name || 'The citizen'} rated your help on "${complaint.title}" ${complaint.rating.score}/5${complaint.rating.feedback ? `: "${notificationService.truncate(complaint.rating.feedback, 300)}"` : ''}`,
+      section: 'complaints',
+      relatedComplaint: complaint._id,
+      actor: req.user.userId
+    }).catch(error => console.error('Rating notification error:', error));
+
+    res.json({
+      message: 'Thank you for your feedback!',
+      rating: complaint.rating
+    });
+
+  } catch (error) {
+    console.error('Rate complaint error:', error);
+    res.status(500).json({
+      message: 'Server error saving rating',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // @route   POST /api/complaints/:id/updates
 // @desc    Add update to complaint
 // @access  Private (Involved parties only)
 router.post('/:id/updates', [
   auth,
+  audit('complaint.update', 'Complaint'),
   body('message')
     .trim()
     .isLength({ min: 1, max: 500 })
@@ -520,8 +637,8 @@ router.post('/:id/updates', [
     }
 
     // Check if user is involved in this complaint
-    const isInvolved = complaint.citizen.toString() === req.user.userId ||
-                      complaint.assignedVolunteer?.toString() === req.user.userId ||
+    const isInvolved = complaint.citizen.toString() === req.user.userId.toString() ||
+                      complaint.assignedVolunteer?.toString() === req.user.userId.toString() ||
                       user.role === 'admin';
 
     if (!isInvolved) {
@@ -535,6 +652,15 @@ router.post('/:id/updates', [
     await complaint.addUpdate(message, req.user.userId);
     await complaint.populate('updates.updatedBy', 'name avatar');
 
+    notificationService.notifyMany([complaint.citizen, complaint.assignedVolunteer], {
+      type: 'complaint_update',
+      title: `New update on "${notificationService.truncate(complaint.title, 150)}"`,
+      message: `${user.name}: ${message}`,
+      section: 'complaints',
+      relatedComplaint: complaint._id,
+      actor: req.user.userId
+    }).catch(error => console.error('Complaint update notification error:', error));
+
     res.json({
       message: 'Update added successfully',
       updates: complaint.updates
@@ -549,6 +675,125 @@ router.post('/:id/updates', [
   }
 });
 
+// @route   POST /api/complaints/:id/attachments
+// @desc    Attach photos or documents to a complaint (multipart, "files" field)
+// @access  Private (Involved parties only)
+router.post('/:id/attachments', [
+  auth,
+  uploadAttachments,
+  audit('complaint.attachment_add', 'Complaint')
+], async (req, res) => {
+  try {
+    const userId = req.user.userId.toString();
+    const complaint = await Complaint.findById(req.params.id);
+
+    if (!complaint) {
+      return res.status(404).json({
+        message: 'Complaint not found'
+      });
+    }
+
+    const isInvolved = complaint.citizen.toString() === userId ||
+                      complaint.assignedVolunteer?.toString() === userId ||
+                      req.user.role === 'admin';
+
+    if (!isInvolved) {
+      return res.status(403).json({
+        message: 'You can only add attachments to complaints you are involved in'
+      });
+    }
+
+    if (complaint.images.length + req.files.length > attachmentService.maxPerItem) {
+      return res.status(400).json({
+        message: `A complaint can have at most ${attachmentService.maxPerItem} attachments`,
+        code: 'TOO_MANY_ATTACHMENTS'
+      });
+    }
+
+    const result = await attachmentService.store(req.files, {
+      folder: 'complaints',
+      uploadedBy: req.user.userId,
+      descriptions: [].concat(req.body.description || [])
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        message: result.message,
+        code: result.error
+      });
+    }
+
+    complaint.images.push(...result.attachments);
+    try {
+      await complaint.save();
+    } catch (error) {
+      await attachmentService.removeAll(result.attachments);
+      throw error;
+    }
+
+    await complaint.populate('images.uploadedBy', 'name');
+
+    res.status(201).json({
+      message: 'Attachments added successfully',
+      images: complaint.images
+    });
+
+  } catch (error) {
+    console.error('Add complaint attachments error:', error);
+    res.status(500).json({
+      message: 'Server error adding attachments',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/complaints/:id/attachments/:attachmentId
+// @desc    Remove an attachment from a complaint
+// @access  Private (Uploader, complaint owner or Admin)
+router.delete('/:id/attachments/:attachmentId', [
+  auth,
+  audit('complaint.attachment_remove', 'Complaint')
+], async (req, res) => {
+  try {
+    const userId = req.user.userId.toString();
+    const complaint = await Complaint.findById(req.params.id);
+    const attachment = complaint?.images.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        message: complaint ? 'Attachment not found' : 'Complaint not found'
+      });
+    }
+
+    const canRemove = attachment.uploadedBy?.toString() === userId ||
+                      complaint.citizen.toString() === userId ||
+                      req.user.role === 'admin';
+
+    if (!canRemove) {
+      return res.status(403).json({
+        message: 'You can only remove attachments you uploaded'
+      });
+    }
+
+    attachment.deleteOne();
+    await complaint.save();
+    await attachmentService.removeAll([attachment]);
+    await complaint.populate('images.uploadedBy', 'name');
+
+    res.json({
+      message: 'Attachment removed successfully',
+      images: complaint.images
+    });
+
+  } catch (error) {
+    console.error('Remove complaint attachment error:', error);
+    res.status(500).json({
+      message: 'Server error removing attachment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // @route   GET /api/complaints/dashboard/volunteer
 // @desc    Get volunteer dashboard data
 // @access  Private (Volunteers only)
@@ -2,8 +2,28 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../middleware/auth');
+const audit = require('../middleware/audit');
+const uploadAttachments = require('../middleware/attachments');
 const Request = require('../models/Request');
 const User = require('../models/User');
+const socketService = require('../utils/socketService');
+const { getPublicBloodRequests, getAcceptedBloodRequests } = require('./bloodRequests');
+const bloodMatchingService = require('../utils/bloodMatchingService');
+const geoService = require('../utils/geoService');
+const volunteerNotificationService = require('../utils/volunteerNotificationService');
+const notificationService = require('../utils/notificationService');
+const contentTranslationService = require('../utils/contentTranslationService');
+const attachmentService = require('../utils/attachmentService');
+const volunteerStatsService = require('../utils/volunteerStatsService');
+
+// Blood requests are public, so only verified accounts may post them
+const requireVerifiedEmailForBlood = (req, res, next) => (
+  req.body.type === 'blood' ? requireVerifiedEmail(req, res, next) : next()
+);
+
+// Applicant details requesters compare when choosing a volunteer
+const VOLUNTEER_FIELDS = 'name phone email avatar volunteerInfo.rating volunteerInfo.ratingCount volunteerInfo.totalHelped';
 
 // @route   GET /api/requests
 // @desc    Get user's requests with filters
@@ -45,7 +65,7 @@ router.get('/', auth, async (req, res) => {
 
     const requests = await Request.find(query)
       .populate('assignedVolunteer', 'name phone email')
-      .populate('volunteerApplications.volunteer', 'name phone email')
+      .populate('volunteerApplications.volunteer', VOLUNTEER_FIELDS)
       .populate('accepters.user', 'name phone email')
       .sort(sortCriteria)
       .skip(skip)
@@ -62,7 +82,10 @@ router.get('/', auth, async (req, res) => {
 
       // If user is owner or accepter, show full details
       if (isOwner || isAccepter) {
-        return request;
+        return {
+          ...request.toObject(),
+          allowedTransitions: request.getAvailableTransitions(request.getActorRole(req.user))
+        };
       }
 
       // For others, hide contact details
@@ -112,6 +135,8 @@ router.get('/', auth, async (req, res) => {
 // @access  Private
 router.post('/', [
   auth,
+  requireVerifiedEmailForBlood,
+  audit('request.create', 'Request'),
   body('type')
     .isIn(['blood', 'elder_support', 'complaint'])
     .withMessage('Invalid request type'),
@@ -214,6 +239,14 @@ router.post('/', [
     // Populate the response
     await request.populate('user', 'name phone email');
 
+    socketService.emitRequestEvent('request:created', request);
+
+    // Urgent requests alert matching volunteers nearby without holding up the response
+    volunteerNotificationService.notifyForRequest(request)
+      .catch(error => console.error('Urgent volunteer notification error:', error));
+
+    contentTranslationService.translateInBackground(request);
+
     res.status(201).json({
       message: `${req.body.type.replace('_', ' ')} request created successfully`,
       request
@@ -267,13 +300,13 @@ router.get('/volunteer/dashboard', auth, async (req, res) => {
     const bloodDonations = await Request.find({
       'accepters.user': req.user.userId,
       type: 'blood',
-      status: 'completed'
+      status: 'fulfilled'
     }).countDocuments();
 
     const elderSupport = await Request.find({
       'accepters.user': req.user.userId,
       type: 'elder_support',
-      status: 'completed'
+      status: 'fulfilled'
     }).countDocuments();
 
     // Get recent requests the volunteer has accepted
@@ -332,9 +365,9 @@ router.get('/accepted', auth, async (req, res) => {
     })
       .populate('user', 'name email')
       .populate('accepters.user', 'name email phone')
+      .populate('updates.updatedBy', 'name')
       .sort({ 'accepters.acceptedAt': -1 });
 
-
     // Filter to only show the user's acceptance details
     const acceptedRequests = requests.map(request => {
       const userAcceptance = request.accepters.find(
@@ -349,6 +382,12 @@ router.get('/accepted', auth, async (req, res) => {
         location: request.location,
         status: request.status,
         createdAt: request.createdAt,
+        startedAt: request.startedAt,
+        completedAt: request.completedAt,
+        cancellation: request.cancellation,
+        updates: request.updates,
+        rating: request.rating,
+        allowedTransitions: request.getAvailableTransitions(request.getActorRole(req.user)),
         requester: request.user,
         acceptance: {
           acceptedAt: userAcceptance?.acceptedAt || new Date(),
@@ -374,9 +413,16 @@ router.get('/accepted', auth, async (req, res) => {
       return baseRequest;
     });
 
+    const volunteer = await User.findById(req.user.userId).select('volunteerInfo.rating volunteerInfo.ratingCount volunteerInfo.totalHelped');
+
     res.json({
       success: true,
-      requests: acceptedRequests
+      requests: acceptedRequests,
+      volunteerStats: {
+        rating: volunteer?.volunteerInfo?.rating || 0,
+        ratingCount: volunteer?.volunteerInfo?.ratingCount || 0,
+        totalHelped: volunteer?.volunteerInfo?.totalHelped || 0
+      }
     });
   } catch (error) {
     console.error('Error fetching accepted requests:', error);
@@ -388,64 +434,21 @@ router.get('/accepted', auth, async (req, res) => {
 });
 
 // Get accepted blood requests with mutual details (for both requester and donor)
-router.get('/blood/accepted', auth, async (req, res) => {
-  try {
-    // Find requests where user is either the requester or the accepter
-    const requests = await Request.find({
-      type: 'blood',
-      status: 'accepted',
-      $or: [
-        { user: req.user.userId }, // User is the requester
-        { 'accepters.user': req.user.userId } // User is the accepter
-      ]
-    })
-      .populate('user', 'name phone email')
-      .populate('accepters.user', 'name phone email')
-      .sort({ updatedAt: -1 });
-
-    const acceptedRequests = requests.map(request => {
-      const isRequester = request.user._id.toString() === req.user.userId.toString();
-      const accepter = request.accepters[0]; // Only one accepter in our system
-
-      return {
-        _id: request._id,
-        bloodType: request.bloodType,
-        urgencyLevel: request.urgencyLevel,
-        location: request.location,
-        status: request.status,
-        createdAt: request.createdAt,
-        acceptedAt: accepter?.acceptedAt,
-        userRole: isRequester ? 'requester' : 'donor',
-        requester: {
-          name: request.user.name,
-          phone: request.user.phone,
-          email: request.user.email
-        },
-        donor: accepter ? {
-          name: accepter.user.name,
-          phone: accepter.user.phone,
-          email: accepter.user.email,
-          acceptedAt: accepter.acceptedAt
-        } : null
-      };
-    });
-
-    res.json({
-      success: true,
-      requests: acceptedRequests
-    });
-  } catch (error) {
-    console.error('Error fetching accepted blood requests:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch accepted blood requests'
-    });
-  }
-});
+router.get('/blood/accepted', auth, getAcceptedBloodRequests);
 
 // Get public requests (for volunteers) - MUST come before /:id route
+// Supports lat/lng/radius (or nearMe=true for the volunteer's saved address) and sortBy=distance
 router.get('/public', auth, async (req, res) => {
   try {
+    const volunteer = await User.findById(req.user.userId).select('address preferences');
+    const near = geoService.parseNearQuery(req.query, volunteer);
+    if (near?.error) {
+      return res.status(400).json({
+        success: false,
+        message: near.error
+      });
+    }
+
     const {
       type,
       status = 'pending',
@@ -479,24 +482,35 @@ router.get('/public', auth, async (req, res) => {
         sortCriteria = { createdAt: -1 };
     }
 
+    const sortByDistance = !!near && sortBy === 'distance';
+    let findQuery = query;
+    let countQuery = query;
+    if (near) {
+      ({ findQuery, countQuery } = geoService.applyRadius(query, near, { sortByDistance }));
+    }
+
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    const total = await Request.countDocuments(query);
+    const total = await Request.countDocuments(countQuery);
 
-    const requests = await Request.find(query)
-      .populate('user', 'name')
-      .sort(sortCriteria)
+    // $nearSphere already orders nearest first and cannot be combined with sort()
+    let finder = Request.find(findQuery).populate('user', 'name');
+    if (!sortByDistance) {
+      finder = finder.sort(sortCriteria);
+    }
+    const requests = await finder
       .skip(skip)
       .limit(parseInt(limit));
 
     // Show user names but hide sensitive contact information for public view
+    // Title and description are in the volunteer's preferred language when a translation exists
+    const language = volunteer?.preferences?.language || 'en';
     const publicRequests = requests.map(request => ({
       _id: request._id,
-      title: request.title,
       type: request.type,
       bloodType: request.bloodType,
       unitsNeeded: request.unitsNeeded,
       urgencyLevel: request.urgencyLevel,
-      description: request.description,
+      ...contentTranslationService.localizeFields(request, language),
       location: request.location,
       status: request.status,
       createdAt: request.createdAt,
@@ -508,6 +522,10 @@ router.get('/public', auth, async (req, res) => {
       // Complaint specific fields
       category: request.category,
       priority: request.priority,
+      distance: near ? geoService.distanceKm(near.origin, request.location?.geo) : null,
+      // The volunteer's own application (elder support and complaint requests), so they can see it is under review
+      applicationStatus: request.volunteerApplications
+        .find(app => app.volunteer.toString() === req.user.userId.toString())?.status || null,
       user: request.user ? {
         _id: request.user._id,
         name: request.user.name // Show requester name
@@ -517,6 +535,7 @@ router.get('/public', auth, async (req, res) => {
     res.json({
       success: true,
       requests: publicRequests,
+      search: near ? { ...near.origin, radius: near.radiusKm } : null,
       pagination: {
         current: parseInt(page),
         total: Math.ceil(total / parseInt(limit)),
@@ -534,47 +553,7 @@ router.get('/public', auth, async (req, res) => {
 });
 
 // Get public blood requests (for donation) - MUST come before /:id route
-router.get('/public/blood', auth, async (req, res) => {
-  try {
-    const requests = await Request.find({
-      type: 'blood',
-      status: 'pending', // Only show pending requests
-      user: { $ne: req.user.userId }, // Exclude user's own requests
-      $or: [
-        { accepters: { $exists: false } }, // No accepters field
-        { accepters: { $size: 0 } } // Empty accepters array
-      ]
-    })
-      .populate('user', 'name')
-      .sort({ createdAt: -1 })
-      .limit(50);
-
-    res.json({
-      success: true,
-      requests: requests.map(request => ({
-        _id: request._id,
-        name: request.name,
-        phone: 'Hidden', // Hide phone until accepted
-        location: request.location,
-        bloodType: request.bloodType,
-        urgencyLevel: request.urgencyLevel,
-        status: request.status,
-        createdAt: request.createdAt,
-        requesterName: request.user ? request.user.name : 'Citizen',
-        user: request.user ? {
-          _id: request.user._id,
-          name: request.user.name // Show requester name
-        } : null
-      }))
-    });
-  } catch (error) {
-    console.error('Error fetching public blood requests:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch blood requests'
-    });
-  }
-});
+router.get('/public/blood', auth, getPublicBloodRequests);
 
 // @route   GET /api/requests/:id
 // @desc    Get single request by ID
@@ -584,7 +563,7 @@ router.get('/:id', auth, async (req, res) => {
     const request = await Request.findById(req.params.id)
       .populate('user', 'name phone email address')
       .populate('assignedVolunteer', 'name phone email')
-      .populate('volunteerApplications.volunteer', 'name phone email')
+      .populate('volunteerApplications.volunteer', VOLUNTEER_FIELDS)
       .populate('updates.updatedBy', 'name');
 
     if (!request) {
@@ -596,7 +575,8 @@ router.get('/:id', auth, async (req, res) => {
     const user = await User.findById(req.user.userId);
 
     // Check access permissions
-    if (user.role === 'citizen' && request.user._id.toString() !== req.user.userId) {
+    const actorRole = request.getActorRole(user);
+    if (user.role === 'citizen' && !actorRole) {
       return res.status(403).json({
         message: 'Access denied. You can only view your own requests.'
       });
@@ -604,7 +584,8 @@ router.get('/:id', auth, async (req, res) => {
 
     res.json({
       message: 'Request retrieved successfully',
-      request
+      request: contentTranslationService.localize(request, user.preferences?.language),
+      allowedTransitions: request.getAvailableTransitions(actorRole)
     });
 
   } catch (error) {
@@ -619,7 +600,7 @@ router.get('/:id', auth, async (req, res) => {
 // @route   PUT /api/requests/:id
 // @desc    Update request
 // @access  Private (Owner only)
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', [auth, audit('request.update', 'Request')], async (req, res) => {
   try {
     const request = await Request.findById(req.params.id);
 
@@ -667,11 +648,18 @@ router.put('/:id', auth, async (req, res) => {
     }
 
     Object.assign(request, updates);
+    const contentChanged = request.isModified('title') || request.isModified('description');
     await request.save();
 
+    if (contentChanged) {
+      contentTranslationService.translateInBackground(request);
+    }
+
     await request.populate('user', 'name phone email');
     await request.populate('assignedVolunteer', 'name phone email');
 
+    socketService.emitRequestEvent('request:updated', request);
+
     res.json({
       message: 'Request updated successfully',
       request
@@ -686,10 +674,178 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   PUT /api/requests/:id/status
+// @desc    Move a request to another status (see STATUS_TRANSITIONS in the Request model)
+// @access  Private (Role depends on the transition)
+router.put('/:id/status', [
+  auth,
+  audit('request.status_change', 'Request'),
+  body('status')
+    .isIn(['pending', 'accepted', 'in_progress', 'fulfilled', 'cancelled', 'expired'])
+    .withMessage('Invalid status'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Update message cannot be more than 500 characters'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await Request.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        message: 'Request not found'
+      });
+    }
+
+    const { status, message, reason } = req.body;
+
+    const actorRole = request.getActorRole(req.user);
+    if (!actorRole) {
+      return res.status(403).json({
+        message: 'You can only update requests you created or volunteered for'
+      });
+    }
+
+    // Only the fields a client may supply; volunteers and donations come from their own endpoints
+    const fields = { message, reason, actorRole };
+    const rejection = request.checkTransition(status, actorRole, fields);
+    if (rejection) {
+      return res.status(rejection.status).json({
+        message: rejection.message,
+        code: rejection.code,
+        ...(rejection.missing && { missing: rejection.missing }),
+        allowedTransitions: request.getAvailableTransitions(actorRole)
+      });
+    }
+
+    const volunteers = request.accepters.map(accepter => accepter.user);
+    await request.transitionTo(status, req.user.userId, fields);
+
+    await request.populate('user', 'name phone email');
+    await request.populate('accepters.user', 'name phone email');
+    await request.populate('updates.updatedBy', 'name');
+
+    // Released requests are open again, so they go back on the volunteers' lists
+    socketService.emitRequestEvent(request.status === 'pending' ? 'request:created' : 'request:updated', request);
+    if (request.status === status) {
+      notificationService.notifyRequestStatus(request, status, req.user.userId, message || reason, volunteers)
+        .catch(error => console.error('Request status notification error:', error));
+    }
+    if (status === 'fulfilled') {
+      volunteerStatsService.recomputeMany(request.getHelpingVolunteers())
+        .catch(error => console.error('Volunteer stats error:', error));
+    }
+
+    res.json({
+      message: 'Request status updated successfully',
+      request,
+      allowedTransitions: request.getAvailableTransitions(request.getActorRole(req.user))
+    });
+
+  } catch (error) {
+    console.error('Update request status error:', error);
+    res.status(500).json({
+      message: 'Server error updating request status',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/requests/:id/rating
+// @desc    Rate the volunteers of a fulfilled request (1-5 stars with optional feedback); rating again replaces it
+// @access  Private (Owner only)
+router.post('/:id/rating', [
+  auth,
+  audit('request.rate', 'Request'),
+  body('score')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Score must be a whole number from 1 to 5'),
+  body('feedback')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Feedback cannot be more than 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await Request.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        message: 'Request not found'
+      });
+    }
+
+    if (request.user.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({
+        message: 'Only the requester can rate the volunteers'
+      });
+    }
+
+    const volunteers = request.getHelpingVolunteers();
+    if (request.status !== 'fulfilled' || volunteers.length === 0) {
+      return res.status(400).json({
+        message: 'Volunteers can be rated once the request has been fulfilled'
+      });
+    }
+
+    request.rating = {
+      score: parseInt(req.body.score),
+      feedback: req.body.feedback || undefined,
+      ratedAt: new Date()
+    };
+    await request.save();
+
+    await volunteerStatsService.recomputeMany(volunteers);
+
+    notificationService.notifyMany(volunteers, {
+      type: 'rating_received',
+      title: 'You received a rating',
+      message: `${req.user.name || 'The requester'} rated your help ${request.rating.score}/5${request.rating.feedback ? `: "${notificationService.truncate(request.rating.feedback, 300)}"` : ''}`,
+      section: 'acceptedRequests',
+      relatedRequest: request._id,
+      actor: req.user.userId
+    }).catch(error => console.error('Rating notification error:', error));
+
+    res.json({
+      message: 'Thank you for your feedback!',
+      rating: request.rating
+    });
+
+  } catch (error) {
+    console.error('Rate request error:', error);
+    res.status(500).json({
+      message: 'Server error saving rating',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // @route   DELETE /api/requests/:id
 // @desc    Delete request
 // @access  Private (Owner only)
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', [auth, audit('request.delete', 'Request')], async (req, res) => {
   try {
     const request = await Request.findById(req.params.id);
 
@@ -707,6 +863,9 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     await Request.findByIdAndDelete(req.params.id);
+    await attachmentService.removeAll(request.images);
+
+    socketService.emitRequestEvent('request:deleted', request);
 
     res.json({
       message: 'Request deleted successfully'
@@ -722,6 +881,128 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 
+// @route   POST /api/requests/:id/attachments
+// @desc    Attach photos or documents to a request (multipart, "files" field)
+// @access  Private (Owner, assigned volunteer or Admin)
+router.post('/:id/attachments', [
+  auth,
+  uploadAttachments,
+  audit('request.attachment_add', 'Request')
+], async (req, res) => {
+  try {
+    const userId = req.user.userId.toString();
+    const request = await Request.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        message: 'Request not found'
+      });
+    }
+
+    const isInvolved = request.user.toString() === userId ||
+                      request.assignedVolunteer?.toString() === userId ||
+                      req.user.role === 'admin';
+
+    if (!isInvolved) {
+      return res.status(403).json({
+        message: 'You can only add attachments to requests you are involved in'
+      });
+    }
+
+    if (request.images.length + req.files.length > attachmentService.maxPerItem) {
+      return res.status(400).json({
+        message: `A request can have at most ${attachmentService.maxPerItem} attachments`,
+        code: 'TOO_MANY_ATTACHMENTS'
+      });
+    }
+
+    const result = await attachmentService.store(req.files, {
+      folder: 'requests',
+      uploadedBy: req.user.userId,
+      descriptions: [].concat(req.body.description || [])
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        message: result.message,
+        code: result.error
+      });
+    }
+
+    request.images.push(...result.attachments);
+    try {
+      await request.save();
+    } catch (error) {
+      await attachmentService.removeAll(result.attachments);
+      throw error;
+    }
+
+    socketService.emitRequestEvent('request:updated', request);
+    await request.populate('images.uploadedBy', 'name');
+
+    res.status(201).json({
+      message: 'Attachments added successfully',
+      images: request.images
+    });
+
+  } catch (error) {
+    console.error('Add request attachments error:', error);
+    res.status(500).json({
+      message: 'Server error adding attachments',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/requests/:id/attachments/:attachmentId
+// @desc    Remove an attachment from a request
+// @access  Private (Uploader, request owner or Admin)
+router.delete('/:id/attachments/:attachmentId', [
+  auth,
+  audit('request.attachment_remove', 'Request')
+], async (req, res) => {
+  try {
+    const userId = req.user.userId.toString();
+    const request = await Request.findById(req.params.id);
+    const attachment = request?.images.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        message: request ? 'Attachment not found' : 'Request not found'
+      });
+    }
+
+    const canRemove = attachment.uploadedBy?.toString() === userId ||
+                      request.user.toString() === userId ||
+                      req.user.role === 'admin';
+
+    if (!canRemove) {
+      return res.status(403).json({
+        message: 'You can only remove attachments you uploaded'
+      });
+    }
+
+    attachment.deleteOne();
+    await request.save();
+    await attachmentService.removeAll([attachment]);
+
+    socketService.emitRequestEvent('request:updated', request);
+    await request.populate('images.uploadedBy', 'name');
+
+    res.json({
+      message: 'Attachment removed successfully',
+      images: request.images
+    });
+
+  } catch (error) {
+    console.error('Remove request attachment error:', error);
+    res.status(500).json({
+      message: 'Server error removing attachment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 
 // Get full contact details for accepted blood request (for requester and donor only)
 router.get('/:id/contacts', auth, async (req, res) => {
@@ -800,10 +1081,33 @@ router.get('/:id/contacts', auth, async (req, res) => {
   }
 });
 
-// Volunteer for any request (blood, elder_support, etc.)
-router.post('/:id/volunteer', auth, async (req, res) => {
+// Volunteer for any request: blood requests are accepted straight away, elder support and
+// complaint requests record an application for the requester to review
+router.post('/:id/volunteer', [
+  auth,
+  audit('request.accept', 'Request'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot be more than 500 characters'),
+  body('estimatedTime')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Estimated time cannot be more than 100 characters')
+], async (req, res) => {
   try {
-    const request = await Request.findById(req.params.id).populate('user', 'name email');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let request = await Request.findById(req.params.id).populate('user', 'name email');
 
     if (!request) {
       return res.status(404).json({
@@ -820,13 +1124,20 @@ router.post('/:id/volunteer', auth, async (req, res) => {
       });
     }
 
-    if (request.user._id.toString() === req.user.userId) {
+    if (request.user._id.toString() === req.user.userId.toString()) {
       return res.status(400).json({
         success: false,
         message: 'Cannot volunteer for your own request'
       });
     }
 
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `This request is ${request.status.replace('_', ' ')} and no longer needs volunteers`
+      });
+    }
+
     // Get volunteer's information
     const volunteer = await User.findById(req.user.userId);
 
@@ -845,20 +1156,19 @@ router.post('/:id/volunteer', auth, async (req, res) => {
       });
     }
 
-    // For elder support, also limit to one volunteer for now
-    if (request.type === 'elder_support' && request.accepters && request.accepters.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'This elder support request has already been accepted by another volunteer'
-      });
+    // Donor's blood group must be compatible with the patient's
+    if (request.type === 'blood') {
+      const compatibility = bloodMatchingService.checkDonorForRequest(volunteer, request);
+      if (!compatibility.ok) {
+        return res.status(400).json({
+          success: false,
+          message: compatibility.message
+        });
+      }
     }
 
-    // For complaints, allow multiple volunteers but check if this user already applied
-
     // Check if user already volunteered
-    const alreadyVolunteered = request.accepters.some(
-      accepter => accepter.user.toString() === req.user.userId
-    );
+    const alreadyVolunteered = request.isVolunteer(req.user.userId);
 
     if (alreadyVolunteered) {
       return res.status(400).json({
@@ -867,23 +1177,56 @@ router.post('/:id/volunteer', auth, async (req, res) => {
       });
     }
 
-    // Add volunteer to the request
-    request.accepters.push({
-      user: req.user.userId,
-      acceptedAt: new Date(),
-      status: 'accepted'
-    });
+    if (request.reviewsApplications()) {
+      const { message = '', estimatedTime = '' } = req.body;
 
-    // Update request status to accepted for all types
-    // Volunteers accepting means they are willing to help
-    request.status = 'accepted';
+      try {
+        await request.addVolunteerApplication(req.user.userId, message, estimatedTime);
+      } catch (applicationError) {
+        return res.status(400).json({
+          success: false,
+          message: applicationError.message
+        });
+      }
 
-    await request.save();
+      socketService.emitToUser(request.user._id, 'request:applied', {
+        requestId: request._id,
+        type: request.type,
+        volunteer: { _id: volunteer._id, name: volunteer.name }
+      });
+      notificationService.notifyApplicationReceived(request, volunteer)
+        .catch(error => console.error('Request application notification error:', error));
+
+      return res.status(201).json({
+        success: true,
+        applied: true,
+        message: 'Application submitted! The requester will review it and you will be notified if selected.',
+        application: request.volunteerApplications.find(app => app.volunteer.toString() === req.user.userId.toString())
+      });
+    }
+
+    // Same atomic accept as POST /api/blood-requests/:id/accept, so two donors cannot both take it
+    request = await Request.acceptBlood(request._id, req.user.userId);
+    if (!request) {
+      return res.status(400).json({
+        success: false,
+        message: 'This blood request has already been accepted by another donor'
+      });
+    }
 
     // Populate the request with user details for response
     await request.populate('user', 'name phone email');
     await request.populate('accepters.user', 'name phone email');
 
+    socketService.emitRequestEvent('request:accepted', request);
+    socketService.emitToUser(request.user._id, 'request:volunteered', {
+      requestId: request._id,
+      type: request.type,
+      volunteer: { _id: volunteer._id, name: volunteer.name }
+    });
+    notificationService.notifyRequestAccepted(request, volunteer)
+      .catch(error => console.error('Request accepted notification error:', error));
+
     const responseData = {
       _id: request._id,
       type: request.type,
@@ -934,6 +1277,90 @@ router.post('/:id/volunteer', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/requests/:id/applications/:applicationId/accept
+// @desc    Choose a volunteer from the applications; the other applicants are turned down and notified
+// @access  Private (Owner or Admin)
+router.post('/:id/applications/:applicationId/accept', [auth, audit('request.application_accept', 'Request')], async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        message: 'Request not found'
+      });
+    }
+
+    const actorRole = request.getActorRole(req.user);
+    if (actorRole !== 'requester' && actorRole !== 'admin') {
+      return res.status(403).json({
+        message: 'Only the requester can choose a volunteer'
+      });
+    }
+
+    if (!request.reviewsApplications()) {
+      return res.status(400).json({
+        message: 'Volunteers accept this type of request directly; there are no applications to review'
+      });
+    }
+
+    const application = request.volunteerApplications.id(req.params.applicationId);
+
+    if (!application) {
+      return res.status(404).json({
+        message: 'Application not found'
+      });
+    }
+
+    if (application.status !== 'pending') {
+      return res.status(400).json({
+        message: `This application is already ${application.status}`
+      });
+    }
+
+    const rejection = request.checkTransition('accepted', actorRole, { volunteer: application.volunteer });
+    if (rejection) {
+      return res.status(rejection.status).json({
+        message: rejection.message,
+        code: rejection.code
+      });
+    }
+
+    const volunteer = await User.findById(application.volunteer).select('name isActive');
+
+    if (!volunteer || volunteer.isActive === false) {
+      return res.status(404).json({
+        message: 'This volunteer is no longer available'
+      });
+    }
+
+    const rejected = await request.acceptApplication(
+      application,
+      req.user.userId,
+      `${volunteer.name}'s application was accepted`
+    );
+
+    await request.populate('user', 'name phone email');
+    await request.populate('accepters.user', 'name phone email');
+    await request.populate('volunteerApplications.volunteer', VOLUNTEER_FIELDS);
+
+    socketService.emitRequestEvent('request:accepted', request);
+    notificationService.notifyApplicationDecision(request, volunteer._id, rejected, req.user.userId)
+      .catch(error => console.error('Request application notification error:', error));
+
+    res.json({
+      message: `${volunteer.name} will help with this request`,
+      request
+    });
+
+  } catch (error) {
+    console.error('Accept application error:', error);
+    res.status(500).json({
+      message: 'Server error accepting application',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Get accepters for a specific request (for request owner)
 router.get('/:id/accepters', auth, async (req, res) => {
   try {
@@ -973,4 +1400,41 @@ router.get('/:id/accepters', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/requests/:id/notified
+// @desc    Volunteers alerted about an urgent request, with channel and distance
+// @access  Private (Request owner or admin)
+router.get('/:id/notified', auth, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id)
+      .select('user notifiedVolunteers')
+      .populate('notifiedVolunteers.volunteer', 'name');
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    if (request.user.toString() !== req.user.userId.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view notifications for this request'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: request.notifiedVolunteers.length,
+      notified: request.notifiedVolunteers
+    });
+  } catch (error) {
+    console.error('Error fetching notified volunteers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notified volunteers'
+    });
+  }
+});
+
 module.exports = router;
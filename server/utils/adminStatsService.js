@@ -0,0 +1,247 @@
+const User = require('../models/User');
+const Request = require('../models/Request');
+const Complaint = require('../models/Complaint');
+const Chat = require('../models/Chat');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Turn [{ _id, count }] aggregation output into { key: count }
+const toCountMap = (rows) => rows.reduce((map, row) => {
+  map[row._id ?? 'unknown'] = row.count;
+  return map;
+}, {});
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+class AdminStatsService {
+  /**
+   * Count documents grouped by a field
+   * @param {Object} model - Mongoose model
+   * @param {string} field - Field to group by
+   * @param {Object} match - Optional filter
+   * @returns {Promise<Object>} { value: count }
+   */
+  async countBy(model, field, match = {}) {
+    const rows = await model.aggregate([
+      { $match: match },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+    ]);
+    return toCountMap(rows);
+  }
+
+  /**
+   * User totals by role and account state
+   * @returns {Promise<Object>} User stats
+   */
+  async getUserStats() {
+    const [total, byRole, inactive, verifiedVolunteers, donors] = await Promise.all([
+      User.countDocuments(),
+      this.countBy(User, 'role'),
+      User.countDocuments({ isActive: false }),
+      User.countDocuments({ role: 'volunteer', isVerified: true }),
+      User.countDocuments({ 'volunteerInfo.canDonateBlood': true })
+    ]);
+
+    return { total, byRole, inactive, verifiedVolunteers, donors };
+  }
+
+  /**
+   * Request totals by type, by status, and by type/status pair
+   * @returns {Promise<Object>} Request stats
+   */
+  async getRequestStats() {
+    const [total, byType, byStatus, matrixRows] = await Promise.all([
+      Request.countDocuments(),
+      this.countBy(Request, 'type'),
+      this.countBy(Request, 'status'),
+      Request.aggregate([
+        { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const byTypeAndStatus = {};
+    matrixRows.forEach(({ _id, count }) => {
+      byTypeAndStatus[_id.type] = byTypeAndStatus[_id.type] || {};
+      byTypeAndStatus[_id.type][_id.status] = count;
+    });
+
+    return { total, byType, byStatus, byTypeAndStatus };
+  }
+
+  /**
+   * Complaint totals by status and category
+   * @returns {Promise<Object>} Complaint stats
+   */
+  async getComplaintStats() {
+    const [total, byStatus, byCategory] = await Promise.all([
+      Complaint.countDocuments(),
+      this.countBy(Complaint, 'status'),
+      this.countBy(Complaint, 'category')
+    ]);
+
+    return { total, byStatus, byCategory };
+  }
+
+  /**
+   * New requests per day over a window, zero-filled
+   * @param {Date} since - Start of the window
+   * @param {number} days - Window length in days
+   * @returns {Promise<Array>} [{ date: 'YYYY-MM-DD', total, blood, elder_support, complaint }]
+   */
+  async getRequestsPerDay(since, days) {
+    const rows = await Request.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: {
+            date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+            type: '$type'
+          },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const series = [];
+    for (let i = 0; i < days; i++) {
+      const date = new Date(since.getTime() + i * DAY_MS).toISOString().split('T')[0];
+      series.push({ date, total: 0, blood: 0, elder_support: 0, complaint: 0 });
+    }
+
+    const byDate = new Map(series.map(day => [day.date, day]));
+    rows.forEach(({ _id, count }) => {
+      const day = byDate.get(_id.date);
+      if (!day) return;
+      day[_id.type] = (day[_id.type] || 0) + count;
+      day.total += count;
+    });
+
+    return series;
+  }
+
+  /**
+   * Median minutes from creation to first acceptance, overall and per type
+   * @param {Date} since - Only requests created after this date
+   * @returns {Promise<Object>} { overall, byType, sampleSize }
+   */
+  async getTimeToAcceptance(since) {
+    const rows = await Request.aggregate([
+      { $match: { createdAt: { $gte: since }, 'accepters.0': { $exists: true } } },
+      {
+        $project: {
+          type: 1,
+          minutes: {
+            $divide: [
+              { $subtract: [{ $arrayElemAt: ['$accepters.acceptedAt', 0] }, '$createdAt'] },
+              60000
+            ]
+          }
+        }
+      },
+      { $match: { minutes: { $gte: 0 } } }
+    ]);
+
+    const byType = {};
+    rows.forEach(row => {
+      byType[row.type] = byType[row.type] || [];
+      byType[row.type].push(row.minutes);
+    });
+
+    const round = (value) => (value === null ? null : Math.round(value));
+
+    return {
+      overall: round(median(rows.map(row => row.minutes))),
+      byType: Object.fromEntries(
+        Object.entries(byType).map(([type, values]) => [type, round(median(values))])
+      ),
+      sampleSize: rows.length
+    };
+  }
+
+  /**
+   * Volunteers ranked by people helped
+   * @param {number} limit - Number of volunteers
+   * @returns {Promise<Array>} Top volunteers
+   */
+  async getTopVolunteers(limit = 10) {
+    const volunteers = await User.find({ role: 'volunteer', 'volunteerInfo.totalHelped': { $gt: 0 } })
+      .sort({ 'volunteerInfo.totalHelped': -1, 'volunteerInfo.rating': -1 })
+      .limit(limit)
+      .select('name email address.city isVerified volunteerInfo.totalHelped volunteerInfo.rating volunteerInfo.bloodGroup');
+
+    return volunteers.map(volunteer => ({
+      _id: volunteer._id,
+      name: volunteer.name,
+      email: volunteer.email,
+      city: volunteer.address?.city || '',
+      isVerified: volunteer.isVerified,
+      totalHelped: volunteer.volunteerInfo?.totalHelped || 0,
+      rating: volunteer.volunteerInfo?.rating || 0,
+      bloodGroup: volunteer.volunteerInfo?.bloodGroup || null
+    }));
+  }
+
+  /**
+   * Chatbot volume and how often the AI fell back to rule-based answers
+   * @param {Date} since - Start of the window
+   * @returns {Promise<Object>} Chatbot stats
+   */
+  async getChatbotStats(since) {
+    const match = { createdAt: { $gte: since } };
+    const [total, fallbacks, requestsCreated, byMessageType, byCategory] = await Promise.all([
+      Chat.countDocuments(match),
+      Chat.countDocuments({ ...match, 'aiMetadata.usingFallback': true }),
+      Chat.countDocuments({ ...match, createdRequest: true }),
+      this.countBy(Chat, 'messageType', match),
+      this.countBy(Chat, 'category', match)
+    ]);
+
+    return {
+      total,
+      fallbacks,
+      fallbackRate: total > 0 ? Math.round((fallbacks / total) * 1000) / 10 : 0,
+      requestsCreated,
+      byMessageType,
+      byCategory
+    };
+  }
+
+  /**
+   * Everything the admin dashboard shows
+   * @param {number} days - Window for time-based stats
+   * @returns {Promise<Object>} Dashboard data
+   */
+  async getDashboard(days = 30) {
+    const since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+    since.setTime(since.getTime() - (days - 1) * DAY_MS);
+
+    const [users, requests, complaints, requestsPerDay, timeToAcceptance, topVolunteers, chatbot] = await Promise.all([
+      this.getUserStats(),
+      this.getRequestStats(),
+      this.getComplaintStats(),
+      this.getRequestsPerDay(since, days),
+      this.getTimeToAcceptance(since),
+      this.getTopVolunteers(),
+      this.getChatbotStats(since)
+    ]);
+
+    return {
+      window: { days, since },
+      users,
+      requests,
+      complaints,
+      requestsPerDay,
+      timeToAcceptance,
+      topVolunteers,
+      chatbot
+    };
+  }
+}
+
+module.exports = new AdminStatsService();
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { createStorageProvider } = require('./storageProviders');
+
+// Accepted uploads and the extension they are stored under
+const ALLOWED_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf'
+};
+
+// Longest side of stored photos and of their thumbnails, in pixels
+const MAX_IMAGE_DIMENSION = 2560;
+const THUMBNAIL_SIZE = 320;
+
+class AttachmentService {
+  constructor() {
+    this.provider = createStorageProvider();
+    this.maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024;
+    this.maxPerItem = parseInt(process.env.MAX_ATTACHMENTS_PER_ITEM) || 10;
+  }
+
+  /**
+   * Whether a MIME type may be uploaded
+   * @param {string} mimetype - MIME type reported by the client
+   * @returns {boolean} True when allowed
+   */
+  isAllowedType(mimetype) {
+    return !!ALLOWED_TYPES[mimetype];
+  }
+
+  get allowedTypes() {
+    return Object.keys(ALLOWED_TYPES);
+  }
+
+  // "complaints/2024/05/<random>" - random names keep stored files unguessable
+  buildKey(folder) {
+    const now = new Date();
+    const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+    return `${folder}/${now.getUTCFullYear()}/${month}/${crypto.randomBytes(16).toString('hex')}`;
+  }
+
+  /**
+   * Check the file contents match the claimed type, and prepare what gets stored
+   * Photos are turned upright and re-encoded, which also drops EXIF data such as GPS position.
+   * @param {Object} file - Multer file (memory storage)
+   * @returns {Promise<Object|null>} { buffer, thumbnail } (thumbnail is null for documents), or null if invalid
+   */
+  async prepare(file) {
+    if (file.mimetype === 'application/pdf') {
+      if (file.buffer.subarray(0, 5).toString() !== '%PDF-') return null;
+      return { buffer: file.buffer, thumbnail: null };
+    }
+
+    const format = ALLOWED_TYPES[file.mimetype] === 'jpg' ? 'jpeg' : ALLOWED_TYPES[file.mimetype];
+    try {
+      const metadata = await sharp(file.buffer).metadata();
+      if (metadata.format !== format) return null;
+
+      const image = sharp(file.buffer).rotate();
+      const [buffer, thumbnail] = await Promise.all([
+        image.clone()
+          .resize(MAX_IMAGE_DIMENSION, MAX_IMAGE_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+          .toFormat(format, { quality: 85 })
+          .toBuffer(),
+        image.clone()
+          .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+          .webp({ quality: 75 })
+          .toBuffer()
+      ]);
+      return { buffer, thumbnail };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Validate and store uploaded files with their thumbnails
+   * Either every file is stored or none are.
+   * @param {Array} files - Multer files (memory storage)
+   * @param {Object} options - { folder, uploadedBy, descriptions }
+   * @returns {Promise<Object>} { attachments } for the images array of a complaint or request,
+   *   or { error: 'INVALID_FILE', message } when a file's contents don't match its type
+   */
+  async store(files, { folder, uploadedBy, descriptions = [] }) {
+    const prepared = [];
+    for (const file of files) {
+      const result = await this.prepare(file);
+      if (!result) {
+        return {
+          error: 'INVALID_FILE',
+          message: `${file.originalname} is not a valid ${ALLOWED_TYPES[file.mimetype].toUpperCase()} file`
+        };
+      }
+      prepared.push(result);
+    }
+
+    const attachments = [];
+    try {
+      for (const [index, file] of files.entries()) {
+        const { buffer, thumbnail } = prepared[index];
+        const key = this.buildKey(folder);
+        const stored = await this.provider.save(`${key}.${ALLOWED_TYPES[file.mimetype]}`, buffer, file.mimetype);
+        const attachment = {
+          url: stored.url,
+          key: stored.key,
+          filename: file.originalname,
+          mimetype: file.mimetype,
+          size: buffer.length,
+          description: descriptions[index]?.trim().slice(0, 200) || undefined,
+          uploadedBy
+        };
+        attachments.push(attachment);
+
+        if (thumbnail) {
+          const storedThumbnail = await this.provider.save(`${key}_thumb.webp`, thumbnail, 'image/webp');
+          attachment.thumbnailUrl = storedThumbnail.url;
+          attachment.thumbnailKey = storedThumbnail.key;
+        }
+      }
+    } catch (error) {
+      await this.removeAll(attachments);
+      throw error;
+    }
+
+    return { attachments };
+  }
+
+  /**
+   * Delete the stored files of attachments; failures are logged, not thrown
+   * @param {Array} attachments - Entries from an images array
+   */
+  async removeAll(attachments = []) {
+    const keys = attachments.flatMap(attachment => [attachment.key, attachment.thumbnailKey]).filter(Boolean);
+
+    await Promise.all(keys.map(key => this.provider.remove(key)
+      .catch(error => console.error(`Attachment delete error (${key}):`, error.message))));
+  }
+}
+
+const attachmentService = new AttachmentService();
+
+module.exports = attachmentService;
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Fields left out of snapshots: secrets, bookkeeping and system-written logs
+const SNAPSHOT_EXCLUDE = {
+  User: '-password -resetPasswordToken -resetPasswordExpire -resetPasswordOTP -resetPasswordOTPExpiry -emailVerificationToken -emailVerificationExpire -lastLogin -updatedAt -__v',
+  Request: '-notifiedVolunteers -updatedAt -__v',
+  Complaint: '-updatedAt -__v'
+};
+
+// Compare as JSON so ObjectIds, Dates and nested objects diff by value
+const serialize = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+class AuditService {
+  /**
+   * Keep only the fields whose values differ between two snapshots
+   * @param {Object} before - Snapshot before the change
+   * @param {Object} after - Snapshot after the change
+   * @returns {Object} { before, after } limited to changed fields
+   */
+  diff(before = {}, after = {}) {
+    const changes = { before: {}, after: {} };
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    fields.forEach(field => {
+      const oldValue = serialize(before?.[field]);
+      const newValue = serialize(after?.[field]);
+      if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+      if (oldValue !== undefined) changes.before[field] = oldValue;
+      if (newValue !== undefined) changes.after[field] = newValue;
+    });
+
+    return changes;
+  }
+
+  /**
+   * Append an entry to the audit log
+   * @param {Object} req - Express request (actor and client details are read from it)
+   * @param {Object} entry - { action, targetType, target, before, after, reason }
+   * @returns {Promise<Object>} Saved audit log entry
+   */
+  async record(req, { action, targetType, target, before, after, reason }) {
+    return AuditLog.create({
+      actor: req.user.userId,
+      actorRole: req.user.role,
+      action,
+      targetType,
+      target,
+      changes: this.diff(before, after),
+      reason,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  }
+
+  /**
+   * Current state of a document as stored, for before/after comparison
+   * @param {string} targetType - 'User', 'Request' or 'Complaint'
+   * @param {string} targetId - Document ID
+   * @returns {Promise<Object|null>} Plain object, or null if it does not exist
+   */
+  async snapshot(targetType, targetId) {
+    if (!mongoose.isValidObjectId(targetId)) return null;
+    return mongoose.model(targetType)
+      .findById(targetId)
+      .select(SNAPSHOT_EXCLUDE[targetType])
+      .lean();
+  }
+
+  /**
+   * Append an entry comparing a stored "before" snapshot with the document as it is now
+   * A document that no longer exists is recorded with an empty "after"; no-op changes are skipped
+   * @param {Object} req - Express request
+   * @param {Object} entry - { action, targetType, target, before, reason }
+   * @returns {Promise<Object|null>} Saved audit log entry
+   */
+  async recordChange(req, { action, targetType, target, before = null, reason }) {
+    const after = await this.snapshot(targetType, target);
+    const changes = this.diff(before || {}, after || {});
+    if (Object.keys(changes.before).length === 0 && Object.keys(changes.after).length === 0) {
+      return null;
+    }
+
+    return this.record(req, {
+      action,
+      targetType,
+      target,
+      before: before || {},
+      after: after || {},
+      reason
+    });
+  }
+
+  /**
+   * Search the audit log, newest first
+   * @param {Object} filters - { actor, action, targetType, target, from, to }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { entries, total }
+   */
+  async search(filters = {}, { page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (filters.actor) query.actor = filters.actor;
+    if (filters.action) query.action = new RegExp(`^${filters.action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`);
+    if (filters.targetType) query.targetType = filters.targetType;
+    if (filters.target) query.target = filters.target;
+    const from = filters.from ? new Date(filters.from) : null;
+    const to = filters.to ? new Date(filters.to) : null;
+    if (from && !isNaN(from)) query.createdAt = { ...query.createdAt, $gte: from };
+    if (to && !isNaN(to)) query.createdAt = { ...query.createdAt, $lte: to };
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'name email role')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return { entries, total };
+  }
+
+  /**
+   * Audit history for one document, newest first
+   * @param {string} targetType - 'User', 'Request' or 'Complaint'
+   * @param {string} targetId - Document ID
+   * @param {number} limit - Maximum entries
+   * @returns {Promise<Array>} Audit log entries
+   */
+  async getHistory(targetType, targetId, limit = 50) {
+    return AuditLog.find({ targetType, target: targetId })
+      .populate('actor', 'name email role')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+  }
+}
+
+module.exports = new AuditService();
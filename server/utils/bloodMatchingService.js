@@ -0,0 +1,197 @@
+const User = require('../models/User');
+
+// Red cell compatibility: recipient blood group -> donor groups that can be given to them
+const RECIPIENT_COMPATIBILITY = {
+  'O-': ['O-'],
+  'O+': ['O-', 'O+'],
+  'A-': ['O-', 'A-'],
+  'A+': ['O-', 'O+', 'A-', 'A+'],
+  'B-': ['O-', 'B-'],
+  'B+': ['O-', 'O+', 'B-', 'B+'],
+  'AB-': ['O-', 'A-', 'B-', 'AB-'],
+  'AB+': ['O-', 'O+', 'A-', 'A+', 'B-', 'B+', 'AB-', 'AB+']
+};
+
+const ALL_BLOOD_GROUPS = Object.keys(RECIPIENT_COMPATIBILITY);
+
+class BloodMatchingService {
+  constructor() {
+    // Minimum gap between whole blood donations
+    this.deferralDays = parseInt(process.env.BLOOD_DONATION_DEFERRAL_DAYS) || 90;
+  }
+
+  /**
+   * Donor groups whose blood a recipient can receive
+   * @param {string} recipientGroup - Requested blood type ('Not specified' matches everyone)
+   * @returns {Array<string>} Compatible donor groups
+   */
+  getCompatibleDonorGroups(recipientGroup) {
+    return RECIPIENT_COMPATIBILITY[recipientGroup] || ALL_BLOOD_GROUPS;
+  }
+
+  /**
+   * Recipient groups a donor can give to
+   * @param {string} donorGroup - Donor blood group
+   * @returns {Array<string>} Recipient groups, including 'Not specified' requests
+   */
+  getCompatibleRecipientGroups(donorGroup) {
+    const recipients = ALL_BLOOD_GROUPS.filter(recipient =>
+      RECIPIENT_COMPATIBILITY[recipient].includes(donorGroup)
+    );
+    return [...recipients, 'Not specified'];
+  }
+
+  /**
+   * Check whether a donor group can give to a recipient group
+   * @param {string} donorGroup - Donor blood group
+   * @param {string} recipientGroup - Requested blood type
+   * @returns {boolean} Compatibility
+   */
+  isCompatible(donorGroup, recipientGroup) {
+    if (!donorGroup) return false;
+    return this.getCompatibleDonorGroups(recipientGroup).includes(donorGroup);
+  }
+
+  /**
+   * Earliest date the donor may donate again
+   * @param {Date|null} lastDonation - Date of the last donation
+   * @returns {Date|null} Next eligible date, or null when there is no recorded donation
+   */
+  getNextEligibleDate(lastDonation) {
+    if (!lastDonation) return null;
+    const next = new Date(lastDonation);
+    next.setDate(next.getDate() + this.deferralDays);
+    return next;
+  }
+
+  /**
+   * Donation eligibility of a user based on their volunteer profile
+   * @param {Object} user - User document
+   * @returns {Object} { eligible, reason, nextEligibleDate }
+   */
+  getDonorEligibility(user) {
+    const info = user?.volunteerInfo || {};
+    const nextEligibleDate = this.getNextEligibleDate(info.lastDonation);
+
+    if (!info.bloodGroup) {
+      return { eligible: false, reason: 'Blood group not set in profile', nextEligibleDate };
+    }
+
+    if (nextEligibleDate && nextEligibleDate > new Date()) {
+      return { eligible: false, reason: 'Donated too recently', nextEligibleDate };
+    }
+
+    return { eligible: true, reason: null, nextEligibleDate };
+  }
+
+  /**
+   * Validate that a user can donate for a specific blood request
+   * @param {Object} donor - User document
+   * @param {Object} request - Blood request document
+   * @returns {Object} { ok, message }
+   */
+  checkDonorForRequest(donor, request) {
+    const bloodGroup = donor?.volunteerInfo?.bloodGroup;
+    const nextEligibleDate = this.getNextEligibleDate(donor?.volunteerInfo?.lastDonation);
+
+    // Compatibility cannot be checked without a group, same as getDonorEligibility
+    if (!bloodGroup) {
+      return {
+        ok: false,
+        message: 'Add your blood group to your profile before accepting blood requests'
+      };
+    }
+
+    if (nextEligibleDate && nextEligibleDate > new Date()) {
+      return {
+        ok: false,
+        message: `You donated recently and can donate again from ${nextEligibleDate.toDateString()}`
+      };
+    }
+
+    if (!this.isCompatible(bloodGroup, request.bloodType)) {
+      return {
+        ok: false,
+        message: `Your blood group (${bloodGroup}) cannot be given to a ${request.bloodType} patient`
+      };
+    }
+
+    return { ok: true, message: null };
+  }
+
+  /**
+   * Query filter for blood requests a donor can fulfil
+   * @param {Object} donor - User document
+   * @returns {Object} Mongo filter fragment (matches nothing when the donor's group is unknown)
+   */
+  getRequestFilterForDonor(donor) {
+    const bloodGroup = donor?.volunteerInfo?.bloodGroup;
+    if (!bloodGroup) return { bloodType: { $in: [] } };
+    return { bloodType: { $in: this.getCompatibleRecipientGroups(bloodGroup) } };
+  }
+
+  /**
+   * Find and rank eligible donors for a blood request
+   * Exact group matches rank first, then donors in the same pincode/city, then rating and experience
+   * @param {Object} request - Blood request document
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>} Ranked donors with score breakdown
+   */
+  async rankDonorsForRequest(request, options = {}) {
+    const { limit = 20 } = options;
+
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - this.deferralDays);
+
+    const requesterId = request.user?._id || request.user;
+
+    const donors = await User.find({
+      _id: { $ne: requesterId },
+      isActive: true,
+      'volunteerInfo.canDonateBlood': true,
+      'volunteerInfo.bloodGroup': { $in: this.getCompatibleDonorGroups(request.bloodType) },
+      $or: [
+        { 'volunteerInfo.lastDonation': { $exists: false } },
+        { 'volunteerInfo.lastDonation': null },
+        { 'volunteerInfo.lastDonation': { $lte: cutoff } }
+      ]
+    }).select('name role address volunteerInfo');
+
+    const city = request.location?.city?.toLowerCase();
+    const pincode = request.location?.pincode;
+
+    const ranked = donors.map(donor => {
+      const info = donor.volunteerInfo || {};
+      const exactMatch = info.bloodGroup === request.bloodType;
+      const samePincode = !!pincode && donor.address?.pincode === pincode;
+      const sameCity = !!city && donor.address?.city?.toLowerCase() === city;
+
+      const score =
+        (exactMatch ? 40 : 20) +
+        (samePincode ? 30 : (sameCity ? 20 : 0)) +
+        (info.rating || 0) * 4 +
+        Math.min(info.totalHelped || 0, 10);
+
+      return {
+        _id: donor._id,
+        name: donor.name,
+        role: donor.role,
+        bloodGroup: info.bloodGroup,
+        city: donor.address?.city || '',
+        pincode: donor.address?.pincode || '',
+        rating: info.rating || 0,
+        totalHelped: info.totalHelped || 0,
+        lastDonation: info.lastDonation || null,
+        exactMatch,
+        proximity: samePincode ? 'pincode' : (sameCity ? 'city' : 'other'),
+        score
+      };
+    });
+
+    return ranked
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = new BloodMatchingService();
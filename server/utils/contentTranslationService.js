@@ -0,0 +1,129 @@
+const translationService = require('./translationService');
+
+const SUPPORTED_LANGUAGES = ['en', 'hi', 'te'];
+const TRANSLATED_FIELDS = ['title', 'description'];
+
+// Wait before retrying content whose translation failed (no real provider reachable)
+const RETRY_AFTER_MS = (parseInt(process.env.CONTENT_TRANSLATION_RETRY_MINUTES) || 60) * 60 * 1000;
+
+/**
+ * Detects the language requests and complaints are written in, translates their title and
+ * description into the other supported languages, and picks the version each viewer reads
+ */
+class ContentTranslationService {
+  constructor() {
+    // Documents being translated right now, so list views don't start the same work twice
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Detect the original language and store translations on a saved Request or Complaint
+   * Writes with updateOne and only if the text is unchanged, so it can run after the response
+   * @param {Object} doc - Saved mongoose document
+   * @returns {Promise<Object|null>} { originalLanguage, translations }
+   */
+  async translateContent(doc) {
+    const fields = TRANSLATED_FIELDS.filter(field => doc[field]);
+    if (fields.length === 0) return null;
+
+    const id = doc._id.toString();
+    if (this.inFlight.has(id)) return null;
+    this.inFlight.add(id);
+
+    try {
+      const detection = await translationService.detectLanguage(fields.map(field => doc[field]).join(' '));
+      const originalLanguage = SUPPORTED_LANGUAGES.includes(detection.language) ? detection.language : 'en';
+
+      const translations = [];
+      for (const language of SUPPORTED_LANGUAGES.filter(language => language !== originalLanguage)) {
+        const translation = { language, translatedAt: new Date() };
+
+        for (const field of fields) {
+          const result = await translationService.translateText(doc[field], originalLanguage, language);
+          // Word-for-word dictionary output is not shown as a translation
+          if (!result.success || !result.exact) break;
+          translation[field] = result.translatedText;
+          translation.provider = result.method;
+        }
+
+        if (fields.every(field => translation[field])) {
+          translations.push(translation);
+        }
+      }
+
+      const unchanged = Object.fromEntries(TRANSLATED_FIELDS.map(field => [field, doc[field] ?? null]));
+      await doc.constructor.updateOne(
+        { _id: doc._id, ...unchanged },
+        { $set: { originalLanguage, translations, translationAttemptedAt: new Date() } }
+      );
+
+      return { originalLanguage, translations };
+    } finally {
+      this.inFlight.delete(id);
+    }
+  }
+
+  /**
+   * Start translateContent without holding up the response
+   * Runs after creates and edits so volunteers who read another language see the content in theirs
+   * @param {Object} doc - Saved mongoose document
+   */
+  translateInBackground(doc) {
+    this.translateContent(doc)
+      .catch(error => console.error('Content translation error:', error));
+  }
+
+  /**
+   * Drop stored translations when the title or description is edited
+   * Called from pre-save hooks; translateInBackground fills them in again after saving
+   * @param {Object} doc - Mongoose document being saved
+   */
+  resetIfEdited(doc) {
+    if (!doc.isNew && TRANSLATED_FIELDS.some(field => doc.isModified(field))) {
+      doc.originalLanguage = undefined;
+      doc.translations = [];
+      doc.translationAttemptedAt = undefined;
+    }
+  }
+
+  /**
+   * Title and description in the viewer's language, falling back to the original text
+   * Content still missing a translation is queued again in the background
+   * @param {Object} doc - Request or Complaint document or plain object
+   * @param {string} language - Viewer's preferred language
+   * @returns {Object} { title, description, originalLanguage, translatedTo, original }
+   */
+  localizeFields(doc, language = 'en') {
+    const translation = (doc.translations || []).find(entry => entry.language === language);
+    const isTranslated = !!translation && doc.originalLanguage !== language;
+
+    const missing = doc.originalLanguage !== language && !translation;
+    const retryDue = !doc.translationAttemptedAt || Date.now() - new Date(doc.translationAttemptedAt) > RETRY_AFTER_MS;
+    if (missing && retryDue && typeof doc.constructor?.updateOne === 'function') {
+      this.translateInBackground(doc);
+    }
+
+    return {
+      title: isTranslated ? translation.title ?? doc.title : doc.title,
+      description: isTranslated ? translation.description ?? doc.description : doc.description,
+      originalLanguage: doc.originalLanguage || null,
+      translatedTo: isTranslated ? language : null,
+      original: isTranslated ? { title: doc.title, description: doc.description } : null
+    };
+  }
+
+  /**
+   * Plain copy of a document with its content in the viewer's language
+   * @param {Object} doc - Request or Complaint document or plain object
+   * @param {string} language - Viewer's preferred language
+   * @returns {Object} Document without the stored translations
+   */
+  localize(doc, language = 'en') {
+    const localized = this.localizeFields(doc, language);
+    const { translations, translationAttemptedAt, ...content } = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+
+    return { ...content, ...localized };
+  }
+}
+
+module.exports = new ContentTranslationService();
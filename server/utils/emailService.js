@@ -393,6 +393,324 @@ const sendWelcomeEmail = async (email, name) => {
   }
 };
 
+// Send urgent request alert to a nearby volunteer
+const sendUrgentRequestEmail = async (email, name, request, distance = null) => {
+  try {
+    const transporter = createTransporter();
+
+    const typeLabels = {
+      blood: 'Blood Donation',
+      elder_support: 'Elder Support',
+      complaint: 'Community Complaint'
+    };
+    const typeLabel = typeLabels[request.type] || 'Help';
+    const need = request.type === 'blood'
+      ? `${request.bloodType} blood needed`
+      : (request.title || request.serviceType || request.category || 'Assistance needed');
+    const place = [request.location?.address, request.location?.city].filter(Boolean).join(', ');
+    const requestUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/volunteer-dashboard/all-requests`;
+
+    const mailOptions = {
+      from: {
+        name: 'SevaLink Community',
+        address: process.env.EMAIL_USER
+      },
+      to: email,
+      subject: `🚨 Urgent ${typeLabel} request near you - SevaLink`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Urgent Request Near You</title>
+          <style>
+            body {
+              font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+              background-color: #f4f4f4;
+            }
+            .container {
+              background: linear-gradient(135deg, #ef4444 0%, #ec4899 100%);
+              border-radius: 15px;
+              padding: 40px;
+              text-align: center;
+              box-shadow: 0 10px 30px rgba(0,0,0,0.1);
+            }
+            h1 {
+              color: white;
+              margin-bottom: 10px;
+              font-size: 26px;
+            }
+            .subtitle {
+              color: rgba(255,255,255,0.9);
+              margin-bottom: 30px;
+              font-size: 16px;
+            }
+            .details {
+              background: white;
+              border-radius: 10px;
+              padding: 25px;
+              text-align: left;
+              color: #444;
+            }
+            .details p {
+              margin: 8px 0;
+            }
+            .cta {
+              display: inline-block;
+              background: white;
+              color: #ef4444;
+              padding: 12px 30px;
+              border-radius: 25px;
+              text-decoration: none;
+              font-weight: bold;
+              margin-top: 25px;
+            }
+            .footer {
+              color: rgba(255,255,255,0.7);
+              font-size: 12px;
+              margin-top: 30px;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <h1>🚨 Urgent ${typeLabel} Request</h1>
+            <p class="subtitle">Hello ${name}, someone near you needs help right now</p>
+
+            <div class="details">
+              <p><strong>Need:</strong> ${need}</p>
+              ${place ? `<p><strong>Location:</strong> ${place}</p>` : ''}
+              ${distance !== null ? `<p><strong>Distance:</strong> about ${distance} km from you</p>` : ''}
+              <p><strong>Requested by:</strong> ${request.name || 'A community member'}</p>
+            </div>
+
+            <a class="cta" href="${requestUrl}">View Request</a>
+
+            <div class="footer">
+              <p>You are receiving this because you are a SevaLink volunteer nearby</p>
+              <p>You can turn off email alerts in your profile preferences</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('✅ Urgent request email sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+
+  } catch (error) {
+    console.error('❌ Failed to send urgent request email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send a copy of an in-app notification
+const sendNotificationEmail = async (email, name, title, message, link = null) => {
+  try {
+    const transporter = createTransporter();
+    const actionUrl = link ? `${process.env.CLIENT_URL || 'http://localhost:3000'}${link}` : null;
+
+    const mailOptions = {
+      from: {
+        name: 'SevaLink Community',
+        address: process.env.EMAIL_USER
+      },
+      to: email,
+      subject: `${title} - SevaLink`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${title}</title>
+          <style>
+            body {
+              font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+              background-color: #f4f4f4;
+            }
+            .container {
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              border-radius: 15px;
+              padding: 40px;
+              text-align: center;
+              box-shadow: 0 10px 30px rgba(0,0,0,0.1);
+            }
+            h1 {
+              color: white;
+              margin-bottom: 10px;
+              font-size: 24px;
+            }
+            .message {
+              background: white;
+              border-radius: 10px;
+              padding: 25px;
+              color: #444;
+              text-align: left;
+            }
+            .cta {
+              display: inline-block;
+              background: white;
+              color: #667eea;
+              padding: 12px 30px;
+              border-radius: 25px;
+              text-decoration: none;
+              font-weight: bold;
+              margin-top: 25px;
+            }
+            .footer {
+              color: rgba(255,255,255,0.7);
+              font-size: 12px;
+              margin-top: 30px;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <h1>${title}</h1>
+            <div class="message">
+              <p>Hello ${name},</p>
+              <p>${message}</p>
+            </div>
+
+            ${actionUrl ? `<a class="cta" href="${actionUrl}">Open SevaLink</a>` : ''}
+
+            <div class="footer">
+              <p>This is an automated message from SevaLink Community Portal</p>
+              <p>You can turn off email notifications in your profile preferences</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('✅ Notification email sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+
+  } catch (error) {
+    console.error('❌ Failed to send notification email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send the email address verification link
+const sendVerificationEmail = async (email, name, token, expiresInHours) => {
+  try {
+    const transporter = createTransporter();
+    const verifyUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/verify-email?token=${token}`;
+
+    const mailOptions = {
+      from: {
+        name: 'SevaLink Community',
+        address: process.env.EMAIL_USER
+      },
+      to: email,
+      subject: 'Verify your email - SevaLink',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Verify your email</title>
+          <style>
+            body {
+              font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+              background-color: #f4f4f4;
+            }
+            .container {
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              border-radius: 15px;
+              padding: 40px;
+              text-align: center;
+              box-shadow: 0 10px 30px rgba(0,0,0,0.1);
+            }
+            h1 {
+              color: white;
+              margin-bottom: 10px;
+              font-size: 24px;
+            }
+            .message {
+              background: white;
+              border-radius: 10px;
+              padding: 25px;
+              color: #444;
+              text-align: left;
+            }
+            .cta {
+              display: inline-block;
+              background: white;
+              color: #667eea;
+              padding: 12px 30px;
+              border-radius: 25px;
+              text-decoration: none;
+              font-weight: bold;
+              margin-top: 25px;
+            }
+            .link {
+              word-break: break-all;
+              font-size: 12px;
+              color: #667eea;
+            }
+            .footer {
+              color: rgba(255,255,255,0.7);
+              font-size: 12px;
+              margin-top: 30px;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <h1>✉️ Verify your email</h1>
+            <div class="message">
+              <p>Hello ${name},</p>
+              <p>Please confirm that this is your email address to finish setting up your SevaLink account. Until then you won't be able to post blood requests.</p>
+              <p>This link expires in ${expiresInHours} hours. If the button doesn't work, open this link:</p>
+              <p class="link">${verifyUrl}</p>
+            </div>
+
+            <a class="cta" href="${verifyUrl}">Verify Email</a>
+
+            <div class="footer">
+              <p>If you didn't create a SevaLink account, you can ignore this email.</p>
+              <p>This is an automated message from SevaLink Community Portal</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('✅ Verification email sent successfully:', result.messageId);
+    return { success: true, messageId: result.messageId };
+
+  } catch (error) {
+    console.error('❌ Failed to send verification email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Test email configuration
 const testEmailConfig = async () => {
   try {
@@ -409,5 +727,8 @@ const testEmailConfig = async () => {
 module.exports = {
   sendOTPEmail,
   sendWelcomeEmail,
+  sendUrgentRequestEmail,
+  sendNotificationEmail,
+  sendVerificationEmail,
   testEmailConfig
 };
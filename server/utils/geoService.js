@@ -0,0 +1,163 @@
+const EARTH_RADIUS_KM = 6378.1;
+
+class GeoService {
+  constructor() {
+    // Radius used when the caller asks for nearby results without specifying one
+    this.defaultRadiusKm = parseFloat(process.env.DEFAULT_SEARCH_RADIUS_KM) || 10;
+    this.maxRadiusKm = 200;
+  }
+
+  /**
+   * Validate a latitude/longitude pair
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {boolean} Whether the pair is a usable position
+   */
+  isValidPosition(lat, lng) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return false;
+    // Location pickers send 0,0 as a "not geocoded yet" placeholder
+    return !(lat === 0 && lng === 0);
+  }
+
+  /**
+   * Convert { lat, lng } into a GeoJSON point
+   * @param {Object} coordinates - { lat, lng }
+   * @returns {Object|null} GeoJSON point, or null when the coordinates are missing/invalid
+   */
+  toPoint(coordinates) {
+    const lat = Number(coordinates?.lat);
+    const lng = Number(coordinates?.lng);
+    if (coordinates?.lat == null || coordinates?.lng == null || !this.isValidPosition(lat, lng)) {
+      return null;
+    }
+    return { type: 'Point', coordinates: [lng, lat] };
+  }
+
+  /**
+   * Stored position of a user (User.address.coordinates)
+   * @param {Object} user - User document
+   * @returns {Object|null} { lat, lng } or null when the user has no coordinates
+   */
+  getUserOrigin(user) {
+    const coordinates = user?.address?.coordinates;
+    const lat = Number(coordinates?.latitude);
+    const lng = Number(coordinates?.longitude);
+    if (coordinates?.latitude == null || coordinates?.longitude == null || !this.isValidPosition(lat, lng)) {
+      return null;
+    }
+    return { lat, lng };
+  }
+
+  /**
+   * Read lat, lng, radius and nearMe from a query string
+   * Explicit lat/lng win over nearMe=true, which falls back to the user's saved address
+   * @param {Object} query - Express req.query
+   * @param {Object} user - Current user document (used for nearMe)
+   * @returns {Object|null} { origin, radiusKm } | { error } | null when no location search was asked for
+   */
+  parseNearQuery(query, user = null) {
+    const { lat, lng, radius, nearMe } = query;
+    let origin = null;
+
+    if (lat !== undefined || lng !== undefined) {
+      const parsedLat = parseFloat(lat);
+      const parsedLng = parseFloat(lng);
+      if (!this.isValidPosition(parsedLat, parsedLng)) {
+        return { error: 'lat and lng must be valid coordinates' };
+      }
+      origin = { lat: parsedLat, lng: parsedLng };
+    } else if (nearMe === 'true') {
+      origin = this.getUserOrigin(user);
+      if (!origin) {
+        return { error: 'Add your location to your profile to see nearby requests' };
+      }
+    } else {
+      return null;
+    }
+
+    let radiusKm = this.defaultRadiusKm;
+    if (radius !== undefined) {
+      radiusKm = parseFloat(radius);
+      if (!Number.isFinite(radiusKm) || radiusKm <= 0) {
+        return { error: 'radius must be a positive number of kilometres' };
+      }
+    }
+
+    return { origin, radiusKm: Math.min(radiusKm, this.maxRadiusKm) };
+  }
+
+  /**
+   * Unsorted filter for documents within a radius (usable with countDocuments)
+   * @param {string} path - Path of the GeoJSON field
+   * @param {Object} origin - { lat, lng }
+   * @param {number} radiusKm - Radius in kilometres
+   * @returns {Object} Mongo filter fragment
+   */
+  buildWithinFilter(path, origin, radiusKm) {
+    return {
+      [path]: {
+        $geoWithin: {
+          $centerSphere: [[origin.lng, origin.lat], radiusKm / EARTH_RADIUS_KM]
+        }
+      }
+    };
+  }
+
+  /**
+   * Filter that returns documents within a radius ordered nearest first
+   * Cannot be combined with .sort() or countDocuments
+   * @param {string} path - Path of the GeoJSON field
+   * @param {Object} origin - { lat, lng }
+   * @param {number} radiusKm - Radius in kilometres
+   * @returns {Object} Mongo filter fragment
+   */
+  buildNearFilter(path, origin, radiusKm) {
+    return {
+      [path]: {
+        $nearSphere: {
+          $geometry: { type: 'Point', coordinates: [origin.lng, origin.lat] },
+          $maxDistance: radiusKm * 1000
+        }
+      }
+    };
+  }
+
+  /**
+   * Narrow a listing filter to a radius search
+   * @param {Object} query - Existing Mongo filter
+   * @param {Object} near - { origin, radiusKm } from parseNearQuery
+   * @param {Object} options - { path, sortByDistance }
+   * @returns {Object} { findQuery, countQuery } - findQuery is ordered nearest first when sortByDistance
+   */
+  applyRadius(query, near, options = {}) {
+    const { path = 'location.geo', sortByDistance = false } = options;
+    const countQuery = { ...query, ...this.buildWithinFilter(path, near.origin, near.radiusKm) };
+    const findQuery = sortByDistance
+      ? { ...query, ...this.buildNearFilter(path, near.origin, near.radiusKm) }
+      : countQuery;
+
+    return { findQuery, countQuery };
+  }
+
+  /**
+   * Great-circle distance between an origin and a GeoJSON point
+   * @param {Object} origin - { lat, lng }
+   * @param {Object} point - GeoJSON point
+   * @returns {number|null} Distance in kilometres rounded to 0.1, or null when the point is missing
+   */
+  distanceKm(origin, point) {
+    if (!origin || !point?.coordinates) return null;
+
+    const [lng, lat] = point.coordinates;
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(lat - origin.lat);
+    const dLng = toRad(lng - origin.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(origin.lat)) * Math.cos(toRad(lat)) * Math.sin(dLng / 2) ** 2;
+
+    return Math.round(EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)) * 10) / 10;
+  }
+}
+
+module.exports = new GeoService();
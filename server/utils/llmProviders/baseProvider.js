@@ -0,0 +1,203 @@
+const prompts = require('./prompts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Common interface for chatbot language providers
+ *
+ * Every provider answers three questions for the chatbot:
+ * - categorize(text, context): { response, category, priority, nextSteps }
+ * - extract(text, category, language, conversationContext): { extractedInfo, missingRequired, confidence, needsMoreInfo }
+ * - followUp(category, missingField, extractedInfo, language): question string
+ *
+ * Returning null means the provider cannot answer and the next provider should be tried.
+ * Model-backed providers only implement complete(prompt); the prompts and parsing live here.
+ * Each provider tracks its own quota so one running out does not disable the others.
+ */
+class BaseProvider {
+  constructor(name) {
+    this.name = name;
+    this.resetQuotaStatus();
+  }
+
+  /**
+   * Whether the provider has the configuration it needs
+   * @returns {boolean} True when usable
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Configured and not currently rate limited
+   * @returns {boolean} True when the provider should be tried
+   */
+  isAvailable() {
+    return this.isConfigured() && !this.isQuotaExceeded();
+  }
+
+  /**
+   * Send a prompt to the model and return its text output
+   * @param {string} prompt - Prompt text
+   * @returns {Promise<string>} Generated text
+   */
+  async complete(prompt) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  /**
+   * Answer a chat message and classify it as a service request
+   * @param {string} text - User message
+   * @param {Object} context - { language, userType }
+   * @returns {Promise<Object|null>} { response, category, priority, nextSteps }
+   */
+  async categorize(text, context = {}) {
+    const generatedText = await this.complete(prompts.buildCategorizePrompt(text, context));
+    console.log(`🤖 ${this.name} raw response:`, generatedText);
+
+    const parsed = prompts.parseJson(generatedText);
+    if (!parsed) {
+      return { response: generatedText, category: null, priority: null, nextSteps: [] };
+    }
+
+    return {
+      response: parsed.response || generatedText,
+      category: parsed.category || null,
+      priority: parsed.priority || null,
+      nextSteps: parsed.nextSteps || []
+    };
+  }
+
+  /**
+   * Pull structured request details out of a message
+   * @param {string} text - User message
+   * @param {string} category - blood_request, elder_support or complaint
+   * @param {string} language - Language code
+   * @param {Object} conversationContext - Details gathered earlier in the conversation
+   * @returns {Promise<Object|null>} Extraction result
+   */
+  async extract(text, category, language = 'en', conversationContext = {}) {
+    const generatedText = await this.complete(
+      prompts.buildExtractionPrompt(text, category, language, conversationContext)
+    );
+    console.log(`🤖 ${this.name} raw response for extraction:`, generatedText);
+
+    const parsed = prompts.parseJson(generatedText);
+    if (!parsed) return null;
+
+    return {
+      extractedInfo: parsed.extractedInfo || {},
+      missingRequired: parsed.missingRequired || [],
+      confidence: parsed.confidence || 0.8,
+      needsMoreInfo: parsed.needsMoreInfo || false
+    };
+  }
+
+  /**
+   * Ask the user for a missing required detail
+   * @param {string} category - Request category
+   * @param {string} missingField - Field to ask for
+   * @param {Object} extractedInfo - Details already known
+   * @param {string} language - Language code
+   * @returns {Promise<string|null>} Question text
+   */
+  async followUp(category, missingField, extractedInfo, language = 'en') {
+    const generatedText = await this.complete(
+      prompts.buildFollowUpPrompt(category, missingField, extractedInfo, language)
+    );
+    return generatedText ? generatedText.trim() : null;
+  }
+
+  /**
+   * Whether an error means the provider is rate limited or out of quota
+   * @param {Error} error - Error thrown by complete()
+   * @returns {boolean} True for quota errors
+   */
+  isQuotaError(error) {
+    const status = error.status || error.response?.status;
+    const message = error.message || '';
+    return status === 429 || message.includes('quota') || message.includes('Too Many Requests');
+  }
+
+  /**
+   * Retry delay suggested by the provider, e.g. "21s"
+   * @param {Error} error - Quota error
+   * @returns {string|null} Delay string
+   */
+  getRetryDelay(error) {
+    return null;
+  }
+
+  /**
+   * Check if quota is exceeded and if we should try again
+   * @returns {boolean} True while the provider should be skipped
+   */
+  isQuotaExceeded() {
+    if (!this.quotaExceeded) return false;
+
+    const resetAt = this.quotaResetTime || this.quotaExceededTime + DAY_MS;
+    if (Date.now() >= resetAt) {
+      this.resetQuotaStatus();
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Mark quota as exceeded so requests fail over to the next provider
+   * @param {string|null} retryDelay - Delay before retrying, e.g. "21s" (defaults to 24 hours)
+   */
+  markQuotaExceeded(retryDelay = null) {
+    if (this.quotaExceeded) return;
+
+    this.quotaExceeded = true;
+    this.quotaExceededTime = Date.now();
+    this.quotaResetTime = retryDelay ? Date.now() + this.parseRetryDelay(retryDelay) : null;
+    console.warn(`⚠️ ${this.name} quota exceeded, failing over to the next provider`);
+  }
+
+  /**
+   * Parse retry delay string to milliseconds
+   * @param {string} delayStr - e.g. "21s", "5m", "1h"
+   * @returns {number} Milliseconds
+   */
+  parseRetryDelay(delayStr) {
+    const match = String(delayStr).match(/(\d+)([smh])/);
+    if (!match) return DAY_MS;
+
+    const value = parseInt(match[1]);
+    switch (match[2]) {
+      case 's': return value * 1000;
+      case 'm': return value * 60 * 1000;
+      case 'h': return value * 60 * 60 * 1000;
+      default: return DAY_MS;
+    }
+  }
+
+  /**
+   * Reset quota status (useful when switching API keys)
+   */
+  resetQuotaStatus() {
+    this.quotaExceeded = false;
+    this.quotaExceededTime = null;
+    this.quotaResetTime = null;
+  }
+
+  /**
+   * Current availability and quota state for debugging
+   * @returns {Object} Provider status
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      configured: this.isConfigured(),
+      quotaExceeded: this.isQuotaExceeded(),
+      quotaExceededTime: this.quotaExceededTime,
+      quotaResetTime: this.quotaResetTime,
+      timeUntilReset: this.quotaResetTime ? Math.max(0, this.quotaResetTime - Date.now()) : null
+    };
+  }
+}
+
+module.exports = BaseProvider;
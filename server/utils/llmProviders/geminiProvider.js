@@ -0,0 +1,41 @@
+const { GoogleGenAI } = require('@google/genai');
+const BaseProvider = require('./baseProvider');
+
+class GeminiProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('gemini');
+    this.apiKey = options.apiKey;
+    this.modelName = options.model || 'gemini-2.0-flash';
+    this.client = null;
+
+    if (this.apiKey && this.apiKey !== 'your-actual-gemini-api-key-here') {
+      try {
+        this.client = new GoogleGenAI({ apiKey: this.apiKey });
+      } catch (error) {
+        console.error('❌ GeminiProvider: Initialization error:', error);
+      }
+    }
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  async complete(prompt) {
+    const result = await this.client.models.generateContent({
+      model: this.modelName,
+      contents: [{ role: 'user', parts: [{ text: prompt }] }]
+    });
+
+    return result.text ?? result.candidates?.[0]?.content?.parts?.[0]?.text ?? '';
+  }
+
+  getRetryDelay(error) {
+    const retryInfo = error.errorDetails?.find(
+      detail => detail['@type'] === 'type.googleapis.com/google.rpc.RetryInfo'
+    );
+    return retryInfo?.retryDelay || null;
+  }
+}
+
+module.exports = GeminiProvider;
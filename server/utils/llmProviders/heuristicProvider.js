@@ -0,0 +1,421 @@
+const BaseProvider = require('./baseProvider');
+
+/**
+ * The rule-based fallback: always available, never rate limited.
+ * It can categorize and answer messages but cannot extract details or write follow-up questions,
+ * so extract() and followUp() return null and the chatbot uses its own pattern matching.
+ */
+class HeuristicProvider extends BaseProvider {
+  constructor() {
+    super('heuristic');
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  isQuotaExceeded() {
+    return false;
+  }
+
+  async extract() {
+    return null;
+  }
+
+  async followUp() {
+    return null;
+  }
+
+  /**
+   * Keyword categorization, also used when a model doesn't provide a category - supports multiple languages
+   */
+  fallbackCategorize(text) {
+    const lowerText = text.toLowerCase().trim();
+
+    // Math questions - clearly general
+    if (/^\s*\d+\s*[\+\-\*\/]\s*\d+\s*$/.test(lowerText)) {
+      return 'general_inquiry';
+    }
+
+    // Greetings and casual conversation - clearly general (multi-language)
+    if (/^(hi|hello|hey|good morning|good afternoon|good evening|namaste|नमस्ते|హలో|వందనలు|hola|how are you|what's up|thank you|thanks|bye|goodbye|धन्यवाद|ధన్యవాదాలు)$/i.test(lowerText)) {
+      return 'general_inquiry';
+    }
+
+    // General knowledge questions - clearly general (multi-language)
+    if (/what is|who is|when is|where is|how to|tell me about|explain|define|capital of|time is it|क्या है|कौन है|कब है|कहाँ है|कैसे|बताओ|समझाओ|ఏమిటి|ఎవరు|ఎప్పుడు|ఎక్కడ|ఎలా|చెప్పండి|వివరించండి/i.test(lowerText)) {
+      return 'general_inquiry';
+    }
+
+    // Blood request patterns (multi-language)
+    if (/blood|donate|donation|transfusion|plasma|platelets|रक्त|खून|रक्तदान|రక్తం|రక్తదానం|donor|o\+|o-|a\+|a-|b\+|b-|ab\+|ab-|surgery|operation|hospital|patient|सर्जरी|अस्पताल|मरीज|శస్త్రచికిత్స|ఆసుపత్రి|రోగి/.test(lowerText)) {
+      return 'blood_request';
+    }
+
+    // Emergency patterns (check before other categories) (multi-language)
+    if (/emergency|urgent|critical|immediate|asap|help.*urgent|आपातकाल|तुरंत|तत्काल|అత్యవసరం|తక్షణం|911|108|ambulance|एम्बुलेंस|అంబులెన్స్/.test(lowerText)) {
+      return 'emergency';
+    }
+
+    // Elder support patterns (multi-language)
+    if (/elderly|old|senior|medicine|grocery|care|caregiver|nursing|assistance|बुजुर्ग|बूढ़े|दवा|किराना|देखभाल|వృద్ధులు|పెద్దలు|మందు|కిరాణా|సంరక్షణ|grandfather|grandmother|parent|mom|dad|mother|father|दादा|दादी|माता|पिता|తాత|అజ్జి|తల్లి|తండ్రి/.test(lowerText)) {
+      return 'elder_support';
+    }
+
+    // Complaint patterns (multi-language)
+    if (/complaint|problem|issue|broken|not working|damaged|fault|repair|fix|शिकायत|समस्या|खराब|टूटा|मरम्मत|ఫిర్యాదు|సమస్య|పాడైన|పని చేయడం లేదు|మరమ్మత్తు|street|light|road|water|electricity|garbage|sewage|drainage|pothole|pot\s*hole|noise|pollution|सड़क|बत्ती|पानी|बिजली|कचरा|రోడ్డు|లైట్|నీరు|కరెంట్|చెత్త/.test(lowerText)) {
+      return 'complaint';
+    }
+
+    return 'general_inquiry';
+  }
+
+  /**
+   * Fallback priority detection
+   */
+  fallbackPriority(text) {
+    const lowerText = text.toLowerCase();
+
+    if (/emergency|urgent|critical|आपातकाल|तुरंत|అత్యవసరం/.test(lowerText)) return 'urgent';
+    if (/important|asap|soon|जल्दी|త్వరగా/.test(lowerText)) return 'high';
+    if (/whenever|no rush|जब समय हो|సమయం ఉన్నప్పుడు/.test(lowerText)) return 'low';
+
+    return 'medium';
+  }
+
+  /**
+   * Keyword rules that answer without a model - generate dynamic responses based on input
+   */
+  async categorize(text, context = {}) {
+    const { language = 'en' } = context;
+    const category = this.fallbackCategorize(text);
+    const priority = this.fallbackPriority(text);
+
+    // Generate dynamic responses based on the actual input content
+    return this.generateDynamicResponse(text, category, priority, language);
+  }
+
+  /**
+   * Generate dynamic responses that reference the actual user input
+   */
+  generateDynamicResponse(text, category, priority, language = 'en') {
+    const lowerText = text.toLowerCase().trim();
+
+    // Handle general questions and conversations first
+    if (category === 'general_inquiry') {
+      return this.handleGeneralQuestion(text, lowerText, language);
+    }
+
+    // Extract specific details from the text for service requests
+    let bloodType = null;
+    let urgencyWords = [];
+
+    // Extract blood type if mentioned - support multiple languages
+    bloodType = this.extractBloodTypeFromText(text);
+
+    // Extract urgency indicators - support multiple languages
+    if (/urgent|emergency|asap|immediately|critical|serious|तुरंत|आपातकाल|जल्दी|అత్యవసరం|త్వరగా|తక్షణం/i.test(text)) {
+      urgencyWords.push('urgent');
+    }
+
+    // Generate category-specific responses for service requests in appropriate language
+    return this.generateServiceResponse(category, text, bloodType, urgencyWords, priority, language);
+  }
+
+  /**
+   * Generate service-specific responses in the user's language
+   */
+  generateServiceResponse(category, text, bloodType, urgencyWords, priority, language) {
+    const responses = {
+      'blood_request': {
+        'en': {
+          base: 'Thank you for your blood donation request. ',
+          bloodType: (bt) => `I understand you need ${bt} blood. `,
+          urgent: 'I can see this is urgent. ',
+          end: `Your request has been categorized and blood request and will be shared with our volunteer donors immediately.`
+        },
+        'hi': {
+          base: 'आपके रक्तदान अनुरोध के लिए धन्यवाद। ',
+          bloodType: (bt) => `मैं समझता हूं कि आपको ${bt} रक्त की आवश्यकता है। `,
+          urgent: 'मैं देख सकता हूं कि यह तत्काल है। ',
+          end: `आपका अनुरोध ${priority} प्राथमिकता रक्त अनुरोध के रूप में वर्गीकृत किया गया है और तुरंत हमारे स्वयंसेवी दाताओं के साथ साझा किया जाएगा।`
+        },
+        'te': {
+          base: 'మీ రక్తదాన అభ్యర్థనకు ధన్యవాదాలు। ',
+          bloodType: (bt) => `మీకు ${bt} రక్తం అవసరమని నేను అర్థం చేసుకున్నాను। `,
+          urgent: 'ఇది అత్యవసరమని నేను చూడగలను। ',
+          end: `మీ అభ్యర్థన ${priority} ప్రాధాన్యత రక్త అభ్యర్థనగా వర్గీకరించబడింది మరియు వెంటనే మా స్వచ్ఛంద దాతలతో పంచుకోబడుతుంది।`
+        }
+      },
+      'elder_support': {
+        'en': {
+          base: 'Thank you for reaching out about elder care support. ',
+          medicine: 'I understand you need help with medication management. ',
+          grocery: 'I see you need assistance with grocery shopping. ',
+          care: 'I understand you need general care assistance. ',
+          end: `Your elder support request has been marked as ${priority} priority and our volunteers will be notified.`
+        },
+        'hi': {
+          base: 'बुजुर्ग देखभाल सहायता के लिए संपर्क करने के लिए धन्यवाद। ',
+          medicine: 'मैं समझता हूं कि आपको दवा प्रबंधन में सहायता चाहिए। ',
+          grocery: 'मैं देखता हूं कि आपको किराने की खरीदारी में सहायता चाहिए। ',
+          care: 'मैं समझता हूं कि आपको सामान्य देखभाल सहायता चाहिए। ',
+          end: `आपका बुजुर्ग सहायता अनुरोध ${priority} प्राथमिकता के रूप में चिह्नित किया गया है और हमारे स्वयंसेवकों को सूचित किया जाएगा।`
+        },
+        'te': {
+          base: 'వృద్ధుల సంరక్షణ సహాయం కోసం సంప్రదించినందుకు ధన్యవాదాలు। ',
+          medicine: 'మీకు మందుల నిర్వహణలో సహాయం అవసరమని నేను అర్థం చేసుకున్నాను। ',
+          grocery: 'మీకు కిరాణా షాపింగ్‌లో సహాయం అవసరమని నేను చూస్తున్నాను। ',
+          care: 'మీకు సాధారణ సంరక్షణ సహాయం అవసరమని నేను అర్థం చేసుకున్నాను। ',
+          end: `మీ వృద్ధుల సహాయ అభ్యర్థన ${priority} ప్రాధాన్యతగా గుర్తించబడింది మరియు మా స్వచ్ఛంద సేవకులకు తెలియజేయబడుతుంది।`
+        }
+      },
+      'complaint': {
+        'en': {
+          base: 'Thank you for bringing this issue to our attention. ',
+          service: 'I understand you have concerns about service quality. ',
+          delay: 'I see you\'re experiencing delays. ',
+          problem: 'I understand you\'re facing some difficulties. ',
+          end: `Your complaint has been registered with ${priority} priority and will be forwarded to the appropriate authorities for resolution.`
+        },
+        'hi': {
+          base: 'इस मुद्दे को हमारे ध्यान में लाने के लिए धन्यवाद। ',
+          service: 'मैं समझता हूं कि आपको सेवा की गुणवत्ता के बारे में चिंता है। ',
+          delay: 'मैं देखता हूं कि आप देरी का सामना कर रहे हैं। ',
+          problem: 'मैं समझता हूं कि आप कुछ कठिनाइयों का सामना कर रहे हैं। ',
+          end: `आपकी शिकायत ${priority} प्राथमिकता के साथ दर्ज की गई है और समाधान के लिए उपयुक्त अधिकारियों को भेजी जाएगी।`
+        },
+        'te': {
+          base: 'ఈ సమస్యను మా దృష్టికి తీసుకువచ్చినందుకు ధన్యవాదాలు। ',
+          service: 'మీకు సేవా నాణ్యత గురించి ఆందోళనలు ఉన్నాయని నేను అర్థం చేసుకున్నాను। ',
+          delay: 'మీరు ఆలస్యాలను ఎదుర్కొంటున్నారని నేను చూస్తున్నాను। ',
+          problem: 'మీరు కొన్ని ఇబ్బందులను ఎదుర్కొంటున్నారని నేను అర్థం చేసుకున్నాను। ',
+          end: `మీ ఫిర్యాదు ${priority} ప్రాధాన్యతతో నమోదు చేయబడింది మరియు పరిష్కారం కోసం తగిన అధికారులకు పంపబడుతుంది।`
+        }
+      }
+    };
+
+    const langResponses = responses[category]?.[language] || responses[category]?.['en'];
+    if (!langResponses) {
+      return this.handleGeneralQuestion(text, text.toLowerCase(), language);
+    }
+
+    let response = langResponses.base;
+
+    // Add specific details based on category
+    if (category === 'blood_request') {
+      if (bloodType) {
+        response += langResponses.bloodType(bloodType);
+      }
+      if (urgencyWords.length > 0) {
+        response += langResponses.urgent;
+      }
+      response += langResponses.end;
+    } else if (category === 'elder_support') {
+      if (/medicine|medication|pills|tablets|दवा|మందు/i.test(text)) {
+        response += langResponses.medicine;
+      } else if (/grocery|shopping|food|किराना|కిరాణా/i.test(text)) {
+        response += langResponses.grocery;
+      } else if (/care|assistance|help|देखभाल|సంరక్షణ/i.test(text)) {
+        response += langResponses.care;
+      }
+      response += langResponses.end;
+    } else if (category === 'complaint') {
+      if (/service|staff|employee|सेवा|సేవ/i.test(text)) {
+        response += langResponses.service;
+      } else if (/delay|late|slow|देरी|ఆలస్యం/i.test(text)) {
+        response += langResponses.delay;
+      } else if (/problem|issue|trouble|समस्या|సమస్య/i.test(text)) {
+        response += langResponses.problem;
+      }
+      response += langResponses.end;
+    } else if (category === 'emergency') {
+      return this.generateEmergencyResponse(language);
+    }
+
+    return {
+      response: response,
+      category: category,
+      priority: priority
+    };
+  }
+
+  /**
+   * Handle emergency requests in multiple languages
+   */
+  generateEmergencyResponse(language) {
+    const emergencyResponses = {
+      'en': '🚨 EMERGENCY REQUEST RECEIVED 🚨\n\nI understand this is an urgent situation requiring immediate attention. Your emergency request has been marked as URGENT priority and emergency volunteers are being notified RIGHT NOW. You should receive contact within 30 minutes.\n\nFor life-threatening emergencies, please also call 108 (ambulance) or 112 (emergency services).',
+      'hi': '🚨 आपातकालीन अनुरोध प्राप्त 🚨\n\nमैं समझता हूं कि यह एक तत्काल स्थिति है जिसमें तत्काल ध्यान देने की आवश्यकता है। आपका आपातकालीन अनुरोध तत्काल प्राथमिकता के रूप में चिह्नित किया गया है और आपातकालीन स्वयंसेवकों को अभी सूचित किया जा रहा है। आपको 30 मिनट के भीतर संपर्क मिलना चाहिए।\n\nजीवन-घातक आपातकाल के लिए, कृपया 108 (एम्बुलेंस) या 112 (आपातकालीन सेवाएं) भी कॉल करें।',
+      'te': '🚨 అత్యవసర అభ్యర్థన స్వీకరించబడింది 🚨\n\nఇది తక్షణ దృష్టి అవసరమైన అత్యవసర పరిస్థితి అని నేను అర్థం చేసుకున్నాను। మీ అత్యవసర అభ్యర్థన అత్యవసర ప్రాధాన్యతగా గుర్తించబడింది మరియు అత్యవసర స్వచ్ఛంద సేవకులకు ఇప్పుడే తెలియజేయబడుతోంది. మీరు 30 నిమిషాలలో సంప్రదింపులను అందుకోవాలి.\n\nప్రాణాంతక అత్యవసర పరిస్థితుల కోసం, దయచేసి 108 (అంబులెన్స్) లేదా 112 (అత్యవసర సేవలు) కూడా కాల్ చేయండి.'
+    };
+
+    return {
+      response: emergencyResponses[language] || emergencyResponses['en'],
+      category: 'emergency',
+      priority: 'urgent'
+    };
+  }
+
+  /**
+   * Extract blood type from text - supports multiple languages
+   */
+  extractBloodTypeFromText(text) {
+    console.log('🩸 Extracting blood type from text:', text);
+
+    // English patterns - removed \b boundaries since + and - are not word characters
+    const englishPattern = /(O\+|O-|A\+|A-|B\+|B-|AB\+|AB-|O\s*positive|O\s*negative|A\s*positive|A\s*negative|B\s*positive|B\s*negative|AB\s*positive|AB\s*negative)/i;
+    const englishMatch = text.match(englishPattern);
+
+    if (englishMatch) {
+      let bloodType = englishMatch[1].toUpperCase();
+      bloodType = bloodType.replace(/\s+/g, '').replace('POSITIVE', '+').replace('NEGATIVE', '-');
+      console.log('🩸 Found English blood type:', bloodType);
+      return bloodType;
+    }
+
+    // Hindi patterns like "ए पॉजिटिव खून" or "ओ नेगेटिव रक्त"
+    const hindiPattern = /\b(ए|बी|एबी|ओ)\s*(पॉजिटिव|नेगेटिव|\+|\-)/i;
+    const hindiMatch = text.match(hindiPattern);
+
+    if (hindiMatch) {
+      const bloodGroupMap = { 'ए': 'A', 'बी': 'B', 'एबी': 'AB', 'ओ': 'O' };
+      const bloodGroup = bloodGroupMap[hindiMatch[1]] || hindiMatch[1];
+      const rh = (hindiMatch[2] === 'पॉजिटिव' || hindiMatch[2] === '+') ? '+' : '-';
+      return bloodGroup + rh;
+    }
+
+    // Telugu patterns like "ఎ పాజిటివ్ రక్తం" or "ఓ నెగటివ్ రక్తం"
+    const teluguPattern = /\b(ఎ|బి|ఎబి|ఓ)\s*(పాజిటివ్|నెగటివ్|\+|\-)/i;
+    const teluguMatch = text.match(teluguPattern);
+
+    if (teluguMatch) {
+      const bloodGroupMap = { 'ఎ': 'A', 'బి': 'B', 'ఎబి': 'AB', 'ఓ': 'O' };
+      const bloodGroup = bloodGroupMap[teluguMatch[1]] || teluguMatch[1];
+      const rh = (teluguMatch[2] === 'పాజిటివ్' || teluguMatch[2] === '+') ? '+' : '-';
+      return bloodGroup + rh;
+    }
+
+    // Alternative patterns with need/want keywords
+    const alternativePattern = /\b(need|want|require|looking for|चाहिए|आवश्यक|కావాలి|అవసరం)\s+(A|B|AB|O|ए|बी|एबी|ओ|ఎ|బి|ఎబి|ఓ)\s*(positive|negative|\+|\-|पॉजिटिव|नेगेटिव|పాజిటివ్|నెగటివ్)/i;
+    const altMatch = text.match(alternativePattern);
+
+    if (altMatch) {
+      const bloodGroupMap = { 'ए': 'A', 'बी': 'B', 'एबी': 'AB', 'ओ': 'O', 'ఎ': 'A', 'బి': 'B', 'ఎబి': 'AB', 'ఓ': 'O' };
+      const bloodGroup = bloodGroupMap[altMatch[2]] || altMatch[2].toUpperCase();
+      const rhFactor = altMatch[3].toLowerCase();
+      const rh = (rhFactor === 'positive' || rhFactor === '+' || rhFactor === 'पॉजिटिव' || rhFactor === 'పాజిటివ్') ? '+' : '-';
+      return bloodGroup + rh;
+    }
+
+    // Try more flexible patterns without word boundaries for mixed scripts
+    const flexiblePattern = /(ఓ\s*పాజిటివ్|ఓ\s*నెగటివ్|ఎ\s*పాజిటివ్|ఎ\s*నెగటివ్|బి\s*పాజిటివ్|బি\s*నెగటివ్|ఎబి\s*పాజిటివ్|ఎబి\s*నెగటివ్|ओ\s*पॉजिटिव|ओ\s*नेगेटिव|ए\s*पॉजिटिव|ए\s*नेगेटिव|बी\s*पॉजिटिव|बी\s*नेगेटिव|एबी\s*पॉजिटिव|एबी\s*नेगेटिव)/i;
+    const flexMatch = text.match(flexiblePattern);
+
+    if (flexMatch) {
+      const match = flexMatch[1];
+      let bloodGroup, rh;
+
+      // Telugu mappings
+      if (match.includes('ఓ')) bloodGroup = 'O';
+      else if (match.includes('ఎబి')) bloodGroup = 'AB';
+      else if (match.includes('ఎ')) bloodGroup = 'A';
+      else if (match.includes('బి')) bloodGroup = 'B';
+      // Hindi mappings
+      else if (match.includes('ओ')) bloodGroup = 'O';
+      else if (match.includes('एबी')) bloodGroup = 'AB';
+      else if (match.includes('ए')) bloodGroup = 'A';
+      else if (match.includes('बी')) bloodGroup = 'B';
+
+      rh = (match.includes('పాజిటివ్') || match.includes('पॉजिटिव')) ? '+' : '-';
+
+      return bloodGroup + rh;
+    }
+
+    return null;
+  }
+
+  /**
+   * Handle general questions when Gemini is not available - try to be helpful in user's language
+   */
+  handleGeneralQuestion(text, lowerText, language = 'en') {
+    // Math questions (universal)
+    if (/^\s*\d+\s*[\+\-\*\/]\s*\d+\s*$/.test(lowerText)) {
+      try {
+        const result = Function('"use strict"; return (' + lowerText.replace(/[^0-9+\-*/().]/g, '') + ')')();
+        return {
+          response: `${text} = ${result}`,
+          category: 'general_inquiry',
+          priority: 'low'
+        };
+      } catch (e) {
+        const mathError = {
+          'en': 'I can help with simple math! Could you rephrase your calculation?',
+          'hi': 'मैं सरल गणित में मदद कर सकता हूं! क्या आप अपनी गणना को दोबारा बता सकते हैं?',
+          'te': 'నేను సాధారణ గణితంలో సహాయం చేయగలను! మీ లెక్కను మళ్లీ చెప్పగలరా?'
+        };
+        return {
+          response: mathError[language] || mathError['en'],
+          category: 'general_inquiry',
+          priority: 'low'
+        };
+      }
+    }
+
+    // Health-related questions
+    if (/fever|temperature|cold|cough|headache|pain|sick|illness|disease|symptoms|बुखार|सर्दी|खांसी|बीमारी|జ్వరం|జలుబు|దగ్గు|అనారోగ్యం/i.test(lowerText)) {
+      if (/fever|बुखार|జ్వరం/i.test(lowerText)) {
+        const feverInfo = {
+          'en': 'Fever is your body\'s natural response to infection or illness. Normal body temperature is around 98.6°F (37°C). A fever is generally considered 100.4°F (38°C) or higher. Common causes include infections, flu, colds, or other illnesses. Stay hydrated, rest, and consider seeing a doctor if fever persists over 3 days or is very high.',
+          'hi': 'बुखार संक्रमण या बीमारी के लिए आपके शरीर की प्राकृतिक प्रतिक्रिया है। सामान्य शरीर का तापमान लगभग 98.6°F (37°C) होता है। बुखार आमतौर पर 100.4°F (38°C) या उससे अधिक माना जाता है। सामान्य कारणों में संक्रमण, फ्लू, सर्दी या अन्य बीमारियां शामिल हैं। हाइड्रेटेड रहें, आराम करें, और यदि बुखार 3 दिनों से अधिक बना रहे या बहुत तेज हो तो डॉक्टर से मिलने पर विचार करें।',
+          'te': 'జ్వరం అంటే ఇన్ఫెక్షన్ లేదా అనారోగ్యానికి మీ శరీరం యొక్క సహజ ప్రతిస్పందన. సాధారణ శరీర ఉష్ణోగ్రత దాదాపు 98.6°F (37°C) ఉంటుంది. జ్వరం సాధారణంగా 100.4°F (38°C) లేదా అంతకంటే ఎక్కువగా పరిగణించబడుతుంది. సాధారణ కారణాలలో ఇన్ఫెక్షన్లు, ఫ్లూ, జలుబు లేదా ఇతర అనారోగ్యాలు ఉన్నాయి. హైడ్రేటెడ్‌గా ఉండండి, విశ్రాంతి తీసుకోండి, మరియు జ్వరం 3 రోజులకు మించి కొనసాగితే లేదా చాలా ఎక్కువగా ఉంటే వైద్యుడిని చూడడాన్ని పరిగణించండి.'
+        };
+        return {
+          response: feverInfo[language] || feverInfo['en'],
+          category: 'general_inquiry',
+          priority: 'low'
+        };
+      }
+
+      const healthAdvice = {
+        'en': 'I understand you\'re asking about health symptoms. While I can provide general information, it\'s always best to consult with a healthcare professional for medical advice.',
+        'hi': 'मैं समझता हूं कि आप स्वास्थ्य लक्षणों के बारे में पूछ रहे हैं। जबकि मैं सामान्य जानकारी प्रदान कर सकता हूं, चिकित्सा सलाह के लिए हमेशा एक स्वास्थ्य पेशेवर से सलाह लेना सबसे अच्छा होता है।',
+        'te': 'మీరు ఆరోగ్య లక్షణాల గురించి అడుగుతున్నారని నేను అర్థం చేసుకున్నాను. నేను సాధారణ సమాచారం అందించగలిగినప్పటికీ, వైద్య సలహా కోసం ఆరోగ్య నిపుణుడిని సంప్రదించడం ఎల్లప్పుడూ ఉత్తమం.'
+      };
+      return {
+        response: healthAdvice[language] || healthAdvice['en'],
+        category: 'general_inquiry',
+        priority: 'low'
+      };
+    }
+
+    // Basic greetings
+    if (/^(hi|hello|hey|good morning|good afternoon|good evening|namaste|नमस्ते|హలో|వందనలు)$/i.test(lowerText)) {
+      const greetings = {
+        'en': 'Hello! I\'m your SevaLink AI assistant. I can answer questions, help with information, or assist with community services. What would you like to know?',
+        'hi': 'नमस्ते! मैं आपका SevaLink AI सहायक हूं। मैं प्रश्नों के उत्तर दे सकता हूं, जानकारी में मदद कर सकता हूं, या सामुदायिक सेवाओं में सहायता कर सकता हूं। आप क्या जानना चाहेंगे?',
+        'te': 'హలో! నేను మీ SevaLink AI సహాయకుడిని. నేను ప్రశ్నలకు సమాధానాలు ఇవ్వగలను, సమాచారంతో సహాయం చేయగలను, లేదా కమ్యూనిటీ సేవలతో సహాయం చేయగలను. మీరు ఏమి తెలుసుకోవాలనుకుంటున్నారు?'
+      };
+      return {
+        response: greetings[language] || greetings['en'],
+        category: 'general_inquiry',
+        priority: 'low'
+      };
+    }
+
+    // For everything else, try to be helpful but acknowledge limitations
+    const generalHelp = {
+      'en': `I'd be happy to help with your question about "${text}". While I have some general knowledge, I work best with community service requests like blood donations, elder support, and complaints. Is there anything specific I can help you with?`,
+      'hi': `मैं "${text}" के बारे में आपके प्रश्न में मदद करने में खुश हूं। जबकि मेरे पास कुछ सामान्य ज्ञान है, मैं रक्तदान, बुजुर्ग सहायता और शिकायतों जैसे सामुदायिक सेवा अनुरोधों के साथ सबसे अच्छा काम करता हूं। क्या कोई विशिष्ट चीज है जिसमें मैं आपकी मदद कर सकता हूं?`,
+      'te': `"${text}" గురించి మీ ప్రశ్నతో సహాయం చేయడంలో నేను సంతోషిస్తాను. నాకు కొంత సాధారణ జ్ఞానం ఉన్నప్పటికీ, రక్తదానం, వృద్ధుల సహాయం మరియు ఫిర్యాదుల వంటి కమ్యూనిటీ సేవా అభ్యర్థనలతో నేను ఉత్తమంగా పని చేస్తాను. నేను మీకు సహాయం చేయగల ఏదైనా నిర్దిష్టమైనది ఉందా?`
+    };
+
+    return {
+      response: generalHelp[language] || generalHelp['en'],
+      category: 'general_inquiry',
+      priority: 'low'
+    };
+  }
+}
+
+module.exports = HeuristicProvider;
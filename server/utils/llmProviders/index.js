@@ -0,0 +1,49 @@
+const GeminiProvider = require('./geminiProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const HeuristicProvider = require('./heuristicProvider');
+
+const PROVIDER_FACTORIES = {
+  gemini: () => new GeminiProvider({
+    apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.GEMINI_MODEL
+  }),
+  openai: () => new OpenAICompatibleProvider({
+    baseURL: process.env.OPENAI_COMPAT_BASE_URL,
+    apiKey: process.env.OPENAI_COMPAT_API_KEY,
+    model: process.env.OPENAI_COMPAT_MODEL,
+    timeout: parseInt(process.env.OPENAI_COMPAT_TIMEOUT_MS) || 30000
+  }),
+  heuristic: () => new HeuristicProvider()
+};
+
+/**
+ * Build the provider chain from LLM_PROVIDERS (comma-separated, tried in order)
+ * The heuristic provider is always last so the chatbot can answer with every model down.
+ * USE_GEMINI_API=false still removes Gemini for existing deployments.
+ * @returns {Array} Provider instances in failover order
+ */
+const createProviders = () => {
+  let names = (process.env.LLM_PROVIDERS || 'gemini,heuristic')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (process.env.USE_GEMINI_API === 'false') {
+    names = names.filter(name => name !== 'gemini');
+  }
+
+  const unknown = names.filter(name => !PROVIDER_FACTORIES[name]);
+  if (unknown.length > 0) {
+    console.warn(`⚠️ Unknown LLM providers ignored: ${unknown.join(', ')}`);
+  }
+
+  names = [...new Set(names.filter(name => PROVIDER_FACTORIES[name] && name !== 'heuristic')), 'heuristic'];
+  return names.map(name => PROVIDER_FACTORIES[name]());
+};
+
+module.exports = {
+  createProviders,
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  HeuristicProvider
+};
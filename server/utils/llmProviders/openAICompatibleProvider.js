@@ -0,0 +1,45 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Any server exposing the OpenAI chat completions API:
+ * OpenAI itself, or a local Ollama (http://localhost:11434/v1) or llama.cpp server (http://localhost:8080/v1)
+ */
+class OpenAICompatibleProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('openai');
+    this.baseURL = (options.baseURL || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+    this.modelName = options.model;
+    this.timeout = options.timeout || 30000;
+  }
+
+  isConfigured() {
+    return !!(this.baseURL && this.modelName);
+  }
+
+  async complete(prompt) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(`${this.baseURL}/chat/completions`, {
+      model: this.modelName,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0.3
+    }, {
+      headers,
+      timeout: this.timeout
+    });
+
+    return response.data?.choices?.[0]?.message?.content || '';
+  }
+
+  getRetryDelay(error) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+    return retryAfter && /^\d+$/.test(retryAfter) ? `${retryAfter}s` : null;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
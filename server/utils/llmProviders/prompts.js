@@ -0,0 +1,251 @@
+// Prompts shared by every model-backed chatbot provider
+
+const buildCategorizePrompt = (text, context = {}) => {
+  const { language = 'en' } = context;
+
+  const languageInstructions = {
+    'en': 'Respond in English',
+    'hi': 'Respond in Hindi (हिंदी)',
+    'te': 'Respond in Telugu (తెలుగు)'
+  };
+
+  return `
+You are SevaLink AI Assistant, a helpful and knowledgeable AI assistant. Answer any question the user asks naturally and conversationally.
+
+User Input: "${text}"
+User Language: ${language}
+Response Language: ${languageInstructions[language] || 'English'}
+
+IMPORTANT: Always respond in the user's language (${language}). If user speaks in Hindi, respond in Hindi. If Telugu, respond in Telugu. If English, respond in English.
+
+Instructions:
+1. Answer the user's question directly and helpfully IN THEIR LANGUAGE
+2. Be natural, conversational, and informative
+3. For any topic - health, science, math, general knowledge, advice, etc. - provide a good answer
+4. If it's a service request (blood, elder care, complaints), also categorize it appropriately
+5. Always be helpful and friendly
+6. RESPOND IN THE SAME LANGUAGE AS THE USER INPUT
+
+Categories (only for service requests):
+- blood_request: Blood donation needs, transfusion requests (रक्त अनुरोध / రక్త అభ్యర్థన)
+- elder_support: Help for elderly citizens, medicine, groceries, care (बुजुर्ग सहायता / వృద్ధుల సహాయం)
+- complaint: Infrastructure issues, broken services, civic problems (शिकायत / ఫిర్యాదు)
+- emergency: Urgent situations requiring immediate help (आपातकाल / అత్యవసరం)
+- general_inquiry: Everything else (सामान्य पूछताछ / సాధారణ విచారణ)
+
+Priority levels:
+- urgent: Emergency situations (तत्काल / అత్యవసరం)
+- high: Important requests (उच्च / అధిక)
+- medium: Standard requests (मध्यम / మధ్యమ)
+- low: General questions and conversations (कम / తక్కువ)
+
+Format as JSON:
+{
+"response": "Your natural, helpful answer in the user's language",
+"category": "appropriate_category",
+"priority": "appropriate_priority",
+"nextSteps": []
+}
+
+Language Examples:
+- English: "I need O+ blood" → "I understand you need O+ blood. Your blood request has been registered..."
+- Hindi: "मुझे O+ खून चाहिए" → "मैं समझता हूं कि आपको O+ खून की जरूरत है। आपका रक्त अनुरोध दर्ज कर दिया गया है..."
+- Telugu: "నాకు O+ రక్తం కావాలి" → "మీకు O+ రక్తం అవసరమని నేను అర్థం చేసుకున్నాను। మీ రక్త అభ్యర్థన నమోదు చేయబడింది..."
+`;
+};
+
+const buildExtractionPrompt = (text, category, language = 'en', conversationContext = {}) => {
+  return `
+You are an intelligent information extraction system for SevaLink, a community service platform.
+
+User's message: "${text}"
+Request category: ${category}
+Language: ${language}
+Previous context: ${JSON.stringify(conversationContext)}
+
+Your task is to extract structured information from the user's message based on the category.
+
+For BLOOD_REQUEST, extract:
+- bloodType: The blood group (A+, A-, B+, B-, O+, O-, AB+, AB-) - **REQUIRED**
+- unitsNeeded: Number of blood units needed (optional, can be added later)
+- hospitalName: Name of hospital or medical center (optional, can be added later)
+- patientName: Name of the patient (optional)
+- relationship: Relationship to patient (Self, Mother, Father, Brother, Sister, Friend, etc.) (optional)
+- urgencyLevel: ALWAYS extract this field! Look for keywords:
+* "urgent", "emergency", "asap", "immediately", "critical" → set to "urgent"
+* "medium", "normal", "regular", "moderate" → set to "medium"  
+* "low", "not urgent", "can wait", "flexible" → set to "low"
+* "soon", "needed", "required" → set to "high"
+* If NO urgency keywords found → set to "high" (default)
+- requiredDate: When blood is needed (optional)
+- medicalCondition: Reason for blood need (optional)
+- location: City or area where blood is needed (optional)
+
+For ELDER_SUPPORT, extract:
+- serviceType: Type of service (Medical Care, Food & Nutrition, Personal Hygiene, Companionship, Other) - **REQUIRED**
+- elderName: Name of elderly person (optional)
+- age: Age of elderly person (optional)
+- supportType: Array of support types needed (optional)
+- frequency: daily, weekly, monthly, or one-time (optional)
+- timeSlot: preferred time (optional)
+- specialRequirements: Any special needs (optional)
+- location: Where the service is needed (optional)
+
+For COMPLAINT, extract:
+- complaintCategory: Road Maintenance, Water Supply, Waste Management, Electricity, Public Safety, Healthcare, Education, Transportation, Other - **REQUIRED**
+- complaintLocation: Where the issue is located (optional but recommended)
+- severity: high, medium, or low (optional)
+- description: Description of the problem (optional)
+
+IMPORTANT RULES:
+1. Only extract information that is EXPLICITLY mentioned in the user's message
+2. Do NOT make assumptions or fill in missing information
+3. If a **REQUIRED** field is not mentioned, mark it as null
+4. Be smart about understanding context - "I need blood" means blood_request category
+5. Understand natural language - "my mom needs O+ blood" should extract relationship: "Mother", bloodType: "O+"
+6. Support multiple languages - extract from Hindi/Telugu text too
+7. Be flexible with hospital names - "king" could mean "King Hospital", "hospital names king" means the hospital is called "king"
+8. Extract numbers intelligently - "10 units" means unitsNeeded: 10
+
+Respond in JSON format:
+{
+"extractedInfo": {
+  // Only include fields that were found in the message
+},
+"missingRequired": ["field1", "field2"], // List ONLY of **REQUIRED** fields that are missing
+"confidence": 0.95, // How confident you are in the extraction (0-1)
+"needsMoreInfo": true/false // true ONLY if **REQUIRED** fields are missing
+}
+
+Example 1:
+User: "I need blood"
+Response: {
+"extractedInfo": {},
+"missingRequired": ["bloodType"],
+"confidence": 0.9,
+"needsMoreInfo": true
+}
+
+Example 2:
+User: "I need O+ blood"
+Response: {
+"extractedInfo": {
+  "bloodType": "O+"
+},
+"missingRequired": [],
+"confidence": 0.95,
+"needsMoreInfo": false
+}
+
+Example 3:
+User: "I need A+ blood of 10 units for hospital names king"
+Response: {
+"extractedInfo": {
+  "bloodType": "A+",
+  "unitsNeeded": 10,
+  "hospitalName": "King Hospital",
+  "urgencyLevel": "high"
+},
+"missingRequired": [],
+"confidence": 0.9,
+"needsMoreInfo": false
+}
+
+Example 4:
+User: "I urgently need O+ blood for emergency surgery"
+Response: {
+"extractedInfo": {
+  "bloodType": "O+",
+  "urgencyLevel": "urgent",
+  "medicalCondition": "emergency surgery"
+},
+"missingRequired": [],
+"confidence": 0.95,
+"needsMoreInfo": false
+}
+
+Example 5:
+User: "I need A- blood with medium urgency"
+Response: {
+"extractedInfo": {
+  "bloodType": "A-",
+  "urgencyLevel": "medium"
+},
+"missingRequired": [],
+"confidence": 0.9,
+"needsMoreInfo": false
+}
+
+Example 6:
+User: "I need O+ blood with low urgency"
+Response: {
+"extractedInfo": {
+  "bloodType": "O+",
+  "urgencyLevel": "low"
+},
+"missingRequired": [],
+"confidence": 0.9,
+"needsMoreInfo": false
+}
+
+IMPORTANT: You MUST include urgencyLevel in extractedInfo for blood requests, even if not mentioned (use "high" as default).
+
+Now extract from the user's message above:`;
+};
+
+const buildFollowUpPrompt = (category, missingField, extractedInfo, language = 'en') => {
+  return `
+You are a helpful AI assistant for SevaLink community services.
+
+The user is trying to create a ${category.replace('_', ' ')} request.
+
+Information already provided:
+${Object.keys(extractedInfo).length > 0 ? JSON.stringify(extractedInfo, null, 2) : 'Nothing yet'}
+
+Missing required information: ${missingField}
+
+Language: ${language}
+
+Generate a natural, friendly, conversational question to ask for the missing ${missingField}.
+
+RULES:
+1. Be warm and helpful, not robotic
+2. Don't repeat information they already gave
+3. Keep it short (1-2 sentences max)
+4. Respond in the user's language (${language})
+5. Make it feel like a natural conversation
+6. Be specific about what you need
+
+Examples:
+
+Missing bloodType:
+English: "I understand you need blood. What blood type is required? (For example: A+, B+, O+, AB+, A-, B-, O-, or AB-)"
+Hindi: "मैं समझता हूं कि आपको रक्त की आवश्यकता है। कौन सा रक्त समूह चाहिए? (उदाहरण: A+, B+, O+, AB+, A-, B-, O-, या AB-)"
+Telugu: "మీకు రక్తం అవసరమని నేను అర్థం చేసుకున్నాను। ఏ రక్త వర్గం అవసరం? (ఉదాహరణ: A+, B+, O+, AB+, A-, B-, O-, లేదా AB-)"
+
+Missing hospitalName (when bloodType is O+):
+English: "Got it, you need O+ blood. Which hospital or medical center should donors contact?"
+Hindi: "समझ गया, आपको O+ रक्त चाहिए। दाताओं को किस अस्पताल या चिकित्सा केंद्र से संपर्क करना चाहिए?"
+Telugu: "అర్థమైంది, మీకు O+ రక్తం కావాలి. దాతలు ఏ ఆసుపత్రి లేదా వైద్య కేంద్రాన్ని సంప్రదించాలి?"
+
+Now generate the follow-up question for the missing ${missingField}:`;
+};
+
+// Models often wrap JSON in prose or code fences; take the outermost object
+const parseJson = (generatedText) => {
+  const jsonMatch = (generatedText || '').match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return null;
+
+  try {
+    return JSON.parse(jsonMatch[0]);
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  buildCategorizePrompt,
+  buildExtractionPrompt,
+  buildFollowUpPrompt,
+  parseJson
+};
@@ -0,0 +1,227 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const socketService = require('./socketService');
+const { sendNotificationEmail } = require('./emailService');
+
+// Client pages per role for the sections notifications point to
+const DASHBOARD_LINKS = {
+  myRequests: {
+    volunteer: '/volunteer-dashboard/my-requests',
+    default: '/dashboard/requests'
+  },
+  acceptedRequests: {
+    volunteer: '/volunteer-dashboard/accepted-requests',
+    default: '/dashboard/accepted-requests'
+  },
+  allRequests: {
+    volunteer: '/volunteer-dashboard/all-requests',
+    default: '/dashboard/all-requests'
+  },
+  complaints: {
+    default: '/complaints'
+  }
+};
+
+class NotificationService {
+  /**
+   * Resolve a dashboard section to the page for a user's role
+   * @param {string} section - Key of DASHBOARD_LINKS
+   * @param {string} role - User role
+   * @returns {string|undefined} Client path
+   */
+  getLink(section, role) {
+    const links = DASHBOARD_LINKS[section];
+    if (!links) return undefined;
+    return links[role] || links.default;
+  }
+
+  /**
+   * Shorten user-written text so a notification built around it stays within the model's length limits
+   * @param {string} text - Text to shorten
+   * @param {number} maxLength - Longest result, ellipsis included
+   * @returns {string} Text, cut with an ellipsis when it was longer
+   */
+  truncate(text, maxLength) {
+    if (!text || text.length <= maxLength) return text;
+    return `${text.slice(0, maxLength - 1).trimEnd()}…`;
+  }
+
+  /**
+   * Create an in-app notification and deliver it according to the recipient's preferences
+   * preferences.notifications.push controls the live push, .email the email copy
+   * @param {Object|string} recipient - User document (with email/preferences) or user id
+   * @param {Object} payload - { type, title, message, link | section, relatedRequest, relatedComplaint, actor }
+   * @param {Object} options - { email: false to never email, sendEmail: custom async (user) => { success } }
+   * @returns {Promise<Object|null>} Saved notification, or null when the recipient does not exist
+   */
+  async notify(recipient, payload, options = {}) {
+    const user = recipient?.preferences
+      ? recipient
+      : await User.findById(recipient).select('name email role preferences isActive');
+
+    if (!user || user.isActive === false) return null;
+
+    const { section, ...fields } = payload;
+    const preferences = user.preferences?.notifications || {};
+    const notification = new Notification({
+      recipient: user._id,
+      ...fields,
+      link: fields.link || this.getLink(section, user.role)
+    });
+
+    if (preferences.push !== false) {
+      notification.deliveredVia.push('push');
+    }
+
+    if (options.email !== false && preferences.email !== false && user.email) {
+      const result = options.sendEmail
+        ? await options.sendEmail(user)
+        : await sendNotificationEmail(user.email, user.name, notification.title, notification.message, notification.link);
+      if (result?.success) notification.deliveredVia.push('email');
+    }
+
+    await notification.save();
+
+    if (notification.deliveredVia.includes('push')) {
+      socketService.emitToUser(user._id, 'notification:new', notification);
+    }
+
+    return notification;
+  }
+
+  /**
+   * Notify several users at once, skipping duplicates and the user who caused the event
+   * @param {Array} recipients - User ids or documents
+   * @param {Object} payload - Notification payload (see notify)
+   * @param {Object} options - Delivery options (see notify)
+   * @returns {Promise<Array>} Saved notifications
+   */
+  async notifyMany(recipients, payload, options = {}) {
+    const actorId = payload.actor?.toString();
+    const seen = new Set();
+    const unique = recipients.filter(recipient => {
+      const id = (recipient?._id || recipient)?.toString();
+      if (!id || id === actorId || seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+
+    const results = await Promise.all(unique.map(recipient => this.notify(recipient, payload, options)));
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Describe a request in notification text, e.g. "O+ blood request" or "Grocery shopping request"
+   * @param {Object} request - Request document
+   * @returns {string} Label
+   */
+  getRequestLabel(request) {
+    return request.type === 'blood'
+      ? `${request.bloodType || ''} blood request`.trim()
+      : `${(request.title || request.serviceType || request.type.replace('_', ' '))} request`;
+  }
+
+  /**
+   * Tell a requester that a volunteer or donor accepted their request
+   * @param {Object} request - Request document (user may be populated)
+   * @param {Object} volunteer - User document of the accepter
+   * @returns {Promise<Object|null>} Saved notification
+   */
+  notifyRequestAccepted(request, volunteer) {
+    const isBlood = request.type === 'blood';
+    const label = isBlood
+      ? `${request.bloodType || ''} blood request`.trim()
+      : `${(request.title || request.type.replace('_', ' '))} request`;
+
+    return this.notify(request.user?._id || request.user, {
+      type: 'request_accepted',
+      title: isBlood ? 'A donor accepted your request' : 'A volunteer accepted your request',
+      message: `${volunteer.name} accepted your ${label}. You can now see their contact details.`,
+      section: 'myRequests',
+      relatedRequest: request._id,
+      actor: volunteer._id
+    });
+  }
+
+  /**
+   * Tell the requester and volunteers that a request changed status, skipping whoever changed it
+   * @param {Object} request - Request document after the change (user may be populated)
+   * @param {string} status - New status
+   * @param {string} actorId - User who made the change, empty for automatic changes
+   * @param {string} note - Reason or message given with the change
+   * @param {Array} volunteers - Accepters to tell, defaults to the request's (pass the old ones after a release)
+   * @returns {Promise<Array>} Saved notifications
+   */
+  async notifyRequestStatus(request, status, actorId, note, volunteers = request.accepters.map(accepter => accepter.user)) {
+    const label = this.getRequestLabel(request);
+    const payload = {
+      type: 'request_status',
+      title: 'Request status updated',
+      message: `Your ${label} is now ${status.replace('_', ' ')}${note ? `: ${note}` : ''}`,
+      relatedRequest: request._id,
+      actor: actorId
+    };
+
+    const [toRequester, toVolunteers] = await Promise.all([
+      this.notifyMany([request.user], { ...payload, section: 'myRequests' }),
+      this.notifyMany(volunteers, {
+        ...payload,
+        message: `The ${label} you accepted is now ${status.replace('_', ' ')}${note ? `: ${note}` : ''}`,
+        section: 'acceptedRequests'
+      })
+    ]);
+    return [...toRequester, ...toVolunteers];
+  }
+
+  /**
+   * Tell a requester that a volunteer applied to help with their request
+   * @param {Object} request - Request document (user may be populated)
+   * @param {Object} volunteer - User document of the applicant
+   * @returns {Promise<Object|null>} Saved notification
+   */
+  notifyApplicationReceived(request, volunteer) {
+    return this.notify(request.user?._id || request.user, {
+      type: 'request_application',
+      title: 'A volunteer applied to help',
+      message: `${volunteer.name} applied to help with your ${this.getRequestLabel(request)}. Review the applications to choose a volunteer.`,
+      section: 'myRequests',
+      relatedRequest: request._id,
+      actor: volunteer._id
+    });
+  }
+
+  /**
+   * Tell applicants whether they were chosen for a request
+   * @param {Object} request - Request document after the application was accepted
+   * @param {string} acceptedVolunteer - User id of the chosen volunteer
+   * @param {Array} rejectedVolunteers - User ids of the applicants turned down
+   * @param {string} actorId - User who chose
+   * @returns {Promise<Array>} Saved notifications
+   */
+  async notifyApplicationDecision(request, acceptedVolunteer, rejectedVolunteers, actorId) {
+    const label = this.getRequestLabel(request);
+    const payload = {
+      type: 'request_application',
+      relatedRequest: request._id,
+      actor: actorId
+    };
+
+    const [toAccepted, toRejected] = await Promise.all([
+      this.notifyMany([acceptedVolunteer], {
+        ...payload,
+        title: 'Your application was accepted',
+        message: `You were chosen to help with the ${label}. You can now see the requester's contact details.`,
+        section: 'acceptedRequests'
+      }),
+      this.notifyMany(rejectedVolunteers, {
+        ...payload,
+        title: 'Another volunteer was chosen',
+        message: `The requester chose another volunteer for the ${label}. Thank you for offering to help.`,
+        section: 'allRequests'
+      })
+    ]);
+    return [...toAccepted, ...toRejected];
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,127 @@
+const { Server } = require('socket.io');
+
+class SocketService {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Attach Socket.IO to the HTTP server and authenticate connections with the same access token as the REST API
+   * @param {http.Server} httpServer - Server returned by http.createServer(app)
+   * @param {Array<string>} allowedOrigins - Origins allowed by the REST CORS policy
+   * @returns {Server} Socket.IO server instance
+   */
+  init(httpServer, allowedOrigins = []) {
+    // Loaded here because tokenService disconnects sockets through this service
+    const tokenService = require('./tokenService');
+
+    this.io = new Server(httpServer, {
+      cors: {
+        origin: (origin, callback) => {
+          if (!origin || allowedOrigins.includes(origin) || process.env.NODE_ENV === 'development') {
+            callback(null, true);
+          } else {
+            callback(new Error('Not allowed by CORS'));
+          }
+        },
+        credentials: true
+      }
+    });
+
+    this.io.use(async (socket, next) => {
+      try {
+        const token = socket.handshake.auth?.token ||
+          socket.handshake.headers?.authorization?.replace('Bearer ', '');
+
+        if (!token) {
+          return next(new Error('No token provided'));
+        }
+
+        const { user, session, message } = await tokenService.authenticate(token);
+        if (!user) {
+          return next(new Error(message));
+        }
+
+        socket.data.userId = user._id.toString();
+        socket.data.role = user.role;
+        socket.data.sessionId = session._id.toString();
+        next();
+      } catch (error) {
+        next(new Error('Token is not valid'));
+      }
+    });
+
+    this.io.on('connection', (socket) => {
+      // Personal room for events about the user's own requests, role room for feeds
+      socket.join(`user:${socket.data.userId}`);
+      socket.join(`role:${socket.data.role}`);
+      // Session room so signing a device out also closes its connection
+      socket.join(`session:${socket.data.sessionId}`);
+    });
+
+    return this.io;
+  }
+
+  /**
+   * Emit an event to a single user
+   * @param {string} userId - Recipient user ID
+   * @param {string} event - Event name
+   * @param {Object} payload - Event data
+   */
+  emitToUser(userId, event, payload) {
+    if (!this.io || !userId) return;
+    this.io.to(`user:${userId.toString()}`).emit(event, payload);
+  }
+
+  /**
+   * Disconnect the sockets opened with a session's access tokens
+   * @param {string} sessionId - Revoked session ID
+   */
+  disconnectSession(sessionId) {
+    if (!this.io || !sessionId) return;
+    this.io.in(`session:${sessionId.toString()}`).disconnectSockets(true);
+  }
+
+  /**
+   * Emit an event to every connected client
+   * @param {string} event - Event name
+   * @param {Object} payload - Event data
+   */
+  broadcast(event, payload) {
+    if (!this.io) return;
+    this.io.emit(event, payload);
+  }
+
+  /**
+   * Broadcast a request change without leaking contact details
+   * @param {string} event - One of request:created, request:accepted, request:updated, request:deleted
+   * @param {Object} request - Request document (user may be populated or an ObjectId)
+   */
+  emitRequestEvent(event, request) {
+    if (!this.io || !request) return;
+
+    const ownerId = request.user?._id || request.user;
+
+    this.broadcast(event, {
+      _id: request._id,
+      type: request.type,
+      status: request.status,
+      title: request.title,
+      description: request.description,
+      bloodType: request.bloodType,
+      urgencyLevel: request.urgencyLevel,
+      priority: request.priority,
+      serviceType: request.serviceType,
+      dueDate: request.dueDate,
+      category: request.category,
+      location: request.location,
+      name: request.name,
+      createdAt: request.createdAt,
+      updatedAt: request.updatedAt,
+      acceptersCount: request.accepters ? request.accepters.length : 0,
+      user: ownerId ? { _id: ownerId } : null
+    });
+  }
+}
+
+module.exports = new SocketService();
@@ -0,0 +1,110 @@
+const label = (status) => status.replace('_', ' ');
+const either = (items) => (items.length > 1 ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}` : items[0]);
+
+/**
+ * Mongoose plugin for the status workflow Requests and Complaints share
+ * Adds getActorRole, getTransitionRequirements, getAvailableTransitions, checkTransition and transitionTo
+ * @param {Object} schema - Schema with a status path and an addUpdate method
+ * @param {Object} options
+ * @param {Object} options.transitions - Current status -> target status -> { roles, requires }
+ * @param {string} options.subject - Noun used in error messages ('request', 'complaint')
+ * @param {Object} options.roleLabels - Role -> how it reads in "Only the ... can" messages
+ * @param {Object} options.requiredFieldMessages - Field -> hint shown when a change is missing it
+ * @param {Function} options.roleOf - (doc, userId) -> non-admin role the user acts in, or null
+ * @param {Function} [options.extraRequirements] - (doc, to) -> more fields this document needs for the change
+ * @param {Function} [options.applyTransition] - (doc, from, to, actorId, fields) -> model-specific side effects;
+ *   returning a promise ends the change there instead of setting the status
+ * @param {Array<string>} [options.noteFields] - Fields whose text is appended to the default update message
+ */
+const statusTransitions = (schema, options) => {
+  const {
+    transitions,
+    subject,
+    roleLabels,
+    requiredFieldMessages,
+    roleOf,
+    extraRequirements = () => [],
+    applyTransition = () => null,
+    noteFields = ['reason']
+  } = options;
+
+  // Method to find the role a user acts in on this document (a roleOf role, 'admin' or null)
+  schema.methods.getActorRole = function(user) {
+    const userId = (user._id || user.userId).toString();
+
+    if (user.role === 'admin') return 'admin';
+    return roleOf(this, userId);
+  };
+
+  // Method to list the fields a change to a status needs for this document
+  schema.methods.getTransitionRequirements = function(to) {
+    const rule = transitions[this.status]?.[to];
+    if (!rule) return [];
+    return [...rule.requires, ...extraRequirements(this, to)];
+  };
+
+  // Method to list the status changes a role may make from the current status
+  schema.methods.getAvailableTransitions = function(actorRole) {
+    return Object.entries(transitions[this.status] || {})
+      .filter(([, rule]) => rule.roles.includes(actorRole))
+      .map(([status]) => ({ status, requires: this.getTransitionRequirements(status) }));
+  };
+
+  // Method to check a status change; returns null when allowed, otherwise { status, code, message }
+  schema.methods.checkTransition = function(to, actorRole, fields = {}) {
+    const rule = transitions[this.status]?.[to];
+
+    if (!rule) {
+      const allowed = Object.keys(transitions[this.status] || {});
+      return {
+        status: 400,
+        code: 'INVALID_TRANSITION',
+        message: allowed.length > 0
+          ? `This ${subject} is ${label(this.status)}; it can only move to ${either(allowed.map(label))}`
+          : `This ${subject} is ${label(this.status)} and can no longer change status`
+      };
+    }
+
+    if (!rule.roles.includes(actorRole)) {
+      return {
+        status: 403,
+        code: 'TRANSITION_NOT_ALLOWED',
+        message: `Only the ${either(rule.roles.map(role => roleLabels[role]))} can move this ${subject} from ${label(this.status)} to ${label(to)}`
+      };
+    }
+
+    const missing = this.getTransitionRequirements(to).filter(field => {
+      const value = fields[field];
+      return value === undefined || value === null || (typeof value === 'string' && !value.trim());
+    });
+    if (missing.length > 0) {
+      return {
+        status: 400,
+        code: 'MISSING_FIELDS',
+        message: requiredFieldMessages[missing[0]],
+        missing
+      };
+    }
+
+    return null;
+  };
+
+  // Method to make a status change that checkTransition allowed, recording it in the updates
+  schema.methods.transitionTo = function(to, actorId, fields = {}) {
+    const from = this.status;
+
+    const handled = applyTransition(this, from, to, actorId, fields);
+    if (handled) return handled;
+
+    this.status = to;
+
+    const note = noteFields.map(field => fields[field]).find(Boolean);
+    return this.addUpdate(
+      fields.message || `Status changed from ${label(from)} to ${label(to)}${note ? `: ${note.trim()}` : ''}`,
+      actorId,
+      { from, to }
+    );
+  };
+};
+
+module.exports = statusTransitions;
@@ -0,0 +1,40 @@
+/**
+ * Common interface for file storage backends
+ *
+ * Files are addressed by a key such as "complaints/2024/05/<random>.jpg". save() resolves to
+ * { key, url }, where url is what clients load the file from.
+ */
+class BaseProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the provider has the configuration it needs
+   * @returns {boolean} True when usable
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type
+   * @returns {Promise<Object>} { key, url }
+   */
+  async save(key, buffer, contentType) {
+    throw new Error(`${this.name} storage does not implement save()`);
+  }
+
+  /**
+   * Delete a file; missing files are not an error
+   * @param {string} key - Storage key
+   */
+  async remove(key) {
+    throw new Error(`${this.name} storage does not implement remove()`);
+  }
+}
+
+module.exports = BaseProvider;
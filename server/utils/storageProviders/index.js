@@ -0,0 +1,50 @@
+const path = require('path');
+const LocalProvider = require('./localProvider');
+const S3Provider = require('./s3Provider');
+
+// URL path the server serves local files under
+const LOCAL_PUBLIC_PATH = '/uploads/attachments';
+
+const PROVIDER_FACTORIES = {
+  local: () => new LocalProvider({
+    root: path.join(process.env.UPLOAD_PATH || './uploads', 'attachments'),
+    publicPath: LOCAL_PUBLIC_PATH,
+    publicURL: process.env.PUBLIC_UPLOAD_URL
+  }),
+  s3: () => new S3Provider({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION,
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    acl: process.env.S3_ACL,
+    publicURL: process.env.S3_PUBLIC_URL
+  })
+};
+
+/**
+ * Build the storage backend named by STORAGE_PROVIDER ('local' by default)
+ * Falls back to local disk when the named provider is unknown or not configured.
+ * @returns {Object} Provider instance
+ */
+const createStorageProvider = () => {
+  const name = (process.env.STORAGE_PROVIDER || 'local').trim().toLowerCase();
+
+  if (!PROVIDER_FACTORIES[name]) {
+    console.warn(`⚠️ Unknown storage provider "${name}", storing files on local disk`);
+    return PROVIDER_FACTORIES.local();
+  }
+
+  const provider = PROVIDER_FACTORIES[name]();
+  if (!provider.isConfigured()) {
+    console.warn(`⚠️ Storage provider "${name}" is not configured, storing files on local disk`);
+    return PROVIDER_FACTORIES.local();
+  }
+  return provider;
+};
+
+module.exports = {
+  createStorageProvider,
+  LocalProvider,
+  S3Provider
+};
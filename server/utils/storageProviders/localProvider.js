@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Files on the server's disk, served by Express under publicPath
+ */
+class LocalProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('local');
+    this.root = path.resolve(options.root);
+    this.publicPath = options.publicPath;
+    // Absolute base URL when the API sits behind a different host than the one clients use
+    this.publicURL = options.publicURL ? options.publicURL.replace(/\/$/, '') : '';
+  }
+
+  isConfigured() {
+    return !!this.root;
+  }
+
+  // Keys are generated by the server, but never let one point outside the storage directory
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    return {
+      key,
+      url: `${this.publicURL}${this.publicPath}/${key}`
+    };
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as S3 expects it in the canonical request
+const encodeSegment = (segment) => encodeURIComponent(segment)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Amazon S3 or any S3-compatible object store (MinIO, Cloudflare R2, DigitalOcean Spaces, ...)
+ * Talks to the REST API directly and signs requests with AWS Signature Version 4.
+ */
+class S3Provider extends BaseProvider {
+  constructor(options = {}) {
+    super('s3');
+    this.bucket = options.bucket;
+    this.region = options.region || 'us-east-1';
+    this.endpoint = options.endpoint ? options.endpoint.replace(/\/$/, '') : null;
+    this.accessKeyId = options.accessKeyId;
+    this.secretAccessKey = options.secretAccessKey;
+    this.acl = options.acl;
+    this.publicURL = options.publicURL ? options.publicURL.replace(/\/$/, '') : null;
+    this.timeout = options.timeout || 30000;
+  }
+
+  isConfigured() {
+    return !!(this.bucket && this.accessKeyId && this.secretAccessKey);
+  }
+
+  // Custom endpoints use path-style URLs, which every S3-compatible store understands
+  objectURL(key) {
+    const path = key.split('/').map(encodeSegment).join('/');
+    return this.endpoint
+      ? `${this.endpoint}/${encodeSegment(this.bucket)}/${path}`
+      : `https://${this.bucket}.s3.${this.region}.amazonaws.com/${path}`;
+  }
+
+  /**
+   * Signature Version 4 headers for a request
+   * @param {string} method - HTTP method
+   * @param {string} url - Full object URL (no query string)
+   * @param {Object} headers - Headers to sign, besides host and the x-amz-* ones added here
+   * @param {Buffer|string} payload - Request body
+   * @param {Date} now - Signing time
+   * @returns {Object} Headers to send, including Authorization
+   */
+  sign(method, url, headers = {}, payload = '', now = new Date()) {
+    const { host, pathname } = new URL(url);
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const payloadHash = sha256(payload);
+
+    const allHeaders = {
+      ...headers,
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const names = Object.keys(allHeaders).map(name => name.toLowerCase()).sort();
+    const lowerCased = Object.fromEntries(Object.entries(allHeaders).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = names.map(name => `${name}:${String(lowerCased[name]).trim()}\n`).join('');
+    const signedHeaders = names.join(';');
+
+    const canonicalRequest = [method, pathname, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    // Axios sets Host itself
+    const sendHeaders = { ...allHeaders };
+    delete sendHeaders.host;
+    return {
+      ...sendHeaders,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  }
+
+  async save(key, buffer, contentType) {
+    const url = this.objectURL(key);
+    const headers = {
+      'content-type': contentType,
+      'cache-control': 'public, max-age=31536000, immutable',
+      ...(this.acl && { 'x-amz-acl': this.acl })
+    };
+
+    await axios.put(url, buffer, {
+      headers: this.sign('PUT', url, headers, buffer),
+      timeout: this.timeout,
+      maxBodyLength: Infinity
+    });
+
+    return {
+      key,
+      url: this.publicURL ? `${this.publicURL}/${key}` : url
+    };
+  }
+
+  async remove(key) {
+    const url = this.objectURL(key);
+    try {
+      await axios.delete(url, {
+        headers: this.sign('DELETE', url),
+        timeout: this.timeout
+      });
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+    }
+  }
+}
+
+module.exports = S3Provider;
@@ -0,0 +1,216 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const socketService = require('./socketService');
+
+// Access tokens are short-lived; the refresh token kept in the session renews them
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Two tabs refreshing at once both send the same token; the slower one is not treated as theft
+const REUSE_GRACE_MS = (parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS) || 30) * 1000;
+
+/**
+ * Issues access and refresh tokens, rotates refresh tokens and revokes sessions
+ */
+class TokenService {
+  constructor() {
+    this.secret = null;
+  }
+
+  /**
+   * Secret used to sign access tokens
+   * Production refuses to run without JWT_SECRET; elsewhere a random secret is used for this process only
+   * @returns {string} Signing secret
+   */
+  getSecret() {
+    if (this.secret) return this.secret;
+
+    if (process.env.JWT_SECRET) {
+      this.secret = process.env.JWT_SECRET;
+    } else if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET must be set in production');
+    } else {
+      console.warn('⚠️ JWT_SECRET is not set; using a random secret, so sign-ins end when the server restarts');
+      this.secret = crypto.randomBytes(48).toString('hex');
+    }
+    return this.secret;
+  }
+
+  /**
+   * Sign an access token for a session
+   * @param {Object} session - Session document
+   * @returns {string} JWT
+   */
+  signAccessToken(session) {
+    return jwt.sign(
+      { userId: session.user.toString(), sessionId: session._id.toString() },
+      this.getSecret(),
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  /**
+   * Response fields sent after sign-in and refresh
+   * @param {Object} session - Session document
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Object} { token, refreshToken, expiresAt }
+   */
+  buildTokens(session, refreshToken) {
+    const token = this.signAccessToken(session);
+    return {
+      token,
+      refreshToken,
+      expiresAt: new Date(jwt.decode(token).exp * 1000)
+    };
+  }
+
+  /**
+   * Start a session for a user who just signed in or registered
+   * @param {Object} user - User document
+   * @param {Object} req - Express request (for device details)
+   * @returns {Promise<Object>} { token, refreshToken, expiresAt, session }
+   */
+  async createSession(user, req) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const session = await Session.create({
+      user: user._id,
+      tokenHash: Session.hashToken(refreshToken),
+      userAgent: (req.get('user-agent') || '').slice(0, 300),
+      ip: req.ip || '',
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    return { ...this.buildTokens(session, refreshToken), session };
+  }
+
+  /**
+   * Verify an access token and load its active session and user
+   * @param {string} token - Access token from the Authorization header or socket handshake
+   * @returns {Promise<Object>} { user, session } or { error, message } when it cannot be used
+   */
+  async authenticate(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, this.getSecret());
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return { error: 'TOKEN_EXPIRED', message: 'Access token has expired' };
+      }
+      return { error: 'TOKEN_INVALID', message: 'Token is not valid' };
+    }
+
+    // Tokens issued before sessions existed carry no sessionId and must sign in again
+    if (!decoded.sessionId) {
+      return { error: 'TOKEN_INVALID', message: 'Token is not valid' };
+    }
+
+    const [session, user] = await Promise.all([
+      Session.findById(decoded.sessionId),
+      User.findById(decoded.userId)
+    ]);
+
+    if (!session || !session.isActive() || session.user.toString() !== decoded.userId) {
+      return { error: 'SESSION_REVOKED', message: 'Session has ended, please sign in again' };
+    }
+    if (!user || !user.isActive) {
+      return { error: 'TOKEN_INVALID', message: 'Token is not valid or user is inactive' };
+    }
+
+    return { user, session };
+  }
+
+  /**
+   * Exchange a refresh token for new access and refresh tokens
+   * A refresh token that was already rotated away ends the session, since someone else may hold it
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Promise<Object>} { success, token, refreshToken, expiresAt, user } or { success: false, error, message }
+   */
+  async refresh(refreshToken) {
+    const tokenHash = Session.hashToken(refreshToken);
+    const session = await Session.findOne({ tokenHash });
+
+    if (!session) {
+      const replayed = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+      if (replayed) {
+        if (replayed.rotatedAt && Date.now() - replayed.rotatedAt < REUSE_GRACE_MS) {
+          return { success: false, error: 'TOKEN_ROTATED', message: 'Refresh token was already used' };
+        }
+        await this.revokeSession(replayed, 'token_reuse');
+      }
+      return { success: false, error: 'REFRESH_INVALID', message: 'Refresh token is not valid' };
+    }
+
+    if (!session.isActive()) {
+      return { success: false, error: 'SESSION_REVOKED', message: 'Session has ended, please sign in again' };
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await this.revokeSession(session, 'suspended');
+      return { success: false, error: 'SESSION_REVOKED', message: 'Account has been deactivated' };
+    }
+
+    const nextToken = crypto.randomBytes(48).toString('hex');
+    session.previousTokenHash = tokenHash;
+    session.tokenHash = Session.hashToken(nextToken);
+    session.rotatedAt = new Date();
+    session.lastUsedAt = new Date();
+    session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+    await session.save();
+
+    return { success: true, ...this.buildTokens(session, nextToken), user };
+  }
+
+  /**
+   * End the session a refresh token belongs to (server-side logout)
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Promise<boolean>} Whether a session was ended
+   */
+  async revokeByRefreshToken(refreshToken) {
+    const session = await Session.findOne({ tokenHash: Session.hashToken(refreshToken) });
+    if (!session || session.revokedAt) return false;
+
+    await this.revokeSession(session, 'logout');
+    return true;
+  }
+
+  /**
+   * End one session and disconnect its sockets
+   * @param {Object} session - Session document
+   * @param {string} reason - Why the session ended
+   */
+  async revokeSession(session, reason = 'revoked') {
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+
+    socketService.disconnectSession(session._id);
+  }
+
+  /**
+   * End every session of a user, e.g. after a password change or suspension
+   * @param {string} userId - User ID
+   * @param {string} reason - Why the sessions ended
+   * @param {Object} options - { except: session ID to keep signed in }
+   * @returns {Promise<number>} Number of sessions ended
+   */
+  async revokeAllSessions(userId, reason, { except } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+
+    const sessions = await Session.find(filter).select('_id');
+    if (sessions.length === 0) return 0;
+
+    await Session.updateMany(
+      { _id: { $in: sessions.map(session => session._id) } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    sessions.forEach(session => socketService.disconnectSession(session._id));
+
+    return sessions.length;
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,44 @@
+/**
+ * Common interface for translation backends
+ *
+ * translate(text, fromLang, toLang) resolves to { translatedText, detectedLanguage } or null
+ * when the provider cannot handle the pair, so the next provider is tried.
+ * Providers that only substitute known words set `exact = false`; their output is never cached.
+ */
+class BaseProvider {
+  constructor(name) {
+    this.name = name;
+    this.exact = true;
+  }
+
+  /**
+   * Whether the provider has the configuration it needs
+   * @returns {boolean} True when usable
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Whether the provider can translate between two languages
+   * @param {string} fromLang - Source language code
+   * @param {string} toLang - Target language code
+   * @returns {boolean} True when the pair is supported
+   */
+  supports(fromLang, toLang) {
+    return true;
+  }
+
+  /**
+   * Translate text
+   * @param {string} text - Text to translate
+   * @param {string} fromLang - Source language code
+   * @param {string} toLang - Target language code
+   * @returns {Promise<Object|null>} { translatedText, detectedLanguage }
+   */
+  async translate(text, fromLang, toLang) {
+    throw new Error(`${this.name} provider does not implement translate()`);
+  }
+}
+
+module.exports = BaseProvider;
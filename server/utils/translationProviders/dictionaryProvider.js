@@ -0,0 +1,152 @@
+const BaseProvider = require('./baseProvider');
+
+// Common service terms, longest phrases first so "रक्तदान" wins over "रक्त" and AB over B
+const DICTIONARIES = {
+  'hi-en': [
+    ['एबी पॉजिटिव', 'AB positive'], ['एबी नेगेटिव', 'AB negative'],
+    ['ए पॉजिटिव', 'A positive'], ['ए नेगेटिव', 'A negative'],
+    ['बी पॉजिटिव', 'B positive'], ['बी नेगेटिव', 'B negative'],
+    ['ओ पॉजिटिव', 'O positive'], ['ओ नेगेटिव', 'O negative'],
+    ['रक्तदान', 'blood donation'],
+    ['रक्त|खून', 'blood'],
+    ['चाहिए|आवश्यकता|आवश्यक|जरूरत', 'need'],
+    ['तुरंत|तत्काल', 'urgent'],
+    ['आपातकाल', 'emergency'],
+    ['बुजुर्ग', 'elderly'],
+    ['दवाई|दवा', 'medicine'],
+    ['किराना', 'grocery'],
+    ['देखभाल', 'care'],
+    ['शिकायत', 'complaint'],
+    ['समस्या', 'problem'],
+    ['सड़क', 'road'],
+    ['बत्ती|लाइट', 'light'],
+    ['पानी', 'water'],
+    ['बिजली', 'electricity'],
+    ['कचरा', 'garbage'],
+    ['अस्पताल', 'hospital'],
+    ['मरीज|रोगी', 'patient'],
+    ['सर्जरी|ऑपरेशन', 'surgery'],
+    ['सहायता', 'assistance'],
+    ['मदद', 'help'],
+    ['सेवा', 'service'],
+    ['सरकार', 'government'],
+    ['अनुरोध', 'request']
+  ],
+  'te-en': [
+    ['ఎబి పాజిటివ్', 'AB positive'], ['ఎబి నెగటివ్', 'AB negative'],
+    ['ఎ పాజిటివ్', 'A positive'], ['ఎ నెగటివ్', 'A negative'],
+    ['బి పాజిటివ్', 'B positive'], ['బి నెగటివ్', 'B negative'],
+    ['ఓ పాజిటివ్', 'O positive'], ['ఓ నెగటివ్', 'O negative'],
+    ['రక్తదానం', 'blood donation'],
+    ['రక్తం', 'blood'],
+    ['కావాలి|అవసరం', 'need'],
+    ['అత్యవసరం|తక్షణం', 'urgent'],
+    ['వృద్ధులు|పెద్దలు', 'elderly'],
+    ['మందులు|మందు', 'medicine'],
+    ['కిరాణా', 'grocery'],
+    ['సంరక్షణ', 'care'],
+    ['ఫిర్యాదు', 'complaint'],
+    ['సమస్య', 'problem'],
+    ['రోడ్డు', 'road'],
+    ['లైట్', 'light'],
+    ['నీరు', 'water'],
+    ['కరెంట్', 'electricity'],
+    ['చెత్త', 'garbage'],
+    ['ఆసుపత్రి', 'hospital'],
+    ['రోగి', 'patient'],
+    ['శస్త్రచికిత్స', 'surgery'],
+    ['సహాయం', 'help'],
+    ['సేవ', 'service'],
+    ['ప్రభుత్వం', 'government'],
+    ['అభ్యర్థన', 'request']
+  ],
+  'en-hi': [
+    ['blood donation', 'रक्तदान'],
+    ['blood', 'रक्त'],
+    ['complaint', 'शिकायत'],
+    ['help', 'मदद'],
+    ['assistance', 'सहायता'],
+    ['elderly', 'बुजुर्ग'],
+    ['care', 'देखभाल'],
+    ['service', 'सेवा'],
+    ['government', 'सरकार'],
+    ['problem', 'समस्या'],
+    ['need', 'जरूरत'],
+    ['request', 'अनुरोध'],
+    ['urgent', 'तुरंत'],
+    ['hospital', 'अस्पताल'],
+    ['medicine', 'दवा'],
+    ['water', 'पानी'],
+    ['electricity', 'बिजली'],
+    ['road', 'सड़क']
+  ],
+  'en-te': [
+    ['blood donation', 'రక్తదానం'],
+    ['blood', 'రక్తం'],
+    ['complaint', 'ఫిర్యాదు'],
+    ['help', 'సహాయం'],
+    ['elderly', 'వృద్ధులు'],
+    ['care', 'సంరక్షణ'],
+    ['service', 'సేవ'],
+    ['government', 'ప్రభుత్వం'],
+    ['problem', 'సమస్య'],
+    ['need', 'అవసరం'],
+    ['request', 'అభ్యర్థన'],
+    ['urgent', 'అత్యవసరం'],
+    ['hospital', 'ఆసుపత్రి'],
+    ['medicine', 'మందు'],
+    ['water', 'నీరు'],
+    ['road', 'రోడ్డు']
+  ]
+};
+
+/**
+ * Offline word substitution for common service terms
+ * Not a real translation: it keeps the rest of the sentence as written, so it is only the last resort.
+ */
+class DictionaryProvider extends BaseProvider {
+  constructor() {
+    super('dictionary');
+    this.exact = false;
+
+    // English words need word boundaries; Indic scripts are not \w characters, so match them as-is
+    this.patterns = Object.fromEntries(Object.entries(DICTIONARIES).map(([pair, entries]) => [
+      pair,
+      entries.map(([terms, translation]) => [
+        new RegExp(pair.startsWith('en-') ? `\\b(?:${terms})\\b` : `(?:${terms})`, 'gi'),
+        translation
+      ])
+    ]));
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  supports(fromLang, toLang) {
+    return !!this.patterns[`${fromLang}-${toLang}`];
+  }
+
+  async translate(text, fromLang, toLang) {
+    const patterns = this.patterns[`${fromLang}-${toLang}`];
+    if (!patterns) return null;
+
+    let translatedText = text;
+    let termsFound = 0;
+
+    patterns.forEach(([pattern, translation]) => {
+      translatedText = translatedText.replace(pattern, () => {
+        termsFound++;
+        return translation;
+      });
+    });
+
+    return {
+      translatedText,
+      detectedLanguage: fromLang,
+      termsFound
+    };
+  }
+}
+
+module.exports = DictionaryProvider;
@@ -0,0 +1,41 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Google Cloud Translation (v2 REST API)
+ */
+class GoogleProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('google');
+    this.apiKey = options.apiKey;
+    this.baseURL = 'https://translation.googleapis.com/language/translate/v2';
+    this.timeout = options.timeout || 10000;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async translate(text, fromLang, toLang) {
+    const response = await axios.post(this.baseURL, null, {
+      params: {
+        key: this.apiKey,
+        q: text,
+        source: fromLang,
+        target: toLang,
+        format: 'text'
+      },
+      timeout: this.timeout
+    });
+
+    const translation = response.data?.data?.translations?.[0];
+    if (!translation?.translatedText) return null;
+
+    return {
+      translatedText: translation.translatedText,
+      detectedLanguage: translation.detectedSourceLanguage || fromLang
+    };
+  }
+}
+
+module.exports = GoogleProvider;
@@ -0,0 +1,43 @@
+const LibreTranslateProvider = require('./libreTranslateProvider');
+const GoogleProvider = require('./googleProvider');
+const DictionaryProvider = require('./dictionaryProvider');
+
+const PROVIDER_FACTORIES = {
+  libretranslate: () => new LibreTranslateProvider({
+    baseURL: process.env.LIBRETRANSLATE_URL,
+    apiKey: process.env.LIBRETRANSLATE_API_KEY,
+    timeout: parseInt(process.env.TRANSLATION_TIMEOUT_MS) || 15000
+  }),
+  google: () => new GoogleProvider({
+    apiKey: process.env.GOOGLE_TRANSLATE_API_KEY
+  }),
+  dictionary: () => new DictionaryProvider()
+};
+
+/**
+ * Build the provider chain from TRANSLATION_PROVIDERS (comma-separated, tried in order)
+ * Unconfigured providers are dropped; the dictionary is always last so translation never fails outright.
+ * @returns {Array} Provider instances in failover order
+ */
+const createProviders = () => {
+  const names = (process.env.TRANSLATION_PROVIDERS || 'libretranslate,google')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = names.filter(name => !PROVIDER_FACTORIES[name]);
+  if (unknown.length > 0) {
+    console.warn(`⚠️ Unknown translation providers ignored: ${unknown.join(', ')}`);
+  }
+
+  return [...new Set(names.filter(name => PROVIDER_FACTORIES[name] && name !== 'dictionary')), 'dictionary']
+    .map(name => PROVIDER_FACTORIES[name]())
+    .filter(provider => provider.isConfigured());
+};
+
+module.exports = {
+  createProviders,
+  LibreTranslateProvider,
+  GoogleProvider,
+  DictionaryProvider
+};
@@ -0,0 +1,43 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Self-hosted machine translation through the LibreTranslate API
+ * LibreTranslate runs Argos Translate models offline (docker run -p 5000:5000 libretranslate/libretranslate).
+ * Any server exposing the same POST /translate contract, such as a MarianMT wrapper, works too.
+ */
+class LibreTranslateProvider extends BaseProvider {
+  constructor(options = {}) {
+    super('libretranslate');
+    this.baseURL = (options.baseURL || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+    this.timeout = options.timeout || 15000;
+  }
+
+  isConfigured() {
+    return !!this.baseURL;
+  }
+
+  async translate(text, fromLang, toLang) {
+    const response = await axios.post(`${this.baseURL}/translate`, {
+      q: text,
+      source: fromLang,
+      target: toLang,
+      format: 'text',
+      ...(this.apiKey && { api_key: this.apiKey })
+    }, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: this.timeout
+    });
+
+    const translatedText = response.data?.translatedText;
+    if (!translatedText) return null;
+
+    return {
+      translatedText,
+      detectedLanguage: response.data.detectedLanguage?.language || fromLang
+    };
+  }
+}
+
+module.exports = LibreTranslateProvider;
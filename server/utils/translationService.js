@@ -1,80 +1,40 @@
-const axios = require('axios');
+const mongoose = require('mongoose');
+const TranslationCache = require('../models/TranslationCache');
+const { createProviders } = require('./translationProviders');
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  hi: 'Hindi',
+  te: 'Telugu'
+};
+
+// Translations kept in memory on top of the MongoDB cache
+const MEMORY_CACHE_SIZE = parseInt(process.env.TRANSLATION_MEMORY_CACHE_SIZE) || 500;
 
 class TranslationService {
   constructor() {
-    // You can add Google Translate API key here
-    this.googleTranslateApiKey = process.env.GOOGLE_TRANSLATE_API_KEY;
-    this.baseURL = 'https://translation.googleapis.com/language/translate/v2';
-    
-    // Fallback translations for common government service terms
-    this.fallbackTranslations = {
-      'hi-en': {
-        'शिकायत': 'complaint',
-        'मदद': 'help',
-        'सहायता': 'assistance',
-        'रक्तदान': 'blood donation',
-        'बुजुर्ग': 'elderly',
-        'देखभाल': 'care',
-        'सेवा': 'service',
-        'सरकार': 'government',
-        'समस्या': 'problem',
-        'जरूरत': 'need',
-        'आवश्यकता': 'requirement',
-        'अनुरोध': 'request'
-      },
-      'te-en': {
-        'ఫిర్యాదు': 'complaint',
-        'సహాయం': 'help',
-        'రక్తదానం': 'blood donation',
-        'వృద్ధులు': 'elderly',
-        'సంరక్షణ': 'care',
-        'సేవ': 'service',
-        'ప్రభుత్వం': 'government',
-        'సమస్య': 'problem',
-        'అవసరం': 'need',
-        'అభ్యర్థన': 'request'
-      },
-      'en-hi': {
-        'complaint': 'शिकायत',
-        'help': 'मदद',
-        'assistance': 'सहायता',
-        'blood donation': 'रक्तदान',
-        'elderly': 'बुजुर्ग',
-        'care': 'देखभाल',
-        'service': 'सेवा',
-        'government': 'सरकार',
-        'problem': 'समस्या',
-        'need': 'जरूरत',
-        'request': 'अनुरोध'
-      },
-      'en-te': {
-        'complaint': 'ఫిర్యాదు',
-        'help': 'సహాయం',
-        'blood donation': 'రక్తదానం',
-        'elderly': 'వృద్ధులు',
-        'care': 'సంరక్షణ',
-        'service': 'సేవ',
-        'government': 'ప్రభుత్వం',
-        'problem': 'సమస్య',
-        'need': 'అవసరం',
-        'request': 'అభ్యర్థన'
-      }
-    };
+    // Tried in order; the offline dictionary is always last
+    this.providers = createProviders();
+    this.memoryCache = new Map();
+
+    console.log('TranslationService: Providers:', this.providers.map(provider => provider.name).join(' → '));
   }
 
   /**
-   * Translate text using Google Translate API or fallback
+   * Translate text with the first provider that succeeds, using cached translations when available
    * @param {string} text - Text to translate
-   * @param {string} fromLang - Source language code
+   * @param {string} fromLang - Source language code, or 'auto' to detect it
    * @param {string} toLang - Target language code
    * @returns {Promise<Object>} Translation result
    */
   async translateText(text, fromLang, toLang) {
     try {
-      console.log(`TranslationService: Translating "${text}" from ${fromLang} to ${toLang}`);
+      if (!fromLang || fromLang === 'auto') {
+        fromLang = (await this.detectLanguage(text)).language;
+      }
 
       // If source and target are the same, return original text
-      if (fromLang === toLang) {
+      if (fromLang === toLang || !text || !text.trim()) {
         return {
           success: true,
           translatedText: text,
@@ -82,24 +42,62 @@ class TranslationService {
           fromLanguage: fromLang,
           toLanguage: toLang,
           confidence: 1.0,
-          method: 'no_translation_needed'
+          method: 'no_translation_needed',
+          cached: false,
+          exact: true
+        };
+      }
+
+      const cached = await this.getCached(text, fromLang, toLang);
+      if (cached) {
+        return {
+          success: true,
+          translatedText: cached.translatedText,
+          originalText: text,
+          fromLanguage: fromLang,
+          toLanguage: toLang,
+          confidence: 0.95,
+          method: cached.provider,
+          cached: true,
+          exact: true
         };
       }
 
-      // Try Google Translate API if key is available
-      if (this.googleTranslateApiKey) {
+      for (const provider of this.providers) {
+        if (!provider.supports(fromLang, toLang)) continue;
+
         try {
-          const result = await this.translateWithGoogle(text, fromLang, toLang);
-          if (result.success) {
-            return result;
+          const result = await provider.translate(text, fromLang, toLang);
+          if (!result) continue;
+
+          if (provider.exact) {
+            this.setCached(text, fromLang, toLang, result.translatedText, provider.name);
           }
+
+          return {
+            success: true,
+            translatedText: result.translatedText,
+            originalText: text,
+            fromLanguage: result.detectedLanguage || fromLang,
+            toLanguage: toLang,
+            confidence: provider.exact ? 0.95 : (result.termsFound > 0 ? 0.7 : 0.3),
+            method: provider.name,
+            cached: false,
+            exact: provider.exact,
+            ...(result.termsFound !== undefined && { translationsFound: result.termsFound })
+          };
         } catch (error) {
-          console.log('Google Translate failed, falling back to local translation:', error.message);
+          console.warn(`TranslationService: ${provider.name} failed, trying next provider:`, error.message);
         }
       }
 
-      // Use fallback translation
-      return this.translateWithFallback(text, fromLang, toLang);
+      return {
+        success: false,
+        error: `Translation not supported from ${fromLang} to ${toLang}`,
+        originalText: text,
+        fromLanguage: fromLang,
+        toLanguage: toLang
+      };
 
     } catch (error) {
       console.error('TranslationService: Translation error:', error);
@@ -114,87 +112,77 @@ class TranslationService {
   }
 
   /**
-   * Translate using Google Translate API
-   * @param {string} text - Text to translate
+   * Translate text to English for storage and keyword matching, keeping the original on failure
+   * @param {string} text - Text in any supported language
+   * @returns {Promise<string>} English text
+   */
+  async toEnglish(text) {
+    const result = await this.translateText(text, 'auto', 'en');
+    return result.success ? result.translatedText : text;
+  }
+
+  /**
+   * Look up a translation in memory, then in MongoDB
+   * @param {string} text - Source text
    * @param {string} fromLang - Source language
    * @param {string} toLang - Target language
-   * @returns {Promise<Object>} Translation result
+   * @returns {Promise<Object|null>} { translatedText, provider }
    */
-  async translateWithGoogle(text, fromLang, toLang) {
-    try {
-      const response = await axios.post(this.baseURL, null, {
-        params: {
-          key: this.googleTranslateApiKey,
-          q: text,
-          source: fromLang,
-          target: toLang,
-          format: 'text'
-        },
-        timeout: 10000
-      });
-
-      const translatedText = response.data.data.translations[0].translatedText;
-      const detectedSourceLanguage = response.data.data.translations[0].detectedSourceLanguage || fromLang;
+  async getCached(text, fromLang, toLang) {
+    const key = TranslationCache.keyFor(text, fromLang, toLang);
 
-      return {
-        success: true,
-        translatedText: translatedText,
-        originalText: text,
-        fromLanguage: detectedSourceLanguage,
-        toLanguage: toLang,
-        confidence: 0.95,
-        method: 'google_translate'
-      };
+    if (this.memoryCache.has(key)) {
+      const entry = this.memoryCache.get(key);
+      // Re-insert so the entry becomes the most recently used
+      this.memoryCache.delete(key);
+      this.memoryCache.set(key, entry);
+      return entry;
+    }
 
+    // Skip the database while it is unavailable instead of waiting on buffered queries
+    if (mongoose.connection.readyState !== 1) return null;
+
+    try {
+      const entry = await TranslationCache.lookup(text, fromLang, toLang);
+      if (!entry) return null;
+
+      this.remember(key, { translatedText: entry.translatedText, provider: entry.provider });
+      return entry;
     } catch (error) {
-      console.error('Google Translate API error:', error);
-      throw new Error(`Google Translate failed: ${error.message}`);
+      console.error('TranslationService: Cache lookup error:', error);
+      return null;
     }
   }
 
   /**
-   * Translate using fallback dictionary
-   * @param {string} text - Text to translate
+   * Store a translation in memory and in MongoDB
+   * @param {string} text - Source text
    * @param {string} fromLang - Source language
    * @param {string} toLang - Target language
-   * @returns {Object} Translation result
+   * @param {string} translatedText - Translation
+   * @param {string} provider - Provider that produced it
    */
-  translateWithFallback(text, fromLang, toLang) {
-    const translationKey = `${fromLang}-${toLang}`;
-    const dictionary = this.fallbackTranslations[translationKey];
+  setCached(text, fromLang, toLang, translatedText, provider) {
+    this.remember(TranslationCache.keyFor(text, fromLang, toLang), { translatedText, provider });
 
-    if (!dictionary) {
-      return {
-        success: false,
-        error: `Translation not supported from ${fromLang} to ${toLang}`,
-        originalText: text,
-        fromLanguage: fromLang,
-        toLanguage: toLang
-      };
-    }
+    if (mongoose.connection.readyState !== 1) return;
 
-    let translatedText = text;
-    let foundTranslations = 0;
+    TranslationCache.store(text, fromLang, toLang, translatedText, provider)
+      .catch(error => console.error('TranslationService: Cache store error:', error));
+  }
 
-    // Translate word by word for known terms
-    Object.entries(dictionary).forEach(([original, translation]) => {
-      const regex = new RegExp(`\\b${original}\\b`, 'gi');
-      if (regex.test(translatedText)) {
-        translatedText = translatedText.replace(regex, translation);
-        foundTranslations++;
-      }
-    });
-
-    return {
-      success: true,
-      translatedText: translatedText,
-      originalText: text,
-      fromLanguage: fromLang,
-      toLanguage: toLang,
-      confidence: foundTranslations > 0 ? 0.7 : 0.3,
-      method: 'fallback_dictionary',
-      translationsFound: foundTranslations
-    };
+  /**
+   * Add an entry to the in-memory cache, evicting the least recently used one when full
+   * @param {string} key - Cache key
+   * @param {Object} entry - { translatedText, provider }
+   */
+  remember(key, entry) {
+    this.memoryCache.delete(key);
+    this.memoryCache.set(key, entry);
+
+    if (this.memoryCache.size > MEMORY_CACHE_SIZE) {
+      this.memoryCache.delete(this.memoryCache.keys().next().value);
+    }
   }
 
   /**
@@ -260,12 +248,11 @@ class TranslationService {
    * @returns {Array} List of supported translation pairs
    */
   getSupportedLanguagePairs() {
-    return [
-      { from: 'hi', to: 'en', name: 'Hindi to English' },
-      { from: 'te', to: 'en', name: 'Telugu to English' },
-      { from: 'en', to: 'hi', name: 'English to Hindi' },
-      { from: 'en', to: 'te', name: 'English to Telugu' }
-    ];
+    const languages = Object.keys(LANGUAGE_NAMES);
+
+    return languages.flatMap(from => languages
+      .filter(to => to !== from && this.isTranslationSupported(from, to))
+      .map(to => ({ from, to, name: `${LANGUAGE_NAMES[from]} to ${LANGUAGE_NAMES[to]}` })));
   }
 
   /**
@@ -276,9 +263,8 @@ class TranslationService {
    */
   isTranslationSupported(fromLang, toLang) {
     if (fromLang === toLang) return true;
-    
-    const translationKey = `${fromLang}-${toLang}`;
-    return !!this.fallbackTranslations[translationKey] || !!this.googleTranslateApiKey;
+
+    return this.providers.some(provider => provider.supports(fromLang, toLang));
   }
 }
 
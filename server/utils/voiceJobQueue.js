@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const VoiceRequest = require('../models/VoiceRequest');
+const whisperService = require('./whisperService');
+const geminiVoiceService = require('./geminiVoiceService');
+const socketService = require('./socketService');
+
+// Matches the retryCount limit on the VoiceRequest model
+const MAX_RETRIES = 3;
+
+class VoiceJobQueue {
+  constructor() {
+    this.uploadDir = path.join(process.env.UPLOAD_PATH || './uploads', 'voice');
+    this.concurrency = parseInt(process.env.VOICE_QUEUE_CONCURRENCY) || 1;
+    this.retryDelayMs = parseInt(process.env.VOICE_QUEUE_RETRY_DELAY_MS) || 30000;
+    this.queue = [];
+    this.active = 0;
+  }
+
+  /**
+   * Store an uploaded recording and queue it for transcription
+   * @param {string} userId - Uploading user
+   * @param {Object} file - Multer file (memory storage)
+   * @param {Object} options - { language, duration, originalText }
+   * @returns {Promise<Object>} Saved VoiceRequest (pending)
+   */
+  async submit(userId, file, options = {}) {
+    const format = (file.mimetype.split('/')[1] || 'webm').split(';')[0];
+    const voiceRequest = new VoiceRequest({
+      user: userId,
+      originalText: options.originalText,
+      audioMetadata: {
+        duration: parseFloat(options.duration) || 0,
+        fileSize: file.size,
+        format,
+        mimetype: file.mimetype,
+        language: ['en', 'hi', 'te'].includes(options.language) ? options.language : 'en'
+      },
+      processingStatus: 'pending'
+    });
+
+    await fs.promises.mkdir(this.uploadDir, { recursive: true });
+    voiceRequest.audioPath = path.join(this.uploadDir, `${voiceRequest._id}.${format}`);
+    await fs.promises.writeFile(voiceRequest.audioPath, file.buffer);
+    await voiceRequest.save();
+
+    this.enqueue(voiceRequest._id, options.language);
+    return voiceRequest;
+  }
+
+  /**
+   * Add a request to the in-memory queue and start workers if idle
+   * @param {string} id - VoiceRequest ID
+   * @param {string} language - Requested language ('auto' to detect)
+   */
+  enqueue(id, language = 'auto') {
+    this.queue.push({ id: id.toString(), language });
+    this.drain();
+  }
+
+  drain() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.active += 1;
+
+      this.process(job)
+        .catch(error => console.error('Voice job error:', error))
+        .finally(() => {
+          this.active -= 1;
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Transcribe and categorize one request, retrying on failure
+   * @param {Object} job - { id, language }
+   */
+  async process(job) {
+    const voiceRequest = await VoiceRequest.claimForProcessing(job.id);
+    if (!voiceRequest) return; // Already processed, or claimed by another worker
+
+    try {
+      const transcription = await whisperService.transcribeAudio(voiceRequest.audioPath, {
+        language: job.language || 'auto',
+        mimetype: voiceRequest.audioMetadata.mimetype
+      });
+
+      if (!transcription.success || !transcription.text) {
+        throw new Error(transcription.error || 'Transcription returned no text');
+      }
+      if (transcription.isMock) {
+        throw new Error('No speech-to-text backend is available');
+      }
+
+      const language = transcription.detectedLanguage;
+      const answer = await geminiVoiceService.processTextWithGemini(transcription.text, {
+        language,
+        inputMethod: 'voice'
+      });
+
+      voiceRequest.transcribedText = transcription.text;
+      voiceRequest.whisperResponse = {
+        confidence: transcription.confidence,
+        segments: transcription.segments,
+        detectedLanguage: language,
+        processingTime: transcription.processingTime,
+        backend: transcription.method
+      };
+      if (transcription.duration) voiceRequest.audioMetadata.duration = transcription.duration;
+      if (['en', 'hi', 'te'].includes(language)) voiceRequest.audioMetadata.language = language;
+      voiceRequest.category = answer.category;
+      voiceRequest.priority = answer.priority;
+      voiceRequest.aiResponse = answer.response;
+      voiceRequest.errorMessage = undefined;
+
+      const audioPath = voiceRequest.audioPath;
+      voiceRequest.audioPath = undefined;
+      await voiceRequest.updateProcessingStatus('completed');
+
+      fs.promises.rm(audioPath, { force: true })
+        .catch(error => console.error('Voice audio cleanup error:', error));
+
+      socketService.emitToUser(voiceRequest.user, 'voice:processed', {
+        id: voiceRequest._id,
+        processingStatus: 'completed',
+        transcribedText: voiceRequest.transcribedText,
+        category: voiceRequest.category,
+        priority: voiceRequest.priority,
+        aiResponse: voiceRequest.aiResponse
+      });
+    } catch (error) {
+      console.error(`Voice request ${job.id} failed (attempt ${voiceRequest.retryCount + 1}):`, error.message);
+
+      const retriesLeft = voiceRequest.retryCount + 1 < MAX_RETRIES;
+      const audioPath = voiceRequest.audioPath;
+      if (!retriesLeft) voiceRequest.audioPath = undefined;
+      await voiceRequest.updateProcessingStatus(retriesLeft ? 'pending' : 'failed', error.message);
+
+      if (retriesLeft) {
+        // Back off 1x, then 2x the base delay
+        const delay = this.retryDelayMs * 2 ** (voiceRequest.retryCount - 1);
+        setTimeout(() => this.enqueue(job.id, job.language), delay).unref();
+      } else {
+        // Nothing retries a failed request, so its recording is no longer needed
+        fs.promises.rm(audioPath, { force: true })
+          .catch(error => console.error('Voice audio cleanup error:', error));
+
+        socketService.emitToUser(voiceRequest.user, 'voice:processed', {
+          id: voiceRequest._id,
+          processingStatus: 'failed',
+          errorMessage: voiceRequest.errorMessage
+        });
+      }
+    }
+  }
+
+  /**
+   * Re-queue work interrupted by a restart
+   * Requests left 'processing' were mid-flight when the server stopped, so they go back to 'pending'
+   * @returns {Promise<number>} Number of requests queued
+   */
+  async recover() {
+    await VoiceRequest.updateMany(
+      { processingStatus: 'processing' },
+      { $set: { processingStatus: 'pending' } }
+    );
+
+    const pending = await VoiceRequest.find({ processingStatus: 'pending' })
+      .sort({ createdAt: 1 })
+      .select('_id');
+
+    pending.forEach(voiceRequest => this.enqueue(voiceRequest._id));
+    return pending.length;
+  }
+}
+
+module.exports = new VoiceJobQueue();
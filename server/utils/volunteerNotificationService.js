@@ -0,0 +1,213 @@
+const User = require('../models/User');
+const Request = require('../models/Request');
+const notificationService = require('./notificationService');
+const geoService = require('./geoService');
+const bloodMatchingService = require('./bloodMatchingService');
+const translationService = require('./translationService');
+const { sendUrgentRequestEmail } = require('./emailService');
+
+// Words too generic to count as a skill match
+const STOP_WORDS = ['other', 'help', 'and', 'the', 'for'];
+
+class VolunteerNotificationService {
+  constructor() {
+    this.radiusKm = parseFloat(process.env.URGENT_ALERT_RADIUS_KM) || 15;
+    this.maxRecipients = parseInt(process.env.URGENT_ALERT_MAX_VOLUNTEERS) || 20;
+  }
+
+  /**
+   * Whether a request should trigger nearby volunteer alerts
+   * @param {Object} request - Request document
+   * @returns {boolean} True for urgent requests
+   */
+  isUrgent(request) {
+    return request.urgencyLevel === 'urgent' || request.priority === 'urgent';
+  }
+
+  /**
+   * Check a volunteer's declared availability against the current day
+   * 'emergency' volunteers are always reachable here because only urgent requests alert
+   * @param {Object} volunteer - User document
+   * @param {Date} date - Time of the alert
+   * @returns {boolean} Availability
+   */
+  isAvailable(volunteer, date = new Date()) {
+    const availability = volunteer.volunteerInfo?.availability || 'emergency';
+    const isWeekend = date.getDay() === 0 || date.getDay() === 6;
+
+    if (availability === 'weekdays') return !isWeekend;
+    if (availability === 'weekends') return isWeekend;
+    return true;
+  }
+
+  /**
+   * Whether any of the volunteer's free-text skills mention what the request is about
+   * @param {Object} volunteer - User document
+   * @param {Object} request - Request document
+   * @returns {boolean} Skill match
+   */
+  hasMatchingSkill(volunteer, request) {
+    const skills = (volunteer.volunteerInfo?.skills || []).map(skill => skill.toLowerCase());
+    const topic = request.serviceType || request.category || '';
+    const keywords = topic
+      .toLowerCase()
+      .split(/[^a-z]+/)
+      .filter(word => word.length > 2 && !STOP_WORDS.includes(word));
+
+    return keywords.some(keyword => skills.some(skill => skill.includes(keyword)));
+  }
+
+  /**
+   * Candidate volunteers near the request, plus those in the same pincode/city who are not located
+   * (or everyone there when nobody located is in range, or the request has no coordinates)
+   * @param {Object} request - Request document
+   * @returns {Promise<Array>} Volunteer documents, located ones nearest first
+   */
+  async findCandidates(request) {
+    const requesterId = request.user?._id || request.user;
+    const filters = { _id: { $ne: requesterId } };
+    const limit = this.maxRecipients * 3;
+
+    if (request.type === 'blood') {
+      filters['volunteerInfo.canDonateBlood'] = true;
+      filters['volunteerInfo.bloodGroup'] = {
+        $in: bloodMatchingService.getCompatibleDonorGroups(request.bloodType)
+      };
+    }
+
+    const point = request.location?.geo?.coordinates?.length === 2
+      ? request.location.geo
+      : geoService.toPoint(request.location?.coordinates);
+
+    const nearby = point
+      ? await User.findNearbyVolunteers(point.coordinates, this.radiusKm * 1000, filters)
+        .select('name email role address preferences volunteerInfo')
+        .limit(limit)
+      : [];
+
+    const areaFilters = [];
+    if (request.location?.pincode) areaFilters.push({ 'address.pincode': request.location.pincode });
+    if (request.location?.city) {
+      const city = request.location.city.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      areaFilters.push({ 'address.city': new RegExp(`^${city}$`, 'i') });
+    }
+    if (areaFilters.length === 0 || nearby.length >= limit) return nearby;
+
+    const areaQuery = {
+      role: 'volunteer',
+      isActive: true,
+      ...filters,
+      _id: { $nin: [requesterId, ...nearby.map(volunteer => volunteer._id)] },
+      $or: areaFilters
+    };
+    // Located volunteers outside the radius were already ruled out by the geo search
+    if (nearby.length > 0) areaQuery['address.geo'] = { $exists: false };
+
+    const inArea = await User.find(areaQuery)
+      .select('name email role address preferences volunteerInfo')
+      .limit(limit - nearby.length);
+
+    return [...nearby, ...inArea];
+  }
+
+  /**
+   * Pick the volunteers to alert, best matches first
+   * @param {Object} request - Request document
+   * @param {Array} candidates - Volunteer documents
+   * @returns {Array} [{ volunteer, distance, matchedOn }]
+   */
+  selectRecipients(request, candidates) {
+    const now = new Date();
+    const origin = request.location?.geo?.coordinates?.length === 2
+      ? { lng: request.location.geo.coordinates[0], lat: request.location.geo.coordinates[1] }
+      : null;
+
+    return candidates
+      .filter(volunteer => this.isAvailable(volunteer, now))
+      .filter(volunteer => request.type !== 'blood' || bloodMatchingService.checkDonorForRequest(volunteer, request).ok)
+      .map(volunteer => {
+        const matchedOn = ['availability', 'proximity'];
+        if (request.type === 'blood') matchedOn.push('blood_group');
+        if (request.type !== 'blood' && this.hasMatchingSkill(volunteer, request)) matchedOn.push('skills');
+
+        return {
+          volunteer,
+          distance: geoService.distanceKm(origin, volunteer.address?.geo),
+          matchedOn
+        };
+      })
+      // Skilled volunteers first, then nearest (candidates are already nearest-first when located)
+      .sort((a, b) => Number(b.matchedOn.includes('skills')) - Number(a.matchedOn.includes('skills')))
+      .slice(0, this.maxRecipients);
+  }
+
+  /**
+   * Alert nearby matching volunteers about a newly created urgent request and log who was told
+   * Safe to call for any request; non-urgent requests are ignored
+   * @param {Object} request - Saved request document
+   * @returns {Promise<Array>} Notification log entries written to the request
+   */
+  async notifyForRequest(request) {
+    if (!this.isUrgent(request)) return [];
+
+    const alreadyNotified = new Set(
+      (request.notifiedVolunteers || []).map(entry => entry.volunteer.toString())
+    );
+    const candidates = (await this.findCandidates(request))
+      .filter(volunteer => !alreadyNotified.has(volunteer._id.toString()));
+    const recipients = this.selectRecipients(request, candidates);
+
+    const need = request.type === 'blood'
+      ? `${request.bloodType} blood`
+      : (request.title || request.serviceType || request.category || 'Help');
+    const place = request.location?.city ? ` in ${request.location.city}` : '';
+
+    // Titles written in Hindi or Telugu are shown in each volunteer's own language, once per language
+    const translatedNeeds = new Map();
+    const needFor = (language = 'en') => {
+      if (request.type === 'blood' || !request.title) return need;
+      if (!translatedNeeds.has(language)) {
+        translatedNeeds.set(language, translationService.translateText(need, 'auto', language)
+          .then(result => (result.success ? result.translatedText : need)));
+      }
+      return translatedNeeds.get(language);
+    };
+
+    const log = await Promise.all(recipients.map(async ({ volunteer, distance, matchedOn }) => {
+      const localNeed = await needFor(volunteer.preferences?.language);
+      const notification = await notificationService.notify(volunteer, {
+        type: 'urgent_request_nearby',
+        title: 'Urgent request near you',
+        message: `${localNeed} needed urgently${distance !== null ? ` ${distance} km away` : place}.`,
+        section: 'allRequests',
+        relatedRequest: request._id,
+        actor: request.user?._id || request.user
+      }, {
+        sendEmail: (user) => sendUrgentRequestEmail(user.email, user.name, request, distance)
+      });
+
+      const channels = ['in_app'];
+      if (notification?.deliveredVia.includes('email')) channels.push('email');
+
+      return {
+        volunteer: volunteer._id,
+        channels,
+        distance,
+        matchedOn,
+        notifiedAt: new Date()
+      };
+    }));
+
+    if (log.length > 0) {
+      await Request.updateOne(
+        { _id: request._id },
+        { $push: { notifiedVolunteers: { $each: log } } }
+      );
+    }
+
+    console.log(`🔔 Notified ${log.length} nearby volunteers about urgent request ${request._id}`);
+    return log;
+  }
+}
+
+module.exports = new VolunteerNotificationService();
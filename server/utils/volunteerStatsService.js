@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Request = require('../models/Request');
+const Complaint = require('../models/Complaint');
+
+// Complaint statuses that count as the volunteer having helped
+const HELPED_COMPLAINT_STATUSES = ['resolved', 'closed'];
+
+class VolunteerStatsService {
+  /**
+   * Count finished items and sum their ratings for one volunteer
+   * @param {Object} model - Request or Complaint
+   * @param {Object} match - Finished items the volunteer worked on
+   * @returns {Promise<Object>} { helped, ratingSum, ratingCount }
+   */
+  async summarize(model, match) {
+    const [row] = await model.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          helped: { $sum: 1 },
+          ratingSum: { $sum: { $ifNull: ['$rating.score', 0] } },
+          ratingCount: { $sum: { $cond: [{ $ifNull: ['$rating.score', false] }, 1, 0] } }
+        }
+      }
+    ]);
+    return row || { helped: 0, ratingSum: 0, ratingCount: 0 };
+  }
+
+  /**
+   * Recompute a volunteer's average rating, rating count and totalHelped from their
+   * fulfilled requests and resolved or closed complaints
+   * @param {string|ObjectId} volunteerId - User id
+   * @returns {Promise<Object|null>} { rating, ratingCount, totalHelped }, or null when the user does not exist
+   */
+  async recompute(volunteerId) {
+    const id = new mongoose.Types.ObjectId(volunteerId.toString());
+
+    const [requests, complaints] = await Promise.all([
+      // Same volunteers as Request#getHelpingVolunteers
+      this.summarize(Request, {
+        status: 'fulfilled',
+        accepters: { $elemMatch: { user: id, status: 'accepted' } },
+        volunteerApplications: { $not: { $elemMatch: { volunteer: id, status: { $in: ['rejected', 'withdrawn'] } } } }
+      }),
+      this.summarize(Complaint, { assignedVolunteer: id, status: { $in: HELPED_COMPLAINT_STATUSES } })
+    ]);
+
+    const ratingCount = requests.ratingCount + complaints.ratingCount;
+    const stats = {
+      rating: ratingCount > 0 ? Math.round(((requests.ratingSum + complaints.ratingSum) / ratingCount) * 10) / 10 : 0,
+      ratingCount,
+      totalHelped: requests.helped + complaints.helped
+    };
+
+    const user = await User.findByIdAndUpdate(id, {
+      $set: {
+        'volunteerInfo.rating': stats.rating,
+        'volunteerInfo.ratingCount': stats.ratingCount,
+        'volunteerInfo.totalHelped': stats.totalHelped
+      }
+    });
+    return user ? stats : null;
+  }
+
+  /**
+   * Recompute several volunteers, skipping empty and repeated ids
+   * @param {Array} volunteerIds - User ids or populated users
+   * @returns {Promise<Array>} Stats per volunteer
+   */
+  async recomputeMany(volunteerIds) {
+    const ids = [...new Set(
+      volunteerIds.map(volunteer => (volunteer?._id || volunteer)?.toString()).filter(Boolean)
+    )];
+    return Promise.all(ids.map(id => this.recompute(id)));
+  }
+}
+
+module.exports = new VolunteerStatsService();
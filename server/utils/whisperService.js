@@ -1,130 +1,232 @@
+const axios = require('axios');
 const FormData = require('form-data');
-const fetch = require('node-fetch');
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// Whisper reports language names in verbose output; the app uses codes
+const LANGUAGE_CODES = {
+  english: 'en',
+  hindi: 'hi',
+  telugu: 'te'
+};
+
+const SUPPORTED_LANGUAGES = ['en', 'hi', 'te'];
 
 class WhisperService {
   constructor() {
     this.apiUrl = 'https://api-inference.huggingface.co/models/openai/whisper-large-v3';
     this.apiToken = process.env.HUGGING_FACE_TOKEN;
 
+    // Self-hosted backends for deployments without reliable internet
+    this.whisperCppBin = process.env.WHISPER_CPP_BIN || 'whisper-cli';
+    this.whisperCppModel = process.env.WHISPER_CPP_MODEL;
+    this.whisperCppThreads = parseInt(process.env.WHISPER_CPP_THREADS) || 4;
+    this.ffmpegBin = process.env.FFMPEG_BIN || 'ffmpeg';
+    this.localServerUrl = process.env.WHISPER_LOCAL_URL;
+    this.localServerModel = process.env.WHISPER_LOCAL_MODEL || 'whisper-1';
+    this.timeout = parseInt(process.env.WHISPER_TIMEOUT_MS) || 60000;
+
+    this.backends = this.resolveBackends();
+
     console.log('WhisperService: Initializing...');
-    console.log('WhisperService: API URL:', this.apiUrl);
-    console.log('WhisperService: Token exists:', !!this.apiToken);
-
-    if (!this.apiToken) {
-      console.error('HUGGING_FACE_TOKEN environment variable is missing!');
-      console.log('Available env vars:', Object.keys(process.env).filter(key => key.includes('HUGGING')));
-      console.log('Will use mock transcription for testing');
-    } else {
-      console.log('Hugging Face token loaded, length:', this.apiToken.length);
-      console.log('Token starts with:', this.apiToken.substring(0, 10) + '...');
-    }
+    console.log('WhisperService: Backends:', this.backends.length > 0 ? this.backends.join(' → ') : 'none (mock transcription)');
   }
 
   /**
-   * Transcribe audio file using Hugging Face Whisper API
-   * @param {Buffer|string} audioData - Audio buffer or file path
-   * @param {Object} options - Transcription options
-   * @returns {Promise<Object>} Transcription result
+   * Transcription backends in the order they are tried
+   * WHISPER_BACKENDS (comma-separated) sets the order; otherwise every configured backend is used,
+   * local ones first
+   * @returns {Array<string>} Backend names
    */
-  async transcribeAudio(audioData, options = {}) {
-    try {
-      // Check if token is available
-      if (!this.apiToken) {
-        console.log('No Hugging Face token, using mock transcription');
-        return this.getMockTranscription(options);
-      }
-
-      const {
-        language = 'auto', // 'auto', 'en', 'hi', 'te'
-        returnSegments = true,
-        returnTimestamps = true
-      } = options;
-
-      // Prepare the audio data
-      let audioBuffer;
-      if (typeof audioData === 'string') {
-        // If it's a file path, read the file
-        audioBuffer = fs.readFileSync(audioData);
-      } else {
-        // If it's already a buffer
-        audioBuffer = audioData;
-      }
-
-      console.log('Sending audio to Hugging Face, size:', audioBuffer.length);
+  resolveBackends() {
+    const configured = {
+      whisper_cpp: !!this.whisperCppModel,
+      local_server: !!this.localServerUrl,
+      huggingface: !!this.apiToken
+    };
 
-      // Create form data
-      const formData = new FormData();
-      formData.append('file', audioBuffer, {
-        filename: 'audio.webm',
-        contentType: 'audio/webm'
-      });
+    const requested = process.env.WHISPER_BACKENDS
+      ? process.env.WHISPER_BACKENDS.split(',').map(name => name.trim()).filter(Boolean)
+      : Object.keys(configured);
 
-      // Add parameters
-      const parameters = {
-        return_timestamps: returnTimestamps,
-        language: language === 'auto' ? null : language
-      };
+    if (process.env.WHISPER_BACKENDS) {
+      requested
+        .filter(name => !configured[name])
+        .forEach(name => console.warn(`WhisperService: ${name} backend is not configured and will be skipped`));
+    }
 
-      formData.append('parameters', JSON.stringify(parameters));
+    return requested.filter(name => configured[name]);
+  }
 
-      // Make API request with timeout
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
+  /**
+   * Transcribe audio with the first backend that succeeds
+   * @param {Buffer|string} audioData - Audio buffer or file path
+   * @param {Object} options - Transcription options ({ language: 'auto'|'en'|'hi'|'te', mimetype })
+   * @returns {Promise<Object>} Transcription result
+   */
+  async transcribeAudio(audioData, options = {}) {
+    const audioBuffer = typeof audioData === 'string' ? fs.readFileSync(audioData) : audioData;
 
-      const response = await fetch(this.apiUrl, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiToken}`,
-          ...formData.getHeaders()
-        },
-        body: formData,
-        signal: controller.signal
-      });
+    for (const backend of this.backends) {
+      const startTime = Date.now();
 
-      clearTimeout(timeoutId);
+      try {
+        console.log(`WhisperService: Transcribing with ${backend}, size:`, audioBuffer.length);
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Hugging Face API error:', response.status, errorText);
+        let raw;
+        if (backend === 'whisper_cpp') {
+          raw = await this.transcribeWithWhisperCpp(audioBuffer, options);
+        } else if (backend === 'local_server') {
+          raw = await this.transcribeWithLocalServer(audioBuffer, options);
+        } else {
+          raw = await this.transcribeWithHuggingFace(audioBuffer, options);
+        }
 
-        // Fallback to mock if API fails
-        if (response.status === 401) {
-          console.log('Authentication failed, using mock transcription');
-          return this.getMockTranscription(options);
+        const result = this.processWhisperResponse(raw, options);
+        if (result.success && result.text) {
+          return {
+            ...result,
+            processingTime: Date.now() - startTime,
+            method: backend
+          };
         }
 
-        throw new Error(`Hugging Face API error: ${response.status} - ${errorText}`);
+        console.warn(`WhisperService: ${backend} returned no text`);
+      } catch (error) {
+        console.error(`WhisperService: ${backend} transcription error:`, error.message);
       }
+    }
+
+    console.log('WhisperService: No transcription backend succeeded, using mock transcription');
+    return this.getMockTranscription(options);
+  }
 
-      const result = await response.json();
-      console.log('Hugging Face response:', result);
+  /**
+   * Run whisper.cpp as a CPU subprocess
+   * The upload is converted to 16 kHz mono WAV with ffmpeg first, as whisper.cpp requires
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} options - { language, mimetype }
+   * @returns {Promise<Object>} { text, segments, language }
+   */
+  async transcribeWithWhisperCpp(audioBuffer, options = {}) {
+    const { language = 'auto', mimetype = 'audio/webm' } = options;
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sevalink-whisper-'));
+    const extension = (mimetype.split('/')[1] || 'webm').split(';')[0];
+    const inputPath = path.join(workDir, `input.${extension}`);
+    const wavPath = path.join(workDir, 'input.wav');
+    const outputBase = path.join(workDir, 'output');
 
-      // Handle different response formats
-      if (result.error) {
-        console.error('Whisper API error:', result.error);
-        return this.getMockTranscription(options);
-      }
+    try {
+      await fs.promises.writeFile(inputPath, audioBuffer);
+
+      await execFileAsync(this.ffmpegBin, [
+        '-y', '-loglevel', 'error',
+        '-i', inputPath,
+        '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le',
+        wavPath
+      ], { timeout: this.timeout });
+
+      await execFileAsync(this.whisperCppBin, [
+        '-m', this.whisperCppModel,
+        '-f', wavPath,
+        '-l', SUPPORTED_LANGUAGES.includes(language) ? language : 'auto',
+        '-t', String(this.whisperCppThreads),
+        '--output-json-full',
+        '--output-file', outputBase,
+        '--no-prints'
+      ], { timeout: this.timeout, maxBuffer: 10 * 1024 * 1024 });
+
+      const output = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf8'));
+
+      const segments = (output.transcription || []).map(segment => {
+        // Average token probability, ignoring special tokens such as [_BEG_]
+        const tokens = (segment.tokens || []).filter(token => !/^\[_.*\]$/.test(token.text) && typeof token.p === 'number');
+        const confidence = tokens.length > 0
+          ? tokens.reduce((sum, token) => sum + token.p, 0) / tokens.length
+          : undefined;
+
+        return {
+          text: segment.text.trim(),
+          start: (segment.offsets?.from || 0) / 1000,
+          end: (segment.offsets?.to || 0) / 1000,
+          confidence
+        };
+      });
 
-      // Process the response
-      return this.processWhisperResponse(result, options);
+      return {
+        text: segments.map(segment => segment.text).join(' ').trim(),
+        segments,
+        language: output.result?.language
+      };
+    } finally {
+      fs.promises.rm(workDir, { recursive: true, force: true })
+        .catch(error => console.error('WhisperService: Temp cleanup error:', error));
+    }
+  }
 
-    } catch (error) {
-      console.error('Whisper transcription error:', error);
+  /**
+   * Call a self-hosted server with the OpenAI transcription API,
+   * e.g. faster-whisper-server or the whisper.cpp server
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} options - { language, mimetype }
+   * @returns {Promise<Object>} Verbose JSON response
+   */
+  async transcribeWithLocalServer(audioBuffer, options = {}) {
+    const { language = 'auto', mimetype = 'audio/webm' } = options;
+
+    const formData = new FormData();
+    formData.append('file', audioBuffer, {
+      filename: `audio.${(mimetype.split('/')[1] || 'webm').split(';')[0]}`,
+      contentType: mimetype
+    });
+    formData.append('model', this.localServerModel);
+    formData.append('response_format', 'verbose_json');
+    if (SUPPORTED_LANGUAGES.includes(language)) {
+      formData.append('language', language);
+    }
 
-      // Fallback to mock transcription
-      if (error.name === 'AbortError') {
-        console.log('Request timeout, using mock transcription');
-        return this.getMockTranscription(options);
-      }
+    const response = await axios.post(this.localServerUrl, formData, {
+      headers: formData.getHeaders(),
+      timeout: this.timeout,
+      maxBodyLength: Infinity
+    });
 
-      console.log('Using mock transcription due to error');
-      return this.getMockTranscription(options);
+    return response.data;
+  }
+
+  /**
+   * Call the Hugging Face inference API
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} options - { mimetype }
+   * @returns {Promise<Object>} { text, chunks }
+   */
+  async transcribeWithHuggingFace(audioBuffer, options = {}) {
+    const { mimetype = 'audio/webm' } = options;
+
+    const response = await axios.post(this.apiUrl, audioBuffer, {
+      headers: {
+        'Authorization': `Bearer ${this.apiToken}`,
+        'Content-Type': mimetype
+      },
+      params: { return_timestamps: true },
+      timeout: this.timeout,
+      maxBodyLength: Infinity
+    });
+
+    if (response.data?.error) {
+      throw new Error(`Hugging Face API error: ${response.data.error}`);
     }
+
+    return response.data;
   }
 
   /**
-   * Mock transcription for testing when Hugging Face is not available
+   * Mock transcription for testing when no backend is available
    */
   getMockTranscription(options = {}) {
     const { language = 'auto' } = options;
@@ -148,59 +250,69 @@ class WhisperService {
       }],
       confidence: 0.95,
       detectedLanguage: detectedLang,
-      processingTime: Date.now(),
+      language: detectedLang,
+      processingTime: 0,
+      method: 'mock',
       success: true,
       isMock: true
     };
   }
 
   /**
-   * Process Whisper API response into standardized format
-   * @param {Object} response - Raw Whisper API response
+   * Process a backend response into the standardized format
+   * Handles whisper.cpp output, OpenAI verbose_json (segments with avg_logprob)
+   * and Hugging Face output (chunks with [start, end] timestamps)
+   * @param {Object} response - Raw backend response
    * @param {Object} options - Original options
    * @returns {Object} Processed response
    */
-  processWhisperResponse(response, options) {
+  processWhisperResponse(response, options = {}) {
     try {
-      // Handle different response formats from Hugging Face
       let text = '';
       let segments = [];
-      let confidence = 0;
       let detectedLanguage = 'unknown';
 
       if (typeof response === 'string') {
         // Simple text response
         text = response.trim();
-        confidence = 0.8; // Default confidence for simple responses
-      } else if (response.text) {
-        // Response with text field
+      } else if (response && typeof response.text === 'string') {
         text = response.text.trim();
-        confidence = response.confidence || 0.8;
-        detectedLanguage = response.language || 'unknown';
-        
-        if (response.segments) {
-          segments = response.segments.map(segment => ({
-            text: segment.text,
-            start: segment.start,
-            end: segment.end,
-            confidence: segment.confidence || 0.8
-          }));
+        if (response.language) {
+          const language = response.language.toLowerCase();
+          detectedLanguage = LANGUAGE_CODES[language] || language;
         }
-      } else if (Array.isArray(response)) {
-        // Array of segments
-        segments = response.map(segment => ({
-          text: segment.text || segment.transcript || '',
-          start: segment.start || 0,
-          end: segment.end || 0,
-          confidence: segment.confidence || 0.8
-        }));
-        text = segments.map(s => s.text).join(' ').trim();
-        confidence = segments.reduce((acc, s) => acc + s.confidence, 0) / segments.length;
+
+        const rawSegments = response.segments || response.chunks || [];
+        segments = rawSegments.map(segment => {
+          let confidence = segment.confidence;
+          if (confidence === undefined && typeof segment.avg_logprob === 'number') {
+            // Mean token log probability → probability
+            confidence = Math.exp(segment.avg_logprob);
+          }
+
+          return {
+            text: (segment.text || '').trim(),
+            start: segment.start ?? segment.timestamp?.[0] ?? 0,
+            end: segment.end ?? segment.timestamp?.[1] ?? 0,
+            confidence: typeof confidence === 'number' ? Math.round(confidence * 1000) / 1000 : undefined
+          };
+        });
+      }
+
+      // Overall confidence weighted by segment length; unknown when no backend reported one
+      const scored = segments.filter(segment => typeof segment.confidence === 'number');
+      let confidence = null;
+      if (scored.length > 0) {
+        const weight = (segment) => Math.max(segment.end - segment.start, 0.01);
+        const totalWeight = scored.reduce((sum, segment) => sum + weight(segment), 0);
+        confidence = Math.round(scored.reduce((sum, segment) => sum + segment.confidence * weight(segment), 0) / totalWeight * 1000) / 1000;
       }
 
       // Language detection based on content if not provided
-      if (detectedLanguage === 'unknown') {
-        detectedLanguage = this.detectLanguage(text);
+      if (!SUPPORTED_LANGUAGES.includes(detectedLanguage)) {
+        detectedLanguage = options.language && SUPPORTED_LANGUAGES.includes(options.language)
+          ? options.language
+          : this.detectLanguage(text);
       }
 
       return {
@@ -208,7 +320,8 @@ class WhisperService {
         segments,
         confidence,
         detectedLanguage,
-        processingTime: Date.now(),
+        language: detectedLanguage,
+        duration: segments.length > 0 ? segments[segments.length - 1].end : 0,
         success: true
       };
 
@@ -219,7 +332,6 @@ class WhisperService {
         segments: [],
         confidence: 0,
         detectedLanguage: 'unknown',
-        processingTime: Date.now(),
         success: false,
         error: error.message
       };
@@ -289,31 +401,35 @@ class WhisperService {
   }
 
   /**
-   * Get service status and model information
+   * Get service status for each configured backend
    * @returns {Promise<Object>} Service status
    */
   async getServiceStatus() {
-    try {
-      const response = await fetch(this.apiUrl, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${this.apiToken}`
+    const checks = await Promise.all(this.backends.map(async backend => {
+      try {
+        if (backend === 'whisper_cpp') {
+          await fs.promises.access(this.whisperCppModel, fs.constants.R_OK);
+          return { backend, available: true, model: path.basename(this.whisperCppModel) };
         }
-      });
 
-      return {
-        available: response.ok,
-        status: response.status,
-        model: 'openai/whisper-large-v3'
-      };
-    } catch (error) {
-      return {
-        available: false,
-        status: 'error',
-        error: error.message,
-        model: 'openai/whisper-large-v3'
-      };
-    }
+        const url = backend === 'local_server' ? this.localServerUrl : this.apiUrl;
+        const response = await axios.get(url, {
+          headers: backend === 'huggingface' ? { 'Authorization': `Bearer ${this.apiToken}` } : {},
+          timeout: 5000,
+          validateStatus: () => true
+        });
+
+        // Transcription endpoints usually reject GET; any HTTP answer means the server is up
+        return { backend, available: response.status < 500, status: response.status };
+      } catch (error) {
+        return { backend, available: false, status: 'error', error: error.message };
+      }
+    }));
+
+    return {
+      available: checks.some(check => check.available),
+      backends: checks
+    };
   }
 }
 